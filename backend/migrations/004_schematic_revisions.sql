@@ -0,0 +1,66 @@
+-- ============================================================================
+-- POLYMIR Schematic Revisions Schema
+-- Migration: 004_schematic_revisions.sql
+-- Description: Immutable voxel-content revisions for Central Library schematics
+-- ============================================================================
+
+-- Each upload of an existing schematic creates a revision pointing at its
+-- parent. Merges record both parents. Revisions are never updated or deleted
+-- (other than with their schematic), so a CID is always reproducible.
+CREATE TABLE IF NOT EXISTS schematic_revisions (
+    revision_id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    schematic_id UUID NOT NULL REFERENCES schematics(schematic_id) ON DELETE CASCADE,
+    revision_number INTEGER NOT NULL CHECK (revision_number > 0),
+
+    -- Revision graph
+    parent_revision_id UUID REFERENCES schematic_revisions(revision_id),
+    merge_parent_revision_id UUID REFERENCES schematic_revisions(revision_id),
+
+    -- IPFS content (not unique: reverting produces an earlier CID again)
+    file_cid TEXT NOT NULL,
+
+    -- Attribution
+    author_id UUID NOT NULL REFERENCES players(player_id) ON DELETE CASCADE,
+    message TEXT,
+
+    -- Dimensions of this revision
+    size_x INTEGER NOT NULL CHECK (size_x > 0 AND size_x <= 256),
+    size_y INTEGER NOT NULL CHECK (size_y > 0 AND size_y <= 256),
+    size_z INTEGER NOT NULL CHECK (size_z > 0 AND size_z <= 256),
+    voxel_count INTEGER NOT NULL CHECK (voxel_count > 0),
+
+    created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+
+    UNIQUE (schematic_id, revision_number),
+    CHECK (merge_parent_revision_id IS NULL OR parent_revision_id IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_schematic_revisions_schematic ON schematic_revisions(schematic_id, revision_number DESC);
+CREATE INDEX IF NOT EXISTS idx_schematic_revisions_parent ON schematic_revisions(parent_revision_id);
+CREATE INDEX IF NOT EXISTS idx_schematic_revisions_author ON schematic_revisions(author_id);
+
+-- The revision served by /download and mirrored into schematics.file_cid
+ALTER TABLE schematics
+    ADD COLUMN IF NOT EXISTS head_revision_id UUID REFERENCES schematic_revisions(revision_id) ON DELETE SET NULL;
+
+-- ============================================================================
+-- Backfill: every existing schematic becomes revision 1 of itself
+-- ============================================================================
+
+INSERT INTO schematic_revisions (
+    schematic_id, revision_number, file_cid, author_id, message,
+    size_x, size_y, size_z, voxel_count, created_at
+)
+SELECT s.schematic_id, 1, s.file_cid, s.creator_id, 'Initial upload',
+       s.size_x, s.size_y, s.size_z, s.voxel_count, s.created_at
+FROM schematics s
+WHERE NOT EXISTS (
+    SELECT 1 FROM schematic_revisions r WHERE r.schematic_id = s.schematic_id
+);
+
+UPDATE schematics s
+SET head_revision_id = r.revision_id
+FROM schematic_revisions r
+WHERE r.schematic_id = s.schematic_id
+  AND r.revision_number = 1
+  AND s.head_revision_id IS NULL;
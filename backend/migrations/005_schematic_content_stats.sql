@@ -0,0 +1,20 @@
+-- ============================================================================
+-- POLYMIR Schematic Content Stats
+-- Migration: 005_schematic_content_stats.sql
+-- Description: Server-recomputed voxel stats for Central Library schematics
+-- ============================================================================
+
+-- Stats decoded from the .mvox by the server on upload (never client supplied).
+-- size_x/y/z and voxel_count are recomputed the same way.
+ALTER TABLE schematics
+    ADD COLUMN IF NOT EXISTS emissive_count INTEGER NOT NULL DEFAULT 0 CHECK (emissive_count >= 0),
+    ADD COLUMN IF NOT EXISTS is_ship BOOLEAN NOT NULL DEFAULT false,
+    ADD COLUMN IF NOT EXISTS control_panel_count INTEGER NOT NULL DEFAULT 0 CHECK (control_panel_count >= 0),
+    ADD COLUMN IF NOT EXISTS thruster_count INTEGER NOT NULL DEFAULT 0 CHECK (thruster_count >= 0),
+    ADD COLUMN IF NOT EXISTS seat_count INTEGER NOT NULL DEFAULT 0 CHECK (seat_count >= 0),
+
+    -- false for rows uploaded before server-side validation existed
+    ADD COLUMN IF NOT EXISTS content_verified BOOLEAN NOT NULL DEFAULT false;
+
+CREATE INDEX IF NOT EXISTS idx_schematics_is_ship ON schematics(is_ship) WHERE is_ship = true;
+CREATE INDEX IF NOT EXISTS idx_schematics_content_verified ON schematics(content_verified);
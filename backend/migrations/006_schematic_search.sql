@@ -0,0 +1,80 @@
+-- ============================================================================
+-- POLYMIR Schematic Search
+-- Migration: 006_schematic_search.sql
+-- Description: Full-text search, block composition, download events and
+--              keyset pagination indexes for /api/schematics/search
+-- ============================================================================
+
+-- =============================================
+-- FULL-TEXT SEARCH
+-- =============================================
+
+-- Name (A) and tags (B) are indexed with the 'simple' config so build names
+-- and tags are not stemmed; descriptions (C) use English stemming.
+ALTER TABLE schematics
+    ADD COLUMN IF NOT EXISTS search_vector TSVECTOR;
+
+CREATE OR REPLACE FUNCTION schematics_search_vector_update() RETURNS TRIGGER AS $$
+BEGIN
+    NEW.search_vector :=
+        setweight(to_tsvector('simple', COALESCE(NEW.name, '')), 'A') ||
+        setweight(to_tsvector('simple', COALESCE(array_to_string(NEW.tags, ' '), '')), 'B') ||
+        setweight(to_tsvector('english', COALESCE(NEW.description, '')), 'C');
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_schematics_search_vector ON schematics;
+CREATE TRIGGER trg_schematics_search_vector
+    BEFORE INSERT OR UPDATE OF name, description, tags ON schematics
+    FOR EACH ROW EXECUTE FUNCTION schematics_search_vector_update();
+
+-- Backfill existing rows (fires the trigger)
+UPDATE schematics SET name = name WHERE search_vector IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_schematics_search_vector ON schematics USING GIN(search_vector);
+
+-- =============================================
+-- BLOCK COMPOSITION
+-- =============================================
+
+-- Voxel type counts of each schematic's head revision, recomputed from the
+-- .mvox on upload. Powers "contains block type X" filters.
+CREATE TABLE IF NOT EXISTS schematic_block_types (
+    schematic_id UUID NOT NULL REFERENCES schematics(schematic_id) ON DELETE CASCADE,
+    voxel_type_id INTEGER NOT NULL,
+    voxel_count INTEGER NOT NULL CHECK (voxel_count > 0),
+    PRIMARY KEY (schematic_id, voxel_type_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_schematic_block_types_type ON schematic_block_types(voxel_type_id, voxel_count);
+
+-- =============================================
+-- POPULARITY
+-- =============================================
+
+-- One row per download so popularity can be measured over a time window
+-- (schematics.download_count remains the all-time total)
+CREATE TABLE IF NOT EXISTS schematic_download_events (
+    event_id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    schematic_id UUID NOT NULL REFERENCES schematics(schematic_id) ON DELETE CASCADE,
+    player_id UUID REFERENCES players(player_id) ON DELETE SET NULL,
+    downloaded_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_download_events_schematic ON schematic_download_events(schematic_id, downloaded_at DESC);
+CREATE INDEX IF NOT EXISTS idx_usage_schematic_time ON schematic_usage_events(schematic_id, placed_at DESC);
+
+-- =============================================
+-- RANGE FILTERS & KEYSET PAGINATION
+-- =============================================
+
+-- Every sort is paired with schematic_id as a tiebreaker
+CREATE INDEX IF NOT EXISTS idx_schematics_created_keyset ON schematics(created_at DESC, schematic_id DESC);
+CREATE INDEX IF NOT EXISTS idx_schematics_updated_keyset ON schematics(updated_at DESC, schematic_id DESC);
+CREATE INDEX IF NOT EXISTS idx_schematics_name_keyset ON schematics(name, schematic_id);
+CREATE INDEX IF NOT EXISTS idx_schematics_downloads_keyset ON schematics(download_count DESC, schematic_id DESC);
+CREATE INDEX IF NOT EXISTS idx_schematics_placements_keyset ON schematics(placement_count DESC, schematic_id DESC);
+CREATE INDEX IF NOT EXISTS idx_schematics_voxels_keyset ON schematics(voxel_count DESC, schematic_id DESC);
+CREATE INDEX IF NOT EXISTS idx_schematics_size ON schematics(size_x, size_y, size_z);
+CREATE INDEX IF NOT EXISTS idx_players_username_lower ON players(LOWER(username));
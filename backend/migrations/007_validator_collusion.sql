@@ -0,0 +1,58 @@
+-- ============================================================================
+-- POLYMIR Validator Collusion Detection
+-- Migration: 007_validator_collusion.sql
+-- Description: Connection fingerprints, persisted collusion flags and
+--              moderator accounts for the validation collusion report
+-- ============================================================================
+
+-- =============================================
+-- MODERATORS
+-- =============================================
+
+ALTER TABLE players
+    ADD COLUMN IF NOT EXISTS is_moderator BOOLEAN NOT NULL DEFAULT false;
+
+-- =============================================
+-- CONNECTION FINGERPRINTS
+-- =============================================
+
+-- Salted hashes of WebSocket remote addresses (raw IPs are never stored)
+CREATE TABLE IF NOT EXISTS player_connection_addresses (
+    player_id UUID NOT NULL REFERENCES players(player_id) ON DELETE CASCADE,
+    address_hash VARCHAR(64) NOT NULL,
+    first_seen_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    last_seen_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    connection_count INTEGER NOT NULL DEFAULT 1,
+    PRIMARY KEY (player_id, address_hash)
+);
+
+CREATE INDEX IF NOT EXISTS idx_connection_addresses_hash ON player_connection_addresses(address_hash, last_seen_at DESC);
+
+-- =============================================
+-- COLLUSION FLAGS
+-- =============================================
+
+-- One row per distinct finding (type + accounts); re-detections bump
+-- occurrences instead of inserting duplicates
+CREATE TABLE IF NOT EXISTS collusion_flags (
+    flag_id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    fingerprint TEXT UNIQUE NOT NULL,
+
+    flag_type VARCHAR(32) NOT NULL, -- 'co_voting_pair', 'submitter_concentration', 'new_account_burst', 'shared_connection'
+    severity VARCHAR(8) NOT NULL CHECK (severity IN ('low', 'medium', 'high')),
+    player_ids UUID[] NOT NULL,
+    reason TEXT NOT NULL,
+    details JSONB NOT NULL DEFAULT '{}',
+
+    -- Consensus whose resolution last detected it
+    last_consensus_id UUID REFERENCES consensus_results(consensus_id) ON DELETE SET NULL,
+
+    occurrences INTEGER NOT NULL DEFAULT 1,
+    first_detected_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    last_detected_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_collusion_flags_detected ON collusion_flags(last_detected_at DESC);
+CREATE INDEX IF NOT EXISTS idx_collusion_flags_players ON collusion_flags USING GIN(player_ids);
+
+CREATE INDEX IF NOT EXISTS idx_votes_voted_at ON validation_votes(voted_at DESC);
@@ -0,0 +1,19 @@
+-- ============================================================================
+-- POLYMIR Computation Proofs
+-- Migration: 008_computation_proofs.sql
+-- Description: Result hashes from deterministic event replay, compared per
+--              vote against the consensus reference hash, plus a proof
+--              hash bound to each validator
+-- ============================================================================
+
+ALTER TABLE validation_votes
+    ADD COLUMN IF NOT EXISTS result_hash TEXT, -- 'sha256:<hex>' of the replayed chunk state
+    ADD COLUMN IF NOT EXISTS proof_hash TEXT, -- replayed state hashed with the validator id
+    ADD COLUMN IF NOT EXISTS proof_status VARCHAR(16)
+        CHECK (proof_status IN ('verified', 'mismatch', 'missing', 'malformed', 'unverified'));
+
+ALTER TABLE consensus_results
+    ADD COLUMN IF NOT EXISTS reference_result_hash TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_votes_proof_status ON validation_votes(validator_id, proof_status)
+    WHERE proof_status IN ('mismatch', 'missing', 'malformed');
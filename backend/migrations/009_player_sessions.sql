@@ -0,0 +1,29 @@
+-- ============================================================================
+-- POLYMIR Player Sessions
+-- Migration: 009_player_sessions.sql
+-- Description: Server-side login sessions backing JWT access tokens with
+--              rotating refresh tokens and revocation
+-- ============================================================================
+
+-- One row per login. Access tokens carry the session id, so revoking the
+-- session invalidates them immediately; refresh tokens are stored hashed and
+-- replaced on every use
+CREATE TABLE IF NOT EXISTS player_sessions (
+    session_id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    player_id UUID NOT NULL REFERENCES players(player_id) ON DELETE CASCADE,
+
+    refresh_token_hash VARCHAR(64) UNIQUE NOT NULL, -- sha256 hex of the current refresh token
+    previous_token_hash VARCHAR(64), -- Rotated-out token; presenting it again revokes the session
+
+    user_agent TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    last_used_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    expires_at TIMESTAMPTZ NOT NULL,
+    revoked_at TIMESTAMPTZ,
+    revoked_reason VARCHAR(32) -- 'logout', 'logout_all', 'token_reuse'
+);
+
+CREATE INDEX IF NOT EXISTS idx_player_sessions_player ON player_sessions(player_id)
+    WHERE revoked_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_player_sessions_previous_token ON player_sessions(previous_token_hash)
+    WHERE previous_token_hash IS NOT NULL;
@@ -0,0 +1,77 @@
+-- ============================================================================
+-- POLYMIR Chat History
+-- Migration: 010_chat_history.sql
+-- Description: Searchable chat history on the world server with per-channel
+--              retention (replaces serving history from the chat log files)
+-- ============================================================================
+
+-- One row per delivered chat message. message_id is the id clients already
+-- received with the message, so reports and history refer to the same thing
+CREATE TABLE IF NOT EXISTS chat_messages (
+    message_id VARCHAR(96) PRIMARY KEY,
+    channel_id VARCHAR(96) NOT NULL, -- 'global', 'local', 'whisper', 'faction:<id>', 'party:<id>', 'room:<name>'
+    channel_type VARCHAR(16) NOT NULL,
+
+    player_id UUID NOT NULL,
+    username VARCHAR(32) NOT NULL,
+    target_player_id UUID, -- Whisper recipient
+
+    content TEXT NOT NULL, -- As delivered, after the chat filter
+    spoiler BOOLEAN NOT NULL DEFAULT false,
+    sent_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+    search_vector TSVECTOR GENERATED ALWAYS AS (to_tsvector('simple', content)) STORED
+);
+
+-- Keyset pagination: (sent_at, message_id) newest first
+CREATE INDEX IF NOT EXISTS idx_chat_messages_channel ON chat_messages(channel_id, sent_at DESC, message_id DESC);
+CREATE INDEX IF NOT EXISTS idx_chat_messages_player ON chat_messages(player_id, sent_at DESC);
+CREATE INDEX IF NOT EXISTS idx_chat_messages_target ON chat_messages(target_player_id, sent_at DESC)
+    WHERE target_player_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_chat_messages_sent ON chat_messages(sent_at);
+CREATE INDEX IF NOT EXISTS idx_chat_messages_search ON chat_messages USING GIN(search_vector);
+
+-- =============================================
+-- RETENTION
+-- =============================================
+
+-- scope is a channel id ('room:builders') or a channel type ('room'); a
+-- channel's own policy wins over its type's. NULL retention_days keeps
+-- messages forever, as does having no policy at all
+CREATE TABLE IF NOT EXISTS chat_retention_policies (
+    scope VARCHAR(96) PRIMARY KEY,
+    retention_days INTEGER CHECK (retention_days IS NULL OR retention_days > 0),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+INSERT INTO chat_retention_policies (scope, retention_days) VALUES
+    ('global', 30),
+    ('local', 7),
+    ('whisper', 14),
+    ('faction', 90),
+    ('party', 7),
+    ('room', 90)
+ON CONFLICT (scope) DO NOTHING;
+
+-- Delete messages older than their channel's retention
+CREATE OR REPLACE FUNCTION cleanup_chat_history()
+RETURNS INTEGER AS $$
+DECLARE
+    deleted_count INTEGER;
+BEGIN
+    DELETE FROM chat_messages m
+    WHERE m.sent_at < NOW() - (
+        SELECT make_interval(days => p.retention_days)
+        FROM chat_retention_policies p
+        WHERE p.scope IN (m.channel_id, m.channel_type)
+        ORDER BY p.scope = m.channel_id DESC
+        LIMIT 1
+    );
+
+    GET DIAGNOSTICS deleted_count = ROW_COUNT;
+    RETURN deleted_count;
+END;
+$$ LANGUAGE plpgsql;
+
+COMMENT ON TABLE chat_messages IS 'Chat history, pruned by cleanup_chat_history()';
+COMMENT ON TABLE chat_retention_policies IS 'Days to keep chat per channel id or channel type';
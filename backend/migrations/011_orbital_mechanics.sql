@@ -0,0 +1,66 @@
+-- ============================================================================
+-- POLYMIR Orbital Mechanics
+-- Migration: 011_orbital_mechanics.sql
+-- Description: Motion modes and Kepler elements for celestial bodies, and
+--              double precision orbital state for the N-body integrator
+-- ============================================================================
+
+-- active_bodies selects cb.*, so it has to be rebuilt around the type change
+DROP VIEW IF EXISTS active_bodies;
+
+-- Position and velocity are integrated in float64; storing them as REAL
+-- would round every body to float32 every tick and slowly bend orbits
+ALTER TABLE celestial_bodies
+    ALTER COLUMN local_x TYPE DOUBLE PRECISION,
+    ALTER COLUMN local_y TYPE DOUBLE PRECISION,
+    ALTER COLUMN local_z TYPE DOUBLE PRECISION,
+    ALTER COLUMN velocity_x TYPE DOUBLE PRECISION,
+    ALTER COLUMN velocity_y TYPE DOUBLE PRECISION,
+    ALTER COLUMN velocity_z TYPE DOUBLE PRECISION;
+
+-- 'simulated': moved by N-body gravity
+-- 'kepler': on rails around parent_body_id, from the orbit_* elements
+-- 'static': never moves, still attracts
+ALTER TABLE celestial_bodies
+    ADD COLUMN IF NOT EXISTS motion_mode VARCHAR(16) NOT NULL DEFAULT 'simulated'
+        CHECK (motion_mode IN ('simulated', 'kepler', 'static')),
+
+    -- Kepler elements (world units and radians); reference plane is world XZ, +Y is the pole
+    ADD COLUMN IF NOT EXISTS orbit_semi_major_axis DOUBLE PRECISION CHECK (orbit_semi_major_axis > 0),
+    ADD COLUMN IF NOT EXISTS orbit_eccentricity DOUBLE PRECISION CHECK (orbit_eccentricity >= 0 AND orbit_eccentricity < 1),
+    ADD COLUMN IF NOT EXISTS orbit_inclination DOUBLE PRECISION,
+    ADD COLUMN IF NOT EXISTS orbit_longitude_ascending_node DOUBLE PRECISION,
+    ADD COLUMN IF NOT EXISTS orbit_argument_periapsis DOUBLE PRECISION,
+    ADD COLUMN IF NOT EXISTS orbit_mean_anomaly DOUBLE PRECISION; -- Advanced every tick by the physics loop
+
+ALTER TABLE celestial_bodies DROP CONSTRAINT IF EXISTS celestial_bodies_kepler_elements;
+ALTER TABLE celestial_bodies ADD CONSTRAINT celestial_bodies_kepler_elements CHECK (
+    motion_mode <> 'kepler' OR (
+        parent_body_id IS NOT NULL AND
+        orbit_semi_major_axis IS NOT NULL AND
+        orbit_eccentricity IS NOT NULL AND
+        orbit_inclination IS NOT NULL AND
+        orbit_longitude_ascending_node IS NOT NULL AND
+        orbit_argument_periapsis IS NOT NULL AND
+        orbit_mean_anomaly IS NOT NULL
+    )
+);
+
+CREATE INDEX IF NOT EXISTS idx_bodies_kepler_parent ON celestial_bodies(parent_body_id)
+    WHERE motion_mode = 'kepler';
+
+-- Bodies with player activity
+CREATE VIEW active_bodies AS
+SELECT
+    cb.*,
+    COUNT(pp.player_id) as player_count,
+    COUNT(DISTINCT cm.modification_id) as modification_count,
+    COUNT(DISTINCT sp.placement_id) as placement_count
+FROM celestial_bodies cb
+LEFT JOIN player_positions pp ON cb.body_id = pp.body_id AND pp.is_online = true
+LEFT JOIN chunk_modifications cm ON cb.body_id = cm.body_id
+LEFT JOIN schematic_placements sp ON cb.body_id = sp.body_id
+GROUP BY cb.body_id;
+
+COMMENT ON COLUMN celestial_bodies.motion_mode IS 'simulated (N-body), kepler (on rails around parent_body_id) or static';
+COMMENT ON COLUMN celestial_bodies.orbit_mean_anomaly IS 'Current mean anomaly of a kepler body, advanced by the physics loop';
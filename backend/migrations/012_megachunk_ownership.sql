@@ -0,0 +1,23 @@
+-- ============================================================================
+-- POLYMIR Megachunk Ownership
+-- Migration: 012_megachunk_ownership.sql
+-- Description: Which world server simulates which megachunk, so bodies can be
+--              handed off between servers as they cross megachunk boundaries
+-- ============================================================================
+
+-- Megachunks without a row belong to whichever server is simulating them
+-- (the single-server default); a row pins the megachunk to one server
+CREATE TABLE IF NOT EXISTS megachunk_owners (
+    mx INTEGER NOT NULL,
+    my INTEGER NOT NULL,
+    mz INTEGER NOT NULL,
+
+    server_id UUID NOT NULL REFERENCES servers(server_id) ON DELETE CASCADE,
+    assigned_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+    PRIMARY KEY (mx, my, mz)
+);
+
+CREATE INDEX IF NOT EXISTS idx_megachunk_owners_server ON megachunk_owners(server_id);
+
+COMMENT ON TABLE megachunk_owners IS 'World server that owns each assigned megachunk (unassigned = local)';
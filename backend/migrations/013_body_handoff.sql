@@ -0,0 +1,18 @@
+-- ============================================================================
+-- POLYMIR Body Handoff
+-- Migration: 013_body_handoff.sql
+-- Description: Tombstones for celestial bodies handed off to another world
+--              server (see 012_megachunk_ownership.sql on the central library)
+-- ============================================================================
+
+-- A handed-off body keeps its row here so its build history is not lost and
+-- a later handoff back can simply overwrite it. Physics and prediction skip
+-- bodies with handed_off_to set
+ALTER TABLE celestial_bodies
+    ADD COLUMN IF NOT EXISTS handed_off_to UUID, -- Central Library servers.server_id
+    ADD COLUMN IF NOT EXISTS handed_off_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_bodies_handed_off ON celestial_bodies(handed_off_to)
+    WHERE handed_off_to IS NOT NULL;
+
+COMMENT ON COLUMN celestial_bodies.handed_off_to IS 'World server now simulating this body, NULL while it is local';
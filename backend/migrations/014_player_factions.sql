@@ -0,0 +1,19 @@
+-- ============================================================================
+-- POLYMIR Player Factions
+-- Migration: 014_player_factions.sql
+-- Description: Faction membership on the world server, loaded into the
+--              FactionManager at startup so faction chat survives restarts
+-- ============================================================================
+
+-- A player belongs to at most one faction. faction_id is a FactionManager
+-- faction id ('miners', 'traders'...), not a foreign key, since factions are
+-- defined in code
+CREATE TABLE IF NOT EXISTS player_factions (
+    player_id UUID PRIMARY KEY,
+    faction_id VARCHAR(64) NOT NULL,
+    joined_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_player_factions_faction ON player_factions(faction_id);
+
+COMMENT ON TABLE player_factions IS 'Faction each player has joined; absent rows mean no faction';
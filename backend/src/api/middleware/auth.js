@@ -1,13 +1,24 @@
 /**
  * POLYMIR AUTHENTICATION MIDDLEWARE
  * ==================================
- * JWT-style authentication and player verification
- * Note: Using basic player ID auth for now, can be extended to JWT/OAuth
+ * JWT authentication and player verification
+ * Access tokens are short-lived JWTs bound to a server-side session; sessions
+ * are renewed with single-use rotating refresh tokens and can be revoked
  */
 
+import { createHash, randomBytes } from 'crypto';
 import bcrypt from 'bcrypt';
+import jwt from 'jsonwebtoken';
+import config from '../../config.js';
 import logger from '../../utils/logger.js';
 
+// Error messages surfaced to clients; anything else is an internal failure
+export const TOKEN_ERRORS = {
+    INVALID: 'Invalid token',
+    EXPIRED: 'Token expired',
+    REVOKED: 'Session revoked'
+};
+
 // =============================================
 // AUTHENTICATION HELPERS
 // =============================================
@@ -32,82 +43,228 @@ export async function verifyPassword(password, hash) {
     return await bcrypt.compare(password, hash);
 }
 
+/**
+ * Whether an error is an expected token rejection rather than a server fault
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export function isTokenError(error) {
+    return Object.values(TOKEN_ERRORS).includes(error.message);
+}
+
 // =============================================
-// AUTHENTICATION MIDDLEWARE
+// TOKENS
 // =============================================
 
 /**
- * Middleware to authenticate requests
- * Expects X-Player-Id header or Authorization header
- * @param {Object} centralLibraryDB - Database adapter
- * @returns {Function} Express middleware
+ * Sign an access token for a session
+ * @param {string} playerId
+ * @param {string} sessionId
+ * @returns {string}
  */
-export function createAuthMiddleware(centralLibraryDB) {
-    return async (req, res, next) => {
-        try {
-            // Extract player ID from headers
-            const playerId = req.headers['x-player-id'];
-            const authHeader = req.headers['authorization'];
+export function issueAccessToken(playerId, sessionId) {
+    return jwt.sign({ sid: sessionId }, config.jwt.secret, {
+        subject: playerId,
+        issuer: config.jwt.issuer,
+        algorithm: config.jwt.algorithm,
+        expiresIn: config.jwt.accessTokenTtl
+    });
+}
 
-            // No authentication provided
-            if (!playerId && !authHeader) {
-                return res.status(401).json({
-                    error: 'Authentication required',
-                    message: 'Provide X-Player-Id or Authorization header'
-                });
-            }
+/**
+ * Verify an access token's signature and expiry
+ * @param {string} token
+ * @returns {{playerId: string, sessionId: string}}
+ * @throws {Error} TOKEN_ERRORS.EXPIRED or TOKEN_ERRORS.INVALID
+ */
+export function verifyAccessToken(token) {
+    let payload;
+
+    try {
+        payload = jwt.verify(token, config.jwt.secret, {
+            issuer: config.jwt.issuer,
+            algorithms: [config.jwt.algorithm]
+        });
+    } catch (error) {
+        throw new Error(error.name === 'TokenExpiredError' ? TOKEN_ERRORS.EXPIRED : TOKEN_ERRORS.INVALID);
+    }
 
-            // Simple player ID authentication
-            if (playerId) {
-                const player = await centralLibraryDB.getPlayerById(playerId);
+    if (!payload.sub || !payload.sid) {
+        throw new Error(TOKEN_ERRORS.INVALID);
+    }
 
-                if (!player) {
-                    return res.status(401).json({
-                        error: 'Invalid player ID',
-                        message: 'Player not found'
-                    });
-                }
+    return { playerId: payload.sub, sessionId: payload.sid };
+}
 
-                // Attach player to request
-                req.player = player;
-                req.playerId = playerId;
+/**
+ * Refresh tokens are opaque random strings; only their hash is stored
+ * @param {string} refreshToken
+ * @returns {string} sha256 hex
+ */
+export function hashRefreshToken(refreshToken) {
+    return createHash('sha256').update(refreshToken).digest('hex');
+}
 
-                logger.trace('Player authenticated', {
-                    playerId,
-                    username: player.username
-                });
+function generateRefreshToken() {
+    return randomBytes(32).toString('base64url');
+}
 
-                return next();
-            }
+function refreshExpiry() {
+    return new Date(Date.now() + config.jwt.refreshTokenTtl * 1000);
+}
 
-            // Bearer token authentication (future: JWT)
-            if (authHeader && authHeader.startsWith('Bearer ')) {
-                const token = authHeader.substring(7);
+function tokenResponse(playerId, sessionId, refreshToken) {
+    return {
+        accessToken: issueAccessToken(playerId, sessionId),
+        refreshToken,
+        expiresIn: config.jwt.accessTokenTtl,
+        sessionId
+    };
+}
 
-                // TODO: Implement JWT verification
-                // For now, treat token as player ID
-                const player = await centralLibraryDB.getPlayerById(token);
+// =============================================
+// SESSIONS
+// =============================================
 
-                if (!player) {
-                    return res.status(401).json({
-                        error: 'Invalid token',
-                        message: 'Authentication failed'
-                    });
-                }
+/**
+ * Start a session for a player who just logged in
+ * @param {Object} centralLibraryDB
+ * @param {string} playerId
+ * @param {string|null} userAgent
+ * @returns {Promise<{accessToken: string, refreshToken: string, expiresIn: number, sessionId: string}>}
+ */
+export async function createSession(centralLibraryDB, playerId, userAgent = null) {
+    const refreshToken = generateRefreshToken();
+    const session = await centralLibraryDB.createPlayerSession(
+        playerId,
+        hashRefreshToken(refreshToken),
+        refreshExpiry(),
+        userAgent
+    );
+
+    return tokenResponse(playerId, session.session_id, refreshToken);
+}
 
-                req.player = player;
-                req.playerId = player.player_id;
+/**
+ * Exchange a refresh token for a new token pair
+ * Each refresh token works once. Presenting one that was already rotated out
+ * means it leaked, so the whole session is revoked.
+ * @param {Object} centralLibraryDB
+ * @param {string} refreshToken
+ * @returns {Promise<{accessToken: string, refreshToken: string, expiresIn: number, sessionId: string}>}
+ * @throws {Error} TOKEN_ERRORS.INVALID or TOKEN_ERRORS.REVOKED
+ */
+export async function refreshSession(centralLibraryDB, refreshToken) {
+    if (typeof refreshToken !== 'string' || !refreshToken) {
+        throw new Error(TOKEN_ERRORS.INVALID);
+    }
 
-                return next();
-            }
+    const tokenHash = hashRefreshToken(refreshToken);
+    const nextToken = generateRefreshToken();
+    const session = await centralLibraryDB.rotatePlayerSession(tokenHash, hashRefreshToken(nextToken), refreshExpiry());
+
+    if (session) {
+        return tokenResponse(session.player_id, session.session_id, nextToken);
+    }
+
+    const reused = await centralLibraryDB.getSessionByPreviousToken(tokenHash);
+    if (reused) {
+        await centralLibraryDB.revokePlayerSession(reused.session_id, 'token_reuse');
+        logger.warn('Refresh token reused, session revoked', {
+            playerId: reused.player_id,
+            sessionId: reused.session_id
+        });
+        throw new Error(TOKEN_ERRORS.REVOKED);
+    }
+
+    throw new Error(TOKEN_ERRORS.INVALID);
+}
+
+/**
+ * Resolve an access token to its player, checking the session is still live
+ * Shared by the REST middleware and the WebSocket handshake
+ * @param {Object} centralLibraryDB
+ * @param {string} token
+ * @returns {Promise<{player: Object, sessionId: string}>}
+ * @throws {Error} One of TOKEN_ERRORS
+ */
+export async function verifySessionToken(centralLibraryDB, token) {
+    if (typeof token !== 'string' || !token) {
+        throw new Error(TOKEN_ERRORS.INVALID);
+    }
+
+    const { playerId, sessionId } = verifyAccessToken(token);
+    const session = await centralLibraryDB.getPlayerSession(sessionId);
+
+    if (!session || session.player_id !== playerId) {
+        throw new Error(TOKEN_ERRORS.INVALID);
+    }
 
-            // Invalid authentication format
+    if (session.revoked_at || new Date(session.expires_at) <= new Date()) {
+        throw new Error(TOKEN_ERRORS.REVOKED);
+    }
+
+    const player = await centralLibraryDB.getPlayerById(playerId);
+
+    if (!player) {
+        throw new Error(TOKEN_ERRORS.INVALID);
+    }
+
+    return { player, sessionId };
+}
+
+// =============================================
+// AUTHENTICATION MIDDLEWARE
+// =============================================
+
+/**
+ * Middleware to authenticate requests
+ * Expects Authorization: Bearer <access token>
+ * @param {Object} centralLibraryDB - Database adapter
+ * @returns {Function} Express middleware
+ */
+export function createAuthMiddleware(centralLibraryDB) {
+    return async (req, res, next) => {
+        const authHeader = req.headers['authorization'];
+
+        // No authentication provided
+        if (!authHeader) {
+            return res.status(401).json({
+                error: 'Authentication required',
+                message: 'Provide Authorization: Bearer <token> header'
+            });
+        }
+
+        if (!authHeader.startsWith('Bearer ')) {
             return res.status(401).json({
                 error: 'Invalid authentication',
                 message: 'Unsupported authentication method'
             });
+        }
+
+        try {
+            const { player, sessionId } = await verifySessionToken(centralLibraryDB, authHeader.substring(7));
+
+            // Attach player to request
+            req.player = player;
+            req.playerId = player.player_id;
+            req.sessionId = sessionId;
+
+            logger.trace('Player authenticated', {
+                playerId: player.player_id,
+                username: player.username
+            });
+
+            return next();
 
         } catch (error) {
+            if (isTokenError(error)) {
+                return res.status(401).json({
+                    error: error.message,
+                    message: 'Authentication failed'
+                });
+            }
+
             logger.error('Authentication error', {
                 error: error.message,
                 path: req.path
@@ -149,6 +306,30 @@ export function requireTrustScore(minTrustScore) {
     };
 }
 
+/**
+ * Middleware to restrict a route to moderators
+ * Must be used after authentication middleware
+ * @returns {Function} Express middleware
+ */
+export function requireModerator() {
+    return (req, res, next) => {
+        if (!req.player) {
+            return res.status(401).json({
+                error: 'Authentication required',
+                message: 'Player not authenticated'
+            });
+        }
+
+        if (!req.player.is_moderator) {
+            return res.status(403).json({
+                error: 'Moderator access required'
+            });
+        }
+
+        next();
+    };
+}
+
 /**
  * Optional authentication middleware
  * Attaches player if authenticated, but doesn't require it
@@ -158,20 +339,21 @@ export function requireTrustScore(minTrustScore) {
 export function optionalAuth(centralLibraryDB) {
     return async (req, res, next) => {
         try {
-            const playerId = req.headers['x-player-id'];
-
-            if (playerId) {
-                const player = await centralLibraryDB.getPlayerById(playerId);
-                if (player) {
-                    req.player = player;
-                    req.playerId = playerId;
-                }
+            const authHeader = req.headers['authorization'];
+
+            if (authHeader && authHeader.startsWith('Bearer ')) {
+                const { player, sessionId } = await verifySessionToken(centralLibraryDB, authHeader.substring(7));
+                req.player = player;
+                req.playerId = player.player_id;
+                req.sessionId = sessionId;
             }
 
             next();
         } catch (error) {
             // Don't fail request if optional auth fails
-            logger.warn('Optional auth failed', { error: error.message });
+            if (!isTokenError(error)) {
+                logger.warn('Optional auth failed', { error: error.message });
+            }
             next();
         }
     };
@@ -296,9 +478,17 @@ export function createRateLimiter(maxRequests = 100, windowMs = 60000) {
 export default {
     createAuthMiddleware,
     requireTrustScore,
+    requireModerator,
     optionalAuth,
     requireOwnership,
     createRateLimiter,
     hashPassword,
-    verifyPassword
+    verifyPassword,
+    issueAccessToken,
+    verifyAccessToken,
+    hashRefreshToken,
+    createSession,
+    refreshSession,
+    verifySessionToken,
+    TOKEN_ERRORS
 };
@@ -0,0 +1,128 @@
+/**
+ * POLYMIR HANDOFF API ROUTES
+ * ===========================
+ * Server-to-server endpoints for handing celestial bodies between world
+ * servers (see physics/megachunkHandoff.js). Requests are signed with the
+ * shared handoff secret instead of a player token.
+ */
+
+import express from 'express';
+import {
+    HANDOFF_ERRORS,
+    HANDOFF_HEADERS,
+    isHandoffError,
+    verifyHandoffSignature
+} from '../../physics/megachunkHandoff.js';
+import logger from '../../utils/logger.js';
+
+// =============================================
+// HANDOFF ROUTES FACTORY
+// =============================================
+
+/**
+ * Create handoff routes
+ * @param {MegachunkHandoffSystem} handoffSystem
+ * @param {string} secret - Shared request signing secret
+ * @returns {Router} Express router
+ */
+export function createHandoffRoutes(handoffSystem, secret) {
+    const log = logger.child('API:Handoff');
+
+    // One router per server, so several can run in one process
+    const router = express.Router();
+
+    /**
+     * Reject requests not signed by a world server
+     * Needs req.rawBody, kept by the express.json() verify hook
+     */
+    router.use((req, res, next) => {
+        try {
+            verifyHandoffSignature(secret, req.headers, req.rawBody);
+            req.handoffServerId = req.headers[HANDOFF_HEADERS.SERVER];
+            next();
+        } catch (error) {
+            log.warn('Rejected handoff request', {
+                path: req.path,
+                serverId: req.headers[HANDOFF_HEADERS.SERVER],
+                error: error.message
+            });
+            res.status(401).json({ error: error.message });
+        }
+    });
+
+    /**
+     * Wrap a handoff system call with payload checks and error mapping
+     * @param {Function} receive - (body, fromServerId) => Promise<Object>
+     * @param {Array<string>} required - Body fields
+     * @returns {Function} Express handler
+     */
+    function handle(receive, required) {
+        return async (req, res) => {
+            const missing = required.filter(field => req.body?.[field] === undefined);
+
+            if (missing.length > 0) {
+                return res.status(400).json({
+                    error: 'Invalid handoff request',
+                    required: missing
+                });
+            }
+
+            try {
+                res.json(await receive(req.body, req.handoffServerId));
+            } catch (error) {
+                if (isHandoffError(error)) {
+                    const status = error.message === HANDOFF_ERRORS.NOT_OWNER || error.message === HANDOFF_ERRORS.NOT_PREPARED
+                        ? 409
+                        : 401;
+                    return res.status(status).json({ error: error.message });
+                }
+
+                log.error('Handoff request failed', {
+                    path: req.path,
+                    bodyId: req.body.bodyId,
+                    error: error.message
+                });
+
+                res.status(500).json({
+                    error: 'Handoff failed',
+                    message: error.message
+                });
+            }
+        };
+    }
+
+    /**
+     * POST /api/handoff/prepare
+     * Stage a body that is about to cross into one of our megachunks
+     */
+    router.post('/prepare', handle(
+        (body, serverId) => handoffSystem.receivePrepare(body, serverId),
+        ['handoffId', 'bodyId', 'megachunk', 'bundle']
+    ));
+
+    /**
+     * POST /api/handoff/commit
+     * Take over a staged body at its crossing
+     */
+    router.post('/commit', handle(
+        (body, serverId) => handoffSystem.receiveCommit(body, serverId),
+        ['handoffId', 'bodyId', 'megachunk', 'local', 'body', 'players', 'ships', 'delta']
+    ));
+
+    /**
+     * POST /api/handoff/abort
+     * Drop a staged body
+     */
+    router.post('/abort', handle(
+        (body, serverId) => handoffSystem.receiveAbort(body, serverId),
+        ['handoffId']
+    ));
+
+    return router;
+}
+
+// =============================================
+// EXPORTS
+// =============================================
+
+export default createHandoffRoutes;
@@ -5,7 +5,13 @@
  */
 
 import express from 'express';
-import { hashPassword, verifyPassword } from '../middleware/auth.js';
+import {
+    hashPassword,
+    verifyPassword,
+    createSession,
+    refreshSession,
+    isTokenError
+} from '../middleware/auth.js';
 import logger from '../../utils/logger.js';
 
 const router = express.Router();
@@ -18,10 +24,13 @@ const router = express.Router();
  * Create player routes with database dependency injection
  * @param {Object} centralLibraryDB - Central Library database adapter
  * @param {Function} authMiddleware - Authentication middleware
+ * @param {Object} options
+ * @param {Function} options.onSessionsRevoked - Called with (playerId, sessionIds) so live connections can be closed
  * @returns {Router} Express router
  */
-export function createPlayerRoutes(centralLibraryDB, authMiddleware) {
+export function createPlayerRoutes(centralLibraryDB, authMiddleware, options = {}) {
     const log = logger.child('API:Players');
+    const onSessionsRevoked = options.onSessionsRevoked || (() => {});
 
     // =============================================
     // PUBLIC ROUTES (No authentication required)
@@ -83,7 +92,8 @@ export function createPlayerRoutes(centralLibraryDB, authMiddleware) {
                             username: existing.username,
                             trustScore: existing.trust_score,
                             isGuest: true
-                        }
+                        },
+                        ...await createSession(centralLibraryDB, existing.player_id, req.headers['user-agent'])
                     });
                 }
             }
@@ -117,7 +127,8 @@ export function createPlayerRoutes(centralLibraryDB, authMiddleware) {
                     trustScore: player.trust_score,
                     createdAt: player.created_at,
                     isGuest: !passwordHash
-                }
+                },
+                ...await createSession(centralLibraryDB, player.player_id, req.headers['user-agent'])
             });
 
         } catch (error) {
@@ -141,6 +152,7 @@ export function createPlayerRoutes(centralLibraryDB, authMiddleware) {
      * Authenticate player (IRC-style)
      * - If username has no passphrase: Allow login without password
      * - If username has passphrase: Require correct password
+     * Responds with an access token and a refresh token for a new session
      */
     router.post('/login', async (req, res) => {
         try {
@@ -198,7 +210,8 @@ export function createPlayerRoutes(centralLibraryDB, authMiddleware) {
                     trustScore: player.trust_score,
                     lastActive: player.last_active,
                     isGuest: !player.password_hash
-                }
+                },
+                ...await createSession(centralLibraryDB, player.player_id, req.headers['user-agent'])
             });
 
         } catch (error) {
@@ -210,6 +223,89 @@ export function createPlayerRoutes(centralLibraryDB, authMiddleware) {
         }
     });
 
+    /**
+     * POST /api/players/refresh
+     * Exchange a refresh token for a new access/refresh token pair
+     * The presented refresh token stops working
+     */
+    router.post('/refresh', async (req, res) => {
+        try {
+            const tokens = await refreshSession(centralLibraryDB, req.body.refreshToken);
+
+            res.json({
+                success: true,
+                ...tokens
+            });
+
+        } catch (error) {
+            if (isTokenError(error)) {
+                return res.status(401).json({
+                    error: error.message,
+                    message: 'Log in again'
+                });
+            }
+
+            log.error('Token refresh failed', { error: error.message });
+            res.status(500).json({
+                error: 'Token refresh failed',
+                message: 'Internal server error'
+            });
+        }
+    });
+
+    /**
+     * POST /api/players/logout
+     * Revoke the session the request was made with
+     */
+    router.post('/logout', authMiddleware, async (req, res) => {
+        try {
+            await centralLibraryDB.revokePlayerSession(req.sessionId, 'logout');
+            onSessionsRevoked(req.playerId, [req.sessionId]);
+
+            log.info('Player logged out', {
+                playerId: req.playerId,
+                sessionId: req.sessionId
+            });
+
+            res.json({ success: true });
+
+        } catch (error) {
+            log.error('Logout failed', { error: error.message });
+            res.status(500).json({
+                error: 'Logout failed',
+                message: 'Internal server error'
+            });
+        }
+    });
+
+    /**
+     * POST /api/players/logout-all
+     * Revoke every session of the authenticated player, including this one
+     */
+    router.post('/logout-all', authMiddleware, async (req, res) => {
+        try {
+            const sessionIds = await centralLibraryDB.revokeAllPlayerSessions(req.playerId, 'logout_all');
+            onSessionsRevoked(req.playerId, sessionIds);
+
+            log.info('Player logged out everywhere', {
+                playerId: req.playerId,
+                sessions: sessionIds.length
+            });
+
+            res.json({
+                success: true,
+                revokedSessions: sessionIds.length
+            });
+
+        } catch (error) {
+            log.error('Logout all failed', { error: error.message });
+            res.status(500).json({
+                error: 'Logout failed',
+                message: 'Internal server error'
+            });
+        }
+    });
+
     /**
      * POST /api/players/set-passphrase
      * Set or update passphrase for current user (converts guest to protected)
@@ -6,6 +6,20 @@
 
 import express from 'express';
 import logger from '../../utils/logger.js';
+import {
+    MERGE_STRATEGY,
+    loadRevisionVoxels,
+    writeRevisionVoxels,
+    diffVoxels,
+    mergeVoxels,
+    findCommonAncestor
+} from '../../schematics/revisions.js';
+import {
+    PAYLOAD_TOO_LARGE_ERRORS,
+    validateSchematicFile,
+    validateSchematicMetadata
+} from '../../schematics/validation.js';
+import { parseSearchParams, encodeCursor } from '../../schematics/search.js';
 
 const router = express.Router();
 
@@ -24,33 +38,121 @@ const router = express.Router();
 export function createSchematicRoutes(centralLibraryDB, ipfsClient, authMiddleware, requireTrustScore) {
     const log = logger.child('API:Schematics');
 
+    const MAX_DIFF_ENTRIES = 10000;
+
+    /**
+     * Shape a schematic_revisions row for API responses
+     */
+    function formatRevision(revision, headRevisionId) {
+        return {
+            revisionId: revision.revision_id,
+            revisionNumber: revision.revision_number,
+            parentRevisionId: revision.parent_revision_id,
+            mergeParentRevisionId: revision.merge_parent_revision_id,
+            fileCid: revision.file_cid,
+            authorId: revision.author_id,
+            authorName: revision.author_name,
+            message: revision.message,
+            size: [revision.size_x, revision.size_y, revision.size_z],
+            voxelCount: revision.voxel_count,
+            isHead: revision.revision_id === headRevisionId,
+            createdAt: revision.created_at
+        };
+    }
+
+    /**
+     * Respond to a schematic file that failed validation
+     * Oversized payloads get 413, anything malformed 400
+     */
+    function rejectSchematicFile(res, errors, status = null) {
+        const tooLarge = errors.some(e => PAYLOAD_TOO_LARGE_ERRORS.includes(e.code));
+        return res.status(status || (tooLarge ? 413 : 400)).json({
+            error: 'Invalid schematic file',
+            message: errors[0].message,
+            errors
+        });
+    }
+
+    /**
+     * Upload revision content to IPFS and record it
+     */
+    async function commitRevision(schematic, buffer, stats, options) {
+        const { cid } = await ipfsClient.uploadToIPFS(buffer);
+
+        return await centralLibraryDB.createSchematicRevision({
+            schematicId: schematic.schematic_id,
+            parentRevisionId: options.parentRevisionId,
+            mergeParentRevisionId: options.mergeParentRevisionId,
+            fileCid: cid,
+            authorId: options.authorId,
+            message: options.message,
+            sizeX: stats.size[0],
+            sizeY: stats.size[1],
+            sizeZ: stats.size[2],
+            voxelCount: stats.voxelCount,
+            contentStats: stats,
+            advanceHead: options.advanceHead
+        });
+    }
+
+    /**
+     * Resolve a revision reference (UUID, number, or the head when omitted)
+     */
+    async function resolveRevision(schematic, reference) {
+        if (reference === undefined || reference === null || reference === '' || reference === 'head') {
+            return schematic.head_revision_id
+                ? await centralLibraryDB.getSchematicRevision(schematic.schematic_id, schematic.head_revision_id)
+                : null;
+        }
+        return await centralLibraryDB.getSchematicRevision(schematic.schematic_id, reference);
+    }
+
+    async function downloadRevisionVoxels(revision) {
+        return loadRevisionVoxels(await ipfsClient.downloadFromIPFS(revision.file_cid));
+    }
+
     // =============================================
     // PUBLIC ROUTES (No authentication required)
     // =============================================
 
     /**
      * GET /api/schematics/search
-     * Search schematics with filters
+     * Search schematics with text, attribute and block composition filters
+     * Results are keyset-paginated: pass `nextCursor` back as `cursor`.
+     * Facet counts per category and tag are returned for the first page.
      */
     router.get('/search', async (req, res) => {
         try {
-            const filters = {
-                category: req.query.category,
-                tags: req.query.tags ? req.query.tags.split(',') : undefined,
-                creatorId: req.query.creatorId,
-                isPlanet: req.query.isPlanet === 'true' ? true : req.query.isPlanet === 'false' ? false : undefined,
-                sortBy: req.query.sortBy || 'created_at',
-                sortOrder: req.query.sortOrder || 'DESC',
-                limit: parseInt(req.query.limit) || 50,
-                offset: parseInt(req.query.offset) || 0
-            };
+            const { filters, errors } = parseSearchParams(req.query);
+
+            if (errors.length > 0) {
+                return res.status(400).json({
+                    error: 'Invalid search parameters',
+                    message: errors[0],
+                    errors
+                });
+            }
+
+            const [rows, facets] = await Promise.all([
+                centralLibraryDB.searchSchematics(filters),
+                filters.facets ? centralLibraryDB.getSchematicSearchFacets(filters) : null
+            ]);
 
-            const schematics = await centralLibraryDB.searchSchematics(filters);
+            const hasMore = rows.length > filters.limit;
+            const page = rows.slice(0, filters.limit);
+            const last = page[page.length - 1];
+
+            const schematics = page.map(({ search_vector, sort_value, ...schematic }) => schematic);
 
             res.json({
                 schematics,
                 count: schematics.length,
-                filters
+                hasMore,
+                nextCursor: hasMore
+                    ? encodeCursor(filters.sortBy, filters.sortOrder, last.sort_value, last.schematic_id)
+                    : null,
+                facets,
+                filters: { ...filters, cursor: undefined }
             });
 
         } catch (error) {
@@ -135,7 +237,7 @@ export function createSchematicRoutes(centralLibraryDB, ipfsClient, authMiddlewa
             const fileData = await ipfsClient.downloadFromIPFS(schematic.file_cid);
 
             // Increment download count
-            await centralLibraryDB.incrementDownloadCount(schematicId);
+            await centralLibraryDB.incrementDownloadCount(schematicId, req.playerId || null);
 
             // Set response headers
             res.setHeader('Content-Type', 'application/octet-stream');
@@ -184,6 +286,131 @@ export function createSchematicRoutes(centralLibraryDB, ipfsClient, authMiddlewa
         }
     });
 
+    // =============================================
+    // REVISION ROUTES
+    // =============================================
+
+    /**
+     * GET /api/schematics/:schematicId/revisions
+     * List revisions of a schematic, newest first
+     */
+    router.get('/:schematicId/revisions', async (req, res) => {
+        try {
+            const { schematicId } = req.params;
+            const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+            const offset = parseInt(req.query.offset) || 0;
+
+            const schematic = await centralLibraryDB.getSchematicById(schematicId);
+
+            if (!schematic) {
+                return res.status(404).json({
+                    error: 'Schematic not found'
+                });
+            }
+
+            const revisions = await centralLibraryDB.getSchematicRevisions(schematicId, limit, offset);
+
+            res.json({
+                schematicId,
+                headRevisionId: schematic.head_revision_id,
+                revisions: revisions.map(r => formatRevision(r, schematic.head_revision_id)),
+                count: revisions.length
+            });
+
+        } catch (error) {
+            log.error('List revisions failed', { error: error.message });
+            res.status(500).json({
+                error: 'Failed to list revisions'
+            });
+        }
+    });
+
+    /**
+     * GET /api/schematics/:schematicId/revisions/:revision
+     * Get a revision by UUID or revision number
+     */
+    router.get('/:schematicId/revisions/:revision', async (req, res) => {
+        try {
+            const { schematicId, revision: reference } = req.params;
+
+            const schematic = await centralLibraryDB.getSchematicById(schematicId);
+
+            if (!schematic) {
+                return res.status(404).json({
+                    error: 'Schematic not found'
+                });
+            }
+
+            const revision = await resolveRevision(schematic, reference);
+
+            if (!revision) {
+                return res.status(404).json({
+                    error: 'Revision not found'
+                });
+            }
+
+            res.json(formatRevision(revision, schematic.head_revision_id));
+
+        } catch (error) {
+            log.error('Get revision failed', { error: error.message });
+            res.status(500).json({
+                error: 'Failed to get revision'
+            });
+        }
+    });
+
+    /**
+     * GET /api/schematics/:schematicId/diff?from=&to=&limit=
+     * Voxel-level diff between two revisions
+     * `to` defaults to the head and `from` to the parent of `to`
+     */
+    router.get('/:schematicId/diff', async (req, res) => {
+        try {
+            const { schematicId } = req.params;
+            const limit = Math.min(parseInt(req.query.limit) || 1000, MAX_DIFF_ENTRIES);
+
+            const schematic = await centralLibraryDB.getSchematicById(schematicId);
+
+            if (!schematic) {
+                return res.status(404).json({
+                    error: 'Schematic not found'
+                });
+            }
+
+            const toRevision = await resolveRevision(schematic, req.query.to);
+            const fromReference = req.query.from ?? toRevision?.parent_revision_id;
+            const fromRevision = fromReference ? await resolveRevision(schematic, fromReference) : null;
+
+            if (!toRevision || !fromRevision) {
+                return res.status(404).json({
+                    error: 'Revision not found',
+                    message: req.query.from ? undefined : 'Revision has no parent; pass `from` explicitly'
+                });
+            }
+
+            const [fromFile, toFile] = await Promise.all([
+                downloadRevisionVoxels(fromRevision),
+                downloadRevisionVoxels(toRevision)
+            ]);
+
+            const diff = diffVoxels(fromFile.voxels, toFile.voxels, { limit });
+
+            res.json({
+                schematicId,
+                from: fromRevision.revision_id,
+                to: toRevision.revision_id,
+                ...diff
+            });
+
+        } catch (error) {
+            log.error('Diff failed', { error: error.message });
+            res.status(500).json({
+                error: 'Diff failed',
+                message: error.message
+            });
+        }
+    });
+
     // =============================================
     // AUTHENTICATED ROUTES (Require trust)
     // =============================================
@@ -191,6 +418,8 @@ export function createSchematicRoutes(centralLibraryDB, ipfsClient, authMiddlewa
     /**
      * POST /api/schematics/upload
      * Upload new schematic to IPFS and register metadata
+     * The .mvox is decoded server-side; size, voxel count, emissive and
+     * ship stats are recomputed from it and client-supplied values ignored.
      * Requires trust score >= 0.3
      */
     router.post('/upload', authMiddleware, requireTrustScore(0.3), async (req, res) => {
@@ -207,20 +436,52 @@ export function createSchematicRoutes(centralLibraryDB, ipfsClient, authMiddlewa
                 category,
                 tags,
                 biomes,
-                isPlanet,
                 spawnFrequency
             } = req.body;
 
             // Validation
-            if (!name || !fileData || !sizeX || !sizeY || !sizeZ || !voxelCount || !category) {
+            if (!name || !fileData || !category) {
                 return res.status(400).json({
                     error: 'Missing required fields',
-                    required: ['name', 'fileData', 'sizeX', 'sizeY', 'sizeZ', 'voxelCount', 'category']
+                    required: ['name', 'fileData', 'category']
+                });
+            }
+
+            const metadataErrors = validateSchematicMetadata({ name, category, tags, biomes, spawnFrequency });
+            if (metadataErrors.length > 0) {
+                return res.status(400).json({
+                    error: 'Invalid metadata',
+                    message: metadataErrors[0].message,
+                    errors: metadataErrors
+                });
+            }
+
+            const fileBuffer = Buffer.from(fileData, 'base64');
+            const validation = validateSchematicFile(fileBuffer);
+            if (!validation.valid) {
+                log.info('Schematic upload rejected', {
+                    name,
+                    playerId: req.playerId,
+                    errors: validation.errors.map(e => e.code)
+                });
+                return rejectSchematicFile(res, validation.errors);
+            }
+
+            const { stats } = validation;
+
+            const claimed = [sizeX, sizeY, sizeZ, voxelCount];
+            const actual = [...stats.size, stats.voxelCount];
+            if (claimed.some((value, i) => value !== undefined && Number(value) !== actual[i])) {
+                log.warn('Client schematic stats differ from content', {
+                    name,
+                    playerId: req.playerId,
+                    claimed,
+                    actual
                 });
             }
 
             // Upload file to IPFS
-            const result = await ipfsClient.uploadToIPFS(Buffer.from(fileData, 'base64'));
+            const result = await ipfsClient.uploadToIPFS(fileBuffer);
             const fileCid = result.cid;
 
             log.info('Schematic file uploaded to IPFS', { fileCid, name });
@@ -232,28 +493,41 @@ export function createSchematicRoutes(centralLibraryDB, ipfsClient, authMiddlewa
                 thumbnailCid = thumbResult.cid;
             }
 
-            // Create schematic metadata
-            const schematic = await centralLibraryDB.createSchematic({
+            // Schematic metadata and the first revision of its voxel
+            // content, which later uploads build on
+            const { schematic } = await centralLibraryDB.createSchematicWithRevision({
                 creatorId: req.playerId,
                 name,
                 description,
                 fileCid,
                 thumbnailCid,
-                sizeX,
-                sizeY,
-                sizeZ,
-                voxelCount,
+                sizeX: stats.size[0],
+                sizeY: stats.size[1],
+                sizeZ: stats.size[2],
+                voxelCount: stats.voxelCount,
                 category,
                 tags: tags || [],
                 biomes: biomes || [],
-                isPlanet: isPlanet || false,
-                spawnFrequency: spawnFrequency || 0.0
+                isPlanet: stats.isPlanet,
+                spawnFrequency: spawnFrequency || 0.0,
+                contentStats: stats
+            }, {
+                fileCid,
+                authorId: req.playerId,
+                message: 'Initial upload',
+                sizeX: stats.size[0],
+                sizeY: stats.size[1],
+                sizeZ: stats.size[2],
+                voxelCount: stats.voxelCount,
+                contentStats: stats
             });
 
             log.info('Schematic registered', {
                 schematicId: schematic.schematic_id,
                 name,
-                creator: req.player.username
+                creator: req.player.username,
+                voxelCount: stats.voxelCount,
+                isShip: stats.isShip
             });
 
             res.status(201).json({
@@ -262,6 +536,11 @@ export function createSchematicRoutes(centralLibraryDB, ipfsClient, authMiddlewa
                     schematicId: schematic.schematic_id,
                     fileCid,
                     thumbnailCid,
+                    size: stats.size,
+                    voxelCount: stats.voxelCount,
+                    emissiveCount: stats.emissiveCount,
+                    isShip: stats.isShip,
+                    isPlanet: stats.isPlanet,
                     createdAt: schematic.created_at
                 }
             });
@@ -278,10 +557,12 @@ export function createSchematicRoutes(centralLibraryDB, ipfsClient, authMiddlewa
     /**
      * PUT /api/schematics/:schematicId
      * Update schematic metadata (creator only)
+     * Supplying fileData also records a new head revision of the voxel content
      */
     router.put('/:schematicId', authMiddleware, async (req, res) => {
         try {
             const { schematicId } = req.params;
+            const { description, tags, spawnFrequency, fileData, message } = req.body;
 
             // Get schematic
             const schematic = await centralLibraryDB.getSchematicById(schematicId);
@@ -300,12 +581,51 @@ export function createSchematicRoutes(centralLibraryDB, ipfsClient, authMiddlewa
                 });
             }
 
-            // TODO: Implement update logic
-            // For now, only allow updating description, tags, spawn_frequency
+            const metadataErrors = validateSchematicMetadata({ tags, spawnFrequency }, { partial: true });
+            if (metadataErrors.length > 0) {
+                return res.status(400).json({
+                    error: 'Invalid metadata',
+                    message: metadataErrors[0].message,
+                    errors: metadataErrors
+                });
+            }
+
+            let revision = null;
+            if (fileData) {
+                const buffer = Buffer.from(fileData, 'base64');
+                const validation = validateSchematicFile(buffer);
+                if (!validation.valid) {
+                    return rejectSchematicFile(res, validation.errors);
+                }
+
+                revision = await commitRevision(schematic, buffer, validation.stats, {
+                    parentRevisionId: schematic.head_revision_id,
+                    authorId: req.playerId,
+                    message,
+                    advanceHead: true
+                });
+            }
+
+            const updated = await centralLibraryDB.updateSchematicMetadata(schematicId, {
+                description,
+                tags,
+                spawnFrequency
+            });
+
+            log.info('Schematic updated', {
+                schematicId,
+                revisionId: revision?.revision_id
+            });
 
-            res.status(501).json({
-                error: 'Not implemented',
-                message: 'Schematic update endpoint coming soon'
+            res.json({
+                success: true,
+                schematic: {
+                    schematicId,
+                    description: updated.description,
+                    tags: updated.tags,
+                    spawnFrequency: updated.spawn_frequency
+                },
+                revision: revision ? formatRevision(revision, revision.revision_id) : null
             });
 
         } catch (error) {
@@ -316,6 +636,191 @@ export function createSchematicRoutes(centralLibraryDB, ipfsClient, authMiddlewa
         }
     });
 
+    /**
+     * POST /api/schematics/:schematicId/revisions
+     * Upload new voxel content as a revision
+     * The creator's revisions on top of the head advance the head; anyone
+     * else's (or revisions of an older parent) are recorded as forks.
+     * Requires trust score >= 0.3
+     */
+    router.post('/:schematicId/revisions', authMiddleware, requireTrustScore(0.3), async (req, res) => {
+        try {
+            const { schematicId } = req.params;
+            const { fileData, parentRevision, message } = req.body;
+
+            if (!fileData) {
+                return res.status(400).json({
+                    error: 'Missing required fields',
+                    required: ['fileData']
+                });
+            }
+
+            const schematic = await centralLibraryDB.getSchematicById(schematicId);
+
+            if (!schematic) {
+                return res.status(404).json({
+                    error: 'Schematic not found'
+                });
+            }
+
+            const parent = await resolveRevision(schematic, parentRevision);
+            if (!parent) {
+                return res.status(404).json({
+                    error: 'Parent revision not found'
+                });
+            }
+
+            const buffer = Buffer.from(fileData, 'base64');
+            const validation = validateSchematicFile(buffer);
+            if (!validation.valid) {
+                return rejectSchematicFile(res, validation.errors);
+            }
+
+            const advanceHead = schematic.creator_id === req.playerId
+                && parent.revision_id === schematic.head_revision_id;
+
+            const revision = await commitRevision(schematic, buffer, validation.stats, {
+                parentRevisionId: parent.revision_id,
+                authorId: req.playerId,
+                message,
+                advanceHead
+            });
+
+            res.status(201).json({
+                success: true,
+                revision: formatRevision(revision, advanceHead ? revision.revision_id : schematic.head_revision_id)
+            });
+
+        } catch (error) {
+            log.error('Create revision failed', { error: error.message });
+            res.status(500).json({
+                error: 'Failed to create revision',
+                message: error.message
+            });
+        }
+    });
+
+    /**
+     * POST /api/schematics/:schematicId/merge
+     * Three-way merge of two revisions against their common ancestor
+     * Conflicts (positions both sides changed differently) are reported; with
+     * `commit` the merged content is stored as a revision with both parents,
+     * which requires every conflict to be resolved by `strategy`.
+     * Requires trust score >= 0.3
+     */
+    router.post('/:schematicId/merge', authMiddleware, requireTrustScore(0.3), async (req, res) => {
+        try {
+            const { schematicId } = req.params;
+            const { ours, theirs, base, strategy, commit, message } = req.body;
+
+            if (!theirs) {
+                return res.status(400).json({
+                    error: 'Missing required fields',
+                    required: ['theirs']
+                });
+            }
+
+            if (strategy && !Object.values(MERGE_STRATEGY).includes(strategy)) {
+                return res.status(400).json({
+                    error: 'Invalid strategy',
+                    allowed: Object.values(MERGE_STRATEGY)
+                });
+            }
+
+            const schematic = await centralLibraryDB.getSchematicById(schematicId);
+
+            if (!schematic) {
+                return res.status(404).json({
+                    error: 'Schematic not found'
+                });
+            }
+
+            const oursRevision = await resolveRevision(schematic, ours);
+            const theirsRevision = await resolveRevision(schematic, theirs);
+            if (!oursRevision || !theirsRevision) {
+                return res.status(404).json({
+                    error: 'Revision not found'
+                });
+            }
+
+            let baseRevision;
+            if (base) {
+                baseRevision = await resolveRevision(schematic, base);
+            } else {
+                const graph = await centralLibraryDB.getSchematicRevisionGraph(schematicId);
+                const ancestorId = findCommonAncestor(graph, oursRevision.revision_id, theirsRevision.revision_id);
+                baseRevision = ancestorId ? await centralLibraryDB.getSchematicRevision(schematicId, ancestorId) : null;
+            }
+
+            if (!baseRevision) {
+                return res.status(409).json({
+                    error: 'No common ancestor',
+                    message: 'Revisions do not share history; pass an explicit base'
+                });
+            }
+
+            const [baseFile, oursFile, theirsFile] = await Promise.all([
+                downloadRevisionVoxels(baseRevision),
+                downloadRevisionVoxels(oursRevision),
+                downloadRevisionVoxels(theirsRevision)
+            ]);
+
+            const merged = mergeVoxels(baseFile.voxels, oursFile.voxels, theirsFile.voxels, { strategy });
+
+            const summary = {
+                base: baseRevision.revision_id,
+                ours: oursRevision.revision_id,
+                theirs: theirsRevision.revision_id,
+                stats: merged.stats,
+                voxelCount: merged.voxels.size,
+                conflicts: merged.conflicts.slice(0, MAX_DIFF_ENTRIES),
+                conflictsTruncated: merged.conflicts.length > MAX_DIFF_ENTRIES
+            };
+
+            if (!commit) {
+                return res.json({ ...summary, committed: false });
+            }
+
+            if (merged.conflicts.length > 0) {
+                return res.status(409).json({
+                    error: 'Unresolved merge conflicts',
+                    message: 'Resolve conflicts with a strategy before committing',
+                    ...summary
+                });
+            }
+
+            const buffer = writeRevisionVoxels(oursFile.mvoxFile, merged.voxels);
+            const validation = validateSchematicFile(buffer);
+            if (!validation.valid) {
+                return rejectSchematicFile(res, validation.errors, 422);
+            }
+
+            const advanceHead = schematic.creator_id === req.playerId
+                && oursRevision.revision_id === schematic.head_revision_id;
+
+            const revision = await commitRevision(schematic, buffer, validation.stats, {
+                parentRevisionId: oursRevision.revision_id,
+                mergeParentRevisionId: theirsRevision.revision_id,
+                authorId: req.playerId,
+                message: message || `Merge revision ${theirsRevision.revision_number} into ${oursRevision.revision_number}`,
+                advanceHead
+            });
+
+            res.status(201).json({
+                ...summary,
+                committed: true,
+                revision: formatRevision(revision, advanceHead ? revision.revision_id : schematic.head_revision_id)
+            });
+
+        } catch (error) {
+            log.error('Merge failed', { error: error.message });
+            res.status(500).json({
+                error: 'Merge failed',
+                message: error.message
+            });
+        }
+    });
+
     /**
      * POST /api/schematics/:schematicId/usage
      * Record schematic placement in world
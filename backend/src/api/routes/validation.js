@@ -8,6 +8,13 @@
 import express from 'express';
 import logger from '../../utils/logger.js';
 import { getValidatorsRequired } from '../../utils/trust.js';
+import {
+    COLLUSION_CONFIG,
+    COLLUSION_FLAG,
+    analyzeCollusion,
+    calculateCollusionPenalty
+} from '../../validation/collusion.js';
+import { validateProof } from '../../validation/computationProof.js';
 
 const router = express.Router();
 
@@ -20,9 +27,10 @@ const router = express.Router();
  * @param {Object} centralLibraryDB - Central Library database adapter
  * @param {Object} ipfsClient - IPFS client
  * @param {Function} authMiddleware - Authentication middleware
+ * @param {Function} requireModerator - Moderator middleware
  * @returns {Router} Express router
  */
-export function createValidationRoutes(centralLibraryDB, ipfsClient, authMiddleware) {
+export function createValidationRoutes(centralLibraryDB, ipfsClient, authMiddleware, requireModerator) {
     const log = logger.child('API:Validation');
 
     // =============================================
@@ -160,6 +168,18 @@ export function createValidationRoutes(centralLibraryDB, ipfsClient, authMiddlew
                 });
             }
 
+            // Computation proof must be well-formed and about this consensus
+            if (computationProof) {
+                const proofErrors = validateProof(computationProof, consensus, req.playerId);
+                if (proofErrors.length > 0) {
+                    return res.status(400).json({
+                        error: 'Invalid computation proof',
+                        message: proofErrors[0],
+                        errors: proofErrors
+                    });
+                }
+            }
+
             // Upload computation proof to IPFS if provided
             let proofCid = null;
             if (computationProof) {
@@ -172,7 +192,11 @@ export function createValidationRoutes(centralLibraryDB, ipfsClient, authMiddlew
                 consensusId,
                 req.playerId,
                 agrees,
-                proofCid
+                proofCid,
+                {
+                    resultHash: computationProof?.resultHash,
+                    proofHash: computationProof?.proofHash
+                }
             );
 
             log.info('Validation vote recorded', {
@@ -253,6 +277,74 @@ export function createValidationRoutes(centralLibraryDB, ipfsClient, authMiddlew
         }
     });
 
+    // =============================================
+    // COLLUSION REPORT
+    // =============================================
+
+    /**
+     * GET /api/validation/collusion/report
+     * Cross-consensus collusion analysis for moderators
+     * Query: days (window), type (flag type), limit
+     */
+    router.get('/collusion/report', authMiddleware, requireModerator(), async (req, res) => {
+        try {
+            const days = Math.min(Math.max(parseInt(req.query.days) || COLLUSION_CONFIG.WINDOW_DAYS, 1), 365);
+            const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+            const { type } = req.query;
+
+            if (type && !Object.values(COLLUSION_FLAG).includes(type)) {
+                return res.status(400).json({
+                    error: 'Invalid flag type',
+                    validTypes: Object.values(COLLUSION_FLAG)
+                });
+            }
+
+            const [votes, connections, recordedFlags] = await Promise.all([
+                centralLibraryDB.getValidationVoteHistory({ days }),
+                centralLibraryDB.getPlayerConnectionAddresses({ days }),
+                centralLibraryDB.getCollusionFlags({ days, type, limit })
+            ]);
+
+            const analysis = analyzeCollusion({ votes, connections });
+
+            const flags = analysis.flags
+                .filter(flag => !type || flag.type === type)
+                .slice(0, limit)
+                .map(({ fingerprint, ...flag }) => flag);
+
+            const suspects = Object.entries(analysis.suspicion)
+                .map(([playerId, suspicion]) => ({
+                    playerId,
+                    suspicion,
+                    penaltyPerConsensus: calculateCollusionPenalty(suspicion)
+                }))
+                .sort((a, b) => b.suspicion - a.suspicion)
+                .slice(0, limit);
+
+            log.info('Collusion report generated', {
+                moderator: req.player.username,
+                days,
+                flags: analysis.flags.length,
+                suspects: suspects.length
+            });
+
+            res.json({
+                windowDays: days,
+                generatedAt: new Date().toISOString(),
+                summary: analysis.summary,
+                suspects,
+                flags,
+                recordedFlags
+            });
+
+        } catch (error) {
+            log.error('Collusion report failed', { error: error.message });
+            res.status(500).json({
+                error: 'Failed to generate collusion report'
+            });
+        }
+    });
+
     /**
      * GET /api/validation/:consensusId
      * Get consensus result with votes
@@ -285,9 +377,12 @@ export function createValidationRoutes(centralLibraryDB, ipfsClient, authMiddlew
                 disagreeCount,
                 submittedAt: consensus.submitted_at,
                 resolvedAt: consensus.resolved_at,
+                referenceResultHash: consensus.reference_result_hash,
                 votes: votes.map(v => ({
                     validatorId: v.validator_id,
                     agrees: v.agrees,
+                    resultHash: v.result_hash,
+                    proofStatus: v.proof_status,
                     votedAt: v.voted_at
                 }))
             });
@@ -207,6 +207,15 @@ export const config = {
         }
     },
 
+    // =============================================
+    // WORLD GENERATION
+    // =============================================
+    world: {
+        // Root of every megachunk and body generation seed; must match across
+        // world servers and clients for chunks to validate
+        seed: getOptional('WORLD_SEED', '0')
+    },
+
     // =============================================
     // API (REST)
     // =============================================
@@ -246,16 +255,20 @@ export const config = {
             .filter(o => o)
     },
 
-    // =============================================
     // =============================================
     // JWT AUTHENTICATION
     // =============================================
     jwt: {
-        secret: getOptional("JWT_SECRET", "polymir-dev-secret-change-in-production"),
-        expiresIn: getOptional("JWT_EXPIRES_IN", "7d"), // 7 days default
-        algorithm: "HS256"
+        secret: getOptional('JWT_SECRET', 'polymir-dev-secret-change-in-production'),
+        issuer: getOptional('JWT_ISSUER', 'polymir'),
+        algorithm: 'HS256',
+
+        // Short-lived access tokens; sessions are kept alive by rotating refresh tokens
+        accessTokenTtl: getInt('JWT_ACCESS_TTL_SECONDS', 900), // 15 minutes
+        refreshTokenTtl: getInt('JWT_REFRESH_TTL_SECONDS', 2592000) // 30 days
     },
 
+    // =============================================
     // TRUST & VALIDATION
     // =============================================
     trust: {
@@ -290,6 +303,19 @@ export const config = {
         get tickInterval() {
             return Math.floor(1000 / this.tickRate);
         }
+    },
+
+    // =============================================
+    // MEGACHUNK HANDOFF (between world servers)
+    // =============================================
+    handoff: {
+        // Shared by every world server that hands bodies to this one
+        secret: getOptional('HANDOFF_SECRET', 'polymir-dev-handoff-secret-change-in-production'),
+
+        // Start a handoff this long before a body is predicted to cross
+        leadTime: getInt('HANDOFF_LEAD_TIME_MS', 5000),
+        scanInterval: getInt('HANDOFF_SCAN_INTERVAL_MS', 1000),
+        requestTimeout: getInt('HANDOFF_REQUEST_TIMEOUT_MS', 3000)
     }
 };
 
@@ -330,6 +356,19 @@ function validateConfig() {
         errors.push('Validator requirements must be >= 0');
     }
 
+    // Validate JWT settings
+    if (config.isProduction() && config.jwt.secret === 'polymir-dev-secret-change-in-production') {
+        errors.push('JWT_SECRET must be set in production');
+    }
+
+    if (config.jwt.accessTokenTtl < 1 || config.jwt.refreshTokenTtl <= config.jwt.accessTokenTtl) {
+        errors.push('JWT_REFRESH_TTL_SECONDS must be longer than JWT_ACCESS_TTL_SECONDS');
+    }
+
+    if (config.isProduction() && config.handoff.secret === 'polymir-dev-handoff-secret-change-in-production') {
+        errors.push('HANDOFF_SECRET must be set in production');
+    }
+
     // Validate physics tick rate
     if (config.physics.tickRate < 1 || config.physics.tickRate > 60) {
         errors.push('PHYSICS_TICK_RATE_HZ must be between 1 and 60');
@@ -6,6 +6,7 @@
  */
 
 import logger from '../utils/logger.js';
+import { SEARCH_SORT_FIELDS, POPULARITY_WINDOWS } from '../schematics/search.js';
 
 // =============================================
 // CENTRAL LIBRARY DATABASE ADAPTER
@@ -55,7 +56,7 @@ export class CentralLibraryDB {
         const query = `
             SELECT player_id, username, trust_score,
                    validations_submitted, validations_correct, validations_incorrect,
-                   created_at, last_active
+                   is_moderator, created_at, last_active
             FROM players
             WHERE player_id = $1
         `;
@@ -142,6 +143,124 @@ export class CentralLibraryDB {
         return result.rows;
     }
 
+    // =============================================
+    // PLAYER SESSIONS
+    // =============================================
+
+    /**
+     * Create a login session
+     * @param {string} playerId
+     * @param {string} refreshTokenHash - sha256 hex of the refresh token
+     * @param {Date} expiresAt
+     * @param {string|null} userAgent
+     * @returns {Promise<Object>} Created session
+     */
+    async createPlayerSession(playerId, refreshTokenHash, expiresAt, userAgent = null) {
+        const query = `
+            INSERT INTO player_sessions (player_id, refresh_token_hash, expires_at, user_agent)
+            VALUES ($1, $2, $3, $4)
+            RETURNING session_id, player_id, created_at, expires_at
+        `;
+
+        const result = await this.pool.query(query, [playerId, refreshTokenHash, expiresAt, userAgent]);
+        this.log.debug('Player session created', { playerId, sessionId: result.rows[0].session_id });
+        return result.rows[0];
+    }
+
+    /**
+     * Get session by ID
+     * @param {string} sessionId
+     * @returns {Promise<Object|null>}
+     */
+    async getPlayerSession(sessionId) {
+        const query = `
+            SELECT session_id, player_id, created_at, last_used_at, expires_at, revoked_at, revoked_reason
+            FROM player_sessions
+            WHERE session_id = $1
+        `;
+
+        const result = await this.pool.query(query, [sessionId]);
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Swap a session's refresh token for a new one
+     * Only succeeds for the current token of a live session, so concurrent
+     * refreshes with the same token cannot both win
+     * @param {string} refreshTokenHash - Hash of the presented token
+     * @param {string} newTokenHash
+     * @param {Date} expiresAt - New sliding expiry
+     * @returns {Promise<Object|null>} Updated session, null if the token is not current
+     */
+    async rotatePlayerSession(refreshTokenHash, newTokenHash, expiresAt) {
+        const query = `
+            UPDATE player_sessions
+            SET previous_token_hash = refresh_token_hash,
+                refresh_token_hash = $2,
+                expires_at = $3,
+                last_used_at = NOW()
+            WHERE refresh_token_hash = $1
+              AND revoked_at IS NULL
+              AND expires_at > NOW()
+            RETURNING session_id, player_id, expires_at
+        `;
+
+        const result = await this.pool.query(query, [refreshTokenHash, newTokenHash, expiresAt]);
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Find the live session a refresh token was rotated out of
+     * @param {string} refreshTokenHash
+     * @returns {Promise<Object|null>}
+     */
+    async getSessionByPreviousToken(refreshTokenHash) {
+        const query = `
+            SELECT session_id, player_id
+            FROM player_sessions
+            WHERE previous_token_hash = $1 AND revoked_at IS NULL
+        `;
+
+        const result = await this.pool.query(query, [refreshTokenHash]);
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Revoke one session
+     * @param {string} sessionId
+     * @param {string} reason
+     * @returns {Promise<boolean>} false if already revoked or unknown
+     */
+    async revokePlayerSession(sessionId, reason) {
+        const query = `
+            UPDATE player_sessions
+            SET revoked_at = NOW(), revoked_reason = $2
+            WHERE session_id = $1 AND revoked_at IS NULL
+        `;
+
+        const result = await this.pool.query(query, [sessionId, reason]);
+        return result.rowCount > 0;
+    }
+
+    /**
+     * Revoke every live session of a player
+     * @param {string} playerId
+     * @param {string} reason
+     * @returns {Promise<Array<string>>} Revoked session IDs
+     */
+    async revokeAllPlayerSessions(playerId, reason) {
+        const query = `
+            UPDATE player_sessions
+            SET revoked_at = NOW(), revoked_reason = $2
+            WHERE player_id = $1 AND revoked_at IS NULL
+            RETURNING session_id
+        `;
+
+        const result = await this.pool.query(query, [playerId, reason]);
+        this.log.info('Player sessions revoked', { playerId, reason, count: result.rowCount });
+        return result.rows.map(row => row.session_id);
+    }
+
     // =============================================
     // SCHEMATIC OPERATIONS
     // =============================================
@@ -149,9 +268,10 @@ export class CentralLibraryDB {
     /**
      * Create a schematic entry
      * @param {Object} schematic - Schematic data
+     * @param {Object} db - Pool or transaction client
      * @returns {Promise<Object>}
      */
-    async createSchematic(schematic) {
+    async createSchematic(schematic, db = this.pool) {
         const query = `
             INSERT INTO schematics (
                 creator_id, name, description,
@@ -161,17 +281,23 @@ export class CentralLibraryDB {
                 gravity_vector_x, gravity_vector_y, gravity_vector_z,
                 anchor_point_x, anchor_point_y, anchor_point_z,
                 is_planet, spawn_frequency,
-                is_composite, component_count
-            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22)
+                is_composite, component_count,
+                emissive_count, is_ship,
+                control_panel_count, thruster_count, seat_count,
+                content_verified
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23, $24, $25, $26, $27, $28)
             RETURNING schematic_id, created_at
         `;
 
+        // Server-recomputed content stats (see schematics/validation.js)
+        const stats = schematic.contentStats || {};
+
         // Default gravity vector: Y-down [0, -1, 0]
         const gravityVector = schematic.gravityVector || [0, -1, 0];
         // Default anchor point: center-bottom [0.5, 0, 0.5]
         const anchorPoint = schematic.anchorPoint || [0.5, 0, 0.5];
 
-        const result = await this.pool.query(query, [
+        const result = await db.query(query, [
             schematic.creatorId,
             schematic.name,
             schematic.description || null,
@@ -193,7 +319,13 @@ export class CentralLibraryDB {
             schematic.isPlanet || false,
             schematic.spawnFrequency || 0.0,
             schematic.isComposite || false,
-            schematic.componentCount || 0
+            schematic.componentCount || 0,
+            stats.emissiveCount || 0,
+            stats.isShip || false,
+            stats.controlPanelCount || 0,
+            stats.thrusterCount || 0,
+            stats.seatCount || 0,
+            !!schematic.contentStats
         ]);
 
         this.log.info('Schematic created', {
@@ -244,67 +376,194 @@ export class CentralLibraryDB {
 
     /**
      * Search schematics
-     * @param {Object} filters
-     * @returns {Promise<Array>}
+     * Keyset-paginated: pass the previous page's last sort value and
+     * schematic_id as filters.cursor. Fetches one extra row so callers can
+     * tell whether another page exists.
+     * @param {Object} filters - Parsed by schematics/search.js parseSearchParams
+     * @returns {Promise<Array>} Rows with sort_value as text, so cursors keep full timestamp/float precision
      */
     async searchSchematics(filters = {}) {
+        const { conditions, params, textParam } = this.buildSchematicSearchConditions(filters);
+        const sortBy = filters.sortBy || 'created_at';
+        const sortOrder = filters.sortOrder === 'ASC' ? 'ASC' : 'DESC';
+        const sort = SEARCH_SORT_FIELDS[sortBy];
+        if (!sort) {
+            throw new Error(`Unsupported sort field: ${sortBy}`);
+        }
+
+        const rank = textParam
+            ? `ts_rank_cd(s.search_vector, websearch_to_tsquery('english', $${textParam}))`
+            : 'NULL::real';
+
+        let popularityJoin = '';
+        if (sortBy === 'popular') {
+            const interval = POPULARITY_WINDOWS[filters.window || 'week'];
+            let since = '';
+            if (interval) {
+                params.push(interval);
+                since = `$${params.length}::interval`;
+            }
+            popularityJoin = `
+                LEFT JOIN LATERAL (
+                    SELECT
+                        (SELECT COUNT(*) FROM schematic_download_events d
+                         WHERE d.schematic_id = s.schematic_id
+                         ${since ? `AND d.downloaded_at >= NOW() - ${since}` : ''}) +
+                        (SELECT COUNT(*) FROM schematic_usage_events u
+                         WHERE u.schematic_id = s.schematic_id
+                         ${since ? `AND u.placed_at >= NOW() - ${since}` : ''}) AS popularity
+                ) pop ON true
+            `;
+        }
+
         let query = `
-            SELECT s.*,
-                   p.username as creator_name,
-                   p.trust_score as creator_trust
-            FROM schematics s
-            JOIN players p ON s.creator_id = p.player_id
-            WHERE 1=1
+            SELECT s.*, (${sort.expression})::text AS sort_value
+            FROM (
+                SELECT s.*,
+                       p.username as creator_name,
+                       p.trust_score as creator_trust,
+                       ${rank} AS search_rank,
+                       ${sortBy === 'popular' ? 'pop.popularity' : 'NULL::bigint'} AS popularity
+                FROM schematics s
+                JOIN players p ON s.creator_id = p.player_id
+                ${popularityJoin}
+                WHERE ${conditions.join(' AND ')}
+            ) s
+        `;
+
+        if (filters.cursor) {
+            params.push(filters.cursor.value, filters.cursor.schematicId);
+            const comparison = sortOrder === 'DESC' ? '<' : '>';
+            query += ` WHERE (${sort.expression}, s.schematic_id) ${comparison} ($${params.length - 1}::${sort.cast}, $${params.length}::uuid)`;
+        }
+
+        params.push((filters.limit || 50) + 1);
+        query += `
+            ORDER BY ${sort.expression} ${sortOrder}, s.schematic_id ${sortOrder}
+            LIMIT $${params.length}
         `;
 
+        const result = await this.pool.query(query, params);
+        return result.rows;
+    }
+
+    /**
+     * Facet counts for a search (pagination ignored)
+     * @param {Object} filters
+     * @returns {Promise<{categories: Array, tags: Array}>}
+     */
+    async getSchematicSearchFacets(filters = {}) {
+        const { conditions, params } = this.buildSchematicSearchConditions(filters);
+        params.push(filters.facetLimit || 20);
+        const limitParam = `$${params.length}`;
+        const where = conditions.join(' AND ');
+
+        const [categories, tags] = await Promise.all([
+            this.pool.query(`
+                SELECT s.category AS value, COUNT(*)::integer AS count
+                FROM schematics s
+                JOIN players p ON s.creator_id = p.player_id
+                WHERE ${where}
+                GROUP BY s.category
+                ORDER BY count DESC, value
+                LIMIT ${limitParam}
+            `, params),
+            this.pool.query(`
+                SELECT t.tag AS value, COUNT(*)::integer AS count
+                FROM schematics s
+                JOIN players p ON s.creator_id = p.player_id
+                CROSS JOIN LATERAL unnest(s.tags) AS t(tag)
+                WHERE ${where}
+                GROUP BY t.tag
+                ORDER BY count DESC, value
+                LIMIT ${limitParam}
+            `, params)
+        ]);
+
+        return {
+            categories: categories.rows,
+            tags: tags.rows
+        };
+    }
+
+    /**
+     * WHERE conditions shared by searchSchematics and its facets
+     * @returns {{conditions: Array<string>, params: Array, textParam: number|null}}
+     */
+    buildSchematicSearchConditions(filters) {
+        const conditions = ['1=1'];
         const params = [];
-        let paramIndex = 1;
+        const param = (value) => {
+            params.push(value);
+            return `$${params.length}`;
+        };
+
+        let textParam = null;
+        if (filters.text) {
+            const placeholder = param(filters.text);
+            textParam = params.length;
+            conditions.push(`s.search_vector @@ websearch_to_tsquery('english', ${placeholder})`);
+        }
 
-        if (filters.category) {
-            query += ` AND s.category = $${paramIndex}`;
-            params.push(filters.category);
-            paramIndex++;
+        if (filters.categories) {
+            conditions.push(`s.category = ANY(${param(filters.categories)}::text[])`);
         }
 
-        if (filters.tags && filters.tags.length > 0) {
-            query += ` AND s.tags && $${paramIndex}::text[]`;
-            params.push(filters.tags);
-            paramIndex++;
+        if (filters.anyTags) {
+            conditions.push(`s.tags && ${param(filters.anyTags)}::text[]`);
+        }
+
+        if (filters.allTags) {
+            conditions.push(`s.tags @> ${param(filters.allTags)}::text[]`);
+        }
+
+        if (filters.excludeTags) {
+            conditions.push(`NOT (COALESCE(s.tags, '{}') && ${param(filters.excludeTags)}::text[])`);
         }
 
         if (filters.creatorId) {
-            query += ` AND s.creator_id = $${paramIndex}`;
-            params.push(filters.creatorId);
-            paramIndex++;
+            conditions.push(`s.creator_id = ${param(filters.creatorId)}`);
         }
 
-        if (filters.isPlanet !== undefined) {
-            query += ` AND s.is_planet = $${paramIndex}`;
-            params.push(filters.isPlanet);
-            paramIndex++;
+        if (filters.creatorName) {
+            conditions.push(`LOWER(p.username) = LOWER(${param(filters.creatorName)})`);
         }
 
-        // Sorting
-        const sortBy = filters.sortBy || 'created_at';
-        const sortOrder = filters.sortOrder || 'DESC';
-        query += ` ORDER BY s.${sortBy} ${sortOrder}`;
+        for (const [filter, column] of [['isPlanet', 'is_planet'], ['isShip', 'is_ship'], ['isComposite', 'is_composite']]) {
+            if (filters[filter] !== undefined) {
+                conditions.push(`s.${column} = ${param(filters[filter])}`);
+            }
+        }
 
-        // Pagination
-        const limit = filters.limit || 50;
-        const offset = filters.offset || 0;
-        query += ` LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`;
-        params.push(limit, offset);
+        if (filters.verifiedOnly) {
+            conditions.push('s.content_verified = true');
+        }
 
-        const result = await this.pool.query(query, params);
-        return result.rows;
+        // Columns and operators come from the parser's whitelist
+        for (const range of filters.ranges || []) {
+            conditions.push(`s.${range.column} ${range.operator} ${param(range.value)}`);
+        }
+
+        for (const block of filters.blockTypes || []) {
+            conditions.push(`EXISTS (
+                SELECT 1 FROM schematic_block_types b
+                WHERE b.schematic_id = s.schematic_id
+                  AND b.voxel_type_id = ${param(block.typeId)}
+                  AND b.voxel_count >= ${param(block.minCount || 1)}
+            )`);
+        }
+
+        return { conditions, params, textParam };
     }
 
     /**
      * Increment schematic download count
+     * Also records a download event for windowed popularity sorting
      * @param {string} schematicId
+     * @param {string|null} playerId - Downloading player, if authenticated
      * @returns {Promise<void>}
      */
-    async incrementDownloadCount(schematicId) {
+    async incrementDownloadCount(schematicId, playerId = null) {
         const query = `
             UPDATE schematics
             SET download_count = download_count + 1
@@ -312,6 +571,10 @@ export class CentralLibraryDB {
         `;
 
         await this.pool.query(query, [schematicId]);
+        await this.pool.query(
+            'INSERT INTO schematic_download_events (schematic_id, player_id) VALUES ($1, $2)',
+            [schematicId, playerId]
+        );
     }
 
     /**
@@ -332,6 +595,242 @@ export class CentralLibraryDB {
         this.log.info('Schematic validated', { schematicId });
     }
 
+    /**
+     * Update editable schematic metadata (description, tags, spawn frequency)
+     * @param {string} schematicId
+     * @param {Object} updates
+     * @returns {Promise<Object|null>}
+     */
+    async updateSchematicMetadata(schematicId, updates) {
+        const query = `
+            UPDATE schematics
+            SET description = COALESCE($1, description),
+                tags = COALESCE($2, tags),
+                spawn_frequency = COALESCE($3, spawn_frequency)
+            WHERE schematic_id = $4
+            RETURNING schematic_id, description, tags, spawn_frequency
+        `;
+
+        const result = await this.pool.query(query, [
+            updates.description ?? null,
+            updates.tags ?? null,
+            updates.spawnFrequency ?? null,
+            schematicId
+        ]);
+        return result.rows[0] || null;
+    }
+
+    // =============================================
+    // SCHEMATIC REVISIONS
+    // =============================================
+
+    /**
+     * Record an immutable revision of a schematic's voxel content
+     * The revision number is allocated in the same statement; when
+     * advanceHead is set the schematic's file, size and head pointer move
+     * to the new revision in the same transaction.
+     * @param {Object} revision - Revision data
+     * @returns {Promise<Object>}
+     */
+    async createSchematicRevision(revision) {
+        return await this.pool.transaction(client => this.insertSchematicRevision(client, revision));
+    }
+
+    /**
+     * Create a schematic together with its first revision
+     * Neither row is kept if either insert fails, so no schematic is left
+     * without a head revision.
+     * @param {Object} schematic - Schematic data (see createSchematic)
+     * @param {Object} revision - Revision data without schematicId
+     * @returns {Promise<{schematic: Object, revision: Object}>}
+     */
+    async createSchematicWithRevision(schematic, revision) {
+        return await this.pool.transaction(async (client) => {
+            const created = await this.createSchematic(schematic, client);
+            const initial = await this.insertSchematicRevision(client, {
+                ...revision,
+                schematicId: created.schematic_id,
+                advanceHead: true
+            });
+
+            return { schematic: created, revision: initial };
+        });
+    }
+
+    /**
+     * Insert a revision inside a transaction (see createSchematicRevision)
+     * @param {Object} client - Transaction client
+     * @param {Object} revision - Revision data
+     * @returns {Promise<Object>}
+     */
+    async insertSchematicRevision(client, revision) {
+        const insert = `
+            INSERT INTO schematic_revisions (
+                schematic_id, revision_number,
+                parent_revision_id, merge_parent_revision_id,
+                file_cid, author_id, message,
+                size_x, size_y, size_z, voxel_count
+            )
+            SELECT $1, COALESCE(MAX(revision_number), 0) + 1, $2, $3, $4, $5, $6, $7, $8, $9, $10
+            FROM schematic_revisions
+            WHERE schematic_id = $1
+            RETURNING *
+        `;
+
+        // Serialise revision numbering per schematic
+        await client.query('SELECT 1 FROM schematics WHERE schematic_id = $1 FOR UPDATE', [revision.schematicId]);
+
+        const result = await client.query(insert, [
+            revision.schematicId,
+            revision.parentRevisionId || null,
+            revision.mergeParentRevisionId || null,
+            revision.fileCid,
+            revision.authorId,
+            revision.message || null,
+            revision.sizeX,
+            revision.sizeY,
+            revision.sizeZ,
+            revision.voxelCount
+        ]);
+        const created = result.rows[0];
+
+        if (revision.advanceHead) {
+            const stats = revision.contentStats || {};
+            await client.query(`
+                UPDATE schematics
+                SET head_revision_id = $1,
+                    file_cid = $2,
+                    size_x = $3,
+                    size_y = $4,
+                    size_z = $5,
+                    voxel_count = $6,
+                    emissive_count = $7,
+                    is_ship = $8,
+                    control_panel_count = $9,
+                    thruster_count = $10,
+                    seat_count = $11,
+                    content_verified = $12,
+                    is_validated = false,
+                    validation_proof_cid = NULL
+                WHERE schematic_id = $13
+            `, [
+                created.revision_id,
+                created.file_cid,
+                created.size_x,
+                created.size_y,
+                created.size_z,
+                created.voxel_count,
+                stats.emissiveCount || 0,
+                stats.isShip || false,
+                stats.controlPanelCount || 0,
+                stats.thrusterCount || 0,
+                stats.seatCount || 0,
+                !!revision.contentStats,
+                revision.schematicId
+            ]);
+
+            if (revision.contentStats) {
+                await this.replaceSchematicBlockTypes(client, revision.schematicId, stats.blockTypes || {});
+            }
+        }
+
+        this.log.info('Schematic revision created', {
+            schematicId: revision.schematicId,
+            revisionId: created.revision_id,
+            revisionNumber: created.revision_number,
+            head: !!revision.advanceHead
+        });
+
+        return created;
+    }
+
+    /**
+     * Replace the block composition rows of a schematic's head
+     * @param {Object} client - Transaction client
+     * @param {string} schematicId
+     * @param {Object} blockTypes - voxel type id -> count
+     * @returns {Promise<void>}
+     */
+    async replaceSchematicBlockTypes(client, schematicId, blockTypes) {
+        await client.query('DELETE FROM schematic_block_types WHERE schematic_id = $1', [schematicId]);
+
+        const entries = Object.entries(blockTypes);
+        if (entries.length === 0) return;
+
+        await client.query(`
+            INSERT INTO schematic_block_types (schematic_id, voxel_type_id, voxel_count)
+            SELECT $1, type_id, voxel_count
+            FROM unnest($2::integer[], $3::integer[]) AS t(type_id, voxel_count)
+        `, [
+            schematicId,
+            entries.map(([typeId]) => parseInt(typeId)),
+            entries.map(([, count]) => count)
+        ]);
+    }
+
+    /**
+     * List revisions of a schematic, newest first
+     * @param {string} schematicId
+     * @param {number} limit
+     * @param {number} offset
+     * @returns {Promise<Array>}
+     */
+    async getSchematicRevisions(schematicId, limit = 50, offset = 0) {
+        const query = `
+            SELECT r.*,
+                   p.username as author_name
+            FROM schematic_revisions r
+            JOIN players p ON r.author_id = p.player_id
+            WHERE r.schematic_id = $1
+            ORDER BY r.revision_number DESC
+            LIMIT $2 OFFSET $3
+        `;
+
+        const result = await this.pool.query(query, [schematicId, limit, offset]);
+        return result.rows;
+    }
+
+    /**
+     * Get a revision by its UUID or by revision number
+     * @param {string} schematicId
+     * @param {string|number} revision - revision_id or revision_number
+     * @returns {Promise<Object|null>}
+     */
+    async getSchematicRevision(schematicId, revision) {
+        const byNumber = /^\d+$/.test(String(revision));
+        if (!byNumber && !/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(String(revision))) {
+            return null;
+        }
+
+        const query = `
+            SELECT r.*,
+                   p.username as author_name
+            FROM schematic_revisions r
+            JOIN players p ON r.author_id = p.player_id
+            WHERE r.schematic_id = $1
+              AND ${byNumber ? 'r.revision_number = $2' : 'r.revision_id = $2'}
+        `;
+
+        const result = await this.pool.query(query, [schematicId, byNumber ? parseInt(revision) : revision]);
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Revision graph edges for ancestor lookups
+     * @param {string} schematicId
+     * @returns {Promise<Array>}
+     */
+    async getSchematicRevisionGraph(schematicId) {
+        const query = `
+            SELECT revision_id, parent_revision_id, merge_parent_revision_id
+            FROM schematic_revisions
+            WHERE schematic_id = $1
+        `;
+
+        const result = await this.pool.query(query, [schematicId]);
+        return result.rows;
+    }
+
     // =============================================
     // SCHEMATIC USAGE TRACKING
     // =============================================
@@ -462,6 +961,66 @@ export class CentralLibraryDB {
         return result.rows;
     }
 
+    /**
+     * Get a registered server
+     * @param {string} serverId
+     * @returns {Promise<Object|null>}
+     */
+    async getServer(serverId) {
+        const result = await this.pool.query('SELECT * FROM servers WHERE server_id = $1', [serverId]);
+        return result.rows[0] || null;
+    }
+
+    // =============================================
+    // MEGACHUNK OWNERSHIP
+    // =============================================
+
+    /**
+     * Get the server that owns a megachunk
+     * @param {number} mx
+     * @param {number} my
+     * @param {number} mz
+     * @returns {Promise<Object|null>} Server row (with assigned_at), null if unassigned
+     */
+    async getMegachunkOwner(mx, my, mz) {
+        const query = `
+            SELECT s.*, o.assigned_at
+            FROM megachunk_owners o
+            JOIN servers s ON s.server_id = o.server_id
+            WHERE o.mx = $1 AND o.my = $2 AND o.mz = $3
+        `;
+
+        const result = await this.pool.query(query, [mx, my, mz]);
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Assign a megachunk to a server, or release it with serverId null
+     * @param {number} mx
+     * @param {number} my
+     * @param {number} mz
+     * @param {string|null} serverId
+     * @returns {Promise<void>}
+     */
+    async setMegachunkOwner(mx, my, mz, serverId) {
+        if (serverId === null) {
+            await this.pool.query('DELETE FROM megachunk_owners WHERE mx = $1 AND my = $2 AND mz = $3', [mx, my, mz]);
+            return;
+        }
+
+        const query = `
+            INSERT INTO megachunk_owners (mx, my, mz, server_id)
+            VALUES ($1, $2, $3, $4)
+            ON CONFLICT (mx, my, mz) DO UPDATE
+            SET server_id = EXCLUDED.server_id,
+                assigned_at = NOW()
+        `;
+
+        await this.pool.query(query, [mx, my, mz, serverId]);
+
+        this.log.info('Megachunk owner assigned', { mx, my, mz, serverId });
+    }
+
     // =============================================
     // VALIDATION CONSENSUS
     // =============================================
@@ -499,17 +1058,27 @@ export class CentralLibraryDB {
      * @param {string} validatorId
      * @param {boolean} agrees
      * @param {string} proofCid
+     * @param {Object} proof - Optional {resultHash, proofHash, status} from the computation proof
      * @returns {Promise<void>}
      */
-    async recordValidationVote(consensusId, validatorId, agrees, proofCid = null) {
+    async recordValidationVote(consensusId, validatorId, agrees, proofCid = null, proof = {}) {
         const query = `
             INSERT INTO validation_votes (
-                consensus_id, validator_id, agrees, computation_proof_cid
-            ) VALUES ($1, $2, $3, $4)
+                consensus_id, validator_id, agrees, computation_proof_cid,
+                result_hash, proof_hash, proof_status
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7)
             ON CONFLICT (consensus_id, validator_id) DO NOTHING
         `;
 
-        await this.pool.query(query, [consensusId, validatorId, agrees, proofCid]);
+        await this.pool.query(query, [
+            consensusId,
+            validatorId,
+            agrees,
+            proofCid,
+            proof.resultHash || null,
+            proof.proofHash || null,
+            proof.status || null
+        ]);
     }
 
     /**
@@ -524,7 +1093,11 @@ export class CentralLibraryDB {
                 json_agg(json_build_object(
                     'validator_id', vv.validator_id,
                     'agrees', vv.agrees,
-                    'voted_at', vv.voted_at
+                    'voted_at', vv.voted_at,
+                    'computation_proof_cid', vv.computation_proof_cid,
+                    'result_hash', vv.result_hash,
+                    'proof_hash', vv.proof_hash,
+                    'proof_status', vv.proof_status
                 )) as votes
             FROM consensus_results cr
             LEFT JOIN validation_votes vv ON cr.consensus_id = vv.consensus_id
@@ -572,6 +1145,32 @@ export class CentralLibraryDB {
         });
     }
 
+    /**
+     * Store the reference hash and each vote's proof verification status
+     * @param {string} consensusId
+     * @param {string|null} referenceHash
+     * @param {Object} statuses - validatorId -> proof status
+     * @returns {Promise<void>}
+     */
+    async recordProofVerification(consensusId, referenceHash, statuses) {
+        await this.pool.transaction(async (client) => {
+            await client.query(
+                'UPDATE consensus_results SET reference_result_hash = $1 WHERE consensus_id = $2',
+                [referenceHash, consensusId]
+            );
+
+            const validatorIds = Object.keys(statuses);
+            if (validatorIds.length === 0) return;
+
+            await client.query(`
+                UPDATE validation_votes vv
+                SET proof_status = s.status
+                FROM UNNEST($2::uuid[], $3::text[]) AS s(validator_id, status)
+                WHERE vv.consensus_id = $1 AND vv.validator_id = s.validator_id
+            `, [consensusId, validatorIds, validatorIds.map(id => statuses[id])]);
+        });
+    }
+
     // =============================================
     // TRUST HISTORY
     // =============================================
@@ -605,6 +1204,35 @@ export class CentralLibraryDB {
         ]);
     }
 
+    /**
+     * Subtract a penalty from a player's trust score and record why
+     * @param {string} playerId
+     * @param {number} penalty - Amount to subtract (score never drops below 0)
+     * @param {string} reason
+     * @returns {Promise<{oldScore: number, newScore: number}|null>} null if player not found
+     */
+    async applyTrustPenalty(playerId, penalty, reason) {
+        return this.pool.transaction(async (client) => {
+            const result = await client.query(
+                'SELECT trust_score FROM players WHERE player_id = $1 FOR UPDATE',
+                [playerId]
+            );
+            if (result.rows.length === 0) return null;
+
+            const oldScore = result.rows[0].trust_score;
+            const newScore = Math.max(0, oldScore - penalty);
+
+            await client.query('UPDATE players SET trust_score = $1 WHERE player_id = $2', [newScore, playerId]);
+            await client.query(`
+                INSERT INTO trust_history (player_id, old_score, new_score, delta, reason)
+                VALUES ($1, $2, $3, $4, $5)
+            `, [playerId, oldScore, newScore, newScore - oldScore, reason]);
+
+            this.log.info('Trust penalty applied', { playerId, reason, oldScore, newScore });
+            return { oldScore, newScore };
+        });
+    }
+
     /**
      * Get player trust history
      * @param {string} playerId
@@ -624,6 +1252,170 @@ export class CentralLibraryDB {
         return result.rows;
     }
 
+    // =============================================
+    // COLLUSION DETECTION
+    // =============================================
+
+    /**
+     * Record the hashed address a player connected from
+     * @param {string} playerId
+     * @param {string} addressHash
+     * @returns {Promise<void>}
+     */
+    async recordPlayerConnection(playerId, addressHash) {
+        const query = `
+            INSERT INTO player_connection_addresses (player_id, address_hash)
+            VALUES ($1, $2)
+            ON CONFLICT (player_id, address_hash) DO UPDATE
+            SET last_seen_at = NOW(),
+                connection_count = player_connection_addresses.connection_count + 1
+        `;
+
+        await this.pool.query(query, [playerId, addressHash]);
+    }
+
+    /**
+     * Get connection addresses seen within a window
+     * @param {Object} options
+     * @param {Array<string>} options.playerIds - Restrict to these players (all when omitted)
+     * @param {number} options.days
+     * @returns {Promise<Array>} {player_id, address_hash}
+     */
+    async getPlayerConnectionAddresses(options = {}) {
+        const params = [options.days || 30];
+        let playerFilter = '';
+
+        if (options.playerIds) {
+            params.push(options.playerIds);
+            playerFilter = 'AND player_id = ANY($2::uuid[])';
+        }
+
+        const query = `
+            SELECT player_id, address_hash
+            FROM player_connection_addresses
+            WHERE last_seen_at > NOW() - make_interval(days => $1)
+              ${playerFilter}
+        `;
+
+        const result = await this.pool.query(query, params);
+        return result.rows;
+    }
+
+    /**
+     * Get validation votes with consensus context for collusion analysis
+     * @param {Object} options
+     * @param {Array<string>} options.playerIds - Only votes cast by these validators
+     * @param {number} options.days
+     * @param {number} options.limit - Most recent votes kept
+     * @returns {Promise<Array>}
+     */
+    async getValidationVoteHistory(options = {}) {
+        const params = [options.days || 30, options.limit || 50000];
+        let playerFilter = '';
+
+        if (options.playerIds) {
+            params.push(options.playerIds);
+            playerFilter = 'AND vv.validator_id = ANY($3::uuid[])';
+        }
+
+        const query = `
+            SELECT vv.consensus_id,
+                   vv.validator_id,
+                   vv.agrees,
+                   vv.voted_at,
+                   cr.submitter_id,
+                   cr.is_valid,
+                   p.created_at AS validator_created_at
+            FROM validation_votes vv
+            JOIN consensus_results cr ON vv.consensus_id = cr.consensus_id
+            JOIN players p ON vv.validator_id = p.player_id
+            WHERE vv.voted_at > NOW() - make_interval(days => $1)
+              ${playerFilter}
+            ORDER BY vv.voted_at DESC
+            LIMIT $2
+        `;
+
+        const result = await this.pool.query(query, params);
+        return result.rows;
+    }
+
+    /**
+     * Persist collusion flags, merging re-detections of the same finding
+     * @param {Array<Object>} flags - From analyzeCollusion
+     * @param {string} consensusId - Consensus whose resolution found them
+     * @returns {Promise<void>}
+     */
+    async recordCollusionFlags(flags, consensusId = null) {
+        if (flags.length === 0) return;
+
+        await this.pool.transaction(async (client) => {
+            for (const flag of flags) {
+                await client.query(`
+                    INSERT INTO collusion_flags (
+                        fingerprint, flag_type, severity, player_ids,
+                        reason, details, last_consensus_id
+                    ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+                    ON CONFLICT (fingerprint) DO UPDATE
+                    SET severity = EXCLUDED.severity,
+                        reason = EXCLUDED.reason,
+                        details = EXCLUDED.details,
+                        last_consensus_id = EXCLUDED.last_consensus_id,
+                        occurrences = collusion_flags.occurrences + 1,
+                        last_detected_at = NOW()
+                `, [
+                    flag.fingerprint,
+                    flag.type,
+                    flag.severity,
+                    flag.playerIds,
+                    flag.reason,
+                    JSON.stringify(flag.details || {}),
+                    consensusId
+                ]);
+            }
+        });
+    }
+
+    /**
+     * Get persisted collusion flags
+     * @param {Object} options
+     * @param {number} options.days - Last detected within
+     * @param {string} options.type - Flag type
+     * @param {string} options.playerId - Flags involving this player
+     * @param {number} options.limit
+     * @returns {Promise<Array>}
+     */
+    async getCollusionFlags(options = {}) {
+        const conditions = ['cf.last_detected_at > NOW() - make_interval(days => $1)'];
+        const params = [options.days || 30];
+
+        if (options.type) {
+            params.push(options.type);
+            conditions.push(`cf.flag_type = $${params.length}`);
+        }
+
+        if (options.playerId) {
+            params.push(options.playerId);
+            conditions.push(`$${params.length}::uuid = ANY(cf.player_ids)`);
+        }
+
+        params.push(options.limit || 100);
+
+        const query = `
+            SELECT cf.*,
+                   (SELECT array_agg(p.username ORDER BY p.username)
+                    FROM players p
+                    WHERE p.player_id = ANY(cf.player_ids)) AS usernames
+            FROM collusion_flags cf
+            WHERE ${conditions.join(' AND ')}
+            ORDER BY CASE cf.severity WHEN 'high' THEN 0 WHEN 'medium' THEN 1 ELSE 2 END,
+                     cf.last_detected_at DESC
+            LIMIT $${params.length}
+        `;
+
+        const result = await this.pool.query(query, params);
+        return result.rows;
+    }
+
     // =============================================
     // SCHEMATIC REFERENCES (Composite Builds)
     // =============================================
@@ -2,11 +2,104 @@
  * POLYMIR WORLD SERVER DATABASE ADAPTER
  * ======================================
  * Database operations for World Server (ephemeral world state, player positions, chunks)
- * Handles: megachunks, celestial bodies, player positions, chunk modifications, placements
+ * Handles: megachunks, celestial bodies, player positions, chunk modifications, placements,
+ * body handoffs between servers, chat history
  */
 
 import logger from '../utils/logger.js';
 
+// Columns copied between world servers when a body is handed off. Rows from a
+// peer are only ever written through these lists; megachunk and foreign keys
+// that may not exist on the receiving server are set separately
+const HANDOFF_COLUMNS = {
+    celestial_bodies: [
+        'body_id', 'local_x', 'local_y', 'local_z',
+        'velocity_x', 'velocity_y', 'velocity_z',
+        'rotation_x', 'rotation_y', 'rotation_z', 'rotation_w',
+        'angular_velocity_x', 'angular_velocity_y', 'angular_velocity_z',
+        'body_type', 'generation_seed', 'schematic_cid', 'procedural_params',
+        'radius', 'mass', 'gravity_multiplier',
+        'gravitational_center_x', 'gravitational_center_y', 'gravitational_center_z',
+        'is_fractured', 'shatter_generation', 'parent_fragment_id', 'fracture_pattern',
+        'motion_mode', 'orbit_semi_major_axis', 'orbit_eccentricity', 'orbit_inclination',
+        'orbit_longitude_ascending_node', 'orbit_argument_periapsis', 'orbit_mean_anomaly',
+        'created_at'
+    ],
+    schematic_placements: [
+        'placement_id', 'schematic_id', 'schematic_cid', 'layer_id', 'layer_scale_ratio',
+        'position_x', 'position_y', 'position_z',
+        'rotation_x', 'rotation_y', 'rotation_z', 'rotation_w',
+        'placed_by', 'validation_proof_cid', 'is_validated', 'placed_at', 'validated_at'
+    ],
+    chunk_modifications: [
+        'modification_id', 'chunk_x', 'chunk_y', 'chunk_z',
+        'chunk_data_cid', 'validation_proof_cid', 'modified_by', 'modification_type',
+        'is_validated', 'trust_score_at_modification', 'modified_at', 'validated_at'
+    ],
+    damage_map: [
+        'damage_id', 'voxel_x', 'voxel_y', 'voxel_z', 'layer_id',
+        'change_type', 'voxel_type', 'voxel_color',
+        'player_id', 'trust_score_at_change', 'build_mode',
+        'attached_schematic_placement_id', 'created_at'
+    ],
+    ships: [
+        'ship_id', 'schematic_placement_id', 'owner_id', 'name', 'state', 'pilot_id',
+        'position_x', 'position_y', 'position_z',
+        'velocity_x', 'velocity_y', 'velocity_z',
+        'rotation_x', 'rotation_y', 'rotation_z', 'rotation_w',
+        'angular_velocity_x', 'angular_velocity_y', 'angular_velocity_z',
+        'mass', 'total_thrust', 'fuel_capacity', 'current_fuel', 'gyroscope_strength',
+        'control_panel_position', 'thrusters', 'pilot_seat_position', 'passenger_seats',
+        'gravity_vector_x', 'gravity_vector_y', 'gravity_vector_z',
+        'created_at', 'last_piloted_at'
+    ],
+    player_positions: [
+        'player_id', 'position_x', 'position_y', 'position_z',
+        'velocity_x', 'velocity_y', 'velocity_z',
+        'rotation_x', 'rotation_y', 'rotation_z', 'rotation_w',
+        'current_build_mode', 'last_position_update'
+    ]
+};
+
+// Sent as JSON text, otherwise pg would turn arrays into Postgres arrays
+const JSONB_COLUMNS = new Set([
+    'procedural_params', 'fracture_pattern',
+    'control_panel_position', 'thrusters', 'pilot_seat_position', 'passenger_seats'
+]);
+
+/**
+ * Insert one handed-off row through a column whitelist
+ * Columns the peer did not send keep their defaults. With a conflict key, an
+ * existing row is overwritten with everything that was inserted.
+ * @param {Object} client - Transaction client
+ * @param {string} table - Key of HANDOFF_COLUMNS
+ * @param {Object} row
+ * @param {Object} overrides - Extra or replaced column values
+ * @param {string|null} conflictKey
+ */
+async function insertHandoffRow(client, table, row, overrides = {}, conflictKey = null) {
+    const columns = HANDOFF_COLUMNS[table].filter(column => row[column] !== undefined && !(column in overrides));
+    const values = columns.map(column => (JSONB_COLUMNS.has(column) && row[column] !== null
+        ? JSON.stringify(row[column])
+        : row[column]));
+
+    columns.push(...Object.keys(overrides));
+    values.push(...Object.values(overrides));
+
+    const placeholders = columns.map((_, i) => `$${i + 1}`).join(', ');
+    const conflict = conflictKey
+        ? `ON CONFLICT (${conflictKey}) DO UPDATE SET ${columns
+            .filter(column => column !== conflictKey)
+            .map(column => `${column} = EXCLUDED.${column}`)
+            .join(', ')}`
+        : '';
+
+    await client.query(
+        `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${placeholders}) ${conflict}`,
+        values
+    );
+}
+
 // =============================================
 // WORLD SERVER DATABASE ADAPTER
 // =============================================
@@ -208,7 +301,7 @@ export class WorldServerDB {
     /**
      * Update celestial body physics
      * @param {string} bodyId
-     * @param {Object} physics
+     * @param {Object} physics - Position, velocity, rotation and, for kepler bodies, orbitMeanAnomaly
      * @returns {Promise<void>}
      */
     async updateCelestialBodyPhysics(bodyId, physics) {
@@ -223,8 +316,9 @@ export class WorldServerDB {
                 rotation_x = $7,
                 rotation_y = $8,
                 rotation_z = $9,
-                rotation_w = $10
-            WHERE body_id = $11
+                rotation_w = $10,
+                orbit_mean_anomaly = COALESCE($11, orbit_mean_anomaly)
+            WHERE body_id = $12
         `;
 
         await this.pool.query(query, [
@@ -238,6 +332,7 @@ export class WorldServerDB {
             physics.rotationY,
             physics.rotationZ,
             physics.rotationW,
+            physics.orbitMeanAnomaly ?? null,
             bodyId
         ]);
     }
@@ -1289,6 +1384,19 @@ export class WorldServerDB {
         return result.rows;
     }
 
+    /**
+     * Get ships that were moving when last persisted
+     * @returns {Promise<Array>}
+     */
+    async getShipsInFlight() {
+        const query = `
+            SELECT * FROM ships
+            WHERE state IN ('piloted', 'drifting')
+        `;
+        const result = await this.pool.query(query);
+        return result.rows;
+    }
+
     /**
      * Update ship state
      * @param {string} shipId
@@ -1461,6 +1569,359 @@ export class WorldServerDB {
         const result = await this.pool.query(query, [placementId]);
         return result.rows[0] || null;
     }
+
+    // =============================================
+    // BODY HANDOFF OPERATIONS
+    // =============================================
+
+    /**
+     * Everything that moves with a body to another world server
+     * @param {string} bodyId
+     * @returns {Promise<Object|null>} {body, placements, chunkModifications, damage, ships, players}, null if not here
+     */
+    async exportBodyHandoff(bodyId) {
+        const body = await this.pool.query(`
+            SELECT cb.*, m.mx, m.my, m.mz, m.seed AS megachunk_seed
+            FROM celestial_bodies cb
+            JOIN megachunks m ON cb.megachunk_id = m.megachunk_id
+            WHERE cb.body_id = $1 AND cb.handed_off_to IS NULL
+        `, [bodyId]);
+
+        if (body.rows.length === 0) {
+            return null;
+        }
+
+        const [placements, chunkModifications, damage, ships, players] = await Promise.all([
+            this.pool.query('SELECT * FROM schematic_placements WHERE body_id = $1', [bodyId]),
+            this.pool.query('SELECT * FROM chunk_modifications WHERE body_id = $1', [bodyId]),
+            // Pending damage: not yet extracted into a schematic
+            this.pool.query('SELECT * FROM damage_map WHERE body_id = $1 AND converted_to_schematic_id IS NULL', [bodyId]),
+            this.pool.query(`
+                SELECT s.*
+                FROM ships s
+                JOIN schematic_placements sp ON sp.placement_id = s.schematic_placement_id
+                WHERE sp.body_id = $1 AND s.state <> 'destroyed'
+            `, [bodyId]),
+            this.pool.query('SELECT * FROM player_positions WHERE body_id = $1', [bodyId])
+        ]);
+
+        return {
+            body: body.rows[0],
+            placements: placements.rows,
+            chunkModifications: chunkModifications.rows,
+            damage: damage.rows,
+            ships: ships.rows,
+            players: players.rows
+        };
+    }
+
+    /**
+     * Take over a body handed off by another world server
+     * The body's content replaces whatever an earlier stay left behind here.
+     * @param {Object} bundle - From exportBodyHandoff() on the sending server
+     * @param {Object} megachunk - {mx, my, mz} the body now lives in
+     * @param {Object} local - {x, y, z} position within that megachunk
+     * @returns {Promise<string>} megachunk_id the body was placed in
+     */
+    async importBodyHandoff(bundle, megachunk, local) {
+        const { body } = bundle;
+
+        return await this.pool.transaction(async (client) => {
+            const target = await client.query(`
+                INSERT INTO megachunks (mx, my, mz, seed)
+                VALUES ($1, $2, $3, $4)
+                ON CONFLICT (mx, my, mz) DO UPDATE
+                SET last_accessed = NOW()
+                RETURNING megachunk_id
+            `, [megachunk.mx, megachunk.my, megachunk.mz, body.megachunk_seed ?? body.generation_seed ?? 0]);
+            const megachunkId = target.rows[0].megachunk_id;
+
+            // Parents only carry over if this server already has them; a kepler
+            // body without its parent keeps moving as a simulated one
+            const related = await client.query(
+                'SELECT body_id FROM celestial_bodies WHERE body_id = ANY($1::uuid[])',
+                [[body.parent_body_id, body.original_body_id].filter(Boolean)]
+            );
+            const known = new Set(related.rows.map(row => row.body_id));
+            const parentBodyId = known.has(body.parent_body_id) ? body.parent_body_id : null;
+
+            await insertHandoffRow(client, 'celestial_bodies', body, {
+                megachunk_id: megachunkId,
+                local_x: local.x,
+                local_y: local.y,
+                local_z: local.z,
+                parent_body_id: parentBodyId,
+                original_body_id: known.has(body.original_body_id) ? body.original_body_id : null,
+                motion_mode: body.motion_mode === 'kepler' && !parentBodyId ? 'simulated' : (body.motion_mode || 'simulated'),
+                handed_off_to: null,
+                handed_off_at: null,
+                last_updated: new Date()
+            }, 'body_id');
+
+            // Ships go with their placements (ON DELETE CASCADE)
+            await client.query('DELETE FROM schematic_placements WHERE body_id = $1', [body.body_id]);
+            await client.query('DELETE FROM chunk_modifications WHERE body_id = $1', [body.body_id]);
+            await client.query('DELETE FROM damage_map WHERE body_id = $1', [body.body_id]);
+
+            for (const placement of bundle.placements) {
+                await insertHandoffRow(client, 'schematic_placements', placement, { body_id: body.body_id });
+            }
+            for (const modification of bundle.chunkModifications) {
+                await insertHandoffRow(client, 'chunk_modifications', modification, { body_id: body.body_id });
+            }
+            const placementIds = new Set(bundle.placements.map(placement => placement.placement_id));
+            for (const entry of bundle.damage) {
+                await insertHandoffRow(client, 'damage_map', entry, {
+                    body_id: body.body_id,
+                    attached_schematic_placement_id: placementIds.has(entry.attached_schematic_placement_id)
+                        ? entry.attached_schematic_placement_id
+                        : null
+                });
+            }
+
+            for (const ship of bundle.ships) {
+                await insertHandoffRow(client, 'ships', ship, {
+                    megachunk_id: megachunkId,
+                    docked_to_body_id: ship.docked_to_body_id === body.body_id ? body.body_id : null,
+                    last_updated: new Date()
+                }, 'ship_id');
+            }
+
+            // Players arrive offline; they come online when they connect here
+            for (const player of bundle.players) {
+                await insertHandoffRow(client, 'player_positions', player, {
+                    megachunk_id: megachunkId,
+                    body_id: body.body_id,
+                    is_online: false,
+                    websocket_connection_id: null
+                }, 'player_id');
+            }
+
+            this.log.info('Body handoff imported', {
+                bodyId: body.body_id,
+                megachunkId,
+                placements: bundle.placements.length,
+                damage: bundle.damage.length,
+                ships: bundle.ships.length,
+                players: bundle.players.length
+            });
+
+            return megachunkId;
+        });
+    }
+
+    /**
+     * Leave a tombstone for a body another server now simulates, and drop the
+     * ships and players that went with it
+     * @param {string} bodyId
+     * @param {string} serverId - Receiving server
+     * @param {Object} moved - {shipIds, playerIds} from the exported bundle
+     * @returns {Promise<void>}
+     */
+    async markBodyHandedOff(bodyId, serverId, moved = {}) {
+        await this.pool.transaction(async (client) => {
+            await client.query(`
+                UPDATE celestial_bodies
+                SET handed_off_to = $2,
+                    handed_off_at = NOW()
+                WHERE body_id = $1
+            `, [bodyId, serverId]);
+
+            await client.query('DELETE FROM ships WHERE ship_id = ANY($1::uuid[])', [moved.shipIds || []]);
+            await client.query('DELETE FROM player_positions WHERE player_id = ANY($1::uuid[])', [moved.playerIds || []]);
+        });
+
+        this.log.info('Body handed off', { bodyId, serverId });
+    }
+
+    // =============================================
+    // CHAT HISTORY OPERATIONS
+    // =============================================
+
+    /**
+     * Store a batch of chat messages
+     * @param {Array<Object>} messages - {messageId, channelId, channelType, playerId, username, targetPlayerId, content, spoiler, sentAt}
+     * @returns {Promise<void>}
+     */
+    async insertChatMessages(messages) {
+        if (messages.length === 0) return;
+
+        const query = `
+            INSERT INTO chat_messages (
+                message_id, channel_id, channel_type,
+                player_id, username, target_player_id,
+                content, spoiler, sent_at
+            )
+            SELECT * FROM UNNEST(
+                $1::varchar[], $2::varchar[], $3::varchar[],
+                $4::uuid[], $5::varchar[], $6::uuid[],
+                $7::text[], $8::boolean[], $9::timestamptz[]
+            )
+            ON CONFLICT (message_id) DO NOTHING
+        `;
+
+        await this.pool.query(query, [
+            messages.map(m => m.messageId),
+            messages.map(m => m.channelId),
+            messages.map(m => m.channelType),
+            messages.map(m => m.playerId),
+            messages.map(m => m.username),
+            messages.map(m => m.targetPlayerId || null),
+            messages.map(m => m.content),
+            messages.map(m => m.spoiler === true),
+            messages.map(m => m.sentAt)
+        ]);
+    }
+
+    /**
+     * Search chat history, newest first
+     * Returns up to limit + 1 rows so callers can tell whether more exist.
+     * @param {Object} filters
+     * @param {string} filters.channelId
+     * @param {string} filters.playerId - Sender
+     * @param {string} filters.participantId - Sender or whisper recipient
+     * @param {Date} filters.since
+     * @param {Date} filters.until
+     * @param {string} filters.text - Web search syntax
+     * @param {Object} filters.cursor - {sentAt, messageId} of the last row already seen
+     * @param {number} filters.limit
+     * @returns {Promise<Array>}
+     */
+    async searchChatMessages(filters = {}) {
+        const conditions = ['1=1'];
+        const params = [];
+        const param = (value) => {
+            params.push(value);
+            return `$${params.length}`;
+        };
+
+        if (filters.channelId) {
+            conditions.push(`channel_id = ${param(filters.channelId)}`);
+        }
+
+        if (filters.playerId) {
+            conditions.push(`player_id = ${param(filters.playerId)}`);
+        }
+
+        if (filters.participantId) {
+            const placeholder = param(filters.participantId);
+            conditions.push(`(player_id = ${placeholder} OR target_player_id = ${placeholder})`);
+        }
+
+        if (filters.since) {
+            conditions.push(`sent_at >= ${param(filters.since)}`);
+        }
+
+        if (filters.until) {
+            conditions.push(`sent_at < ${param(filters.until)}`);
+        }
+
+        if (filters.text) {
+            conditions.push(`search_vector @@ websearch_to_tsquery('simple', ${param(filters.text)})`);
+        }
+
+        if (filters.cursor) {
+            conditions.push(`(sent_at, message_id) < (${param(filters.cursor.sentAt)}::timestamptz, ${param(filters.cursor.messageId)})`);
+        }
+
+        const query = `
+            SELECT message_id, channel_id, channel_type, player_id, username,
+                   target_player_id, content, spoiler, sent_at
+            FROM chat_messages
+            WHERE ${conditions.join(' AND ')}
+            ORDER BY sent_at DESC, message_id DESC
+            LIMIT ${param((filters.limit || 50) + 1)}
+        `;
+
+        const result = await this.pool.query(query, params);
+        return result.rows;
+    }
+
+    /**
+     * @returns {Promise<Array>} Retention policies by scope
+     */
+    async getChatRetentionPolicies() {
+        const result = await this.pool.query(`SELECT * FROM chat_retention_policies ORDER BY scope`);
+        return result.rows;
+    }
+
+    /**
+     * Set how long a channel id or channel type keeps its messages
+     * @param {string} scope - Channel id or channel type
+     * @param {number|null} retentionDays - null keeps messages forever
+     * @returns {Promise<Object>}
+     */
+    async setChatRetentionPolicy(scope, retentionDays) {
+        const query = `
+            INSERT INTO chat_retention_policies (scope, retention_days)
+            VALUES ($1, $2)
+            ON CONFLICT (scope) DO UPDATE
+            SET retention_days = EXCLUDED.retention_days,
+                updated_at = NOW()
+            RETURNING *
+        `;
+
+        const result = await this.pool.query(query, [scope, retentionDays]);
+        return result.rows[0];
+    }
+
+    /**
+     * Remove a policy so the channel falls back to its type's
+     * @param {string} scope
+     * @returns {Promise<boolean>}
+     */
+    async deleteChatRetentionPolicy(scope) {
+        const result = await this.pool.query(`DELETE FROM chat_retention_policies WHERE scope = $1`, [scope]);
+        return result.rowCount > 0;
+    }
+
+    /**
+     * Delete chat messages past their retention
+     * @returns {Promise<number>} Messages deleted
+     */
+    async cleanupChatHistory() {
+        const result = await this.pool.query('SELECT cleanup_chat_history()');
+        return result.rows[0].cleanup_chat_history;
+    }
+
+    // =============================================
+    // FACTION MEMBERSHIP OPERATIONS
+    // =============================================
+
+    /**
+     * @returns {Promise<Array>} Rows of {player_id, faction_id, joined_at}
+     */
+    async getPlayerFactions() {
+        const result = await this.pool.query(`SELECT player_id, faction_id, joined_at FROM player_factions`);
+        return result.rows;
+    }
+
+    /**
+     * Record the faction a player joined, replacing any previous one
+     * @param {string} playerId
+     * @param {string} factionId
+     * @returns {Promise<void>}
+     */
+    async setPlayerFaction(playerId, factionId) {
+        const query = `
+            INSERT INTO player_factions (player_id, faction_id)
+            VALUES ($1, $2)
+            ON CONFLICT (player_id) DO UPDATE
+            SET faction_id = EXCLUDED.faction_id,
+                joined_at = NOW()
+        `;
+
+        await this.pool.query(query, [playerId, factionId]);
+    }
+
+    /**
+     * @param {string} playerId
+     * @returns {Promise<boolean>} Whether the player had a faction
+     */
+    async removePlayerFaction(playerId) {
+        const result = await this.pool.query(`DELETE FROM player_factions WHERE player_id = $1`, [playerId]);
+        return result.rowCount > 0;
+    }
 }
 
 // =============================================
@@ -2,11 +2,22 @@
  * POLYMIR CELESTIAL BODY PHYSICS SYSTEM
  * ======================================
  * Server-side physics simulation for celestial bodies
- * Handles position updates, rotation, velocity, and megachunk transfers
+ * Handles orbital motion, rotation, and megachunk transfers
+ *
+ * Every tick, all bodies in active megachunks are advanced together by the
+ * OrbitalIntegrator in world coordinates, using a fixed time step so that
+ * servers given the same bodies produce the same orbits. Parents of kepler
+ * bodies are loaded even from inactive megachunks so moons keep their anchor;
+ * such parents are held in place rather than simulated.
+ *
+ * Bodies handed off to another world server keep a tombstone row here and
+ * are no longer simulated.
  */
 
 import logger from '../utils/logger.js';
 import { MegachunkTransferSystem } from './megachunkTransfer.js';
+import { OrbitalIntegrator, MOTION_MODE, G } from './orbitalIntegrator.js';
+import { MEGACHUNK_SIZE } from '../utils/coordinates.js';
 
 const log = logger.child('BodyPhysics');
 
@@ -14,18 +25,9 @@ const log = logger.child('BodyPhysics');
 // PHYSICS CONSTANTS
 // =============================================
 
-// Gravitational constant (simplified for game physics)
-const G = 6.67430e-11; // m³/kg/s²
-
 // Physics tick rate (Hz)
 const DEFAULT_TICK_RATE = 10; // 10 updates per second
 
-// Maximum velocity (units per second) to prevent runaway physics
-const MAX_VELOCITY = 1000;
-
-// Minimum velocity threshold (below this, set to zero)
-const MIN_VELOCITY_THRESHOLD = 0.001;
-
 // =============================================
 // QUATERNION MATH
 // =============================================
@@ -96,10 +98,21 @@ function applyAngularVelocity(rotation, angularVelocity, deltaTime) {
 // =============================================
 
 export class BodyPhysicsSystem {
-    constructor(worldServerDB, wsServer = null) {
+    /**
+     * @param {WorldServerDB} worldServerDB
+     * @param {PolymirWebSocketServer} wsServer
+     * @param {Object} options
+     * @param {MegachunkHandoffSystem} options.handoff - Hands bodies to other world servers
+     * @param {number|string} options.worldSeed - For megachunks created by transfers
+     */
+    constructor(worldServerDB, wsServer = null, options = {}) {
         this.worldServerDB = worldServerDB;
         this.wsServer = wsServer;
-        this.transferSystem = new MegachunkTransferSystem(worldServerDB);
+        this.transferSystem = new MegachunkTransferSystem(worldServerDB, {
+            handoff: options.handoff,
+            worldSeed: options.worldSeed
+        });
+        this.integrator = new OrbitalIntegrator();
 
         // Physics loop state
         this.isRunning = false;
@@ -113,8 +126,8 @@ export class BodyPhysicsSystem {
         this.tickCount = 0;
         this.avgTickDuration = 0;
 
-        // Active bodies cache
-        this.activeBodies = new Map();
+        // Last integration step
+        this.lastStep = { bodies: 0, substeps: 0, simulated: 0, rails: 0 };
     }
 
     /**
@@ -180,19 +193,51 @@ export class BodyPhysicsSystem {
                 return;
             }
 
+            // Integrate in world space; the time step is fixed, never measured
+            const states = activeBodies.map(body => this.toOrbitalState(body));
+            const step = this.integrator.step(states, this.deltaTime);
+            this.lastStep = { bodies: activeBodies.length, ...step };
+
             log.trace('Physics tick', {
                 bodyCount: activeBodies.length,
+                substeps: step.substeps,
                 deltaTime: this.deltaTime
             });
 
-            // Update each body
-            const updatePromises = activeBodies.map(body => this.updateBody(body));
-            await Promise.all(updatePromises);
+            // Parents loaded from inactive megachunks were only gravity sources
+            const movedBodies = [];
+            activeBodies.forEach((body, i) => {
+                if (!body.in_active_megachunk) return;
+                this.applyOrbitalState(body, states[i]);
+                movedBodies.push(body);
+            });
 
-            // Check for megachunk transfers
-            const transfers = await this.transferSystem.processBatch(activeBodies);
+            // Move bodies that left their megachunk before saving, so stored
+            // local positions always stay inside 0-255
+            const transfers = await this.transferSystem.processBatch(movedBodies);
             const transferredCount = transfers.filter(t => t.transferred).length;
 
+            const handedOff = new Set();
+            for (const transfer of transfers) {
+                if (!transfer.transferred) continue;
+
+                // The other server owns it now, and this row is a tombstone
+                if (transfer.handedOff) {
+                    handedOff.add(transfer.bodyId);
+                    continue;
+                }
+
+                const body = movedBodies.find(b => b.body_id === transfer.bodyId);
+                body.megachunk_id = transfer.newMegachunkId;
+                body.local_x = transfer.newLocalPosition.x;
+                body.local_y = transfer.newLocalPosition.y;
+                body.local_z = transfer.newLocalPosition.z;
+            }
+
+            await Promise.all(movedBodies
+                .filter(body => !handedOff.has(body.body_id))
+                .map(body => this.updateBody(body)));
+
             if (transferredCount > 0) {
                 log.info('Megachunk transfers completed', {
                     transferredCount,
@@ -227,16 +272,25 @@ export class BodyPhysicsSystem {
     }
 
     /**
-     * Get active celestial bodies (in megachunks with players)
-     * @returns {Promise<Array>}
+     * Get active celestial bodies (in megachunks with players), plus the
+     * parents of active kepler bodies wherever they are
+     * @returns {Promise<Array>} Rows with megachunk coordinates and in_active_megachunk
      */
     async getActiveBodies() {
         try {
             const query = `
-                SELECT DISTINCT cb.*
+                SELECT cb.*, m.mx, m.my, m.mz, m.is_active AS in_active_megachunk
                 FROM celestial_bodies cb
                 JOIN megachunks m ON cb.megachunk_id = m.megachunk_id
-                WHERE m.is_active = true
+                WHERE cb.handed_off_to IS NULL
+                  AND (m.is_active = true
+                   OR cb.body_id IN (
+                       SELECT child.parent_body_id
+                       FROM celestial_bodies child
+                       JOIN megachunks cm ON child.megachunk_id = cm.megachunk_id
+                       WHERE cm.is_active = true AND child.motion_mode = 'kepler'
+                         AND child.handed_off_to IS NULL
+                   ))
                 ORDER BY cb.body_id
             `;
 
@@ -252,68 +306,115 @@ export class BodyPhysicsSystem {
     }
 
     /**
-     * Update single body physics
+     * Integrator state for a body row
+     * @param {Object} body - Row from getActiveBodies()
+     * @returns {Object}
+     */
+    toOrbitalState(body) {
+        const mode = body.motion_mode || MOTION_MODE.SIMULATED;
+
+        return {
+            id: body.body_id,
+            mode,
+            mass: Number(body.mass) * Number(body.gravity_multiplier ?? 1),
+            position: {
+                x: body.mx * MEGACHUNK_SIZE + Number(body.local_x),
+                y: body.my * MEGACHUNK_SIZE + Number(body.local_y),
+                z: body.mz * MEGACHUNK_SIZE + Number(body.local_z)
+            },
+            velocity: {
+                x: Number(body.velocity_x),
+                y: Number(body.velocity_y),
+                z: Number(body.velocity_z)
+            },
+            anchored: !body.in_active_megachunk || mode === MOTION_MODE.STATIC,
+            parentId: body.parent_body_id || null,
+            orbit: mode === MOTION_MODE.KEPLER ? {
+                semiMajorAxis: Number(body.orbit_semi_major_axis),
+                eccentricity: Number(body.orbit_eccentricity),
+                inclination: Number(body.orbit_inclination),
+                longitudeOfAscendingNode: Number(body.orbit_longitude_ascending_node),
+                argumentOfPeriapsis: Number(body.orbit_argument_periapsis),
+                meanAnomaly: Number(body.orbit_mean_anomaly)
+            } : null
+        };
+    }
+
+    /**
+     * Copy an integrated state back onto its row and spin the body
+     * Local positions are left relative to the current megachunk, possibly
+     * out of bounds, for the transfer system to pick up.
+     * @param {Object} body - Row from getActiveBodies()
+     * @param {Object} state - From toOrbitalState(), after integration
+     */
+    applyOrbitalState(body, state) {
+        const values = [
+            state.position.x, state.position.y, state.position.z,
+            state.velocity.x, state.velocity.y, state.velocity.z
+        ];
+
+        if (values.every(Number.isFinite)) {
+            body.local_x = state.position.x - body.mx * MEGACHUNK_SIZE;
+            body.local_y = state.position.y - body.my * MEGACHUNK_SIZE;
+            body.local_z = state.position.z - body.mz * MEGACHUNK_SIZE;
+            body.velocity_x = state.velocity.x;
+            body.velocity_y = state.velocity.y;
+            body.velocity_z = state.velocity.z;
+
+            if (state.orbit) {
+                body.orbit_mean_anomaly = state.orbit.meanAnomaly;
+            }
+        } else {
+            log.warn('Integration produced a non-finite state, body held in place', {
+                bodyId: body.body_id
+            });
+        }
+
+        const newRotation = applyAngularVelocity(
+            {
+                x: body.rotation_x,
+                y: body.rotation_y,
+                z: body.rotation_z,
+                w: body.rotation_w
+            },
+            {
+                x: body.angular_velocity_x,
+                y: body.angular_velocity_y,
+                z: body.angular_velocity_z
+            },
+            this.deltaTime
+        );
+
+        body.rotation_x = newRotation.x;
+        body.rotation_y = newRotation.y;
+        body.rotation_z = newRotation.z;
+        body.rotation_w = newRotation.w;
+    }
+
+    /**
+     * Save a body's physics state
      * @param {Object} body
      * @returns {Promise<void>}
      */
     async updateBody(body) {
         try {
-            // Update position based on velocity
-            const newLocalX = body.local_x + body.velocity_x * this.deltaTime;
-            const newLocalY = body.local_y + body.velocity_y * this.deltaTime;
-            const newLocalZ = body.local_z + body.velocity_z * this.deltaTime;
-
-            // Update rotation based on angular velocity
-            const newRotation = applyAngularVelocity(
-                {
-                    x: body.rotation_x,
-                    y: body.rotation_y,
-                    z: body.rotation_z,
-                    w: body.rotation_w
-                },
-                {
-                    x: body.angular_velocity_x,
-                    y: body.angular_velocity_y,
-                    z: body.angular_velocity_z
-                },
-                this.deltaTime
-            );
-
-            // Apply velocity damping (very slight for celestial bodies)
-            const damping = 0.9999; // Almost no damping (space has no friction)
-            const newVelocityX = this.clampVelocity(body.velocity_x * damping);
-            const newVelocityY = this.clampVelocity(body.velocity_y * damping);
-            const newVelocityZ = this.clampVelocity(body.velocity_z * damping);
-
-            // Update body in database
             await this.worldServerDB.updateCelestialBodyPhysics(body.body_id, {
-                localX: newLocalX,
-                localY: newLocalY,
-                localZ: newLocalZ,
-                velocityX: newVelocityX,
-                velocityY: newVelocityY,
-                velocityZ: newVelocityZ,
-                rotationX: newRotation.x,
-                rotationY: newRotation.y,
-                rotationZ: newRotation.z,
-                rotationW: newRotation.w
+                localX: body.local_x,
+                localY: body.local_y,
+                localZ: body.local_z,
+                velocityX: body.velocity_x,
+                velocityY: body.velocity_y,
+                velocityZ: body.velocity_z,
+                rotationX: body.rotation_x,
+                rotationY: body.rotation_y,
+                rotationZ: body.rotation_z,
+                rotationW: body.rotation_w,
+                orbitMeanAnomaly: body.motion_mode === MOTION_MODE.KEPLER ? body.orbit_mean_anomaly : null
             });
 
-            // Update body object for megachunk transfer check
-            body.local_x = newLocalX;
-            body.local_y = newLocalY;
-            body.local_z = newLocalZ;
-            body.velocity_x = newVelocityX;
-            body.velocity_y = newVelocityY;
-            body.velocity_z = newVelocityZ;
-            body.rotation_x = newRotation.x;
-            body.rotation_y = newRotation.y;
-            body.rotation_z = newRotation.z;
-            body.rotation_w = newRotation.w;
-
             log.trace('Body updated', {
                 bodyId: body.body_id,
-                position: [newLocalX.toFixed(2), newLocalY.toFixed(2), newLocalZ.toFixed(2)]
+                position: [body.local_x.toFixed(2), body.local_y.toFixed(2), body.local_z.toFixed(2)]
             });
 
         } catch (error) {
@@ -324,52 +425,6 @@ export class BodyPhysicsSystem {
         }
     }
 
-    /**
-     * Apply gravity between two bodies (simplified N-body gravity)
-     * @param {Object} body1
-     * @param {Object} body2
-     * @returns {Object} Force vector
-     */
-    calculateGravitationalForce(body1, body2) {
-        // Calculate distance vector
-        const dx = body2.local_x - body1.local_x;
-        const dy = body2.local_y - body1.local_y;
-        const dz = body2.local_z - body1.local_z;
-
-        const distanceSquared = dx * dx + dy * dy + dz * dz;
-        const distance = Math.sqrt(distanceSquared);
-
-        // Avoid division by zero and ignore very close bodies
-        if (distance < 1.0) {
-            return { x: 0, y: 0, z: 0 };
-        }
-
-        // F = G * (m1 * m2) / r²
-        const forceMagnitude = G * body1.mass * body2.mass / distanceSquared;
-
-        // Force direction (unit vector)
-        const forceX = (dx / distance) * forceMagnitude;
-        const forceY = (dy / distance) * forceMagnitude;
-        const forceZ = (dz / distance) * forceMagnitude;
-
-        return { x: forceX, y: forceY, z: forceZ };
-    }
-
-    /**
-     * Clamp velocity to prevent physics explosions
-     * @param {number} velocity
-     * @returns {number}
-     */
-    clampVelocity(velocity) {
-        // Apply minimum threshold
-        if (Math.abs(velocity) < MIN_VELOCITY_THRESHOLD) {
-            return 0;
-        }
-
-        // Clamp to maximum
-        return Math.max(-MAX_VELOCITY, Math.min(MAX_VELOCITY, velocity));
-    }
-
     /**
      * Broadcast megachunk transfers to connected players
      * @param {Array} transfers
@@ -389,6 +444,13 @@ export class BodyPhysicsSystem {
                 timestamp: Date.now()
             };
 
+            // Subscribers were already moved over by the handoff commit
+            if (transfer.handedOff) {
+                message.server = transfer.server;
+                this.wsServer.broadcastToMegachunk(transfer.oldMegachunkId, message);
+                continue;
+            }
+
             // Broadcast to both old and new megachunks
             this.wsServer.broadcastToMegachunk(transfer.oldMegachunkId, message);
             this.wsServer.broadcastToMegachunk(transfer.newMegachunkId, message);
@@ -406,7 +468,10 @@ export class BodyPhysicsSystem {
             deltaTime: this.deltaTime,
             tickCount: this.tickCount,
             avgTickDuration: this.avgTickDuration.toFixed(2) + 'ms',
-            activeBodies: this.activeBodies.size
+            activeBodies: this.lastStep.bodies,
+            substeps: this.lastStep.substeps,
+            simulatedBodies: this.lastStep.simulated,
+            keplerBodies: this.lastStep.rails
         };
     }
 
@@ -427,7 +492,5 @@ export default {
     BodyPhysicsSystem,
     normalizeQuaternion,
     applyAngularVelocity,
-    G,
-    MAX_VELOCITY,
-    MIN_VELOCITY_THRESHOLD
+    G
 };
@@ -0,0 +1,751 @@
+/**
+ * POLYMIR MEGACHUNK HANDOFF SYSTEM
+ * =================================
+ * Hands celestial bodies to the world server that owns the megachunk they
+ * are about to enter (megachunk_owners in the Central Library)
+ *
+ * Protocol, over signed HTTP between world servers (/api/handoff):
+ * - prepare: sent once a body is predicted to cross within the lead time.
+ *   Carries the whole body (placements, chunk modifications, pending damage,
+ *   ships, players); the target stages it without simulating anything.
+ *   Clients on the body get 'handoff_prepare' so they can connect and
+ *   authenticate to the target ahead of time.
+ * - commit: sent at the actual crossing. Carries the body, its players and
+ *   ships as they are now, plus only the content rows that changed since
+ *   prepare. The target imports the body and starts simulating it; the source
+ *   keeps a tombstone. Clients get 'handoff_commit' with the target server
+ *   and the body's state, and switch over to their standby connection.
+ * - abort: the prediction no longer holds; the target drops what it staged
+ *   and clients get 'handoff_cancelled'.
+ */
+
+import { createHash, createHmac, randomUUID, timingSafeEqual } from 'crypto';
+import logger from '../utils/logger.js';
+import { MegachunkTransferSystem } from './megachunkTransfer.js';
+
+const log = logger.child('MegachunkHandoff');
+
+// =============================================
+// CONSTANTS
+// =============================================
+
+export const HANDOFF_ERRORS = {
+    NOT_PREPARED: 'Handoff not prepared',
+    NOT_OWNER: 'Megachunk not owned by this server',
+    BAD_SIGNATURE: 'Invalid handoff signature',
+    STALE: 'Handoff request expired'
+};
+
+export const HANDOFF_HEADERS = {
+    SERVER: 'x-polymir-server',
+    TIMESTAMP: 'x-polymir-timestamp',
+    SIGNATURE: 'x-polymir-signature'
+};
+
+export const HANDOFF_CONFIG = {
+    leadTime: 5000,          // Prepare this long before a predicted crossing (ms)
+    scanInterval: 1000,      // Prediction scan period (ms)
+    requestTimeout: 3000,    // Per request to the target server (ms)
+    maxClockSkew: 30000,     // Accepted age of a signed request (ms)
+    ownerCacheTtl: 10000,    // Megachunk owner lookups (ms)
+    stagedTtl: 60000         // Staged prepares nobody committed (ms)
+};
+
+// Content that is sent in full at prepare and as a delta at commit
+const CONTENT_KEYS = {
+    placements: 'placement_id',
+    chunkModifications: 'modification_id',
+    damage: 'damage_id'
+};
+
+/**
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export function isHandoffError(error) {
+    return Object.values(HANDOFF_ERRORS).includes(error.message);
+}
+
+// =============================================
+// REQUEST SIGNING
+// =============================================
+
+/**
+ * Sign a handoff request body
+ * @param {string} secret - Shared by the world servers
+ * @param {number} timestamp - ms since epoch
+ * @param {string|Buffer} rawBody
+ * @returns {string} Hex HMAC-SHA256
+ */
+export function signHandoffRequest(secret, timestamp, rawBody) {
+    return createHmac('sha256', secret)
+        .update(`${timestamp}.`)
+        .update(rawBody)
+        .digest('hex');
+}
+
+/**
+ * Check a handoff request signature and age
+ * @param {string} secret
+ * @param {Object} headers - Lower-cased request headers
+ * @param {string|Buffer} rawBody
+ * @param {number} now
+ * @throws {Error} HANDOFF_ERRORS.BAD_SIGNATURE or HANDOFF_ERRORS.STALE
+ */
+export function verifyHandoffSignature(secret, headers, rawBody, now = Date.now()) {
+    const timestamp = Number(headers[HANDOFF_HEADERS.TIMESTAMP]);
+    const signature = String(headers[HANDOFF_HEADERS.SIGNATURE] || '');
+
+    if (!headers[HANDOFF_HEADERS.SERVER] || !Number.isFinite(timestamp) || !rawBody) {
+        throw new Error(HANDOFF_ERRORS.BAD_SIGNATURE);
+    }
+
+    const expected = Buffer.from(signHandoffRequest(secret, timestamp, rawBody), 'hex');
+    const actual = Buffer.from(signature, 'hex');
+
+    if (actual.length !== expected.length || !timingSafeEqual(actual, expected)) {
+        throw new Error(HANDOFF_ERRORS.BAD_SIGNATURE);
+    }
+
+    if (Math.abs(now - timestamp) > HANDOFF_CONFIG.maxClockSkew) {
+        throw new Error(HANDOFF_ERRORS.STALE);
+    }
+}
+
+// =============================================
+// BUNDLE DELTAS
+// =============================================
+
+/**
+ * @param {Object} row
+ * @returns {string}
+ */
+function digestRow(row) {
+    return createHash('sha256').update(JSON.stringify(row)).digest('hex');
+}
+
+/**
+ * Per-row digests of a bundle's content, kept by the source after prepare
+ * @param {Object} bundle - From WorldServerDB.exportBodyHandoff()
+ * @returns {Object} {placements: Map(id -> digest), ...}
+ */
+export function digestBundle(bundle) {
+    const digests = {};
+
+    for (const [key, idColumn] of Object.entries(CONTENT_KEYS)) {
+        digests[key] = new Map(bundle[key].map(row => [row[idColumn], digestRow(row)]));
+    }
+
+    return digests;
+}
+
+/**
+ * Content rows changed since prepare, and the ids of every row still present
+ * @param {Object} bundle - Fresh export
+ * @param {Object} digests - From digestBundle() at prepare
+ * @returns {Object} {placements: {changed, keep}, ...}
+ */
+export function diffBundle(bundle, digests) {
+    const delta = {};
+
+    for (const [key, idColumn] of Object.entries(CONTENT_KEYS)) {
+        const changed = [];
+        const keep = [];
+
+        for (const row of bundle[key]) {
+            const id = row[idColumn];
+            keep.push(id);
+
+            if (digests[key].get(id) !== digestRow(row)) {
+                changed.push(row);
+            }
+        }
+
+        delta[key] = { changed, keep };
+    }
+
+    return delta;
+}
+
+/**
+ * Rebuild the full bundle from what was staged at prepare and the commit
+ * @param {Object} staged - Bundle received at prepare
+ * @param {Object} commit - {body, players, ships, delta}
+ * @returns {Object} Bundle for WorldServerDB.importBodyHandoff()
+ */
+export function applyBundleDelta(staged, commit) {
+    const bundle = {
+        body: commit.body,
+        players: commit.players,
+        ships: commit.ships
+    };
+
+    for (const [key, idColumn] of Object.entries(CONTENT_KEYS)) {
+        const { changed, keep } = commit.delta[key];
+        const rows = new Map(staged[key].map(row => [row[idColumn], row]));
+
+        for (const row of changed) {
+            rows.set(row[idColumn], row);
+        }
+
+        bundle[key] = keep.filter(id => rows.has(id)).map(id => rows.get(id));
+    }
+
+    return bundle;
+}
+
+// =============================================
+// MEGACHUNK HANDOFF SYSTEM
+// =============================================
+
+export class MegachunkHandoffSystem {
+    /**
+     * @param {Object} options
+     * @param {string} options.serverId - This server's Central Library server_id
+     * @param {WorldServerDB} options.worldServerDB
+     * @param {CentralLibraryDB} options.centralLibraryDB
+     * @param {PolymirWebSocketServer} options.wsServer
+     * @param {string} options.secret - Shared request signing secret
+     * @param {Object} options.config - Overrides for HANDOFF_CONFIG
+     * @param {Function} options.fetch - For tests; defaults to global fetch
+     */
+    constructor(options) {
+        this.serverId = options.serverId;
+        this.worldServerDB = options.worldServerDB;
+        this.centralLibraryDB = options.centralLibraryDB;
+        this.wsServer = options.wsServer || null;
+        this.secret = options.secret;
+        this.config = { ...HANDOFF_CONFIG, ...options.config };
+        this.fetch = options.fetch || globalThis.fetch;
+
+        // Predictions only read the database, so a separate instance is fine
+        this.predictor = new MegachunkTransferSystem(this.worldServerDB);
+
+        this.outgoing = new Map();   // bodyId -> {handoffId, owner, megachunk, digests, bundle}
+        this.incoming = new Map();   // handoffId -> {bodyId, fromServerId, megachunk, bundle, receivedAt}
+        this.ownerCache = new Map(); // 'mx,my,mz' -> {owner, cachedAt}
+
+        this.scanTimer = null;
+        this.isScanning = false;
+
+        this.stats = {
+            prepared: 0,
+            committed: 0,
+            aborted: 0,
+            received: 0,
+            failed: 0
+        };
+    }
+
+    /**
+     * Start scanning predictions for upcoming remote crossings
+     */
+    start() {
+        if (this.scanTimer) {
+            return;
+        }
+
+        this.scanTimer = setInterval(() => {
+            this.scan().catch(error => {
+                log.error('Handoff scan failed', { error: error.message });
+            });
+        }, this.config.scanInterval);
+
+        log.info('Megachunk handoff system started', {
+            serverId: this.serverId,
+            leadTime: this.config.leadTime
+        });
+    }
+
+    /**
+     * Stop scanning; staged and prepared handoffs are left to expire
+     */
+    stop() {
+        if (this.scanTimer) {
+            clearInterval(this.scanTimer);
+            this.scanTimer = null;
+        }
+    }
+
+    // =============================================
+    // OWNERSHIP
+    // =============================================
+
+    /**
+     * Server a body entering a megachunk should be handed to
+     * @param {Object} megachunk - {mx, my, mz}
+     * @returns {Promise<Object|null>} Servers row, null if it stays here
+     */
+    async resolveOwner({ mx, my, mz }) {
+        const key = `${mx},${my},${mz}`;
+        const cached = this.ownerCache.get(key);
+
+        if (cached && Date.now() - cached.cachedAt < this.config.ownerCacheTtl) {
+            return cached.owner;
+        }
+
+        const row = await this.centralLibraryDB.getMegachunkOwner(mx, my, mz);
+        const owner = row && row.server_id !== this.serverId ? row : null;
+
+        this.ownerCache.set(key, { owner, cachedAt: Date.now() });
+        return owner;
+    }
+
+    // =============================================
+    // OUTGOING HANDOFFS
+    // =============================================
+
+    /**
+     * Prepare handoffs for bodies predicted to enter a remote megachunk, and
+     * abort the ones whose prediction changed
+     * @returns {Promise<void>}
+     */
+    async scan() {
+        if (this.isScanning) {
+            return;
+        }
+
+        this.isScanning = true;
+
+        try {
+            const predictions = await this.predictor.predictBoundaryCrossings(this.config.leadTime / 1000);
+            const expected = new Map();
+
+            for (const prediction of predictions) {
+                const owner = await this.resolveOwner(prediction.targetMegachunk);
+
+                if (owner) {
+                    expected.set(prediction.bodyId, { owner, megachunk: prediction.targetMegachunk });
+                }
+            }
+
+            for (const [bodyId, pending] of this.outgoing) {
+                const next = expected.get(bodyId);
+
+                if (!next || !sameMegachunk(next.megachunk, pending.megachunk)) {
+                    await this.abort(bodyId);
+                }
+            }
+
+            for (const [bodyId, { owner, megachunk }] of expected) {
+                if (!this.outgoing.has(bodyId)) {
+                    await this.prepare(bodyId, megachunk, owner);
+                }
+            }
+
+            this.expireIncoming();
+
+        } finally {
+            this.isScanning = false;
+        }
+    }
+
+    /**
+     * Stage a body on the server that owns the megachunk it is heading into
+     * @param {string} bodyId
+     * @param {Object} megachunk - {mx, my, mz}
+     * @param {Object} owner - Servers row
+     * @returns {Promise<Object|null>} Pending handoff, null if it failed
+     */
+    async prepare(bodyId, megachunk, owner) {
+        const bundle = await this.worldServerDB.exportBodyHandoff(bodyId);
+
+        if (!bundle) {
+            return null;
+        }
+
+        const handoffId = randomUUID();
+
+        try {
+            await this.send(owner, 'prepare', { handoffId, bodyId, megachunk, bundle });
+        } catch (error) {
+            this.stats.failed++;
+            log.warn('Handoff prepare failed', {
+                bodyId,
+                serverId: owner.server_id,
+                error: error.message
+            });
+            return null;
+        }
+
+        const pending = { handoffId, owner, megachunk, digests: digestBundle(bundle), bundle };
+        this.outgoing.set(bodyId, pending);
+        this.stats.prepared++;
+
+        this.notifyClients(bundle, {
+            type: 'handoff_prepare',
+            handoffId,
+            bodyId,
+            server: serverInfo(owner),
+            timestamp: Date.now()
+        });
+
+        log.info('Handoff prepared', { bodyId, handoffId, serverId: owner.server_id, megachunk });
+
+        return pending;
+    }
+
+    /**
+     * Hand a body to the owner of the megachunk it just crossed into
+     * Called by MegachunkTransferSystem before a local transfer.
+     * @param {Object} body - Row from BodyPhysicsSystem, with its new physics state
+     * @param {Object} megachunk - {mx, my, mz} being entered
+     * @param {Object} local - {x, y, z} position within that megachunk
+     * @returns {Promise<Object|null>} Transfer result, null to transfer locally
+     */
+    async handOff(body, megachunk, local) {
+        const owner = await this.resolveOwner(megachunk);
+
+        if (!owner) {
+            return null;
+        }
+
+        let pending = this.outgoing.get(body.body_id);
+
+        // Unpredicted crossing (e.g. a sudden impulse): prepare right now
+        if (!pending || !sameMegachunk(pending.megachunk, megachunk) || pending.owner.server_id !== owner.server_id) {
+            if (pending) {
+                await this.abort(body.body_id);
+            }
+            pending = await this.prepare(body.body_id, megachunk, owner);
+        }
+
+        if (!pending) {
+            return null;
+        }
+
+        let result;
+
+        try {
+            result = await this.commit(body, pending, local);
+        } catch (error) {
+            // The target restarted or expired the prepare: stage again once
+            if (error.message !== HANDOFF_ERRORS.NOT_PREPARED) {
+                throw error;
+            }
+
+            this.outgoing.delete(body.body_id);
+            pending = await this.prepare(body.body_id, megachunk, owner);
+            result = pending ? await this.commit(body, pending, local) : null;
+        }
+
+        return result;
+    }
+
+    /**
+     * Send the commit and leave a tombstone behind
+     * @param {Object} body
+     * @param {Object} pending - From prepare()
+     * @param {Object} local
+     * @returns {Promise<Object|null>}
+     */
+    async commit(body, pending, local) {
+        const bundle = await this.worldServerDB.exportBodyHandoff(body.body_id);
+
+        if (!bundle) {
+            this.outgoing.delete(body.body_id);
+            return null;
+        }
+
+        // The physics tick has not saved this step yet
+        const current = { ...bundle.body, ...body };
+        const { owner, handoffId, megachunk } = pending;
+
+        let response;
+
+        try {
+            response = await this.send(owner, 'commit', {
+                handoffId,
+                bodyId: body.body_id,
+                megachunk,
+                local,
+                body: current,
+                players: bundle.players,
+                ships: bundle.ships,
+                delta: diffBundle(bundle, pending.digests)
+            });
+        } catch (error) {
+            if (error.message === HANDOFF_ERRORS.NOT_PREPARED) {
+                throw error;
+            }
+
+            this.stats.failed++;
+            log.warn('Handoff commit failed, body stays on this server', {
+                bodyId: body.body_id,
+                serverId: owner.server_id,
+                error: error.message
+            });
+            return null;
+        }
+
+        await this.worldServerDB.markBodyHandedOff(body.body_id, owner.server_id, {
+            shipIds: bundle.ships.map(ship => ship.ship_id),
+            playerIds: bundle.players.map(player => player.player_id)
+        });
+
+        this.outgoing.delete(body.body_id);
+        this.stats.committed++;
+
+        const server = serverInfo(owner);
+
+        this.notifyClients(bundle, {
+            type: 'handoff_commit',
+            handoffId,
+            bodyId: body.body_id,
+            server,
+            state: {
+                megachunkId: response.megachunkId,
+                megachunk,
+                position: local,
+                velocity: { x: body.velocity_x, y: body.velocity_y, z: body.velocity_z },
+                rotation: { x: body.rotation_x, y: body.rotation_y, z: body.rotation_z, w: body.rotation_w }
+            },
+            timestamp: Date.now()
+        });
+
+        log.info('Handoff committed', { bodyId: body.body_id, handoffId, serverId: owner.server_id });
+
+        return {
+            transferred: true,
+            handedOff: true,
+            bodyId: body.body_id,
+            oldMegachunkId: body.megachunk_id,
+            newMegachunkId: response.megachunkId,
+            newLocalPosition: local,
+            server
+        };
+    }
+
+    /**
+     * Cancel a prepared handoff
+     * @param {string} bodyId
+     * @returns {Promise<void>}
+     */
+    async abort(bodyId) {
+        const pending = this.outgoing.get(bodyId);
+
+        if (!pending) {
+            return;
+        }
+
+        this.outgoing.delete(bodyId);
+        this.stats.aborted++;
+
+        try {
+            await this.send(pending.owner, 'abort', { handoffId: pending.handoffId, bodyId });
+        } catch (error) {
+            // The target expires staged bodies on its own
+            log.debug('Handoff abort not delivered', { bodyId, error: error.message });
+        }
+
+        this.notifyClients(pending.bundle, {
+            type: 'handoff_cancelled',
+            handoffId: pending.handoffId,
+            bodyId,
+            timestamp: Date.now()
+        });
+
+        log.info('Handoff aborted', { bodyId, handoffId: pending.handoffId });
+    }
+
+    // =============================================
+    // INCOMING HANDOFFS
+    // =============================================
+
+    /**
+     * Stage a body another server is about to hand over
+     * @param {Object} request - {handoffId, bodyId, megachunk, bundle}
+     * @param {string} fromServerId
+     * @returns {Promise<Object>}
+     * @throws {Error} HANDOFF_ERRORS.NOT_OWNER
+     */
+    async receivePrepare(request, fromServerId) {
+        const { handoffId, bodyId, megachunk, bundle } = request;
+
+        await this.assertOwner(megachunk);
+
+        this.incoming.set(handoffId, {
+            bodyId,
+            fromServerId,
+            megachunk,
+            bundle,
+            receivedAt: Date.now()
+        });
+
+        log.debug('Handoff staged', { bodyId, handoffId, fromServerId });
+
+        return { handoffId, staged: true };
+    }
+
+    /**
+     * Take over a staged body
+     * @param {Object} request - {handoffId, bodyId, megachunk, local, body, players, ships, delta}
+     * @param {string} fromServerId
+     * @returns {Promise<Object>} {megachunkId}
+     * @throws {Error} HANDOFF_ERRORS.NOT_PREPARED or HANDOFF_ERRORS.NOT_OWNER
+     */
+    async receiveCommit(request, fromServerId) {
+        const staged = this.incoming.get(request.handoffId);
+
+        if (!staged || staged.bodyId !== request.bodyId || staged.fromServerId !== fromServerId) {
+            throw new Error(HANDOFF_ERRORS.NOT_PREPARED);
+        }
+
+        await this.assertOwner(request.megachunk);
+
+        const bundle = applyBundleDelta(staged.bundle, request);
+        const megachunkId = await this.worldServerDB.importBodyHandoff(bundle, request.megachunk, request.local);
+
+        this.incoming.delete(request.handoffId);
+        this.stats.received++;
+
+        log.info('Handoff received', {
+            bodyId: request.bodyId,
+            handoffId: request.handoffId,
+            fromServerId,
+            megachunkId
+        });
+
+        return { megachunkId };
+    }
+
+    /**
+     * Drop a staged body
+     * @param {Object} request - {handoffId}
+     * @param {string} fromServerId
+     * @returns {Promise<Object>}
+     */
+    async receiveAbort(request, fromServerId) {
+        const staged = this.incoming.get(request.handoffId);
+
+        if (staged && staged.fromServerId === fromServerId) {
+            this.incoming.delete(request.handoffId);
+        }
+
+        return { handoffId: request.handoffId, aborted: true };
+    }
+
+    /**
+     * @param {Object} megachunk - {mx, my, mz}
+     * @throws {Error} HANDOFF_ERRORS.NOT_OWNER
+     */
+    async assertOwner({ mx, my, mz }) {
+        const owner = await this.centralLibraryDB.getMegachunkOwner(mx, my, mz);
+
+        if (!owner || owner.server_id !== this.serverId) {
+            throw new Error(HANDOFF_ERRORS.NOT_OWNER);
+        }
+    }
+
+    /**
+     * Forget staged bodies whose commit never came
+     */
+    expireIncoming() {
+        const now = Date.now();
+
+        for (const [handoffId, staged] of this.incoming) {
+            if (now - staged.receivedAt > this.config.stagedTtl) {
+                this.incoming.delete(handoffId);
+                log.debug('Staged handoff expired', { handoffId, bodyId: staged.bodyId });
+            }
+        }
+    }
+
+    // =============================================
+    // TRANSPORT
+    // =============================================
+
+    /**
+     * Tell everyone watching or standing on a body
+     * @param {Object} bundle
+     * @param {Object} message
+     */
+    notifyClients(bundle, message) {
+        if (!this.wsServer) return;
+
+        const bodyId = bundle.body.body_id;
+        const playerIds = new Set(bundle.players.map(player => player.player_id));
+
+        this.wsServer.broadcast(message, (clientInfo) =>
+            clientInfo.subscriptions.bodies.has(bodyId) || playerIds.has(clientInfo.playerId)
+        );
+    }
+
+    /**
+     * POST a signed request to another world server
+     * @param {Object} owner - Servers row
+     * @param {string} action - 'prepare' | 'commit' | 'abort'
+     * @param {Object} payload
+     * @returns {Promise<Object>} Response body
+     * @throws {Error} With the peer's error message, e.g. HANDOFF_ERRORS.NOT_PREPARED
+     */
+    async send(owner, action, payload) {
+        const body = JSON.stringify(payload);
+        const timestamp = Date.now();
+
+        const response = await this.fetch(`${owner.api_url}/api/handoff/${action}`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                [HANDOFF_HEADERS.SERVER]: this.serverId,
+                [HANDOFF_HEADERS.TIMESTAMP]: String(timestamp),
+                [HANDOFF_HEADERS.SIGNATURE]: signHandoffRequest(this.secret, timestamp, body)
+            },
+            body,
+            signal: AbortSignal.timeout(this.config.requestTimeout)
+        });
+
+        const result = await response.json().catch(() => ({}));
+
+        if (!response.ok) {
+            throw new Error(result.error || `Handoff ${action} failed with status ${response.status}`);
+        }
+
+        return result;
+    }
+
+    /**
+     * Get handoff statistics
+     * @returns {Object}
+     */
+    getStats() {
+        return {
+            ...this.stats,
+            pendingOutgoing: this.outgoing.size,
+            stagedIncoming: this.incoming.size
+        };
+    }
+}
+
+// =============================================
+// HELPERS
+// =============================================
+
+function sameMegachunk(a, b) {
+    return a.mx === b.mx && a.my === b.my && a.mz === b.mz;
+}
+
+function serverInfo(owner) {
+    return {
+        serverId: owner.server_id,
+        serverName: owner.server_name,
+        websocketUrl: owner.websocket_url
+    };
+}
+
+// =============================================
+// EXPORTS
+// =============================================
+
+export default {
+    MegachunkHandoffSystem,
+    HANDOFF_ERRORS,
+    HANDOFF_HEADERS,
+    HANDOFF_CONFIG,
+    isHandoffError,
+    signHandoffRequest,
+    verifyHandoffSignature,
+    digestBundle,
+    diffBundle,
+    applyBundleDelta
+};
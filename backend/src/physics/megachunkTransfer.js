@@ -3,10 +3,12 @@
  * ==================================
  * Handles celestial body transfers between megachunks
  * Detects boundary crossings and updates spatial database
+ * Crossings into a megachunk owned by another world server are passed to the
+ * MegachunkHandoffSystem, when one is attached
  */
 
 import logger from '../utils/logger.js';
-import { worldToMegachunk, worldToMegachunkLocal } from '../utils/coordinates.js';
+import { worldToMegachunk, worldToMegachunkLocal, megachunkSeed } from '../utils/coordinates.js';
 
 const log = logger.child('MegachunkTransfer');
 
@@ -120,8 +122,16 @@ export function calculateNewMegachunk(mx, my, mz, crossing) {
 // =============================================
 
 export class MegachunkTransferSystem {
-    constructor(worldServerDB) {
+    /**
+     * @param {WorldServerDB} worldServerDB
+     * @param {Object} options
+     * @param {MegachunkHandoffSystem} options.handoff - Hands bodies to other world servers
+     * @param {number|string} options.worldSeed - Megachunk seeds are derived from it
+     */
+    constructor(worldServerDB, options = {}) {
         this.worldServerDB = worldServerDB;
+        this.handoff = options.handoff || null;
+        this.worldSeed = options.worldSeed ?? 0;
         this.transferQueue = [];
         this.isProcessing = false;
     }
@@ -183,12 +193,25 @@ export class MegachunkTransferSystem {
         const newLocalY = wrapLocalPosition(local_y);
         const newLocalZ = wrapLocalPosition(local_z);
 
+        // Another server owns the target megachunk: the body leaves this one
+        if (this.handoff) {
+            const handedOff = await this.handoff.handOff(body, newCoords, {
+                x: newLocalX,
+                y: newLocalY,
+                z: newLocalZ
+            });
+
+            if (handedOff) {
+                return handedOff;
+            }
+        }
+
         // Get or create target megachunk
         const targetMegachunk = await this.worldServerDB.getOrCreateMegachunk(
             newCoords.mx,
             newCoords.my,
             newCoords.mz,
-            body.generation_seed || BigInt(Date.now())
+            megachunkSeed(this.worldSeed, newCoords.mx, newCoords.my, newCoords.mz)
         );
 
         // Transfer body to new megachunk
@@ -356,15 +379,16 @@ export class MegachunkTransferSystem {
     /**
      * Predict which bodies will cross boundaries in next N seconds
      * @param {number} timeWindow - Time window in seconds
-     * @returns {Promise<Array>}
+     * @returns {Promise<Array>} Soonest first, with the megachunk each body is heading into
      */
     async predictBoundaryCrossings(timeWindow = 60) {
         // Get all active bodies
         const activeBodies = await this.worldServerDB.pool.query(`
-            SELECT cb.*
+            SELECT cb.*, m.mx, m.my, m.mz
             FROM celestial_bodies cb
             JOIN megachunks m ON cb.megachunk_id = m.megachunk_id
             WHERE m.is_active = true
+              AND cb.handed_off_to IS NULL
         `);
 
         const predictions = [];
@@ -373,10 +397,20 @@ export class MegachunkTransferSystem {
             const timeUntilCrossing = this.calculateTimeUntilBoundaryCrossing(body);
 
             if (timeUntilCrossing <= timeWindow) {
+                // Just past the crossing, to see which face it leaves through
+                const ahead = timeUntilCrossing + 1e-3;
+                const crossing = detectBoundaryCrossing(
+                    body.local_x + body.velocity_x * ahead,
+                    body.local_y + body.velocity_y * ahead,
+                    body.local_z + body.velocity_z * ahead
+                );
+
                 predictions.push({
                     bodyId: body.body_id,
                     bodyType: body.body_type,
                     timeUntilCrossing,
+                    megachunk: { mx: body.mx, my: body.my, mz: body.mz },
+                    targetMegachunk: calculateNewMegachunk(body.mx, body.my, body.mz, crossing),
                     currentPosition: {
                         x: body.local_x,
                         y: body.local_y,
@@ -0,0 +1,424 @@
+/**
+ * POLYMIR ORBITAL INTEGRATOR
+ * ==========================
+ * N-body integration for celestial bodies
+ *
+ * Simulated bodies are advanced together with a kick-drift-kick leapfrog,
+ * which is symplectic: orbits keep their energy over long runs instead of
+ * spiralling in or out. Each tick is split into equal substeps whose count is
+ * chosen from the closest encounter, so tight orbits stay accurate without
+ * slowing down sparse systems.
+ *
+ * Kepler bodies ride "on rails": their position comes analytically from
+ * orbital elements around a parent body, they pull on simulated bodies but
+ * are not pulled back. Static bodies never move but still attract.
+ *
+ * Results are deterministic: bodies are processed in body id order, the
+ * substep count depends only on the state, and nothing reads the clock or
+ * Math.random, so two servers given the same bodies and tick length produce
+ * bit-identical orbits (on the same Node.js version).
+ */
+
+// =============================================
+// CONSTANTS
+// =============================================
+
+// Gravitational constant (m³/kg/s²)
+export const G = 6.67430e-11;
+
+export const MOTION_MODE = {
+    SIMULATED: 'simulated',
+    KEPLER: 'kepler',
+    STATIC: 'static'
+};
+
+export const ORBITAL_CONFIG = {
+    gravitationalConstant: parseFloat(process.env.PHYSICS_GRAVITATIONAL_CONSTANT) || G,
+    softening: 0.5,              // Plummer softening length (world units) so close passes stay finite
+    accuracy: 0.02,              // Substep length as a fraction of the shortest pair dynamical time
+    maxSubsteps: 64,             // Upper bound per tick, keeps a collapsing pair from stalling the loop
+    keplerTolerance: 1e-12,
+    keplerMaxIterations: 32
+};
+
+const TWO_PI = Math.PI * 2;
+
+// =============================================
+// KEPLER ORBITS
+// =============================================
+
+/**
+ * Wrap an angle to [0, 2π)
+ * @param {number} angle - Radians
+ * @returns {number}
+ */
+export function wrapAngle(angle) {
+    const wrapped = angle % TWO_PI;
+    return wrapped < 0 ? wrapped + TWO_PI : wrapped;
+}
+
+/**
+ * Solve Kepler's equation M = E - e·sin(E) for the eccentric anomaly
+ * @param {number} meanAnomaly - Radians
+ * @param {number} eccentricity - 0 <= e < 1
+ * @param {number} tolerance
+ * @param {number} maxIterations
+ * @returns {number} Eccentric anomaly (radians)
+ */
+export function solveKepler(meanAnomaly, eccentricity,
+    tolerance = ORBITAL_CONFIG.keplerTolerance, maxIterations = ORBITAL_CONFIG.keplerMaxIterations) {
+    const M = wrapAngle(meanAnomaly);
+    let E = eccentricity < 0.8 ? M : Math.PI;
+
+    for (let i = 0; i < maxIterations; i++) {
+        const delta = (E - eccentricity * Math.sin(E) - M) / (1 - eccentricity * Math.cos(E));
+        E -= delta;
+        if (Math.abs(delta) < tolerance) break;
+    }
+
+    return E;
+}
+
+/**
+ * Position and velocity of an elliptical orbit relative to its parent
+ *
+ * The reference plane is the world XZ plane with +Y as the orbital pole, so
+ * an orbit with zero inclination stays at the parent's height.
+ *
+ * @param {Object} orbit - {semiMajorAxis, eccentricity, inclination, longitudeOfAscendingNode, argumentOfPeriapsis, meanAnomaly}
+ * @param {number} mu - Gravitational parameter of the parent (G·M)
+ * @returns {{position: Object, velocity: Object}}
+ */
+export function keplerState(orbit, mu) {
+    const a = orbit.semiMajorAxis;
+    const e = orbit.eccentricity;
+
+    const E = solveKepler(orbit.meanAnomaly, e);
+    const cosE = Math.cos(E);
+    const sinE = Math.sin(E);
+    const b = Math.sqrt(1 - e * e);
+
+    // Perifocal frame: periapsis along +p, direction of motion along +q
+    const p = a * (cosE - e);
+    const q = a * b * sinE;
+
+    const meanMotion = Math.sqrt(mu / (a * a * a));
+    const eDot = meanMotion / (1 - e * cosE);
+    const vp = -a * sinE * eDot;
+    const vq = a * b * cosE * eDot;
+
+    const cosO = Math.cos(orbit.longitudeOfAscendingNode);
+    const sinO = Math.sin(orbit.longitudeOfAscendingNode);
+    const cosW = Math.cos(orbit.argumentOfPeriapsis);
+    const sinW = Math.sin(orbit.argumentOfPeriapsis);
+    const cosI = Math.cos(orbit.inclination);
+    const sinI = Math.sin(orbit.inclination);
+
+    // Perifocal axes in the Z-up orbital frame
+    const px = cosO * cosW - sinO * sinW * cosI;
+    const py = sinO * cosW + cosO * sinW * cosI;
+    const pz = sinW * sinI;
+    const qx = -cosO * sinW - sinO * cosW * cosI;
+    const qy = -sinO * sinW + cosO * cosW * cosI;
+    const qz = cosW * sinI;
+
+    // Z-up orbital frame to Y-up world: (x, y, z) -> (x, z, -y)
+    return {
+        position: {
+            x: p * px + q * qx,
+            y: p * pz + q * qz,
+            z: -(p * py + q * qy)
+        },
+        velocity: {
+            x: vp * px + vq * qx,
+            y: vp * pz + vq * qz,
+            z: -(vp * py + vq * qy)
+        }
+    };
+}
+
+/**
+ * Mean motion (radians per second) of an orbit
+ * @param {number} semiMajorAxis
+ * @param {number} mu
+ * @returns {number}
+ */
+export function meanMotion(semiMajorAxis, mu) {
+    return Math.sqrt(mu / (semiMajorAxis * semiMajorAxis * semiMajorAxis));
+}
+
+/**
+ * @param {Object|null} orbit
+ * @returns {boolean} Whether the elements describe a bound (elliptical) orbit
+ */
+export function isValidOrbit(orbit) {
+    return !!orbit &&
+        orbit.semiMajorAxis > 0 &&
+        orbit.eccentricity >= 0 && orbit.eccentricity < 1 &&
+        ['inclination', 'longitudeOfAscendingNode', 'argumentOfPeriapsis', 'meanAnomaly']
+            .every(key => Number.isFinite(orbit[key]));
+}
+
+// =============================================
+// ORBITAL INTEGRATOR
+// =============================================
+
+/**
+ * Body state understood by the integrator (mutated in place by step()):
+ * {
+ *   id: string,
+ *   mode: MOTION_MODE,
+ *   mass: number,                 // Already scaled by any gravity multiplier
+ *   position: {x, y, z},          // World units
+ *   velocity: {x, y, z},
+ *   anchored: boolean,            // Held in place this tick (e.g. outside active megachunks)
+ *   parentId: string|null,        // Kepler bodies only
+ *   orbit: Object|null            // Kepler elements, see keplerState()
+ * }
+ */
+export class OrbitalIntegrator {
+    /**
+     * @param {Object} config - Overrides for ORBITAL_CONFIG
+     */
+    constructor(config = {}) {
+        this.config = { ...ORBITAL_CONFIG, ...config };
+    }
+
+    /**
+     * Advance all bodies by dt seconds
+     * @param {Array<Object>} bodies - Integrator body states
+     * @param {number} dt - Seconds
+     * @returns {{substeps: number, simulated: number, rails: number}}
+     */
+    step(bodies, dt) {
+        // Order by id so summation order - and so rounding - never depends on input order
+        const ordered = [...bodies].sort((a, b) => (a.id < b.id ? -1 : a.id > b.id ? 1 : 0));
+        const byId = new Map(ordered.map(body => [body.id, body]));
+
+        const simulated = ordered.filter(body => !body.anchored && body.mode === MOTION_MODE.SIMULATED);
+        const rails = this.orderRails(ordered, byId);
+
+        if (simulated.length === 0 && rails.length === 0) {
+            return { substeps: 0, simulated: 0, rails: 0 };
+        }
+
+        // Rails positions follow their parents, which may have been moved since the last tick
+        this.placeRails(rails, byId);
+
+        const substeps = this.chooseSubsteps(simulated, ordered, dt);
+        const h = dt / substeps;
+        let accelerations = this.computeAccelerations(simulated, ordered);
+
+        for (let s = 0; s < substeps; s++) {
+            this.kick(simulated, accelerations, h / 2);
+
+            for (const body of simulated) {
+                body.position.x += body.velocity.x * h;
+                body.position.y += body.velocity.y * h;
+                body.position.z += body.velocity.z * h;
+            }
+
+            for (const body of rails) {
+                const mu = this.config.gravitationalConstant * byId.get(body.parentId).mass;
+                body.orbit.meanAnomaly = wrapAngle(body.orbit.meanAnomaly + meanMotion(body.orbit.semiMajorAxis, mu) * h);
+            }
+            this.placeRails(rails, byId);
+
+            accelerations = this.computeAccelerations(simulated, ordered);
+            this.kick(simulated, accelerations, h / 2);
+        }
+
+        // Rails velocities include the parent's, which only settles after the final kick
+        this.placeRails(rails, byId);
+
+        return { substeps, simulated: simulated.length, rails: rails.length };
+    }
+
+    /**
+     * Kepler bodies that can move this tick, parents before children
+     * Bodies with bad elements, a missing parent or a looping parent chain are
+     * held in place (and can still be orbited).
+     * @param {Array<Object>} ordered
+     * @param {Map<string, Object>} byId
+     * @returns {Array<Object>}
+     */
+    orderRails(ordered, byId) {
+        const depth = new Map();
+        const held = new Set();
+
+        const depthOf = (body, seen) => {
+            if (depth.has(body.id)) return depth.get(body.id);
+            if (body.mode !== MOTION_MODE.KEPLER || body.anchored) return 0;
+
+            const parent = byId.get(body.parentId);
+            if (!isValidOrbit(body.orbit) || !parent || !(parent.mass > 0) || seen.has(body.id)) {
+                held.add(body.id);
+                depth.set(body.id, 0);
+                return 0;
+            }
+
+            seen.add(body.id);
+            const parentDepth = depthOf(parent, seen);
+
+            // The chain looped back here and this body was held to break it
+            if (held.has(body.id)) return 0;
+
+            depth.set(body.id, parentDepth + 1);
+            return parentDepth + 1;
+        };
+
+        const rails = ordered.filter(body => body.mode === MOTION_MODE.KEPLER && depthOf(body, new Set()) > 0);
+
+        // Stable sort keeps id order within each depth
+        return rails.sort((a, b) => depth.get(a.id) - depth.get(b.id));
+    }
+
+    /**
+     * Set rails bodies from their elements and their parent's current state
+     * @param {Array<Object>} rails - From orderRails()
+     * @param {Map<string, Object>} byId
+     */
+    placeRails(rails, byId) {
+        for (const body of rails) {
+            const parent = byId.get(body.parentId);
+            const relative = keplerState(body.orbit, this.config.gravitationalConstant * parent.mass);
+
+            body.position.x = parent.position.x + relative.position.x;
+            body.position.y = parent.position.y + relative.position.y;
+            body.position.z = parent.position.z + relative.position.z;
+            body.velocity.x = parent.velocity.x + relative.velocity.x;
+            body.velocity.y = parent.velocity.y + relative.velocity.y;
+            body.velocity.z = parent.velocity.z + relative.velocity.z;
+        }
+    }
+
+    /**
+     * Softened gravitational acceleration on each simulated body from every other body
+     * @param {Array<Object>} simulated
+     * @param {Array<Object>} sources - All bodies, in id order
+     * @returns {Array<Object>} Accelerations, parallel to simulated
+     */
+    computeAccelerations(simulated, sources) {
+        const G = this.config.gravitationalConstant;
+        const eps2 = this.config.softening * this.config.softening;
+
+        return simulated.map(body => {
+            let ax = 0;
+            let ay = 0;
+            let az = 0;
+
+            for (const source of sources) {
+                if (source === body || !(source.mass > 0)) continue;
+
+                const dx = source.position.x - body.position.x;
+                const dy = source.position.y - body.position.y;
+                const dz = source.position.z - body.position.z;
+                const r2 = dx * dx + dy * dy + dz * dz + eps2;
+                const factor = G * source.mass / (r2 * Math.sqrt(r2));
+
+                ax += dx * factor;
+                ay += dy * factor;
+                az += dz * factor;
+            }
+
+            return { x: ax, y: ay, z: az };
+        });
+    }
+
+    /**
+     * @param {Array<Object>} simulated
+     * @param {Array<Object>} accelerations
+     * @param {number} h - Seconds
+     */
+    kick(simulated, accelerations, h) {
+        for (let i = 0; i < simulated.length; i++) {
+            simulated[i].velocity.x += accelerations[i].x * h;
+            simulated[i].velocity.y += accelerations[i].y * h;
+            simulated[i].velocity.z += accelerations[i].z * h;
+        }
+    }
+
+    /**
+     * Substeps needed for this tick: the tick is cut until each substep is a
+     * small fraction of the shortest free-fall time between a simulated body
+     * and anything that attracts it
+     * @param {Array<Object>} simulated
+     * @param {Array<Object>} sources
+     * @param {number} dt
+     * @returns {number}
+     */
+    chooseSubsteps(simulated, sources, dt) {
+        const G = this.config.gravitationalConstant;
+        const eps2 = this.config.softening * this.config.softening;
+        let shortest = Infinity;
+
+        for (const body of simulated) {
+            for (const source of sources) {
+                if (source === body) continue;
+
+                const mu = G * ((source.mass > 0 ? source.mass : 0) + (body.mass > 0 ? body.mass : 0));
+                if (mu <= 0) continue;
+
+                const dx = source.position.x - body.position.x;
+                const dy = source.position.y - body.position.y;
+                const dz = source.position.z - body.position.z;
+                const r2 = dx * dx + dy * dy + dz * dz + eps2;
+                const dynamicalTime = Math.sqrt(r2 * Math.sqrt(r2) / mu);
+
+                if (dynamicalTime < shortest) shortest = dynamicalTime;
+            }
+        }
+
+        if (!Number.isFinite(shortest)) return 1;
+
+        const needed = Math.ceil(dt / (this.config.accuracy * shortest));
+        return Math.min(Math.max(needed, 1), this.config.maxSubsteps);
+    }
+
+    /**
+     * Total energy of the simulated bodies in the field of all bodies
+     * (conserved, up to integration error, when no rails bodies move)
+     * @param {Array<Object>} bodies
+     * @returns {number}
+     */
+    totalEnergy(bodies) {
+        const G = this.config.gravitationalConstant;
+        const eps2 = this.config.softening * this.config.softening;
+        let kinetic = 0;
+        let potential = 0;
+
+        for (let i = 0; i < bodies.length; i++) {
+            const a = bodies[i];
+            if (a.mode === MOTION_MODE.SIMULATED) {
+                const v = a.velocity;
+                kinetic += 0.5 * a.mass * (v.x * v.x + v.y * v.y + v.z * v.z);
+            }
+
+            for (let j = i + 1; j < bodies.length; j++) {
+                const b = bodies[j];
+                const dx = b.position.x - a.position.x;
+                const dy = b.position.y - a.position.y;
+                const dz = b.position.z - a.position.z;
+                potential -= G * a.mass * b.mass / Math.sqrt(dx * dx + dy * dy + dz * dz + eps2);
+            }
+        }
+
+        return kinetic + potential;
+    }
+}
+
+// =============================================
+// EXPORTS
+// =============================================
+
+export default {
+    OrbitalIntegrator,
+    MOTION_MODE,
+    ORBITAL_CONFIG,
+    G,
+    solveKepler,
+    keplerState,
+    meanMotion,
+    isValidOrbit,
+    wrapAngle
+};
@@ -0,0 +1,482 @@
+/**
+ * POLYMIR SHIP FLIGHT SYSTEM
+ * ==========================
+ * Server-authoritative ship flight simulation
+ *
+ * Pilots only send control inputs (throttle, pitch, yaw, roll). The server
+ * integrates them every tick with the same ShipInstance rules the client
+ * predicts with, and sends the resulting state to everyone who has the ship
+ * in their area of interest (or its megachunk, without an interest manager),
+ * so passengers and observers never depend on a pilot's reported position.
+ */
+
+import logger from '../utils/logger.js';
+import { ENTITY_KIND } from '../realtime/interestManager.js';
+import { ShipInstance } from '../../../src/gameplay/vehicles/ShipManager.js';
+import { ShipConfig, SHIP_STATE } from '../../../src/gameplay/vehicles/ShipConfig.js';
+
+const log = logger.child('ShipFlight');
+
+// =============================================
+// FLIGHT CONSTANTS
+// =============================================
+
+// Flight tick rate (Hz) - matches the client's 50ms input sync interval
+const DEFAULT_TICK_RATE = 20;
+
+// Persist tracked ships to the database every N ticks
+const DEFAULT_PERSIST_INTERVAL_TICKS = 20;
+
+// Inputs older than this are zeroed, so a pilot who drops doesn't burn forever
+const INPUT_TIMEOUT_MS = 1000;
+
+// Drifting ships slower than this come to rest and stop being simulated
+const REST_SPEED_THRESHOLD = 0.01;
+
+const INPUT_AXES = ['throttle', 'pitch', 'yaw', 'roll'];
+
+// =============================================
+// HELPERS
+// =============================================
+
+/**
+ * Clamp a control input to [-1, 1]; anything non-numeric is 0
+ * @param {*} value
+ * @returns {number}
+ */
+export function clampInput(value) {
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+        return 0;
+    }
+    return Math.max(-1, Math.min(1, value));
+}
+
+/**
+ * Build a simulated ship from a ships table row
+ * @param {Object} row
+ * @returns {ShipInstance}
+ */
+export function createShipInstance(row) {
+    const thrusters = Array.isArray(row.thrusters) ? row.thrusters : [];
+
+    const config = new ShipConfig({
+        shipId: row.ship_id,
+        name: row.name,
+        ownerId: row.owner_id,
+        thrusters,
+        mass: Number(row.mass),
+        fuelCapacity: Number(row.fuel_capacity),
+        gyroscopeStrength: Number(row.gyroscope_strength),
+        totalThrust: Number(row.total_thrust),
+        totalFuelConsumption: thrusters.reduce((sum, t) => sum + (Number(t.fuelConsumption) || 1), 0),
+        currentFuel: Number(row.current_fuel)
+    });
+
+    const instance = new ShipInstance(config);
+    instance.position = { x: Number(row.position_x), y: Number(row.position_y), z: Number(row.position_z) };
+    instance.velocity = { x: Number(row.velocity_x), y: Number(row.velocity_y), z: Number(row.velocity_z) };
+    instance.rotation = {
+        x: Number(row.rotation_x),
+        y: Number(row.rotation_y),
+        z: Number(row.rotation_z),
+        w: Number(row.rotation_w)
+    };
+    instance.angularVelocity = {
+        x: Number(row.angular_velocity_x) || 0,
+        y: Number(row.angular_velocity_y) || 0,
+        z: Number(row.angular_velocity_z) || 0
+    };
+    instance.state = row.state || SHIP_STATE.INACTIVE;
+    instance.pilotId = row.pilot_id || null;
+    instance.currentFuel = Number(row.current_fuel);
+
+    return instance;
+}
+
+function speedOf(velocity) {
+    return Math.sqrt(velocity.x ** 2 + velocity.y ** 2 + velocity.z ** 2);
+}
+
+// =============================================
+// SHIP FLIGHT SYSTEM
+// =============================================
+
+export class ShipFlightSystem {
+    constructor(worldServerDB, wsServer = null, options = {}) {
+        this.worldServerDB = worldServerDB;
+        this.wsServer = wsServer;
+
+        // Flight loop state
+        this.isRunning = false;
+        this.tickInterval = null;
+        this.tickRate = options.tickRate || parseInt(process.env.SHIP_FLIGHT_TICK_RATE_HZ) || DEFAULT_TICK_RATE;
+        this.tickDuration = 1000 / this.tickRate; // milliseconds
+        this.deltaTime = 1 / this.tickRate; // seconds
+        this.persistIntervalTicks = options.persistIntervalTicks || DEFAULT_PERSIST_INTERVAL_TICKS;
+        this.inputTimeout = options.inputTimeout ?? INPUT_TIMEOUT_MS;
+
+        // Area-of-interest routing for ship state (InterestManager)
+        this.interest = options.interest || null;
+
+        // Performance tracking
+        this.tickCount = 0;
+        this.avgTickDuration = 0;
+        this.rejectedInputs = 0;
+
+        // Simulated ships: shipId -> { instance, megachunkId, inputSequence, lastInputAt }
+        this.ships = new Map();
+    }
+
+    /**
+     * Start flight loop
+     * Resumes ships that were in flight when the server last stopped.
+     */
+    async start() {
+        if (this.isRunning) {
+            log.warn('Ship flight system already running');
+            return;
+        }
+
+        this.isRunning = true;
+
+        try {
+            // Piloted ships keep their pilot, who can resume after reconnecting;
+            // until then the input timeout leaves them coasting
+            const rows = await this.worldServerDB.getShipsInFlight();
+            for (const row of rows) {
+                this.track(row);
+            }
+        } catch (error) {
+            log.error('Failed to resume ships in flight', { error: error.message });
+        }
+
+        this.tickInterval = setInterval(() => {
+            this.tick().catch(error => {
+                log.error('Ship flight tick failed', {
+                    error: error.message,
+                    stack: error.stack
+                });
+            });
+        }, this.tickDuration);
+
+        log.info('Ship flight system started', {
+            tickRate: this.tickRate,
+            resumedShips: this.ships.size
+        });
+    }
+
+    /**
+     * Stop flight loop and persist every tracked ship
+     */
+    async stop() {
+        if (!this.isRunning) {
+            return;
+        }
+
+        this.isRunning = false;
+
+        if (this.tickInterval) {
+            clearInterval(this.tickInterval);
+            this.tickInterval = null;
+        }
+
+        await this.persistAll();
+
+        log.info('Ship flight system stopped', {
+            totalTicks: this.tickCount,
+            avgTickDuration: this.avgTickDuration.toFixed(2) + 'ms'
+        });
+    }
+
+    // =============================================
+    // SHIP TRACKING
+    // =============================================
+
+    /**
+     * Start simulating a ship from its database row
+     * @param {Object} row - ships table row
+     * @returns {Object} Tracked entry
+     */
+    track(row) {
+        const existing = this.ships.get(row.ship_id);
+        if (existing) {
+            return existing;
+        }
+
+        const entry = {
+            instance: createShipInstance(row),
+            megachunkId: row.megachunk_id,
+            inputSequence: -1,
+            lastInputAt: 0
+        };
+        this.ships.set(row.ship_id, entry);
+        return entry;
+    }
+
+    /**
+     * Hand a ship to a pilot
+     * @param {Object} row - ships table row
+     * @param {string} pilotId
+     */
+    setPilot(row, pilotId) {
+        const entry = this.track(row);
+        entry.instance.pilotId = pilotId;
+        entry.instance.state = SHIP_STATE.PILOTED;
+        entry.inputSequence = -1;
+        this.zeroInputs(entry.instance);
+    }
+
+    /**
+     * Remove the pilot; the ship keeps its momentum and drifts
+     * @param {string} shipId
+     * @returns {Object|null} Live state after release, null if not simulated
+     */
+    releasePilot(shipId) {
+        const entry = this.ships.get(shipId);
+        if (!entry) {
+            return null;
+        }
+
+        const { instance } = entry;
+        instance.pilotId = null;
+        instance.state = speedOf(instance.velocity) > REST_SPEED_THRESHOLD
+            ? SHIP_STATE.DRIFTING
+            : SHIP_STATE.INACTIVE;
+        this.zeroInputs(instance);
+
+        return this.getShipState(shipId);
+    }
+
+    /**
+     * Apply pilot inputs
+     * Inputs are only accepted from the ship's current pilot, and a sequence
+     * number older than the last applied one is dropped as out-of-order.
+     * @param {string} shipId
+     * @param {string} playerId
+     * @param {Object} inputs - throttle, pitch, yaw, roll, sequence
+     * @returns {{accepted: boolean, reason?: string}}
+     */
+    applyInput(shipId, playerId, inputs) {
+        const entry = this.ships.get(shipId);
+        if (!entry) {
+            return { accepted: false, reason: 'Ship not in flight' };
+        }
+
+        const { instance } = entry;
+        if (instance.pilotId !== playerId) {
+            this.rejectedInputs++;
+            return { accepted: false, reason: 'Not piloting this ship' };
+        }
+
+        if (Number.isInteger(inputs.sequence)) {
+            if (inputs.sequence <= entry.inputSequence) {
+                return { accepted: false, reason: 'Stale input' };
+            }
+            entry.inputSequence = inputs.sequence;
+        }
+
+        for (const axis of INPUT_AXES) {
+            instance[axis] = clampInput(inputs[axis]);
+        }
+        entry.lastInputAt = Date.now();
+
+        return { accepted: true };
+    }
+
+    /**
+     * Current authoritative state of a simulated ship
+     * @param {string} shipId
+     * @returns {Object|null}
+     */
+    getShipState(shipId) {
+        const entry = this.ships.get(shipId);
+        if (!entry) {
+            return null;
+        }
+
+        return {
+            ...entry.instance.serialize(),
+            inputSequence: entry.inputSequence
+        };
+    }
+
+    zeroInputs(instance) {
+        for (const axis of INPUT_AXES) {
+            instance[axis] = 0;
+        }
+    }
+
+    // =============================================
+    // SIMULATION
+    // =============================================
+
+    /**
+     * Advance every tracked ship by one time step
+     * @param {number} deltaTime - seconds
+     * @returns {Array<string>} Ships that came to rest and were untracked
+     */
+    step(deltaTime = this.deltaTime) {
+        const now = Date.now();
+        const rested = [];
+
+        for (const [shipId, entry] of this.ships) {
+            const { instance } = entry;
+
+            if (instance.state === SHIP_STATE.PILOTED && now - entry.lastInputAt > this.inputTimeout) {
+                this.zeroInputs(instance);
+            }
+
+            instance.update(deltaTime);
+
+            if (instance.state !== SHIP_STATE.PILOTED && speedOf(instance.velocity) < REST_SPEED_THRESHOLD) {
+                instance.velocity = { x: 0, y: 0, z: 0 };
+                instance.angularVelocity = { x: 0, y: 0, z: 0 };
+                instance.state = SHIP_STATE.INACTIVE;
+                rested.push(shipId);
+            }
+        }
+
+        return rested;
+    }
+
+    /**
+     * Flight tick - integrate, broadcast, periodically persist
+     */
+    async tick() {
+        const tickStartTime = Date.now();
+
+        if (this.ships.size === 0) {
+            return;
+        }
+
+        const rested = this.step();
+
+        this.tickCount++;
+        this.broadcastStates();
+
+        // Rested ships are written immediately so the DB never holds stale velocity
+        for (const shipId of rested) {
+            await this.persistShip(shipId);
+            this.ships.delete(shipId);
+        }
+
+        if (this.tickCount % this.persistIntervalTicks === 0) {
+            await this.persistAll();
+        }
+
+        const tickDuration = Date.now() - tickStartTime;
+        this.avgTickDuration = (this.avgTickDuration * (this.tickCount - 1) + tickDuration) / this.tickCount;
+
+        if (tickDuration > this.tickDuration * 0.8) {
+            log.warn('Ship flight tick taking too long', {
+                duration: tickDuration,
+                target: this.tickDuration,
+                shipCount: this.ships.size
+            });
+        }
+    }
+
+    /**
+     * Send authoritative state of every tracked ship to whoever can see it
+     * The ship is pinned to its pilot, who reconciles its prediction against it.
+     */
+    broadcastStates() {
+        if (!this.wsServer) return;
+
+        for (const [shipId, entry] of this.ships) {
+            const state = this.getShipState(shipId);
+            const message = {
+                type: 'ship_state',
+                ...state,
+                tick: this.tickCount,
+                timestamp: Date.now()
+            };
+
+            if (this.interest) {
+                this.interest.updateEntity(ENTITY_KIND.SHIP, shipId, {
+                    position: state.position,
+                    megachunkId: entry.megachunkId,
+                    pinnedTo: state.pilotId,
+                    state
+                });
+                this.interest.sendToWatchers(ENTITY_KIND.SHIP, shipId, message);
+            } else if (entry.megachunkId) {
+                this.wsServer.broadcastToMegachunk(entry.megachunkId, message);
+            }
+        }
+    }
+
+    /**
+     * Write one ship's simulated state to the database
+     * @param {string} shipId
+     */
+    async persistShip(shipId) {
+        const entry = this.ships.get(shipId);
+        if (!entry) return;
+
+        const { position, velocity, rotation, angularVelocity, currentFuel, state } = entry.instance;
+
+        try {
+            await this.worldServerDB.updateShipState(shipId, {
+                state,
+                position_x: position.x,
+                position_y: position.y,
+                position_z: position.z,
+                velocity_x: velocity.x,
+                velocity_y: velocity.y,
+                velocity_z: velocity.z,
+                rotation_x: rotation.x,
+                rotation_y: rotation.y,
+                rotation_z: rotation.z,
+                rotation_w: rotation.w,
+                angular_velocity_x: angularVelocity.x,
+                angular_velocity_y: angularVelocity.y,
+                angular_velocity_z: angularVelocity.z,
+                current_fuel: currentFuel
+            });
+        } catch (error) {
+            log.error('Failed to persist ship state', {
+                shipId,
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Persist every tracked ship
+     */
+    async persistAll() {
+        await Promise.all([...this.ships.keys()].map(shipId => this.persistShip(shipId)));
+    }
+
+    /**
+     * Get flight statistics
+     * @returns {Object}
+     */
+    getStats() {
+        let piloted = 0;
+        for (const entry of this.ships.values()) {
+            if (entry.instance.state === SHIP_STATE.PILOTED) piloted++;
+        }
+
+        return {
+            isRunning: this.isRunning,
+            tickRate: this.tickRate,
+            tickCount: this.tickCount,
+            avgTickDuration: this.avgTickDuration.toFixed(2) + 'ms',
+            activeShips: this.ships.size,
+            pilotedShips: piloted,
+            rejectedInputs: this.rejectedInputs
+        };
+    }
+}
+
+// =============================================
+// EXPORTS
+// =============================================
+
+export default {
+    ShipFlightSystem,
+    createShipInstance,
+    clampInput
+};
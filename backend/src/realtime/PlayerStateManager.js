@@ -8,9 +8,14 @@
  * - Delta compression for bandwidth efficiency
  * - Spatial partitioning for broadcast optimization
  * - Priority-based updates (closer players = higher frequency)
+ * - Area-of-interest replication (enter/leave events via InterestManager)
+ * - Movement anti-cheat (speed, gravity, ships, teleports)
  */
 
 import logger from '../utils/logger.js';
+import { MovementValidator } from './movementValidator.js';
+import { GravitationalShapeConfig } from '../../../src/config/GravitationalShapeConfig.js';
+import { InterestManager, ENTITY_KIND } from './interestManager.js';
 
 const log = logger.child('PlayerStateManager');
 
@@ -40,10 +45,9 @@ export const SYNC_CONFIG = {
         MEDIUM: 150,   // < 150 units: every 2 ticks
         LOW: 500,      // < 500 units: every 5 ticks
         MINIMAL: 1000  // < 1000 units: every 10 ticks
-    },
+    }
 
-    // Beyond this distance, don't send updates
-    MAX_SYNC_DISTANCE: 2000
+    // Who receives updates at all is decided by the interest manager
 };
 
 // =============================================
@@ -286,10 +290,33 @@ function getCellKey(x, y, z) {
 // =============================================
 
 export class PlayerStateManager {
-    constructor(wsServer, worldServerDB) {
+    /**
+     * @param {Object} wsServer
+     * @param {Object} worldServerDB
+     * @param {Object} options
+     * @param {Object} options.shipFlight - ShipFlightSystem, lets passengers move with ships
+     * @param {Function} options.onViolationReport - async (report) => void, called when
+     *   a player's movement violations reach the trust penalty threshold
+     * @param {InterestManager} options.interest - Shared interest manager (created if omitted)
+     */
+    constructor(wsServer, worldServerDB, options = {}) {
         this.wsServer = wsServer;
         this.worldServerDB = worldServerDB;
 
+        // Movement anti-cheat, measuring height along each body's gravity
+        this.bodyGravity = new Map(); // bodyId -> GravitationalShapeConfig
+        this.movementValidator = new MovementValidator({
+            getShipState: options.shipFlight
+                ? (shipId) => options.shipFlight.getShipState(shipId)
+                : null,
+            getGravity: (playerId) => this.getPlayerGravity(playerId)
+        });
+        this.onViolationReport = options.onViolationReport || null;
+
+        // Area of interest: who sees whom
+        this.interest = options.interest || new InterestManager(wsServer);
+        this.interest.attachPlayers(this);
+
         // Player states indexed by playerId
         this.players = new Map();
 
@@ -315,7 +342,9 @@ export class PlayerStateManager {
             updatesSent: 0,
             dbPersists: 0,
             tickOverruns: 0,
-            maxTickDuration: 0
+            maxTickDuration: 0,
+            movesRejected: 0,
+            teleportsDenied: 0
         };
     }
 
@@ -482,46 +511,17 @@ export class PlayerStateManager {
         return state;
     }
 
-    /**
-     * Send initial state to a newly connected player
-     * Called after first position update so we know where they are
-     */
-    sendInitialStateToPlayer(playerId) {
-        const playerState = this.players.get(playerId);
-        if (!playerState || !playerState.connectionId) return;
-
-        // Get all nearby players
-        const nearby = this.getNearbyPlayers(
-            playerState.position,
-            SYNC_CONFIG.MAX_SYNC_DISTANCE
-        );
-
-        // Filter out self and collect states
-        const otherPlayers = nearby
-            .filter(({ playerId: otherId }) => otherId !== playerId)
-            .map(({ state }) => state);
-
-        if (otherPlayers.length === 0) return;
-
-        // Send as batched full state (not delta)
-        this.wsServer.sendToClient(playerState.connectionId, {
-            type: 'player_states_initial',
-            players: otherPlayers.map(s => s.toFullState()),
-            tick: this.currentTick,
-            timestamp: Date.now()
-        });
-
-        log.debug(`Sent initial state with ${otherPlayers.length} players to ${playerId}`);
-    }
-
     /**
      * Remove a player
      */
     removePlayer(playerId) {
         const state = this.players.get(playerId);
         if (state) {
-            // Broadcast player left to nearby players BEFORE removing
-            this.broadcastPlayerLeft(playerId, state.position);
+            // Tell everyone who could see this player BEFORE removing
+            this.interest.removeEntity(ENTITY_KIND.PLAYER, playerId);
+            if (state.connectionId) {
+                this.interest.removeConnection(state.connectionId);
+            }
 
             // Remove from spatial index
             this.removeFromSpatialIndex(playerId, state.position);
@@ -529,21 +529,137 @@ export class PlayerStateManager {
             this.players.delete(playerId);
             log.debug(`Player ${playerId} removed`);
         }
+        this.movementValidator.remove(playerId);
+    }
+
+    // =============================================
+    // MOVEMENT VALIDATION
+    // =============================================
+
+    /**
+     * Gravity field of the body a player is on
+     * @param {string} playerId
+     * @returns {GravitationalShapeConfig|null} null off-body or until loaded (+Y)
+     */
+    getPlayerGravity(playerId) {
+        const bodyId = this.players.get(playerId)?.bodyId;
+        return bodyId ? this.bodyGravity.get(bodyId) || null : null;
+    }
+
+    /**
+     * Load a body's gravity field once players arrive on it
+     * Bodies pull towards their gravitational centre.
+     * @param {string} bodyId
+     */
+    async loadBodyGravity(bodyId) {
+        try {
+            const body = await this.worldServerDB.getCelestialBodyById(bodyId);
+
+            // Everyone may have left while the query ran
+            if (!body || !this.bodyIndex.has(bodyId)) {
+                return;
+            }
+
+            this.bodyGravity.set(bodyId, new GravitationalShapeConfig('point', {
+                center: {
+                    x: Number(body.gravitational_center_x) || 0,
+                    y: Number(body.gravitational_center_y) || 0,
+                    z: Number(body.gravitational_center_z) || 0
+                }
+            }));
+        } catch (error) {
+            log.warn(`Failed to load gravity for body ${bodyId}`, { error: error.message });
+        }
     }
 
     /**
-     * Broadcast that a player left to nearby players
+     * Set the starting point movement is validated from (login, respawn)
+     * @param {string} playerId
+     * @param {Object} position - {x, y, z}
      */
-    broadcastPlayerLeft(playerId, position) {
-        // Get nearby players based on last known position
-        const nearby = this.getNearbyPlayers(position, SYNC_CONFIG.MAX_SYNC_DISTANCE);
+    setMovementBaseline(playerId, position) {
+        this.movementValidator.reset(playerId, position);
+    }
 
-        for (const { playerId: otherId, state: otherState } of nearby) {
-            if (otherId === playerId || !otherState.connectionId) continue;
+    /**
+     * Check a reported position before it is applied with updatePlayer
+     * @param {string} playerId
+     * @param {Object} position - {x, y, z}
+     * @param {Object} context - grounded, canFly (see MovementValidator.validateMove)
+     * @returns {{valid: boolean, violations: Array<Object>, correction: Object|null}}
+     */
+    validateMovement(playerId, position, context = {}) {
+        const result = this.movementValidator.validateMove(playerId, position, context);
 
-            this.wsServer.sendToClient(otherState.connectionId, {
-                type: 'player_left',
-                playerId: playerId
+        if (!result.valid) {
+            this.stats.movesRejected++;
+            log.debug(`Rejected move for player ${playerId}`, {
+                violations: result.violations.map(v => v.type)
+            });
+        }
+
+        return result;
+    }
+
+    /**
+     * Check a teleport request (admin, portal or server grant)
+     * @param {string} playerId
+     * @param {Object} destination - {x, y, z}
+     * @param {Object} context - portalId, isAdmin
+     * @returns {{allowed: boolean, reason: string, destination: Object|null, correction: Object|null}}
+     */
+    authorizeTeleport(playerId, destination, context = {}) {
+        const result = this.movementValidator.authorizeTeleport(playerId, destination, context);
+
+        if (!result.allowed) {
+            this.stats.teleportsDenied++;
+            log.warn(`Denied teleport for player ${playerId}`, { reason: result.reason });
+        }
+
+        return result;
+    }
+
+    /**
+     * Allow a player one teleport to a destination (respawn, scripted moves)
+     */
+    grantTeleport(playerId, destination, reason = 'server') {
+        this.movementValidator.grantTeleport(playerId, destination, reason);
+    }
+
+    /**
+     * Record which ship a player is aboard (null when they leave)
+     * @param {string} playerId
+     * @param {string|null} shipId
+     */
+    setPlayerShip(playerId, shipId) {
+        this.movementValidator.setShip(playerId, shipId);
+    }
+
+    /**
+     * @param {string} playerId
+     * @returns {string|null} Ship the server knows the player is aboard
+     */
+    getPlayerShip(playerId) {
+        return this.movementValidator.getShip(playerId);
+    }
+
+    /**
+     * @param {string} playerId
+     * @returns {{counts: Object, weight: number, recent: Array<Object>}}
+     */
+    getMovementViolations(playerId) {
+        return this.movementValidator.getViolationSummary(playerId);
+    }
+
+    /**
+     * Hand players with enough movement violations to the trust penalty callback
+     */
+    reportMovementViolations() {
+        if (!this.onViolationReport) return;
+
+        for (const report of this.movementValidator.takePenaltyReports()) {
+            Promise.resolve(this.onViolationReport(report)).catch(error => {
+                log.error(`Failed to apply movement penalty for ${report.playerId}:`, error);
             });
         }
     }
@@ -596,41 +712,16 @@ export class PlayerStateManager {
             this.addToRegionIndex(playerId, state.megachunkId, state.bodyId);
         }
 
-        // Send initial state to new player after first position update
-        // Also broadcast this player to existing nearby players
+        // After the first position update we know where the player is:
+        // exchange enter events with everyone nearby straight away
         if (wasFirstUpdate) {
             state.needsInitialSync = false;
-            this.sendInitialStateToPlayer(playerId);
-            this.broadcastPlayerJoined(playerId);
+            this.interest.refreshAround(playerId);
         }
 
         return true;
     }
 
-    /**
-     * Broadcast that a player joined to all nearby players
-     */
-    broadcastPlayerJoined(playerId) {
-        const playerState = this.players.get(playerId);
-        if (!playerState) return;
-
-        // Get nearby players
-        const nearby = this.getNearbyPlayers(
-            playerState.position,
-            SYNC_CONFIG.MAX_SYNC_DISTANCE
-        );
-
-        // Send full state to each nearby player
-        for (const { playerId: otherId, state: otherState } of nearby) {
-            if (otherId === playerId || !otherState.connectionId) continue;
-
-            this.wsServer.sendToClient(otherState.connectionId, {
-                type: 'player_joined',
-                player: playerState.toFullState()
-            });
-        }
-    }
-
     // =============================================
     // SPATIAL INDEXING
     // =============================================
@@ -664,6 +755,7 @@ export class PlayerStateManager {
         if (bodyId) {
             if (!this.bodyIndex.has(bodyId)) {
                 this.bodyIndex.set(bodyId, new Set());
+                this.loadBodyGravity(bodyId);
             }
             this.bodyIndex.get(bodyId).add(playerId);
         }
@@ -681,7 +773,10 @@ export class PlayerStateManager {
             const set = this.bodyIndex.get(bodyId);
             if (set) {
                 set.delete(playerId);
-                if (set.size === 0) this.bodyIndex.delete(bodyId);
+                if (set.size === 0) {
+                    this.bodyIndex.delete(bodyId);
+                    this.bodyGravity.delete(bodyId);
+                }
             }
         }
     }
@@ -759,6 +854,11 @@ export class PlayerStateManager {
 
         const now = Date.now();
 
+        // Periodically recompute who sees whom (sends enter/leave events)
+        if (this.currentTick % this.interest.config.REFRESH_TICKS === 0) {
+            this.interest.refresh();
+        }
+
         // Collect dirty players into array for iteration
         const dirtyPlayers = [];
         for (const state of this.players.values()) {
@@ -777,20 +877,18 @@ export class PlayerStateManager {
         // Map: connectionId -> [delta states to send]
         const recipientBatches = new Map();
 
-        // For each dirty player, find nearby recipients using spatial index
+        // For each dirty player, send to the connections that have it in their interest set
         for (const sourceState of dirtyPlayers) {
-            // Use spatial query instead of iterating all players
-            const nearbyRecipients = this.getNearbyPlayers(
-                sourceState.position,
-                SYNC_CONFIG.MAX_SYNC_DISTANCE
-            );
+            const watchers = this.interest.getWatchers(ENTITY_KIND.PLAYER, sourceState.playerId);
 
-            for (const { playerId: recipientId, state: recipientState, distance } of nearbyRecipients) {
-                // Skip self
-                if (recipientId === sourceState.playerId) continue;
+            for (const connectionId of watchers) {
+                const recipientState = this.players.get(this.interest.getViewerId(connectionId));
+                if (!recipientState || recipientState.connectionId !== connectionId) continue;
 
-                // Skip if no connection
-                if (!recipientState.connectionId) continue;
+                const dx = recipientState.position.x - sourceState.position.x;
+                const dy = recipientState.position.y - sourceState.position.y;
+                const dz = recipientState.position.z - sourceState.position.z;
+                const distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
 
                 // Check priority-based frequency
                 const priority = this.getPriorityForDistance(distance);
@@ -826,6 +924,7 @@ export class PlayerStateManager {
     maybePersistToDatabase(now) {
         if (now - this.lastDbPersist >= SYNC_CONFIG.DB_PERSIST_INTERVAL) {
             this.persistToDatabase();
+            this.reportMovementViolations();
             this.lastDbPersist = now;
         }
     }
@@ -962,7 +1061,8 @@ export class PlayerStateManager {
             ...this.stats,
             playerCount: this.players.size,
             cellCount: this.spatialIndex.size,
-            currentTick: this.currentTick
+            currentTick: this.currentTick,
+            interest: this.interest.getStats()
         };
     }
 
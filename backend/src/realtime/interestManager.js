@@ -0,0 +1,526 @@
+/**
+ * POLYMIR INTEREST MANAGEMENT
+ * ===========================
+ * Area-of-interest replication for real-time traffic
+ *
+ * Each connection's relevant set (nearby players, ships, debris) is computed
+ * from its player's position and body using the PlayerStateManager spatial
+ * index. Entities crossing the boundary produce a single `interest_update`
+ * message with enter/leave lists, and per-entity traffic (ship state, damage,
+ * local chat) is routed to the connections that can actually see it.
+ *
+ * Sets use hysteresis: an entity enters at the kind's radius and only leaves
+ * beyond radius * LEAVE_FACTOR, so entities on the boundary don't flap.
+ */
+
+// =============================================
+// CONFIGURATION
+// =============================================
+
+export const ENTITY_KIND = Object.freeze({
+    PLAYER: 'player',
+    SHIP: 'ship',
+    DEBRIS: 'debris'
+});
+
+export const INTEREST_CONFIG = {
+    // Recompute interest sets every N player state ticks (2 Hz at 20 Hz)
+    REFRESH_TICKS: 10,
+
+    // Enter radius per entity kind (units)
+    RADIUS: {
+        [ENTITY_KIND.PLAYER]: 2000,  // No player updates beyond this
+        [ENTITY_KIND.SHIP]: 3000,    // Ships are large and fast, keep them longer
+        [ENTITY_KIND.DEBRIS]: 500
+    },
+
+    // Entities leave the set beyond radius * LEAVE_FACTOR
+    LEAVE_FACTOR: 1.1,
+
+    // Event radii (units around the acting player)
+    DAMAGE_RADIUS: 1000,
+
+    // Grid for non-player entities
+    ENTITY_CELL_SIZE: 1024
+};
+
+function entityKey(kind, id) {
+    return `${kind}:${id}`;
+}
+
+function distanceSq(a, b) {
+    return (a.x - b.x) ** 2 + (a.y - b.y) ** 2 + (a.z - b.z) ** 2;
+}
+
+/**
+ * Entities on different bodies are never relevant to each other;
+ * an entity without a body (in space) can be seen from anywhere in range
+ */
+function sameFrame(bodyA, bodyB) {
+    return !bodyA || !bodyB || bodyA === bodyB;
+}
+
+// =============================================
+// INTEREST MANAGER
+// =============================================
+
+export class InterestManager {
+    /**
+     * @param {Object} wsServer
+     * @param {Object} config - Overrides for INTEREST_CONFIG
+     */
+    constructor(wsServer, config = {}) {
+        this.wsServer = wsServer;
+        this.config = {
+            ...INTEREST_CONFIG,
+            ...config,
+            RADIUS: { ...INTEREST_CONFIG.RADIUS, ...config.RADIUS }
+        };
+
+        // Player positions come from the PlayerStateManager (attachPlayers)
+        this.playerStates = null;
+
+        // Non-player entities: entityKey -> {kind, id, position, bodyId, megachunkId, pinnedTo, state}
+        this.entities = new Map();
+        this.cells = new Map();   // cellKey -> Set<entityKey>
+        this.pinned = new Map();  // playerId -> Set<entityKey>
+
+        // connectionId -> {playerId, keys: Set<entityKey>}
+        this.interests = new Map();
+
+        // entityKey -> Set<connectionId>
+        this.watchers = new Map();
+
+        this.stats = {
+            refreshes: 0,
+            enters: 0,
+            leaves: 0,
+            routedMessages: 0
+        };
+    }
+
+    /**
+     * Use a PlayerStateManager as the source of player positions
+     * @param {Object} playerStateManager
+     */
+    attachPlayers(playerStateManager) {
+        this.playerStates = playerStateManager;
+    }
+
+    // =============================================
+    // ENTITY TRACKING
+    // =============================================
+
+    /**
+     * Track or move a non-player entity
+     * @param {string} kind - ENTITY_KIND
+     * @param {string} id
+     * @param {Object} entity
+     * @param {Object} entity.position - {x, y, z}
+     * @param {string} entity.bodyId - Body the entity is on, null in space
+     * @param {string} entity.megachunkId
+     * @param {string} entity.pinnedTo - Player who always sees it (a ship's pilot)
+     * @param {Object} entity.state - Snapshot sent with enter events
+     */
+    updateEntity(kind, id, { position, bodyId = null, megachunkId = null, pinnedTo = null, state = null }) {
+        const key = entityKey(kind, id);
+        let entity = this.entities.get(key);
+
+        if (!entity) {
+            entity = { kind, id, position: { ...position }, bodyId, megachunkId, pinnedTo: null, state };
+            this.entities.set(key, entity);
+            this.addToCell(key, entity.position);
+        } else {
+            const oldCell = this.getCellKey(entity.position);
+            entity.position = { ...position };
+            if (oldCell !== this.getCellKey(entity.position)) {
+                this.removeFromCell(key, oldCell);
+                this.addToCell(key, entity.position);
+            }
+            entity.bodyId = bodyId;
+            entity.megachunkId = megachunkId;
+            entity.state = state;
+        }
+
+        if (entity.pinnedTo !== pinnedTo) {
+            this.setPin(key, entity.pinnedTo, pinnedTo);
+            entity.pinnedTo = pinnedTo;
+
+            // A new pilot must not wait for the next refresh to see their ship
+            if (pinnedTo) {
+                this.refreshPlayer(pinnedTo);
+            }
+        }
+    }
+
+    /**
+     * Stop tracking an entity and tell everyone who could see it
+     * Works for players too (on disconnect).
+     * @param {string} kind
+     * @param {string} id
+     */
+    removeEntity(kind, id) {
+        const key = entityKey(kind, id);
+        const entity = this.entities.get(key);
+
+        if (entity) {
+            this.removeFromCell(key, this.getCellKey(entity.position));
+            this.setPin(key, entity.pinnedTo, null);
+            this.entities.delete(key);
+        }
+
+        const watchers = this.watchers.get(key);
+        if (!watchers) return;
+
+        for (const connectionId of watchers) {
+            this.interests.get(connectionId)?.keys.delete(key);
+            this.sendUpdate(connectionId, [], [{ kind, id }]);
+        }
+        this.watchers.delete(key);
+    }
+
+    /**
+     * Forget a connection's interest set (disconnect)
+     * @param {string} connectionId
+     */
+    removeConnection(connectionId) {
+        const interest = this.interests.get(connectionId);
+        if (!interest) return;
+
+        for (const key of interest.keys) {
+            this.removeWatcher(key, connectionId);
+        }
+        this.interests.delete(connectionId);
+    }
+
+    getCellKey(position) {
+        const size = this.config.ENTITY_CELL_SIZE;
+        return `${Math.floor(position.x / size)},${Math.floor(position.y / size)},${Math.floor(position.z / size)}`;
+    }
+
+    addToCell(key, position) {
+        const cellKey = this.getCellKey(position);
+        if (!this.cells.has(cellKey)) {
+            this.cells.set(cellKey, new Set());
+        }
+        this.cells.get(cellKey).add(key);
+    }
+
+    removeFromCell(key, cellKey) {
+        const cell = this.cells.get(cellKey);
+        if (!cell) return;
+        cell.delete(key);
+        if (cell.size === 0) this.cells.delete(cellKey);
+    }
+
+    setPin(key, oldPlayerId, newPlayerId) {
+        if (oldPlayerId) {
+            const set = this.pinned.get(oldPlayerId);
+            set?.delete(key);
+            if (set?.size === 0) this.pinned.delete(oldPlayerId);
+        }
+        if (newPlayerId) {
+            if (!this.pinned.has(newPlayerId)) {
+                this.pinned.set(newPlayerId, new Set());
+            }
+            this.pinned.get(newPlayerId).add(key);
+        }
+    }
+
+    // =============================================
+    // INTEREST SETS
+    // =============================================
+
+    /**
+     * Recompute every connected player's interest set
+     */
+    refresh() {
+        if (!this.playerStates) return;
+
+        for (const state of this.playerStates.players.values()) {
+            if (state.connectionId) {
+                this.refreshViewer(state);
+            }
+        }
+        this.stats.refreshes++;
+    }
+
+    /**
+     * Recompute one player's interest set now (login, boarding a ship)
+     * @param {string} playerId
+     */
+    refreshPlayer(playerId) {
+        const state = this.playerStates?.players.get(playerId);
+        if (state?.connectionId) {
+            this.refreshViewer(state);
+        }
+    }
+
+    /**
+     * Refresh a player and everyone near them (login), so both sides see
+     * each other without waiting for the next periodic refresh
+     * @param {string} playerId
+     */
+    refreshAround(playerId) {
+        const state = this.playerStates?.players.get(playerId);
+        if (!state) return;
+
+        this.refreshPlayer(playerId);
+
+        const radius = this.config.RADIUS[ENTITY_KIND.PLAYER];
+        for (const { playerId: otherId, state: other } of this.playerStates.getNearbyPlayers(state.position, radius)) {
+            if (otherId !== playerId && other.connectionId) {
+                this.refreshViewer(other);
+            }
+        }
+    }
+
+    /**
+     * Diff a viewer's relevant set against what they currently see
+     * @param {Object} viewer - PlayerState
+     */
+    refreshViewer(viewer) {
+        const { connectionId } = viewer;
+        let interest = this.interests.get(connectionId);
+
+        if (!interest || interest.playerId !== viewer.playerId) {
+            if (interest) this.removeConnection(connectionId);
+            interest = { playerId: viewer.playerId, keys: new Set() };
+            this.interests.set(connectionId, interest);
+        }
+
+        const relevant = this.computeRelevant(viewer, interest.keys);
+        const enter = [];
+        const leave = [];
+
+        for (const key of relevant) {
+            if (interest.keys.has(key)) continue;
+            const snapshot = this.getSnapshot(key);
+            if (!snapshot) continue;
+
+            interest.keys.add(key);
+            this.addWatcher(key, connectionId);
+            enter.push(snapshot);
+        }
+
+        for (const key of interest.keys) {
+            if (relevant.has(key)) continue;
+
+            interest.keys.delete(key);
+            this.removeWatcher(key, connectionId);
+            const [kind, ...rest] = key.split(':');
+            leave.push({ kind, id: rest.join(':') });
+        }
+
+        this.sendUpdate(connectionId, enter, leave);
+    }
+
+    /**
+     * Everything a viewer should see right now
+     * @param {Object} viewer - PlayerState
+     * @param {Set<string>} current - Keys the viewer already sees (for hysteresis)
+     * @returns {Set<string>}
+     */
+    computeRelevant(viewer, current) {
+        const relevant = new Set();
+        const { RADIUS, LEAVE_FACTOR } = this.config;
+        const position = viewer.position;
+
+        const inRange = (key, distSq, radius) => {
+            const limit = current.has(key) ? radius * LEAVE_FACTOR : radius;
+            return distSq <= limit * limit;
+        };
+
+        // Players, from the PlayerStateManager spatial index
+        const playerRadius = RADIUS[ENTITY_KIND.PLAYER];
+        const nearby = this.playerStates.getNearbyPlayers(position, playerRadius * LEAVE_FACTOR);
+        for (const { playerId, state, distance } of nearby) {
+            if (playerId === viewer.playerId) continue;
+            if (!sameFrame(viewer.bodyId, state.bodyId)) continue;
+
+            const key = entityKey(ENTITY_KIND.PLAYER, playerId);
+            if (inRange(key, distance * distance, playerRadius)) {
+                relevant.add(key);
+            }
+        }
+
+        // Pinned entities are always visible to their player
+        for (const key of this.pinned.get(viewer.playerId) || []) {
+            relevant.add(key);
+        }
+
+        // Other entities - only occupied cells, culled by cell bounds
+        const size = this.config.ENTITY_CELL_SIZE;
+        const maxReach = Math.max(...Object.values(RADIUS)) * LEAVE_FACTOR;
+        for (const [cellKey, keys] of this.cells) {
+            const [cx, cy, cz] = cellKey.split(',').map(Number);
+            const gap = {
+                x: Math.max(cx * size - position.x, 0, position.x - (cx + 1) * size),
+                y: Math.max(cy * size - position.y, 0, position.y - (cy + 1) * size),
+                z: Math.max(cz * size - position.z, 0, position.z - (cz + 1) * size)
+            };
+            if (gap.x * gap.x + gap.y * gap.y + gap.z * gap.z > maxReach * maxReach) continue;
+
+            for (const key of keys) {
+                const entity = this.entities.get(key);
+                if (!sameFrame(viewer.bodyId, entity.bodyId)) continue;
+
+                if (inRange(key, distanceSq(entity.position, position), RADIUS[entity.kind] || 0)) {
+                    relevant.add(key);
+                }
+            }
+        }
+
+        return relevant;
+    }
+
+    /**
+     * Enter-event payload for an entity
+     * @param {string} key
+     * @returns {Object|null} {kind, id, state}
+     */
+    getSnapshot(key) {
+        const entity = this.entities.get(key);
+        if (entity) {
+            return { kind: entity.kind, id: entity.id, state: entity.state };
+        }
+
+        const playerId = key.slice(ENTITY_KIND.PLAYER.length + 1);
+        const state = this.playerStates?.players.get(playerId);
+        return state
+            ? { kind: ENTITY_KIND.PLAYER, id: playerId, state: state.toFullState() }
+            : null;
+    }
+
+    addWatcher(key, connectionId) {
+        if (!this.watchers.has(key)) {
+            this.watchers.set(key, new Set());
+        }
+        this.watchers.get(key).add(connectionId);
+    }
+
+    removeWatcher(key, connectionId) {
+        const set = this.watchers.get(key);
+        if (!set) return;
+        set.delete(connectionId);
+        if (set.size === 0) this.watchers.delete(key);
+    }
+
+    sendUpdate(connectionId, enter, leave) {
+        if (enter.length === 0 && leave.length === 0) return;
+
+        this.wsServer.sendToClient(connectionId, {
+            type: 'interest_update',
+            enter,
+            leave,
+            timestamp: Date.now()
+        });
+
+        this.stats.enters += enter.length;
+        this.stats.leaves += leave.length;
+    }
+
+    // =============================================
+    // ROUTING
+    // =============================================
+
+    /**
+     * Connections that currently see an entity
+     * @param {string} kind
+     * @param {string} id
+     * @returns {Set<string>}
+     */
+    getWatchers(kind, id) {
+        return this.watchers.get(entityKey(kind, id)) || new Set();
+    }
+
+    /**
+     * Player whose interest set a connection holds
+     * @param {string} connectionId
+     * @returns {string|null}
+     */
+    getViewerId(connectionId) {
+        return this.interests.get(connectionId)?.playerId || null;
+    }
+
+    /**
+     * Send a message about an entity to everyone who sees it
+     * @param {string} kind
+     * @param {string} id
+     * @param {Object} message
+     * @param {string} excludeConnectionId
+     * @returns {number} Messages sent
+     */
+    sendToWatchers(kind, id, message, excludeConnectionId = null) {
+        let sent = 0;
+
+        for (const connectionId of this.getWatchers(kind, id)) {
+            if (connectionId === excludeConnectionId) continue;
+            if (this.wsServer.sendToClient(connectionId, message)) sent++;
+        }
+
+        this.stats.routedMessages += sent;
+        return sent;
+    }
+
+    /**
+     * Send an event to connections whose player is near the acting player
+     * @param {string} playerId - Acting player; the event happens where they are
+     * @param {number} radius
+     * @param {Object} message
+     * @param {Object} options
+     * @param {string} options.excludeConnectionId
+     * @param {string} options.bodyId - Body the event is on (defaults to the player's)
+     * @returns {number|null} Messages sent, null if the player's position is unknown
+     */
+    broadcastNearPlayer(playerId, radius, message, { excludeConnectionId = null, bodyId } = {}) {
+        const source = this.playerStates?.players.get(playerId);
+        if (!source) return null;
+
+        const eventBody = bodyId === undefined ? source.bodyId : bodyId;
+        let sent = 0;
+
+        for (const { state } of this.playerStates.getNearbyPlayers(source.position, radius)) {
+            if (!state.connectionId || state.connectionId === excludeConnectionId) continue;
+            if (!sameFrame(eventBody, state.bodyId)) continue;
+
+            if (this.wsServer.sendToClient(state.connectionId, message)) sent++;
+        }
+
+        this.stats.routedMessages += sent;
+        return sent;
+    }
+
+    /**
+     * What a connection currently sees
+     * @param {string} connectionId
+     * @returns {Array<{kind: string, id: string}>}
+     */
+    getInterestSet(connectionId) {
+        const interest = this.interests.get(connectionId);
+        if (!interest) return [];
+
+        return [...interest.keys].map(key => {
+            const [kind, ...rest] = key.split(':');
+            return { kind, id: rest.join(':') };
+        });
+    }
+
+    getStats() {
+        return {
+            ...this.stats,
+            connections: this.interests.size,
+            entities: this.entities.size
+        };
+    }
+}
+
+// =============================================
+// EXPORTS
+// =============================================
+
+export default {
+    ENTITY_KIND,
+    INTEREST_CONFIG,
+    InterestManager
+};
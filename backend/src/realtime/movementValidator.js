@@ -0,0 +1,519 @@
+/**
+ * POLYMIR MOVEMENT VALIDATOR
+ * ==========================
+ * Server-side anti-cheat for player movement
+ *
+ * Every position update is checked against the last accepted position:
+ * - Speed: distance covered against elapsed time
+ * - Gravity: ascent limited to what a jump allows unless the player may fly
+ * - Ships: passengers move with their ship, so its motion is subtracted first
+ * - Teleports: only admins, registered portals or server-issued grants
+ *
+ * Impossible moves are rejected with the last accepted position to rubber-band
+ * to, and recorded per player so repeated violations can cost trust.
+ *
+ * Heights are measured along the gravitational up vector at the player's
+ * position, so "up" on a planet is away from its centre. Players without a
+ * gravity field (flat worlds) fall back to +Y.
+ */
+
+import { Config } from '../../../src/config/Config.js';
+
+// =============================================
+// CONFIGURATION
+// =============================================
+
+export const MOVEMENT_CONFIG = {
+    // Player physics - shared with the client controller
+    MOVE_SPEED: Config.PLAYER.MOVE_SPEED,
+    FLY_SPEED: Config.PLAYER.FLY_SPEED,
+    JUMP_VELOCITY: Config.PLAYER.JUMP_VELOCITY,
+    GRAVITY: Math.abs(Config.PLAYER.GRAVITY),
+    MAX_STEP_HEIGHT: Config.PLAYER.MAX_STEP_HEIGHT,
+    TERMINAL_VELOCITY: 60,
+
+    // Slack for frame jitter and rounding
+    SPEED_TOLERANCE: 0.25,
+    DISTANCE_ALLOWANCE: 0.5,
+
+    // Elapsed time is clamped so bursts can't be "saved up" by going quiet
+    MIN_ELAPSED_MS: 50,
+    MAX_ELAPSED_MS: 1000,
+
+    // Airborne longer than this without descending below takeoff is hovering
+    HOVER_TIME_MS: 2000,
+
+    // After a correction, stale in-flight updates are rejected but not recorded
+    CORRECTION_GRACE_MS: 500,
+
+    // Flight for everyone (creative servers)
+    ALLOW_FLIGHT: process.env.MOVEMENT_ALLOW_FLIGHT === 'true',
+
+    // Teleports
+    TELEPORT_GRANT_TTL_MS: 10000,
+    TELEPORT_GRANT_RADIUS: 2,
+    PORTAL_USE_RANGE: 4,
+
+    // Violations feeding trust penalties
+    VIOLATION_WINDOW_MS: 10 * 60 * 1000,
+    MAX_RECENT_VIOLATIONS: 50,
+    VIOLATION_WEIGHT: {
+        speed: 1,
+        flight: 2,
+        hover: 1,
+        unauthorized_teleport: 3
+    },
+    PENALTY_THRESHOLD: 10,   // Weight needed before a penalty is issued
+    PENALTY_PER_POINT: 0.002,
+    MAX_PENALTY: 0.05
+};
+
+export const VIOLATION_TYPE = Object.freeze({
+    SPEED: 'speed',
+    FLIGHT: 'flight',
+    HOVER: 'hover',
+    UNAUTHORIZED_TELEPORT: 'unauthorized_teleport'
+});
+
+// Highest point a jump can reach above takeoff, plus one step up
+const MAX_AIRBORNE_ASCENT = (MOVEMENT_CONFIG.JUMP_VELOCITY ** 2) / (2 * MOVEMENT_CONFIG.GRAVITY)
+    + MOVEMENT_CONFIG.MAX_STEP_HEIGHT;
+
+function distance(a, b) {
+    return Math.sqrt((a.x - b.x) ** 2 + (a.y - b.y) ** 2 + (a.z - b.z) ** 2);
+}
+
+const WORLD_UP = Object.freeze({ x: 0, y: 1, z: 0 });
+
+function dot(a, b) {
+    return a.x * b.x + a.y * b.y + a.z * b.z;
+}
+
+function isFinitePosition(p) {
+    return p && Number.isFinite(p.x) && Number.isFinite(p.y) && Number.isFinite(p.z);
+}
+
+/**
+ * Trust penalty for accumulated violation weight
+ * @param {number} weight
+ * @param {Object} config
+ * @returns {number} Amount to subtract from trust score
+ */
+export function calculateMovementPenalty(weight, config = MOVEMENT_CONFIG) {
+    if (weight < config.PENALTY_THRESHOLD) {
+        return 0;
+    }
+    return Math.min(config.MAX_PENALTY, weight * config.PENALTY_PER_POINT);
+}
+
+// =============================================
+// MOVEMENT VALIDATOR
+// =============================================
+
+export class MovementValidator {
+    /**
+     * @param {Object} options
+     * @param {Function} options.getShipState - (shipId) => {velocity} | null
+     * @param {Function} options.getGravity - (playerId) => field with getUpVectorAt(x, y, z)
+     *   (e.g. GravitationalShapeConfig) | null for +Y
+     * @param {Object} options.config - Overrides for MOVEMENT_CONFIG
+     */
+    constructor(options = {}) {
+        this.config = { ...MOVEMENT_CONFIG, ...options.config };
+        this.getShipState = options.getShipState || (() => null);
+        this.getGravity = options.getGravity || (() => null);
+
+        // playerId -> movement track
+        this.tracks = new Map();
+
+        // playerId -> { destination, reason, expiresAt }
+        this.teleportGrants = new Map();
+
+        // portalId -> { entrance, exit, range }
+        this.portals = new Map();
+
+        // playerId -> { counts, recent, penalizedAt }
+        this.violations = new Map();
+    }
+
+    // =============================================
+    // PLAYER TRACKING
+    // =============================================
+
+    /**
+     * Accept a position unconditionally (spawn, login, authorised teleport)
+     * @param {string} playerId
+     * @param {Object} position - {x, y, z}
+     * @param {number} now
+     */
+    reset(playerId, position, now = Date.now()) {
+        const track = this.tracks.get(playerId) || { shipId: null };
+        track.lastValid = { x: position.x, y: position.y, z: position.z };
+        track.lastTime = now;
+        track.airborneSince = null;
+        track.takeoff = { ...track.lastValid };
+        track.correctionUntil = 0;
+        this.tracks.set(playerId, track);
+    }
+
+    /**
+     * Forget a player (disconnect); violation history is kept
+     * @param {string} playerId
+     */
+    remove(playerId) {
+        this.tracks.delete(playerId);
+        this.teleportGrants.delete(playerId);
+    }
+
+    /**
+     * Set the ship a player is aboard, as confirmed by the ship handlers
+     * @param {string} playerId
+     * @param {string|null} shipId
+     */
+    setShip(playerId, shipId) {
+        const track = this.tracks.get(playerId) || {};
+        track.shipId = shipId;
+        track.airborneSince = null;
+        this.tracks.set(playerId, track);
+    }
+
+    /**
+     * @param {string} playerId
+     * @returns {string|null}
+     */
+    getShip(playerId) {
+        return this.tracks.get(playerId)?.shipId || null;
+    }
+
+    // =============================================
+    // MOVE VALIDATION
+    // =============================================
+
+    /**
+     * Unit up vector for a player at a position
+     * @param {string} playerId
+     * @param {Object} position - {x, y, z}
+     * @returns {Object} {x, y, z}
+     */
+    getUpVector(playerId, position) {
+        const up = this.getGravity(playerId)?.getUpVectorAt(position.x, position.y, position.z);
+        if (!up || !isFinitePosition(up)) {
+            return WORLD_UP;
+        }
+
+        const length = Math.sqrt(dot(up, up));
+        return length > 0 ? { x: up.x / length, y: up.y / length, z: up.z / length } : WORLD_UP;
+    }
+
+    /**
+     * Validate a reported position against the last accepted one
+     * The first report from an unknown player becomes the baseline.
+     * @param {string} playerId
+     * @param {Object} position - {x, y, z}
+     * @param {Object} context
+     * @param {boolean} context.grounded - Client-reported ground contact (optional)
+     * @param {boolean} context.canFly - Player is allowed to fly (admin)
+     * @param {number} context.now
+     * @returns {{valid: boolean, violations: Array<Object>, correction: Object|null}}
+     */
+    validateMove(playerId, position, context = {}) {
+        const now = context.now ?? Date.now();
+        const track = this.tracks.get(playerId);
+
+        // Non-finite data is rejected by PlayerState.update
+        if (!isFinitePosition(position)) {
+            return { valid: true, violations: [], correction: null };
+        }
+
+        if (!track || !track.lastValid) {
+            this.reset(playerId, position, now);
+            return { valid: true, violations: [], correction: null };
+        }
+
+        const cfg = this.config;
+        const elapsedMs = Math.min(Math.max(now - track.lastTime, cfg.MIN_ELAPSED_MS), cfg.MAX_ELAPSED_MS);
+        const elapsed = elapsedMs / 1000;
+        const last = track.lastValid;
+
+        let dx = position.x - last.x;
+        let dy = position.y - last.y;
+        let dz = position.z - last.z;
+
+        // Passengers are carried by their ship: check movement relative to it
+        const ship = track.shipId ? this.getShipState(track.shipId) : null;
+        if (ship && ship.velocity) {
+            dx -= ship.velocity.x * elapsed;
+            dy -= ship.velocity.y * elapsed;
+            dz -= ship.velocity.z * elapsed;
+        }
+
+        // Split the move into vertical (along up) and horizontal parts
+        const up = this.getUpVector(playerId, last);
+        const rise = dot({ x: dx, y: dy, z: dz }, up);
+        const horizontal = Math.sqrt(Math.max(0, dx * dx + dy * dy + dz * dz - rise * rise));
+
+        const canFly = cfg.ALLOW_FLIGHT || context.canFly === true;
+        const violations = [];
+        const slack = 1 + cfg.SPEED_TOLERANCE;
+
+        // Speed
+        const maxSpeed = canFly ? cfg.FLY_SPEED : cfg.MOVE_SPEED;
+        const maxHorizontal = maxSpeed * elapsed * slack + cfg.DISTANCE_ALLOWANCE;
+        if (horizontal > maxHorizontal) {
+            violations.push({ type: VIOLATION_TYPE.SPEED, distance: horizontal, allowed: maxHorizontal });
+        }
+
+        const maxFall = cfg.TERMINAL_VELOCITY * elapsed * slack + cfg.DISTANCE_ALLOWANCE;
+        if (-rise > maxFall) {
+            violations.push({ type: VIOLATION_TYPE.SPEED, distance: -rise, allowed: maxFall });
+        }
+
+        // Gravity - ship decks have their own gravity, flyers ignore it
+        if (canFly) {
+            const maxVertical = cfg.FLY_SPEED * elapsed * slack + cfg.DISTANCE_ALLOWANCE;
+            if (rise > maxVertical) {
+                violations.push({ type: VIOLATION_TYPE.SPEED, distance: rise, allowed: maxVertical });
+            }
+        } else if (!track.shipId) {
+            violations.push(...this.checkGravity(track, position, rise, up, elapsed, context.grounded, now));
+        }
+
+        if (violations.length > 0) {
+            // Updates already in flight when we corrected are expected to fail
+            if (now >= track.correctionUntil) {
+                for (const violation of violations) {
+                    this.recordViolation(playerId, violation.type, violation, now);
+                }
+            }
+            track.correctionUntil = now + cfg.CORRECTION_GRACE_MS;
+            track.lastTime = now;
+
+            return { valid: false, violations, correction: { ...last } };
+        }
+
+        track.lastValid = { x: position.x, y: position.y, z: position.z };
+        track.lastTime = now;
+        return { valid: true, violations: [], correction: null };
+    }
+
+    /**
+     * Gravity checks: ascent rate, jump height while airborne, hovering
+     * @param {number} rise - Move distance along up
+     * @param {Object} up - Unit up vector at the last accepted position
+     * @returns {Array<Object>} Violations
+     */
+    checkGravity(track, position, rise, up, elapsed, grounded, now) {
+        const cfg = this.config;
+        const violations = [];
+
+        // Walking up stairs or jumping - never faster than the jump impulse
+        const maxAscent = Math.max(cfg.JUMP_VELOCITY, cfg.MOVE_SPEED) * elapsed * (1 + cfg.SPEED_TOLERANCE)
+            + cfg.DISTANCE_ALLOWANCE;
+        if (rise > maxAscent) {
+            violations.push({ type: VIOLATION_TYPE.FLIGHT, distance: rise, allowed: maxAscent });
+        }
+
+        if (grounded === true) {
+            track.airborneSince = null;
+            track.takeoff = { x: position.x, y: position.y, z: position.z };
+        } else if (grounded === false) {
+            if (track.airborneSince === null) {
+                track.airborneSince = now;
+                track.takeoff = { ...track.lastValid };
+            }
+
+            // Height above takeoff along the local up
+            const takeoff = track.takeoff;
+            const ascent = dot({
+                x: position.x - takeoff.x,
+                y: position.y - takeoff.y,
+                z: position.z - takeoff.z
+            }, up);
+            if (ascent > MAX_AIRBORNE_ASCENT + cfg.DISTANCE_ALLOWANCE) {
+                violations.push({ type: VIOLATION_TYPE.FLIGHT, distance: ascent, allowed: MAX_AIRBORNE_ASCENT });
+            } else if (now - track.airborneSince > cfg.HOVER_TIME_MS && ascent >= 0) {
+                violations.push({ type: VIOLATION_TYPE.HOVER, airborneMs: now - track.airborneSince });
+            }
+        }
+
+        return violations;
+    }
+
+    // =============================================
+    // TELEPORTS
+    // =============================================
+
+    /**
+     * Allow one server-initiated teleport (respawn, portal exit, scripted move)
+     * @param {string} playerId
+     * @param {Object} destination - {x, y, z}
+     * @param {string} reason
+     * @param {number} now
+     */
+    grantTeleport(playerId, destination, reason = 'server', now = Date.now()) {
+        this.teleportGrants.set(playerId, {
+            destination: { x: destination.x, y: destination.y, z: destination.z },
+            reason,
+            expiresAt: now + this.config.TELEPORT_GRANT_TTL_MS
+        });
+    }
+
+    /**
+     * Register a portal players may teleport through
+     * @param {string} portalId
+     * @param {Object} portal - {entrance: {x,y,z}, exit: {x,y,z}, range}
+     */
+    registerPortal(portalId, portal) {
+        this.portals.set(portalId, {
+            entrance: { ...portal.entrance },
+            exit: { ...portal.exit },
+            range: portal.range || this.config.PORTAL_USE_RANGE
+        });
+    }
+
+    /**
+     * @param {string} portalId
+     */
+    removePortal(portalId) {
+        this.portals.delete(portalId);
+    }
+
+    /**
+     * Decide whether a teleport request is allowed
+     * Portal teleports go to the portal's exit regardless of the requested
+     * destination. An allowed teleport becomes the new movement baseline.
+     * @param {string} playerId
+     * @param {Object} destination - Requested {x, y, z}
+     * @param {Object} context
+     * @param {string} context.portalId
+     * @param {boolean} context.isAdmin
+     * @param {number} context.now
+     * @returns {{allowed: boolean, reason: string, destination: Object|null, correction: Object|null}}
+     */
+    authorizeTeleport(playerId, destination, context = {}) {
+        const now = context.now ?? Date.now();
+        const track = this.tracks.get(playerId);
+        const current = track?.lastValid || null;
+
+        const allow = (reason, target) => {
+            this.reset(playerId, target, now);
+            return { allowed: true, reason, destination: { ...target }, correction: null };
+        };
+
+        if (context.isAdmin) {
+            return allow('admin', destination);
+        }
+
+        if (context.portalId) {
+            const portal = this.portals.get(context.portalId);
+            if (portal && current && distance(current, portal.entrance) <= portal.range) {
+                return allow('portal', portal.exit);
+            }
+        } else {
+            const grant = this.teleportGrants.get(playerId);
+            if (grant && grant.expiresAt >= now &&
+                distance(grant.destination, destination) <= this.config.TELEPORT_GRANT_RADIUS) {
+                this.teleportGrants.delete(playerId);
+                return allow(grant.reason, grant.destination);
+            }
+        }
+
+        this.recordViolation(playerId, VIOLATION_TYPE.UNAUTHORIZED_TELEPORT, {
+            destination,
+            portalId: context.portalId || null
+        }, now);
+
+        return {
+            allowed: false,
+            reason: context.portalId ? 'Not in range of portal' : 'Teleport not permitted',
+            destination: null,
+            correction: current ? { ...current } : null
+        };
+    }
+
+    // =============================================
+    // VIOLATIONS
+    // =============================================
+
+    /**
+     * Record a violation against a player
+     * @param {string} playerId
+     * @param {string} type - VIOLATION_TYPE
+     * @param {Object} details
+     * @param {number} now
+     */
+    recordViolation(playerId, type, details = {}, now = Date.now()) {
+        let record = this.violations.get(playerId);
+        if (!record) {
+            record = { counts: {}, recent: [], penalizedAt: 0 };
+            this.violations.set(playerId, record);
+        }
+
+        record.counts[type] = (record.counts[type] || 0) + 1;
+        record.recent.push({ type, at: now, details });
+        if (record.recent.length > this.config.MAX_RECENT_VIOLATIONS) {
+            record.recent.shift();
+        }
+    }
+
+    weigh(violations) {
+        return violations.reduce((sum, v) => sum + (this.config.VIOLATION_WEIGHT[v.type] || 1), 0);
+    }
+
+    /**
+     * Violation history for a player
+     * @param {string} playerId
+     * @param {number} now
+     * @returns {{counts: Object, weight: number, recent: Array<Object>}}
+     */
+    getViolationSummary(playerId, now = Date.now()) {
+        const record = this.violations.get(playerId);
+        if (!record) {
+            return { counts: {}, weight: 0, recent: [] };
+        }
+
+        const since = now - this.config.VIOLATION_WINDOW_MS;
+        const recent = record.recent.filter(v => v.at >= since);
+
+        return { counts: { ...record.counts }, weight: this.weigh(recent), recent };
+    }
+
+    /**
+     * Collect players whose unpenalised violations in the window reached the
+     * penalty threshold. Each violation is only ever penalised once.
+     * @param {number} now
+     * @returns {Array<{playerId: string, weight: number, penalty: number, counts: Object}>}
+     */
+    takePenaltyReports(now = Date.now()) {
+        const reports = [];
+        const since = now - this.config.VIOLATION_WINDOW_MS;
+
+        for (const [playerId, record] of this.violations) {
+            // Old history is dropped once it can no longer contribute
+            record.recent = record.recent.filter(v => v.at >= since);
+
+            const weight = this.weigh(record.recent.filter(v => v.at > record.penalizedAt));
+
+            if (weight >= this.config.PENALTY_THRESHOLD) {
+                reports.push({
+                    playerId,
+                    weight,
+                    penalty: calculateMovementPenalty(weight, this.config),
+                    counts: { ...record.counts }
+                });
+                record.penalizedAt = now;
+            } else if (record.recent.length === 0) {
+                this.violations.delete(playerId);
+            }
+        }
+
+        return reports;
+    }
+}
+
+export default {
+    MOVEMENT_CONFIG,
+    VIOLATION_TYPE,
+    MovementValidator,
+    calculateMovementPenalty
+};
@@ -0,0 +1,309 @@
+/**
+ * POLYMIR SCHEMATIC REVISIONS
+ * ===========================
+ * Voxel-level diff and three-way merge between schematic revisions.
+ * Revisions are decoded with the shared client MVoxFile/NBT code and
+ * compared as position maps ("x,y,z" -> voxel), so revisions written with
+ * different positionBits compare correctly.
+ */
+
+import { inflateSync } from 'zlib';
+import { MVoxFile, MVOX_COMPRESSION } from '../../../src/serialization/formats/MVoxFile.js';
+
+export const MERGE_STRATEGY = Object.freeze({
+    OURS: 'ours',
+    THEIRS: 'theirs'
+});
+
+// =============================================
+// REVISION FILES
+// =============================================
+
+/**
+ * Decode a stored .mvox revision. Deflated sections are inflated with zlib
+ * because MVoxFile only inflates asynchronously.
+ * @param {Buffer|Uint8Array} data
+ * @returns {MVoxFile}
+ */
+export function decodeRevision(data) {
+    const { header, body } = MVoxFile.splitHeader(new Uint8Array(data.buffer, data.byteOffset, data.byteLength));
+    const deflated = (header.compression || MVOX_COMPRESSION.NONE) === MVOX_COMPRESSION.DEFLATE;
+    return MVoxFile.fromParts(header, deflated ? inflateSync(body) : body);
+}
+
+/**
+ * Re-key a file's voxels by "x,y,z"
+ * @param {MVoxFile} mvoxFile
+ * @returns {Map<string, Object>}
+ */
+export function toPositionMap(mvoxFile) {
+    const bits = mvoxFile.metadata.positionBits || 5;
+    const positions = new Map();
+    for (const [key, voxel] of mvoxFile.voxels) {
+        positions.set(MVoxFile.decodeKey(key, bits).join(','), voxel);
+    }
+    return positions;
+}
+
+/**
+ * Load a .mvox buffer as a position map
+ * @param {Buffer} data
+ * @returns {{mvoxFile: MVoxFile, voxels: Map<string, Object>}}
+ */
+export function loadRevisionVoxels(data) {
+    const mvoxFile = decodeRevision(data);
+    return { mvoxFile, voxels: toPositionMap(mvoxFile) };
+}
+
+/**
+ * Write a position map as a new revision, keeping the type and metadata of
+ * the revision it was derived from. Keys widen to 10 bits past 32 voxels.
+ * @param {MVoxFile} source
+ * @param {Map<string, Object>} positions - "x,y,z" -> voxel
+ * @returns {Buffer}
+ */
+export function writeRevisionVoxels(source, positions) {
+    const bounds = voxelBounds(positions);
+    const maxAxis = Math.max(...bounds) - 1;
+    const positionBits = maxAxis < 32 ? 5 : 10;
+    if (maxAxis >= 1 << positionBits) {
+        throw new Error(`Schematic too large for .mvox keys (axis ${maxAxis})`);
+    }
+
+    const voxels = new Map();
+    for (const [position, voxel] of positions) {
+        const [x, y, z] = position.split(',').map(Number);
+        voxels.set(MVoxFile.encodeKey(x, y, z, positionBits), voxel);
+    }
+
+    const metadata = { ...source.metadata, bounds, voxelCount: voxels.size };
+    if (positionBits === 5) {
+        delete metadata.positionBits;
+    } else {
+        metadata.positionBits = positionBits;
+    }
+
+    const file = new MVoxFile(source.type, voxels, metadata);
+    file.references = source.references;
+    file.components = source.components;
+    file.layerConfig = source.layerConfig;
+
+    return Buffer.from(file.encode());
+}
+
+// =============================================
+// VOXEL COMPARISON
+// =============================================
+
+function canonical(value) {
+    return JSON.stringify(value, (key, v) => {
+        if (typeof v === 'bigint') return v.toString();
+        if (ArrayBuffer.isView(v)) return Array.from(v, x => typeof x === 'bigint' ? x.toString() : x);
+        return v;
+    });
+}
+
+/**
+ * Two voxels are equal when colour, layer, semantics, type and extra data all match.
+ * Absent voxels are null.
+ */
+export function voxelsEqual(a, b) {
+    if (!a || !b) return !a && !b;
+    return a.color === b.color
+        && (a.layerIndex || 0) === (b.layerIndex || 0)
+        && (a.semantics || 0) === (b.semantics || 0)
+        && (a.type || 0) === (b.type || 0)
+        && canonical(a.data ?? null) === canonical(b.data ?? null);
+}
+
+/**
+ * JSON-safe view of a voxel for API responses
+ */
+export function describeVoxel(voxel) {
+    if (!voxel) return null;
+    const described = { color: voxel.color };
+    if (voxel.layerIndex) described.layerIndex = voxel.layerIndex;
+    if (voxel.semantics !== undefined) described.semantics = voxel.semantics;
+    if (voxel.type) described.type = voxel.type;
+    if (voxel.data) described.data = JSON.parse(canonical(voxel.data));
+    return described;
+}
+
+function position(key) {
+    const [x, y, z] = key.split(',').map(Number);
+    return { x, y, z };
+}
+
+// =============================================
+// DIFF
+// =============================================
+
+/**
+ * Voxel-level diff between two revisions
+ * @param {Map<string, Object>} from
+ * @param {Map<string, Object>} to
+ * @param {Object} options
+ * @param {number} options.limit - Max entries listed per category (counts are always exact)
+ * @returns {{added: Array, removed: Array, changed: Array, summary: Object, truncated: boolean}}
+ */
+export function diffVoxels(from, to, options = {}) {
+    const limit = options.limit ?? Infinity;
+    const added = [];
+    const removed = [];
+    const changed = [];
+    const summary = { added: 0, removed: 0, changed: 0, unchanged: 0 };
+
+    for (const [key, voxel] of to) {
+        const previous = from.get(key);
+        if (!previous) {
+            if (summary.added++ < limit) added.push({ ...position(key), voxel: describeVoxel(voxel) });
+        } else if (!voxelsEqual(previous, voxel)) {
+            if (summary.changed++ < limit) {
+                changed.push({ ...position(key), from: describeVoxel(previous), to: describeVoxel(voxel) });
+            }
+        } else {
+            summary.unchanged++;
+        }
+    }
+
+    for (const [key, voxel] of from) {
+        if (!to.has(key) && summary.removed++ < limit) {
+            removed.push({ ...position(key), voxel: describeVoxel(voxel) });
+        }
+    }
+
+    return {
+        added,
+        removed,
+        changed,
+        summary,
+        truncated: summary.added > limit || summary.removed > limit || summary.changed > limit
+    };
+}
+
+// =============================================
+// THREE-WAY MERGE
+// =============================================
+
+/**
+ * Merge two forks against their common ancestor
+ * A position conflicts when both sides changed it differently. Conflicts are
+ * resolved by `strategy` if given; otherwise they are reported and our side
+ * is kept provisionally.
+ * @param {Map<string, Object>} base
+ * @param {Map<string, Object>} ours
+ * @param {Map<string, Object>} theirs
+ * @param {Object} options
+ * @param {string|null} options.strategy - MERGE_STRATEGY.OURS / THEIRS
+ * @returns {{voxels: Map<string, Object>, conflicts: Array, stats: Object}}
+ */
+export function mergeVoxels(base, ours, theirs, options = {}) {
+    const strategy = options.strategy || null;
+    if (strategy && !Object.values(MERGE_STRATEGY).includes(strategy)) {
+        throw new Error(`Unknown merge strategy: ${strategy}`);
+    }
+
+    const voxels = new Map();
+    const conflicts = [];
+    const stats = { fromOurs: 0, fromTheirs: 0, conflicts: 0, resolved: 0 };
+    const keys = new Set([...base.keys(), ...ours.keys(), ...theirs.keys()]);
+
+    for (const key of keys) {
+        const b = base.get(key) || null;
+        const o = ours.get(key) || null;
+        const t = theirs.get(key) || null;
+
+        let result;
+        if (voxelsEqual(o, t)) {
+            result = o;
+        } else if (voxelsEqual(o, b)) {
+            result = t;
+            stats.fromTheirs++;
+        } else if (voxelsEqual(t, b)) {
+            result = o;
+            stats.fromOurs++;
+        } else {
+            stats.conflicts++;
+            if (strategy) {
+                stats.resolved++;
+                result = strategy === MERGE_STRATEGY.THEIRS ? t : o;
+            } else {
+                conflicts.push({
+                    ...position(key),
+                    base: describeVoxel(b),
+                    ours: describeVoxel(o),
+                    theirs: describeVoxel(t)
+                });
+                result = o;
+            }
+        }
+
+        if (result) voxels.set(key, result);
+    }
+
+    return { voxels, conflicts, stats };
+}
+
+// =============================================
+// REVISION GRAPH
+// =============================================
+
+/**
+ * Find the nearest common ancestor of two revisions
+ * @param {Array} revisions - Rows with revision_id, parent_revision_id, merge_parent_revision_id
+ * @param {string} a - revision_id
+ * @param {string} b - revision_id
+ * @returns {string|null}
+ */
+export function findCommonAncestor(revisions, a, b) {
+    const byId = new Map(revisions.map(r => [r.revision_id, r]));
+
+    const ancestors = (start) => {
+        const depth = new Map([[start, 0]]);
+        const queue = [start];
+        while (queue.length > 0) {
+            const id = queue.shift();
+            const revision = byId.get(id);
+            if (!revision) continue;
+            for (const parent of [revision.parent_revision_id, revision.merge_parent_revision_id]) {
+                if (parent && !depth.has(parent)) {
+                    depth.set(parent, depth.get(id) + 1);
+                    queue.push(parent);
+                }
+            }
+        }
+        return depth;
+    };
+
+    const fromA = ancestors(a);
+    const fromB = ancestors(b);
+
+    let best = null;
+    let bestDistance = Infinity;
+    for (const [id, depthA] of fromA) {
+        if (!fromB.has(id)) continue;
+        const distance = depthA + fromB.get(id);
+        if (distance < bestDistance) {
+            bestDistance = distance;
+            best = id;
+        }
+    }
+    return best;
+}
+
+/**
+ * Bounding size of a position map, as stored in schematics.size_x/y/z
+ * @returns {Array<number>} [sizeX, sizeY, sizeZ]
+ */
+export function voxelBounds(voxels) {
+    const size = [0, 0, 0];
+    for (const key of voxels.keys()) {
+        const coords = key.split(',').map(Number);
+        for (let axis = 0; axis < 3; axis++) {
+            size[axis] = Math.max(size[axis], coords[axis] + 1);
+        }
+    }
+    return size;
+}
+
+export default { MERGE_STRATEGY, decodeRevision, toPositionMap, loadRevisionVoxels, writeRevisionVoxels, voxelsEqual, describeVoxel, diffVoxels, mergeVoxels, findCommonAncestor, voxelBounds };
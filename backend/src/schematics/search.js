@@ -0,0 +1,236 @@
+/**
+ * POLYMIR SCHEMATIC SEARCH PARAMETERS
+ * ===================================
+ * Parses /api/schematics/search query strings into the filter object
+ * CentralLibraryDB.searchSchematics understands, and encodes the opaque
+ * keyset cursors used for pagination.
+ */
+
+import { VOXEL_TYPES } from '../../../src/data/voxel/VoxelTypes.js';
+
+/**
+ * Sortable fields: SQL expression and the type its cursor value is cast to
+ * `relevance` needs a text query; `popular` counts downloads and placements
+ * inside the requested time window.
+ */
+export const SEARCH_SORT_FIELDS = Object.freeze({
+    created_at: { expression: 's.created_at', cast: 'timestamptz' },
+    updated_at: { expression: 's.updated_at', cast: 'timestamptz' },
+    name: { expression: 's.name', cast: 'text' },
+    voxel_count: { expression: 's.voxel_count', cast: 'integer' },
+    download_count: { expression: 's.download_count', cast: 'integer' },
+    placement_count: { expression: 's.placement_count', cast: 'integer' },
+    relevance: { expression: 'search_rank', cast: 'real' },
+    popular: { expression: 'popularity', cast: 'bigint' }
+});
+
+export const POPULARITY_WINDOWS = Object.freeze({
+    day: '1 day',
+    week: '7 days',
+    month: '30 days',
+    year: '365 days',
+    all: null
+});
+
+export const SEARCH_LIMITS = Object.freeze({
+    maxLimit: 100,
+    defaultLimit: 50,
+    maxQueryLength: 200,
+    maxListValues: 20,
+    defaultFacetLimit: 20,
+    maxFacetLimit: 100
+});
+
+const RANGE_FIELDS = Object.freeze({
+    SizeX: 'size_x',
+    SizeY: 'size_y',
+    SizeZ: 'size_z',
+    VoxelCount: 'voxel_count'
+});
+
+// =============================================
+// CURSORS
+// =============================================
+
+/**
+ * Encode the position after the last row of a page
+ * @param {string} sortBy
+ * @param {string} sortOrder
+ * @param {*} value - Sort value of the last row (text from SQL keeps full timestamp precision)
+ * @param {string} schematicId - Tiebreaker
+ * @returns {string} Opaque base64url cursor
+ */
+export function encodeCursor(sortBy, sortOrder, value, schematicId) {
+    const v = value instanceof Date ? value.toISOString() : value;
+    return Buffer.from(JSON.stringify({ s: sortBy, o: sortOrder, v, id: schematicId })).toString('base64url');
+}
+
+/**
+ * @param {string} cursor
+ * @returns {{s: string, o: string, v: *, id: string}}
+ */
+export function decodeCursor(cursor) {
+    let decoded;
+    try {
+        decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf-8'));
+    } catch {
+        throw new Error('Invalid cursor');
+    }
+
+    if (!decoded || typeof decoded !== 'object' || typeof decoded.id !== 'string' || !('v' in decoded)) {
+        throw new Error('Invalid cursor');
+    }
+    return decoded;
+}
+
+// =============================================
+// QUERY PARSING
+// =============================================
+
+function list(value) {
+    if (value === undefined || value === null || value === '') return undefined;
+    const values = (Array.isArray(value) ? value : String(value).split(','))
+        .map(v => String(v).trim())
+        .filter(v => v.length > 0);
+    return values.length > 0 ? values : undefined;
+}
+
+function bool(value) {
+    if (value === 'true' || value === true) return true;
+    if (value === 'false' || value === false) return false;
+    return undefined;
+}
+
+/**
+ * Resolve a block type reference: numeric id or VOXEL_TYPES key (CONTROL_PANEL)
+ * @returns {number|null}
+ */
+export function resolveBlockType(reference) {
+    if (/^\d+$/.test(reference)) {
+        return parseInt(reference);
+    }
+    const type = VOXEL_TYPES[reference.toUpperCase()];
+    return type ? type.id : null;
+}
+
+/**
+ * Parse search query parameters
+ * @param {Object} query - req.query
+ * @returns {{filters: Object, errors: Array<string>}}
+ */
+export function parseSearchParams(query) {
+    const errors = [];
+    const filters = {};
+
+    if (query.q !== undefined && String(query.q).trim() !== '') {
+        filters.text = String(query.q).trim();
+        if (filters.text.length > SEARCH_LIMITS.maxQueryLength) {
+            errors.push(`q must be at most ${SEARCH_LIMITS.maxQueryLength} characters`);
+        }
+    }
+
+    filters.categories = list(query.category);
+    filters.anyTags = list(query.tags);
+    filters.allTags = list(query.allTags);
+    filters.excludeTags = list(query.excludeTags);
+    filters.creatorId = query.creatorId || undefined;
+    filters.creatorName = query.creator || undefined;
+    filters.isPlanet = bool(query.isPlanet);
+    filters.isShip = bool(query.isShip);
+    filters.isComposite = bool(query.isComposite);
+    filters.verifiedOnly = bool(query.verifiedOnly) === true;
+
+    for (const name of ['categories', 'anyTags', 'allTags', 'excludeTags']) {
+        if (filters[name] && filters[name].length > SEARCH_LIMITS.maxListValues) {
+            errors.push(`${name} accepts at most ${SEARCH_LIMITS.maxListValues} values`);
+        }
+    }
+
+    // Range filters: minSizeX / maxSizeX ... minVoxelCount / maxVoxelCount
+    filters.ranges = [];
+    for (const [suffix, column] of Object.entries(RANGE_FIELDS)) {
+        for (const bound of ['min', 'max']) {
+            const raw = query[`${bound}${suffix}`];
+            if (raw === undefined || raw === '') continue;
+            const value = Number(raw);
+            if (!Number.isInteger(value) || value < 0) {
+                errors.push(`${bound}${suffix} must be a non-negative integer`);
+                continue;
+            }
+            filters.ranges.push({ column, operator: bound === 'min' ? '>=' : '<=', value });
+        }
+    }
+
+    // Block composition: containsBlock=CONTROL_PANEL,THRUSTER_SMALL:4
+    filters.blockTypes = [];
+    for (const entry of list(query.containsBlock) || []) {
+        const [reference, minimum] = entry.split(':');
+        const typeId = resolveBlockType(reference);
+        const minCount = minimum === undefined ? 1 : Number(minimum);
+        if (typeId === null) {
+            errors.push(`Unknown block type: ${reference}`);
+        } else if (!Number.isInteger(minCount) || minCount < 1) {
+            errors.push(`Invalid minimum count for ${reference}`);
+        } else {
+            filters.blockTypes.push({ typeId, minCount });
+        }
+    }
+    if (filters.blockTypes.length > SEARCH_LIMITS.maxListValues) {
+        errors.push(`containsBlock accepts at most ${SEARCH_LIMITS.maxListValues} values`);
+    }
+
+    // Sorting
+    filters.sortBy = query.sortBy || (filters.text ? 'relevance' : 'created_at');
+    if (!SEARCH_SORT_FIELDS[filters.sortBy]) {
+        errors.push(`sortBy must be one of: ${Object.keys(SEARCH_SORT_FIELDS).join(', ')}`);
+    } else if (filters.sortBy === 'relevance' && !filters.text) {
+        errors.push('sortBy=relevance requires q');
+    }
+
+    filters.sortOrder = String(query.sortOrder || (filters.sortBy === 'name' ? 'ASC' : 'DESC')).toUpperCase();
+    if (filters.sortOrder !== 'ASC' && filters.sortOrder !== 'DESC') {
+        errors.push('sortOrder must be ASC or DESC');
+    }
+
+    filters.window = query.window || 'week';
+    if (!(filters.window in POPULARITY_WINDOWS)) {
+        errors.push(`window must be one of: ${Object.keys(POPULARITY_WINDOWS).join(', ')}`);
+    }
+
+    // Pagination
+    const limit = query.limit === undefined ? SEARCH_LIMITS.defaultLimit : parseInt(query.limit);
+    if (!Number.isInteger(limit) || limit < 1) {
+        errors.push('limit must be a positive integer');
+    }
+    filters.limit = Math.min(limit || SEARCH_LIMITS.defaultLimit, SEARCH_LIMITS.maxLimit);
+
+    if (query.cursor) {
+        try {
+            const cursor = decodeCursor(query.cursor);
+            if (cursor.s !== filters.sortBy || cursor.o !== filters.sortOrder) {
+                errors.push('cursor does not match sortBy/sortOrder');
+            } else {
+                filters.cursor = { value: cursor.v, schematicId: cursor.id };
+            }
+        } catch (error) {
+            errors.push(error.message);
+        }
+    }
+
+    // Facets are computed for the first page unless disabled
+    filters.facets = bool(query.facets) ?? !query.cursor;
+    const facetLimit = parseInt(query.facetLimit) || SEARCH_LIMITS.defaultFacetLimit;
+    filters.facetLimit = Math.min(Math.max(facetLimit, 1), SEARCH_LIMITS.maxFacetLimit);
+
+    return { filters, errors };
+}
+
+export default {
+    SEARCH_SORT_FIELDS,
+    POPULARITY_WINDOWS,
+    SEARCH_LIMITS,
+    encodeCursor,
+    decodeCursor,
+    resolveBlockType,
+    parseSearchParams
+};
@@ -0,0 +1,277 @@
+/**
+ * POLYMIR SCHEMATIC CONTENT VALIDATION
+ * ====================================
+ * Decodes uploaded .mvox files with the shared client MVoxFile/NBT code and
+ * recomputes the stats the library stores (bounds, voxel count, emissive
+ * and ship-trigger blocks), so search results never rely on
+ * client-supplied metadata.
+ */
+
+import { inflateSync } from 'zlib';
+import { MVoxFile, MVOX_COMPRESSION } from '../../../src/serialization/formats/MVoxFile.js';
+import { NBT } from '../../../src/serialization/formats/NBT.js';
+import { SEMANTIC } from '../../../src/data/Semantics.js';
+import { MvoxType } from '../../../src/data/mvox/MvoxTypes.js';
+import { ShipDetector } from '../../../src/gameplay/vehicles/ShipDetector.js';
+
+export const SCHEMATIC_LIMITS = Object.freeze({
+    maxFileBytes: 16 * 1024 * 1024,
+    maxInflatedBytes: 64 * 1024 * 1024,
+    maxVoxels: 2000000,
+    maxSize: 256,
+    maxNameLength: 255,
+    maxCategoryLength: 64,
+    maxTags: 32,
+    maxTagLength: 64
+});
+
+export const VALIDATION_ERROR = Object.freeze({
+    FILE_TOO_LARGE: 'FILE_TOO_LARGE',
+    MALFORMED_HEADER: 'MALFORMED_HEADER',
+    MALFORMED_COMPRESSION: 'MALFORMED_COMPRESSION',
+    INFLATED_TOO_LARGE: 'INFLATED_TOO_LARGE',
+    MALFORMED_VOXELS: 'MALFORMED_VOXELS',
+    TOO_MANY_VOXELS: 'TOO_MANY_VOXELS',
+    EMPTY_SCHEMATIC: 'EMPTY_SCHEMATIC',
+    SIZE_EXCEEDED: 'SIZE_EXCEEDED',
+    INVALID_METADATA: 'INVALID_METADATA'
+});
+
+// Errors that mean the payload itself is too big rather than malformed
+export const PAYLOAD_TOO_LARGE_ERRORS = Object.freeze([
+    VALIDATION_ERROR.FILE_TOO_LARGE,
+    VALIDATION_ERROR.INFLATED_TOO_LARGE,
+    VALIDATION_ERROR.TOO_MANY_VOXELS
+]);
+
+const CATEGORY_PATTERN = /^[a-z0-9_]+$/;
+
+// Key widths MVoxFile writes: 5 bits for builds up to 32, 10 beyond
+const POSITION_BITS = [5, 10];
+
+const shipDetector = new ShipDetector();
+
+// =============================================
+// FILE VALIDATION
+// =============================================
+
+/**
+ * Decode and validate an uploaded .mvox file
+ * @param {Buffer|Uint8Array} data
+ * @param {Object} limits - Overrides for SCHEMATIC_LIMITS
+ * @returns {{valid: boolean, errors: Array<Object>, stats: Object|null, mvoxFile: MVoxFile|null}}
+ */
+export function validateSchematicFile(data, limits = {}) {
+    const max = { ...SCHEMATIC_LIMITS, ...limits };
+    const fail = (code, message, details = {}) => ({
+        valid: false,
+        errors: [{ code, message, ...details }],
+        stats: null,
+        mvoxFile: null
+    });
+
+    if (!data || data.length === 0) {
+        return fail(VALIDATION_ERROR.MALFORMED_HEADER, 'File is empty');
+    }
+
+    if (data.length > max.maxFileBytes) {
+        return fail(VALIDATION_ERROR.FILE_TOO_LARGE, `File exceeds ${max.maxFileBytes} bytes`, {
+            limit: max.maxFileBytes,
+            actual: data.length
+        });
+    }
+
+    let header, body;
+    try {
+        ({ header, body } = MVoxFile.splitHeader(new Uint8Array(data.buffer, data.byteOffset, data.byteLength)));
+    } catch (error) {
+        return fail(VALIDATION_ERROR.MALFORMED_HEADER, error.message);
+    }
+
+    // Key width decides how runs expand and positions decode, so never take it on trust
+    const positionBits = header.metadata?.positionBits;
+    if (positionBits !== undefined && !POSITION_BITS.includes(positionBits)) {
+        return fail(VALIDATION_ERROR.MALFORMED_HEADER, `Unsupported positionBits ${JSON.stringify(positionBits)} (expected ${POSITION_BITS.join(' or ')})`);
+    }
+
+    if ((header.compression || MVOX_COMPRESSION.NONE) === MVOX_COMPRESSION.DEFLATE) {
+        try {
+            body = inflateSync(body, { maxOutputLength: max.maxInflatedBytes });
+        } catch (error) {
+            if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+                return fail(VALIDATION_ERROR.INFLATED_TOO_LARGE, `Voxel section inflates beyond ${max.maxInflatedBytes} bytes`, {
+                    limit: max.maxInflatedBytes
+                });
+            }
+            return fail(VALIDATION_ERROR.MALFORMED_COMPRESSION, `Invalid deflate stream: ${error.message}`);
+        }
+    }
+
+    // Count voxels before expanding runs: a tiny palette section can
+    // otherwise declare billions of voxels
+    let declared;
+    try {
+        declared = countDeclaredVoxels(body);
+    } catch (error) {
+        return fail(VALIDATION_ERROR.MALFORMED_VOXELS, error.message);
+    }
+
+    if (declared > max.maxVoxels) {
+        return fail(VALIDATION_ERROR.TOO_MANY_VOXELS, `Schematic declares more than ${max.maxVoxels} voxels`, {
+            limit: max.maxVoxels,
+            actual: declared
+        });
+    }
+
+    let mvoxFile;
+    try {
+        mvoxFile = MVoxFile.fromParts(header, body);
+    } catch (error) {
+        return fail(VALIDATION_ERROR.MALFORMED_VOXELS, error.message);
+    }
+
+    if (mvoxFile.voxels.size === 0) {
+        return fail(VALIDATION_ERROR.EMPTY_SCHEMATIC, 'Schematic contains no voxels');
+    }
+
+    const stats = computeSchematicStats(mvoxFile);
+
+    const oversized = stats.size.findIndex(axis => axis > max.maxSize);
+    if (oversized !== -1) {
+        return fail(VALIDATION_ERROR.SIZE_EXCEEDED, `Schematic exceeds ${max.maxSize} voxels along ${'xyz'[oversized]}`, {
+            limit: max.maxSize,
+            actual: stats.size
+        });
+    }
+
+    return { valid: true, errors: [], stats, mvoxFile };
+}
+
+/**
+ * Number of voxels a voxel section will expand to, without expanding it
+ * @param {Uint8Array} section - Inflated NBT voxel section
+ * @returns {number}
+ */
+export function countDeclaredVoxels(section) {
+    if (section[0] !== NBT.TAG_COMPOUND) {
+        throw new Error('Invalid NBT: Root tag must be compound');
+    }
+
+    const root = NBT.read(section).tag.value;
+    const runLengths = root.runLengths?.type === NBT.TAG_INT_ARRAY ? root.runLengths.value : null;
+
+    if (!runLengths) {
+        return root.positions?.type === NBT.TAG_INT_ARRAY ? root.positions.value.length : 0;
+    }
+
+    let total = 0;
+    for (const length of runLengths) {
+        if (length < 0) {
+            throw new Error(`Invalid NBT: Negative run length ${length}`);
+        }
+        total += length;
+    }
+    return total;
+}
+
+/**
+ * Recompute library stats from decoded voxel content
+ * @param {MVoxFile} mvoxFile
+ * @returns {Object}
+ */
+export function computeSchematicStats(mvoxFile) {
+    const bits = mvoxFile.metadata.positionBits || 5;
+    const { min, max, size } = mvoxFile.getBounds();
+
+    let emissiveCount = 0;
+    const blockTypes = {};
+    const positions = new Map();
+    for (const [key, voxel] of mvoxFile.voxels) {
+        if ((voxel.semantics || 0) & SEMANTIC.EMISSIVE) {
+            emissiveCount++;
+        }
+        if (voxel.type) {
+            blockTypes[voxel.type] = (blockTypes[voxel.type] || 0) + 1;
+        }
+        positions.set(MVoxFile.decodeKey(key, bits).join(','), voxel);
+    }
+
+    const ship = shipDetector.analyzeSchematic({ voxels: positions });
+
+    return {
+        type: mvoxFile.type || MvoxType.BUILD,
+        bounds: { min, max },
+        size,
+        voxelCount: mvoxFile.voxels.size,
+        emissiveCount,
+        blockTypes,
+        isPlanet: mvoxFile.type === MvoxType.PLANET,
+        isShip: ship.isShip,
+        controlPanelCount: ship.controlPanelCount,
+        thrusterCount: ship.thrusterCount,
+        seatCount: ship.seatCount,
+        hasPilotSeat: ship.hasPilotSeat
+    };
+}
+
+// =============================================
+// METADATA VALIDATION
+// =============================================
+
+/**
+ * Validate the client-editable fields of an upload
+ * @param {Object} metadata - name, category, tags, biomes, spawnFrequency
+ * @param {Object} options
+ * @param {boolean} options.partial - Only check fields that are present (updates)
+ * @returns {Array<Object>} Errors, empty when valid
+ */
+export function validateSchematicMetadata(metadata, options = {}) {
+    const errors = [];
+    const invalid = (field, message) => errors.push({ code: VALIDATION_ERROR.INVALID_METADATA, field, message });
+    const present = (field) => metadata[field] !== undefined && metadata[field] !== null;
+
+    if (!options.partial || present('name')) {
+        if (typeof metadata.name !== 'string' || metadata.name.trim().length === 0) {
+            invalid('name', 'name must be a non-empty string');
+        } else if (metadata.name.length > SCHEMATIC_LIMITS.maxNameLength) {
+            invalid('name', `name must be at most ${SCHEMATIC_LIMITS.maxNameLength} characters`);
+        }
+    }
+
+    if (!options.partial || present('category')) {
+        if (typeof metadata.category !== 'string' || !CATEGORY_PATTERN.test(metadata.category)) {
+            invalid('category', 'category must use lowercase letters, digits and underscores');
+        } else if (metadata.category.length > SCHEMATIC_LIMITS.maxCategoryLength) {
+            invalid('category', `category must be at most ${SCHEMATIC_LIMITS.maxCategoryLength} characters`);
+        }
+    }
+
+    for (const field of ['tags', 'biomes']) {
+        if (!present(field)) continue;
+        const values = metadata[field];
+        if (!Array.isArray(values) || values.some(v => typeof v !== 'string' || v.length === 0 || v.length > SCHEMATIC_LIMITS.maxTagLength)) {
+            invalid(field, `${field} must be an array of strings up to ${SCHEMATIC_LIMITS.maxTagLength} characters`);
+        } else if (values.length > SCHEMATIC_LIMITS.maxTags) {
+            invalid(field, `at most ${SCHEMATIC_LIMITS.maxTags} ${field} are allowed`);
+        }
+    }
+
+    if (present('spawnFrequency')) {
+        const frequency = metadata.spawnFrequency;
+        if (typeof frequency !== 'number' || !(frequency >= 0 && frequency <= 1)) {
+            invalid('spawnFrequency', 'spawnFrequency must be a number between 0 and 1');
+        }
+    }
+
+    return errors;
+}
+
+export default {
+    SCHEMATIC_LIMITS,
+    VALIDATION_ERROR,
+    PAYLOAD_TOO_LARGE_ERRORS,
+    validateSchematicFile,
+    countDeclaredVoxels,
+    computeSchematicStats,
+    validateSchematicMetadata
+};
@@ -16,6 +16,8 @@ import { initializeLibp2p, getLibp2p } from './libp2p/node.js';
 import { ValidationOrchestrator } from './validation/validator.js';
 import { registerValidationHandlers } from './validation/handlers.js';
 import { BodyPhysicsSystem } from './physics/bodyPhysics.js';
+import { MegachunkHandoffSystem } from './physics/megachunkHandoff.js';
+import { ShipFlightSystem } from './physics/shipFlight.js';
 import { PolymirWebSocketServer } from './websocket/server.js';
 import { registerConnectionHandlers } from './websocket/handlers/connection.js';
 import { registerPositionHandlers } from './websocket/handlers/position.js';
@@ -25,12 +27,19 @@ import { registerDamageHandlers } from './websocket/handlers/damage.js';
 import { registerShipHandlers } from './websocket/handlers/ships.js';
 import { registerChatHandlers } from './websocket/handlers/chat.js';
 import { chatLogger } from './utils/chatLogger.js';
+import { chatFilter } from './utils/chatFilter.js';
+import { ChatChannelManager } from './utils/chatChannels.js';
+import { ChatModeration } from './utils/chatModeration.js';
+import { ChatHistory } from './utils/chatHistory.js';
+import { FactionManager } from '../../src/gameplay/factions/FactionManager.js';
 import { PlayerStateManager } from './realtime/PlayerStateManager.js';
+import { InterestManager } from './realtime/interestManager.js';
 import { getCorsMiddleware } from './api/middleware/cors.js';
-import { createAuthMiddleware, requireTrustScore } from './api/middleware/auth.js';
+import { createAuthMiddleware, requireTrustScore, requireModerator } from './api/middleware/auth.js';
 import { createPlayerRoutes } from './api/routes/players.js';
 import { createSchematicRoutes } from './api/routes/schematics.js';
 import { createValidationRoutes } from './api/routes/validation.js';
+import { createHandoffRoutes } from './api/routes/handoff.js';
 
 const log = logger.child('Server');
 
@@ -55,7 +64,14 @@ const serverState = {
     httpServer: null,
     wsServer: null,
     physicsSystem: null,
-    playerStateManager: null
+    handoffSystem: null,
+    shipFlightSystem: null,
+    interestManager: null,
+    playerStateManager: null,
+    factionManager: null,
+    chatChannels: null,
+    chatModeration: null,
+    chatHistory: null
 };
 
 // =============================================
@@ -177,8 +193,13 @@ async function initialize() {
 
         serverState.expressApp = express();
 
-        // Middleware
-        serverState.expressApp.use(express.json({ limit: '50mb' }));
+        // Middleware; handoff requests are signed over the raw body
+        serverState.expressApp.use(express.json({
+            limit: '50mb',
+            verify: (req, res, buf) => {
+                req.rawBody = buf;
+            }
+        }));
         serverState.expressApp.use(getCorsMiddleware());
 
         // Health check endpoint
@@ -191,6 +212,12 @@ async function initialize() {
                 serverName: config.server.name,
                 database: poolManager.getAllStats(),
                 physics: serverState.physicsSystem?.getStats(),
+                handoff: serverState.handoffSystem?.getStats(),
+                shipFlight: serverState.shipFlightSystem?.getStats(),
+                interest: serverState.interestManager?.getStats(),
+                chatChannels: serverState.chatChannels?.getStats(),
+                chatModeration: serverState.chatModeration?.getStats(),
+                chatHistory: serverState.chatHistory?.getStats(),
                 websocket: serverState.wsServer?.getStats()
             });
         });
@@ -199,7 +226,11 @@ async function initialize() {
         const authMiddleware = createAuthMiddleware(serverState.centralLibraryDB);
 
         serverState.expressApp.use('/api/players',
-            createPlayerRoutes(serverState.centralLibraryDB, authMiddleware)
+            createPlayerRoutes(serverState.centralLibraryDB, authMiddleware, {
+                // WebSocket connections opened with a revoked session are closed too
+                onSessionsRevoked: (playerId, sessionIds) =>
+                    serverState.wsServer?.closeRevokedSessions(playerId, sessionIds)
+            })
         );
 
         serverState.expressApp.use('/api/schematics',
@@ -215,10 +246,28 @@ async function initialize() {
             createValidationRoutes(
                 serverState.centralLibraryDB,
                 serverState.ipfsClient,
-                authMiddleware
+                authMiddleware,
+                requireModerator
             )
         );
 
+        // Bodies crossing into megachunks owned by this server are handed over here
+        serverState.handoffSystem = new MegachunkHandoffSystem({
+            serverId: config.server.id,
+            worldServerDB: serverState.worldServerDB,
+            centralLibraryDB: serverState.centralLibraryDB,
+            secret: config.handoff.secret,
+            config: {
+                leadTime: config.handoff.leadTime,
+                scanInterval: config.handoff.scanInterval,
+                requestTimeout: config.handoff.requestTimeout
+            }
+        });
+
+        serverState.expressApp.use('/api/handoff',
+            createHandoffRoutes(serverState.handoffSystem, config.handoff.secret)
+        );
+
         // 404 handler
         serverState.expressApp.use((req, res) => {
             res.status(404).json({
@@ -261,10 +310,29 @@ async function initialize() {
 
         await serverState.wsServer.initialize();
 
+        // Area of interest decides who receives player, ship, damage and local chat traffic
+        serverState.interestManager = new InterestManager(serverState.wsServer);
+
+        // Ship flight is simulated server-side; passengers' movement is validated against it
+        serverState.shipFlightSystem = new ShipFlightSystem(
+            serverState.worldServerDB,
+            serverState.wsServer,
+            { interest: serverState.interestManager }
+        );
+
         // Initialize player state manager BEFORE handlers (handlers need reference)
         serverState.playerStateManager = new PlayerStateManager(
             serverState.wsServer,
-            serverState.worldServerDB
+            serverState.worldServerDB,
+            {
+                shipFlight: serverState.shipFlightSystem,
+                interest: serverState.interestManager,
+                onViolationReport: (report) => serverState.centralLibraryDB.applyTrustPenalty(
+                    report.playerId,
+                    report.penalty,
+                    'movement_violation'
+                )
+            }
         );
 
         // Register WebSocket handlers
@@ -293,17 +361,43 @@ async function initialize() {
 
         registerDamageHandlers(
             serverState.wsServer,
-            serverState.worldServerDB
+            serverState.worldServerDB,
+            serverState.interestManager
         );
 
         registerShipHandlers(
             serverState.wsServer,
-            serverState.worldServerDB
+            serverState.worldServerDB,
+            serverState.shipFlightSystem,
+            serverState.playerStateManager,
+            serverState.interestManager
         );
 
-        // Initialize chat logger and register handlers
+        // Initialize chat logger, filter, channels, moderation and history, then register handlers
         await chatLogger.initialize();
-        registerChatHandlers(serverState.wsServer);
+        await chatFilter.initialize();
+
+        // Faction chat channels follow faction membership, stored in the world server DB
+        serverState.factionManager = new FactionManager();
+        serverState.chatChannels = new ChatChannelManager({
+            factionManager: serverState.factionManager,
+            factionStore: serverState.worldServerDB
+        });
+        await serverState.chatChannels.initialize();
+
+        serverState.chatModeration = new ChatModeration({ chatLogger });
+        await serverState.chatModeration.initialize();
+
+        serverState.chatHistory = new ChatHistory(serverState.worldServerDB);
+        serverState.chatHistory.initialize();
+
+        registerChatHandlers(
+            serverState.wsServer,
+            serverState.interestManager,
+            serverState.chatChannels,
+            serverState.chatModeration,
+            serverState.chatHistory
+        );
 
         log.info(`WebSocket server listening on ${config.websocket.url}`);
 
@@ -312,12 +406,18 @@ async function initialize() {
         // =============================================
         log.info('Step 8/9: Initializing physics system...');
 
+        // Clients are told about handoffs over the WebSocket server
+        serverState.handoffSystem.wsServer = serverState.wsServer;
+
         serverState.physicsSystem = new BodyPhysicsSystem(
             serverState.worldServerDB,
-            serverState.wsServer
+            serverState.wsServer,
+            { handoff: serverState.handoffSystem, worldSeed: config.world.seed }
         );
 
         serverState.physicsSystem.start();
+        serverState.handoffSystem.start();
+        await serverState.shipFlightSystem.start();
 
         // =============================================
         // STEP 8.5: Start real-time player state manager tick loop
@@ -425,10 +525,24 @@ async function shutdown(exitCode = 0) {
             serverState.physicsSystem.stop();
         }
 
-        // Close chat logger
+        if (serverState.handoffSystem) {
+            serverState.handoffSystem.stop();
+        }
+
+        // Stop ship flight (persists final ship state)
+        if (serverState.shipFlightSystem) {
+            log.info('Stopping ship flight system...');
+            await serverState.shipFlightSystem.stop();
+        }
+
+        // Close chat logger and write remaining chat history
         log.info('Closing chat logger...');
         await chatLogger.close();
 
+        if (serverState.chatHistory) {
+            await serverState.chatHistory.close();
+        }
+
         // Close WebSocket server
         if (serverState.wsServer) {
             log.info('Closing WebSocket server...');
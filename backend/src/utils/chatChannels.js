@@ -0,0 +1,715 @@
+/**
+ * POLYMIR CHAT CHANNELS
+ * =====================
+ * Named chat channels beyond global/local/whisper
+ * - Faction channels: automatic, membership follows FactionManager and is
+ *   stored through the faction store (WorldServerDB)
+ * - Party channels: ad-hoc, in memory, leader invites and kicks
+ * - Rooms: player-created, persisted, with an owner and moderators
+ *
+ * Channel ids are 'global', 'local', 'faction:<factionId>', 'party:<partyId>'
+ * and 'room:<name>'. Each channel may override the chat filter's enabled flag
+ * and mode. Operations that a player is not allowed to perform throw an Error
+ * whose message is safe to show to that player.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import logger from './logger.js';
+import { FilterMode } from './chatFilter.js';
+
+const log = logger.child('ChatChannels');
+
+// =============================================
+// CONFIGURATION
+// =============================================
+
+export const CHANNEL_TYPE = {
+    GLOBAL: 'global',
+    LOCAL: 'local',
+    WHISPER: 'whisper',
+    FACTION: 'faction',
+    PARTY: 'party',
+    ROOM: 'room'
+};
+
+export const CHANNEL_CONFIG = {
+    roomsPath: './data/chat_rooms.json',
+    roomNamePattern: /^[a-z0-9_-]{3,24}$/,
+    maxTopicLength: 120,
+    maxRoomsPerOwner: 5,
+    maxPartySize: 8,
+    partyInviteTtl: 5 * 60 * 1000 // 5 minutes
+};
+
+// =============================================
+// CHAT CHANNEL MANAGER
+// =============================================
+
+export class ChatChannelManager {
+    /**
+     * @param {Object} options
+     * @param {FactionManager} options.factionManager - Source of faction membership
+     * @param {WorldServerDB} options.factionStore - Persists membership (getPlayerFactions,
+     *   setPlayerFaction, removePlayerFaction), null to keep it in memory
+     * @param {string|null} options.roomsPath - Room persistence file, null to keep rooms in memory
+     */
+    constructor(options = {}) {
+        this.factionManager = options.factionManager || null;
+        this.factionStore = options.factionStore || null;
+        this.roomsPath = options.roomsPath === undefined ? CHANNEL_CONFIG.roomsPath : options.roomsPath;
+
+        this.rooms = new Map();        // name -> room channel
+        this.parties = new Map();      // partyId -> party channel
+        this.playerParty = new Map();  // playerId -> partyId
+        this.partyInvites = new Map(); // `${partyId}:${playerId}` -> expiresAt
+    }
+
+    /**
+     * Load faction membership and persisted rooms
+     */
+    async initialize() {
+        await this.loadFactionMembership();
+        await this.loadRooms();
+    }
+
+    async loadRooms() {
+        if (!this.roomsPath || !fs.existsSync(this.roomsPath)) return;
+
+        try {
+            const saved = JSON.parse(await fs.promises.readFile(this.roomsPath, 'utf8'));
+
+            for (const room of saved.rooms || []) {
+                this.rooms.set(room.name, {
+                    id: `${CHANNEL_TYPE.ROOM}:${room.name}`,
+                    type: CHANNEL_TYPE.ROOM,
+                    name: room.name,
+                    topic: room.topic || '',
+                    ownerId: room.ownerId,
+                    moderators: new Set(room.moderators),
+                    members: new Map(room.members),
+                    filter: room.filter || {},
+                    createdAt: room.createdAt
+                });
+            }
+
+            log.info('Chat rooms loaded', { count: this.rooms.size });
+        } catch (error) {
+            log.warn('Failed to load chat rooms', { error: error.message });
+        }
+    }
+
+    /**
+     * Persist rooms (parties and faction channels are not persisted)
+     */
+    async save() {
+        if (!this.roomsPath) return;
+
+        try {
+            await fs.promises.mkdir(path.dirname(this.roomsPath), { recursive: true });
+
+            const rooms = Array.from(this.rooms.values()).map(room => ({
+                name: room.name,
+                topic: room.topic,
+                ownerId: room.ownerId,
+                moderators: Array.from(room.moderators),
+                members: Array.from(room.members.entries()),
+                filter: room.filter,
+                createdAt: room.createdAt
+            }));
+
+            await fs.promises.writeFile(this.roomsPath, JSON.stringify({ rooms }, null, 2));
+        } catch (error) {
+            log.error('Failed to save chat rooms', { error: error.message });
+        }
+    }
+
+    // =============================================
+    // RESOLUTION & ACCESS
+    // =============================================
+
+    /**
+     * Resolve a channel id to a channel
+     * 'faction' and 'party' alone mean the player's own faction or party.
+     * @param {string} channelId
+     * @param {string} playerId - Player asking, for the shorthand ids
+     * @returns {Object|null}
+     */
+    resolve(channelId, playerId = null) {
+        if (channelId === CHANNEL_TYPE.GLOBAL || channelId === CHANNEL_TYPE.LOCAL || channelId === CHANNEL_TYPE.WHISPER) {
+            return { id: channelId, type: channelId, name: channelId, filter: {} };
+        }
+
+        if (channelId === CHANNEL_TYPE.FACTION) {
+            const factionId = this.factionManager?.getPlayerFaction(playerId);
+            return factionId ? this.resolve(`${CHANNEL_TYPE.FACTION}:${factionId}`) : null;
+        }
+
+        if (channelId === CHANNEL_TYPE.PARTY) {
+            const partyId = this.playerParty.get(playerId);
+            return partyId ? this.parties.get(partyId) : null;
+        }
+
+        const separator = typeof channelId === 'string' ? channelId.indexOf(':') : -1;
+        if (separator === -1) return null;
+
+        const type = channelId.slice(0, separator);
+        const key = channelId.slice(separator + 1);
+
+        switch (type) {
+            case CHANNEL_TYPE.FACTION: {
+                const faction = this.factionManager?.factions.get(key);
+                return faction ? {
+                    id: channelId,
+                    type: CHANNEL_TYPE.FACTION,
+                    name: faction.name,
+                    factionId: key,
+                    filter: {}
+                } : null;
+            }
+            case CHANNEL_TYPE.PARTY:
+                return this.parties.get(key) || null;
+            case CHANNEL_TYPE.ROOM:
+                return this.rooms.get(key) || null;
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Whether a player may read and post in a channel
+     * @param {Object} channel
+     * @param {string} playerId
+     * @returns {boolean}
+     */
+    isMember(channel, playerId) {
+        switch (channel.type) {
+            case CHANNEL_TYPE.GLOBAL:
+            case CHANNEL_TYPE.LOCAL:
+                return true;
+            case CHANNEL_TYPE.FACTION:
+                return this.factionManager?.getPlayerFaction(playerId) === channel.factionId;
+            case CHANNEL_TYPE.PARTY:
+            case CHANNEL_TYPE.ROOM:
+                return channel.members.has(playerId);
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Channels a player can currently post in
+     * @param {string} playerId
+     * @returns {Array<Object>} Channel summaries
+     */
+    getChannelsForPlayer(playerId) {
+        const channels = [this.resolve(CHANNEL_TYPE.GLOBAL), this.resolve(CHANNEL_TYPE.LOCAL)];
+
+        const faction = this.resolve(CHANNEL_TYPE.FACTION, playerId);
+        if (faction) channels.push(faction);
+
+        const party = this.resolve(CHANNEL_TYPE.PARTY, playerId);
+        if (party) channels.push(party);
+
+        for (const room of this.rooms.values()) {
+            if (room.members.has(playerId)) channels.push(room);
+        }
+
+        return channels.map(channel => this.summarize(channel));
+    }
+
+    /**
+     * Client-facing view of a channel
+     * @param {Object} channel
+     * @returns {Object}
+     */
+    summarize(channel) {
+        const summary = {
+            id: channel.id,
+            type: channel.type,
+            name: channel.name,
+            filter: channel.filter
+        };
+
+        if (channel.type === CHANNEL_TYPE.PARTY) {
+            summary.leaderId = channel.leaderId;
+            summary.members = Array.from(channel.members.entries()).map(([playerId, username]) => ({ playerId, username }));
+        }
+
+        if (channel.type === CHANNEL_TYPE.ROOM) {
+            summary.topic = channel.topic;
+            summary.ownerId = channel.ownerId;
+            summary.moderators = Array.from(channel.moderators);
+            summary.memberCount = channel.members.size;
+        }
+
+        return summary;
+    }
+
+    /**
+     * Find a party or room member by username
+     * @param {Object} channel
+     * @param {string} username
+     * @returns {string} playerId
+     */
+    getMemberIdByName(channel, username) {
+        for (const [playerId, name] of channel.members || []) {
+            if (name === username) return playerId;
+        }
+        throw new Error(`Player "${username}" is not in ${channel.name}`);
+    }
+
+    // =============================================
+    // FACTIONS
+    // =============================================
+
+    async loadFactionMembership() {
+        if (!this.factionManager || !this.factionStore) return;
+
+        try {
+            let loaded = 0;
+            for (const row of await this.factionStore.getPlayerFactions()) {
+                if (this.factionManager.assignPlayerToFaction(row.player_id, row.faction_id)) {
+                    loaded++;
+                } else {
+                    log.warn('Skipping membership of unknown faction', { playerId: row.player_id, factionId: row.faction_id });
+                }
+            }
+
+            log.info('Faction membership loaded', { count: loaded });
+        } catch (error) {
+            log.warn('Failed to load faction membership', { error: error.message });
+        }
+    }
+
+    /**
+     * Join a faction, leaving the player's current one
+     * @param {string} playerId
+     * @param {string} factionId
+     * @returns {Promise<{channel: Object, previous: Object|null}>} New and previous faction channels
+     */
+    async joinFaction(playerId, factionId) {
+        const channel = this.resolve(`${CHANNEL_TYPE.FACTION}:${factionId}`);
+        if (!channel) {
+            throw new Error(`Unknown faction "${factionId}"`);
+        }
+
+        const previous = this.resolve(CHANNEL_TYPE.FACTION, playerId);
+        if (previous?.id === channel.id) {
+            throw new Error(`Already in ${channel.name}`);
+        }
+
+        await this.factionStore?.setPlayerFaction(playerId, factionId);
+        this.factionManager.assignPlayerToFaction(playerId, factionId);
+
+        return { channel, previous };
+    }
+
+    /**
+     * @param {string} playerId
+     * @returns {Promise<Object>} The faction channel left
+     */
+    async leaveFaction(playerId) {
+        const channel = this.resolve(CHANNEL_TYPE.FACTION, playerId);
+        if (!channel) {
+            throw new Error('Not in a faction');
+        }
+
+        await this.factionStore?.removePlayerFaction(playerId);
+        this.factionManager.removePlayerFromFaction(playerId);
+
+        return channel;
+    }
+
+    // =============================================
+    // PARTIES
+    // =============================================
+
+    /**
+     * Start a party led by the player
+     * @param {string} playerId
+     * @param {string} username
+     * @returns {Object} Party channel
+     */
+    createParty(playerId, username) {
+        if (this.playerParty.has(playerId)) {
+            throw new Error('Already in a party');
+        }
+
+        const partyId = uuidv4();
+        const party = {
+            id: `${CHANNEL_TYPE.PARTY}:${partyId}`,
+            type: CHANNEL_TYPE.PARTY,
+            name: `${username}'s party`,
+            partyId,
+            leaderId: playerId,
+            members: new Map([[playerId, username]]),
+            filter: {},
+            createdAt: Date.now()
+        };
+
+        this.parties.set(partyId, party);
+        this.playerParty.set(playerId, partyId);
+
+        return party;
+    }
+
+    /**
+     * Invite a player to the leader's party, creating one if needed
+     * @param {string} leaderId
+     * @param {string} leaderName
+     * @param {string} targetId
+     * @param {number} now
+     * @returns {Object} Party channel
+     */
+    inviteToParty(leaderId, leaderName, targetId, now = Date.now()) {
+        const party = this.resolve(CHANNEL_TYPE.PARTY, leaderId) || this.createParty(leaderId, leaderName);
+
+        if (party.leaderId !== leaderId) {
+            throw new Error('Only the party leader can invite');
+        }
+        if (party.members.has(targetId)) {
+            throw new Error('Player is already in the party');
+        }
+        if (party.members.size >= CHANNEL_CONFIG.maxPartySize) {
+            throw new Error('Party is full');
+        }
+
+        for (const [key, expiresAt] of this.partyInvites) {
+            if (expiresAt < now) this.partyInvites.delete(key);
+        }
+
+        this.partyInvites.set(`${party.partyId}:${targetId}`, now + CHANNEL_CONFIG.partyInviteTtl);
+        return party;
+    }
+
+    /**
+     * Accept a pending invite
+     * @param {string} partyId
+     * @param {string} playerId
+     * @param {string} username
+     * @param {number} now
+     * @returns {Object} Party channel
+     */
+    joinParty(partyId, playerId, username, now = Date.now()) {
+        const inviteKey = `${partyId}:${playerId}`;
+        const expiresAt = this.partyInvites.get(inviteKey);
+        const party = this.parties.get(partyId);
+
+        if (!party || !expiresAt || expiresAt < now) {
+            this.partyInvites.delete(inviteKey);
+            throw new Error('Invite expired or not found');
+        }
+        if (party.members.size >= CHANNEL_CONFIG.maxPartySize) {
+            throw new Error('Party is full');
+        }
+
+        // Joining a party leaves the previous one
+        if (this.playerParty.has(playerId)) {
+            this.leaveParty(playerId);
+        }
+
+        this.partyInvites.delete(inviteKey);
+        party.members.set(playerId, username);
+        this.playerParty.set(playerId, partyId);
+
+        return party;
+    }
+
+    /**
+     * Remove a member; only the leader may remove someone else
+     * @param {string} leaderId
+     * @param {string} targetId
+     * @returns {Object} Party channel
+     */
+    kickFromParty(leaderId, targetId) {
+        const party = this.resolve(CHANNEL_TYPE.PARTY, leaderId);
+
+        if (!party || party.leaderId !== leaderId) {
+            throw new Error('Only the party leader can kick');
+        }
+        if (targetId === leaderId || !party.members.has(targetId)) {
+            throw new Error('Player is not in the party');
+        }
+
+        party.members.delete(targetId);
+        this.playerParty.delete(targetId);
+
+        return party;
+    }
+
+    /**
+     * Leave the player's party; leadership passes on, empty parties disband
+     * @param {string} playerId
+     * @returns {Object|null} Party channel, null if it disbanded
+     */
+    leaveParty(playerId) {
+        const party = this.resolve(CHANNEL_TYPE.PARTY, playerId);
+
+        if (!party) {
+            throw new Error('Not in a party');
+        }
+
+        party.members.delete(playerId);
+        this.playerParty.delete(playerId);
+
+        if (party.members.size === 0) {
+            this.parties.delete(party.partyId);
+            for (const key of this.partyInvites.keys()) {
+                if (key.startsWith(`${party.partyId}:`)) this.partyInvites.delete(key);
+            }
+            return null;
+        }
+
+        if (party.leaderId === playerId) {
+            party.leaderId = party.members.keys().next().value;
+        }
+
+        return party;
+    }
+
+    // =============================================
+    // ROOMS
+    // =============================================
+
+    /**
+     * Create a persistent room owned by the player
+     * @param {string} ownerId
+     * @param {string} ownerName
+     * @param {string} name - Lowercase letters, digits, '_' and '-'
+     * @param {string} topic
+     * @returns {Object} Room channel
+     */
+    createRoom(ownerId, ownerName, name, topic = '') {
+        const roomName = typeof name === 'string' ? name.trim().toLowerCase() : '';
+
+        if (!CHANNEL_CONFIG.roomNamePattern.test(roomName)) {
+            throw new Error('Room names are 3-24 letters, digits, "_" or "-"');
+        }
+        if (this.rooms.has(roomName)) {
+            throw new Error(`Room "${roomName}" already exists`);
+        }
+
+        const owned = Array.from(this.rooms.values()).filter(room => room.ownerId === ownerId).length;
+        if (owned >= CHANNEL_CONFIG.maxRoomsPerOwner) {
+            throw new Error(`You can own at most ${CHANNEL_CONFIG.maxRoomsPerOwner} rooms`);
+        }
+
+        const room = {
+            id: `${CHANNEL_TYPE.ROOM}:${roomName}`,
+            type: CHANNEL_TYPE.ROOM,
+            name: roomName,
+            topic: String(topic || '').slice(0, CHANNEL_CONFIG.maxTopicLength),
+            ownerId,
+            moderators: new Set(),
+            members: new Map([[ownerId, ownerName]]),
+            filter: {},
+            createdAt: Date.now()
+        };
+
+        this.rooms.set(roomName, room);
+        this.save();
+
+        log.info('Chat room created', { name: roomName, ownerId });
+        return room;
+    }
+
+    /**
+     * @param {string} name
+     * @returns {Object} Room channel
+     */
+    getRoom(name) {
+        const room = this.rooms.get(String(name || '').toLowerCase());
+        if (!room) {
+            throw new Error(`Room "${name}" not found`);
+        }
+        return room;
+    }
+
+    /**
+     * Whether the player may manage a room's members and settings
+     * @param {Object} room
+     * @param {string} playerId
+     * @returns {boolean}
+     */
+    isRoomModerator(room, playerId) {
+        return room.ownerId === playerId || room.moderators.has(playerId);
+    }
+
+    joinRoom(name, playerId, username) {
+        const room = this.getRoom(name);
+
+        room.members.set(playerId, username);
+        this.save();
+
+        return room;
+    }
+
+    leaveRoom(name, playerId) {
+        const room = this.getRoom(name);
+
+        if (room.ownerId === playerId) {
+            throw new Error('Owners cannot leave their room; delete it instead');
+        }
+
+        room.members.delete(playerId);
+        room.moderators.delete(playerId);
+        this.save();
+
+        return room;
+    }
+
+    /**
+     * Grant or revoke moderator rights (owner only)
+     * @param {string} name
+     * @param {string} ownerId
+     * @param {string} targetId
+     * @param {boolean} grant
+     * @returns {Object} Room channel
+     */
+    setRoomModerator(name, ownerId, targetId, grant) {
+        const room = this.getRoom(name);
+
+        if (room.ownerId !== ownerId) {
+            throw new Error('Only the room owner can change moderators');
+        }
+        if (!room.members.has(targetId)) {
+            throw new Error('Player is not in the room');
+        }
+
+        if (grant) {
+            room.moderators.add(targetId);
+        } else {
+            room.moderators.delete(targetId);
+        }
+        this.save();
+
+        return room;
+    }
+
+    /**
+     * Remove a member (owner or moderator; moderators cannot remove each other)
+     * @param {string} name
+     * @param {string} moderatorId
+     * @param {string} targetId
+     * @returns {Object} Room channel
+     */
+    kickFromRoom(name, moderatorId, targetId) {
+        const room = this.getRoom(name);
+
+        if (!this.isRoomModerator(room, moderatorId)) {
+            throw new Error('Only room moderators can kick');
+        }
+        if (this.isRoomModerator(room, targetId) && room.ownerId !== moderatorId) {
+            throw new Error('Only the owner can kick moderators');
+        }
+        if (targetId === room.ownerId || !room.members.has(targetId)) {
+            throw new Error('Player is not in the room');
+        }
+
+        room.members.delete(targetId);
+        room.moderators.delete(targetId);
+        this.save();
+
+        return room;
+    }
+
+    /**
+     * Remove a player from a party or room regardless of rank, e.g. when banned
+     * @param {Object} channel
+     * @param {string} playerId
+     * @returns {boolean} Whether the player was a member
+     */
+    removeMember(channel, playerId) {
+        if (!channel.members?.has(playerId)) return false;
+
+        if (channel.type === CHANNEL_TYPE.PARTY) {
+            this.leaveParty(playerId);
+            return true;
+        }
+
+        if (channel.ownerId === playerId) {
+            throw new Error('The room owner cannot be removed');
+        }
+
+        channel.members.delete(playerId);
+        channel.moderators.delete(playerId);
+        this.save();
+
+        return true;
+    }
+
+    deleteRoom(name, ownerId) {
+        const room = this.getRoom(name);
+
+        if (room.ownerId !== ownerId) {
+            throw new Error('Only the room owner can delete it');
+        }
+
+        this.rooms.delete(room.name);
+        this.save();
+
+        log.info('Chat room deleted', { name: room.name, ownerId });
+        return room;
+    }
+
+    // =============================================
+    // FILTER SETTINGS
+    // =============================================
+
+    /**
+     * Override the chat filter for a party (leader) or room (owner/moderators)
+     * @param {string} channelId
+     * @param {string} playerId
+     * @param {Object} settings - {enabled, mode}; null values restore the server default
+     * @returns {Object} Channel
+     */
+    setFilterSettings(channelId, playerId, settings) {
+        const channel = this.resolve(channelId, playerId);
+
+        const allowed = channel && (
+            (channel.type === CHANNEL_TYPE.PARTY && channel.leaderId === playerId) ||
+            (channel.type === CHANNEL_TYPE.ROOM && this.isRoomModerator(channel, playerId))
+        );
+        if (!allowed) {
+            throw new Error('Not allowed to change this channel\'s filter');
+        }
+
+        const filter = { ...channel.filter };
+
+        if (settings.mode !== undefined) {
+            if (settings.mode !== null && !Object.values(FilterMode).includes(settings.mode)) {
+                throw new Error('Invalid mode. Use: censor, hide, or reveal');
+            }
+            filter.mode = settings.mode;
+        }
+
+        if (settings.enabled !== undefined) {
+            filter.enabled = settings.enabled === null ? null : settings.enabled !== false;
+        }
+
+        // Unset overrides fall back to the server-wide filter
+        for (const key of Object.keys(filter)) {
+            if (filter[key] === null) delete filter[key];
+        }
+
+        channel.filter = filter;
+        if (channel.type === CHANNEL_TYPE.ROOM) this.save();
+
+        return channel;
+    }
+
+    /**
+     * @returns {Object}
+     */
+    getStats() {
+        return {
+            rooms: this.rooms.size,
+            parties: this.parties.size,
+            pendingInvites: this.partyInvites.size
+        };
+    }
+}
+
+export default ChatChannelManager;
@@ -211,6 +211,15 @@ export class ChatFilter {
             return { found: false, matches: [] };
         }
 
+        return this.findMatches(text);
+    }
+
+    /**
+     * Match text against the entry list regardless of whether the filter is enabled
+     * @param {string} text
+     * @returns {{ found: boolean, matches: Array<{entry: string, match: string}> }}
+     */
+    findMatches(text) {
         const matches = [];
         const lowerText = text.toLowerCase();
         const normalizedText = this.normalizeText(text);
@@ -243,6 +252,7 @@ export class ChatFilter {
     /**
      * Apply filter to text based on current mode
      * @param {string} text
+     * @param {Object} settings - Per-channel overrides of enabled and mode
      * @returns {{
      *   text: string,
      *   wasFiltered: boolean,
@@ -252,39 +262,42 @@ export class ChatFilter {
      *   spoiler: boolean
      * }}
      */
-    filter(text) {
-        if (!this.config.enabled || !text) {
+    filter(text, settings = {}) {
+        const enabled = settings.enabled ?? this.config.enabled;
+        const mode = settings.mode ?? this.config.mode;
+
+        if (!enabled || !text) {
             return {
                 text,
                 wasFiltered: false,
                 matches: [],
-                mode: this.config.mode,
+                mode,
                 hidden: false,
                 spoiler: false
             };
         }
 
-        const { found, matches } = this.check(text);
+        const { found, matches } = this.findMatches(text);
 
         if (!found) {
             return {
                 text,
                 wasFiltered: false,
                 matches: [],
-                mode: this.config.mode,
+                mode,
                 hidden: false,
                 spoiler: false
             };
         }
 
         // Apply based on mode
-        switch (this.config.mode) {
+        switch (mode) {
             case FilterMode.HIDE:
                 return {
                     text: '[Message hidden due to filter]',
                     wasFiltered: true,
                     matches,
-                    mode: this.config.mode,
+                    mode,
                     hidden: true,
                     spoiler: false
                 };
@@ -294,7 +307,7 @@ export class ChatFilter {
                     text,  // Original text, client handles reveal UI
                     wasFiltered: true,
                     matches,
-                    mode: this.config.mode,
+                    mode,
                     hidden: false,
                     spoiler: true
                 };
@@ -311,7 +324,7 @@ export class ChatFilter {
                     text: filtered,
                     wasFiltered: true,
                     matches,
-                    mode: this.config.mode,
+                    mode,
                     hidden: false,
                     spoiler: false
                 };
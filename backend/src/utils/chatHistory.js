@@ -0,0 +1,304 @@
+/**
+ * POLYMIR CHAT HISTORY
+ * ====================
+ * Chat messages stored in the world server database
+ * Writes are buffered and flushed in batches; reads flush first so a player
+ * always sees their own latest message. History pages are keyset-paginated
+ * newest to oldest, so a client can scroll back as far as retention allows.
+ * Retention runs periodically via cleanup_chat_history() (see
+ * migrations/010_chat_history.sql for the per-channel policies).
+ */
+
+import logger from './logger.js';
+
+const log = logger.child('ChatHistory');
+
+// =============================================
+// CONFIGURATION
+// =============================================
+
+export const CHAT_HISTORY_CONFIG = {
+    flushInterval: 2000,                  // Write buffered messages every 2 seconds
+    flushBatchSize: 200,                  // ...or as soon as this many are waiting
+    maxBuffered: 5000,                    // Drop oldest unwritten messages beyond this while the DB is down
+    retentionInterval: 60 * 60 * 1000,    // Apply retention hourly
+    defaultPageSize: 50,
+    maxPageSize: 100,
+    maxTextLength: 200
+};
+
+// =============================================
+// CURSORS
+// =============================================
+
+/**
+ * @param {Date|string} sentAt
+ * @param {string} messageId
+ * @returns {string}
+ */
+export function encodeHistoryCursor(sentAt, messageId) {
+    const t = new Date(sentAt).toISOString();
+    return Buffer.from(JSON.stringify({ t, id: messageId })).toString('base64url');
+}
+
+/**
+ * @param {string} cursor
+ * @returns {{sentAt: string, messageId: string}}
+ */
+export function decodeHistoryCursor(cursor) {
+    let decoded;
+    try {
+        decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf-8'));
+    } catch {
+        throw new Error('Invalid cursor');
+    }
+
+    if (!decoded || typeof decoded.id !== 'string' || Number.isNaN(Date.parse(decoded.t))) {
+        throw new Error('Invalid cursor');
+    }
+    return { sentAt: decoded.t, messageId: decoded.id };
+}
+
+/**
+ * Parse an optional time bound given as epoch milliseconds or ISO string
+ * @returns {Date|undefined}
+ */
+function parseTime(value, name) {
+    if (value === undefined || value === null || value === '') return undefined;
+
+    const date = new Date(typeof value === 'number' ? value : String(value));
+    if (Number.isNaN(date.getTime())) {
+        throw new Error(`Invalid ${name}`);
+    }
+    return date;
+}
+
+// =============================================
+// CHAT HISTORY
+// =============================================
+
+export class ChatHistory {
+    /**
+     * @param {WorldServerDB} worldServerDB
+     * @param {Object} config - Overrides for CHAT_HISTORY_CONFIG
+     */
+    constructor(worldServerDB, config = {}) {
+        this.db = worldServerDB;
+        this.config = { ...CHAT_HISTORY_CONFIG, ...config };
+
+        this.buffer = [];
+        this.flushPromise = null;
+        this.flushTimer = null;
+        this.retentionTimer = null;
+
+        this.stats = {
+            recorded: 0,
+            written: 0,
+            dropped: 0,
+            deletedByRetention: 0
+        };
+    }
+
+    /**
+     * Start periodic flushing and retention
+     */
+    initialize() {
+        this.flushTimer = setInterval(() => this.flush(), this.config.flushInterval);
+        this.retentionTimer = setInterval(() => this.applyRetention(), this.config.retentionInterval);
+
+        this.applyRetention();
+    }
+
+    /**
+     * Queue a delivered chat message for storage
+     * @param {Object} message - {messageId, channelId, channelType, playerId, username, targetPlayerId, content, spoiler, timestamp}
+     */
+    record(message) {
+        this.buffer.push({
+            messageId: message.messageId,
+            channelId: message.channelId,
+            channelType: message.channelType,
+            playerId: message.playerId,
+            username: message.username,
+            targetPlayerId: message.targetPlayerId || null,
+            content: message.content,
+            spoiler: message.spoiler === true,
+            sentAt: new Date(message.timestamp)
+        });
+        this.stats.recorded++;
+
+        if (this.buffer.length >= this.config.flushBatchSize) {
+            this.flush();
+        }
+    }
+
+    /**
+     * Write buffered messages; concurrent callers share one write
+     * @returns {Promise<void>}
+     */
+    async flush() {
+        while (this.flushPromise) {
+            await this.flushPromise;
+        }
+        if (this.buffer.length === 0) return;
+
+        const batch = this.buffer.splice(0, this.buffer.length);
+
+        this.flushPromise = this.db.insertChatMessages(batch)
+            .then(() => {
+                this.stats.written += batch.length;
+            })
+            .catch(error => {
+                // Keep the batch for the next attempt, bounded so an outage cannot exhaust memory
+                this.buffer.unshift(...batch);
+                const excess = this.buffer.length - this.config.maxBuffered;
+                if (excess > 0) {
+                    this.buffer.splice(0, excess);
+                    this.stats.dropped += excess;
+                }
+                log.error('Failed to write chat history', {
+                    error: error.message,
+                    pending: this.buffer.length
+                });
+            })
+            .finally(() => {
+                this.flushPromise = null;
+            });
+
+        await this.flushPromise;
+    }
+
+    /**
+     * Validate and normalise history query options
+     * @param {Object} options
+     * @param {string} options.channelId
+     * @param {string} options.playerId - Only messages sent by this player
+     * @param {string} options.participantId - Only messages sent by or whispered to this player
+     * @param {number|string} options.since - Epoch ms or ISO time, inclusive
+     * @param {number|string} options.until - Epoch ms or ISO time, exclusive
+     * @param {string} options.text - Full-text search
+     * @param {string} options.cursor - nextCursor of the previous page
+     * @param {number} options.limit
+     * @returns {Object} Filters for query()
+     * @throws {Error} On an invalid cursor or time bound
+     */
+    buildFilters(options = {}) {
+        const limit = Math.min(Math.max(parseInt(options.limit) || this.config.defaultPageSize, 1), this.config.maxPageSize);
+        const text = typeof options.text === 'string' ? options.text.trim().slice(0, this.config.maxTextLength) : '';
+
+        return {
+            channelId: options.channelId,
+            playerId: options.playerId,
+            participantId: options.participantId,
+            since: parseTime(options.since, 'since'),
+            until: parseTime(options.until, 'until'),
+            text: text || undefined,
+            cursor: options.cursor ? decodeHistoryCursor(options.cursor) : undefined,
+            limit
+        };
+    }
+
+    /**
+     * One page of history, newest page first, messages within it oldest first
+     * @param {Object} filters - From buildFilters()
+     * @returns {Promise<{messages: Array, hasMore: boolean, nextCursor: string|null}>}
+     */
+    async query(filters) {
+        await this.flush();
+        const rows = await this.db.searchChatMessages(filters);
+
+        const hasMore = rows.length > filters.limit;
+        const page = rows.slice(0, filters.limit);
+        const last = page[page.length - 1];
+
+        return {
+            messages: page.reverse().map(row => ({
+                type: 'chat',
+                messageId: row.message_id,
+                playerId: row.player_id,
+                username: row.username,
+                content: row.content,
+                channel: row.channel_id,
+                timestamp: new Date(row.sent_at).getTime(),
+                spoiler: row.spoiler,
+                ...(row.target_player_id && { targetPlayerId: row.target_player_id })
+            })),
+            hasMore,
+            nextCursor: hasMore ? encodeHistoryCursor(last.sent_at, last.message_id) : null
+        };
+    }
+
+    // =============================================
+    // RETENTION
+    // =============================================
+
+    async getRetentionPolicies() {
+        return await this.db.getChatRetentionPolicies();
+    }
+
+    /**
+     * Set or clear the retention of a channel id or channel type
+     * @param {string} scope - e.g. 'room:builders' or 'room'
+     * @param {number|null|undefined} days - null keeps forever, undefined removes the policy
+     * @returns {Promise<Object|null>} Policy, null when removed
+     */
+    async setRetentionPolicy(scope, days) {
+        if (typeof scope !== 'string' || !/^[a-z]+(:[^\s]+)?$/.test(scope)) {
+            throw new Error('Retention scope must be a channel id or channel type');
+        }
+
+        if (days === undefined) {
+            await this.db.deleteChatRetentionPolicy(scope);
+            return null;
+        }
+
+        if (days !== null && (!Number.isInteger(days) || days <= 0)) {
+            throw new Error('Retention days must be a positive integer or null');
+        }
+
+        return await this.db.setChatRetentionPolicy(scope, days);
+    }
+
+    /**
+     * Delete messages past their channel's retention
+     * @returns {Promise<number>}
+     */
+    async applyRetention() {
+        try {
+            const deleted = await this.db.cleanupChatHistory();
+            this.stats.deletedByRetention += deleted;
+
+            if (deleted > 0) {
+                log.info('Chat history retention applied', { deleted });
+            }
+            return deleted;
+        } catch (error) {
+            log.error('Chat history retention failed', { error: error.message });
+            return 0;
+        }
+    }
+
+    /**
+     * Stop timers and write what is left
+     */
+    async close() {
+        clearInterval(this.flushTimer);
+        clearInterval(this.retentionTimer);
+        this.flushTimer = null;
+        this.retentionTimer = null;
+
+        await this.flush();
+    }
+
+    /**
+     * @returns {Object}
+     */
+    getStats() {
+        return {
+            ...this.stats,
+            pending: this.buffer.length
+        };
+    }
+}
+
+export default ChatHistory;
@@ -206,9 +206,11 @@ export class ChatLogger {
     /**
      * Get recent chat messages (reads from current file)
      * @param {number} limit - Max messages to return
+     * @param {Object} options
+     * @param {string} options.channel - Only messages logged to this channel
      * @returns {Promise<Array>}
      */
-    async getRecent(limit = 50) {
+    async getRecent(limit = 50, options = {}) {
         await this.flush();
 
         try {
@@ -222,7 +224,8 @@ export class ChatLogger {
                         return null;
                     }
                 })
-                .filter(Boolean);
+                .filter(Boolean)
+                .filter(entry => !options.channel || entry.channel === options.channel);
 
             return lines.slice(-limit);
         } catch (error) {
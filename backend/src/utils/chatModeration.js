@@ -0,0 +1,575 @@
+/**
+ * POLYMIR CHAT MODERATION
+ * =======================
+ * Acting on players rather than words (see chatFilter.js for those)
+ * - Mutes: timed, server-wide, block every channel including whispers
+ * - Channel bans: timed or permanent, per channel id
+ * - Slow mode: minimum seconds between one player's messages in a channel
+ * - Reports: player-submitted, with the surrounding chat captured from the
+ *   chat log at report time
+ * - Audit: every moderator action, newest last
+ *
+ * State is persisted to a JSON file. Refused operations throw an Error whose
+ * message is safe to show to the player.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import logger from './logger.js';
+import { chatLogger as defaultChatLogger } from './chatLogger.js';
+import { CHANNEL_TYPE } from './chatChannels.js';
+
+const log = logger.child('ChatModeration');
+
+// =============================================
+// CONFIGURATION
+// =============================================
+
+export const MODERATION_CONFIG = {
+    storePath: './data/chat_moderation.json',
+    defaultMuteDuration: 10 * 60 * 1000,        // 10 minutes
+    maxMuteDuration: 30 * 24 * 60 * 60 * 1000,  // 30 days
+    maxSlowModeSeconds: 600,
+    maxReasonLength: 200,
+    reportScanLimit: 500,       // Log entries searched for the reported message
+    reportContextBefore: 10,    // Messages kept before the reported one
+    reportContextAfter: 5,      // Messages kept after the reported one
+    maxOpenReportsPerPlayer: 5,
+    maxReports: 500,
+    maxAuditEntries: 1000
+};
+
+export const MODERATION_ACTION = {
+    MUTE: 'mute',
+    UNMUTE: 'unmute',
+    BAN: 'ban',
+    UNBAN: 'unban',
+    SLOW_MODE: 'slow_mode',
+    RESOLVE_REPORT: 'resolve_report'
+};
+
+export const REPORT_STATUS = {
+    OPEN: 'open',
+    RESOLVED: 'resolved'
+};
+
+// =============================================
+// HELPER FUNCTIONS
+// =============================================
+
+function cleanReason(reason) {
+    return String(reason || '').trim().slice(0, MODERATION_CONFIG.maxReasonLength);
+}
+
+function channelPlayerKey(channelId, playerId) {
+    return `${channelId}|${playerId}`;
+}
+
+/**
+ * Strip a chat log entry down to what a moderator needs to see
+ */
+function toContextEntry(entry) {
+    return {
+        messageId: entry.messageId,
+        playerId: entry.playerId,
+        username: entry.username,
+        content: entry.content,
+        timestamp: entry.timestamp
+    };
+}
+
+// =============================================
+// CHAT MODERATION
+// =============================================
+
+export class ChatModeration {
+    /**
+     * @param {Object} options
+     * @param {string|null} options.storePath - Persistence file, null to keep state in memory
+     * @param {ChatLogger} options.chatLogger - Source of report context
+     */
+    constructor(options = {}) {
+        this.storePath = options.storePath === undefined ? MODERATION_CONFIG.storePath : options.storePath;
+        this.chatLogger = options.chatLogger || defaultChatLogger;
+
+        this.mutes = new Map();         // playerId -> mute
+        this.bans = new Map();          // `${channelId}|${playerId}` -> ban
+        this.slowModes = new Map();     // channelId -> seconds
+        this.lastMessageAt = new Map(); // `${channelId}|${playerId}` -> timestamp, slow mode channels only
+        this.reports = [];
+        this.audit = [];
+    }
+
+    /**
+     * Load persisted state
+     */
+    async initialize() {
+        if (!this.storePath || !fs.existsSync(this.storePath)) return;
+
+        try {
+            const saved = JSON.parse(await fs.promises.readFile(this.storePath, 'utf8'));
+
+            this.mutes = new Map((saved.mutes || []).map(mute => [mute.playerId, mute]));
+            this.bans = new Map((saved.bans || []).map(ban => [channelPlayerKey(ban.channelId, ban.playerId), ban]));
+            this.slowModes = new Map(saved.slowModes || []);
+            this.reports = saved.reports || [];
+            this.audit = saved.audit || [];
+
+            log.info('Chat moderation state loaded', this.getStats());
+        } catch (error) {
+            log.warn('Failed to load chat moderation state', { error: error.message });
+        }
+    }
+
+    /**
+     * Persist state (slow mode timestamps are not persisted)
+     */
+    async save() {
+        if (!this.storePath) return;
+
+        try {
+            await fs.promises.mkdir(path.dirname(this.storePath), { recursive: true });
+
+            const data = {
+                mutes: Array.from(this.mutes.values()),
+                bans: Array.from(this.bans.values()),
+                slowModes: Array.from(this.slowModes.entries()),
+                reports: this.reports,
+                audit: this.audit
+            };
+
+            await fs.promises.writeFile(this.storePath, JSON.stringify(data, null, 2));
+        } catch (error) {
+            log.error('Failed to save chat moderation state', { error: error.message });
+        }
+    }
+
+    // =============================================
+    // RESTRICTIONS
+    // =============================================
+
+    /**
+     * Why a player may not post in a channel right now, ignoring slow mode
+     * @param {string} channelId
+     * @param {string} playerId
+     * @param {number} now
+     * @returns {Object|null} {reason, until, message}, null if allowed
+     */
+    getRestriction(channelId, playerId, now = Date.now()) {
+        const mute = this.getMute(playerId, now);
+        if (mute) {
+            return { reason: 'muted', until: mute.until, message: mute.reason };
+        }
+
+        const ban = this.getBan(channelId, playerId, now);
+        if (ban) {
+            return { reason: 'banned', until: ban.until, message: ban.reason };
+        }
+
+        return null;
+    }
+
+    /**
+     * Record a message against the channel's slow mode
+     * @param {string} channelId
+     * @param {string} playerId
+     * @param {number} now
+     * @returns {number} Milliseconds until the player may post again, 0 if the message may be sent
+     */
+    checkSlowMode(channelId, playerId, now = Date.now()) {
+        const seconds = this.slowModes.get(channelId);
+        if (!seconds) return 0;
+
+        const key = channelPlayerKey(channelId, playerId);
+        const last = this.lastMessageAt.get(key);
+        const wait = last === undefined ? 0 : last + seconds * 1000 - now;
+
+        if (wait > 0) return wait;
+
+        this.lastMessageAt.set(key, now);
+        return 0;
+    }
+
+    getSlowMode(channelId) {
+        return this.slowModes.get(channelId) || 0;
+    }
+
+    // =============================================
+    // MUTES & BANS
+    // =============================================
+
+    /**
+     * @param {string} playerId
+     * @param {number} now
+     * @returns {Object|null} Active mute
+     */
+    getMute(playerId, now = Date.now()) {
+        const mute = this.mutes.get(playerId);
+        if (!mute) return null;
+
+        if (mute.until <= now) {
+            this.mutes.delete(playerId);
+            return null;
+        }
+        return mute;
+    }
+
+    /**
+     * Mute a player in every channel
+     * @param {Object} moderator - {playerId, username}
+     * @param {Object} target - {playerId, username}
+     * @param {number} duration - Milliseconds
+     * @param {string} reason
+     * @param {number} now
+     * @returns {Object} Mute
+     */
+    mute(moderator, target, duration = MODERATION_CONFIG.defaultMuteDuration, reason = '', now = Date.now()) {
+        if (!Number.isFinite(duration) || duration <= 0) {
+            throw new Error('Mute duration must be positive');
+        }
+        if (target.playerId === moderator.playerId) {
+            throw new Error('You cannot mute yourself');
+        }
+
+        const mute = {
+            playerId: target.playerId,
+            username: target.username,
+            until: now + Math.min(duration, MODERATION_CONFIG.maxMuteDuration),
+            reason: cleanReason(reason),
+            by: moderator.playerId
+        };
+
+        this.mutes.set(target.playerId, mute);
+        this.recordAction(MODERATION_ACTION.MUTE, moderator, {
+            target,
+            until: mute.until,
+            reason: mute.reason
+        }, now);
+
+        return mute;
+    }
+
+    unmute(moderator, target, now = Date.now()) {
+        if (!this.getMute(target.playerId, now)) {
+            throw new Error('Player is not muted');
+        }
+
+        this.mutes.delete(target.playerId);
+        this.recordAction(MODERATION_ACTION.UNMUTE, moderator, { target }, now);
+    }
+
+    /**
+     * @param {string} channelId
+     * @param {string} playerId
+     * @param {number} now
+     * @returns {Object|null} Active ban
+     */
+    getBan(channelId, playerId, now = Date.now()) {
+        const key = channelPlayerKey(channelId, playerId);
+        const ban = this.bans.get(key);
+        if (!ban) return null;
+
+        if (ban.until !== null && ban.until <= now) {
+            this.bans.delete(key);
+            return null;
+        }
+        return ban;
+    }
+
+    /**
+     * Ban a player from posting in (and joining) a channel
+     * @param {Object} moderator - {playerId, username}
+     * @param {string} channelId
+     * @param {Object} target - {playerId, username}
+     * @param {number|null} duration - Milliseconds, null for permanent
+     * @param {string} reason
+     * @param {number} now
+     * @returns {Object} Ban
+     */
+    ban(moderator, channelId, target, duration = null, reason = '', now = Date.now()) {
+        if (duration !== null && (!Number.isFinite(duration) || duration <= 0)) {
+            throw new Error('Ban duration must be positive');
+        }
+        if (target.playerId === moderator.playerId) {
+            throw new Error('You cannot ban yourself');
+        }
+
+        const ban = {
+            channelId,
+            playerId: target.playerId,
+            username: target.username,
+            until: duration === null ? null : now + duration,
+            reason: cleanReason(reason),
+            by: moderator.playerId
+        };
+
+        this.bans.set(channelPlayerKey(channelId, target.playerId), ban);
+        this.recordAction(MODERATION_ACTION.BAN, moderator, {
+            target,
+            channelId,
+            until: ban.until,
+            reason: ban.reason
+        }, now);
+
+        return ban;
+    }
+
+    unban(moderator, channelId, target, now = Date.now()) {
+        if (!this.getBan(channelId, target.playerId, now)) {
+            throw new Error('Player is not banned from this channel');
+        }
+
+        this.bans.delete(channelPlayerKey(channelId, target.playerId));
+        this.recordAction(MODERATION_ACTION.UNBAN, moderator, { target, channelId }, now);
+    }
+
+    /**
+     * Set a channel's slow mode
+     * @param {Object} moderator - {playerId, username}
+     * @param {string} channelId
+     * @param {number} seconds - 0 turns slow mode off
+     * @param {number} now
+     * @returns {number} Seconds applied
+     */
+    setSlowMode(moderator, channelId, seconds, now = Date.now()) {
+        const value = Math.floor(Number(seconds));
+
+        if (!Number.isFinite(value) || value < 0 || value > MODERATION_CONFIG.maxSlowModeSeconds) {
+            throw new Error(`Slow mode is 0-${MODERATION_CONFIG.maxSlowModeSeconds} seconds`);
+        }
+
+        if (value === 0) {
+            this.slowModes.delete(channelId);
+            for (const key of this.lastMessageAt.keys()) {
+                if (key.startsWith(`${channelId}|`)) this.lastMessageAt.delete(key);
+            }
+        } else {
+            this.slowModes.set(channelId, value);
+        }
+
+        this.recordAction(MODERATION_ACTION.SLOW_MODE, moderator, { channelId, seconds: value }, now);
+        return value;
+    }
+
+    // =============================================
+    // REPORTS
+    // =============================================
+
+    /**
+     * Report a logged message, capturing the conversation around it
+     * Whisper context is limited to messages between the two players, and only
+     * the recipient may report a whisper.
+     * @param {Object} reporter - {playerId, username}
+     * @param {string} channelId
+     * @param {string} messageId
+     * @param {string} reason
+     * @param {number} now
+     * @returns {Promise<Object>} Report
+     */
+    async report(reporter, channelId, messageId, reason = '', now = Date.now()) {
+        if (this.reports.some(r => r.reporterId === reporter.playerId && r.messageId === messageId)) {
+            throw new Error('You already reported this message');
+        }
+
+        const open = this.reports.filter(r => r.reporterId === reporter.playerId && r.status === REPORT_STATUS.OPEN);
+        if (open.length >= MODERATION_CONFIG.maxOpenReportsPerPlayer) {
+            throw new Error('Too many open reports, wait for a moderator to review them');
+        }
+
+        let entries = await this.chatLogger.getRecent(MODERATION_CONFIG.reportScanLimit, { channel: channelId });
+        const reported = entries.find(entry => entry.messageId === messageId);
+
+        if (!reported) {
+            throw new Error('Message not found in recent chat');
+        }
+        if (reported.playerId === reporter.playerId) {
+            throw new Error('You cannot report your own message');
+        }
+
+        if (channelId === CHANNEL_TYPE.WHISPER) {
+            if (reported.target !== reporter.username) {
+                throw new Error('Message not found in recent chat');
+            }
+
+            const pair = [reporter.username, reported.username];
+            entries = entries.filter(entry => pair.includes(entry.username) && pair.includes(entry.target));
+        }
+
+        const index = entries.indexOf(reported);
+        const context = entries
+            .slice(Math.max(0, index - MODERATION_CONFIG.reportContextBefore), index + MODERATION_CONFIG.reportContextAfter + 1)
+            .map(toContextEntry);
+
+        const report = {
+            reportId: uuidv4(),
+            status: REPORT_STATUS.OPEN,
+            channelId,
+            messageId,
+            reporterId: reporter.playerId,
+            reporterName: reporter.username,
+            reportedId: reported.playerId,
+            reportedName: reported.username,
+            reason: cleanReason(reason),
+            context,
+            createdAt: now,
+            resolvedBy: null,
+            resolution: null,
+            resolvedAt: null
+        };
+
+        this.reports.push(report);
+        this.trimReports();
+        this.save();
+
+        log.info('Chat message reported', {
+            reportId: report.reportId,
+            channelId,
+            reportedId: report.reportedId
+        });
+
+        return report;
+    }
+
+    /**
+     * @param {string|null} status - Filter by status
+     * @returns {Array<Object>} Reports, newest first
+     */
+    getReports(status = REPORT_STATUS.OPEN) {
+        return this.reports
+            .filter(report => !status || report.status === status)
+            .reverse();
+    }
+
+    /**
+     * Close a report
+     * @param {Object} moderator - {playerId, username}
+     * @param {string} reportId
+     * @param {string} resolution - What was done about it
+     * @param {number} now
+     * @returns {Object} Report
+     */
+    resolveReport(moderator, reportId, resolution = '', now = Date.now()) {
+        const report = this.reports.find(r => r.reportId === reportId);
+
+        if (!report) {
+            throw new Error('Report not found');
+        }
+        if (report.status === REPORT_STATUS.RESOLVED) {
+            throw new Error('Report is already resolved');
+        }
+
+        report.status = REPORT_STATUS.RESOLVED;
+        report.resolvedBy = moderator.playerId;
+        report.resolution = cleanReason(resolution);
+        report.resolvedAt = now;
+
+        this.recordAction(MODERATION_ACTION.RESOLVE_REPORT, moderator, {
+            target: { playerId: report.reportedId, username: report.reportedName },
+            channelId: report.channelId,
+            reportId,
+            reason: report.resolution
+        }, now);
+
+        return report;
+    }
+
+    /**
+     * Drop the oldest resolved reports beyond the limit; open reports are kept
+     */
+    trimReports() {
+        let excess = this.reports.length - MODERATION_CONFIG.maxReports;
+
+        this.reports = this.reports.filter(report => {
+            if (excess > 0 && report.status === REPORT_STATUS.RESOLVED) {
+                excess--;
+                return false;
+            }
+            return true;
+        });
+    }
+
+    // =============================================
+    // AUDIT
+    // =============================================
+
+    /**
+     * Append to the audit trail and persist
+     * @param {string} action - MODERATION_ACTION value
+     * @param {Object} moderator - {playerId, username}
+     * @param {Object} details - target, channelId, until, seconds, reason, reportId
+     * @param {number} now
+     */
+    recordAction(action, moderator, details, now = Date.now()) {
+        const { target, ...rest } = details;
+
+        const entry = {
+            auditId: uuidv4(),
+            action,
+            moderatorId: moderator.playerId,
+            moderatorName: moderator.username,
+            targetId: target?.playerId || null,
+            targetName: target?.username || null,
+            ...rest,
+            timestamp: now
+        };
+
+        this.audit.push(entry);
+        if (this.audit.length > MODERATION_CONFIG.maxAuditEntries) {
+            this.audit.splice(0, this.audit.length - MODERATION_CONFIG.maxAuditEntries);
+        }
+        this.save();
+
+        log.info('Moderator action', entry);
+    }
+
+    /**
+     * @param {number} limit
+     * @param {Object} filter
+     * @param {string} filter.targetId - Only actions against this player
+     * @param {string} filter.moderatorId - Only actions by this moderator
+     * @returns {Array<Object>} Audit entries, newest first
+     */
+    getAudit(limit = 100, filter = {}) {
+        return this.audit
+            .filter(entry => !filter.targetId || entry.targetId === filter.targetId)
+            .filter(entry => !filter.moderatorId || entry.moderatorId === filter.moderatorId)
+            .slice(-limit)
+            .reverse();
+    }
+
+    // =============================================
+    // STATE
+    // =============================================
+
+    /**
+     * Active mutes, bans and slow modes, expired ones pruned
+     * @param {number} now
+     * @returns {Object}
+     */
+    getState(now = Date.now()) {
+        for (const playerId of this.mutes.keys()) this.getMute(playerId, now);
+        for (const ban of this.bans.values()) this.getBan(ban.channelId, ban.playerId, now);
+
+        return {
+            mutes: Array.from(this.mutes.values()),
+            bans: Array.from(this.bans.values()),
+            slowModes: Array.from(this.slowModes.entries()).map(([channelId, seconds]) => ({ channelId, seconds }))
+        };
+    }
+
+    /**
+     * @returns {Object}
+     */
+    getStats() {
+        return {
+            mutes: this.mutes.size,
+            bans: this.bans.size,
+            slowModes: this.slowModes.size,
+            openReports: this.reports.filter(r => r.status === REPORT_STATUS.OPEN).length,
+            auditEntries: this.audit.length
+        };
+    }
+}
+
+export default ChatModeration;
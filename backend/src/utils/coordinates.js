@@ -11,6 +11,8 @@
  * - Voxel: 0-15 within chunk (integer)
  */
 
+import { hashSeed } from '../../../src/math/SeededRandom.js';
+
 // =============================================
 // CONSTANTS
 // =============================================
@@ -188,6 +190,19 @@ export function parseMegachunkKey(key) {
     return { mx, my, mz };
 }
 
+/**
+ * Generation seed of a megachunk, derived from the world seed so every
+ * server and client computes the same one
+ * @param {number|string|bigint} worldSeed
+ * @param {number} mx
+ * @param {number} my
+ * @param {number} mz
+ * @returns {bigint}
+ */
+export function megachunkSeed(worldSeed, mx, my, mz) {
+    return BigInt(hashSeed(worldSeed, 'megachunk', mx, my, mz));
+}
+
 // =============================================
 // BODY-RELATIVE COORDINATES
 // =============================================
@@ -0,0 +1,432 @@
+/**
+ * POLYMIR COLLUSION DETECTION
+ * ===========================
+ * Cross-consensus analysis of validation votes
+ * Looks for validator pairs who co-vote far more often than chance,
+ * validators who only ever vote on one submitter, bursts of new accounts
+ * voting together, and accounts sharing a connection address.
+ */
+
+import { createHash } from 'crypto';
+
+// =============================================
+// DETECTION CONFIGURATION
+// =============================================
+
+export const COLLUSION_CONFIG = {
+    // Vote history considered by the analysis
+    WINDOW_DAYS: 30,
+
+    // Co-voting pairs
+    PAIR_MIN_SHARED_VOTES: 5,
+    PAIR_MIN_LIFT: 2.0,            // Shared votes vs. what independent selection would give
+    PAIR_MIN_AGREEMENT: 0.9,
+
+    // Submitter concentration
+    CONCENTRATION_MIN_VOTES: 5,
+    CONCENTRATION_THRESHOLD: 0.9,  // Share of a validator's votes on one submitter
+
+    // New account bursts
+    NEW_ACCOUNT_AGE_MS: 7 * 24 * 60 * 60 * 1000,
+    BURST_CREATION_WINDOW_MS: 24 * 60 * 60 * 1000,
+    BURST_MIN_ACCOUNTS: 3,
+
+    // Trust penalties
+    SEVERITY_WEIGHT: { low: 0.1, medium: 0.25, high: 0.5 },
+    PENALTY_THRESHOLD: 0.25,       // Minimum suspicion before trust is touched
+    MAX_PENALTY: 0.05              // Per resolved consensus, at suspicion 1.0
+};
+
+export const COLLUSION_FLAG = Object.freeze({
+    CO_VOTING_PAIR: 'co_voting_pair',
+    SUBMITTER_CONCENTRATION: 'submitter_concentration',
+    NEW_ACCOUNT_BURST: 'new_account_burst',
+    SHARED_CONNECTION: 'shared_connection'
+});
+
+const SEVERITY_RANK = { low: 0, medium: 1, high: 2 };
+
+// =============================================
+// CONNECTION FINGERPRINTS
+// =============================================
+
+/**
+ * Hash a remote address so connections can be correlated without storing IPs
+ * @param {string} address - Socket remote address
+ * @param {string} salt
+ * @returns {string|null}
+ */
+export function hashConnectionAddress(address, salt = process.env.COLLUSION_ADDRESS_SALT || '') {
+    if (!address) return null;
+
+    // IPv4 clients on a dual-stack socket show up as ::ffff:a.b.c.d
+    const normalized = address.replace(/^::ffff:/i, '').toLowerCase();
+    return createHash('sha256').update(salt + normalized).digest('hex').slice(0, 32);
+}
+
+// =============================================
+// DETECTORS
+// =============================================
+
+function fingerprint(type, playerIds) {
+    return `${type}:${[...playerIds].sort().join(',')}`;
+}
+
+function groupByConsensus(votes) {
+    const byConsensus = new Map();
+    for (const vote of votes) {
+        if (!byConsensus.has(vote.consensus_id)) {
+            byConsensus.set(vote.consensus_id, []);
+        }
+        byConsensus.get(vote.consensus_id).push(vote);
+    }
+    return byConsensus;
+}
+
+/**
+ * Validator pairs who vote on the same consensuses more often than
+ * independent selection would explain, and almost always the same way
+ * @param {Array} votes - Vote history rows
+ * @param {Object} config
+ * @returns {Array<Object>} Flags
+ */
+export function detectCoVotingPairs(votes, config = COLLUSION_CONFIG) {
+    const byConsensus = groupByConsensus(votes);
+    const voteCounts = new Map();
+    const pairs = new Map();
+
+    for (const vote of votes) {
+        voteCounts.set(vote.validator_id, (voteCounts.get(vote.validator_id) || 0) + 1);
+    }
+
+    for (const [consensusId, consensusVotes] of byConsensus) {
+        for (let i = 0; i < consensusVotes.length; i++) {
+            for (let j = i + 1; j < consensusVotes.length; j++) {
+                const a = consensusVotes[i];
+                const b = consensusVotes[j];
+                const key = [a.validator_id, b.validator_id].sort().join('|');
+
+                const pair = pairs.get(key) || { shared: 0, agreed: 0, outvoted: 0, consensusIds: [] };
+                pair.shared++;
+                pair.consensusIds.push(consensusId);
+                if (a.agrees === b.agrees) {
+                    pair.agreed++;
+                    if (a.is_valid !== null && a.is_valid !== undefined && a.agrees !== a.is_valid) {
+                        pair.outvoted++;
+                    }
+                }
+                pairs.set(key, pair);
+            }
+        }
+    }
+
+    const totalConsensuses = byConsensus.size;
+    const flags = [];
+
+    for (const [key, pair] of pairs) {
+        if (pair.shared < config.PAIR_MIN_SHARED_VOTES) continue;
+
+        const [a, b] = key.split('|');
+        const expected = (voteCounts.get(a) * voteCounts.get(b)) / totalConsensuses;
+        const lift = pair.shared / expected;
+        const agreement = pair.agreed / pair.shared;
+
+        if (lift < config.PAIR_MIN_LIFT || agreement < config.PAIR_MIN_AGREEMENT) continue;
+
+        // Repeatedly losing together means they push outcomes the majority rejects
+        const outvotedRate = pair.outvoted / pair.shared;
+
+        flags.push({
+            type: COLLUSION_FLAG.CO_VOTING_PAIR,
+            severity: outvotedRate >= 0.5 ? 'high' : 'medium',
+            playerIds: [a, b],
+            consensusIds: pair.consensusIds,
+            fingerprint: fingerprint(COLLUSION_FLAG.CO_VOTING_PAIR, [a, b]),
+            reason: 'Validators co-vote far more often than chance and almost always agree',
+            details: {
+                sharedVotes: pair.shared,
+                agreement,
+                lift,
+                outvotedRate
+            }
+        });
+    }
+
+    return flags;
+}
+
+/**
+ * Validators whose votes are (almost) all on a single submitter
+ * @param {Array} votes
+ * @param {Object} config
+ * @returns {Array<Object>} Flags
+ */
+export function detectSubmitterConcentration(votes, config = COLLUSION_CONFIG) {
+    const byValidator = new Map();
+
+    for (const vote of votes) {
+        if (!byValidator.has(vote.validator_id)) {
+            byValidator.set(vote.validator_id, new Map());
+        }
+        const submitters = byValidator.get(vote.validator_id);
+        const entry = submitters.get(vote.submitter_id) || { votes: 0, approvals: 0, consensusIds: [] };
+        entry.votes++;
+        entry.approvals += vote.agrees ? 1 : 0;
+        entry.consensusIds.push(vote.consensus_id);
+        submitters.set(vote.submitter_id, entry);
+    }
+
+    const flags = [];
+
+    for (const [validatorId, submitters] of byValidator) {
+        let total = 0;
+        let topSubmitter = null;
+        let top = null;
+        for (const [submitterId, entry] of submitters) {
+            total += entry.votes;
+            if (!top || entry.votes > top.votes) {
+                top = entry;
+                topSubmitter = submitterId;
+            }
+        }
+
+        if (total < config.CONCENTRATION_MIN_VOTES) continue;
+
+        const share = top.votes / total;
+        if (share < config.CONCENTRATION_THRESHOLD) continue;
+
+        flags.push({
+            type: COLLUSION_FLAG.SUBMITTER_CONCENTRATION,
+            severity: submitters.size === 1 ? 'high' : 'medium',
+            playerIds: [validatorId],
+            consensusIds: top.consensusIds,
+            fingerprint: fingerprint(COLLUSION_FLAG.SUBMITTER_CONCENTRATION, [validatorId]),
+            reason: submitters.size === 1
+                ? 'Validator only ever validates one submitter'
+                : 'Validator votes almost exclusively on one submitter',
+            details: {
+                submitterId: topSubmitter,
+                share,
+                totalVotes: total,
+                approvalRate: top.approvals / top.votes
+            }
+        });
+    }
+
+    return flags;
+}
+
+/**
+ * Groups of accounts created close together, still new when they voted,
+ * voting the same way on the same consensus
+ * @param {Array} votes - Rows need validator_created_at and voted_at
+ * @param {Object} config
+ * @returns {Array<Object>} Flags
+ */
+export function detectNewAccountBursts(votes, config = COLLUSION_CONFIG) {
+    const bursts = new Map();
+
+    for (const [consensusId, consensusVotes] of groupByConsensus(votes)) {
+        const fresh = consensusVotes.filter(v => v.validator_created_at &&
+            new Date(v.voted_at) - new Date(v.validator_created_at) < config.NEW_ACCOUNT_AGE_MS);
+
+        for (const agrees of [true, false]) {
+            const side = fresh
+                .filter(v => v.agrees === agrees)
+                .sort((a, b) => new Date(a.validator_created_at) - new Date(b.validator_created_at));
+
+            // Largest cluster whose creation times fit inside the burst window
+            let best = [];
+            let start = 0;
+            for (let end = 0; end < side.length; end++) {
+                while (new Date(side[end].validator_created_at) - new Date(side[start].validator_created_at) > config.BURST_CREATION_WINDOW_MS) {
+                    start++;
+                }
+                if (end - start + 1 > best.length) {
+                    best = side.slice(start, end + 1);
+                }
+            }
+
+            if (best.length < config.BURST_MIN_ACCOUNTS) continue;
+
+            const playerIds = best.map(v => v.validator_id);
+            const key = fingerprint(COLLUSION_FLAG.NEW_ACCOUNT_BURST, playerIds);
+            const burst = bursts.get(key) || { playerIds, consensusIds: [], agrees };
+            burst.consensusIds.push(consensusId);
+            bursts.set(key, burst);
+        }
+    }
+
+    return [...bursts.entries()].map(([key, burst]) => ({
+        type: COLLUSION_FLAG.NEW_ACCOUNT_BURST,
+        severity: burst.consensusIds.length > 1 ? 'high' : 'medium',
+        playerIds: burst.playerIds,
+        consensusIds: burst.consensusIds,
+        fingerprint: key,
+        reason: 'Accounts created together voted together while still new',
+        details: {
+            accountCount: burst.playerIds.length,
+            agrees: burst.agrees
+        }
+    }));
+}
+
+/**
+ * Consensus participants connecting from the same address
+ * Sharing an address with the submitter is high severity. Validators
+ * sharing one among themselves are only low: households and NATs share
+ * addresses, so it stays below the penalty threshold unless another
+ * finding (a co-voting pair, submitter concentration) adds to it.
+ * @param {Array} votes
+ * @param {Array} connections - {player_id, address_hash}
+ * @returns {Array<Object>} Flags
+ */
+export function detectSharedConnections(votes, connections) {
+    const addressesByPlayer = new Map();
+    for (const { player_id, address_hash } of connections) {
+        if (!addressesByPlayer.has(player_id)) {
+            addressesByPlayer.set(player_id, new Set());
+        }
+        addressesByPlayer.get(player_id).add(address_hash);
+    }
+
+    const groups = new Map();
+
+    for (const [consensusId, consensusVotes] of groupByConsensus(votes)) {
+        const submitterId = consensusVotes[0].submitter_id;
+        const participants = new Set([submitterId, ...consensusVotes.map(v => v.validator_id)]);
+
+        const playersByAddress = new Map();
+        for (const playerId of participants) {
+            for (const address of addressesByPlayer.get(playerId) || []) {
+                if (!playersByAddress.has(address)) {
+                    playersByAddress.set(address, []);
+                }
+                playersByAddress.get(address).push(playerId);
+            }
+        }
+
+        for (const playerIds of playersByAddress.values()) {
+            if (playerIds.length < 2) continue;
+
+            const key = fingerprint(COLLUSION_FLAG.SHARED_CONNECTION, playerIds);
+            const group = groups.get(key) || { playerIds, consensusIds: [], withSubmitter: 0 };
+            group.consensusIds.push(consensusId);
+            if (playerIds.includes(submitterId)) {
+                group.withSubmitter++;
+            }
+            groups.set(key, group);
+        }
+    }
+
+    return [...groups.entries()].map(([key, group]) => ({
+        type: COLLUSION_FLAG.SHARED_CONNECTION,
+        severity: group.withSubmitter > 0 ? 'high' : 'low',
+        playerIds: [...group.playerIds].sort(),
+        consensusIds: group.consensusIds,
+        fingerprint: key,
+        reason: group.withSubmitter > 0
+            ? 'Validator connects from the same address as the submitter'
+            : 'Validators on the same consensus connect from the same address',
+        details: {
+            consensusCount: group.consensusIds.length,
+            withSubmitter: group.withSubmitter
+        }
+    }));
+}
+
+// =============================================
+// ANALYSIS
+// =============================================
+
+/**
+ * Run every detector over a vote history
+ * @param {Object} history
+ * @param {Array} history.votes - consensus_id, validator_id, agrees, submitter_id, is_valid, voted_at, validator_created_at
+ * @param {Array} history.connections - player_id, address_hash
+ * @param {Object} config - Overrides for COLLUSION_CONFIG
+ * @returns {{flags: Array<Object>, suspicion: Object, summary: Object}}
+ */
+export function analyzeCollusion({ votes = [], connections = [] }, config = {}) {
+    const settings = { ...COLLUSION_CONFIG, ...config };
+
+    const flags = [
+        ...detectCoVotingPairs(votes, settings),
+        ...detectSubmitterConcentration(votes, settings),
+        ...detectNewAccountBursts(votes, settings),
+        ...detectSharedConnections(votes, connections)
+    ].sort((a, b) => SEVERITY_RANK[b.severity] - SEVERITY_RANK[a.severity]);
+
+    const suspicion = calculateSuspicionScores(flags, settings);
+
+    const flagsByType = {};
+    for (const type of Object.values(COLLUSION_FLAG)) {
+        flagsByType[type] = flags.filter(f => f.type === type).length;
+    }
+
+    return {
+        flags,
+        suspicion,
+        summary: {
+            votesAnalyzed: votes.length,
+            consensuses: new Set(votes.map(v => v.consensus_id)).size,
+            validators: new Set(votes.map(v => v.validator_id)).size,
+            flaggedPlayers: Object.keys(suspicion).length,
+            flagsByType
+        }
+    };
+}
+
+/**
+ * Combine flags into a 0-1 suspicion score per player
+ * Independent flags compound: 1 - Π(1 - weight)
+ * @param {Array<Object>} flags
+ * @param {Object} config
+ * @returns {Object} playerId -> score
+ */
+export function calculateSuspicionScores(flags, config = COLLUSION_CONFIG) {
+    const clean = {};
+
+    for (const flag of flags) {
+        const weight = config.SEVERITY_WEIGHT[flag.severity] || 0;
+        for (const playerId of flag.playerIds) {
+            clean[playerId] = (clean[playerId] ?? 1) * (1 - weight);
+        }
+    }
+
+    const scores = {};
+    for (const [playerId, remaining] of Object.entries(clean)) {
+        scores[playerId] = 1 - remaining;
+    }
+    return scores;
+}
+
+/**
+ * Trust penalty for a participant of a resolved consensus
+ * @param {number} suspicion - 0.0 to 1.0
+ * @param {Object} config
+ * @returns {number} Amount to subtract (0 below the threshold)
+ */
+export function calculateCollusionPenalty(suspicion, config = COLLUSION_CONFIG) {
+    if (!suspicion || suspicion < config.PENALTY_THRESHOLD) {
+        return 0;
+    }
+    return Math.min(1, suspicion) * config.MAX_PENALTY;
+}
+
+// =============================================
+// EXPORTS
+// =============================================
+
+export default {
+    COLLUSION_CONFIG,
+    COLLUSION_FLAG,
+    hashConnectionAddress,
+    detectCoVotingPairs,
+    detectSubmitterConcentration,
+    detectNewAccountBursts,
+    detectSharedConnections,
+    analyzeCollusion,
+    calculateSuspicionScores,
+    calculateCollusionPenalty
+};
@@ -0,0 +1,425 @@
+/**
+ * POLYMIR COMPUTATION PROOFS
+ * ==========================
+ * Deterministic replay of validated events and chunk state hashing
+ *
+ * A validator proves it actually checked an event by replaying it against
+ * the chunk state referenced by CID and reporting the hash of the result.
+ * Honest validators always arrive at the same hash, so a vote whose hash
+ * disagrees with the reference (or that carries no proof) is detectable.
+ *
+ * Result hashes are public once votes are, so each proof also carries a
+ * proof hash over the validator's id and the replayed state itself. It
+ * differs per validator and can only be computed by replaying, which makes
+ * a copied result hash detectable too.
+ */
+
+import { createHash } from 'crypto';
+import { MVoxFile } from '../../../src/serialization/formats/MVoxFile.js';
+import { validateSchematicFile, VALIDATION_ERROR } from '../schematics/validation.js';
+
+// =============================================
+// PROOF CONFIGURATION
+// =============================================
+
+export const PROOF_VERSION = 2;
+
+export const PROOF_CONFIG = {
+    // Votes without a proof are penalised when proofs are required
+    REQUIRED: process.env.VALIDATION_REQUIRE_PROOF !== 'false',
+
+    // Replay limits
+    MAX_CHANGES: 10000,
+
+    // Majority fallback: minimum matching proofs when the server can't replay
+    MIN_MATCHING_PROOFS: 2
+};
+
+export const PROOF_STATUS = Object.freeze({
+    VERIFIED: 'verified',
+    MISMATCH: 'mismatch',
+    MISSING: 'missing',
+    MALFORMED: 'malformed',
+    UNVERIFIED: 'unverified' // No reference hash could be established
+});
+
+const HASH_PATTERN = /^sha256:[0-9a-f]{64}$/;
+
+// =============================================
+// CHUNK STATE
+// =============================================
+
+/**
+ * Load chunk state from an .mvox buffer
+ * Goes through schematic content validation so a hostile CID can't inflate
+ * into an unbounded voxel set.
+ * @param {Buffer} buffer
+ * @returns {Map<string, Object>} "x,y,z" -> {type, color, layer, semantics}
+ */
+export function loadChunkState(buffer) {
+    const result = validateSchematicFile(buffer);
+    const state = new Map();
+
+    if (!result.valid) {
+        if (result.errors[0].code === VALIDATION_ERROR.EMPTY_SCHEMATIC) {
+            return state;
+        }
+        throw new Error(`Invalid chunk state: ${result.errors[0].message}`);
+    }
+
+    const bits = result.mvoxFile.metadata.positionBits || 5;
+    for (const [key, voxel] of result.mvoxFile.voxels) {
+        state.set(MVoxFile.decodeKey(key, bits).join(','), {
+            type: voxel.type || 0,
+            color: voxel.color || 0,
+            layer: voxel.layerIndex || 0,
+            semantics: voxel.semantics || 0
+        });
+    }
+    return state;
+}
+
+/**
+ * Hash chunk state canonically
+ * Voxels are sorted by position and written as fixed-width records, so the
+ * hash depends only on content, never on insertion order.
+ * @param {Map<string, Object>} state
+ * @returns {string} 'sha256:<hex>'
+ */
+export function hashChunkState(state) {
+    const hash = createHash('sha256');
+    updateStateHash(hash, state);
+    return `sha256:${hash.digest('hex')}`;
+}
+
+/**
+ * Hash a validator's replayed state, bound to the validator and event
+ * Only someone holding the replayed state can compute it, so copying
+ * another validator's proof does not produce a valid one.
+ * @param {Map<string, Object>} state - Chunk state after replay
+ * @param {string} validatorId
+ * @param {string} eventDataCid
+ * @returns {string} 'sha256:<hex>'
+ */
+export function hashValidatorProof(state, validatorId, eventDataCid) {
+    const hash = createHash('sha256');
+    hash.update(`polymir-proof:${PROOF_VERSION}:${validatorId}:${eventDataCid}:`);
+    updateStateHash(hash, state);
+    return `sha256:${hash.digest('hex')}`;
+}
+
+/**
+ * Feed chunk state into a hash as sorted fixed-width records
+ */
+function updateStateHash(hash, state) {
+    const entries = [...state.entries()]
+        .map(([key, voxel]) => [key.split(',').map(Number), voxel])
+        .sort(([a], [b]) => a[0] - b[0] || a[1] - b[1] || a[2] - b[2]);
+
+    const record = Buffer.alloc(28);
+
+    for (const [[x, y, z], voxel] of entries) {
+        record.writeInt32BE(x, 0);
+        record.writeInt32BE(y, 4);
+        record.writeInt32BE(z, 8);
+        record.writeInt32BE(voxel.layer | 0, 12);
+        record.writeUInt32BE(voxel.type >>> 0, 16);
+        record.writeUInt32BE(voxel.color >>> 0, 20);
+        record.writeUInt32BE(voxel.semantics >>> 0, 24);
+        hash.update(record);
+    }
+}
+
+// =============================================
+// REPLAY
+// =============================================
+
+function assertInteger(value, name) {
+    if (!Number.isInteger(value)) {
+        throw new Error(`${name} must be an integer`);
+    }
+}
+
+/**
+ * Apply damage map edits in order
+ * @param {Map<string, Object>} state - Modified in place
+ * @param {Array<Object>} changes - {x, y, z, changeType, voxelType, voxelColor, layerId}
+ */
+export function applyVoxelChanges(state, changes) {
+    if (!Array.isArray(changes)) {
+        throw new Error('changes must be an array');
+    }
+    if (changes.length > PROOF_CONFIG.MAX_CHANGES) {
+        throw new Error(`At most ${PROOF_CONFIG.MAX_CHANGES} changes can be replayed`);
+    }
+
+    for (const change of changes) {
+        assertInteger(change.x, 'x');
+        assertInteger(change.y, 'y');
+        assertInteger(change.z, 'z');
+        const key = `${change.x},${change.y},${change.z}`;
+
+        if (change.changeType === 'remove') {
+            state.delete(key);
+        } else if (change.changeType === 'add') {
+            state.set(key, {
+                type: change.voxelType || 0,
+                color: change.voxelColor || 0,
+                layer: change.layerId || 0,
+                semantics: 0
+            });
+        } else {
+            throw new Error(`Unknown changeType: ${change.changeType}`);
+        }
+    }
+}
+
+/**
+ * Stamp a schematic into chunk state
+ * Rotation is in quarter turns about +Y: (x, z) -> (z, -x) per turn.
+ * @param {Map<string, Object>} state - Modified in place
+ * @param {Map<string, Object>} schematic - From loadChunkState
+ * @param {Object} placement - {position: {x, y, z}, rotation}
+ */
+export function applySchematicPlacement(state, schematic, placement) {
+    const { position = {}, rotation = 0 } = placement;
+    assertInteger(position.x, 'position.x');
+    assertInteger(position.y, 'position.y');
+    assertInteger(position.z, 'position.z');
+    assertInteger(rotation, 'rotation');
+
+    const turns = ((rotation % 4) + 4) % 4;
+
+    for (const [key, voxel] of schematic) {
+        let [x, y, z] = key.split(',').map(Number);
+        for (let i = 0; i < turns; i++) {
+            [x, z] = [z, -x];
+        }
+        state.set(`${x + position.x},${y + position.y},${z + position.z}`, { ...voxel });
+    }
+}
+
+/**
+ * Deterministically replay an event against its base chunk state
+ * @param {string} eventType
+ * @param {Object} eventData - baseStateCid plus changes or schematic placement
+ * @param {Function} fetchCid - async (cid) => Buffer
+ * @returns {Promise<{baseStateHash: string, resultHash: string, voxelCount: number}>}
+ */
+export async function replayEvent(eventType, eventData, fetchCid) {
+    const { baseStateHash, state } = await replayState(eventType, eventData, fetchCid);
+
+    return {
+        baseStateHash,
+        resultHash: hashChunkState(state),
+        voxelCount: state.size
+    };
+}
+
+/**
+ * Replay an event, keeping the resulting chunk state
+ * @param {string} eventType
+ * @param {Object} eventData
+ * @param {Function} fetchCid
+ * @returns {Promise<{baseStateHash: string, state: Map<string, Object>}>}
+ */
+export async function replayState(eventType, eventData, fetchCid) {
+    const state = eventData.baseStateCid
+        ? loadChunkState(await fetchCid(eventData.baseStateCid))
+        : new Map();
+    const baseStateHash = hashChunkState(state);
+
+    switch (eventType) {
+        case 'block_placement':
+        case 'chunk_modification':
+        case 'terrain_edit':
+            // Single edits use the damage_update field names
+            applyVoxelChanges(state, eventData.changes || [{
+                x: eventData.voxelX,
+                y: eventData.voxelY,
+                z: eventData.voxelZ,
+                changeType: eventData.changeType,
+                voxelType: eventData.voxelType,
+                voxelColor: eventData.voxelColor,
+                layerId: eventData.layerId
+            }]);
+            break;
+
+        case 'schematic_placement': {
+            if (!eventData.schematicCid) {
+                throw new Error('schematic_placement requires schematicCid');
+            }
+            const schematic = loadChunkState(await fetchCid(eventData.schematicCid));
+            applySchematicPlacement(state, schematic, eventData);
+            break;
+        }
+
+        default:
+            throw new Error(`Cannot replay event type: ${eventType}`);
+    }
+
+    return { baseStateHash, state };
+}
+
+// =============================================
+// PROOFS
+// =============================================
+
+/**
+ * Replay an event and build the proof a validator attaches to its vote
+ * @param {string} eventType
+ * @param {string} eventDataCid
+ * @param {Object} eventData
+ * @param {Function} fetchCid - async (cid) => Buffer
+ * @param {string} validatorId - Voting validator, bound into proofHash
+ * @returns {Promise<Object>}
+ */
+export async function createComputationProof(eventType, eventDataCid, eventData, fetchCid, validatorId) {
+    const { baseStateHash, state } = await replayState(eventType, eventData, fetchCid);
+
+    return {
+        version: PROOF_VERSION,
+        eventType,
+        eventDataCid,
+        validatorId,
+        baseStateCid: eventData.baseStateCid || null,
+        baseStateHash,
+        resultHash: hashChunkState(state),
+        proofHash: hashValidatorProof(state, validatorId, eventDataCid),
+        voxelCount: state.size
+    };
+}
+
+/**
+ * Check a proof's shape and that it refers to the consensus and voter
+ * @param {Object} proof
+ * @param {Object} consensus - consensus_results row
+ * @param {string} validatorId - Voter the proof must be bound to
+ * @returns {Array<string>} Errors, empty when well-formed
+ */
+export function validateProof(proof, consensus = null, validatorId = null) {
+    const errors = [];
+
+    if (!proof || typeof proof !== 'object') {
+        return ['proof must be an object'];
+    }
+    if (proof.version !== PROOF_VERSION) {
+        errors.push(`Unsupported proof version: ${proof.version}`);
+    }
+    if (!HASH_PATTERN.test(proof.resultHash || '')) {
+        errors.push('resultHash must be a sha256 hash');
+    }
+    if (!HASH_PATTERN.test(proof.baseStateHash || '')) {
+        errors.push('baseStateHash must be a sha256 hash');
+    }
+    if (!HASH_PATTERN.test(proof.proofHash || '')) {
+        errors.push('proofHash must be a sha256 hash');
+    }
+    if (!Number.isInteger(proof.voxelCount) || proof.voxelCount < 0) {
+        errors.push('voxelCount must be a non-negative integer');
+    }
+    if (consensus) {
+        if (proof.eventDataCid !== consensus.event_data_cid) {
+            errors.push('Proof is for a different event');
+        }
+        if (proof.eventType !== consensus.event_type) {
+            errors.push('Proof event type does not match');
+        }
+    }
+    if (validatorId && proof.validatorId !== validatorId) {
+        errors.push('Proof belongs to another validator');
+    }
+
+    return errors;
+}
+
+/**
+ * Reference hash from submitted proofs when the server can't replay itself
+ * Requires a strict majority of proofs and PROOF_CONFIG.MIN_MATCHING_PROOFS.
+ * @param {Array<string|null>} resultHashes
+ * @returns {string|null}
+ */
+export function majorityResultHash(resultHashes) {
+    const counts = new Map();
+    const present = resultHashes.filter(Boolean);
+
+    for (const hash of present) {
+        counts.set(hash, (counts.get(hash) || 0) + 1);
+    }
+
+    for (const [hash, count] of counts) {
+        if (count >= PROOF_CONFIG.MIN_MATCHING_PROOFS && count > present.length / 2) {
+            return hash;
+        }
+    }
+    return null;
+}
+
+/**
+ * Classify each vote's proof against the reference hash
+ * A matching result hash alone could have been copied from a published
+ * vote: it only counts as VERIFIED when the vote's proof hash matches the
+ * one recomputed for that validator. Without a replayed state (majority
+ * fallback) matching votes stay UNVERIFIED.
+ * @param {Array<Object>} votes - validator_id, result_hash, proof_hash, proof_status
+ * @param {string|null} referenceHash
+ * @param {Function} expectedProofHash - (validatorId) => hash, null without a replayed state
+ * @returns {Object} validatorId -> PROOF_STATUS
+ */
+export function verifyVoteProofs(votes, referenceHash, expectedProofHash = null) {
+    const statuses = {};
+
+    for (const vote of votes) {
+        if (vote.proof_status === PROOF_STATUS.MALFORMED) {
+            statuses[vote.validator_id] = PROOF_STATUS.MALFORMED;
+        } else if (!vote.result_hash) {
+            statuses[vote.validator_id] = PROOF_STATUS.MISSING;
+        } else if (!referenceHash) {
+            statuses[vote.validator_id] = PROOF_STATUS.UNVERIFIED;
+        } else if (vote.result_hash !== referenceHash) {
+            statuses[vote.validator_id] = PROOF_STATUS.MISMATCH;
+        } else if (!expectedProofHash) {
+            statuses[vote.validator_id] = PROOF_STATUS.UNVERIFIED;
+        } else {
+            statuses[vote.validator_id] = vote.proof_hash === expectedProofHash(vote.validator_id)
+                ? PROOF_STATUS.VERIFIED
+                : PROOF_STATUS.MISMATCH;
+        }
+    }
+
+    return statuses;
+}
+
+/**
+ * Whether a proof status should cost the validator trust
+ * @param {string} status
+ * @returns {boolean}
+ */
+export function isProofFailure(status) {
+    if (status === PROOF_STATUS.MISSING) {
+        return PROOF_CONFIG.REQUIRED;
+    }
+    return status === PROOF_STATUS.MISMATCH || status === PROOF_STATUS.MALFORMED;
+}
+
+// =============================================
+// EXPORTS
+// =============================================
+
+export default {
+    PROOF_VERSION,
+    PROOF_CONFIG,
+    PROOF_STATUS,
+    loadChunkState,
+    hashChunkState,
+    hashValidatorProof,
+    applyVoxelChanges,
+    applySchematicPlacement,
+    replayEvent,
+    replayState,
+    createComputationProof,
+    validateProof,
+    majorityResultHash,
+    verifyVoteProofs,
+    isProofFailure
+};
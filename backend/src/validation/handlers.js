@@ -323,7 +323,7 @@ export async function publishValidationRequest(libp2pNode, consensusId, eventDat
  * @param {string} consensusId
  * @param {string} validatorId
  * @param {boolean} agrees
- * @param {string} computationProofCid
+ * @param {string} computationProofCid - CID of the proof from createComputationProof
  */
 export async function publishValidationVote(libp2pNode, consensusId, validatorId, agrees, computationProofCid = null) {
     try {
@@ -12,6 +12,21 @@ import {
     calculateValidatorAdjustment,
     calculateSubmitterAdjustment
 } from '../utils/trust.js';
+import {
+    COLLUSION_CONFIG,
+    analyzeCollusion,
+    calculateCollusionPenalty
+} from './collusion.js';
+import {
+    PROOF_STATUS,
+    replayState,
+    hashChunkState,
+    hashValidatorProof,
+    validateProof,
+    majorityResultHash,
+    verifyVoteProofs,
+    isProofFailure
+} from './computationProof.js';
 
 const log = logger.child('Validator');
 
@@ -174,11 +189,27 @@ export class ValidationOrchestrator {
                 throw new Error('Cannot validate own action');
             }
 
-            // Upload computation proof if provided
+            // Check and store computation proof if provided
             let proofCid = null;
+            const proofRecord = {};
             if (computationProof) {
-                const proofJson = JSON.stringify(computationProof);
-                proofCid = await this.ipfsClient.upload(Buffer.from(proofJson));
+                const proof = await this.resolveProof(computationProof);
+                const errors = proof ? validateProof(proof, consensus, validatorId) : ['Proof could not be downloaded'];
+
+                if (errors.length > 0) {
+                    proofRecord.status = PROOF_STATUS.MALFORMED;
+                    log.warn('Malformed computation proof', {
+                        consensusId,
+                        validatorId,
+                        errors
+                    });
+                } else {
+                    proofRecord.resultHash = proof.resultHash;
+                    proofRecord.proofHash = proof.proofHash;
+                }
+
+                proofCid = computationProof.cid ||
+                    await this.ipfsClient.upload(Buffer.from(JSON.stringify(computationProof)));
             }
 
             // Record vote
@@ -186,7 +217,8 @@ export class ValidationOrchestrator {
                 consensusId,
                 validatorId,
                 agrees,
-                proofCid
+                proofCid,
+                proofRecord
             );
 
             log.info('Vote recorded', {
@@ -275,7 +307,8 @@ export class ValidationOrchestrator {
             });
 
             // Update trust scores
-            await this.updateTrustScores(consensus, isValid, votes);
+            const proofStatuses = await this.verifyComputationProofs(consensus, votes);
+            await this.updateTrustScores(consensus, isValid, votes, proofStatuses);
 
             // Clean up active validation
             this.activeValidations.delete(consensusId);
@@ -360,21 +393,28 @@ export class ValidationOrchestrator {
 
     /**
      * Update trust scores based on consensus result
+     * Participants flagged by collusion analysis lose trust instead of
+     * earning it for this consensus, and a vote whose computation proof
+     * failed counts as incorrect whichever way it went.
      * @param {Object} consensus
      * @param {boolean} isValid
      * @param {Array} votes
+     * @param {Object} proofStatuses - validatorId -> PROOF_STATUS
      * @returns {Promise<void>}
      */
-    async updateTrustScores(consensus, isValid, votes) {
+    async updateTrustScores(consensus, isValid, votes, proofStatuses = {}) {
         try {
+            const suspicion = await this.assessCollusion(consensus, votes);
+
             // Get submitter
             const submitter = await this.centralLibraryDB.getPlayerById(consensus.submitter_id);
+            const submitterPenalty = calculateCollusionPenalty(suspicion[consensus.submitter_id]);
 
-            // Update submitter trust (if action was invalid)
-            if (!isValid) {
+            // Update submitter trust (if action was invalid or submitter is flagged)
+            if (!isValid || submitterPenalty > 0) {
                 const oldScore = submitter.trust_score;
-                const adjustment = calculateTrustAdjustment(oldScore, false);
-                const newScore = Math.max(0, Math.min(1, oldScore + adjustment));
+                const baseScore = isValid ? oldScore : calculateSubmitterAdjustment(false, oldScore).newTrust;
+                const newScore = Math.max(0, baseScore - submitterPenalty);
 
                 await this.centralLibraryDB.updatePlayerTrustScore(
                     consensus.submitter_id,
@@ -385,7 +425,7 @@ export class ValidationOrchestrator {
                     consensus.submitter_id,
                     oldScore,
                     newScore,
-                    'validation_failed',
+                    submitterPenalty > 0 ? 'collusion_penalty' : 'validation_failed',
                     consensus.consensus_id
                 );
 
@@ -393,18 +433,23 @@ export class ValidationOrchestrator {
                     playerId: consensus.submitter_id,
                     oldScore,
                     newScore,
-                    adjustment
+                    collusionPenalty: submitterPenalty
                 });
             }
 
             // Update validator trust scores
             for (const vote of votes) {
                 const validator = await this.centralLibraryDB.getPlayerById(vote.validator_id);
-                const wasCorrect = vote.agrees === isValid;
+                const proofFailed = isProofFailure(proofStatuses[vote.validator_id]);
+                const wasCorrect = vote.agrees === isValid && !proofFailed;
+                const penalty = calculateCollusionPenalty(suspicion[vote.validator_id]);
 
                 const oldScore = validator.trust_score;
-                const adjustment = calculateTrustAdjustment(oldScore, wasCorrect);
-                const newScore = Math.max(0, Math.min(1, oldScore + adjustment));
+                const adjustment = calculateValidatorAdjustment(wasCorrect, true, oldScore);
+
+                // Flagged validators get no reward for a correct vote
+                const baseScore = penalty > 0 && wasCorrect ? oldScore : adjustment.newTrust;
+                const newScore = Math.max(0, baseScore - penalty);
 
                 await this.centralLibraryDB.updatePlayerTrustScore(
                     vote.validator_id,
@@ -420,16 +465,17 @@ export class ValidationOrchestrator {
                     vote.validator_id,
                     oldScore,
                     newScore,
-                    wasCorrect ? 'validation_correct' : 'validation_incorrect',
+                    penalty > 0 ? 'collusion_penalty' : proofFailed ? 'proof_failed' : adjustment.reason,
                     consensus.consensus_id
                 );
 
                 log.debug('Validator trust updated', {
                     validatorId: vote.validator_id,
                     wasCorrect,
+                    proofStatus: proofStatuses[vote.validator_id],
                     oldScore,
                     newScore,
-                    adjustment
+                    collusionPenalty: penalty
                 });
             }
 
@@ -441,6 +487,124 @@ export class ValidationOrchestrator {
         }
     }
 
+    /**
+     * Resolve a vote's computation proof, downloading it when only a CID was sent
+     * @param {Object} computationProof - Proof object or {cid}
+     * @returns {Promise<Object|null>}
+     */
+    async resolveProof(computationProof) {
+        if (!computationProof.cid || computationProof.resultHash) {
+            return computationProof;
+        }
+
+        try {
+            const data = await this.ipfsClient.download(computationProof.cid);
+            return JSON.parse(data.toString());
+        } catch (error) {
+            log.warn('Failed to download computation proof', {
+                cid: computationProof.cid,
+                error: error.message
+            });
+            return null;
+        }
+    }
+
+    /**
+     * Establish the reference result hash for a consensus and check every vote against it
+     * The server replays the event itself and recomputes each validator's
+     * proof hash from the replayed state; if that fails it falls back to
+     * the hash a strict majority of proofs agree on.
+     * @param {Object} consensus
+     * @param {Array} votes
+     * @returns {Promise<Object>} validatorId -> PROOF_STATUS (empty on failure)
+     */
+    async verifyComputationProofs(consensus, votes) {
+        try {
+            let referenceHash = null;
+            let expectedProofHash = null;
+
+            try {
+                const eventData = JSON.parse((await this.ipfsClient.download(consensus.event_data_cid)).toString());
+                const { state } = await replayState(
+                    consensus.event_type,
+                    eventData,
+                    (cid) => this.ipfsClient.download(cid)
+                );
+                referenceHash = hashChunkState(state);
+                expectedProofHash = (validatorId) =>
+                    hashValidatorProof(state, validatorId, consensus.event_data_cid);
+
+            } catch (error) {
+                referenceHash = majorityResultHash(votes.map(v => v.result_hash));
+
+                log.warn('Reference replay failed, using proof majority', {
+                    consensusId: consensus.consensus_id,
+                    error: error.message,
+                    referenceHash
+                });
+            }
+
+            const statuses = verifyVoteProofs(votes, referenceHash, expectedProofHash);
+            await this.centralLibraryDB.recordProofVerification(consensus.consensus_id, referenceHash, statuses);
+
+            const failed = Object.entries(statuses).filter(([, status]) => isProofFailure(status));
+            if (failed.length > 0) {
+                log.warn('Computation proofs failed', {
+                    consensusId: consensus.consensus_id,
+                    failed: Object.fromEntries(failed)
+                });
+            }
+
+            return statuses;
+
+        } catch (error) {
+            log.error('Proof verification failed', {
+                consensusId: consensus.consensus_id,
+                error: error.message
+            });
+            return {};
+        }
+    }
+
+    /**
+     * Run collusion analysis over the recent history of a consensus's participants
+     * New findings are persisted for the moderator report.
+     * @param {Object} consensus
+     * @param {Array} votes
+     * @returns {Promise<Object>} playerId -> suspicion score (empty on failure)
+     */
+    async assessCollusion(consensus, votes) {
+        try {
+            const playerIds = [consensus.submitter_id, ...votes.map(v => v.validator_id)];
+            const days = COLLUSION_CONFIG.WINDOW_DAYS;
+
+            const [history, connections] = await Promise.all([
+                this.centralLibraryDB.getValidationVoteHistory({ playerIds, days }),
+                this.centralLibraryDB.getPlayerConnectionAddresses({ playerIds, days })
+            ]);
+
+            const { flags, suspicion } = analyzeCollusion({ votes: history, connections });
+
+            if (flags.length > 0) {
+                await this.centralLibraryDB.recordCollusionFlags(flags, consensus.consensus_id);
+
+                log.warn('Collusion flags raised', {
+                    consensusId: consensus.consensus_id,
+                    flags: flags.map(f => ({ type: f.type, severity: f.severity, players: f.playerIds }))
+                });
+            }
+
+            return suspicion;
+
+        } catch (error) {
+            log.error('Collusion assessment failed', {
+                consensusId: consensus.consensus_id,
+                error: error.message
+            });
+            return {};
+        }
+    }
+
     /**
      * Handle validation timeout
      * @param {string} consensusId
@@ -496,7 +660,8 @@ export class ValidationOrchestrator {
                         null
                     );
 
-                    await this.updateTrustScores(consensus, isValid, votes);
+                    const proofStatuses = await this.verifyComputationProofs(consensus, votes);
+                    await this.updateTrustScores(consensus, isValid, votes, proofStatuses);
 
                     log.info('Validation resolved on timeout (majority vote)', {
                         consensusId,
@@ -2,12 +2,17 @@
  * POLYMIR CHAT HANDLER
  * ====================
  * WebSocket message handlers for server chat
- * Supports global, local (proximity), and whisper channels
+ * Supports global, local (proximity) and whisper chat plus faction, party
+ * and room channels (see utils/chatChannels.js), moderated through
+ * utils/chatModeration.js. History is served from the database
+ * (utils/chatHistory.js) when available, else from the chat log.
  */
 
 import logger from '../../utils/logger.js';
 import { chatLogger } from '../../utils/chatLogger.js';
 import { chatFilter } from '../../utils/chatFilter.js';
+import { ChatChannelManager, CHANNEL_TYPE } from '../../utils/chatChannels.js';
+import { ChatModeration, REPORT_STATUS } from '../../utils/chatModeration.js';
 
 const log = logger.child('Chat');
 
@@ -20,7 +25,7 @@ const CHAT_CONFIG = {
     rateLimitMessages: 10,      // Max messages per window
     rateLimitWindow: 10000,     // 10 seconds
     localRadius: 100,           // Units for local chat
-    historyLimit: 50            // Messages to send on join
+    historyLimit: 50            // Messages per chat_history page
 };
 
 // Rate limiting tracker
@@ -73,6 +78,16 @@ function sanitizeContent(content) {
         .replace(/[\x00-\x1F\x7F]/g, ''); // Remove control characters
 }
 
+/**
+ * Whether a client may moderate a channel: server moderators anywhere, room
+ * owners and moderators in their room
+ * @returns {boolean}
+ */
+function canModerateChannel(client, channel, channels) {
+    return client.isModerator === true ||
+        (channel.type === CHANNEL_TYPE.ROOM && channels.isRoomModerator(channel, client.playerId));
+}
+
 // =============================================
 // MESSAGE HANDLERS
 // =============================================
@@ -82,8 +97,12 @@ function sanitizeContent(content) {
  * @param {string} connectionId
  * @param {Object} message
  * @param {PolymirWebSocketServer} server
+ * @param {InterestManager} interestManager - Optional, routes local chat by proximity
+ * @param {ChatChannelManager} channels
+ * @param {ChatModeration} moderation
+ * @param {ChatHistory|null} chatHistory - Optional, stores delivered messages
  */
-async function handleChatMessage(connectionId, message, server) {
+async function handleChatMessage(connectionId, message, server, interestManager, channels, moderation, chatHistory) {
     const client = server.getClient(connectionId);
 
     if (!client || !client.isAuthenticated) {
@@ -94,7 +113,7 @@ async function handleChatMessage(connectionId, message, server) {
         return;
     }
 
-    const { content, channel = 'global', target } = message;
+    const { content, target } = message;
     let sanitized = sanitizeContent(content);
 
     if (!sanitized) {
@@ -105,8 +124,37 @@ async function handleChatMessage(connectionId, message, server) {
         return;
     }
 
-    // Apply chat filter
-    const filterResult = chatFilter.filter(sanitized);
+    const channel = channels.resolve(message.channel || CHANNEL_TYPE.GLOBAL, client.playerId);
+
+    if (!channel) {
+        server.sendToClient(connectionId, {
+            type: 'error',
+            error: 'Unknown channel'
+        });
+        return;
+    }
+
+    if (channel.type !== CHANNEL_TYPE.WHISPER && !channels.isMember(channel, client.playerId)) {
+        server.sendToClient(connectionId, {
+            type: 'error',
+            error: 'Not a member of this channel'
+        });
+        return;
+    }
+
+    const restriction = moderation.getRestriction(channel.id, client.playerId);
+    if (restriction) {
+        server.sendToClient(connectionId, {
+            type: 'chat_blocked',
+            reason: restriction.reason === 'muted' ? 'You are muted' : 'You are banned from this channel',
+            until: restriction.until,
+            note: restriction.message
+        });
+        return;
+    }
+
+    // Apply chat filter with the channel's own settings
+    const filterResult = chatFilter.filter(sanitized, channel.filter);
 
     // If hidden mode, don't send the message at all
     if (filterResult.hidden) {
@@ -140,48 +188,81 @@ async function handleChatMessage(connectionId, message, server) {
         return;
     }
 
+    // Channel moderators are exempt from slow mode
+    const retryAfter = canModerateChannel(client, channel, channels)
+        ? 0
+        : moderation.checkSlowMode(channel.id, client.playerId);
+
+    if (retryAfter > 0) {
+        server.sendToClient(connectionId, {
+            type: 'chat_blocked',
+            reason: 'Slow mode is on',
+            retryAfter
+        });
+        return;
+    }
+
     const chatMessage = {
         type: 'chat',
         messageId: `${Date.now()}-${client.playerId}`,
         playerId: client.playerId,
         username: client.username || 'Unknown',
         content: sanitized,
-        channel,
+        channel: channel.id,
         timestamp: Date.now(),
         // Include spoiler flag if in reveal mode
         spoiler: filterResult.spoiler || false
     };
 
-    // Log to file
+    // Log to file; the message id and whisper target let reports find it again
     chatLogger.logChat(
         client.playerId,
         client.username,
         sanitized,
-        channel,
-        { connectionId }
+        channel.id,
+        {
+            connectionId,
+            messageId: chatMessage.messageId,
+            ...(channel.type === CHANNEL_TYPE.WHISPER && { target })
+        }
     );
 
     // Route based on channel
-    switch (channel) {
-        case 'global':
+    let whisperTarget = null;
+
+    switch (channel.type) {
+        case CHANNEL_TYPE.GLOBAL:
             handleGlobalChat(chatMessage, server, connectionId);
             break;
 
-        case 'local':
-            handleLocalChat(chatMessage, server, connectionId, client);
+        case CHANNEL_TYPE.LOCAL:
+            handleLocalChat(chatMessage, server, connectionId, client, interestManager);
             break;
 
-        case 'whisper':
-            handleWhisper(chatMessage, server, connectionId, target);
+        case CHANNEL_TYPE.WHISPER:
+            whisperTarget = handleWhisper(chatMessage, server, connectionId, target);
+            if (!whisperTarget) return;
             break;
 
         default:
-            handleGlobalChat(chatMessage, server, connectionId);
+            handleChannelChat(chatMessage, server, connectionId, channel, channels);
     }
 
+    chatHistory?.record({
+        messageId: chatMessage.messageId,
+        channelId: channel.id,
+        channelType: channel.type,
+        playerId: client.playerId,
+        username: chatMessage.username,
+        targetPlayerId: whisperTarget?.playerId,
+        content: sanitized,
+        spoiler: chatMessage.spoiler,
+        timestamp: chatMessage.timestamp
+    });
+
     log.debug('Chat message', {
         playerId: client.playerId,
-        channel,
+        channel: channel.id,
         length: sanitized.length
     });
 }
@@ -201,10 +282,50 @@ function handleGlobalChat(chatMessage, server, senderConnectionId) {
     });
 }
 
+/**
+ * Broadcast to online members of a faction, party or room
+ */
+function handleChannelChat(chatMessage, server, senderConnectionId, channel, channels) {
+    const sentCount = server.broadcast(chatMessage, (client) => {
+        return client.connectionId !== senderConnectionId && channels.isMember(channel, client.playerId);
+    });
+
+    // Send confirmation to sender
+    server.sendToClient(senderConnectionId, {
+        ...chatMessage,
+        self: true,
+        reachedCount: sentCount
+    });
+}
+
 /**
  * Broadcast to nearby players only
+ * Uses the interest manager's view of player positions when available.
+ */
+function handleLocalChat(chatMessage, server, senderConnectionId, senderClient, interestManager = null) {
+    let sentCount = interestManager
+        ? interestManager.broadcastNearPlayer(senderClient.playerId, CHAT_CONFIG.localRadius, chatMessage, {
+            excludeConnectionId: senderConnectionId
+        })
+        : null;
+
+    if (sentCount === null) {
+        sentCount = broadcastLocalByClientPosition(chatMessage, server, senderConnectionId, senderClient);
+    }
+
+    // Send confirmation to sender
+    server.sendToClient(senderConnectionId, {
+        ...chatMessage,
+        self: true,
+        reachedCount: sentCount
+    });
+}
+
+/**
+ * Local chat fallback: distance between connections' last known positions
+ * @returns {number} Players reached
  */
-function handleLocalChat(chatMessage, server, senderConnectionId, senderClient) {
+function broadcastLocalByClientPosition(chatMessage, server, senderConnectionId, senderClient) {
     const senderPos = senderClient.position || { x: 0, y: 0, z: 0 };
 
     let sentCount = 0;
@@ -225,16 +346,12 @@ function handleLocalChat(chatMessage, server, senderConnectionId, senderClient)
         }
     }
 
-    // Send confirmation to sender
-    server.sendToClient(senderConnectionId, {
-        ...chatMessage,
-        self: true,
-        reachedCount: sentCount
-    });
+    return sentCount;
 }
 
 /**
  * Send private message to specific player
+ * @returns {Object|null} Recipient's client info, null if not delivered
  */
 function handleWhisper(chatMessage, server, senderConnectionId, targetUsername) {
     if (!targetUsername) {
@@ -242,7 +359,7 @@ function handleWhisper(chatMessage, server, senderConnectionId, targetUsername)
             type: 'error',
             error: 'Whisper requires target username'
         });
-        return;
+        return null;
     }
 
     // Find target by username
@@ -262,7 +379,7 @@ function handleWhisper(chatMessage, server, senderConnectionId, targetUsername)
             type: 'error',
             error: `Player "${targetUsername}" not found or offline`
         });
-        return;
+        return null;
     }
 
     // Send to target
@@ -278,12 +395,17 @@ function handleWhisper(chatMessage, server, senderConnectionId, targetUsername)
         self: true,
         whisperTo: targetUsername
     });
+
+    return targetClient;
 }
 
 /**
- * Handle request for chat history
+ * Handle request for chat history of one channel (global by default)
+ * With a ChatHistory store, pages go back as far as retention allows: pass
+ * `nextCursor` back as `cursor`, optionally filtered by sender `playerId`,
+ * `since`/`until` and `text`. Whisper history is the player's own whispers.
  */
-async function handleChatHistory(connectionId, message, server) {
+async function handleChatHistory(connectionId, message, server, channels, chatHistory) {
     const client = server.getClient(connectionId);
 
     if (!client || !client.isAuthenticated) {
@@ -294,18 +416,575 @@ async function handleChatHistory(connectionId, message, server) {
         return;
     }
 
-    const limit = Math.min(message.limit || 50, CHAT_CONFIG.historyLimit);
-    const history = await chatLogger.getRecent(limit);
+    const channel = channels.resolve(message.channel || CHANNEL_TYPE.GLOBAL, client.playerId);
+    const isWhisper = channel?.type === CHANNEL_TYPE.WHISPER;
 
-    // Filter to only global messages for history
-    const globalHistory = history.filter(m => m.channel === 'global' || !m.channel);
+    // Proximity chat has no shared history; whispers only from the database
+    if (!channel || channel.type === CHANNEL_TYPE.LOCAL || (isWhisper && !chatHistory) ||
+        (!isWhisper && !channels.isMember(channel, client.playerId))) {
+        server.sendToClient(connectionId, {
+            type: 'error',
+            error: 'No history available for this channel'
+        });
+        return;
+    }
+
+    if (!chatHistory) {
+        const limit = Math.min(message.limit || 50, CHAT_CONFIG.historyLimit);
+        const history = await chatLogger.getRecent(limit, { channel: channel.id });
+
+        server.sendToClient(connectionId, {
+            type: 'chat_history',
+            channel: channel.id,
+            messages: history,
+            hasMore: false,
+            nextCursor: null
+        });
+        return;
+    }
+
+    const page = await queryHistory(connectionId, server, chatHistory, {
+        ...message,
+        channelId: channel.id,
+        participantId: isWhisper ? client.playerId : undefined
+    });
+    if (!page) return;
 
     server.sendToClient(connectionId, {
         type: 'chat_history',
-        messages: globalHistory
+        channel: channel.id,
+        ...page
+    });
+}
+
+/**
+ * Run a history query, reporting invalid options and failures to the client
+ * @returns {Promise<Object|null>} Page, null if an error was sent
+ */
+async function queryHistory(connectionId, server, chatHistory, options) {
+    let filters;
+    try {
+        filters = chatHistory.buildFilters({
+            channelId: options.channelId,
+            playerId: options.playerId,
+            participantId: options.participantId,
+            since: options.since,
+            until: options.until,
+            text: options.text,
+            cursor: options.cursor,
+            limit: options.limit
+        });
+    } catch (error) {
+        server.sendToClient(connectionId, {
+            type: 'error',
+            error: error.message
+        });
+        return null;
+    }
+
+    try {
+        return await chatHistory.query(filters);
+    } catch (error) {
+        log.error('Chat history query failed', { error: error.message });
+        server.sendToClient(connectionId, {
+            type: 'error',
+            error: 'Failed to load chat history'
+        });
+        return null;
+    }
+}
+
+/**
+ * Moderators: search history across every channel
+ */
+async function handleChatHistorySearch(connectionId, message, server, chatHistory) {
+    const client = server.getClient(connectionId);
+
+    if (!client || !client.isAuthenticated || client.isModerator !== true) {
+        server.sendToClient(connectionId, {
+            type: 'error',
+            error: 'Moderators only'
+        });
+        return;
+    }
+
+    const page = await queryHistory(connectionId, server, chatHistory, {
+        ...message,
+        channelId: message.channel
+    });
+    if (!page) return;
+
+    server.sendToClient(connectionId, {
+        type: 'chat_history_search',
+        ...page
+    });
+}
+
+/**
+ * Moderators: list retention policies, or set (`days`, null for forever) or
+ * remove (`remove: true`) the policy of a channel id or channel type
+ */
+async function handleChatRetention(connectionId, message, server, chatHistory) {
+    const client = server.getClient(connectionId);
+
+    if (!client || !client.isAuthenticated || client.isModerator !== true) {
+        server.sendToClient(connectionId, {
+            type: 'error',
+            error: 'Moderators only'
+        });
+        return;
+    }
+
+    try {
+        if (message.scope) {
+            await chatHistory.setRetentionPolicy(message.scope, message.remove ? undefined : (message.days ?? null));
+            log.info('Chat retention changed', {
+                scope: message.scope,
+                days: message.remove ? 'default' : (message.days ?? 'forever'),
+                by: client.username
+            });
+        }
+
+        server.sendToClient(connectionId, {
+            type: 'chat_history_retention',
+            policies: await chatHistory.getRetentionPolicies()
+        });
+    } catch (error) {
+        server.sendToClient(connectionId, {
+            type: 'error',
+            error: error.message
+        });
+    }
+}
+
+// =============================================
+// CHANNEL MANAGEMENT HANDLERS
+// =============================================
+
+/**
+ * Find an online client by username
+ * @returns {Object|null} Client info
+ */
+function findClientByUsername(server, username) {
+    for (const client of server.clients.values()) {
+        if (client.isAuthenticated && client.username === username) {
+            return client;
+        }
+    }
+    return null;
+}
+
+/**
+ * Send a channel's new state to its online members
+ */
+function notifyChannelUpdate(server, channels, channel) {
+    const update = {
+        type: 'chat_channel_update',
+        channel: channels.summarize(channel)
+    };
+
+    server.broadcast(update, (client) => channels.isMember(channel, client.playerId));
+}
+
+/**
+ * Tell a player they are no longer in a channel
+ */
+function notifyChannelRemoved(server, playerId, channel, reason) {
+    server.sendToPlayer(playerId, {
+        type: 'chat_channel_removed',
+        channelId: channel.id,
+        reason
     });
 }
 
+/**
+ * Wrap a channel or moderation action: require authentication and report
+ * refusals to the sender as errors
+ * @param {ChatChannelManager} channels
+ * @param {ChatModeration} moderation
+ * @param {Function} action - (client, message, server, channels, moderation)
+ * @returns {Function} Handler function
+ */
+function createChannelHandler(channels, moderation, action) {
+    return async function handleChannelAction(connectionId, message, server) {
+        const client = server.getClient(connectionId);
+
+        if (!client || !client.isAuthenticated) {
+            server.sendToClient(connectionId, {
+                type: 'error',
+                error: 'Must be authenticated'
+            });
+            return;
+        }
+
+        try {
+            await action(client, message, server, channels, moderation);
+        } catch (error) {
+            server.sendToClient(connectionId, {
+                type: 'error',
+                error: error.message
+            });
+        }
+    };
+}
+
+const CHANNEL_ACTIONS = {
+    chat_channels(client, message, server, channels) {
+        server.sendToClient(client.connectionId, {
+            type: 'chat_channels',
+            channels: channels.getChannelsForPlayer(client.playerId)
+        });
+    },
+
+    async chat_faction_join(client, message, server, channels) {
+        const { channel, previous } = await channels.joinFaction(client.playerId, message.factionId);
+
+        if (previous) {
+            notifyChannelRemoved(server, client.playerId, previous, 'left');
+        }
+        notifyChannelUpdate(server, channels, channel);
+    },
+
+    async chat_faction_leave(client, message, server, channels) {
+        const channel = await channels.leaveFaction(client.playerId);
+        notifyChannelRemoved(server, client.playerId, channel, 'left');
+    },
+
+    chat_party_invite(client, message, server, channels) {
+        const target = findClientByUsername(server, message.target);
+        if (!target) {
+            throw new Error(`Player "${message.target}" not found or offline`);
+        }
+
+        const party = channels.inviteToParty(client.playerId, client.username, target.playerId);
+
+        server.sendToClient(target.connectionId, {
+            type: 'chat_party_invite',
+            partyId: party.partyId,
+            from: client.username
+        });
+        notifyChannelUpdate(server, channels, party);
+    },
+
+    chat_party_accept(client, message, server, channels, moderation) {
+        if (moderation.getBan(`${CHANNEL_TYPE.PARTY}:${message.partyId}`, client.playerId)) {
+            throw new Error('You are banned from this party');
+        }
+
+        const previous = channels.resolve(CHANNEL_TYPE.PARTY, client.playerId);
+        const party = channels.joinParty(message.partyId, client.playerId, client.username);
+
+        if (previous && previous !== party && channels.parties.has(previous.partyId)) {
+            notifyChannelUpdate(server, channels, previous);
+        }
+        notifyChannelUpdate(server, channels, party);
+    },
+
+    chat_party_kick(client, message, server, channels) {
+        const party = channels.resolve(CHANNEL_TYPE.PARTY, client.playerId);
+        if (!party) {
+            throw new Error('Not in a party');
+        }
+
+        const targetId = channels.getMemberIdByName(party, message.target);
+        channels.kickFromParty(client.playerId, targetId);
+
+        notifyChannelRemoved(server, targetId, party, 'kicked');
+        notifyChannelUpdate(server, channels, party);
+    },
+
+    chat_party_leave(client, message, server, channels) {
+        const party = channels.resolve(CHANNEL_TYPE.PARTY, client.playerId);
+        const remaining = channels.leaveParty(client.playerId);
+
+        notifyChannelRemoved(server, client.playerId, party, 'left');
+        if (remaining) {
+            notifyChannelUpdate(server, channels, remaining);
+        }
+    },
+
+    chat_room_create(client, message, server, channels) {
+        const room = channels.createRoom(client.playerId, client.username, message.name, message.topic);
+        notifyChannelUpdate(server, channels, room);
+    },
+
+    chat_room_join(client, message, server, channels, moderation) {
+        const room = channels.getRoom(message.name);
+
+        if (moderation.getBan(room.id, client.playerId)) {
+            throw new Error('You are banned from this room');
+        }
+
+        channels.joinRoom(room.name, client.playerId, client.username);
+        notifyChannelUpdate(server, channels, room);
+    },
+
+    chat_room_leave(client, message, server, channels) {
+        const room = channels.leaveRoom(message.name, client.playerId);
+
+        notifyChannelRemoved(server, client.playerId, room, 'left');
+        notifyChannelUpdate(server, channels, room);
+    },
+
+    chat_room_moderator(client, message, server, channels) {
+        const room = channels.getRoom(message.name);
+        const targetId = channels.getMemberIdByName(room, message.target);
+
+        channels.setRoomModerator(room.name, client.playerId, targetId, message.grant !== false);
+        notifyChannelUpdate(server, channels, room);
+    },
+
+    chat_room_kick(client, message, server, channels) {
+        const room = channels.getRoom(message.name);
+        const targetId = channels.getMemberIdByName(room, message.target);
+
+        channels.kickFromRoom(room.name, client.playerId, targetId);
+
+        notifyChannelRemoved(server, targetId, room, 'kicked');
+        notifyChannelUpdate(server, channels, room);
+    },
+
+    chat_room_delete(client, message, server, channels) {
+        const room = channels.deleteRoom(message.name, client.playerId);
+
+        for (const playerId of room.members.keys()) {
+            notifyChannelRemoved(server, playerId, room, 'deleted');
+        }
+    },
+
+    chat_channel_filter(client, message, server, channels) {
+        const channel = channels.setFilterSettings(message.channel, client.playerId, {
+            enabled: message.enabled,
+            mode: message.mode
+        });
+        notifyChannelUpdate(server, channels, channel);
+    }
+};
+
+// =============================================
+// MODERATION HANDLERS
+// =============================================
+
+/**
+ * @throws {Error} Unless the client is a server moderator
+ */
+function requireModerator(client) {
+    if (client.isModerator !== true) {
+        throw new Error('Moderators only');
+    }
+}
+
+/**
+ * Resolve the channel a moderation action targets and check the client may
+ * moderate it
+ * @returns {Object} Channel
+ */
+function resolveModeratedChannel(client, channelId, channels) {
+    const channel = channels.resolve(channelId || CHANNEL_TYPE.GLOBAL, client.playerId);
+
+    if (!channel) {
+        throw new Error('Unknown channel');
+    }
+    if (!canModerateChannel(client, channel, channels)) {
+        throw new Error('Not allowed to moderate this channel');
+    }
+
+    return channel;
+}
+
+/**
+ * Target of a moderation action: by player id (may be offline) or by the
+ * username of an online player
+ * @returns {Object} {playerId, username}
+ */
+function findModerationTarget(server, message) {
+    if (message.targetId) {
+        const online = server.getClient(server.playerConnections.get(message.targetId));
+        return { playerId: message.targetId, username: online?.username || message.target || null };
+    }
+
+    const client = findClientByUsername(server, message.target);
+    if (!client) {
+        throw new Error(`Player "${message.target}" not found or offline`);
+    }
+    return { playerId: client.playerId, username: client.username };
+}
+
+/**
+ * Send a message to every online server moderator
+ */
+function notifyModerators(server, message) {
+    server.broadcast(message, (client) => client.isModerator === true);
+}
+
+function sendModerationResult(server, client, action, details) {
+    server.sendToClient(client.connectionId, {
+        type: 'chat_mod_result',
+        action,
+        ...details
+    });
+}
+
+/**
+ * Optional duration in seconds from a message, as milliseconds
+ * @returns {number|undefined|null}
+ */
+function durationFromMessage(message, permanentWhenMissing = false) {
+    if (message.duration === undefined || message.duration === null) {
+        return permanentWhenMissing ? null : undefined;
+    }
+    return Number(message.duration) * 1000;
+}
+
+const MODERATION_ACTIONS = {
+    chat_mod_mute(client, message, server, channels, moderation) {
+        requireModerator(client);
+
+        const target = findModerationTarget(server, message);
+        const mute = moderation.mute(client, target, durationFromMessage(message), message.reason);
+
+        server.sendToPlayer(target.playerId, {
+            type: 'chat_muted',
+            until: mute.until,
+            reason: mute.reason
+        });
+        sendModerationResult(server, client, 'mute', { mute });
+    },
+
+    chat_mod_unmute(client, message, server, channels, moderation) {
+        requireModerator(client);
+
+        const target = findModerationTarget(server, message);
+        moderation.unmute(client, target);
+
+        server.sendToPlayer(target.playerId, { type: 'chat_unmuted' });
+        sendModerationResult(server, client, 'unmute', { target });
+    },
+
+    chat_mod_ban(client, message, server, channels, moderation) {
+        const channel = resolveModeratedChannel(client, message.channel, channels);
+        const target = findModerationTarget(server, message);
+
+        if (channel.type === CHANNEL_TYPE.ROOM) {
+            if (channel.ownerId === target.playerId) {
+                throw new Error('The room owner cannot be banned');
+            }
+            if (!client.isModerator && channels.isRoomModerator(channel, target.playerId) && channel.ownerId !== client.playerId) {
+                throw new Error('Only the owner can ban moderators');
+            }
+        }
+
+        const ban = moderation.ban(client, channel.id, target, durationFromMessage(message, true), message.reason);
+
+        server.sendToPlayer(target.playerId, {
+            type: 'chat_banned',
+            channelId: channel.id,
+            until: ban.until,
+            reason: ban.reason
+        });
+
+        if (channels.removeMember(channel, target.playerId)) {
+            notifyChannelRemoved(server, target.playerId, channel, 'banned');
+            if (channels.resolve(channel.id)) {
+                notifyChannelUpdate(server, channels, channel);
+            }
+        }
+
+        sendModerationResult(server, client, 'ban', { ban });
+    },
+
+    chat_mod_unban(client, message, server, channels, moderation) {
+        const channel = resolveModeratedChannel(client, message.channel, channels);
+        const target = findModerationTarget(server, message);
+
+        moderation.unban(client, channel.id, target);
+
+        server.sendToPlayer(target.playerId, {
+            type: 'chat_unbanned',
+            channelId: channel.id
+        });
+        sendModerationResult(server, client, 'unban', { channelId: channel.id, target });
+    },
+
+    chat_mod_slowmode(client, message, server, channels, moderation) {
+        const channel = resolveModeratedChannel(client, message.channel, channels);
+        const seconds = moderation.setSlowMode(client, channel.id, message.seconds);
+
+        server.broadcast({
+            type: 'chat_slow_mode',
+            channelId: channel.id,
+            seconds
+        }, (member) => channels.isMember(channel, member.playerId));
+
+        sendModerationResult(server, client, 'slow_mode', { channelId: channel.id, seconds });
+    },
+
+    async chat_report(client, message, server, channels, moderation) {
+        const channel = channels.resolve(message.channel || CHANNEL_TYPE.GLOBAL, client.playerId);
+
+        if (!channel) {
+            throw new Error('Unknown channel');
+        }
+        if (channel.type !== CHANNEL_TYPE.WHISPER && !channels.isMember(channel, client.playerId)) {
+            throw new Error('Not a member of this channel');
+        }
+
+        const report = await moderation.report(client, channel.id, message.messageId, message.reason);
+
+        server.sendToClient(client.connectionId, {
+            type: 'chat_report_received',
+            reportId: report.reportId
+        });
+        notifyModerators(server, {
+            type: 'chat_mod_report',
+            report
+        });
+    },
+
+    chat_mod_reports(client, message, server, channels, moderation) {
+        requireModerator(client);
+
+        const status = message.status === 'all' ? null : (message.status || REPORT_STATUS.OPEN);
+
+        server.sendToClient(client.connectionId, {
+            type: 'chat_mod_reports',
+            status: status || 'all',
+            reports: moderation.getReports(status)
+        });
+    },
+
+    chat_mod_resolve_report(client, message, server, channels, moderation) {
+        requireModerator(client);
+
+        const report = moderation.resolveReport(client, message.reportId, message.resolution);
+        sendModerationResult(server, client, 'resolve_report', { report });
+    },
+
+    chat_mod_audit(client, message, server, channels, moderation) {
+        requireModerator(client);
+
+        const limit = Math.min(message.limit || 100, 500);
+
+        server.sendToClient(client.connectionId, {
+            type: 'chat_mod_audit',
+            entries: moderation.getAudit(limit, {
+                targetId: message.targetId,
+                moderatorId: message.moderatorId
+            })
+        });
+    },
+
+    chat_mod_state(client, message, server, channels, moderation) {
+        requireModerator(client);
+
+        server.sendToClient(client.connectionId, {
+            type: 'chat_mod_state',
+            ...moderation.getState(),
+            stats: moderation.getStats()
+        });
+    }
+};
+
 // =============================================
 // FILTER MANAGEMENT HANDLERS
 // =============================================
@@ -569,11 +1248,44 @@ async function handleSetFilterMode(connectionId, message, server) {
 /**
  * Register all chat handlers with WebSocket server
  * @param {PolymirWebSocketServer} server
+ * @param {InterestManager} interestManager - Optional, routes local chat by proximity
+ * @param {ChatChannelManager} channels - Faction, party and room channels
+ * @param {ChatModeration} moderation - Mutes, bans, slow mode and reports
+ * @param {ChatHistory} chatHistory - Optional database history; without it history comes from the chat log
  */
-export function registerChatHandlers(server) {
+export function registerChatHandlers(
+    server,
+    interestManager = null,
+    channels = new ChatChannelManager({ roomsPath: null }),
+    moderation = new ChatModeration({ storePath: null }),
+    chatHistory = null
+) {
     // Chat messaging
-    server.registerHandler('chat', handleChatMessage);
-    server.registerHandler('chat_history', handleChatHistory);
+    server.registerHandler('chat', (connectionId, message, wsServer) =>
+        handleChatMessage(connectionId, message, wsServer, interestManager, channels, moderation, chatHistory)
+    );
+    server.registerHandler('chat_history', (connectionId, message, wsServer) =>
+        handleChatHistory(connectionId, message, wsServer, channels, chatHistory)
+    );
+
+    if (chatHistory) {
+        server.registerHandler('chat_history_search', (connectionId, message, wsServer) =>
+            handleChatHistorySearch(connectionId, message, wsServer, chatHistory)
+        );
+        server.registerHandler('chat_history_retention', (connectionId, message, wsServer) =>
+            handleChatRetention(connectionId, message, wsServer, chatHistory)
+        );
+    }
+
+    // Channels
+    for (const [type, action] of Object.entries(CHANNEL_ACTIONS)) {
+        server.registerHandler(type, createChannelHandler(channels, moderation, action));
+    }
+
+    // Moderation
+    for (const [type, action] of Object.entries(MODERATION_ACTIONS)) {
+        server.registerHandler(type, createChannelHandler(channels, moderation, action));
+    }
 
     // Filter management
     server.registerHandler('filter_get_config', handleGetFilterConfig);
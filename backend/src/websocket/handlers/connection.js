@@ -2,9 +2,12 @@
  * POLYMIR WEBSOCKET CONNECTION HANDLER
  * =====================================
  * Handles player authentication and connection management
+ * Players authenticate with the same access token the REST API accepts
  */
 
 import logger from '../../utils/logger.js';
+import { verifySessionToken, isTokenError } from '../../api/middleware/auth.js';
+import { hashConnectionAddress } from '../../validation/collusion.js';
 
 const log = logger.child('WS:Connection');
 
@@ -16,9 +19,10 @@ const log = logger.child('WS:Connection');
  * Create connection handler with database dependency injection
  * @param {Object} centralLibraryDB - Central Library database adapter
  * @param {Object} worldServerDB - World Server database adapter
+ * @param {Object} playerStateManager - Optional real-time state manager (movement baseline)
  * @returns {Function} Handler function
  */
-export function createConnectionHandler(centralLibraryDB, worldServerDB) {
+export function createConnectionHandler(centralLibraryDB, worldServerDB, playerStateManager = null) {
     /**
      * Handle 'authenticate' message
      * @param {string} connectionId
@@ -26,28 +30,20 @@ export function createConnectionHandler(centralLibraryDB, worldServerDB) {
      * @param {Object} wsServer - WebSocket server instance
      */
     return async function handleAuthenticate(connectionId, message, wsServer) {
-        const { playerId } = message;
+        const { token, protocolVersions } = message;
 
-        if (!playerId) {
+        if (!token) {
             wsServer.sendToClient(connectionId, {
                 type: 'auth_error',
-                error: 'Missing playerId'
+                error: 'Missing token'
             });
             return;
         }
 
         try {
-            // Verify player exists in Central Library
-            const player = await centralLibraryDB.getPlayerById(playerId);
-
-            if (!player) {
-                wsServer.sendToClient(connectionId, {
-                    type: 'auth_error',
-                    error: 'Invalid playerId',
-                    message: 'Player not found'
-                });
-                return;
-            }
+            // The player is whoever the token was issued to, never a client-supplied id
+            const { player, sessionId } = await verifySessionToken(centralLibraryDB, token);
+            const playerId = player.player_id;
 
             // Get client info
             const clientInfo = wsServer.getClient(connectionId);
@@ -81,12 +77,25 @@ export function createConnectionHandler(centralLibraryDB, worldServerDB) {
 
             // Update client info
             clientInfo.playerId = playerId;
+            clientInfo.sessionId = sessionId;
             clientInfo.username = player.username;
+            clientInfo.isModerator = player.is_moderator === true;
             clientInfo.isAuthenticated = true;
 
             // Register player connection
             wsServer.playerConnections.set(playerId, connectionId);
 
+            // Fingerprint the connection for validator collusion analysis
+            const addressHash = hashConnectionAddress(clientInfo.ip);
+            if (addressHash) {
+                centralLibraryDB.recordPlayerConnection(playerId, addressHash).catch(error => {
+                    log.warn('Failed to record connection address', {
+                        playerId,
+                        error: error.message
+                    });
+                });
+            }
+
             // Get or create player position in world
             let playerPosition = await worldServerDB.getPlayerPosition(playerId);
 
@@ -117,6 +126,15 @@ export function createConnectionHandler(centralLibraryDB, worldServerDB) {
                 });
             }
 
+            // Movement is validated from the stored position, not the first one the client reports
+            if (playerStateManager && playerPosition) {
+                playerStateManager.setMovementBaseline(playerId, {
+                    x: playerPosition.position_x,
+                    y: playerPosition.position_y,
+                    z: playerPosition.position_z
+                });
+            }
+
             log.info('Player authenticated', {
                 connectionId,
                 playerId,
@@ -124,6 +142,10 @@ export function createConnectionHandler(centralLibraryDB, worldServerDB) {
                 trustScore: player.trust_score
             });
 
+            // Switch to binary if the client supports it; the reply itself is JSON
+            // and every frame after it may be binary
+            const protocol = wsServer.negotiateProtocol(connectionId, protocolVersions);
+
             // Send authentication success
             wsServer.sendToClient(connectionId, {
                 type: 'authenticated',
@@ -133,10 +155,19 @@ export function createConnectionHandler(centralLibraryDB, worldServerDB) {
                     trustScore: player.trust_score
                 },
                 position: playerPosition,
+                protocol,
                 serverTime: Date.now()
             });
 
         } catch (error) {
+            if (isTokenError(error)) {
+                wsServer.sendToClient(connectionId, {
+                    type: 'auth_error',
+                    error: error.message
+                });
+                return;
+            }
+
             log.error('Authentication failed', {
                 connectionId,
                 error: error.message
@@ -239,7 +270,7 @@ export function createPingHandler() {
  * @param {Object} playerStateManager - Optional real-time state manager
  */
 export function registerConnectionHandlers(wsServer, centralLibraryDB, worldServerDB, playerStateManager = null) {
-    wsServer.registerHandler('authenticate', createConnectionHandler(centralLibraryDB, worldServerDB));
+    wsServer.registerHandler('authenticate', createConnectionHandler(centralLibraryDB, worldServerDB, playerStateManager));
     wsServer.registerHandler('disconnect', createDisconnectHandler(worldServerDB, playerStateManager));
     wsServer.registerHandler('ping', createPingHandler());
 
@@ -6,9 +6,38 @@
  */
 
 import logger from '../../utils/logger.js';
+import { INTEREST_CONFIG } from '../../realtime/interestManager.js';
 
 const log = logger.child('WS:Damage');
 
+// =============================================
+// HELPERS
+// =============================================
+
+/**
+ * Send a damage event to players near the builder
+ * Falls back to everyone subscribed to the body when there is no interest
+ * manager or the builder hasn't reported a position yet.
+ * @param {Object} wsServer
+ * @param {Object} interestManager
+ * @param {string} playerId - Builder
+ * @param {string} bodyId
+ * @param {Object} message
+ * @param {string} excludeConnectionId
+ */
+function broadcastDamage(wsServer, interestManager, playerId, bodyId, message, excludeConnectionId) {
+    const sent = interestManager
+        ? interestManager.broadcastNearPlayer(playerId, INTEREST_CONFIG.DAMAGE_RADIUS, message, {
+            excludeConnectionId,
+            bodyId
+        })
+        : null;
+
+    if (sent === null) {
+        wsServer.broadcastToBody(bodyId, message, excludeConnectionId);
+    }
+}
+
 // =============================================
 // DAMAGE MAP UPDATE HANDLER
 // =============================================
@@ -16,9 +45,10 @@ const log = logger.child('WS:Damage');
 /**
  * Create damage map update handler (single voxel change)
  * @param {Object} worldServerDB - World Server database adapter
+ * @param {Object} interestManager - Optional area-of-interest router
  * @returns {Function} Handler function
  */
-export function createDamageUpdateHandler(worldServerDB) {
+export function createDamageUpdateHandler(worldServerDB, interestManager = null) {
     return async function handleDamageUpdate(connectionId, message, wsServer) {
         const clientInfo = wsServer.getClient(connectionId);
 
@@ -96,7 +126,7 @@ export function createDamageUpdateHandler(worldServerDB) {
                 serverTimestamp: Date.now()
             });
 
-            // Broadcast to other players on same body
+            // Broadcast to other players nearby on the same body
             const broadcastMessage = {
                 type: 'damage_update',
                 playerId,
@@ -111,7 +141,7 @@ export function createDamageUpdateHandler(worldServerDB) {
                 timestamp: Date.now()
             };
 
-            wsServer.broadcastToBody(bodyId, broadcastMessage, connectionId);
+            broadcastDamage(wsServer, interestManager, playerId, bodyId, broadcastMessage, connectionId);
 
         } catch (error) {
             log.error('Damage update failed', {
@@ -136,9 +166,10 @@ export function createDamageUpdateHandler(worldServerDB) {
 /**
  * Create batch damage update handler (multiple voxels at once)
  * @param {Object} worldServerDB
+ * @param {Object} interestManager - Optional area-of-interest router
  * @returns {Function} Handler function
  */
-export function createBatchDamageHandler(worldServerDB) {
+export function createBatchDamageHandler(worldServerDB, interestManager = null) {
     return async function handleBatchDamage(connectionId, message, wsServer) {
         const clientInfo = wsServer.getClient(connectionId);
 
@@ -232,7 +263,7 @@ export function createBatchDamageHandler(worldServerDB) {
                 timestamp: Date.now()
             };
 
-            wsServer.broadcastToBody(bodyId, broadcastMessage, connectionId);
+            broadcastDamage(wsServer, interestManager, playerId, bodyId, broadcastMessage, connectionId);
 
         } catch (error) {
             log.error('Batch damage failed', {
@@ -416,9 +447,10 @@ export function createDamageRequestHandler(worldServerDB) {
 /**
  * Create undo handler
  * @param {Object} worldServerDB
+ * @param {Object} interestManager - Optional area-of-interest router
  * @returns {Function} Handler function
  */
-export function createUndoHandler(worldServerDB) {
+export function createUndoHandler(worldServerDB, interestManager = null) {
     return async function handleUndo(connectionId, message, wsServer) {
         const clientInfo = wsServer.getClient(connectionId);
 
@@ -454,7 +486,7 @@ export function createUndoHandler(worldServerDB) {
 
                 // Broadcast undo to other players
                 if (bodyId) {
-                    wsServer.broadcastToBody(bodyId, {
+                    broadcastDamage(wsServer, interestManager, playerId, bodyId, {
                         type: 'damage_undone',
                         playerId,
                         historyId,
@@ -496,13 +528,14 @@ export function createUndoHandler(worldServerDB) {
  * Register all damage map handlers
  * @param {Object} wsServer
  * @param {Object} worldServerDB
+ * @param {Object} interestManager - Optional area-of-interest router
  */
-export function registerDamageHandlers(wsServer, worldServerDB) {
-    wsServer.registerHandler('damage_update', createDamageUpdateHandler(worldServerDB));
-    wsServer.registerHandler('batch_damage', createBatchDamageHandler(worldServerDB));
+export function registerDamageHandlers(wsServer, worldServerDB, interestManager = null) {
+    wsServer.registerHandler('damage_update', createDamageUpdateHandler(worldServerDB, interestManager));
+    wsServer.registerHandler('batch_damage', createBatchDamageHandler(worldServerDB, interestManager));
     wsServer.registerHandler('set_build_mode', createBuildModeHandler(worldServerDB));
     wsServer.registerHandler('request_damage_map', createDamageRequestHandler(worldServerDB));
-    wsServer.registerHandler('undo_damage', createUndoHandler(worldServerDB));
+    wsServer.registerHandler('undo_damage', createUndoHandler(worldServerDB, interestManager));
 
     log.info('Damage map handlers registered');
 }
@@ -41,7 +41,6 @@ export function createPositionUpdateHandler(worldServerDB, playerStateManager =
         const {
             megachunkId,
             bodyId,
-            shipId,
             positionX,
             positionY,
             positionZ,
@@ -51,7 +50,8 @@ export function createPositionUpdateHandler(worldServerDB, playerStateManager =
             rotationX,
             rotationY,
             rotationZ,
-            rotationW
+            rotationW,
+            grounded
         } = message;
 
         // Validation
@@ -64,6 +64,8 @@ export function createPositionUpdateHandler(worldServerDB, playerStateManager =
             return;
         }
 
+        const position = { x: positionX, y: positionY, z: positionZ };
+
         try {
             // Use PlayerStateManager for optimized tick-based sync if available
             if (playerStateManager) {
@@ -78,12 +80,30 @@ export function createPositionUpdateHandler(worldServerDB, playerStateManager =
                     return;
                 }
 
+                // Anti-cheat: impossible moves are rubber-banded to the last accepted position
+                const move = playerStateManager.validateMovement(playerId, position, {
+                    grounded: typeof grounded === 'boolean' ? grounded : undefined,
+                    canFly: clientInfo.isModerator === true
+                });
+
+                if (!move.valid) {
+                    wsServer.sendToClient(connectionId, {
+                        type: 'position_correction',
+                        position: move.correction,
+                        violations: move.violations.map(v => v.type),
+                        sequence: message.sequence,
+                        timestamp: Date.now()
+                    });
+                    return;
+                }
+
                 // Update in-memory state (returns false if validation fails)
+                // Ship comes from the server's boarding record, never the client
                 const updated = playerStateManager.updatePlayer(playerId, {
                     megachunkId,
                     bodyId,
-                    shipId,
-                    position: { x: positionX, y: positionY, z: positionZ },
+                    shipId: playerStateManager.getPlayerShip(playerId),
+                    position,
                     velocity: { x: velocityX || 0, y: velocityY || 0, z: velocityZ || 0 },
                     rotation: { x: rotationX || 0, y: rotationY || 0, z: rotationZ || 0, w: rotationW || 1 }
                 });
@@ -277,10 +297,13 @@ export function createPositionRequestHandler(worldServerDB) {
 
 /**
  * Create player teleport handler
+ * Teleports are only honoured for admins, players standing at a registered
+ * portal, or destinations the server granted (respawn, scripted moves).
  * @param {Object} worldServerDB
+ * @param {Object} playerStateManager - Real-time state manager (holds teleport permissions)
  * @returns {Function} Handler function
  */
-export function createTeleportHandler(worldServerDB) {
+export function createTeleportHandler(worldServerDB, playerStateManager = null) {
     /**
      * Handle 'teleport' message
      * @param {string} connectionId
@@ -302,12 +325,14 @@ export function createTeleportHandler(worldServerDB) {
         const {
             megachunkId,
             bodyId,
+            portalId,
             positionX,
             positionY,
             positionZ
         } = message;
 
-        if (positionX === undefined || positionY === undefined || positionZ === undefined) {
+        const requested = { x: positionX, y: positionY, z: positionZ };
+        if (!portalId && (!Number.isFinite(positionX) || !Number.isFinite(positionY) || !Number.isFinite(positionZ))) {
             wsServer.sendToClient(connectionId, {
                 type: 'error',
                 error: 'Invalid teleport data'
@@ -315,14 +340,54 @@ export function createTeleportHandler(worldServerDB) {
             return;
         }
 
+        // Authorise - without a state manager only admins may teleport
+        let destination = requested;
+        if (playerStateManager) {
+            const auth = playerStateManager.authorizeTeleport(playerId, requested, {
+                portalId,
+                isAdmin: clientInfo.isModerator === true
+            });
+
+            if (!auth.allowed) {
+                wsServer.sendToClient(connectionId, {
+                    type: 'teleport_denied',
+                    error: auth.reason,
+                    position: auth.correction,
+                    timestamp: Date.now()
+                });
+                return;
+            }
+
+            destination = auth.destination;
+        } else if (clientInfo.isModerator !== true) {
+            wsServer.sendToClient(connectionId, {
+                type: 'teleport_denied',
+                error: 'Teleport not permitted',
+                timestamp: Date.now()
+            });
+            return;
+        }
+
+        const { x: destX, y: destY, z: destZ } = destination;
+
         try {
+            // Keep the real-time state in step so the next tick broadcasts the new position
+            if (playerStateManager && playerStateManager.addPlayer(playerId, connectionId, clientInfo.username)) {
+                playerStateManager.updatePlayer(playerId, {
+                    megachunkId,
+                    bodyId,
+                    position: destination,
+                    velocity: { x: 0, y: 0, z: 0 }
+                });
+            }
+
             // Update position (teleport)
             await worldServerDB.upsertPlayerPosition(playerId, {
                 megachunkId: megachunkId || null,
                 bodyId: bodyId || null,
-                positionX,
-                positionY,
-                positionZ,
+                positionX: destX,
+                positionY: destY,
+                positionZ: destZ,
                 velocityX: 0,
                 velocityY: 0,
                 velocityZ: 0,
@@ -338,13 +403,14 @@ export function createTeleportHandler(worldServerDB) {
                 playerId,
                 megachunkId,
                 bodyId,
-                position: [positionX, positionY, positionZ]
+                portalId,
+                position: [destX, destY, destZ]
             });
 
             // Send confirmation
             wsServer.sendToClient(connectionId, {
                 type: 'teleport_complete',
-                position: { x: positionX, y: positionY, z: positionZ },
+                position: { x: destX, y: destY, z: destZ },
                 megachunkId,
                 bodyId,
                 timestamp: Date.now()
@@ -354,7 +420,7 @@ export function createTeleportHandler(worldServerDB) {
             const broadcastMessage = {
                 type: 'player_teleported',
                 playerId,
-                position: { x: positionX, y: positionY, z: positionZ },
+                position: { x: destX, y: destY, z: destZ },
                 timestamp: Date.now()
             };
 
@@ -395,7 +461,7 @@ export function createTeleportHandler(worldServerDB) {
 export function registerPositionHandlers(wsServer, worldServerDB, playerStateManager = null) {
     wsServer.registerHandler('position_update', createPositionUpdateHandler(worldServerDB, playerStateManager));
     wsServer.registerHandler('request_positions', createPositionRequestHandler(worldServerDB));
-    wsServer.registerHandler('teleport', createTeleportHandler(worldServerDB));
+    wsServer.registerHandler('teleport', createTeleportHandler(worldServerDB, playerStateManager));
 
     log.info('Position handlers registered');
 }
@@ -3,23 +3,72 @@
  * WebSocket handlers for ship/vehicle operations
  *
  * Handles:
- * - Ship state synchronization
+ * - Ship control input (flight is simulated by ShipFlightSystem)
  * - Boarding/disembarking
  * - Pilot seat management
- * - Ship control input
  * - Ship creation from builds
  */
 
 import logger from '../../utils/logger.js';
+import { ENTITY_KIND, INTEREST_CONFIG } from '../../realtime/interestManager.js';
 
 const log = logger.child('Ships');
 
+/**
+ * Clear a ship's pilot; a moving ship drifts, a stationary one goes inactive
+ * @param {Object} worldServerDB
+ * @param {ShipFlightSystem} shipFlight
+ * @param {Object} ship - ships table row
+ */
+async function releasePilot(worldServerDB, shipFlight, ship) {
+    const live = shipFlight.releasePilot(ship.ship_id);
+    const newState = live
+        ? live.state
+        : (ship.velocity_x !== 0 || ship.velocity_y !== 0 || ship.velocity_z !== 0) ? 'drifting' : 'inactive';
+
+    await worldServerDB.updateShipState(ship.ship_id, {
+        pilot_id: null,
+        state: newState
+    });
+}
+
+/**
+ * Send a ship event to everyone who can see the ship
+ * A ship in flight goes to the connections watching it, a parked one to
+ * players near the acting player; without an interest manager (or a known
+ * player position) it goes to the ship's megachunk.
+ * @param {Object} wsServer
+ * @param {Object} interestManager
+ * @param {Object} ship - ships table row
+ * @param {string} playerId - Acting player
+ * @param {Object} message
+ */
+function broadcastShipEvent(wsServer, interestManager, ship, playerId, message) {
+    if (interestManager) {
+        if (interestManager.getWatchers(ENTITY_KIND.SHIP, ship.ship_id).size > 0) {
+            interestManager.sendToWatchers(ENTITY_KIND.SHIP, ship.ship_id, message);
+            return;
+        }
+
+        const radius = INTEREST_CONFIG.RADIUS[ENTITY_KIND.SHIP];
+        if (interestManager.broadcastNearPlayer(playerId, radius, message) !== null) {
+            return;
+        }
+    }
+
+    if (ship.megachunk_id) {
+        wsServer.broadcastToMegachunk(ship.megachunk_id, message);
+    }
+}
+
 /**
  * Create handler for ship control input
+ * Only inputs are accepted; position, velocity and fuel come from the
+ * server-side flight simulation and any client-reported values are ignored.
  */
-export function createShipControlHandler(wsServer, worldServerDB) {
+export function createShipControlHandler(wsServer, worldServerDB, shipFlight) {
     return async (connectionId, message) => {
-        const { shipId, position, velocity, rotation, throttle, pitch, yaw, roll, currentFuel } = message;
+        const { shipId, throttle, pitch, yaw, roll, sequence } = message;
 
         const clientInfo = wsServer.clients.get(connectionId);
         if (!clientInfo || !clientInfo.playerId) {
@@ -27,48 +76,37 @@ export function createShipControlHandler(wsServer, worldServerDB) {
         }
 
         try {
-            // Verify player is piloting this ship
-            const ship = await worldServerDB.getShip(shipId);
-            if (!ship) {
-                return { error: 'Ship not found' };
-            }
+            // Ships become simulated when piloted; after a restart the pilot's
+            // first input re-attaches them if the database still names the pilot
+            if (!shipFlight.ships.has(shipId)) {
+                const ship = await worldServerDB.getShip(shipId);
+                if (!ship) {
+                    return { error: 'Ship not found' };
+                }
 
-            if (ship.pilot_id !== clientInfo.playerId) {
-                return { error: 'Not piloting this ship' };
+                if (ship.pilot_id !== clientInfo.playerId) {
+                    return { error: 'Not piloting this ship' };
+                }
+
+                shipFlight.setPilot(ship, clientInfo.playerId);
             }
 
-            // Update ship state in database
-            await worldServerDB.updateShipState(shipId, {
-                position_x: position.x,
-                position_y: position.y,
-                position_z: position.z,
-                velocity_x: velocity.x,
-                velocity_y: velocity.y,
-                velocity_z: velocity.z,
-                rotation_x: rotation.x,
-                rotation_y: rotation.y,
-                rotation_z: rotation.z,
-                rotation_w: rotation.w,
-                current_fuel: currentFuel
+            const result = shipFlight.applyInput(shipId, clientInfo.playerId, {
+                throttle,
+                pitch,
+                yaw,
+                roll,
+                sequence
             });
 
-            // Broadcast to players in same megachunk (excluding pilot)
-            wsServer.broadcastToMegachunk(ship.megachunk_id, {
-                type: 'ship_state',
-                shipId,
-                position,
-                velocity,
-                rotation,
-                state: 'piloted',
-                pilotId: clientInfo.playerId,
-                currentFuel,
-                throttle
-            }, connectionId);
+            if (!result.accepted) {
+                return { error: result.reason };
+            }
 
             return { success: true };
         } catch (error) {
             log.error('Ship control error:', error);
-            return { error: 'Failed to update ship state' };
+            return { error: 'Failed to apply ship input' };
         }
     };
 }
@@ -76,7 +114,7 @@ export function createShipControlHandler(wsServer, worldServerDB) {
 /**
  * Create handler for boarding a ship
  */
-export function createBoardShipHandler(wsServer, worldServerDB) {
+export function createBoardShipHandler(wsServer, worldServerDB, shipFlight, playerStateManager = null, interestManager = null) {
     return async (connectionId, message) => {
         const { shipId, seatIndex } = message;
 
@@ -111,6 +149,9 @@ export function createBoardShipHandler(wsServer, worldServerDB) {
                 seatIndex: isPilot ? 0 : seatIndex
             });
 
+            // Passengers move with the ship from now on
+            playerStateManager?.setPlayerShip(clientInfo.playerId, shipId);
+
             // Update ship state if becoming pilot
             if (isPilot) {
                 await worldServerDB.updateShipState(shipId, {
@@ -118,10 +159,14 @@ export function createBoardShipHandler(wsServer, worldServerDB) {
                     state: 'piloted',
                     last_piloted_at: new Date()
                 });
+                shipFlight.setPilot(ship, clientInfo.playerId);
             }
 
+            // Report the live simulated state if the ship is already moving
+            const live = shipFlight.getShipState(shipId);
+
             // Broadcast boarding to ship passengers and nearby players
-            wsServer.broadcastToMegachunk(ship.megachunk_id, {
+            broadcastShipEvent(wsServer, interestManager, ship, clientInfo.playerId, {
                 type: 'ship_boarded',
                 shipId,
                 playerId: clientInfo.playerId,
@@ -135,13 +180,13 @@ export function createBoardShipHandler(wsServer, worldServerDB) {
             return {
                 success: true,
                 isPilot,
-                ship: {
+                ship: live || {
                     shipId,
                     position: { x: ship.position_x, y: ship.position_y, z: ship.position_z },
                     velocity: { x: ship.velocity_x, y: ship.velocity_y, z: ship.velocity_z },
                     rotation: { x: ship.rotation_x, y: ship.rotation_y, z: ship.rotation_z, w: ship.rotation_w },
-                    state: isPilot ? 'piloted' : ship.state,
-                    pilotId: isPilot ? clientInfo.playerId : ship.pilot_id,
+                    state: ship.state,
+                    pilotId: ship.pilot_id,
                     currentFuel: ship.current_fuel
                 }
             };
@@ -155,7 +200,7 @@ export function createBoardShipHandler(wsServer, worldServerDB) {
 /**
  * Create handler for exiting a ship
  */
-export function createExitShipHandler(wsServer, worldServerDB) {
+export function createExitShipHandler(wsServer, worldServerDB, shipFlight, playerStateManager = null, interestManager = null) {
     return async (connectionId, message) => {
         const { shipId } = message;
 
@@ -178,41 +223,39 @@ export function createExitShipHandler(wsServer, worldServerDB) {
 
             // Remove passenger
             await worldServerDB.removeShipPassenger(shipId, clientInfo.playerId);
+            playerStateManager?.setPlayerShip(clientInfo.playerId, null);
 
             // If was pilot, update ship state
             if (ship.pilot_id === clientInfo.playerId) {
-                const newState = (ship.velocity_x !== 0 || ship.velocity_y !== 0 || ship.velocity_z !== 0)
-                    ? 'drifting'
-                    : 'inactive';
-
-                await worldServerDB.updateShipState(shipId, {
-                    pilot_id: null,
-                    state: newState
-                });
+                await releasePilot(worldServerDB, shipFlight, ship);
             }
 
+            // Exit from where the ship is now, not where it was last persisted
+            const live = shipFlight.getShipState(shipId);
+            const position = live
+                ? live.position
+                : { x: ship.position_x, y: ship.position_y, z: ship.position_z };
+            const exitPosition = {
+                x: position.x,
+                y: position.y + 2, // Spawn slightly above ship
+                z: position.z
+            };
+            playerStateManager?.setMovementBaseline(clientInfo.playerId, exitPosition);
+
             // Broadcast exit
-            wsServer.broadcastToMegachunk(ship.megachunk_id, {
+            broadcastShipEvent(wsServer, interestManager, ship, clientInfo.playerId, {
                 type: 'ship_exited',
                 shipId,
                 playerId: clientInfo.playerId,
                 wasPilot: ship.pilot_id === clientInfo.playerId,
-                exitPosition: {
-                    x: ship.position_x,
-                    y: ship.position_y + 2, // Spawn slightly above ship
-                    z: ship.position_z
-                }
+                exitPosition
             });
 
             log.info(`Player ${clientInfo.playerId} exited ship ${shipId}`);
 
             return {
                 success: true,
-                exitPosition: {
-                    x: ship.position_x,
-                    y: ship.position_y + 2,
-                    z: ship.position_z
-                }
+                exitPosition
             };
         } catch (error) {
             log.error('Exit ship error:', error);
@@ -224,7 +267,7 @@ export function createExitShipHandler(wsServer, worldServerDB) {
 /**
  * Create handler for taking pilot seat
  */
-export function createTakePilotSeatHandler(wsServer, worldServerDB) {
+export function createTakePilotSeatHandler(wsServer, worldServerDB, shipFlight, interestManager = null) {
     return async (connectionId, message) => {
         const { shipId } = message;
 
@@ -261,9 +304,10 @@ export function createTakePilotSeatHandler(wsServer, worldServerDB) {
                 state: 'piloted',
                 last_piloted_at: new Date()
             });
+            shipFlight.setPilot(ship, clientInfo.playerId);
 
             // Broadcast pilot change
-            wsServer.broadcastToMegachunk(ship.megachunk_id, {
+            broadcastShipEvent(wsServer, interestManager, ship, clientInfo.playerId, {
                 type: 'pilot_change',
                 shipId,
                 pilotId: clientInfo.playerId
@@ -280,7 +324,7 @@ export function createTakePilotSeatHandler(wsServer, worldServerDB) {
 /**
  * Create handler for releasing pilot seat
  */
-export function createReleasePilotSeatHandler(wsServer, worldServerDB) {
+export function createReleasePilotSeatHandler(wsServer, worldServerDB, shipFlight, interestManager = null) {
     return async (connectionId, message) => {
         const { shipId } = message;
 
@@ -306,17 +350,10 @@ export function createReleasePilotSeatHandler(wsServer, worldServerDB) {
             });
 
             // Update ship state
-            const newState = (ship.velocity_x !== 0 || ship.velocity_y !== 0 || ship.velocity_z !== 0)
-                ? 'drifting'
-                : 'inactive';
-
-            await worldServerDB.updateShipState(shipId, {
-                pilot_id: null,
-                state: newState
-            });
+            await releasePilot(worldServerDB, shipFlight, ship);
 
             // Broadcast pilot change
-            wsServer.broadcastToMegachunk(ship.megachunk_id, {
+            broadcastShipEvent(wsServer, interestManager, ship, clientInfo.playerId, {
                 type: 'pilot_change',
                 shipId,
                 pilotId: null
@@ -333,7 +370,7 @@ export function createReleasePilotSeatHandler(wsServer, worldServerDB) {
 /**
  * Create handler for requesting ships in area
  */
-export function createShipsRequestHandler(wsServer, worldServerDB) {
+export function createShipsRequestHandler(wsServer, worldServerDB, shipFlight) {
     return async (connectionId, message) => {
         const { megachunkId } = message;
 
@@ -359,8 +396,12 @@ export function createShipsRequestHandler(wsServer, worldServerDB) {
                     rotation: { x: ship.rotation_x, y: ship.rotation_y, z: ship.rotation_z, w: ship.rotation_w },
                     mass: ship.mass,
                     totalThrust: ship.total_thrust,
+                    totalFuelConsumption: (ship.thrusters || []).reduce((sum, t) => sum + (t.fuelConsumption || 1), 0),
+                    gyroscopeStrength: ship.gyroscope_strength,
                     currentFuel: ship.current_fuel,
-                    fuelCapacity: ship.fuel_capacity
+                    fuelCapacity: ship.fuel_capacity,
+                    // Ships in flight report their simulated state
+                    ...shipFlight.getShipState(ship.ship_id)
                 }))
             };
         } catch (error) {
@@ -373,7 +414,7 @@ export function createShipsRequestHandler(wsServer, worldServerDB) {
 /**
  * Create handler for creating a ship from schematic placement
  */
-export function createShipCreationHandler(wsServer, worldServerDB) {
+export function createShipCreationHandler(wsServer, worldServerDB, interestManager = null) {
     return async (connectionId, message) => {
         const { schematicPlacementId, shipConfig, name } = message;
 
@@ -423,18 +464,16 @@ export function createShipCreationHandler(wsServer, worldServerDB) {
                 config: shipConfig
             });
 
-            // Broadcast ship creation to megachunk (if known)
-            if (megachunkId) {
-                wsServer.broadcastToMegachunk(megachunkId, {
-                    type: 'ship_created',
-                    shipId: ship.ship_id,
-                    name: ship.name,
-                    ownerId: ship.owner_id,
-                    position: { x: ship.position_x, y: ship.position_y, z: ship.position_z },
-                    rotation: { x: ship.rotation_x, y: ship.rotation_y, z: ship.rotation_z, w: ship.rotation_w },
-                    config: shipConfig
-                });
-            }
+            // Broadcast ship creation to players nearby
+            broadcastShipEvent(wsServer, interestManager, ship, clientInfo.playerId, {
+                type: 'ship_created',
+                shipId: ship.ship_id,
+                name: ship.name,
+                ownerId: ship.owner_id,
+                position: { x: ship.position_x, y: ship.position_y, z: ship.position_z },
+                rotation: { x: ship.rotation_x, y: ship.rotation_y, z: ship.rotation_z, w: ship.rotation_w },
+                config: shipConfig
+            });
 
             log.info(`Ship ${ship.ship_id} created from placement ${schematicPlacementId}`);
 
@@ -452,14 +491,14 @@ export function createShipCreationHandler(wsServer, worldServerDB) {
 /**
  * Register all ship handlers
  */
-export function registerShipHandlers(wsServer, worldServerDB) {
-    wsServer.registerHandler('ship_control', createShipControlHandler(wsServer, worldServerDB));
-    wsServer.registerHandler('board_ship', createBoardShipHandler(wsServer, worldServerDB));
-    wsServer.registerHandler('exit_ship', createExitShipHandler(wsServer, worldServerDB));
-    wsServer.registerHandler('take_pilot_seat', createTakePilotSeatHandler(wsServer, worldServerDB));
-    wsServer.registerHandler('release_pilot_seat', createReleasePilotSeatHandler(wsServer, worldServerDB));
-    wsServer.registerHandler('request_ships', createShipsRequestHandler(wsServer, worldServerDB));
-    wsServer.registerHandler('create_ship', createShipCreationHandler(wsServer, worldServerDB));
+export function registerShipHandlers(wsServer, worldServerDB, shipFlight, playerStateManager = null, interestManager = null) {
+    wsServer.registerHandler('ship_control', createShipControlHandler(wsServer, worldServerDB, shipFlight));
+    wsServer.registerHandler('board_ship', createBoardShipHandler(wsServer, worldServerDB, shipFlight, playerStateManager, interestManager));
+    wsServer.registerHandler('exit_ship', createExitShipHandler(wsServer, worldServerDB, shipFlight, playerStateManager, interestManager));
+    wsServer.registerHandler('take_pilot_seat', createTakePilotSeatHandler(wsServer, worldServerDB, shipFlight, interestManager));
+    wsServer.registerHandler('release_pilot_seat', createReleasePilotSeatHandler(wsServer, worldServerDB, shipFlight, interestManager));
+    wsServer.registerHandler('request_ships', createShipsRequestHandler(wsServer, worldServerDB, shipFlight));
+    wsServer.registerHandler('create_ship', createShipCreationHandler(wsServer, worldServerDB, interestManager));
 
     log.info('Ship handlers registered');
 }
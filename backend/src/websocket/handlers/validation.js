@@ -151,7 +151,7 @@ export function createValidationVoteHandler(centralLibraryDB) {
             return;
         }
 
-        const { consensusId, agrees, computationProofCid } = message;
+        const { consensusId, agrees, computationProofCid, resultHash, proofHash } = message;
 
         if (!consensusId || agrees === undefined) {
             wsServer.sendToClient(connectionId, {
@@ -198,7 +198,11 @@ export function createValidationVoteHandler(centralLibraryDB) {
                 consensusId,
                 clientInfo.playerId,
                 agrees,
-                computationProofCid || null
+                computationProofCid || null,
+                {
+                    resultHash: typeof resultHash === 'string' ? resultHash : null,
+                    proofHash: typeof proofHash === 'string' ? proofHash : null
+                }
             );
 
             log.info('Validation vote recorded', {
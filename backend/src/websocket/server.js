@@ -8,6 +8,7 @@
 import { WebSocketServer } from 'ws';
 import logger from '../utils/logger.js';
 import { v4 as uuidv4 } from 'uuid';
+import { BinaryCodec, ENCODING, negotiateVersion } from '../../../src/io/network/BinaryProtocol.js';
 
 // =============================================
 // WEBSOCKET SERVER CLASS
@@ -29,6 +30,12 @@ export class PolymirWebSocketServer {
         this.playerConnections = new Map(); // playerId -> connectionId
         this.messageHandlers = new Map(); // messageType -> handler function
 
+        // Outgoing bytes per encoding, to compare binary and JSON clients
+        this.traffic = {
+            [ENCODING.JSON]: { messages: 0, bytes: 0 },
+            [ENCODING.BINARY]: { messages: 0, bytes: 0 }
+        };
+
         this.log = logger.child('WebSocket');
     }
 
@@ -101,10 +108,12 @@ export class PolymirWebSocketServer {
             connectionId,
             ws,
             playerId: null,
+            sessionId: null, // Login session of the access token used at authenticate
             isAuthenticated: false,
             ip: clientIp,
             connectedAt: Date.now(),
             lastPong: Date.now(),
+            codec: null, // BinaryCodec once binary is negotiated at authenticate
             subscriptions: {
                 megachunks: new Set(),
                 bodies: new Set()
@@ -139,9 +148,9 @@ export class PolymirWebSocketServer {
         const { connectionId } = clientInfo;
 
         // Message handler
-        ws.on('message', async (data) => {
+        ws.on('message', async (data, isBinary) => {
             try {
-                const message = JSON.parse(data.toString());
+                const message = this.decodeMessage(clientInfo, data, isBinary);
                 await this.handleMessage(connectionId, message);
             } catch (error) {
                 this.log.error('Failed to handle message', {
@@ -176,6 +185,57 @@ export class PolymirWebSocketServer {
         });
     }
 
+    /**
+     * Decode an incoming frame
+     * Binary frames are only accepted once the connection negotiated a codec.
+     * @param {Object} clientInfo
+     * @param {Buffer} data
+     * @param {boolean} isBinary
+     * @returns {Object}
+     */
+    decodeMessage(clientInfo, data, isBinary) {
+        if (!isBinary) {
+            return JSON.parse(data.toString());
+        }
+        if (!clientInfo.codec) {
+            throw new Error('Binary protocol not negotiated');
+        }
+        return clientInfo.codec.decode(data);
+    }
+
+    /**
+     * Negotiate the wire encoding for a connection
+     * Clients that offer no supported schema version stay on JSON.
+     * @param {string} connectionId
+     * @param {Array<number>} offeredVersions - Schema versions the client supports
+     * @returns {{encoding: string, version: number|null}}
+     */
+    negotiateProtocol(connectionId, offeredVersions) {
+        const clientInfo = this.clients.get(connectionId);
+        const version = negotiateVersion(offeredVersions);
+
+        if (!clientInfo) {
+            return { encoding: ENCODING.JSON, version: null };
+        }
+
+        if (version === null) {
+            clientInfo.codec = null;
+            return { encoding: ENCODING.JSON, version: null };
+        }
+
+        // Re-authenticating on the same connection keeps the existing id tables
+        if (!clientInfo.codec || clientInfo.codec.version !== version) {
+            clientInfo.codec = new BinaryCodec(version);
+        }
+
+        this.log.debug('Binary protocol negotiated', {
+            connectionId,
+            version
+        });
+
+        return { encoding: ENCODING.BINARY, version };
+    }
+
     /**
      * Handle incoming message from client
      * @param {string} connectionId
@@ -282,7 +342,12 @@ export class PolymirWebSocketServer {
         }
 
         try {
-            clientInfo.ws.send(JSON.stringify(message));
+            const { encoding, payload } = this.encodeMessage(clientInfo, message);
+            clientInfo.ws.send(payload);
+
+            const traffic = this.traffic[encoding];
+            traffic.messages++;
+            traffic.bytes += typeof payload === 'string' ? Buffer.byteLength(payload) : payload.length;
             return true;
         } catch (error) {
             this.log.error('Failed to send message', {
@@ -293,6 +358,32 @@ export class PolymirWebSocketServer {
         }
     }
 
+    /**
+     * Encode a message for a client
+     * Falls back to JSON for clients without a codec, message types without a
+     * binary schema, and messages that don't fit their schema.
+     * @param {Object} clientInfo
+     * @param {Object} message
+     * @returns {{encoding: string, payload: Uint8Array|string}}
+     */
+    encodeMessage(clientInfo, message) {
+        const { codec } = clientInfo;
+
+        if (codec && codec.canEncode(message.type)) {
+            try {
+                return { encoding: ENCODING.BINARY, payload: codec.encode(message) };
+            } catch (error) {
+                this.log.debug('Binary encode failed, sending JSON', {
+                    connectionId: clientInfo.connectionId,
+                    type: message.type,
+                    error: error.message
+                });
+            }
+        }
+
+        return { encoding: ENCODING.JSON, payload: JSON.stringify(message) };
+    }
+
     /**
      * Send message to player (by player ID)
      * @param {string} playerId
@@ -377,16 +468,40 @@ export class PolymirWebSocketServer {
         return this.playerConnections.get(playerId) || null;
     }
 
+    /**
+     * Close a player's connection if it was authenticated with a revoked session
+     * @param {string} playerId
+     * @param {Array<string>} sessionIds
+     * @returns {boolean} True if a connection was closed
+     */
+    closeRevokedSessions(playerId, sessionIds) {
+        const clientInfo = this.getClient(this.getConnectionByPlayer(playerId));
+
+        if (!clientInfo || !sessionIds.includes(clientInfo.sessionId)) {
+            return false;
+        }
+
+        this.sendToClient(clientInfo.connectionId, {
+            type: 'disconnected',
+            reason: 'Session revoked'
+        });
+        clientInfo.ws.close(1000, 'Session revoked');
+
+        return true;
+    }
+
     /**
      * Get server statistics
      * @returns {Object}
      */
     getStats() {
         let authenticatedCount = 0;
+        let binaryCount = 0;
         let totalSubscriptions = 0;
 
         for (const clientInfo of this.clients.values()) {
             if (clientInfo.isAuthenticated) authenticatedCount++;
+            if (clientInfo.codec) binaryCount++;
             totalSubscriptions += clientInfo.subscriptions.megachunks.size;
             totalSubscriptions += clientInfo.subscriptions.bodies.size;
         }
@@ -394,8 +509,13 @@ export class PolymirWebSocketServer {
         return {
             totalConnections: this.clients.size,
             authenticatedConnections: authenticatedCount,
+            binaryConnections: binaryCount,
             totalSubscriptions,
-            maxConnections: this.config.maxConnections
+            maxConnections: this.config.maxConnections,
+            traffic: {
+                json: { ...this.traffic[ENCODING.JSON] },
+                binary: { ...this.traffic[ENCODING.BINARY] }
+            }
         };
     }
 
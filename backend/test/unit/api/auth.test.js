@@ -0,0 +1,253 @@
+/**
+ * AUTHENTICATION UNIT TESTS
+ * =========================
+ */
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import jwt from 'jsonwebtoken';
+import config from '../../../src/config.js';
+import {
+    TOKEN_ERRORS,
+    createAuthMiddleware,
+    createSession,
+    refreshSession,
+    verifyAccessToken,
+    verifySessionToken,
+    hashRefreshToken
+} from '../../../src/api/middleware/auth.js';
+import { createConnectionHandler } from '../../../src/websocket/handlers/connection.js';
+import { PolymirWebSocketServer } from '../../../src/websocket/server.js';
+
+const PLAYER = { player_id: 'player-1', username: 'alice', trust_score: 0.5 };
+
+/**
+ * In-memory stand-in for the session queries of CentralLibraryDB
+ */
+function createMockDB() {
+    const sessions = new Map();
+    let nextId = 1;
+
+    return {
+        sessions,
+        async getPlayerById(playerId) {
+            return playerId === PLAYER.player_id ? PLAYER : null;
+        },
+        async createPlayerSession(playerId, refreshTokenHash, expiresAt) {
+            const session = {
+                session_id: `session-${nextId++}`,
+                player_id: playerId,
+                refresh_token_hash: refreshTokenHash,
+                previous_token_hash: null,
+                expires_at: expiresAt,
+                revoked_at: null
+            };
+            sessions.set(session.session_id, session);
+            return session;
+        },
+        async getPlayerSession(sessionId) {
+            return sessions.get(sessionId) || null;
+        },
+        async rotatePlayerSession(refreshTokenHash, newTokenHash, expiresAt) {
+            for (const session of sessions.values()) {
+                if (session.refresh_token_hash === refreshTokenHash && !session.revoked_at && session.expires_at > new Date()) {
+                    session.previous_token_hash = refreshTokenHash;
+                    session.refresh_token_hash = newTokenHash;
+                    session.expires_at = expiresAt;
+                    return session;
+                }
+            }
+            return null;
+        },
+        async getSessionByPreviousToken(refreshTokenHash) {
+            for (const session of sessions.values()) {
+                if (session.previous_token_hash === refreshTokenHash && !session.revoked_at) return session;
+            }
+            return null;
+        },
+        async revokePlayerSession(sessionId, reason) {
+            const session = sessions.get(sessionId);
+            if (!session || session.revoked_at) return false;
+            session.revoked_at = new Date();
+            session.revoked_reason = reason;
+            return true;
+        }
+    };
+}
+
+async function rejects(promise, message) {
+    await assert.rejects(promise, (error) => error.message === message);
+}
+
+describe('Authentication', () => {
+    let db;
+
+    beforeEach(() => {
+        db = createMockDB();
+    });
+
+    describe('access tokens', () => {
+        it('should resolve a session token to its player', async () => {
+            const { accessToken, sessionId } = await createSession(db, PLAYER.player_id);
+
+            const result = await verifySessionToken(db, accessToken);
+
+            assert.strictEqual(result.player, PLAYER);
+            assert.strictEqual(result.sessionId, sessionId);
+        });
+
+        it('should reject tampered, foreign and expired tokens', async () => {
+            const { accessToken } = await createSession(db, PLAYER.player_id);
+            const [header, , signature] = accessToken.split('.');
+            const forgedPayload = Buffer.from(JSON.stringify({ sub: 'someone-else', sid: 'session-1' })).toString('base64url');
+
+            assert.throws(() => verifyAccessToken(`${header}.${forgedPayload}.${signature}`), { message: TOKEN_ERRORS.INVALID });
+            assert.throws(() => verifyAccessToken(jwt.sign({ sid: 'session-1' }, 'other-secret', {
+                subject: PLAYER.player_id,
+                issuer: config.jwt.issuer
+            })), { message: TOKEN_ERRORS.INVALID });
+            assert.throws(() => verifyAccessToken(jwt.sign({ sid: 'session-1' }, config.jwt.secret, {
+                subject: PLAYER.player_id,
+                issuer: config.jwt.issuer,
+                expiresIn: -10
+            })), { message: TOKEN_ERRORS.EXPIRED });
+        });
+
+        it('should reject a player id in place of a token', async () => {
+            await rejects(verifySessionToken(db, PLAYER.player_id), TOKEN_ERRORS.INVALID);
+        });
+
+        it('should stop accepting tokens of a revoked session', async () => {
+            const { accessToken, sessionId } = await createSession(db, PLAYER.player_id);
+
+            await db.revokePlayerSession(sessionId, 'logout');
+
+            await rejects(verifySessionToken(db, accessToken), TOKEN_ERRORS.REVOKED);
+        });
+    });
+
+    describe('refresh tokens', () => {
+        it('should store only the hash', async () => {
+            const { refreshToken, sessionId } = await createSession(db, PLAYER.player_id);
+
+            assert.strictEqual(db.sessions.get(sessionId).refresh_token_hash, hashRefreshToken(refreshToken));
+        });
+
+        it('should rotate on every refresh', async () => {
+            const first = await createSession(db, PLAYER.player_id);
+
+            const second = await refreshSession(db, first.refreshToken);
+            const third = await refreshSession(db, second.refreshToken);
+
+            assert.strictEqual(third.sessionId, first.sessionId);
+            assert.notStrictEqual(third.refreshToken, second.refreshToken);
+            assert.strictEqual((await verifySessionToken(db, third.accessToken)).player, PLAYER);
+        });
+
+        it('should revoke the session when a rotated-out token is reused', async () => {
+            const first = await createSession(db, PLAYER.player_id);
+            const second = await refreshSession(db, first.refreshToken);
+
+            await rejects(refreshSession(db, first.refreshToken), TOKEN_ERRORS.REVOKED);
+
+            assert.strictEqual(db.sessions.get(first.sessionId).revoked_reason, 'token_reuse');
+            await rejects(refreshSession(db, second.refreshToken), TOKEN_ERRORS.INVALID);
+            await rejects(verifySessionToken(db, second.accessToken), TOKEN_ERRORS.REVOKED);
+        });
+
+        it('should reject unknown refresh tokens', async () => {
+            await rejects(refreshSession(db, 'not-a-token'), TOKEN_ERRORS.INVALID);
+            await rejects(refreshSession(db, undefined), TOKEN_ERRORS.INVALID);
+        });
+    });
+
+    describe('REST middleware', () => {
+        async function run(headers) {
+            const req = { headers, path: '/test' };
+            const res = {
+                statusCode: 200,
+                body: null,
+                status(code) { this.statusCode = code; return this; },
+                json(body) { this.body = body; return this; }
+            };
+            let nextCalled = false;
+
+            await createAuthMiddleware(db)(req, res, () => { nextCalled = true; });
+            return { req, res, nextCalled };
+        }
+
+        it('should authenticate bearer access tokens', async () => {
+            const { accessToken, sessionId } = await createSession(db, PLAYER.player_id);
+
+            const { req, nextCalled } = await run({ authorization: `Bearer ${accessToken}` });
+
+            assert.strictEqual(nextCalled, true);
+            assert.strictEqual(req.playerId, PLAYER.player_id);
+            assert.strictEqual(req.sessionId, sessionId);
+        });
+
+        it('should no longer accept a bare player id', async () => {
+            const header = await run({ 'x-player-id': PLAYER.player_id });
+            const bearer = await run({ authorization: `Bearer ${PLAYER.player_id}` });
+
+            assert.strictEqual(header.res.statusCode, 401);
+            assert.strictEqual(bearer.res.statusCode, 401);
+            assert.strictEqual(bearer.res.body.error, TOKEN_ERRORS.INVALID);
+        });
+    });
+
+    describe('WebSocket handshake', () => {
+        let wsServer;
+        let clientInfo;
+
+        beforeEach(() => {
+            wsServer = new PolymirWebSocketServer();
+            clientInfo = {
+                connectionId: 'conn-1',
+                ws: {
+                    readyState: 1,
+                    send: (payload) => clientInfo.sent.push(JSON.parse(payload)),
+                    close: () => { clientInfo.closed = true; }
+                },
+                sent: [],
+                codec: null,
+                subscriptions: { megachunks: new Set(), bodies: new Set() }
+            };
+            wsServer.clients.set('conn-1', clientInfo);
+        });
+
+        function createHandler() {
+            return createConnectionHandler(db, {
+                getPlayerPosition: async () => ({ position_x: 0, position_y: 100, position_z: 0 }),
+                upsertPlayerPosition: async () => {}
+            });
+        }
+
+        it('should reject a bare player id', async () => {
+            await createHandler()('conn-1', { type: 'authenticate', playerId: PLAYER.player_id }, wsServer);
+
+            assert.strictEqual(clientInfo.sent[0].type, 'auth_error');
+            assert.strictEqual(clientInfo.isAuthenticated, undefined);
+        });
+
+        it('should take the player from the token', async () => {
+            const { accessToken, sessionId } = await createSession(db, PLAYER.player_id);
+
+            await createHandler()('conn-1', { type: 'authenticate', token: accessToken, playerId: 'someone-else' }, wsServer);
+
+            assert.strictEqual(clientInfo.sent[0].type, 'authenticated');
+            assert.strictEqual(clientInfo.playerId, PLAYER.player_id);
+            assert.strictEqual(clientInfo.sessionId, sessionId);
+        });
+
+        it('should close connections whose session is revoked', async () => {
+            const { accessToken, sessionId } = await createSession(db, PLAYER.player_id);
+            await createHandler()('conn-1', { type: 'authenticate', token: accessToken }, wsServer);
+
+            assert.strictEqual(wsServer.closeRevokedSessions(PLAYER.player_id, ['other-session']), false);
+            assert.strictEqual(wsServer.closeRevokedSessions(PLAYER.player_id, [sessionId]), true);
+            assert.strictEqual(clientInfo.closed, true);
+            assert.strictEqual(clientInfo.sent.at(-1).reason, 'Session revoked');
+        });
+    });
+});
@@ -0,0 +1,434 @@
+/**
+ * MEGACHUNK HANDOFF UNIT TESTS
+ * ============================
+ * Two world servers in one process, each with its own REST API on a local
+ * port, an in-memory world database and a shared Central Library
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import express from 'express';
+import {
+    MegachunkHandoffSystem,
+    HANDOFF_ERRORS,
+    HANDOFF_HEADERS,
+    signHandoffRequest,
+    verifyHandoffSignature,
+    digestBundle,
+    diffBundle,
+    applyBundleDelta
+} from '../../../src/physics/megachunkHandoff.js';
+import { MegachunkTransferSystem } from '../../../src/physics/megachunkTransfer.js';
+import { createHandoffRoutes } from '../../../src/api/routes/handoff.js';
+
+const SECRET = 'test-handoff-secret';
+
+// =============================================
+// MOCKS
+// =============================================
+
+/**
+ * World database holding bodies, their content, ships and players in memory
+ */
+function createWorldDB() {
+    const db = {
+        megachunks: new Map(),
+        bodies: new Map(),
+        placements: [],
+        chunkModifications: [],
+        damage: [],
+        ships: [],
+        players: [],
+
+        megachunkId({ mx, my, mz }) {
+            const id = `mc:${mx},${my},${mz}`;
+            if (!db.megachunks.has(id)) {
+                db.megachunks.set(id, { megachunk_id: id, mx, my, mz, is_active: true });
+            }
+            return id;
+        },
+
+        pool: {
+            async query(sql, params = []) {
+                if (sql.includes('FROM megachunks WHERE megachunk_id')) {
+                    const megachunk = db.megachunks.get(params[0]);
+                    return { rows: megachunk ? [megachunk] : [] };
+                }
+                if (sql.includes('FROM celestial_bodies cb')) {
+                    const rows = [...db.bodies.values()]
+                        .filter(body => !body.handed_off_to)
+                        .map(body => ({ ...body, ...db.megachunks.get(body.megachunk_id) }));
+                    return { rows };
+                }
+                throw new Error(`Unexpected query: ${sql}`);
+            }
+        },
+
+        async exportBodyHandoff(bodyId) {
+            const body = db.bodies.get(bodyId);
+            if (!body || body.handed_off_to) return null;
+
+            const onBody = row => row.body_id === bodyId;
+            const placementIds = new Set(db.placements.filter(onBody).map(p => p.placement_id));
+
+            return structuredClone({
+                body: { ...body, ...db.megachunks.get(body.megachunk_id) },
+                placements: db.placements.filter(onBody),
+                chunkModifications: db.chunkModifications.filter(onBody),
+                damage: db.damage.filter(onBody),
+                ships: db.ships.filter(ship => placementIds.has(ship.schematic_placement_id)),
+                players: db.players.filter(onBody)
+            });
+        },
+
+        async importBodyHandoff(bundle, megachunk, local) {
+            const megachunkId = db.megachunkId(megachunk);
+            const bodyId = bundle.body.body_id;
+            const offBody = row => row.body_id !== bodyId;
+
+            db.bodies.set(bodyId, {
+                ...bundle.body,
+                megachunk_id: megachunkId,
+                local_x: local.x,
+                local_y: local.y,
+                local_z: local.z,
+                handed_off_to: null
+            });
+            db.placements = [...db.placements.filter(offBody), ...bundle.placements];
+            db.chunkModifications = [...db.chunkModifications.filter(offBody), ...bundle.chunkModifications];
+            db.damage = [...db.damage.filter(offBody), ...bundle.damage];
+            db.ships.push(...bundle.ships.map(ship => ({ ...ship, megachunk_id: megachunkId })));
+            db.players.push(...bundle.players.map(player => ({ ...player, megachunk_id: megachunkId, is_online: false })));
+
+            return megachunkId;
+        },
+
+        async markBodyHandedOff(bodyId, serverId, moved) {
+            db.bodies.get(bodyId).handed_off_to = serverId;
+            db.ships = db.ships.filter(ship => !moved.shipIds.includes(ship.ship_id));
+            db.players = db.players.filter(player => !moved.playerIds.includes(player.player_id));
+        }
+    };
+
+    return db;
+}
+
+/**
+ * Central Library with only the server registry and megachunk owners
+ */
+function createCentralDB() {
+    const servers = new Map();
+    const owners = new Map();
+
+    return {
+        servers,
+        async getMegachunkOwner(mx, my, mz) {
+            const serverId = owners.get(`${mx},${my},${mz}`);
+            return serverId ? { ...servers.get(serverId) } : null;
+        },
+        async setMegachunkOwner(mx, my, mz, serverId) {
+            owners.set(`${mx},${my},${mz}`, serverId);
+        }
+    };
+}
+
+/**
+ * WebSocket server with clients that record what they were sent
+ */
+function createWsServer() {
+    const clients = new Map();
+
+    return {
+        clients,
+        addClient(connectionId, playerId, bodyIds = []) {
+            const client = {
+                connectionId,
+                playerId,
+                isAuthenticated: true,
+                subscriptions: { megachunks: new Set(), bodies: new Set(bodyIds) },
+                sent: []
+            };
+            clients.set(connectionId, client);
+            return client;
+        },
+        broadcast(message, filter = null) {
+            let sentCount = 0;
+            for (const client of clients.values()) {
+                if (filter && !filter(client)) continue;
+                client.sent.push(message);
+                sentCount++;
+            }
+            return sentCount;
+        }
+    };
+}
+
+/**
+ * A world server: handoff system and its REST API on an ephemeral port
+ */
+async function startServer(serverId, centralDB) {
+    const worldDB = createWorldDB();
+    const wsServer = createWsServer();
+    const handoff = new MegachunkHandoffSystem({
+        serverId,
+        worldServerDB: worldDB,
+        centralLibraryDB: centralDB,
+        wsServer,
+        secret: SECRET,
+        config: { ownerCacheTtl: 0 }
+    });
+
+    const app = express();
+    app.use(express.json({
+        limit: '50mb',
+        verify: (req, res, buf) => {
+            req.rawBody = buf;
+        }
+    }));
+    app.use('/api/handoff', createHandoffRoutes(handoff, SECRET));
+
+    const httpServer = await new Promise(resolve => {
+        const server = app.listen(0, '127.0.0.1', () => resolve(server));
+    });
+    const apiUrl = `http://127.0.0.1:${httpServer.address().port}`;
+
+    centralDB.servers.set(serverId, {
+        server_id: serverId,
+        server_name: serverId,
+        api_url: apiUrl,
+        websocket_url: `ws://${serverId}.test`
+    });
+
+    return {
+        serverId,
+        worldDB,
+        wsServer,
+        handoff,
+        apiUrl,
+        transfer: new MegachunkTransferSystem(worldDB, { handoff }),
+        close: () => new Promise(resolve => httpServer.close(resolve))
+    };
+}
+
+/**
+ * A body about to leave megachunk (0,0,0) through +X, with a builder on it
+ */
+function seedBody(world) {
+    const megachunkId = world.worldDB.megachunkId({ mx: 0, my: 0, mz: 0 });
+
+    world.worldDB.bodies.set('body-1', {
+        body_id: 'body-1',
+        megachunk_id: megachunkId,
+        body_type: 'asteroid',
+        local_x: 250, local_y: 100, local_z: 100,
+        velocity_x: 10, velocity_y: 0, velocity_z: 0,
+        rotation_x: 0, rotation_y: 0, rotation_z: 0, rotation_w: 1,
+        mass: 100,
+        motion_mode: 'simulated',
+        handed_off_to: null
+    });
+    world.worldDB.placements.push({ placement_id: 'placement-1', body_id: 'body-1', schematic_id: 'hull' });
+    world.worldDB.damage.push({ damage_id: 'damage-1', body_id: 'body-1', voxel_x: 1, change_type: 'remove' });
+    world.worldDB.ships.push({ ship_id: 'ship-1', schematic_placement_id: 'placement-1', megachunk_id: megachunkId });
+    world.worldDB.players.push({ player_id: 'player-1', body_id: 'body-1', megachunk_id: megachunkId });
+}
+
+// =============================================
+// TESTS
+// =============================================
+
+describe('Megachunk Handoff', () => {
+    describe('request signing', () => {
+        it('should accept its own signature and reject tampering or old requests', () => {
+            const body = JSON.stringify({ handoffId: 'h1' });
+            const now = Date.now();
+            const headers = {
+                [HANDOFF_HEADERS.SERVER]: 'server-a',
+                [HANDOFF_HEADERS.TIMESTAMP]: String(now),
+                [HANDOFF_HEADERS.SIGNATURE]: signHandoffRequest(SECRET, now, body)
+            };
+
+            verifyHandoffSignature(SECRET, headers, body, now);
+
+            assert.throws(() => verifyHandoffSignature(SECRET, headers, body + ' ', now), { message: HANDOFF_ERRORS.BAD_SIGNATURE });
+            assert.throws(() => verifyHandoffSignature('other', headers, body, now), { message: HANDOFF_ERRORS.BAD_SIGNATURE });
+            assert.throws(() => verifyHandoffSignature(SECRET, headers, body, now + 60000), { message: HANDOFF_ERRORS.STALE });
+        });
+    });
+
+    describe('bundle deltas', () => {
+        it('should send only changed rows and rebuild the full bundle', () => {
+            const staged = {
+                placements: [{ placement_id: 'p1' }, { placement_id: 'p2' }],
+                chunkModifications: [],
+                damage: [{ damage_id: 'd1', voxel_x: 1 }]
+            };
+            const digests = digestBundle(staged);
+            const current = {
+                body: { body_id: 'b' },
+                players: [],
+                ships: [],
+                placements: [{ placement_id: 'p2' }],
+                chunkModifications: [{ modification_id: 'm1' }],
+                damage: [{ damage_id: 'd1', voxel_x: 2 }]
+            };
+
+            const delta = diffBundle(current, digests);
+            assert.deepStrictEqual(delta.placements, { changed: [], keep: ['p2'] });
+            assert.strictEqual(delta.damage.changed.length, 1);
+
+            const bundle = applyBundleDelta(staged, { ...current, delta });
+            assert.deepStrictEqual(bundle.placements, current.placements);
+            assert.deepStrictEqual(bundle.chunkModifications, current.chunkModifications);
+            assert.deepStrictEqual(bundle.damage, current.damage);
+        });
+    });
+
+    describe('between two servers', () => {
+        let centralDB;
+        let source;
+        let target;
+
+        beforeEach(async () => {
+            centralDB = createCentralDB();
+            source = await startServer('server-a', centralDB);
+            target = await startServer('server-b', centralDB);
+            await centralDB.setMegachunkOwner(1, 0, 0, 'server-b');
+            seedBody(source);
+        });
+
+        afterEach(async () => {
+            await source.close();
+            await target.close();
+        });
+
+        it('should hand a body over ahead of and at its crossing', async () => {
+            const watcher = source.wsServer.addClient('conn-watcher', 'player-2', ['body-1']);
+            const builder = source.wsServer.addClient('conn-builder', 'player-1');
+
+            // Predicted to cross in 0.6s, inside the lead time
+            await source.handoff.scan();
+
+            assert.strictEqual(target.handoff.incoming.size, 1);
+            assert.strictEqual(watcher.sent[0].type, 'handoff_prepare');
+            assert.strictEqual(watcher.sent[0].server.websocketUrl, 'ws://server-b.test');
+            assert.strictEqual(builder.sent[0].type, 'handoff_prepare');
+
+            // Damage done between prepare and the crossing travels in the delta
+            source.worldDB.damage.push({ damage_id: 'damage-2', body_id: 'body-1', voxel_x: 2, change_type: 'add' });
+
+            const body = { ...source.worldDB.bodies.get('body-1'), local_x: 256.5, velocity_x: 11 };
+            const result = await source.transfer.checkAndTransfer(body);
+
+            assert.strictEqual(result.handedOff, true);
+            assert.strictEqual(result.newMegachunkId, 'mc:1,0,0');
+            assert.deepStrictEqual(result.newLocalPosition, { x: 0.5, y: 100, z: 100 });
+
+            const arrived = target.worldDB.bodies.get('body-1');
+            assert.strictEqual(arrived.megachunk_id, 'mc:1,0,0');
+            assert.strictEqual(arrived.local_x, 0.5);
+            assert.strictEqual(arrived.velocity_x, 11);
+            assert.deepStrictEqual(target.worldDB.damage.map(d => d.damage_id).sort(), ['damage-1', 'damage-2']);
+            assert.strictEqual(target.worldDB.placements.length, 1);
+            assert.deepStrictEqual(target.worldDB.ships.map(s => s.ship_id), ['ship-1']);
+            assert.deepStrictEqual(target.worldDB.players.map(p => p.player_id), ['player-1']);
+
+            assert.strictEqual(source.worldDB.bodies.get('body-1').handed_off_to, 'server-b');
+            assert.strictEqual(source.worldDB.ships.length, 0);
+            assert.strictEqual(source.worldDB.players.length, 0);
+
+            const commit = watcher.sent[1];
+            assert.strictEqual(commit.type, 'handoff_commit');
+            assert.strictEqual(commit.handoffId, watcher.sent[0].handoffId);
+            assert.strictEqual(commit.state.megachunkId, 'mc:1,0,0');
+            assert.deepStrictEqual(commit.state.velocity, { x: 11, y: 0, z: 0 });
+
+            assert.strictEqual(target.handoff.incoming.size, 0);
+            assert.strictEqual(source.handoff.getStats().committed, 1);
+
+            // The tombstone is no longer predicted or handed off again
+            await source.handoff.scan();
+            assert.strictEqual(source.handoff.outgoing.size, 0);
+        });
+
+        it('should prepare on the spot for an unpredicted crossing', async () => {
+            const body = { ...source.worldDB.bodies.get('body-1'), local_x: 257, velocity_x: 0 };
+            const result = await source.transfer.checkAndTransfer(body);
+
+            assert.strictEqual(result.handedOff, true);
+            assert.ok(target.worldDB.bodies.has('body-1'));
+        });
+
+        it('should abort when the prediction no longer holds', async () => {
+            const watcher = source.wsServer.addClient('conn-watcher', 'player-2', ['body-1']);
+
+            await source.handoff.scan();
+            source.worldDB.bodies.get('body-1').velocity_x = -1;
+            await source.handoff.scan();
+
+            assert.strictEqual(target.handoff.incoming.size, 0);
+            assert.strictEqual(source.handoff.outgoing.size, 0);
+            assert.strictEqual(watcher.sent[1].type, 'handoff_cancelled');
+        });
+
+        it('should leave crossings into its own or unassigned megachunks to the local transfer', async () => {
+            await centralDB.setMegachunkOwner(1, 0, 0, 'server-a');
+            const body = { ...source.worldDB.bodies.get('body-1'), local_x: 257 };
+
+            assert.strictEqual(await source.handoff.handOff(body, { mx: 1, my: 0, mz: 0 }, { x: 1, y: 100, z: 100 }), null);
+            assert.strictEqual(await source.handoff.handOff(body, { mx: 0, my: 1, mz: 0 }, { x: 1, y: 0, z: 100 }), null);
+            assert.strictEqual(target.worldDB.bodies.size, 0);
+        });
+
+        it('should reject unsigned and forged requests', async () => {
+            const body = JSON.stringify({ handoffId: 'h1', bodyId: 'body-1', megachunk: { mx: 1, my: 0, mz: 0 }, bundle: {} });
+            const now = Date.now();
+
+            const unsigned = await fetch(`${target.apiUrl}/api/handoff/prepare`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body
+            });
+            assert.strictEqual(unsigned.status, 401);
+
+            const forged = await fetch(`${target.apiUrl}/api/handoff/prepare`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    [HANDOFF_HEADERS.SERVER]: 'server-a',
+                    [HANDOFF_HEADERS.TIMESTAMP]: String(now),
+                    [HANDOFF_HEADERS.SIGNATURE]: signHandoffRequest('wrong-secret', now, body)
+                },
+                body
+            });
+            assert.strictEqual(forged.status, 401);
+            assert.strictEqual(target.handoff.incoming.size, 0);
+        });
+
+        it('should refuse to stage bodies for megachunks it does not own', async () => {
+            await assert.rejects(
+                source.handoff.send(centralDB.servers.get('server-b'), 'prepare', {
+                    handoffId: 'h1',
+                    bodyId: 'body-1',
+                    megachunk: { mx: 5, my: 0, mz: 0 },
+                    bundle: {}
+                }),
+                { message: HANDOFF_ERRORS.NOT_OWNER }
+            );
+
+            await assert.rejects(
+                source.handoff.send(centralDB.servers.get('server-b'), 'commit', {
+                    handoffId: 'unknown',
+                    bodyId: 'body-1',
+                    megachunk: { mx: 1, my: 0, mz: 0 },
+                    local: { x: 0, y: 0, z: 0 },
+                    body: {},
+                    players: [],
+                    ships: [],
+                    delta: {}
+                }),
+                { message: HANDOFF_ERRORS.NOT_PREPARED }
+            );
+        });
+    });
+});
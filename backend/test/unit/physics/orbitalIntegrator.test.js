@@ -0,0 +1,247 @@
+/**
+ * ORBITAL INTEGRATOR UNIT TESTS
+ * =============================
+ */
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import {
+    OrbitalIntegrator,
+    MOTION_MODE,
+    keplerState,
+    meanMotion,
+    solveKepler
+} from '../../../src/physics/orbitalIntegrator.js';
+import { BodyPhysicsSystem } from '../../../src/physics/bodyPhysics.js';
+
+const GM = 1000;
+
+function body(id, mode, mass, position, velocity = { x: 0, y: 0, z: 0 }, extra = {}) {
+    return {
+        id,
+        mode,
+        mass,
+        position: { ...position },
+        velocity: { ...velocity },
+        anchored: false,
+        parentId: null,
+        orbit: null,
+        ...extra
+    };
+}
+
+/**
+ * A sun, a planet on a circular orbit and a moon on rails around the sun
+ */
+function createSystem() {
+    return [
+        body('sun', MOTION_MODE.STATIC, GM, { x: 0, y: 0, z: 0 }),
+        body('planet', MOTION_MODE.SIMULATED, 1, { x: 100, y: 0, z: 0 }, { x: 0, y: 0, z: Math.sqrt(GM / 100) }),
+        body('comet', MOTION_MODE.SIMULATED, 0.01, { x: 0, y: 0, z: 60 }, { x: 3, y: 0.5, z: 0 }),
+        body('moon', MOTION_MODE.KEPLER, 0.1, { x: 0, y: 0, z: 0 }, undefined, {
+            parentId: 'sun',
+            orbit: {
+                semiMajorAxis: 40,
+                eccentricity: 0.3,
+                inclination: 0.2,
+                longitudeOfAscendingNode: 1,
+                argumentOfPeriapsis: 2,
+                meanAnomaly: 0
+            }
+        })
+    ];
+}
+
+function distance(a, b) {
+    return Math.sqrt((a.x - b.x) ** 2 + (a.y - b.y) ** 2 + (a.z - b.z) ** 2);
+}
+
+describe('Orbital Integrator', () => {
+    let integrator;
+
+    beforeEach(() => {
+        integrator = new OrbitalIntegrator({ gravitationalConstant: 1, softening: 0 });
+    });
+
+    describe('kepler orbits', () => {
+        it('should solve Kepler\'s equation', () => {
+            for (const e of [0, 0.3, 0.9]) {
+                const E = solveKepler(2, e);
+                assert.ok(Math.abs(E - e * Math.sin(E) - 2) < 1e-12);
+            }
+        });
+
+        it('should keep circular orbits in the XZ plane at orbital speed', () => {
+            const orbit = {
+                semiMajorAxis: 100,
+                eccentricity: 0,
+                inclination: 0,
+                longitudeOfAscendingNode: 0,
+                argumentOfPeriapsis: 0,
+                meanAnomaly: 1.234
+            };
+            const { position, velocity } = keplerState(orbit, GM);
+
+            assert.ok(Math.abs(distance(position, { x: 0, y: 0, z: 0 }) - 100) < 1e-9);
+            assert.ok(Math.abs(position.y) < 1e-12);
+            assert.ok(Math.abs(distance(velocity, { x: 0, y: 0, z: 0 }) - Math.sqrt(GM / 100)) < 1e-9);
+        });
+
+        it('should return a rails body to its start after one period', () => {
+            const system = createSystem();
+            const moon = system[3];
+            const period = 2 * Math.PI / meanMotion(40, GM);
+            const ticks = 1000;
+
+            integrator.step(system, 0);
+            const start = { ...moon.position };
+
+            for (let i = 0; i < ticks; i++) {
+                integrator.step(system, period / ticks);
+            }
+
+            assert.ok(distance(moon.position, start) < 1e-6);
+        });
+
+        it('should hold rails bodies whose parent is missing or loops', () => {
+            const orbit = { semiMajorAxis: 10, eccentricity: 0, inclination: 0, longitudeOfAscendingNode: 0, argumentOfPeriapsis: 0, meanAnomaly: 0 };
+            const a = body('a', MOTION_MODE.KEPLER, 1, { x: 5, y: 0, z: 0 }, undefined, { parentId: 'b', orbit: { ...orbit } });
+            const b = body('b', MOTION_MODE.KEPLER, 1, { x: 0, y: 5, z: 0 }, undefined, { parentId: 'a', orbit: { ...orbit } });
+            const lost = body('lost', MOTION_MODE.KEPLER, 1, { x: 0, y: 0, z: 5 }, undefined, { parentId: 'gone', orbit: { ...orbit } });
+
+            const step = integrator.step([a, b, lost], 1);
+
+            assert.strictEqual(step.rails, 1);
+            assert.deepStrictEqual(a.position, { x: 5, y: 0, z: 0 });
+            assert.deepStrictEqual(lost.position, { x: 0, y: 0, z: 5 });
+            assert.ok(Math.abs(distance(b.position, a.position) - 10) < 1e-9);
+        });
+    });
+
+    describe('n-body integration', () => {
+        it('should conserve energy over many orbits', () => {
+            // Circular relative orbit, zero total momentum
+            const relativeSpeed = Math.sqrt((GM + 10) / 100);
+            const system = [
+                body('sun', MOTION_MODE.SIMULATED, GM, { x: 0, y: 0, z: 0 }, { x: 0, y: 0, z: -relativeSpeed * 10 / (GM + 10) }),
+                body('planet', MOTION_MODE.SIMULATED, 10, { x: 100, y: 0, z: 0 }, { x: 0, y: 0, z: relativeSpeed * GM / (GM + 10) })
+            ];
+            const before = integrator.totalEnergy(system);
+
+            // Roughly ten orbits at 10 Hz
+            for (let i = 0; i < 63000; i++) {
+                integrator.step(system, 0.1);
+            }
+
+            const drift = Math.abs((integrator.totalEnergy(system) - before) / before);
+            assert.ok(drift < 1e-4, `energy drifted by ${drift}`);
+            assert.ok(Math.abs(distance(system[0].position, system[1].position) - 100) < 1);
+        });
+
+        it('should take more substeps for close encounters', () => {
+            const far = integrator.step([
+                body('sun', MOTION_MODE.STATIC, GM, { x: 0, y: 0, z: 0 }),
+                body('rock', MOTION_MODE.SIMULATED, 1, { x: 100, y: 0, z: 0 })
+            ], 0.1);
+            const near = integrator.step([
+                body('sun', MOTION_MODE.STATIC, GM, { x: 0, y: 0, z: 0 }),
+                body('rock', MOTION_MODE.SIMULATED, 1, { x: 1, y: 0, z: 0 })
+            ], 0.1);
+
+            assert.strictEqual(far.substeps, 1);
+            assert.ok(near.substeps > far.substeps);
+            assert.ok(near.substeps <= integrator.config.maxSubsteps);
+        });
+
+        it('should not move static or anchored bodies', () => {
+            const system = createSystem();
+            system[1].anchored = true;
+
+            integrator.step(system, 1);
+
+            assert.deepStrictEqual(system[0].position, { x: 0, y: 0, z: 0 });
+            assert.deepStrictEqual(system[1].position, { x: 100, y: 0, z: 0 });
+        });
+    });
+
+    describe('determinism', () => {
+        it('should produce identical orbits regardless of input order', () => {
+            const first = createSystem();
+            const second = createSystem().reverse();
+
+            for (let i = 0; i < 2000; i++) {
+                integrator.step(first, 0.1);
+                integrator.step(second, 0.1);
+            }
+
+            const snapshot = bodies => JSON.stringify([...bodies].sort((a, b) => (a.id < b.id ? -1 : 1)));
+            assert.strictEqual(snapshot(first), snapshot(second));
+        });
+    });
+
+    describe('body physics system', () => {
+        function createMockDB(rows) {
+            const updates = new Map();
+
+            return {
+                updates,
+                pool: {
+                    async query(sql) {
+                        if (sql.includes('FROM celestial_bodies cb')) {
+                            return { rows: rows.map(row => ({ ...row })) };
+                        }
+                        throw new Error(`Unexpected query: ${sql}`);
+                    }
+                },
+                async updateCelestialBodyPhysics(bodyId, physics) {
+                    updates.set(bodyId, physics);
+                }
+            };
+        }
+
+        function row(bodyId, overrides = {}) {
+            return {
+                body_id: bodyId,
+                megachunk_id: 'mc-1',
+                mx: 0, my: 0, mz: 0,
+                in_active_megachunk: true,
+                local_x: 128, local_y: 128, local_z: 128,
+                velocity_x: 0, velocity_y: 0, velocity_z: 0,
+                rotation_x: 0, rotation_y: 0, rotation_z: 0, rotation_w: 1,
+                angular_velocity_x: 0, angular_velocity_y: 0, angular_velocity_z: 0,
+                mass: 1,
+                gravity_multiplier: 1,
+                motion_mode: 'simulated',
+                parent_body_id: null,
+                ...overrides
+            };
+        }
+
+        it('should save rails bodies with their mean anomaly and skip inactive parents', async () => {
+            const db = createMockDB([
+                row('moon', {
+                    mx: 1,
+                    motion_mode: 'kepler',
+                    parent_body_id: 'planet',
+                    orbit_semi_major_axis: 20,
+                    orbit_eccentricity: 0,
+                    orbit_inclination: 0,
+                    orbit_longitude_ascending_node: 0,
+                    orbit_argument_periapsis: 0,
+                    orbit_mean_anomaly: 0
+                }),
+                row('planet', { mx: 1, in_active_megachunk: false, mass: 1000, local_x: 0 })
+            ]);
+            const physics = new BodyPhysicsSystem(db);
+            physics.integrator = new OrbitalIntegrator({ gravitationalConstant: 1 });
+
+            await physics.tick();
+
+            const moon = db.updates.get('moon');
+            assert.strictEqual(db.updates.has('planet'), false);
+            assert.ok(moon.orbitMeanAnomaly > 0);
+            assert.ok(Math.abs(moon.localX - 20 * Math.cos(moon.orbitMeanAnomaly)) < 1e-9);
+            assert.strictEqual(physics.getStats().keplerBodies, 1);
+        });
+    });
+});
@@ -0,0 +1,230 @@
+/**
+ * SHIP FLIGHT UNIT TESTS
+ * ======================
+ */
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import { ShipFlightSystem, createShipInstance, clampInput } from '../../../src/physics/shipFlight.js';
+import { ShipInstance } from '../../../../src/gameplay/vehicles/ShipManager.js';
+import { ShipConfig, SHIP_STATE } from '../../../../src/gameplay/vehicles/ShipConfig.js';
+
+function shipRow(overrides = {}) {
+    return {
+        ship_id: 'ship-1',
+        name: 'Test Ship',
+        owner_id: 'owner-1',
+        megachunk_id: 'mc-1',
+        state: 'inactive',
+        pilot_id: null,
+        position_x: 0, position_y: 0, position_z: 0,
+        velocity_x: 0, velocity_y: 0, velocity_z: 0,
+        rotation_x: 0, rotation_y: 0, rotation_z: 0, rotation_w: 1,
+        angular_velocity_x: 0, angular_velocity_y: 0, angular_velocity_z: 0,
+        mass: 100,
+        total_thrust: 200,
+        fuel_capacity: 100,
+        current_fuel: 100,
+        gyroscope_strength: 0,
+        thrusters: [
+            { position: { x: 0, y: 0, z: -1 }, power: 100, fuelConsumption: 1 },
+            { position: { x: 1, y: 0, z: -1 }, power: 100, fuelConsumption: 1 }
+        ],
+        ...overrides
+    };
+}
+
+describe('Ship Flight System', () => {
+    let flight;
+    let mockDB;
+    let broadcasts;
+
+    beforeEach(() => {
+        broadcasts = [];
+        mockDB = {
+            updates: [],
+            async getShipsInFlight() {
+                return [];
+            },
+            async updateShipState(shipId, updates) {
+                this.updates.push({ shipId, updates });
+                return updates;
+            }
+        };
+        const wsServer = {
+            broadcastToMegachunk(megachunkId, message, excludeConnectionId) {
+                broadcasts.push({ megachunkId, message, excludeConnectionId });
+            }
+        };
+        flight = new ShipFlightSystem(mockDB, wsServer, { tickRate: 20, persistIntervalTicks: 5 });
+    });
+
+    describe('clampInput', () => {
+        it('should clamp inputs to [-1, 1]', () => {
+            assert.strictEqual(clampInput(5), 1);
+            assert.strictEqual(clampInput(-3), -1);
+            assert.strictEqual(clampInput(0.5), 0.5);
+        });
+
+        it('should treat non-numeric input as zero', () => {
+            assert.strictEqual(clampInput('1'), 0);
+            assert.strictEqual(clampInput(NaN), 0);
+            assert.strictEqual(clampInput(Infinity), 0);
+            assert.strictEqual(clampInput(undefined), 0);
+        });
+    });
+
+    describe('createShipInstance', () => {
+        it('should build config from the database row', () => {
+            const ship = createShipInstance(shipRow());
+
+            assert.strictEqual(ship.shipId, 'ship-1');
+            assert.strictEqual(ship.config.totalThrust, 200);
+            assert.strictEqual(ship.config.totalFuelConsumption, 2);
+            assert.strictEqual(ship.config.getAcceleration(), 2);
+            assert.strictEqual(ship.currentFuel, 100);
+        });
+    });
+
+    describe('applyInput', () => {
+        it('should only accept inputs from the pilot', () => {
+            flight.setPilot(shipRow(), 'pilot-1');
+
+            const result = flight.applyInput('ship-1', 'intruder', { throttle: 1 });
+
+            assert.strictEqual(result.accepted, false);
+            assert.strictEqual(flight.ships.get('ship-1').instance.throttle, 0);
+            assert.strictEqual(flight.rejectedInputs, 1);
+        });
+
+        it('should drop out-of-order input sequences', () => {
+            flight.setPilot(shipRow(), 'pilot-1');
+
+            flight.applyInput('ship-1', 'pilot-1', { throttle: 1, sequence: 5 });
+            const stale = flight.applyInput('ship-1', 'pilot-1', { throttle: -1, sequence: 4 });
+
+            assert.strictEqual(stale.accepted, false);
+            assert.strictEqual(flight.ships.get('ship-1').instance.throttle, 1);
+        });
+
+        it('should ignore client-reported position, velocity and fuel', () => {
+            flight.setPilot(shipRow(), 'pilot-1');
+
+            flight.applyInput('ship-1', 'pilot-1', {
+                throttle: 10,
+                position: { x: 9999, y: 0, z: 0 },
+                velocity: { x: 9999, y: 0, z: 0 },
+                currentFuel: 1e9
+            });
+
+            const state = flight.getShipState('ship-1');
+            assert.deepStrictEqual(state.position, { x: 0, y: 0, z: 0 });
+            assert.strictEqual(state.currentFuel, 100);
+            assert.strictEqual(state.throttle, 1);
+        });
+    });
+
+    describe('step', () => {
+        it('should match client-side ShipInstance integration', () => {
+            flight.setPilot(shipRow(), 'pilot-1');
+            flight.applyInput('ship-1', 'pilot-1', { throttle: 1, yaw: 0.5, sequence: 1 });
+
+            // Reference: the client simulation with the same config and inputs
+            const config = new ShipConfig({ mass: 100, fuelCapacity: 100, totalThrust: 200, totalFuelConsumption: 2 });
+            const client = new ShipInstance(config);
+            client.currentFuel = 100;
+            client.state = SHIP_STATE.PILOTED;
+            client.throttle = 1;
+            client.yaw = 0.5;
+
+            for (let i = 0; i < 20; i++) {
+                flight.step(0.05);
+                client.update(0.05);
+            }
+
+            const server = flight.ships.get('ship-1').instance;
+            assert.deepStrictEqual(server.position, client.position);
+            assert.deepStrictEqual(server.rotation, client.rotation);
+            assert.strictEqual(server.currentFuel, client.currentFuel);
+            assert.ok(server.currentFuel < 100);
+        });
+
+        it('should zero inputs when the pilot stops sending them', () => {
+            flight = new ShipFlightSystem(mockDB, null, { inputTimeout: 0 });
+            flight.setPilot(shipRow(), 'pilot-1');
+            flight.applyInput('ship-1', 'pilot-1', { throttle: 1 });
+            flight.ships.get('ship-1').lastInputAt = Date.now() - 10;
+
+            flight.step(0.05);
+
+            assert.strictEqual(flight.ships.get('ship-1').instance.throttle, 0);
+        });
+
+        it('should not thrust without fuel', () => {
+            flight.setPilot(shipRow({ current_fuel: 0 }), 'pilot-1');
+            flight.applyInput('ship-1', 'pilot-1', { throttle: 1 });
+
+            flight.step(0.05);
+
+            assert.deepStrictEqual(flight.getShipState('ship-1').velocity, { x: 0, y: 0, z: 0 });
+        });
+
+        it('should bring slow drifting ships to rest', () => {
+            flight.track(shipRow({ state: 'drifting', velocity_x: 0.001 }));
+
+            const rested = flight.step(0.05);
+
+            assert.deepStrictEqual(rested, ['ship-1']);
+            assert.strictEqual(flight.ships.get('ship-1').instance.state, SHIP_STATE.INACTIVE);
+        });
+    });
+
+    describe('releasePilot', () => {
+        it('should leave a moving ship drifting', () => {
+            flight.setPilot(shipRow({ velocity_z: 10 }), 'pilot-1');
+            flight.applyInput('ship-1', 'pilot-1', { throttle: 1 });
+
+            const state = flight.releasePilot('ship-1');
+
+            assert.strictEqual(state.state, SHIP_STATE.DRIFTING);
+            assert.strictEqual(state.pilotId, null);
+            assert.strictEqual(state.throttle, 0);
+        });
+
+        it('should return null for ships not in flight', () => {
+            assert.strictEqual(flight.releasePilot('unknown'), null);
+        });
+    });
+
+    describe('tick', () => {
+        it('should broadcast authoritative state to the whole megachunk', async () => {
+            flight.setPilot(shipRow(), 'pilot-1');
+            flight.applyInput('ship-1', 'pilot-1', { throttle: 1, sequence: 7 });
+
+            await flight.tick();
+
+            assert.strictEqual(broadcasts.length, 1);
+            const { megachunkId, message, excludeConnectionId } = broadcasts[0];
+            assert.strictEqual(megachunkId, 'mc-1');
+            assert.strictEqual(excludeConnectionId, undefined);
+            assert.strictEqual(message.type, 'ship_state');
+            assert.strictEqual(message.inputSequence, 7);
+            assert.ok(message.velocity.z > 0);
+        });
+
+        it('should persist periodically and untrack rested ships', async () => {
+            flight.setPilot(shipRow(), 'pilot-1');
+            flight.track(shipRow({ ship_id: 'ship-2', state: 'drifting' }));
+
+            await flight.tick();
+
+            assert.strictEqual(flight.ships.has('ship-2'), false);
+            assert.deepStrictEqual(mockDB.updates.map(u => u.shipId), ['ship-2']);
+
+            for (let i = 0; i < 4; i++) {
+                await flight.tick();
+            }
+            assert.ok(mockDB.updates.some(u => u.shipId === 'ship-1' && u.updates.state === 'piloted'));
+        });
+    });
+});
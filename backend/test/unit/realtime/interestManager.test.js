@@ -0,0 +1,217 @@
+/**
+ * INTEREST MANAGER UNIT TESTS
+ * ===========================
+ */
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import { InterestManager, ENTITY_KIND, INTEREST_CONFIG } from '../../../src/realtime/interestManager.js';
+import { PlayerStateManager } from '../../../src/realtime/PlayerStateManager.js';
+import { createDamageUpdateHandler } from '../../../src/websocket/handlers/damage.js';
+
+function createMockServer() {
+    return {
+        sent: [],
+        bodyBroadcasts: [],
+        clients: new Map(),
+        sendToClient(connectionId, message) {
+            this.sent.push({ connectionId, message });
+            return true;
+        },
+        broadcastToBody(bodyId, message, excludeConnectionId) {
+            this.bodyBroadcasts.push({ bodyId, message, excludeConnectionId });
+        },
+        getClient(connectionId) {
+            return this.clients.get(connectionId) || null;
+        },
+        take(type) {
+            const messages = this.sent.filter(s => s.message.type === type);
+            this.sent = this.sent.filter(s => s.message.type !== type);
+            return messages;
+        }
+    };
+}
+
+describe('Interest Manager', () => {
+    let wsServer;
+    let interest;
+    let players;
+
+    function join(playerId, position, bodyId = 'body-1') {
+        players.addPlayer(playerId, `conn-${playerId}`, playerId);
+        players.updatePlayer(playerId, { position, bodyId });
+    }
+
+    function move(playerId, position) {
+        players.updatePlayer(playerId, { position });
+    }
+
+    function entered(connectionId) {
+        return wsServer.take('interest_update')
+            .filter(s => s.connectionId === connectionId)
+            .flatMap(s => s.message.enter.map(e => `${e.kind}:${e.id}`));
+    }
+
+    beforeEach(() => {
+        wsServer = createMockServer();
+        interest = new InterestManager(wsServer);
+        players = new PlayerStateManager(wsServer, {}, { interest });
+    });
+
+    describe('players', () => {
+        it('should exchange enter events as soon as a player reports a position', () => {
+            join('p1', { x: 0, y: 0, z: 0 });
+            join('p2', { x: 100, y: 0, z: 0 });
+
+            const updates = wsServer.take('interest_update');
+            const toP1 = updates.find(u => u.connectionId === 'conn-p1').message;
+            const toP2 = updates.find(u => u.connectionId === 'conn-p2').message;
+
+            assert.strictEqual(toP1.enter[0].id, 'p2');
+            assert.strictEqual(toP1.enter[0].state.username, 'p2');
+            assert.strictEqual(toP2.enter[0].id, 'p1');
+        });
+
+        it('should not include players out of range or on other bodies', () => {
+            join('p1', { x: 0, y: 0, z: 0 });
+            join('far', { x: 5000, y: 0, z: 0 });
+            join('other-body', { x: 10, y: 0, z: 0 }, 'body-2');
+            interest.refresh();
+
+            assert.deepStrictEqual(interest.getInterestSet('conn-p1'), []);
+        });
+
+        it('should leave only beyond the hysteresis margin', () => {
+            const radius = INTEREST_CONFIG.RADIUS[ENTITY_KIND.PLAYER];
+            join('p1', { x: 0, y: 0, z: 0 });
+            join('p2', { x: 100, y: 0, z: 0 });
+            wsServer.take('interest_update');
+
+            move('p2', { x: radius * 1.05, y: 0, z: 0 });
+            interest.refresh();
+            assert.strictEqual(wsServer.take('interest_update').length, 0);
+
+            move('p2', { x: radius * 1.2, y: 0, z: 0 });
+            interest.refresh();
+            const leave = wsServer.take('interest_update').find(u => u.connectionId === 'conn-p1').message.leave;
+            assert.deepStrictEqual(leave, [{ kind: 'player', id: 'p2' }]);
+        });
+
+        it('should tell watchers when a player disconnects', () => {
+            join('p1', { x: 0, y: 0, z: 0 });
+            join('p2', { x: 100, y: 0, z: 0 });
+            wsServer.take('interest_update');
+
+            players.removePlayer('p2');
+
+            const [update] = wsServer.take('interest_update');
+            assert.strictEqual(update.connectionId, 'conn-p1');
+            assert.deepStrictEqual(update.message.leave, [{ kind: 'player', id: 'p2' }]);
+            assert.strictEqual(interest.getWatchers(ENTITY_KIND.PLAYER, 'p1').size, 0);
+        });
+
+        it('should only send position batches to watchers', () => {
+            join('p1', { x: 0, y: 0, z: 0 });
+            join('p2', { x: 10, y: 0, z: 0 });
+            join('p3', { x: 0, y: 0, z: 0 }, 'body-2');
+            players.tick(); // Flush the join updates
+            wsServer.sent = [];
+
+            move('p1', { x: 1, y: 0, z: 0 });
+            players.tick();
+
+            const recipients = wsServer.take('player_states_batch').map(s => s.connectionId);
+            assert.deepStrictEqual(recipients, ['conn-p2']);
+        });
+    });
+
+    describe('entities', () => {
+        beforeEach(() => {
+            join('pilot', { x: 0, y: 0, z: 0 });
+            join('near', { x: 5000, y: 0, z: 0 });
+            wsServer.sent = [];
+        });
+
+        it('should show a ship to its pilot immediately wherever it is', () => {
+            interest.updateEntity(ENTITY_KIND.SHIP, 'ship-1', {
+                position: { x: 5000, y: 0, z: 0 },
+                pinnedTo: 'pilot',
+                state: { shipId: 'ship-1' }
+            });
+
+            assert.deepStrictEqual(entered('conn-pilot'), ['ship:ship-1']);
+        });
+
+        it('should show ships to nearby players on refresh and route state to watchers', () => {
+            interest.updateEntity(ENTITY_KIND.SHIP, 'ship-1', {
+                position: { x: 5100, y: 0, z: 0 },
+                state: { shipId: 'ship-1' }
+            });
+            interest.refresh();
+
+            assert.deepStrictEqual(entered('conn-near'), ['ship:ship-1']);
+            assert.strictEqual(interest.sendToWatchers(ENTITY_KIND.SHIP, 'ship-1', { type: 'ship_state' }), 1);
+            assert.strictEqual(wsServer.take('ship_state')[0].connectionId, 'conn-near');
+        });
+
+        it('should use per-kind radii', () => {
+            const radius = INTEREST_CONFIG.RADIUS[ENTITY_KIND.DEBRIS];
+            interest.updateEntity(ENTITY_KIND.DEBRIS, 'close', { position: { x: 5000 + radius - 50, y: 0, z: 0 } });
+            interest.updateEntity(ENTITY_KIND.DEBRIS, 'far', { position: { x: 5000 + radius + 50, y: 0, z: 0 } });
+            interest.refresh();
+
+            assert.deepStrictEqual(interest.getInterestSet('conn-near'), [{ kind: 'debris', id: 'close' }]);
+        });
+
+        it('should send leave events when an entity is removed', () => {
+            interest.updateEntity(ENTITY_KIND.SHIP, 'ship-1', { position: { x: 5000, y: 0, z: 0 } });
+            interest.refresh();
+            wsServer.take('interest_update');
+
+            interest.removeEntity(ENTITY_KIND.SHIP, 'ship-1');
+
+            const [update] = wsServer.take('interest_update');
+            assert.deepStrictEqual(update.message.leave, [{ kind: 'ship', id: 'ship-1' }]);
+            assert.strictEqual(interest.getStats().entities, 0);
+        });
+    });
+
+    describe('events', () => {
+        it('should return null when the acting player has no known position', () => {
+            assert.strictEqual(interest.broadcastNearPlayer('ghost', 100, { type: 'chat' }), null);
+        });
+
+        it('should route damage updates to players near the builder', async () => {
+            join('builder', { x: 0, y: 0, z: 0 });
+            join('neighbour', { x: 50, y: 0, z: 0 });
+            join('distant', { x: INTEREST_CONFIG.DAMAGE_RADIUS + 100, y: 0, z: 0 });
+            wsServer.clients.set('conn-builder', { playerId: 'builder', isAuthenticated: true, trustScore: 0.5 });
+            wsServer.sent = [];
+
+            const handler = createDamageUpdateHandler({
+                recordDamageMapEntry: async () => ({ damage_id: 'd1' })
+            }, interest);
+            await handler('conn-builder', {
+                bodyId: 'body-1', voxelX: 1, voxelY: 2, voxelZ: 3, changeType: 'add', voxelType: 1
+            }, wsServer);
+
+            const recipients = wsServer.take('damage_update').map(s => s.connectionId);
+            assert.deepStrictEqual(recipients, ['conn-neighbour']);
+            assert.strictEqual(wsServer.bodyBroadcasts.length, 0);
+        });
+
+        it('should fall back to the body broadcast without a known builder position', async () => {
+            wsServer.clients.set('conn-x', { playerId: 'x', isAuthenticated: true });
+
+            const handler = createDamageUpdateHandler({
+                recordDamageMapEntry: async () => ({ damage_id: 'd1' })
+            }, interest);
+            await handler('conn-x', {
+                bodyId: 'body-1', voxelX: 1, voxelY: 2, voxelZ: 3, changeType: 'remove'
+            }, wsServer);
+
+            assert.strictEqual(wsServer.bodyBroadcasts.length, 1);
+            assert.strictEqual(wsServer.bodyBroadcasts[0].excludeConnectionId, 'conn-x');
+        });
+    });
+});
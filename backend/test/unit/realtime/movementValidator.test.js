@@ -0,0 +1,262 @@
+/**
+ * MOVEMENT VALIDATOR UNIT TESTS
+ * =============================
+ */
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import {
+    MovementValidator,
+    MOVEMENT_CONFIG,
+    VIOLATION_TYPE,
+    calculateMovementPenalty
+} from '../../../src/realtime/movementValidator.js';
+import { GravitationalShapeConfig } from '../../../../src/config/GravitationalShapeConfig.js';
+
+const T0 = 1000000;
+
+describe('Movement Validator', () => {
+    let validator;
+    let ships;
+
+    beforeEach(() => {
+        ships = new Map();
+        validator = new MovementValidator({
+            getShipState: (shipId) => ships.get(shipId) || null,
+            config: { ALLOW_FLIGHT: false }
+        });
+        validator.reset('p1', { x: 0, y: 0, z: 0 }, T0);
+    });
+
+    describe('speed', () => {
+        it('should accept walking speed', () => {
+            const result = validator.validateMove('p1', { x: 0.25, y: 0, z: 0 }, { now: T0 + 50 });
+
+            assert.strictEqual(result.valid, true);
+        });
+
+        it('should reject moves faster than elapsed time allows and rubber-band', () => {
+            const result = validator.validateMove('p1', { x: 50, y: 0, z: 0 }, { now: T0 + 100 });
+
+            assert.strictEqual(result.valid, false);
+            assert.strictEqual(result.violations[0].type, VIOLATION_TYPE.SPEED);
+            assert.deepStrictEqual(result.correction, { x: 0, y: 0, z: 0 });
+        });
+
+        it('should not let a quiet client save up distance', () => {
+            // 60 seconds of silence only buys MAX_ELAPSED_MS of movement
+            const result = validator.validateMove('p1', { x: 100, y: 0, z: 0 }, { now: T0 + 60000 });
+
+            assert.strictEqual(result.valid, false);
+        });
+
+        it('should allow flying speed for players who may fly', () => {
+            const position = { x: MOVEMENT_CONFIG.FLY_SPEED, y: 0, z: 0 };
+
+            assert.strictEqual(validator.validateMove('p1', position, { now: T0 + 1000, canFly: true }).valid, true);
+        });
+
+        it('should use the first report of an unknown player as baseline', () => {
+            const result = validator.validateMove('p2', { x: 5000, y: 10, z: 5000 }, { now: T0 });
+
+            assert.strictEqual(result.valid, true);
+            assert.strictEqual(validator.validateMove('p2', { x: 5000.2, y: 10, z: 5000 }, { now: T0 + 50 }).valid, true);
+        });
+    });
+
+    describe('gravity', () => {
+        it('should reject ascending faster than a jump', () => {
+            const result = validator.validateMove('p1', { x: 0, y: 5, z: 0 }, { now: T0 + 100 });
+
+            assert.strictEqual(result.valid, false);
+            assert.strictEqual(result.violations[0].type, VIOLATION_TYPE.FLIGHT);
+        });
+
+        it('should reject climbing higher than a jump while airborne', () => {
+            let now = T0;
+            let y = 0;
+            let result;
+            for (let i = 0; i < 10; i++) {
+                now += 100;
+                y += 0.5;
+                result = validator.validateMove('p1', { x: 0, y, z: 0 }, { now, grounded: false });
+                if (!result.valid) break;
+            }
+
+            assert.strictEqual(result.valid, false);
+            assert.strictEqual(result.violations[0].type, VIOLATION_TYPE.FLIGHT);
+        });
+
+        it('should detect hovering', () => {
+            let result;
+            for (let now = T0 + 100; now <= T0 + 3000; now += 100) {
+                result = validator.validateMove('p1', { x: 0, y: 0.5, z: 0 }, { now, grounded: false });
+                if (!result.valid) break;
+            }
+
+            assert.strictEqual(result.valid, false);
+            assert.strictEqual(result.violations[0].type, VIOLATION_TYPE.HOVER);
+        });
+
+        it('should allow a normal jump and landing', () => {
+            const arc = [0.6, 1.0, 0.9, 0.4, 0];
+            arc.forEach((y, i) => {
+                const result = validator.validateMove('p1', { x: 0, y, z: 0 }, {
+                    now: T0 + (i + 1) * 100,
+                    grounded: i === arc.length - 1
+                });
+                assert.strictEqual(result.valid, true, `step ${i}`);
+            });
+        });
+    });
+
+    describe('planet gravity', () => {
+        beforeEach(() => {
+            // Standing on the +X side of a planet centred on the origin
+            const planet = new GravitationalShapeConfig('point', { center: { x: 0, y: 0, z: 0 } });
+            validator = new MovementValidator({
+                getGravity: (playerId) => playerId === 'p1' ? planet : null,
+                config: { ALLOW_FLIGHT: false }
+            });
+            validator.reset('p1', { x: 100, y: 0, z: 0 }, T0);
+        });
+
+        it('should measure ascent away from the centre', () => {
+            const result = validator.validateMove('p1', { x: 105, y: 0, z: 0 }, { now: T0 + 100 });
+
+            assert.strictEqual(result.valid, false);
+            assert.strictEqual(result.violations[0].type, VIOLATION_TYPE.FLIGHT);
+        });
+
+        it('should treat world +Y as horizontal on the side of the planet', () => {
+            const walk = validator.validateMove('p1', { x: 100, y: 0.25, z: 0 }, { now: T0 + 50 });
+            const dash = validator.validateMove('p1', { x: 100, y: 50, z: 0 }, { now: T0 + 150 });
+
+            assert.strictEqual(walk.valid, true);
+            assert.strictEqual(dash.valid, false);
+            assert.deepStrictEqual(dash.violations.map(v => v.type), [VIOLATION_TYPE.SPEED]);
+        });
+
+        it('should allow a radial jump and detect hovering above takeoff', () => {
+            const arc = [0.6, 1.0, 0.9, 0.4, 0];
+            arc.forEach((height, i) => {
+                const result = validator.validateMove('p1', { x: 100 + height, y: 0, z: 0 }, {
+                    now: T0 + (i + 1) * 100,
+                    grounded: i === arc.length - 1
+                });
+                assert.strictEqual(result.valid, true, `step ${i}`);
+            });
+
+            let result;
+            for (let now = T0 + 600; now <= T0 + 4000; now += 100) {
+                result = validator.validateMove('p1', { x: 100.5, y: 0, z: 0 }, { now, grounded: false });
+                if (!result.valid) break;
+            }
+            assert.strictEqual(result.violations[0].type, VIOLATION_TYPE.HOVER);
+        });
+    });
+
+    describe('ships', () => {
+        it('should let passengers move with their ship', () => {
+            ships.set('ship-1', { velocity: { x: 100, y: 20, z: 0 } });
+            validator.setShip('p1', 'ship-1');
+
+            const result = validator.validateMove('p1', { x: 10.2, y: 2, z: 0 }, { now: T0 + 100 });
+
+            assert.strictEqual(result.valid, true);
+        });
+
+        it('should not apply ship motion to players who left', () => {
+            ships.set('ship-1', { velocity: { x: 100, y: 0, z: 0 } });
+            validator.setShip('p1', 'ship-1');
+            validator.setShip('p1', null);
+
+            assert.strictEqual(validator.validateMove('p1', { x: 10, y: 0, z: 0 }, { now: T0 + 100 }).valid, false);
+        });
+    });
+
+    describe('teleports', () => {
+        it('should allow admins', () => {
+            const result = validator.authorizeTeleport('p1', { x: 500, y: 0, z: 500 }, { isAdmin: true, now: T0 });
+
+            assert.strictEqual(result.allowed, true);
+            assert.strictEqual(validator.validateMove('p1', { x: 500.2, y: 0, z: 500 }, { now: T0 + 50 }).valid, true);
+        });
+
+        it('should send portal users to the portal exit', () => {
+            validator.registerPortal('portal-1', {
+                entrance: { x: 2, y: 0, z: 0 },
+                exit: { x: 1000, y: 50, z: 0 }
+            });
+
+            const result = validator.authorizeTeleport('p1', { x: 0, y: 9999, z: 0 }, { portalId: 'portal-1', now: T0 });
+
+            assert.strictEqual(result.allowed, true);
+            assert.deepStrictEqual(result.destination, { x: 1000, y: 50, z: 0 });
+        });
+
+        it('should deny portals out of range', () => {
+            validator.registerPortal('portal-1', {
+                entrance: { x: 100, y: 0, z: 0 },
+                exit: { x: 1000, y: 50, z: 0 }
+            });
+
+            const result = validator.authorizeTeleport('p1', { x: 1000, y: 50, z: 0 }, { portalId: 'portal-1', now: T0 });
+
+            assert.strictEqual(result.allowed, false);
+            assert.deepStrictEqual(result.correction, { x: 0, y: 0, z: 0 });
+        });
+
+        it('should honour a server grant once', () => {
+            validator.grantTeleport('p1', { x: 300, y: 10, z: 0 }, 'respawn', T0);
+
+            const first = validator.authorizeTeleport('p1', { x: 300.5, y: 10, z: 0 }, { now: T0 + 10 });
+            const second = validator.authorizeTeleport('p1', { x: 300, y: 10, z: 0 }, { now: T0 + 20 });
+
+            assert.strictEqual(first.allowed, true);
+            assert.strictEqual(first.reason, 'respawn');
+            assert.strictEqual(second.allowed, false);
+        });
+
+        it('should deny expired grants and unpermitted teleports', () => {
+            validator.grantTeleport('p1', { x: 300, y: 10, z: 0 }, 'respawn', T0);
+
+            const result = validator.authorizeTeleport('p1', { x: 300, y: 10, z: 0 }, {
+                now: T0 + MOVEMENT_CONFIG.TELEPORT_GRANT_TTL_MS + 1
+            });
+
+            assert.strictEqual(result.allowed, false);
+            assert.strictEqual(validator.getViolationSummary('p1', T0).counts.unauthorized_teleport, 1);
+        });
+    });
+
+    describe('violations', () => {
+        it('should not record stale updates sent before a correction arrived', () => {
+            validator.validateMove('p1', { x: 50, y: 0, z: 0 }, { now: T0 + 100 });
+            validator.validateMove('p1', { x: 51, y: 0, z: 0 }, { now: T0 + 150 });
+
+            assert.strictEqual(validator.getViolationSummary('p1', T0 + 150).counts.speed, 1);
+        });
+
+        it('should report players once their weight reaches the penalty threshold', () => {
+            for (let i = 0; i < 4; i++) {
+                validator.authorizeTeleport('p1', { x: 1000, y: 0, z: 0 }, { now: T0 + i });
+            }
+
+            const reports = validator.takePenaltyReports(T0 + 10);
+
+            assert.strictEqual(reports.length, 1);
+            assert.strictEqual(reports[0].playerId, 'p1');
+            assert.strictEqual(reports[0].weight, 12);
+            assert.ok(reports[0].penalty > 0);
+
+            // Already penalised violations are not reported again
+            assert.strictEqual(validator.takePenaltyReports(T0 + 20).length, 0);
+        });
+
+        it('should cap the trust penalty', () => {
+            assert.strictEqual(calculateMovementPenalty(1), 0);
+            assert.strictEqual(calculateMovementPenalty(10000), MOVEMENT_CONFIG.MAX_PENALTY);
+        });
+    });
+});
@@ -0,0 +1,184 @@
+/**
+ * SCHEMATIC REVISIONS UNIT TESTS
+ * ==============================
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { deflateSync } from 'zlib';
+import { NBT } from '../../../../src/serialization/formats/NBT.js';
+import { MVoxFile } from '../../../../src/serialization/formats/MVoxFile.js';
+import {
+    decodeRevision,
+    toPositionMap,
+    loadRevisionVoxels,
+    writeRevisionVoxels,
+    diffVoxels,
+    mergeVoxels,
+    findCommonAncestor,
+    voxelBounds
+} from '../../../src/schematics/revisions.js';
+
+function voxelMap(entries) {
+    return new Map(entries.map(([key, color, extra = {}]) => [key, { color, ...extra }]));
+}
+
+function sourceFile(metadata = {}) {
+    return new MVoxFile('build', new Map(), metadata);
+}
+
+describe('Schematic Revisions', () => {
+    describe('revision files', () => {
+        it('should round-trip voxels with extra data', () => {
+            const voxels = voxelMap([
+                ['0,0,0', 0xFF0000, { semantics: 3 }],
+                ['1,2,3', 0x00FF00, { layerIndex: 1, data: { text: 'sign' } }]
+            ]);
+
+            const loaded = loadRevisionVoxels(writeRevisionVoxels(sourceFile({ name: 'test' }), voxels));
+            assert.strictEqual(loaded.mvoxFile.metadata.name, 'test');
+            assert.deepStrictEqual(loaded.mvoxFile.metadata.bounds, [2, 3, 4]);
+            assert.strictEqual(loaded.voxels.size, 2);
+            assert.strictEqual(loaded.voxels.get('1,2,3').layerIndex, 1);
+            assert.deepStrictEqual(loaded.voxels.get('1,2,3').data, { text: 'sign' });
+            assert.strictEqual(loaded.voxels.get('0,0,0').semantics, 3);
+        });
+
+        it('should use 10-bit keys for positions beyond 31', () => {
+            const loaded = loadRevisionVoxels(writeRevisionVoxels(sourceFile(), voxelMap([['40,0,200', 0x123456]])));
+            assert.strictEqual(loaded.mvoxFile.metadata.positionBits, 10);
+            assert.strictEqual(loaded.voxels.get('40,0,200').color, 0x123456);
+        });
+
+        it('should drop 10-bit keys when a merge shrinks the build', () => {
+            const wide = decodeRevision(writeRevisionVoxels(sourceFile(), voxelMap([['40,0,0', 1]])));
+            const narrow = decodeRevision(writeRevisionVoxels(wide, voxelMap([['4,0,0', 1]])));
+
+            assert.strictEqual(narrow.metadata.positionBits, undefined);
+            assert.ok(toPositionMap(narrow).has('4,0,0'));
+        });
+
+        it('should refuse builds beyond 10-bit keys', () => {
+            assert.throws(() => writeRevisionVoxels(sourceFile(), voxelMap([['1024,0,0', 1]])), /too large/);
+        });
+
+        it('should decode deflated palette/run sections', () => {
+            const section = deflateSync(NBT.write(NBT.compound({
+                paletteColors: NBT.intArray([0xAA0000, 0x00BB00]),
+                runGaps: NBT.intArray([0, 5]),
+                runLengths: NBT.intArray([2, 1]),
+                runPalette: NBT.intArray([0, 1])
+            }), { name: 'voxelData' }));
+            const data = Buffer.from(MVoxFile.assemble({ type: 'build', compression: 'deflate' }, section));
+
+            const parsed = decodeRevision(data);
+            assert.deepStrictEqual(Array.from(parsed.voxels.keys()), [0, 1, 7]);
+            assert.strictEqual(parsed.voxels.get(7).color, 0x00BB00);
+            assert.ok(toPositionMap(parsed).has('7,0,0'));
+        });
+
+        it('should reject files without a header separator', () => {
+            assert.throws(() => decodeRevision(Buffer.from('{"version":1}')), /separator/);
+        });
+    });
+
+    describe('diffVoxels', () => {
+        it('should report added, removed and changed voxels', () => {
+            const from = voxelMap([['0,0,0', 1], ['1,0,0', 2], ['2,0,0', 3]]);
+            const to = voxelMap([['0,0,0', 1], ['1,0,0', 9], ['3,0,0', 4]]);
+
+            const diff = diffVoxels(from, to);
+            assert.deepStrictEqual(diff.summary, { added: 1, removed: 1, changed: 1, unchanged: 1 });
+            assert.deepStrictEqual(diff.added[0], { x: 3, y: 0, z: 0, voxel: { color: 4 } });
+            assert.deepStrictEqual(diff.removed[0], { x: 2, y: 0, z: 0, voxel: { color: 3 } });
+            assert.strictEqual(diff.changed[0].from.color, 2);
+            assert.strictEqual(diff.changed[0].to.color, 9);
+            assert.strictEqual(diff.truncated, false);
+        });
+
+        it('should treat extra data changes as changes', () => {
+            const from = voxelMap([['0,0,0', 1, { data: { seed: 1n } }]]);
+            const to = voxelMap([['0,0,0', 1, { data: { seed: 2n } }]]);
+            assert.strictEqual(diffVoxels(from, to).summary.changed, 1);
+        });
+
+        it('should keep exact counts when truncating', () => {
+            const to = voxelMap([['0,0,0', 1], ['1,0,0', 1], ['2,0,0', 1]]);
+            const diff = diffVoxels(new Map(), to, { limit: 2 });
+            assert.strictEqual(diff.added.length, 2);
+            assert.strictEqual(diff.summary.added, 3);
+            assert.strictEqual(diff.truncated, true);
+        });
+    });
+
+    describe('mergeVoxels', () => {
+        const base = voxelMap([['0,0,0', 1], ['1,0,0', 2], ['2,0,0', 3]]);
+
+        it('should combine non-overlapping edits from both sides', () => {
+            const ours = voxelMap([['0,0,0', 5], ['1,0,0', 2], ['2,0,0', 3]]);
+            const theirs = voxelMap([['0,0,0', 1], ['1,0,0', 2], ['4,0,0', 7]]);
+
+            const merged = mergeVoxels(base, ours, theirs);
+            assert.strictEqual(merged.conflicts.length, 0);
+            assert.strictEqual(merged.voxels.get('0,0,0').color, 5);
+            assert.strictEqual(merged.voxels.has('2,0,0'), false);
+            assert.strictEqual(merged.voxels.get('4,0,0').color, 7);
+        });
+
+        it('should report conflicting edits and keep ours provisionally', () => {
+            const ours = voxelMap([['0,0,0', 5], ['1,0,0', 2], ['2,0,0', 3]]);
+            const theirs = voxelMap([['0,0,0', 6], ['1,0,0', 2]]);
+
+            const merged = mergeVoxels(base, ours, theirs);
+            assert.strictEqual(merged.conflicts.length, 1);
+            assert.deepStrictEqual(merged.conflicts[0], {
+                x: 0, y: 0, z: 0,
+                base: { color: 1 },
+                ours: { color: 5 },
+                theirs: { color: 6 }
+            });
+            assert.strictEqual(merged.voxels.get('0,0,0').color, 5);
+        });
+
+        it('should resolve conflicts with a strategy', () => {
+            const ours = voxelMap([['0,0,0', 5], ['1,0,0', 2], ['2,0,0', 3]]);
+            const theirs = voxelMap([['1,0,0', 2], ['2,0,0', 3]]);
+
+            const merged = mergeVoxels(base, ours, theirs, { strategy: 'theirs' });
+            assert.strictEqual(merged.conflicts.length, 0);
+            assert.strictEqual(merged.stats.resolved, 1);
+            assert.strictEqual(merged.voxels.has('0,0,0'), false);
+        });
+
+        it('should reject unknown strategies', () => {
+            assert.throws(() => mergeVoxels(base, base, base, { strategy: 'newest' }), /Unknown merge strategy/);
+        });
+    });
+
+    describe('findCommonAncestor', () => {
+        const graph = [
+            { revision_id: 'r1', parent_revision_id: null, merge_parent_revision_id: null },
+            { revision_id: 'r2', parent_revision_id: 'r1', merge_parent_revision_id: null },
+            { revision_id: 'r3', parent_revision_id: 'r2', merge_parent_revision_id: null },
+            { revision_id: 'f1', parent_revision_id: 'r2', merge_parent_revision_id: null },
+            { revision_id: 'm1', parent_revision_id: 'r3', merge_parent_revision_id: 'f1' },
+            { revision_id: 'f2', parent_revision_id: 'f1', merge_parent_revision_id: null }
+        ];
+
+        it('should find the fork point', () => {
+            assert.strictEqual(findCommonAncestor(graph, 'r3', 'f1'), 'r2');
+        });
+
+        it('should follow merge parents', () => {
+            assert.strictEqual(findCommonAncestor(graph, 'm1', 'f2'), 'f1');
+        });
+
+        it('should return null for unrelated revisions', () => {
+            assert.strictEqual(findCommonAncestor(graph, 'r3', 'other'), null);
+        });
+    });
+
+    it('should compute bounding size', () => {
+        assert.deepStrictEqual(voxelBounds(voxelMap([['0,4,1', 1], ['2,0,0', 1]])), [3, 5, 2]);
+    });
+});
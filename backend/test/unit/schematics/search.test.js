@@ -0,0 +1,116 @@
+/**
+ * SCHEMATIC SEARCH PARAMETER UNIT TESTS
+ * =====================================
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { VOXEL_TYPES } from '../../../../src/data/voxel/VoxelTypes.js';
+import {
+    SEARCH_LIMITS,
+    encodeCursor,
+    decodeCursor,
+    resolveBlockType,
+    parseSearchParams
+} from '../../../src/schematics/search.js';
+
+describe('Schematic Search', () => {
+    describe('cursors', () => {
+        it('should round-trip sort position', () => {
+            const id = '6f1c2b1e-0000-4000-8000-000000000001';
+            const cursor = encodeCursor('created_at', 'DESC', '2026-01-02 03:04:05.123456+00', id);
+            assert.deepStrictEqual(decodeCursor(cursor), {
+                s: 'created_at',
+                o: 'DESC',
+                v: '2026-01-02 03:04:05.123456+00',
+                id
+            });
+        });
+
+        it('should reject garbage cursors', () => {
+            assert.throws(() => decodeCursor('not-a-cursor'), /Invalid cursor/);
+            assert.throws(() => decodeCursor(Buffer.from('{"v":1}').toString('base64url')), /Invalid cursor/);
+        });
+    });
+
+    describe('resolveBlockType', () => {
+        it('should accept ids and type names', () => {
+            assert.strictEqual(resolveBlockType('control_panel'), VOXEL_TYPES.CONTROL_PANEL.id);
+            assert.strictEqual(resolveBlockType('42'), 42);
+            assert.strictEqual(resolveBlockType('NOT_A_BLOCK'), null);
+        });
+    });
+
+    describe('parseSearchParams', () => {
+        it('should default to newest first without a text query', () => {
+            const { filters, errors } = parseSearchParams({});
+            assert.deepStrictEqual(errors, []);
+            assert.strictEqual(filters.sortBy, 'created_at');
+            assert.strictEqual(filters.sortOrder, 'DESC');
+            assert.strictEqual(filters.limit, SEARCH_LIMITS.defaultLimit);
+            assert.strictEqual(filters.facets, true);
+        });
+
+        it('should sort by relevance when q is given', () => {
+            const { filters } = parseSearchParams({ q: '  space station ' });
+            assert.strictEqual(filters.text, 'space station');
+            assert.strictEqual(filters.sortBy, 'relevance');
+        });
+
+        it('should parse tag, range and block filters', () => {
+            const { filters, errors } = parseSearchParams({
+                tags: 'space,station',
+                allTags: ['ship'],
+                excludeTags: 'wip',
+                minSizeX: '8',
+                maxVoxelCount: '5000',
+                containsBlock: 'CONTROL_PANEL,THRUSTER_SMALL:4',
+                isShip: 'true'
+            });
+            assert.deepStrictEqual(errors, []);
+            assert.deepStrictEqual(filters.anyTags, ['space', 'station']);
+            assert.deepStrictEqual(filters.allTags, ['ship']);
+            assert.deepStrictEqual(filters.excludeTags, ['wip']);
+            assert.deepStrictEqual(filters.ranges, [
+                { column: 'size_x', operator: '>=', value: 8 },
+                { column: 'voxel_count', operator: '<=', value: 5000 }
+            ]);
+            assert.deepStrictEqual(filters.blockTypes, [
+                { typeId: VOXEL_TYPES.CONTROL_PANEL.id, minCount: 1 },
+                { typeId: VOXEL_TYPES.THRUSTER_SMALL.id, minCount: 4 }
+            ]);
+            assert.strictEqual(filters.isShip, true);
+        });
+
+        it('should report invalid parameters', () => {
+            const { errors } = parseSearchParams({
+                sortBy: 'relevance',
+                sortOrder: 'sideways',
+                minSizeY: '-1',
+                containsBlock: 'UNOBTAINIUM',
+                window: 'decade',
+                limit: '0'
+            });
+            assert.strictEqual(errors.length, 6);
+        });
+
+        it('should cap the page size', () => {
+            assert.strictEqual(parseSearchParams({ limit: '5000' }).filters.limit, SEARCH_LIMITS.maxLimit);
+        });
+
+        it('should only accept cursors for the same sort', () => {
+            const cursor = encodeCursor('name', 'ASC', 'Outpost', '6f1c2b1e-0000-4000-8000-000000000001');
+
+            const matching = parseSearchParams({ sortBy: 'name', cursor });
+            assert.deepStrictEqual(matching.errors, []);
+            assert.deepStrictEqual(matching.filters.cursor, {
+                value: 'Outpost',
+                schematicId: '6f1c2b1e-0000-4000-8000-000000000001'
+            });
+            assert.strictEqual(matching.filters.facets, false);
+
+            const mismatched = parseSearchParams({ sortBy: 'created_at', cursor });
+            assert.deepStrictEqual(mismatched.errors, ['cursor does not match sortBy/sortOrder']);
+        });
+    });
+});
@@ -0,0 +1,166 @@
+/**
+ * SCHEMATIC CONTENT VALIDATION UNIT TESTS
+ * =======================================
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { deflateSync } from 'zlib';
+import { MVoxFile } from '../../../../src/serialization/formats/MVoxFile.js';
+import { NBT } from '../../../../src/serialization/formats/NBT.js';
+import { SEMANTIC } from '../../../../src/data/Semantics.js';
+import { VOXEL_TYPES } from '../../../../src/data/voxel/VoxelTypes.js';
+import {
+    VALIDATION_ERROR,
+    validateSchematicFile,
+    validateSchematicMetadata
+} from '../../../src/schematics/validation.js';
+
+function buildFile(entries, metadata = {}) {
+    const bits = metadata.positionBits || 5;
+    const voxels = new Map();
+    for (const [x, y, z, voxel] of entries) {
+        voxels.set(MVoxFile.encodeKey(x, y, z, bits), voxel);
+    }
+    return new MVoxFile('build', voxels, { name: 'test', ...metadata });
+}
+
+function withSection(header, root, deflate = false) {
+    const section = NBT.write(NBT.compound(root), { name: 'voxelData' });
+    return Buffer.concat([
+        Buffer.from(JSON.stringify(header) + '\n'),
+        deflate ? deflateSync(section) : section
+    ]);
+}
+
+describe('Schematic Content Validation', () => {
+    describe('validateSchematicFile', () => {
+        it('should recompute bounds and voxel counts', () => {
+            const file = buildFile([
+                [1, 0, 2, { color: 0xFF0000, semantics: SEMANTIC.SOLID }],
+                [4, 3, 2, { color: 0x00FF00, semantics: SEMANTIC.SOLID | SEMANTIC.EMISSIVE }]
+            ], { bounds: [99, 99, 99] });
+
+            const result = validateSchematicFile(Buffer.from(file.encode()));
+            assert.strictEqual(result.valid, true);
+            assert.deepStrictEqual(result.stats.size, [4, 4, 1]);
+            assert.deepStrictEqual(result.stats.bounds.min, [1, 0, 2]);
+            assert.strictEqual(result.stats.voxelCount, 2);
+            assert.strictEqual(result.stats.emissiveCount, 1);
+            assert.strictEqual(result.stats.isShip, false);
+        });
+
+        it('should detect ship trigger blocks in deflated files', async () => {
+            const panel = VOXEL_TYPES.CONTROL_PANEL;
+            const thruster = VOXEL_TYPES.THRUSTER_SMALL;
+            const file = buildFile([
+                [0, 0, 0, { color: panel.color, semantics: panel.semantics, type: panel.id }],
+                [0, 0, 1, { color: thruster.color, semantics: thruster.semantics, type: thruster.id }],
+                [0, 0, 2, { color: thruster.color, semantics: thruster.semantics, type: thruster.id }]
+            ]);
+
+            const result = validateSchematicFile(Buffer.from(await file.encodeAsync({ compression: 'deflate' })));
+            assert.strictEqual(result.valid, true);
+            assert.strictEqual(result.stats.isShip, true);
+            assert.strictEqual(result.stats.controlPanelCount, 1);
+            assert.strictEqual(result.stats.thrusterCount, 2);
+            assert.strictEqual(result.stats.emissiveCount, 1);
+        });
+
+        it('should reject malformed headers', () => {
+            const result = validateSchematicFile(Buffer.from('not json\n'));
+            assert.strictEqual(result.valid, false);
+            assert.strictEqual(result.errors[0].code, VALIDATION_ERROR.MALFORMED_HEADER);
+        });
+
+        it('should only accept 5- or 10-bit position keys', () => {
+            const section = { positions: NBT.intArray([1]), colors: NBT.intArray([0xFF0000]) };
+
+            for (const positionBits of [5, 10]) {
+                assert.strictEqual(validateSchematicFile(withSection({ metadata: { positionBits } }, section)).valid, true);
+            }
+            for (const positionBits of [0, 7, 11, 32, -5, 5.5, '10', null]) {
+                const result = validateSchematicFile(withSection({ metadata: { positionBits } }, section));
+                assert.strictEqual(result.errors[0].code, VALIDATION_ERROR.MALFORMED_HEADER, `positionBits ${positionBits}`);
+                assert.match(result.errors[0].message, /positionBits/);
+            }
+        });
+
+        it('should reject truncated voxel sections', () => {
+            const data = Buffer.from(buildFile([[0, 0, 0, { color: 1 }]]).encode());
+            const result = validateSchematicFile(data.subarray(0, data.length - 6));
+            assert.strictEqual(result.errors[0].code, VALIDATION_ERROR.MALFORMED_VOXELS);
+        });
+
+        it('should reject invalid deflate streams', () => {
+            const data = Buffer.concat([Buffer.from('{"compression":"deflate"}\n'), Buffer.from([1, 2, 3, 4])]);
+            assert.strictEqual(validateSchematicFile(data).errors[0].code, VALIDATION_ERROR.MALFORMED_COMPRESSION);
+        });
+
+        it('should reject oversized files before decoding', () => {
+            const data = Buffer.from(buildFile([[0, 0, 0, { color: 1 }]]).encode());
+            const result = validateSchematicFile(data, { maxFileBytes: 16 });
+            assert.strictEqual(result.errors[0].code, VALIDATION_ERROR.FILE_TOO_LARGE);
+            assert.strictEqual(result.errors[0].actual, data.length);
+        });
+
+        it('should cap the inflated size', () => {
+            const data = withSection({ compression: 'deflate' }, {
+                padding: NBT.byteArray(new Array(4096).fill(0))
+            }, true);
+            const result = validateSchematicFile(data, { maxInflatedBytes: 1024 });
+            assert.strictEqual(result.errors[0].code, VALIDATION_ERROR.INFLATED_TOO_LARGE);
+        });
+
+        it('should reject run-length sections declaring too many voxels without expanding them', () => {
+            const data = withSection({ compression: 'rle' }, {
+                paletteColors: NBT.intArray([0xFFFFFF]),
+                runGaps: NBT.intArray([0]),
+                runLengths: NBT.intArray([0x7FFFFFFF]),
+                runPalette: NBT.intArray([0])
+            });
+            const result = validateSchematicFile(data);
+            assert.strictEqual(result.errors[0].code, VALIDATION_ERROR.TOO_MANY_VOXELS);
+            assert.strictEqual(result.errors[0].actual, 0x7FFFFFFF);
+        });
+
+        it('should reject empty schematics', () => {
+            const data = withSection({}, { positions: NBT.intArray([]), colors: NBT.intArray([]) });
+            assert.strictEqual(validateSchematicFile(data).errors[0].code, VALIDATION_ERROR.EMPTY_SCHEMATIC);
+        });
+
+        it('should reject schematics larger than the library allows', () => {
+            const file = buildFile([[0, 0, 0, { color: 1 }], [300, 0, 0, { color: 1 }]], { positionBits: 10 });
+            const result = validateSchematicFile(Buffer.from(file.encode()));
+            assert.strictEqual(result.errors[0].code, VALIDATION_ERROR.SIZE_EXCEEDED);
+            assert.deepStrictEqual(result.errors[0].actual, [301, 1, 1]);
+        });
+    });
+
+    describe('validateSchematicMetadata', () => {
+        it('should accept valid metadata', () => {
+            const errors = validateSchematicMetadata({
+                name: 'Outpost',
+                category: 'mining_outpost',
+                tags: ['space'],
+                spawnFrequency: 0.2
+            });
+            assert.deepStrictEqual(errors, []);
+        });
+
+        it('should report each invalid field', () => {
+            const errors = validateSchematicMetadata({
+                name: '',
+                category: 'Bad Category!',
+                tags: 'space',
+                spawnFrequency: 2
+            });
+            assert.deepStrictEqual(errors.map(e => e.field), ['name', 'category', 'tags', 'spawnFrequency']);
+            assert.ok(errors.every(e => e.code === VALIDATION_ERROR.INVALID_METADATA));
+        });
+
+        it('should only check present fields for partial updates', () => {
+            assert.deepStrictEqual(validateSchematicMetadata({ tags: ['a'] }, { partial: true }), []);
+        });
+    });
+});
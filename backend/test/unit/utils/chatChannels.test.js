@@ -0,0 +1,287 @@
+/**
+ * CHAT CHANNELS UNIT TESTS
+ * ========================
+ */
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import { ChatChannelManager, CHANNEL_CONFIG } from '../../../src/utils/chatChannels.js';
+import { ChatFilter, FilterMode } from '../../../src/utils/chatFilter.js';
+import { registerChatHandlers } from '../../../src/websocket/handlers/chat.js';
+import { PolymirWebSocketServer } from '../../../src/websocket/server.js';
+import { FactionManager } from '../../../../src/gameplay/factions/FactionManager.js';
+
+describe('Chat Channels', () => {
+    let factions;
+    let channels;
+
+    beforeEach(() => {
+        factions = new FactionManager();
+        channels = new ChatChannelManager({ factionManager: factions, roomsPath: null });
+    });
+
+    describe('faction channels', () => {
+        it('should follow faction membership', () => {
+            factions.assignPlayerToFaction('p1', 'miners');
+            const channel = channels.resolve('faction', 'p1');
+
+            assert.strictEqual(channel.id, 'faction:miners');
+            assert.strictEqual(channels.isMember(channel, 'p1'), true);
+
+            factions.assignPlayerToFaction('p1', 'traders');
+            assert.strictEqual(channels.isMember(channel, 'p1'), false);
+            assert.strictEqual(channels.resolve('faction', 'p1').id, 'faction:traders');
+        });
+
+        it('should not resolve for players without a faction', () => {
+            assert.strictEqual(channels.resolve('faction', 'p1'), null);
+            assert.strictEqual(channels.resolve('faction:unknown'), null);
+        });
+
+        it('should load stored membership and skip unknown factions', async () => {
+            const store = {
+                getPlayerFactions: async () => [
+                    { player_id: 'p1', faction_id: 'miners' },
+                    { player_id: 'p2', faction_id: 'disbanded' }
+                ]
+            };
+            const loaded = new ChatChannelManager({ factionManager: factions, factionStore: store, roomsPath: null });
+            await loaded.initialize();
+
+            assert.strictEqual(factions.getPlayerFaction('p1'), 'miners');
+            assert.strictEqual(factions.getPlayerFaction('p2'), null);
+            assert.strictEqual(factions.factions.get('miners').memberCount, 1);
+        });
+
+        it('should store joins and leaves', async () => {
+            const stored = new Map();
+            const store = {
+                setPlayerFaction: async (playerId, factionId) => { stored.set(playerId, factionId); },
+                removePlayerFaction: async (playerId) => stored.delete(playerId)
+            };
+            const persisted = new ChatChannelManager({ factionManager: factions, factionStore: store, roomsPath: null });
+
+            await persisted.joinFaction('p1', 'miners');
+            const { previous } = await persisted.joinFaction('p1', 'traders');
+
+            assert.strictEqual(previous.id, 'faction:miners');
+            assert.strictEqual(stored.get('p1'), 'traders');
+            assert.strictEqual(factions.factions.get('miners').memberCount, 0);
+
+            assert.strictEqual((await persisted.leaveFaction('p1')).id, 'faction:traders');
+            assert.strictEqual(stored.has('p1'), false);
+            assert.strictEqual(factions.getPlayerFaction('p1'), null);
+        });
+
+        it('should refuse unknown factions and leaving without one', async () => {
+            await assert.rejects(channels.joinFaction('p1', 'pirates'), /Unknown faction "pirates"/);
+            await assert.rejects(channels.leaveFaction('p1'), /Not in a faction/);
+
+            await channels.joinFaction('p1', 'miners');
+            await assert.rejects(channels.joinFaction('p1', 'miners'), /Already in Miners/);
+        });
+    });
+
+    describe('parties', () => {
+        it('should need an invite to join', () => {
+            const party = channels.inviteToParty('leader', 'Leader', 'p2', 0);
+
+            assert.throws(() => channels.joinParty(party.partyId, 'p3', 'P3', 0), /Invite expired or not found/);
+            channels.joinParty(party.partyId, 'p2', 'P2', 0);
+
+            assert.deepStrictEqual(Array.from(party.members.keys()), ['leader', 'p2']);
+            assert.strictEqual(channels.resolve('party', 'p2'), party);
+        });
+
+        it('should expire invites', () => {
+            const party = channels.inviteToParty('leader', 'Leader', 'p2', 0);
+
+            assert.throws(() => channels.joinParty(party.partyId, 'p2', 'P2', CHANNEL_CONFIG.partyInviteTtl + 1));
+        });
+
+        it('should only let the leader invite and kick', () => {
+            const party = channels.inviteToParty('leader', 'Leader', 'p2', 0);
+            channels.joinParty(party.partyId, 'p2', 'P2', 0);
+
+            assert.throws(() => channels.inviteToParty('p2', 'P2', 'p3'), /Only the party leader can invite/);
+            assert.throws(() => channels.kickFromParty('p2', 'leader'), /Only the party leader can kick/);
+
+            channels.kickFromParty('leader', 'p2');
+            assert.strictEqual(channels.isMember(party, 'p2'), false);
+        });
+
+        it('should pass leadership on and disband when empty', () => {
+            const party = channels.inviteToParty('leader', 'Leader', 'p2', 0);
+            channels.joinParty(party.partyId, 'p2', 'P2', 0);
+
+            assert.strictEqual(channels.leaveParty('leader').leaderId, 'p2');
+            assert.strictEqual(channels.leaveParty('p2'), null);
+            assert.strictEqual(channels.getStats().parties, 0);
+        });
+    });
+
+    describe('rooms', () => {
+        it('should validate names and reject duplicates', () => {
+            channels.createRoom('owner', 'Owner', 'Builders');
+
+            assert.strictEqual(channels.resolve('room:builders').ownerId, 'owner');
+            assert.throws(() => channels.createRoom('p2', 'P2', 'builders'), /already exists/);
+            assert.throws(() => channels.createRoom('p2', 'P2', 'no spaces!'), /Room names/);
+        });
+
+        it('should let moderators kick members but not each other', () => {
+            channels.createRoom('owner', 'Owner', 'builders');
+            channels.joinRoom('builders', 'mod1', 'Mod1');
+            channels.joinRoom('builders', 'mod2', 'Mod2');
+            channels.joinRoom('builders', 'p1', 'P1');
+            channels.setRoomModerator('builders', 'owner', 'mod1', true);
+            channels.setRoomModerator('builders', 'owner', 'mod2', true);
+
+            assert.throws(() => channels.kickFromRoom('builders', 'p1', 'mod1'), /Only room moderators/);
+            assert.throws(() => channels.kickFromRoom('builders', 'mod1', 'mod2'), /Only the owner can kick moderators/);
+            assert.throws(() => channels.setRoomModerator('builders', 'mod1', 'p1', true), /Only the room owner/);
+
+            channels.kickFromRoom('builders', 'mod1', 'p1');
+            assert.strictEqual(channels.isMember(channels.getRoom('builders'), 'p1'), false);
+        });
+
+        it('should keep per-room filter settings', () => {
+            channels.createRoom('owner', 'Owner', 'builders');
+
+            channels.setFilterSettings('room:builders', 'owner', { mode: FilterMode.HIDE });
+            assert.deepStrictEqual(channels.getRoom('builders').filter, { mode: 'hide' });
+
+            channels.setFilterSettings('room:builders', 'owner', { mode: null, enabled: false });
+            assert.deepStrictEqual(channels.getRoom('builders').filter, { enabled: false });
+
+            assert.throws(() => channels.setFilterSettings('room:builders', 'owner', { mode: 'shout' }), /Invalid mode/);
+            assert.throws(() => channels.setFilterSettings('global', 'owner', { mode: 'hide' }), /Not allowed/);
+        });
+    });
+
+    describe('filter overrides', () => {
+        it('should apply a channel mode over the server mode', () => {
+            const filter = new ChatFilter({ wordListPath: null });
+            filter.addEntry('grief');
+
+            assert.strictEqual(filter.filter('no grief').text, 'no *****');
+            assert.strictEqual(filter.filter('no grief', { mode: FilterMode.HIDE }).hidden, true);
+            assert.strictEqual(filter.filter('no grief', { enabled: false }).wasFiltered, false);
+        });
+    });
+
+    describe('handlers', () => {
+        let wsServer;
+
+        function connect(playerId, username) {
+            const client = {
+                connectionId: `conn-${playerId}`,
+                playerId,
+                username,
+                isAuthenticated: true,
+                sent: [],
+                ws: { readyState: 1, send: (payload) => client.sent.push(JSON.parse(payload)) },
+                codec: null,
+                subscriptions: { megachunks: new Set(), bodies: new Set() }
+            };
+            wsServer.clients.set(client.connectionId, client);
+            wsServer.playerConnections.set(playerId, client.connectionId);
+            return client;
+        }
+
+        function send(client, message) {
+            return wsServer.messageHandlers.get(message.type)(client.connectionId, message, wsServer);
+        }
+
+        function received(client, type) {
+            return client.sent.filter(m => m.type === type);
+        }
+
+        beforeEach(() => {
+            wsServer = new PolymirWebSocketServer();
+            registerChatHandlers(wsServer, null, channels);
+        });
+
+        it('should deliver faction chat to faction members only', async () => {
+            const miner = connect('p1', 'Miner');
+            const otherMiner = connect('p2', 'OtherMiner');
+            const trader = connect('p3', 'Trader');
+            factions.assignPlayerToFaction('p1', 'miners');
+            factions.assignPlayerToFaction('p2', 'miners');
+            factions.assignPlayerToFaction('p3', 'traders');
+
+            await send(miner, { type: 'chat', channel: 'faction', content: 'ore at the ridge' });
+
+            assert.strictEqual(received(otherMiner, 'chat')[0].channel, 'faction:miners');
+            assert.strictEqual(received(trader, 'chat').length, 0);
+            assert.strictEqual(received(miner, 'chat')[0].reachedCount, 1);
+        });
+
+        it('should join and leave faction chat', async () => {
+            const miner = connect('p1', 'Miner');
+            const recruit = connect('p2', 'Recruit');
+            factions.assignPlayerToFaction('p1', 'miners');
+
+            await send(recruit, { type: 'chat_faction_join', factionId: 'miners' });
+            await send(miner, { type: 'chat', channel: 'faction', content: 'welcome' });
+
+            assert.strictEqual(received(recruit, 'chat_channel_update')[0].channel.id, 'faction:miners');
+            assert.strictEqual(received(recruit, 'chat')[0].content, 'welcome');
+
+            await send(recruit, { type: 'chat_faction_leave' });
+            await send(miner, { type: 'chat', channel: 'faction', content: 'gone?' });
+
+            assert.strictEqual(received(recruit, 'chat_channel_removed')[0].channelId, 'faction:miners');
+            assert.strictEqual(received(recruit, 'chat').length, 1);
+
+            await send(recruit, { type: 'chat_faction_join', factionId: 'pirates' });
+            assert.strictEqual(received(recruit, 'error')[0].error, 'Unknown faction "pirates"');
+        });
+
+        it('should run a party through invite, chat and kick', async () => {
+            const leader = connect('p1', 'Leader');
+            const friend = connect('p2', 'Friend');
+            const stranger = connect('p3', 'Stranger');
+
+            await send(leader, { type: 'chat_party_invite', target: 'Friend' });
+            const [invite] = received(friend, 'chat_party_invite');
+            await send(friend, { type: 'chat_party_accept', partyId: invite.partyId });
+            await send(friend, { type: 'chat', channel: 'party', content: 'hi' });
+
+            assert.strictEqual(received(leader, 'chat')[0].content, 'hi');
+            assert.strictEqual(received(stranger, 'chat').length, 0);
+
+            await send(leader, { type: 'chat_party_kick', target: 'Friend' });
+            await send(friend, { type: 'chat', channel: `party:${invite.partyId}`, content: 'still here?' });
+
+            assert.strictEqual(received(friend, 'chat_channel_removed')[0].reason, 'kicked');
+            assert.strictEqual(received(friend, 'error').at(-1).error, 'Not a member of this channel');
+        });
+
+        it('should refuse unknown channels instead of falling back to global', async () => {
+            const sender = connect('p1', 'Sender');
+            const listener = connect('p2', 'Listener');
+
+            await send(sender, { type: 'chat', channel: 'room:nowhere', content: 'hello?' });
+
+            assert.strictEqual(received(sender, 'error')[0].error, 'Unknown channel');
+            assert.strictEqual(received(listener, 'chat').length, 0);
+        });
+
+        it('should report refused channel actions as errors', async () => {
+            const owner = connect('p1', 'Owner');
+            const member = connect('p2', 'Member');
+
+            await send(owner, { type: 'chat_room_create', name: 'builders' });
+            await send(member, { type: 'chat_room_join', name: 'builders' });
+            await send(member, { type: 'chat_room_delete', name: 'builders' });
+
+            assert.strictEqual(received(member, 'error')[0].error, 'Only the room owner can delete it');
+            assert.strictEqual(received(owner, 'chat_channel_update').at(-1).channel.memberCount, 2);
+
+            await send(member, { type: 'chat_channels' });
+            const ids = received(member, 'chat_channels')[0].channels.map(c => c.id);
+            assert.deepStrictEqual(ids, ['global', 'local', 'room:builders']);
+        });
+    });
+});
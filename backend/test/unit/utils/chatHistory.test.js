@@ -0,0 +1,232 @@
+/**
+ * CHAT HISTORY UNIT TESTS
+ * =======================
+ */
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import { ChatHistory, encodeHistoryCursor, decodeHistoryCursor } from '../../../src/utils/chatHistory.js';
+import { ChatChannelManager } from '../../../src/utils/chatChannels.js';
+import { ChatModeration } from '../../../src/utils/chatModeration.js';
+import { registerChatHandlers } from '../../../src/websocket/handlers/chat.js';
+import { PolymirWebSocketServer } from '../../../src/websocket/server.js';
+
+/**
+ * In-memory stand-in for the chat queries of WorldServerDB
+ */
+function createMockDB() {
+    const rows = [];
+
+    return {
+        rows,
+        failWrites: false,
+        async insertChatMessages(messages) {
+            if (this.failWrites) throw new Error('connection refused');
+
+            for (const m of messages) {
+                rows.push({
+                    message_id: m.messageId,
+                    channel_id: m.channelId,
+                    channel_type: m.channelType,
+                    player_id: m.playerId,
+                    username: m.username,
+                    target_player_id: m.targetPlayerId,
+                    content: m.content,
+                    spoiler: m.spoiler,
+                    sent_at: m.sentAt
+                });
+            }
+        },
+        async searchChatMessages(filters) {
+            const newerThanCursor = (row) => {
+                const { sentAt, messageId } = filters.cursor;
+                const time = new Date(sentAt).getTime();
+                return row.sent_at.getTime() < time ||
+                    (row.sent_at.getTime() === time && row.message_id < messageId);
+            };
+
+            return rows
+                .filter(row => !filters.channelId || row.channel_id === filters.channelId)
+                .filter(row => !filters.participantId ||
+                    row.player_id === filters.participantId || row.target_player_id === filters.participantId)
+                .filter(row => !filters.cursor || newerThanCursor(row))
+                .sort((a, b) => b.sent_at - a.sent_at || (a.message_id < b.message_id ? 1 : -1))
+                .slice(0, filters.limit + 1);
+        }
+    };
+}
+
+function message(n, channelId = 'global', extra = {}) {
+    return {
+        messageId: `m${String(n).padStart(3, '0')}`,
+        channelId,
+        channelType: channelId.split(':')[0],
+        playerId: 'alice',
+        username: 'Alice',
+        content: `message ${n}`,
+        timestamp: 1700000000000 + n * 1000,
+        ...extra
+    };
+}
+
+describe('Chat History', () => {
+    let db;
+    let history;
+
+    beforeEach(() => {
+        db = createMockDB();
+        history = new ChatHistory(db);
+    });
+
+    describe('cursors', () => {
+        it('should round-trip', () => {
+            const cursor = encodeHistoryCursor(new Date(1700000000000), 'm001');
+
+            assert.deepStrictEqual(decodeHistoryCursor(cursor), {
+                sentAt: new Date(1700000000000).toISOString(),
+                messageId: 'm001'
+            });
+        });
+
+        it('should reject garbage', () => {
+            assert.throws(() => decodeHistoryCursor('not-a-cursor'), /Invalid cursor/);
+            assert.throws(() => history.buildFilters({ since: 'yesterday-ish' }), /Invalid since/);
+        });
+
+        it('should clamp page size', () => {
+            assert.strictEqual(history.buildFilters({ limit: 10000 }).limit, history.config.maxPageSize);
+            assert.strictEqual(history.buildFilters({ limit: -5 }).limit, 1);
+        });
+    });
+
+    describe('storage', () => {
+        it('should buffer writes and flush before reading', async () => {
+            history.record(message(1));
+            assert.strictEqual(db.rows.length, 0);
+
+            const page = await history.query(history.buildFilters({ channelId: 'global' }));
+
+            assert.strictEqual(page.messages[0].messageId, 'm001');
+            assert.strictEqual(history.getStats().written, 1);
+        });
+
+        it('should keep messages when a write fails', async () => {
+            db.failWrites = true;
+            history.record(message(1));
+            await history.flush();
+
+            assert.strictEqual(history.getStats().pending, 1);
+
+            db.failWrites = false;
+            await history.flush();
+            assert.strictEqual(db.rows.length, 1);
+        });
+    });
+
+    describe('pagination', () => {
+        it('should scroll back through the whole channel in order', async () => {
+            for (let n = 1; n <= 25; n++) {
+                history.record(message(n));
+                history.record(message(100 + n, 'room:other'));
+            }
+
+            const seen = [];
+            let cursor;
+            do {
+                const page = await history.query(history.buildFilters({ channelId: 'global', cursor, limit: 10 }));
+                seen.unshift(...page.messages.map(m => m.messageId));
+                cursor = page.nextCursor;
+            } while (cursor);
+
+            assert.strictEqual(seen.length, 25);
+            assert.strictEqual(seen[0], 'm001');
+            assert.strictEqual(seen[24], 'm025');
+        });
+    });
+
+    describe('handlers', () => {
+        let wsServer;
+        let channels;
+
+        function connect(playerId, username, extra = {}) {
+            const client = {
+                connectionId: `conn-${playerId}`,
+                playerId,
+                username,
+                isAuthenticated: true,
+                sent: [],
+                ws: { readyState: 1, send: (payload) => client.sent.push(JSON.parse(payload)) },
+                codec: null,
+                subscriptions: { megachunks: new Set(), bodies: new Set() },
+                ...extra
+            };
+            wsServer.clients.set(client.connectionId, client);
+            wsServer.playerConnections.set(playerId, client.connectionId);
+            return client;
+        }
+
+        function send(client, msg) {
+            return wsServer.messageHandlers.get(msg.type)(client.connectionId, msg, wsServer);
+        }
+
+        function received(client, type) {
+            return client.sent.filter(m => m.type === type);
+        }
+
+        beforeEach(() => {
+            wsServer = new PolymirWebSocketServer();
+            channels = new ChatChannelManager({ roomsPath: null });
+            registerChatHandlers(wsServer, null, channels, new ChatModeration({ storePath: null }), history);
+        });
+
+        it('should store delivered whispers and show them only to the pair', async () => {
+            const alice = connect('alice', 'Alice');
+            const bob = connect('bob', 'Bob');
+            const carol = connect('carol', 'Carol');
+
+            await send(alice, { type: 'chat', channel: 'whisper', target: 'Bob', content: 'psst' });
+            await send(alice, { type: 'chat', channel: 'whisper', target: 'Nobody', content: 'lost' });
+            await send(bob, { type: 'chat_history', channel: 'whisper' });
+            await send(carol, { type: 'chat_history', channel: 'whisper' });
+
+            const [bobHistory] = received(bob, 'chat_history');
+            assert.deepStrictEqual(bobHistory.messages.map(m => m.content), ['psst']);
+            assert.strictEqual(bobHistory.messages[0].targetPlayerId, 'bob');
+            assert.strictEqual(received(carol, 'chat_history')[0].messages.length, 0);
+        });
+
+        it('should page chat_history and report bad cursors', async () => {
+            const alice = connect('alice', 'Alice');
+            for (let n = 1; n <= 5; n++) history.record(message(n));
+
+            await send(alice, { type: 'chat_history', limit: 3 });
+            const [first] = received(alice, 'chat_history');
+            await send(alice, { type: 'chat_history', limit: 3, cursor: first.nextCursor });
+            await send(alice, { type: 'chat_history', cursor: 'bogus' });
+
+            const [, second] = received(alice, 'chat_history');
+            assert.deepStrictEqual(first.messages.map(m => m.messageId), ['m003', 'm004', 'm005']);
+            assert.strictEqual(first.hasMore, true);
+            assert.deepStrictEqual(second.messages.map(m => m.messageId), ['m001', 'm002']);
+            assert.strictEqual(second.nextCursor, null);
+            assert.strictEqual(received(alice, 'error')[0].error, 'Invalid cursor');
+        });
+
+        it('should keep room history to members and search to moderators', async () => {
+            const alice = connect('alice', 'Alice');
+            const mod = connect('mod', 'Mod', { isModerator: true });
+            history.record(message(1, 'room:secret'));
+            channels.createRoom('bob', 'Bob', 'secret');
+
+            await send(alice, { type: 'chat_history', channel: 'room:secret' });
+            await send(alice, { type: 'chat_history_search', channel: 'room:secret' });
+            await send(mod, { type: 'chat_history_search', channel: 'room:secret' });
+
+            assert.deepStrictEqual(received(alice, 'error').map(m => m.error), [
+                'No history available for this channel',
+                'Moderators only'
+            ]);
+            assert.strictEqual(received(mod, 'chat_history_search')[0].messages[0].channel, 'room:secret');
+        });
+    });
+});
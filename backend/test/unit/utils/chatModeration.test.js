@@ -0,0 +1,258 @@
+/**
+ * CHAT MODERATION UNIT TESTS
+ * ==========================
+ */
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import { ChatModeration, MODERATION_ACTION, MODERATION_CONFIG, REPORT_STATUS } from '../../../src/utils/chatModeration.js';
+import { ChatChannelManager } from '../../../src/utils/chatChannels.js';
+import { registerChatHandlers } from '../../../src/websocket/handlers/chat.js';
+import { PolymirWebSocketServer } from '../../../src/websocket/server.js';
+
+const MOD = { playerId: 'mod', username: 'Mod' };
+const ALICE = { playerId: 'alice', username: 'Alice' };
+const BOB = { playerId: 'bob', username: 'Bob' };
+
+/**
+ * Stand-in for ChatLogger.getRecent over a fixed log
+ */
+function createMockLogger(entries) {
+    return {
+        async getRecent(limit, options = {}) {
+            return entries
+                .filter(entry => !options.channel || entry.channel === options.channel)
+                .slice(-limit);
+        }
+    };
+}
+
+function logEntry(n, player, channel = 'global', extra = {}) {
+    return {
+        type: 'chat',
+        messageId: `m${n}`,
+        playerId: player.playerId,
+        username: player.username,
+        content: `message ${n}`,
+        channel,
+        timestamp: new Date(n * 1000).toISOString(),
+        ...extra
+    };
+}
+
+describe('Chat Moderation', () => {
+    let log;
+    let moderation;
+
+    beforeEach(() => {
+        log = [];
+        moderation = new ChatModeration({ storePath: null, chatLogger: createMockLogger(log) });
+    });
+
+    describe('mutes and bans', () => {
+        it('should expire timed mutes', () => {
+            moderation.mute(MOD, ALICE, 60000, 'spam', 0);
+
+            assert.strictEqual(moderation.getRestriction('room:any', 'alice', 59999).reason, 'muted');
+            assert.strictEqual(moderation.getRestriction('room:any', 'alice', 60000), null);
+        });
+
+        it('should cap mute length', () => {
+            const mute = moderation.mute(MOD, ALICE, MODERATION_CONFIG.maxMuteDuration * 2, '', 0);
+
+            assert.strictEqual(mute.until, MODERATION_CONFIG.maxMuteDuration);
+        });
+
+        it('should scope bans to one channel and keep permanent bans', () => {
+            moderation.ban(MOD, 'global', ALICE, null, 'abuse', 0);
+
+            assert.strictEqual(moderation.getRestriction('global', 'alice', Number.MAX_SAFE_INTEGER).reason, 'banned');
+            assert.strictEqual(moderation.getRestriction('room:builders', 'alice', 0), null);
+
+            moderation.unban(MOD, 'global', ALICE);
+            assert.strictEqual(moderation.getRestriction('global', 'alice'), null);
+        });
+
+        it('should refuse acting on yourself', () => {
+            assert.throws(() => moderation.mute(MOD, MOD, 1000), /cannot mute yourself/);
+            assert.throws(() => moderation.ban(MOD, 'global', MOD), /cannot ban yourself/);
+        });
+    });
+
+    describe('slow mode', () => {
+        it('should space out messages per player', () => {
+            moderation.setSlowMode(MOD, 'global', 5, 0);
+
+            assert.strictEqual(moderation.checkSlowMode('global', 'alice', 0), 0);
+            assert.strictEqual(moderation.checkSlowMode('global', 'alice', 2000), 3000);
+            assert.strictEqual(moderation.checkSlowMode('global', 'bob', 2000), 0);
+            assert.strictEqual(moderation.checkSlowMode('global', 'alice', 5000), 0);
+        });
+
+        it('should turn off at zero and reject out of range values', () => {
+            moderation.setSlowMode(MOD, 'global', 5);
+            moderation.setSlowMode(MOD, 'global', 0);
+
+            assert.strictEqual(moderation.getSlowMode('global'), 0);
+            assert.throws(() => moderation.setSlowMode(MOD, 'global', MODERATION_CONFIG.maxSlowModeSeconds + 1));
+            assert.throws(() => moderation.setSlowMode(MOD, 'global', 'fast'));
+        });
+    });
+
+    describe('reports', () => {
+        it('should capture the conversation around the reported message', async () => {
+            for (let n = 1; n <= 30; n++) {
+                log.push(logEntry(n, n % 2 ? ALICE : BOB));
+            }
+            log.push(logEntry(31, ALICE, 'room:builders'));
+
+            const report = await moderation.report(BOB, 'global', 'm15', 'insult');
+            const ids = report.context.map(entry => entry.messageId);
+
+            assert.strictEqual(report.reportedId, 'alice');
+            assert.strictEqual(ids.length, MODERATION_CONFIG.reportContextBefore + 1 + MODERATION_CONFIG.reportContextAfter);
+            assert.strictEqual(ids[MODERATION_CONFIG.reportContextBefore], 'm15');
+            assert.strictEqual(report.context[0].connectionId, undefined);
+        });
+
+        it('should only let the recipient report a whisper and keep other whispers out', async () => {
+            log.push(logEntry(1, ALICE, 'whisper', { target: 'Carol' }));
+            log.push(logEntry(2, ALICE, 'whisper', { target: 'Bob' }));
+            log.push(logEntry(3, BOB, 'whisper', { target: 'Alice' }));
+
+            await assert.rejects(moderation.report(MOD, 'whisper', 'm2'), /Message not found/);
+
+            const report = await moderation.report(BOB, 'whisper', 'm2');
+            assert.deepStrictEqual(report.context.map(entry => entry.messageId), ['m2', 'm3']);
+        });
+
+        it('should reject own, duplicate and unknown messages', async () => {
+            log.push(logEntry(1, ALICE));
+
+            await assert.rejects(moderation.report(ALICE, 'global', 'm1'), /your own message/);
+            await assert.rejects(moderation.report(BOB, 'global', 'missing'), /not found/);
+
+            await moderation.report(BOB, 'global', 'm1');
+            await assert.rejects(moderation.report(BOB, 'global', 'm1'), /already reported/);
+        });
+
+        it('should resolve reports into the audit trail', async () => {
+            log.push(logEntry(1, ALICE));
+            const report = await moderation.report(BOB, 'global', 'm1');
+
+            moderation.resolveReport(MOD, report.reportId, 'warned');
+
+            assert.strictEqual(moderation.getReports(REPORT_STATUS.OPEN).length, 0);
+            assert.throws(() => moderation.resolveReport(MOD, report.reportId), /already resolved/);
+
+            const [entry] = moderation.getAudit(10, { targetId: 'alice' });
+            assert.strictEqual(entry.action, MODERATION_ACTION.RESOLVE_REPORT);
+            assert.strictEqual(entry.reason, 'warned');
+        });
+    });
+
+    describe('handlers', () => {
+        let wsServer;
+        let channels;
+
+        function connect(player, extra = {}) {
+            const client = {
+                connectionId: `conn-${player.playerId}`,
+                playerId: player.playerId,
+                username: player.username,
+                isAuthenticated: true,
+                sent: [],
+                ws: { readyState: 1, send: (payload) => client.sent.push(JSON.parse(payload)) },
+                codec: null,
+                subscriptions: { megachunks: new Set(), bodies: new Set() },
+                ...extra
+            };
+            wsServer.clients.set(client.connectionId, client);
+            wsServer.playerConnections.set(player.playerId, client.connectionId);
+            return client;
+        }
+
+        function send(client, message) {
+            return wsServer.messageHandlers.get(message.type)(client.connectionId, message, wsServer);
+        }
+
+        function received(client, type) {
+            return client.sent.filter(m => m.type === type);
+        }
+
+        beforeEach(() => {
+            wsServer = new PolymirWebSocketServer();
+            channels = new ChatChannelManager({ roomsPath: null });
+            registerChatHandlers(wsServer, null, channels, moderation);
+        });
+
+        it('should keep moderator commands from regular players', async () => {
+            const alice = connect(ALICE);
+            connect(BOB);
+
+            await send(alice, { type: 'chat_mod_mute', target: 'Bob' });
+            await send(alice, { type: 'chat_mod_audit' });
+
+            assert.deepStrictEqual(received(alice, 'error').map(m => m.error), ['Moderators only', 'Moderators only']);
+            assert.strictEqual(moderation.getMute('bob'), null);
+        });
+
+        it('should block chat from muted players and tell them', async () => {
+            const mod = connect(MOD, { isModerator: true });
+            const alice = connect(ALICE);
+            const bob = connect(BOB);
+
+            await send(mod, { type: 'chat_mod_mute', target: 'Alice', duration: 60, reason: 'spam' });
+            await send(alice, { type: 'chat', content: 'hello' });
+
+            assert.strictEqual(received(alice, 'chat_muted')[0].reason, 'spam');
+            assert.strictEqual(received(alice, 'chat_blocked')[0].reason, 'You are muted');
+            assert.strictEqual(received(bob, 'chat').length, 0);
+            assert.strictEqual(received(mod, 'chat_mod_result')[0].action, 'mute');
+        });
+
+        it('should let room moderators ban from their room only', async () => {
+            const owner = connect(ALICE);
+            const bob = connect(BOB);
+
+            await send(owner, { type: 'chat_room_create', name: 'builders' });
+            await send(bob, { type: 'chat_room_join', name: 'builders' });
+            await send(owner, { type: 'chat_mod_ban', channel: 'room:builders', target: 'Bob' });
+            await send(owner, { type: 'chat_mod_ban', channel: 'global', target: 'Bob' });
+            await send(bob, { type: 'chat_room_join', name: 'builders' });
+
+            assert.strictEqual(received(bob, 'chat_channel_removed')[0].reason, 'banned');
+            assert.deepStrictEqual(received(owner, 'error').map(m => m.error), ['Not allowed to moderate this channel']);
+            assert.strictEqual(received(bob, 'error')[0].error, 'You are banned from this room');
+            assert.strictEqual(channels.getRoom('builders').members.has('bob'), false);
+        });
+
+        it('should apply slow mode to everyone but channel moderators', async () => {
+            const mod = connect(MOD, { isModerator: true });
+            const alice = connect(ALICE);
+
+            await send(mod, { type: 'chat_mod_slowmode', channel: 'global', seconds: 30 });
+            await send(alice, { type: 'chat', content: 'one' });
+            await send(alice, { type: 'chat', content: 'two' });
+            await send(mod, { type: 'chat', content: 'three' });
+            await send(mod, { type: 'chat', content: 'four' });
+
+            assert.strictEqual(received(alice, 'chat_slow_mode')[0].seconds, 30);
+            assert.strictEqual(received(alice, 'chat_blocked')[0].reason, 'Slow mode is on');
+            assert.deepStrictEqual(received(alice, 'chat').map(m => m.content), ['one', 'three', 'four']);
+        });
+
+        it('should send reports to online moderators', async () => {
+            const mod = connect(MOD, { isModerator: true });
+            const bob = connect(BOB);
+            log.push(logEntry(1, ALICE));
+
+            await send(bob, { type: 'chat_report', channel: 'global', messageId: 'm1', reason: 'rude' });
+            await send(mod, { type: 'chat_mod_reports' });
+
+            assert.ok(received(bob, 'chat_report_received')[0].reportId);
+            assert.strictEqual(received(mod, 'chat_mod_report')[0].report.reportedName, 'Alice');
+            assert.strictEqual(received(mod, 'chat_mod_reports')[0].reports.length, 1);
+        });
+    });
+});
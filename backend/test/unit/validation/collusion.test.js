@@ -0,0 +1,205 @@
+/**
+ * COLLUSION DETECTION UNIT TESTS
+ * ==============================
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+    COLLUSION_CONFIG,
+    COLLUSION_FLAG,
+    hashConnectionAddress,
+    detectCoVotingPairs,
+    detectSubmitterConcentration,
+    detectNewAccountBursts,
+    detectSharedConnections,
+    analyzeCollusion,
+    calculateSuspicionScores,
+    calculateCollusionPenalty
+} from '../../../src/validation/collusion.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = Date.parse('2026-06-01T00:00:00Z');
+
+function vote(consensusId, validatorId, agrees, extra = {}) {
+    return {
+        consensus_id: consensusId,
+        validator_id: validatorId,
+        agrees,
+        submitter_id: 'submitter',
+        is_valid: agrees,
+        voted_at: new Date(NOW),
+        validator_created_at: new Date(NOW - 365 * DAY),
+        ...extra
+    };
+}
+
+/**
+ * Many consensuses with a rotating pool of honest validators,
+ * plus a pair that always shows up together
+ */
+function historyWithPair() {
+    const votes = [];
+    const honest = ['h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'h7', 'h8'];
+
+    for (let i = 0; i < 24; i++) {
+        const id = `c${i}`;
+        const submitter = { submitter_id: `s${i}` };
+        votes.push(vote(id, honest[i % 8], true, submitter), vote(id, honest[(i + 3) % 8], true, submitter));
+        if (i % 4 === 0) {
+            votes.push(
+                vote(id, 'sybilA', false, { ...submitter, is_valid: true }),
+                vote(id, 'sybilB', false, { ...submitter, is_valid: true })
+            );
+        }
+    }
+    return votes;
+}
+
+describe('Collusion Detection', () => {
+    describe('detectCoVotingPairs', () => {
+        it('should flag pairs who co-vote more often than chance', () => {
+            const flags = detectCoVotingPairs(historyWithPair());
+            assert.strictEqual(flags.length, 1);
+            assert.deepStrictEqual(flags[0].playerIds, ['sybilA', 'sybilB']);
+            assert.strictEqual(flags[0].details.sharedVotes, 6);
+            assert.strictEqual(flags[0].details.agreement, 1);
+            // Always outvoted together
+            assert.strictEqual(flags[0].severity, 'high');
+        });
+
+        it('should not flag a small pool where everyone votes on everything', () => {
+            const votes = [];
+            for (let i = 0; i < 10; i++) {
+                votes.push(vote(`c${i}`, 'a', true), vote(`c${i}`, 'b', true), vote(`c${i}`, 'c', true));
+            }
+            assert.deepStrictEqual(detectCoVotingPairs(votes), []);
+        });
+    });
+
+    describe('detectSubmitterConcentration', () => {
+        it('should flag validators who only validate one submitter', () => {
+            const votes = [];
+            for (let i = 0; i < 6; i++) {
+                votes.push(vote(`c${i}`, 'loyal', true, { submitter_id: 'friend' }));
+                votes.push(vote(`d${i}`, 'normal', true, { submitter_id: `s${i}` }));
+            }
+
+            const flags = detectSubmitterConcentration(votes);
+            assert.strictEqual(flags.length, 1);
+            assert.deepStrictEqual(flags[0].playerIds, ['loyal']);
+            assert.strictEqual(flags[0].severity, 'high');
+            assert.strictEqual(flags[0].details.submitterId, 'friend');
+            assert.strictEqual(flags[0].details.approvalRate, 1);
+        });
+
+        it('should ignore validators with too few votes', () => {
+            const votes = [vote('c1', 'new', true), vote('c2', 'new', true)];
+            assert.deepStrictEqual(detectSubmitterConcentration(votes), []);
+        });
+    });
+
+    describe('detectNewAccountBursts', () => {
+        it('should flag new accounts created together voting the same way', () => {
+            const fresh = (id, hoursOld) => vote('c1', id, true, {
+                validator_created_at: new Date(NOW - 2 * DAY - hoursOld * 60 * 60 * 1000)
+            });
+
+            const flags = detectNewAccountBursts([
+                fresh('n1', 0),
+                fresh('n2', 3),
+                fresh('n3', 10),
+                vote('c1', 'veteran', true),
+                vote('c1', 'other', false)
+            ]);
+
+            assert.strictEqual(flags.length, 1);
+            assert.deepStrictEqual([...flags[0].playerIds].sort(), ['n1', 'n2', 'n3']);
+            assert.strictEqual(flags[0].details.agrees, true);
+        });
+
+        it('should not flag new accounts created far apart', () => {
+            const votes = [0, 2, 4].map((daysOld, i) => vote('c1', `n${i}`, true, {
+                validator_created_at: new Date(NOW - daysOld * DAY)
+            }));
+            assert.deepStrictEqual(detectNewAccountBursts(votes), []);
+        });
+    });
+
+    describe('detectSharedConnections', () => {
+        it('should rate sharing an address with the submitter as high severity', () => {
+            const votes = [vote('c1', 'v1', true), vote('c1', 'v2', true), vote('c1', 'v3', false)];
+            const connections = [
+                { player_id: 'submitter', address_hash: 'home' },
+                { player_id: 'v1', address_hash: 'home' },
+                { player_id: 'v2', address_hash: 'cafe' },
+                { player_id: 'v3', address_hash: 'cafe' }
+            ];
+
+            const flags = detectSharedConnections(votes, connections);
+            assert.strictEqual(flags.length, 2);
+
+            const withSubmitter = flags.find(f => f.playerIds.includes('submitter'));
+            assert.strictEqual(withSubmitter.severity, 'high');
+            assert.deepStrictEqual(withSubmitter.playerIds, ['submitter', 'v1']);
+
+            const validators = flags.find(f => !f.playerIds.includes('submitter'));
+            assert.strictEqual(validators.severity, 'low');
+        });
+
+        it('should not penalize validators sharing an address on its own', () => {
+            const result = analyzeCollusion({
+                votes: [vote('c1', 'v1', true), vote('c1', 'v2', true)],
+                connections: [
+                    { player_id: 'v1', address_hash: 'dorm' },
+                    { player_id: 'v2', address_hash: 'dorm' }
+                ]
+            });
+
+            assert.strictEqual(result.flags[0].type, COLLUSION_FLAG.SHARED_CONNECTION);
+            assert.strictEqual(calculateCollusionPenalty(result.suspicion.v1), 0);
+        });
+    });
+
+    describe('analyzeCollusion', () => {
+        it('should combine detectors into suspicion scores', () => {
+            const result = analyzeCollusion({
+                votes: historyWithPair(),
+                connections: [
+                    { player_id: 'sybilA', address_hash: 'x' },
+                    { player_id: 'sybilB', address_hash: 'x' }
+                ]
+            });
+
+            assert.strictEqual(result.summary.flagsByType[COLLUSION_FLAG.CO_VOTING_PAIR], 1);
+            assert.strictEqual(result.summary.flagsByType[COLLUSION_FLAG.SHARED_CONNECTION], 1);
+            assert.ok(result.suspicion.sybilA > COLLUSION_CONFIG.PENALTY_THRESHOLD);
+            assert.strictEqual(result.suspicion.h1, undefined);
+        });
+    });
+
+    describe('penalties', () => {
+        it('should compound independent flags', () => {
+            const scores = calculateSuspicionScores([
+                { severity: 'high', playerIds: ['a'] },
+                { severity: 'medium', playerIds: ['a', 'b'] }
+            ]);
+            assert.strictEqual(scores.a, 1 - 0.5 * 0.75);
+            assert.strictEqual(scores.b, 0.25);
+        });
+
+        it('should not penalize below the threshold', () => {
+            assert.strictEqual(calculateCollusionPenalty(0.1), 0);
+            assert.strictEqual(calculateCollusionPenalty(undefined), 0);
+            assert.strictEqual(calculateCollusionPenalty(1), COLLUSION_CONFIG.MAX_PENALTY);
+        });
+    });
+
+    describe('hashConnectionAddress', () => {
+        it('should treat IPv4-mapped addresses as IPv4', () => {
+            assert.strictEqual(hashConnectionAddress('::ffff:10.0.0.1', 's'), hashConnectionAddress('10.0.0.1', 's'));
+            assert.notStrictEqual(hashConnectionAddress('10.0.0.1', 's'), hashConnectionAddress('10.0.0.2', 's'));
+            assert.strictEqual(hashConnectionAddress(null), null);
+        });
+    });
+});
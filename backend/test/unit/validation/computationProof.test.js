@@ -0,0 +1,216 @@
+/**
+ * COMPUTATION PROOF UNIT TESTS
+ * ============================
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { MVoxFile } from '../../../../src/serialization/formats/MVoxFile.js';
+import { writeRevisionVoxels } from '../../../src/schematics/revisions.js';
+import {
+    PROOF_CONFIG,
+    PROOF_STATUS,
+    hashChunkState,
+    hashValidatorProof,
+    applySchematicPlacement,
+    replayEvent,
+    replayState,
+    createComputationProof,
+    validateProof,
+    majorityResultHash,
+    verifyVoteProofs,
+    isProofFailure
+} from '../../../src/validation/computationProof.js';
+
+function mvox(entries) {
+    const positions = new Map();
+    for (const [x, y, z, voxel] of entries) {
+        positions.set(`${x},${y},${z}`, { layerIndex: 0, semantics: 0, ...voxel });
+    }
+    return writeRevisionVoxels(new MVoxFile('build', new Map(), { name: 'state' }), positions);
+}
+
+function fetcher(files) {
+    return async (cid) => {
+        if (!files[cid]) throw new Error(`Unknown CID ${cid}`);
+        return files[cid];
+    };
+}
+
+const HASH_A = `sha256:${'a'.repeat(64)}`;
+const HASH_B = `sha256:${'b'.repeat(64)}`;
+
+describe('Computation Proofs', () => {
+    describe('hashChunkState', () => {
+        it('should not depend on insertion order', () => {
+            const voxel = { type: 1, color: 0xFF0000, layer: 0, semantics: 0 };
+            const a = new Map([['0,0,0', voxel], ['5,1,2', { ...voxel, color: 2 }]]);
+            const b = new Map([['5,1,2', { ...voxel, color: 2 }], ['0,0,0', voxel]]);
+            assert.strictEqual(hashChunkState(a), hashChunkState(b));
+        });
+
+        it('should change with any voxel field', () => {
+            const base = new Map([['0,0,0', { type: 1, color: 1, layer: 0, semantics: 0 }]]);
+            const recolored = new Map([['0,0,0', { type: 1, color: 2, layer: 0, semantics: 0 }]]);
+            assert.notStrictEqual(hashChunkState(base), hashChunkState(recolored));
+        });
+    });
+
+    describe('replayEvent', () => {
+        it('should replay damage map edits against the base state', async () => {
+            const files = {
+                base: mvox([[0, 0, 0, { color: 0x808080, type: 1 }], [1, 0, 0, { color: 0x808080, type: 1 }]])
+            };
+            const eventData = {
+                baseStateCid: 'base',
+                changes: [
+                    { x: 1, y: 0, z: 0, changeType: 'remove' },
+                    { x: 0, y: 1, z: 0, changeType: 'add', voxelType: 2, voxelColor: 0x00FF00 }
+                ]
+            };
+
+            const first = await replayEvent('chunk_modification', eventData, fetcher(files));
+            const second = await replayEvent('chunk_modification', eventData, fetcher(files));
+
+            assert.strictEqual(first.voxelCount, 2);
+            assert.strictEqual(first.resultHash, second.resultHash);
+            assert.notStrictEqual(first.resultHash, first.baseStateHash);
+        });
+
+        it('should accept single edits in damage_update form', async () => {
+            const single = await replayEvent('block_placement', {
+                voxelX: 3, voxelY: 4, voxelZ: 5, changeType: 'add', voxelType: 7, voxelColor: 9
+            }, fetcher({}));
+            const batch = await replayEvent('block_placement', {
+                changes: [{ x: 3, y: 4, z: 5, changeType: 'add', voxelType: 7, voxelColor: 9 }]
+            }, fetcher({}));
+            assert.strictEqual(single.resultHash, batch.resultHash);
+        });
+
+        it('should place schematics at an offset with rotation', async () => {
+            const files = { ship: mvox([[0, 0, 0, { color: 1 }], [1, 0, 0, { color: 2 }]]) };
+            const result = await replayEvent('schematic_placement', {
+                schematicCid: 'ship',
+                position: { x: 10, y: 0, z: 10 },
+                rotation: 1
+            }, fetcher(files));
+
+            const expected = new Map();
+            applySchematicPlacement(expected, new Map([
+                ['0,0,0', { type: 0, color: 1, layer: 0, semantics: 0 }],
+                ['0,0,-1', { type: 0, color: 2, layer: 0, semantics: 0 }]
+            ]), { position: { x: 10, y: 0, z: 10 } });
+
+            assert.strictEqual(result.resultHash, hashChunkState(expected));
+        });
+
+        it('should reject unknown event types and non-integer coordinates', async () => {
+            await assert.rejects(replayEvent('teleport', {}, fetcher({})), /Cannot replay/);
+            await assert.rejects(
+                replayEvent('block_placement', { changes: [{ x: 0.5, y: 0, z: 0, changeType: 'add' }] }, fetcher({})),
+                /x must be an integer/
+            );
+        });
+    });
+
+    describe('validateProof', () => {
+        const consensus = { event_data_cid: 'event', event_type: 'block_placement' };
+
+        const event = {
+            changes: [{ x: 0, y: 0, z: 0, changeType: 'add', voxelType: 1, voxelColor: 1 }]
+        };
+
+        it('should accept proofs created for the consensus', async () => {
+            const proof = await createComputationProof('block_placement', 'event', event, fetcher({}), 'alice');
+            assert.deepStrictEqual(validateProof(proof, consensus, 'alice'), []);
+        });
+
+        it('should reject proofs created by another validator', async () => {
+            const proof = await createComputationProof('block_placement', 'event', event, fetcher({}), 'alice');
+            assert.deepStrictEqual(validateProof(proof, consensus, 'bob'), ['Proof belongs to another validator']);
+        });
+
+        it('should reject proofs for another event or without hashes', () => {
+            const errors = validateProof({
+                version: 2,
+                eventType: 'block_placement',
+                eventDataCid: 'other',
+                resultHash: 'abc',
+                baseStateHash: HASH_A,
+                voxelCount: 1
+            }, consensus);
+            assert.deepStrictEqual(errors, [
+                'resultHash must be a sha256 hash',
+                'proofHash must be a sha256 hash',
+                'Proof is for a different event'
+            ]);
+        });
+    });
+
+    describe('verifyVoteProofs', () => {
+        const expected = (validatorId) => `sha256:${validatorId[0].repeat(64)}`;
+
+        it('should classify each vote against the reference hash', () => {
+            const statuses = verifyVoteProofs([
+                { validator_id: 'honest', result_hash: HASH_A, proof_hash: expected('honest') },
+                { validator_id: 'lazy', result_hash: null },
+                { validator_id: 'wrong', result_hash: HASH_B, proof_hash: expected('wrong') },
+                { validator_id: 'broken', result_hash: null, proof_status: PROOF_STATUS.MALFORMED }
+            ], HASH_A, expected);
+
+            assert.deepStrictEqual(statuses, {
+                honest: PROOF_STATUS.VERIFIED,
+                lazy: PROOF_STATUS.MISSING,
+                wrong: PROOF_STATUS.MISMATCH,
+                broken: PROOF_STATUS.MALFORMED
+            });
+        });
+
+        it('should catch result hashes copied from another validator', async () => {
+            const fetch = fetcher({});
+            const honest = await createComputationProof('block_placement', 'event', {
+                changes: [{ x: 0, y: 0, z: 0, changeType: 'add', voxelType: 1, voxelColor: 1 }]
+            }, fetch, 'honest');
+            const { state } = await replayState('block_placement', {
+                changes: [{ x: 0, y: 0, z: 0, changeType: 'add', voxelType: 1, voxelColor: 1 }]
+            }, fetch);
+
+            const statuses = verifyVoteProofs([
+                { validator_id: 'honest', result_hash: honest.resultHash, proof_hash: honest.proofHash },
+                { validator_id: 'copier', result_hash: honest.resultHash, proof_hash: honest.proofHash }
+            ], honest.resultHash, (validatorId) => hashValidatorProof(state, validatorId, 'event'));
+
+            assert.deepStrictEqual(statuses, {
+                honest: PROOF_STATUS.VERIFIED,
+                copier: PROOF_STATUS.MISMATCH
+            });
+        });
+
+        it('should not verify matching hashes without a replayed state', () => {
+            const statuses = verifyVoteProofs([
+                { validator_id: 'a', result_hash: HASH_A, proof_hash: HASH_A },
+                { validator_id: 'b', result_hash: HASH_B, proof_hash: HASH_B }
+            ], HASH_A);
+            assert.deepStrictEqual(statuses, { a: PROOF_STATUS.UNVERIFIED, b: PROOF_STATUS.MISMATCH });
+        });
+
+        it('should leave proofs unverified without a reference', () => {
+            const statuses = verifyVoteProofs([{ validator_id: 'v', result_hash: HASH_A }], null);
+            assert.strictEqual(statuses.v, PROOF_STATUS.UNVERIFIED);
+            assert.strictEqual(isProofFailure(PROOF_STATUS.UNVERIFIED), false);
+        });
+
+        it('should penalise missing proofs only when proofs are required', () => {
+            assert.strictEqual(isProofFailure(PROOF_STATUS.MISSING), PROOF_CONFIG.REQUIRED);
+            assert.strictEqual(isProofFailure(PROOF_STATUS.MISMATCH), true);
+        });
+    });
+
+    describe('majorityResultHash', () => {
+        it('should require a strict majority of submitted proofs', () => {
+            assert.strictEqual(majorityResultHash([HASH_A, HASH_A, HASH_B, null]), HASH_A);
+            assert.strictEqual(majorityResultHash([HASH_A, HASH_A, HASH_B, HASH_B]), null);
+            assert.strictEqual(majorityResultHash([HASH_A]), null);
+        });
+    });
+});
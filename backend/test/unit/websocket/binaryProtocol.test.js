@@ -0,0 +1,243 @@
+/**
+ * BINARY PROTOCOL UNIT TESTS
+ * ==========================
+ */
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import {
+    BinaryCodec,
+    ENCODING,
+    QUANTIZATION,
+    negotiateVersion,
+    packQuaternion,
+    unpackQuaternion
+} from '../../../../src/io/network/BinaryProtocol.js';
+import { PolymirWebSocketServer } from '../../../src/websocket/server.js';
+
+function playerDelta(overrides = {}) {
+    return {
+        p: '9b2f6c1e-4d7a-4b1e-8c3f-2a5d6e7f8a9b',
+        x: 1234.56, y: 78.9, z: -4321.01,
+        vx: 4.5, vy: -1.25, vz: 0,
+        rx: 0, ry: 0.3826834, rz: 0, rw: 0.9238795,
+        s: 4812,
+        t: 1760000000123,
+        ...overrides
+    };
+}
+
+function assertClose(actual, expected, tolerance, label) {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${label}: ${actual} vs ${expected}`);
+}
+
+describe('Binary Protocol', () => {
+    let server;
+    let client;
+
+    beforeEach(() => {
+        server = new BinaryCodec(1);
+        client = new BinaryCodec(1);
+    });
+
+    describe('negotiateVersion', () => {
+        it('should pick the highest common version', () => {
+            assert.strictEqual(negotiateVersion([1, 99]), 1);
+        });
+
+        it('should fall back to JSON for clients without a supported version', () => {
+            assert.strictEqual(negotiateVersion(undefined), null);
+            assert.strictEqual(negotiateVersion([99]), null);
+        });
+    });
+
+    describe('quaternions', () => {
+        it('should round-trip within quantisation error', () => {
+            const q = [0.1825742, -0.3651484, 0.5477226, 0.7302967];
+            const decoded = unpackQuaternion(packQuaternion(q));
+
+            q.forEach((value, i) => assertClose(decoded[i], value, 0.002, `component ${i}`));
+        });
+
+        it('should treat q and -q as the same rotation', () => {
+            const q = [0.5, 0.5, 0.5, -0.5];
+
+            assert.strictEqual(packQuaternion(q), packQuaternion(q.map(v => -v)));
+        });
+
+        it('should normalise and replace degenerate quaternions', () => {
+            assert.deepStrictEqual(unpackQuaternion(packQuaternion([0, 0, 0, 2])).map(Math.round), [0, 0, 0, 1]);
+            assert.deepStrictEqual(unpackQuaternion(packQuaternion([0, 0, 0, 0])).map(Math.round), [0, 0, 0, 1]);
+        });
+    });
+
+    describe('player_states_batch', () => {
+        it('should round-trip with quantised positions', () => {
+            const message = {
+                type: 'player_states_batch',
+                players: [playerDelta(), playerDelta({ p: 'player-2', x: -0.5 })],
+                tick: 1200,
+                timestamp: 1760000000200
+            };
+
+            const decoded = client.decode(server.encode(message));
+            const [first, second] = decoded.players;
+            const step = 1 / QUANTIZATION.POSITION_SCALE;
+
+            assert.strictEqual(decoded.type, 'player_states_batch');
+            assert.strictEqual(decoded.tick, 1200);
+            assert.strictEqual(decoded.timestamp, 1760000000200);
+            assert.strictEqual(first.p, message.players[0].p);
+            assert.strictEqual(first.s, 4812);
+            assert.strictEqual(first.t, 1760000000123);
+            assertClose(first.x, 1234.56, step, 'x');
+            assertClose(first.z, -4321.01, step, 'z');
+            assertClose(first.vy, -1.25, step, 'vy');
+            assertClose(first.ry, 0.3826834, 0.002, 'ry');
+            assert.strictEqual(second.p, 'player-2');
+            assert.strictEqual(second.x, -0.5);
+        });
+
+        it('should send repeated ids as varint indices', () => {
+            const message = { type: 'player_state', ...playerDelta() };
+
+            const first = server.encode(message);
+            const second = server.encode(message);
+
+            assert.ok(second.length < first.length - 30);
+            assert.strictEqual(client.decode(first).p, client.decode(second).p);
+        });
+
+        it('should be far smaller than JSON', () => {
+            const players = [];
+            for (let i = 0; i < 50; i++) {
+                players.push(playerDelta({ p: `player-${i}`, x: i * 3.7 }));
+            }
+            const message = { type: 'player_states_batch', players, tick: 1, timestamp: 1760000000000 };
+
+            server.encode(message); // Ids are interned after the first batch
+            const binary = server.encode(message);
+            const json = Buffer.byteLength(JSON.stringify(message));
+
+            assert.ok(binary.length * 5 < json, `${binary.length} vs ${json} bytes`);
+        });
+    });
+
+    describe('schemas', () => {
+        it('should round-trip nested vectors, enums and absent fields', () => {
+            const decoded = client.decode(server.encode({
+                type: 'ship_state',
+                shipId: 'ship-1',
+                position: { x: 10, y: 20, z: 30 },
+                velocity: { x: 0, y: 0, z: 5 },
+                rotation: { x: 0, y: 0, z: 0, w: 1 },
+                angularVelocity: { x: 0, y: 0.5, z: 0 },
+                state: 'drifting',
+                pilotId: null,
+                currentFuel: 50,
+                throttle: 0,
+                inputSequence: 3,
+                tick: 40,
+                timestamp: 1760000000000
+            }));
+
+            assert.deepStrictEqual(decoded.position, { x: 10, y: 20, z: 30 });
+            assert.strictEqual(decoded.state, 'drifting');
+            assert.strictEqual('pilotId' in decoded, false);
+            assert.strictEqual(decoded.currentFuel, 50);
+        });
+
+        it('should round-trip voxel batches with negative coordinates', () => {
+            const changes = [
+                { x: -5, y: 12, z: 300, layerId: 0, changeType: 'add', voxelType: 3, voxelColor: 0xff8800 },
+                { x: 7, y: -1, z: 0, layerId: 2, changeType: 'remove' }
+            ];
+
+            const decoded = client.decode(server.encode({
+                type: 'batch_damage_update', playerId: 'p1', bodyId: 'body-1', changes, timestamp: 5
+            }));
+
+            assert.deepStrictEqual(decoded.changes, changes);
+        });
+
+        it('should reject messages without a schema or that do not fit one', () => {
+            assert.strictEqual(server.canEncode('chat_message'), false);
+            assert.throws(() => server.encode({ type: 'chat_message' }), /No binary schema/);
+            assert.throws(() => server.encode({ type: 'ship_state', state: 'exploded' }), /Unknown state value/);
+        });
+
+        it('should not intern ids from a message that failed to encode', () => {
+            assert.throws(() => server.encode({ type: 'ship_state', shipId: 'ship-9', state: 'exploded' }));
+
+            // The client never saw ship-9, so the next frame must still carry it inline
+            const decoded = client.decode(server.encode({ type: 'ship_state', shipId: 'ship-9' }));
+            assert.strictEqual(decoded.shipId, 'ship-9');
+        });
+    });
+
+    describe('decode', () => {
+        it('should reject truncated and mismatched frames', () => {
+            const frame = server.encode({ type: 'player_state', ...playerDelta() });
+
+            assert.throws(() => client.decode(frame.subarray(0, frame.length - 3)), /Truncated/);
+            assert.throws(() => client.decode(new Uint8Array([2, 1, 0])), /Schema version mismatch/);
+            assert.throws(() => client.decode(new Uint8Array([1, 99, 0])), /Unknown binary message id/);
+            assert.throws(() => client.decode(new Uint8Array([1, 2, 1, 5])), /Unknown interned id/);
+        });
+    });
+
+    describe('PolymirWebSocketServer', () => {
+        let wsServer;
+        let sent;
+
+        beforeEach(() => {
+            sent = [];
+            wsServer = new PolymirWebSocketServer();
+            wsServer.clients.set('conn-1', {
+                connectionId: 'conn-1',
+                ws: { readyState: 1, send: (payload) => sent.push(payload) },
+                codec: null,
+                subscriptions: { megachunks: new Set(), bodies: new Set() }
+            });
+        });
+
+        it('should send JSON until binary is negotiated', () => {
+            wsServer.sendToClient('conn-1', { type: 'player_state', ...playerDelta() });
+
+            assert.strictEqual(typeof sent[0], 'string');
+        });
+
+        it('should send registered messages as binary after negotiation', () => {
+            const protocol = wsServer.negotiateProtocol('conn-1', [1]);
+
+            wsServer.sendToClient('conn-1', { type: 'player_state', ...playerDelta() });
+            wsServer.sendToClient('conn-1', { type: 'chat_message', text: 'hi' });
+
+            assert.deepStrictEqual(protocol, { encoding: ENCODING.BINARY, version: 1 });
+            assert.ok(sent[0] instanceof Uint8Array);
+            assert.strictEqual(client.decode(sent[0]).s, 4812);
+            assert.strictEqual(JSON.parse(sent[1]).text, 'hi');
+            assert.strictEqual(wsServer.getStats().traffic.binary.messages, 1);
+        });
+
+        it('should fall back to JSON when a message does not fit its schema', () => {
+            wsServer.negotiateProtocol('conn-1', [1]);
+
+            wsServer.sendToClient('conn-1', { type: 'ship_state', shipId: 'ship-1', state: 'exploded' });
+
+            assert.strictEqual(JSON.parse(sent[0]).state, 'exploded');
+        });
+
+        it('should only accept binary frames on negotiated connections', () => {
+            const clientInfo = wsServer.getClient('conn-1');
+            const frame = client.encode({ type: 'ship_control', shipId: 'ship-1', throttle: 1, sequence: 2 });
+
+            assert.throws(() => wsServer.decodeMessage(clientInfo, Buffer.from(frame), true), /not negotiated/);
+
+            wsServer.negotiateProtocol('conn-1', [1]);
+            const message = wsServer.decodeMessage(clientInfo, Buffer.from(frame), true);
+
+            assert.deepStrictEqual(message, { type: 'ship_control', shipId: 'ship-1', throttle: 1, sequence: 2 });
+        });
+    });
+});
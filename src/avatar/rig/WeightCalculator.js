@@ -13,8 +13,10 @@ import { VRM_BONES, BONE_HIERARCHY, DEFAULT_REST_POSITIONS } from './VoxelAvatar
 // Default blend distance (voxels)
 const DEFAULT_BLEND_DISTANCE = 3;
 
-// Bones that should blend at their boundaries
-const BLENDABLE_JOINTS = [
+// Bones that should blend at their boundaries. Built on first use because
+// VoxelAvatarRig imports this module, so VRM_BONES is not yet initialised
+// while this module evaluates when the rig is imported first.
+const blendableJoints = () => [
     // Spine chain
     { from: VRM_BONES.HIPS, to: VRM_BONES.SPINE },
     { from: VRM_BONES.SPINE, to: VRM_BONES.CHEST },
@@ -62,7 +64,7 @@ export class WeightCalculator {
     buildJointLookup() {
         const lookup = new Map();
 
-        for (const joint of BLENDABLE_JOINTS) {
+        for (const joint of blendableJoints()) {
             // Add both directions
             if (!lookup.has(joint.from)) {
                 lookup.set(joint.from, new Set());
@@ -1,9 +1,10 @@
 import { BiomeSystem } from '../systems/biome/BiomeSystem.js';
 import globalBiomeEventBus, { BIOME_EVENTS } from '../systems/biome/BiomeConfigEventBus.js';
+import { DEFAULT_SEED } from '../math/SeededRandom.js';
 
 export class BiomeConfiguration {
     constructor(config = {}) {
-        this.biomeSystem = new BiomeSystem(null);
+        this.biomeSystem = new BiomeSystem(null, config.seed ?? DEFAULT_SEED);
         this.eventBus = globalBiomeEventBus;
 
         this.noise3d = null;
@@ -44,7 +45,8 @@ export class BiomeConfiguration {
 
         this.biomeSpecificSettings = config.biomeSpecificSettings || this.createDefaultBiomeSettings();
 
-        this.seed = config.seed || Math.floor(Math.random() * 1000000);
+        // Never random: every client must derive the same biomes from a config
+        this.seed = config.seed ?? DEFAULT_SEED;
 
         // Terrain generation bounds (for layered planet generation)
         this.terrainMinHeight = config.terrainMinHeight !== undefined ? config.terrainMinHeight : -15;
@@ -74,7 +76,8 @@ export class BiomeConfiguration {
                 enabled: true,
                 vegetation: biomeData?.vegetation || 0.5,
                 resources: this.getDefaultResources(biome),
-                structures: this.getDefaultStructures(biome)
+                structures: this.getDefaultStructures(biome),
+                flora: this.getDefaultFlora(biome)
             };
         });
 
@@ -117,6 +120,67 @@ export class BiomeConfiguration {
         return structureMap[biome] || [];
     }
 
+    /**
+     * Default flora for a biome: density is the chance per surface voxel
+     * (before the vegetation multiplier), models are picked by weight.
+     * Heights are in voxels; wood is a VOXEL_TYPES key.
+     * @param {string} biome
+     * @returns {Object} {density, models}
+     */
+    getDefaultFlora(biome) {
+        const oak = { model: 'tree', wood: 'WOOD_OAK', minHeight: 4, maxHeight: 7 };
+        const birch = { model: 'tree', wood: 'WOOD_BIRCH', minHeight: 5, maxHeight: 8 };
+        const pine = { model: 'pine', wood: 'WOOD_PINE', minHeight: 5, maxHeight: 9 };
+        const shrub = { model: 'shrub', minHeight: 1, maxHeight: 2 };
+        const grass = { model: 'grass', minHeight: 1, maxHeight: 1 };
+        const cactus = { model: 'cactus', minHeight: 2, maxHeight: 4 };
+
+        const floraMap = {
+            desert: { density: 0.01, models: [{ ...cactus, weight: 3 }, { ...shrub, weight: 1 }] },
+            forest: {
+                density: 0.08,
+                models: [{ ...oak, weight: 4 }, { ...birch, weight: 2 }, { ...shrub, weight: 2 }, { ...grass, weight: 6 }]
+            },
+            ice: { density: 0.01, models: [{ ...pine, weight: 1 }] },
+            grassland: {
+                density: 0.1,
+                models: [{ ...grass, weight: 12 }, { ...shrub, weight: 1 }, { ...oak, weight: 0.5 }]
+            },
+            mountains: {
+                density: 0.04,
+                models: [{ ...pine, weight: 3 }, { ...shrub, weight: 1 }, { ...grass, weight: 2 }]
+            },
+            toxic: { density: 0.02, models: [{ ...shrub, weight: 1 }] },
+            temperate: {
+                density: 0.06,
+                models: [{ ...oak, weight: 3 }, { ...birch, weight: 3 }, { ...shrub, weight: 2 }, { ...grass, weight: 8 }]
+            }
+        };
+
+        return floraMap[biome] || { density: 0, models: [] };
+    }
+
+    /**
+     * Flora to place in a biome, with the vegetation slider applied
+     * @param {string} biome
+     * @returns {Object|null} {density, models}, or null if nothing grows there
+     */
+    getFloraSettings(biome) {
+        const settings = this.biomeSpecificSettings[biome];
+        if (!settings || settings.enabled === false) {
+            return null;
+        }
+
+        // Configs saved before flora existed fall back to the defaults
+        const flora = settings.flora || this.getDefaultFlora(biome);
+        const density = flora.density * (settings.vegetation ?? 1);
+        if (density <= 0 || !flora.models?.length) {
+            return null;
+        }
+
+        return { density, models: flora.models };
+    }
+
     /**
      * Register a custom biome
      * @param {string} name - Biome name
@@ -285,6 +349,24 @@ export class BiomeConfiguration {
         }
     }
 
+    setBiomeFlora(biome, flora) {
+        if (this.biomeSpecificSettings[biome]) {
+            const oldValue = this.biomeSpecificSettings[biome].flora;
+            this.biomeSpecificSettings[biome].flora = {
+                density: Math.max(0, Math.min(1, flora.density ?? oldValue?.density ?? 0)),
+                models: flora.models || oldValue?.models || []
+            };
+
+            this.eventBus.emit(BIOME_EVENTS.FLORA_CHANGED, {
+                biome,
+                oldValue,
+                newValue: this.biomeSpecificSettings[biome].flora
+            });
+
+            this.notifyChange();
+        }
+    }
+
     serialize() {
         return {
             distribution: this.distribution,
@@ -200,6 +200,13 @@ export class GravitationalShapeConfig {
         }
     }
 
+    /**
+     * Up direction at a position (the outward surface normal)
+     */
+    getUpVectorAt(x, y, z) {
+        return this.getSurfacePoint(x, y, z).normal;
+    }
+
     getPointSurface(x, y, z) {
         const dx = x - this.params.center.x;
         const dy = y - this.params.center.y;
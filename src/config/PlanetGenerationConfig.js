@@ -1,4 +1,5 @@
 import { VOXEL_TYPES } from '../data/voxel/VoxelTypes.js';
+import { hashSeed, DEFAULT_SEED } from '../math/SeededRandom.js';
 
 /**
  * Planet Generation Configuration
@@ -10,6 +11,9 @@ export class PlanetGenerationConfig {
     constructor(options = {}) {
         this.gravitationalRadius = options.gravitationalRadius || 100;
 
+        // Planet seed; every other seed here is derived from it
+        this.seed = options.seed ?? DEFAULT_SEED;
+
         // Core layers (0-100% of gravitational radius)
         this.coreLayers = options.coreLayers || this.getDefaultCoreLayers(this.gravitationalRadius);
 
@@ -26,7 +30,7 @@ export class PlanetGenerationConfig {
         // Fracture pattern settings
         this.fractureSettings = {
             numFragments: options.numFragments || 5,
-            seed: options.fractureSeed || Math.floor(Math.random() * 1000000),
+            seed: options.fractureSeed ?? hashSeed(this.seed, 'fracture'),
             ...options.fractureSettings
         };
 
@@ -137,6 +141,7 @@ export class PlanetGenerationConfig {
     serialize() {
         return {
             gravitationalRadius: this.gravitationalRadius,
+            seed: this.seed,
             coreLayers: this.coreLayers,
             terrainMinHeight: this.terrainMinHeight,
             terrainMaxHeight: this.terrainMaxHeight,
@@ -10,6 +10,7 @@ import { MVoxLoader } from '../data/mvox/MVoxLoader.js';
 import { MeshFactory } from '../rendering/MeshFactory.js';
 import { LODManager } from '../spatial/LODManager.js';
 import { ChunkCoordinate } from '../spatial/ChunkCoordinate.js';
+import { ChunkWorkerPool } from '../workers/ChunkWorkerPool.js';
 
 export class Engine {
     constructor(game) {
@@ -20,6 +21,7 @@ export class Engine {
 
         
         this.chunkLoader = new ChunkLoader(game.chunkSize, 16);
+        this.workerPool = game.workerPool || new ChunkWorkerPool();
         this.chunkTextureManager = new ChunkTextureManager(game.chunkTextureSize);
         this.materialFactory = new MaterialFactory();
         
@@ -187,9 +189,9 @@ export class Engine {
         const chunksPerBatch = 20; 
         for (let i = 0; i < outerCoords.length; i += chunksPerBatch) {
             const batch = outerCoords.slice(i, i + chunksPerBatch);
+            const generated = await this.generateChunkBatch(generator, batch, chunkSize);
 
-            for (const { cx, cy, cz } of batch) {
-                const chunkData = generator.generateChunk(cx, cy, cz, chunkSize);
+            for (const { cx, cy, cz, chunkData } of generated) {
                 if (chunkData && chunkData.voxels && chunkData.voxels.size > 0) {
                     const key = ChunkCoordinate.toKey(cx, cy, cz);
                     fullChunks.set(key, chunkData);
@@ -238,6 +240,15 @@ export class Engine {
         this.continueSlicingInBackground(generator, allCoords.slice(outerCount), fullChunks, surfaceData, mvoxId, planetConfig, chunkSize);
     }
 
+    async generateChunkBatch(generator, batch, chunkSize) {
+        // Off the main thread; results stay in batch order for extractSurfaceVoxels
+        const chunks = await Promise.all(batch.map(({ cx, cy, cz }) =>
+            this.workerPool.generateChunk(generator, 'generateChunk', [cx, cy, cz, chunkSize]).promise
+        ));
+
+        return batch.map(({ cx, cy, cz }, index) => ({ cx, cy, cz, chunkData: chunks[index] }));
+    }
+
     getSortedChunkCoordinates(radius, chunkSize) {
         const coords = [];
         const maxChunkRadius = Math.ceil((radius + 30) / chunkSize);
@@ -312,9 +323,9 @@ export class Engine {
 
         for (let i = 0; i < remainingCoords.length; i += chunksPerBatch) {
             const batch = remainingCoords.slice(i, i + chunksPerBatch);
+            const generated = await this.generateChunkBatch(generator, batch, chunkSize);
 
-            for (const { cx, cy, cz } of batch) {
-                const chunkData = generator.generateChunk(cx, cy, cz, chunkSize);
+            for (const { cx, cy, cz, chunkData } of generated) {
                 if (chunkData && chunkData.voxels && chunkData.voxels.size > 0) {
                     const key = ChunkCoordinate.toKey(cx, cy, cz);
                     fullChunks.set(key, chunkData);
@@ -106,6 +106,7 @@ export const SEMANTIC_PRESETS = {
     FLOWING_WATER: SEMANTIC.LIQUID | SEMANTIC.GRAVITY | SEMANTIC.TRANSPARENT | SEMANTIC.FLOWING,
     OCEAN_WATER: SEMANTIC.LIQUID | SEMANTIC.GRAVITY | SEMANTIC.TRANSPARENT | SEMANTIC.OCEAN,
     LAVA_BLOCK: SEMANTIC.LIQUID | SEMANTIC.GRAVITY | SEMANTIC.LAVA | SEMANTIC.EMISSIVE,
+    FLOWING_LAVA: SEMANTIC.LIQUID | SEMANTIC.GRAVITY | SEMANTIC.LAVA | SEMANTIC.EMISSIVE | SEMANTIC.FLOWING,
     WOOD_BLOCK: SEMANTIC.SOLID | SEMANTIC.WOOD | SEMANTIC.FLAMMABLE | SEMANTIC.MINEABLE | SEMANTIC.BREAKABLE,
     METAL_BLOCK: SEMANTIC.SOLID | SEMANTIC.METAL | SEMANTIC.MINEABLE | SEMANTIC.BREAKABLE,
     GLASS_BLOCK: SEMANTIC.SOLID | SEMANTIC.TRANSPARENT | SEMANTIC.BREAKABLE,
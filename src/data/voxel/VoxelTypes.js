@@ -204,6 +204,17 @@ export const VOXEL_TYPES = {
         soundType: 'lava'
     },
 
+    FLOWING_LAVA: {
+        id: 84,
+        name: 'Flowing Lava',
+        color: 0xFF5A1F,
+        semantics: SEMANTIC_PRESETS.FLOWING_LAVA,
+        description: 'Flowing lava',
+        hardness: 0,
+        luminance: 12,
+        soundType: 'lava'
+    },
+
     WOOD_OAK: {
         id: 100,
         name: 'Oak Wood',
@@ -244,6 +255,26 @@ export const VOXEL_TYPES = {
         soundType: 'grass'
     },
 
+    CACTUS: {
+        id: 104,
+        name: 'Cactus',
+        color: 0x5B8C3A,
+        semantics: SEMANTIC.SOLID | SEMANTIC.BREAKABLE,
+        description: 'Desert cactus',
+        hardness: 5,
+        soundType: 'grass'
+    },
+
+    TALL_GRASS: {
+        id: 105,
+        name: 'Tall Grass',
+        color: 0x6DB349,
+        semantics: SEMANTIC.TRANSPARENT | SEMANTIC.FLAMMABLE | SEMANTIC.BREAKABLE,
+        description: 'Grass tuft (not solid)',
+        hardness: 1,
+        soundType: 'grass'
+    },
+
     PLANKS_OAK: {
         id: 130,
         name: 'Oak Planks',
@@ -205,6 +205,56 @@ export class DamageMapManager {
         return entry;
     }
 
+    /**
+     * Record simulated changes (e.g. fluid flow) in one go
+     * Entries use RAW_DAMAGE so they never count toward build detection, and
+     * share the sync queue with player edits, where repeated changes to one
+     * voxel collapse into its latest state.
+     * @param {string} bodyId
+     * @param {Array<Object>} changes - {x, y, z, changeType, voxelType, voxelColor, layerId}
+     * @returns {Array<Object>} The created entries
+     */
+    recordBatch(bodyId, changes) {
+        const damageMap = this.getDamageMapForBody(bodyId);
+        const entries = [];
+
+        for (const change of changes) {
+            const layerId = change.layerId || 0;
+            const key = this.encodeKey(change.x, change.y, change.z, layerId);
+            const isAdd = change.changeType === 'add';
+
+            const entry = {
+                damage_id: `local_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+                body_id: bodyId,
+                voxel_x: change.x,
+                voxel_y: change.y,
+                voxel_z: change.z,
+                layer_id: layerId,
+                change_type: change.changeType,
+                voxel_type: isAdd ? change.voxelType : null,
+                voxel_color: isAdd ? change.voxelColor : null,
+                player_id: this.playerId,
+                trust_score_at_change: this.trustScore,
+                build_mode: BUILD_MODE.RAW_DAMAGE,
+                attached_schematic_placement_id: null,
+                created_at: new Date().toISOString(),
+                synced: false
+            };
+
+            damageMap.set(key, entry);
+            this.queueForSync(bodyId, key, entry);
+            entries.push(entry);
+        }
+
+        if (this.onDamageChanged) {
+            for (const entry of entries) {
+                this.onDamageChanged(entry.change_type, entry);
+            }
+        }
+
+        return entries;
+    }
+
     /**
      * Get damage entry at position
      */
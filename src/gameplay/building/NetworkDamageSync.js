@@ -11,6 +11,9 @@
 
 import { BUILD_MODE } from './DamageMapManager.js';
 
+// Server rejects larger batch_damage messages
+const MAX_BATCH_SIZE = 100;
+
 export class NetworkDamageSync {
     /**
      * @param {DamageMapManager} damageMapManager - Client-side damage manager
@@ -84,12 +87,17 @@ export class NetworkDamageSync {
 
             if (pendingSync.size === 0) return;
 
-            // Group by body for batch sending
+            // Group by body, then build mode (simulated changes are raw damage)
             for (const [bodyId, pendingMap] of pendingSync) {
-                const changes = [];
+                const changesByMode = new Map();
 
                 for (const [key, entry] of pendingMap) {
-                    changes.push({
+                    const mode = entry.build_mode || this.damageMapManager.buildMode;
+                    if (!changesByMode.has(mode)) {
+                        changesByMode.set(mode, []);
+                    }
+
+                    changesByMode.get(mode).push({
                         x: entry.voxel_x,
                         y: entry.voxel_y,
                         z: entry.voxel_z,
@@ -104,31 +112,35 @@ export class NetworkDamageSync {
                     this.pendingDamageIds.set(entry.damage_id, { bodyId, key });
                 }
 
-                if (changes.length === 1) {
-                    // Single change - send individual update
-                    const change = changes[0];
-                    await this.wsAdapter.sendDamageUpdate({
-                        bodyId,
-                        voxelX: change.x,
-                        voxelY: change.y,
-                        voxelZ: change.z,
-                        layerId: change.layerId,
-                        changeType: change.changeType,
-                        voxelType: change.voxelType,
-                        voxelColor: change.voxelColor,
-                        buildMode: this.damageMapManager.buildMode,
-                        attachedSchematicPlacementId: change.attachedSchematicPlacementId
-                    });
-                } else if (changes.length > 1) {
-                    // Multiple changes - batch
-                    await this.wsAdapter.sendBatchDamage(
-                        bodyId,
-                        changes,
-                        this.damageMapManager.buildMode
-                    );
+                for (const [buildMode, changes] of changesByMode) {
+                    if (changes.length === 1) {
+                        // Single change - send individual update
+                        const change = changes[0];
+                        await this.wsAdapter.sendDamageUpdate({
+                            bodyId,
+                            voxelX: change.x,
+                            voxelY: change.y,
+                            voxelZ: change.z,
+                            layerId: change.layerId,
+                            changeType: change.changeType,
+                            voxelType: change.voxelType,
+                            voxelColor: change.voxelColor,
+                            buildMode,
+                            attachedSchematicPlacementId: change.attachedSchematicPlacementId
+                        });
+                    } else {
+                        // Multiple changes - batch, split to the server's limit
+                        for (let i = 0; i < changes.length; i += MAX_BATCH_SIZE) {
+                            await this.wsAdapter.sendBatchDamage(
+                                bodyId,
+                                changes.slice(i, i + MAX_BATCH_SIZE),
+                                buildMode
+                            );
+                        }
+                    }
+
+                    console.log(`[NetworkDamageSync] Sent ${changes.length} ${buildMode} changes for body ${bodyId}`);
                 }
-
-                console.log(`[NetworkDamageSync] Sent ${changes.length} changes for body ${bodyId}`);
             }
 
             // Clear pending (mark as synced happens on ack)
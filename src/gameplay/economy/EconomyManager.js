@@ -49,7 +49,7 @@ export class EconomyManager {
 
     setupResourceSystem() {
         const resourceTypes = {
-            ore: ['iron', 'copper', 'gold', 'platinum', 'titanium', 'uranium'],
+            ore: ['coal', 'iron', 'copper', 'gold', 'platinum', 'titanium', 'uranium'],
             gas: ['hydrogen', 'helium', 'oxygen', 'nitrogen', 'methane'],
             crystal: ['quartz', 'diamond', 'emerald', 'ruby', 'sapphire'],
             organic: ['wood', 'leather', 'fiber', 'oil', 'protein'],
@@ -149,9 +149,11 @@ export class EconomyManager {
         transaction.status = 'completed';
     }
 
-    generateResourceDrop(location, biome, rarity = 'common') {
-        const resourceType = this.selectResourceType(biome);
-        const resource = this.selectResource(resourceType, rarity);
+    // source: resource table entry ({resourceType, resourceId}) such as
+    // SubsurfaceGenerator.getResourceDrop for a mined ore; random by biome if omitted
+    generateResourceDrop(location, biome, rarity = 'common', source = null) {
+        const resourceType = source?.resourceType || this.selectResourceType(biome);
+        const resource = source?.resourceId || this.selectResource(resourceType, rarity);
         const quantity = this.calculateDropQuantity(rarity);
 
         const drop = {
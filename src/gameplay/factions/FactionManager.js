@@ -15,6 +15,7 @@ export class FactionManager {
         this.factionShips = new Map();
         this.factionFleets = new Map();
         this.shipFactionMap = new Map();
+        this.playerFactionMap = new Map();
         this.factionBlockLimits = new Map();
         this.factionBlockCounts = new Map();
 
@@ -161,6 +162,31 @@ export class FactionManager {
         return this.shipFactionMap.get(shipId) || null;
     }
 
+    assignPlayerToFaction(playerId, factionId) {
+        if (!this.factions.has(factionId)) return false;
+
+        this.removePlayerFromFaction(playerId);
+
+        this.playerFactionMap.set(playerId, factionId);
+        this.factions.get(factionId).memberCount++;
+
+        return true;
+    }
+
+    removePlayerFromFaction(playerId) {
+        const factionId = this.playerFactionMap.get(playerId);
+        if (!factionId) return false;
+
+        this.playerFactionMap.delete(playerId);
+        this.factions.get(factionId).memberCount--;
+
+        return true;
+    }
+
+    getPlayerFaction(playerId) {
+        return this.playerFactionMap.get(playerId) || null;
+    }
+
     getEffectiveBlockLimit(factionId) {
         const baseLimit = this.factionBlockLimits.get(factionId) || this.config.baseBlockLimit;
         const faction = this.factions.get(factionId);
@@ -333,6 +359,7 @@ export class FactionManager {
             factionShips: Array.from(this.factionShips.entries()).map(([k, v]) => [k, Array.from(v)]),
             factionFleets: Array.from(this.factionFleets.entries()).map(([k, v]) => [k, Array.from(v.entries())]),
             shipFactionMap: Array.from(this.shipFactionMap.entries()),
+            playerFactionMap: Array.from(this.playerFactionMap.entries()),
             factionBlockLimits: Array.from(this.factionBlockLimits.entries()),
             factionBlockCounts: Array.from(this.factionBlockCounts.entries())
         };
@@ -357,6 +384,9 @@ export class FactionManager {
         if (data.shipFactionMap) {
             this.shipFactionMap = new Map(data.shipFactionMap);
         }
+        if (data.playerFactionMap) {
+            this.playerFactionMap = new Map(data.playerFactionMap);
+        }
         if (data.factionBlockLimits) {
             this.factionBlockLimits = new Map(data.factionBlockLimits);
         }
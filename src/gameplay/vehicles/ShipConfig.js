@@ -70,8 +70,8 @@ export class ShipConfig {
 
         // Thruster configuration
         this.thrusters = options.thrusters || [];
-        this.totalThrust = 0;
-        this.totalFuelConsumption = 0;
+        this.totalThrust = options.totalThrust || 0;
+        this.totalFuelConsumption = options.totalFuelConsumption || 0;
 
         // Seat positions
         this.pilotSeat = options.pilotSeat || null;
@@ -6,7 +6,7 @@
  * - Local ship physics simulation
  * - Ship boarding/disembarking
  * - Input handling when piloting
- * - Syncing ship state with server
+ * - Sending pilot inputs and reconciling with server flight
  * - Managing player position relative to ship
  */
 
@@ -322,6 +322,11 @@ export class ShipManager {
         // Update settings
         this.syncInterval = options.syncInterval || 50; // ms
         this.lastSyncTime = 0;
+        this.inputSequence = 0;
+
+        // Reconciliation with server-authoritative flight
+        this.snapDistance = options.snapDistance || 5;
+        this.reconcileBlend = options.reconcileBlend || 0.2;
 
         // Bind event handlers
         if (this.wsAdapter) {
@@ -339,6 +344,7 @@ export class ShipManager {
         this.wsAdapter.on('ship_boarded', (msg) => this.handleShipBoarded(msg));
         this.wsAdapter.on('ship_exited', (msg) => this.handleShipExited(msg));
         this.wsAdapter.on('pilot_change', (msg) => this.handlePilotChange(msg));
+        this.wsAdapter.on('interest_update', (msg) => this.handleInterestUpdate(msg));
     }
 
     /**
@@ -577,26 +583,50 @@ export class ShipManager {
     // =============================================
 
     /**
-     * Sync current ship state to server
+     * Send current control inputs to server
      */
     syncShipState() {
         const ship = this.getCurrentShip();
         if (!ship || !this.isPiloting || !this.wsAdapter) return;
 
+        // Server simulates flight from inputs alone
         this.wsAdapter.send({
             type: 'ship_control',
             shipId: ship.shipId,
-            position: ship.position,
-            velocity: ship.velocity,
-            rotation: ship.rotation,
             throttle: ship.throttle,
             pitch: ship.pitch,
             yaw: ship.yaw,
             roll: ship.roll,
-            currentFuel: ship.currentFuel
+            sequence: ++this.inputSequence
         });
     }
 
+    /**
+     * Correct the locally predicted ship towards authoritative server state
+     * Small errors are blended out to avoid visible snapping; large ones
+     * (missed packets, rejected inputs) snap straight to the server.
+     */
+    reconcileShipState(ship, msg) {
+        const dx = msg.position.x - ship.position.x;
+        const dy = msg.position.y - ship.position.y;
+        const dz = msg.position.z - ship.position.z;
+        const error = Math.sqrt(dx * dx + dy * dy + dz * dz);
+
+        if (error > this.snapDistance) {
+            ship.applyServerState(msg);
+            return;
+        }
+
+        const blend = this.reconcileBlend;
+        ship.position.x += dx * blend;
+        ship.position.y += dy * blend;
+        ship.position.z += dz * blend;
+        ship.velocity = msg.velocity || ship.velocity;
+        ship.rotation = msg.rotation || ship.rotation;
+        ship.angularVelocity = msg.angularVelocity || ship.angularVelocity;
+        ship.currentFuel = msg.currentFuel ?? ship.currentFuel;
+    }
+
     // =============================================
     // NETWORK EVENT HANDLERS
     // =============================================
@@ -609,10 +639,9 @@ export class ShipManager {
             return;
         }
 
-        // Don't override local state if we're piloting
-        if (ship.pilotId === this.playerId && this.isPiloting) {
-            // Only update fuel and passengers from server
-            ship.currentFuel = msg.currentFuel ?? ship.currentFuel;
+        // Pilot keeps its prediction and reconciles towards the server
+        if (ship.pilotId === this.playerId && this.isPiloting && msg.position) {
+            this.reconcileShipState(ship, msg);
             return;
         }
 
@@ -653,6 +682,23 @@ export class ShipManager {
         }
     }
 
+    /**
+     * Ships entering our area of interest arrive with their current state;
+     * ships leaving it are dropped unless we are aboard
+     */
+    handleInterestUpdate(msg) {
+        for (const entry of msg.enter || []) {
+            if (entry.kind === 'ship' && entry.state) {
+                this.handleShipState(entry.state);
+            }
+        }
+        for (const entry of msg.leave || []) {
+            if (entry.kind === 'ship' && entry.id !== this.currentShipId) {
+                this.removeShip(entry.id);
+            }
+        }
+    }
+
     handlePilotChange(msg) {
         const ship = this.ships.get(msg.shipId);
         if (!ship) return;
@@ -1,4 +1,6 @@
 import { Chunk } from '../../spatial/Chunk.js';
+import { GravitationalShapeConfig } from '../../config/GravitationalShapeConfig.js';
+import { SeededRandom, DEFAULT_SEED } from '../../math/SeededRandom.js';
 
 /**
  * LayeredChunkGenerator - Generates chunks based on gravitational shape layers
@@ -10,9 +12,11 @@ import { Chunk } from '../../spatial/Chunk.js';
  * - full: Complete terrain generation (crust/surface)
  */
 export class LayeredChunkGenerator {
-    constructor(gravityShape, terrainGenerator = null) {
+    constructor(gravityShape, terrainGenerator = null, seed = DEFAULT_SEED) {
         this.gravityShape = gravityShape;
         this.terrainGenerator = terrainGenerator; // For full terrain generation
+        this.seed = seed;
+        this.noiseOffset = new SeededRandom(seed).noiseOffset('layers');
     }
 
     /**
@@ -154,6 +158,10 @@ export class LayeredChunkGenerator {
      * Simple 3D noise function (placeholder - can be replaced with proper noise)
      */
     simpleNoise3D(x, y, z) {
+        x += this.noiseOffset.x;
+        y += this.noiseOffset.y;
+        z += this.noiseOffset.z;
+
         // Simple hash-based noise
         const hash = Math.sin(x * 12.9898 + y * 78.233 + z * 45.164) * 43758.5453;
         return hash - Math.floor(hash);
@@ -213,6 +221,36 @@ export class LayeredChunkGenerator {
 
         return chunks;
     }
+
+    /**
+     * Serialize to plain object (e.g. for rebuilding in a worker)
+     * The terrain generator is only kept if it can serialize itself.
+     */
+    serialize() {
+        return {
+            type: 'layered',
+            gravityShape: this.gravityShape.serialize(),
+            seed: this.seed,
+            terrainGenerator: this.terrainGenerator?.serialize ? this.terrainGenerator.serialize() : null
+        };
+    }
+
+    /**
+     * Deserialize from plain object
+     * @param {Object} data - From serialize()
+     * @param {Function} deserializeGenerator - Rebuilds the terrain generator
+     */
+    static deserialize(data, deserializeGenerator = null) {
+        const terrainGenerator = data.terrainGenerator && deserializeGenerator
+            ? deserializeGenerator(data.terrainGenerator)
+            : null;
+
+        return new LayeredChunkGenerator(
+            GravitationalShapeConfig.deserialize(data.gravityShape),
+            terrainGenerator,
+            data.seed ?? DEFAULT_SEED
+        );
+    }
 }
 
 export default LayeredChunkGenerator;
@@ -97,14 +97,15 @@ export class RingworldGenerator {
             this.gravityShape
         );
 
+        // Seed for consistent noise
+        this.seed = config.seed || 12345;
+
         this.layeredGenerator = new LayeredChunkGenerator(
             this.gravityShape,
-            null  // terrain generator (can be added later for full biome support)
+            null,  // terrain generator (can be added later for full biome support)
+            this.seed
         );
 
-        // Seed for consistent noise
-        this.seed = config.seed || 12345;
-
         // Pre-calculate chunk counts (will be overwritten in generateAllChunks)
         const ringCircumference = 2 * Math.PI * this.ringRadius;
         const tubeCircumference = 2 * Math.PI * this.tubeRadius;
@@ -981,7 +982,8 @@ export class RingworldGenerator {
     }
 
     /**
-     * Serialize configuration for saving
+     * Serialize configuration for saving, or for rebuilding in a worker
+     * Includes everything terrain depends on, so both produce the same chunks
      */
     serialize() {
         return {
@@ -990,6 +992,11 @@ export class RingworldGenerator {
             tubeRadius: this.tubeRadius,
             chunkSize: this.chunkSize,
             surfaceDepth: this.surfaceDepth,
+            seaLevel: this.seaLevel,
+            baseHeight: this.baseHeight,
+            maxHeight: this.maxHeight,
+            caveThreshold: this.caveThreshold,
+            seed: this.seed,
             layers: this.layers
         };
     }
@@ -1003,6 +1010,11 @@ export class RingworldGenerator {
             tubeRadius: data.tubeRadius,
             chunkSize: data.chunkSize,
             surfaceDepth: data.surfaceDepth,
+            seaLevel: data.seaLevel,
+            baseHeight: data.baseHeight,
+            maxHeight: data.maxHeight,
+            caveThreshold: data.caveThreshold,
+            seed: data.seed,
             layers: data.layers
         });
     }
@@ -1,27 +1,46 @@
 import { noise3d } from '../../math/noise/noise3d.js';
 import { BiomeConfiguration } from '../../config/BiomeConfiguration.js';
 import { VOXEL_TYPES } from '../../data/voxel/VoxelTypes.js';
+import { SeededRandom, DEFAULT_SEED } from '../../math/SeededRandom.js';
+import { GravitationalShapes } from '../../config/GravitationalShapeConfig.js';
+import { SubsurfaceGenerator } from './SubsurfaceGenerator.js';
 
 export class SphereGenerator {
-    constructor(radius = 150, voxelSize = 1, biomeConfig = null) {
+    /**
+     * @param {number} radius
+     * @param {number} voxelSize
+     * @param {BiomeConfiguration} biomeConfig
+     * @param {number} seed - Planet seed (default: the biome config's)
+     */
+    constructor(radius = 150, voxelSize = 1, biomeConfig = null, seed = biomeConfig?.seed ?? DEFAULT_SEED) {
         this.radius = radius;
         this.voxelSize = voxelSize;
-        this.biomeConfig = biomeConfig || new BiomeConfiguration();
+        this.biomeConfig = biomeConfig || new BiomeConfiguration({ seed });
+        this.seed = seed;
+
+        this.random = new SeededRandom(seed);
+        this.terrainOffset = this.random.noiseOffset('terrain');
+        this.caveOffset = this.random.noiseOffset('caves');
+
+        // Caves and ore veins by core layer (radius band)
+        this.subsurface = new SubsurfaceGenerator(GravitationalShapes.sphere({ x: 0, y: 0, z: 0 }, radius), seed);
     }
 
     getHeightAtSpherePos(sphereX, sphereY, sphereZ) {
         const poleY = Math.abs(sphereY);
         const poleDamping = 1.0 - Math.pow(poleY, 4);
 
-        let continentalNoise = noise3d(sphereX * 1.5, sphereY * 1.5, sphereZ * 1.5);
-        let mountainNoise = noise3d(sphereX * 4, sphereY * 4, sphereZ * 4);
-        let detailNoise = noise3d(sphereX * 12, sphereY * 12, sphereZ * 12);
-        let fineNoise = noise3d(sphereX * 25, sphereY * 25, sphereZ * 25);
+        const { x: ox, y: oy, z: oz } = this.terrainOffset;
+
+        let continentalNoise = noise3d(sphereX * 1.5 + ox, sphereY * 1.5 + oy, sphereZ * 1.5 + oz);
+        let mountainNoise = noise3d(sphereX * 4 + ox, sphereY * 4 + oy, sphereZ * 4 + oz);
+        let detailNoise = noise3d(sphereX * 12 + ox, sphereY * 12 + oy, sphereZ * 12 + oz);
+        let fineNoise = noise3d(sphereX * 25 + ox, sphereY * 25 + oy, sphereZ * 25 + oz);
 
-        let mountainRangeNoise = noise3d(sphereX * 2.5, sphereY * 2.5, sphereZ * 2.5);
-        let ridgeNoise = Math.abs(noise3d(sphereX * 3.5 + 500, sphereY * 3.5 + 500, sphereZ * 3.5 + 500) - 0.5) * 2;
+        let mountainRangeNoise = noise3d(sphereX * 2.5 + ox, sphereY * 2.5 + oy, sphereZ * 2.5 + oz);
+        let ridgeNoise = Math.abs(noise3d(sphereX * 3.5 + 500 + ox, sphereY * 3.5 + 500 + oy, sphereZ * 3.5 + 500 + oz) - 0.5) * 2;
 
-        let erosionNoise = noise3d(sphereX * 8, sphereY * 8, sphereZ * 8);
+        let erosionNoise = noise3d(sphereX * 8 + ox, sphereY * 8 + oy, sphereZ * 8 + oz);
 
         let height = 0;
         height += (continentalNoise - 0.5) * 40;
@@ -87,7 +106,8 @@ export class SphereGenerator {
         const colorIndex = Math.floor(normalizedDepth * (biomeData.colorRange.length - 1));
         const color = biomeData.colorRange[colorIndex];
 
-        const noiseVal = noise3d(worldX * 0.1, worldY * 0.1, worldZ * 0.1);
+        const { x: ox, y: oy, z: oz } = this.caveOffset;
+        const noiseVal = noise3d(worldX * 0.1 + ox, worldY * 0.1 + oy, worldZ * 0.1 + oz);
         const type = this.biomeConfig.getVoxelTypeAtDepth(biome, distanceFromSurface, 30, noiseVal);
 
         return { color, type };
@@ -131,25 +151,14 @@ export class SphereGenerator {
                     if (dist <= surfaceRadius) {
                         const depthBelowSurface = surfaceRadius - dist;
 
-                        const caveNoise1 = noise3d(worldX * 0.05, worldY * 0.05, worldZ * 0.05);
-                        const caveNoise2 = noise3d(worldX * 0.08 + 100, worldY * 0.08 + 100, worldZ * 0.08 + 100);
-                        const caveNoise3 = noise3d(worldX * 0.12 + 200, worldY * 0.12 + 200, worldZ * 0.12 + 200);
-
-                        const caveThreshold = 0.5;
-                        const isCave = (caveNoise1 > caveThreshold && caveNoise2 > caveThreshold) ||
-                                      (caveNoise1 > caveThreshold && caveNoise3 > caveThreshold);
-
-                        const surfaceProtection = Math.min(1.0, depthBelowSurface / 10.0);
+                        const material = this.subsurface.sample(worldX, worldY, worldZ, depthBelowSurface);
+                        if (material === null) continue;
 
-                        if (!isCave || surfaceProtection < 0.3) {
-                            const color = this.getTerrainColor(height);
-                            const key = (x & 0x1F) | ((y & 0x1F) << 5) | ((z & 0x1F) << 10);
-                            chunk.voxels.set(key, {
-                                type: "solid",
-                                color
-                            });
-                            chunkVoxelCount++;
-                        }
+                        const key = (x & 0x1F) | ((y & 0x1F) << 5) | ((z & 0x1F) << 10);
+                        chunk.voxels.set(key, material
+                            ? { type: material.id, color: material.color }
+                            : { type: "solid", color: this.getTerrainColor(height) });
+                        chunkVoxelCount++;
                     }
                 }
             }
@@ -238,4 +247,22 @@ export class SphereGenerator {
 
         return surfaceChunks;
     }
+
+    /**
+     * Serialize to plain object (e.g. for rebuilding in a worker)
+     * Chunk generation only depends on radius, voxel size and seed; the biome
+     * configuration is rebuilt with its defaults.
+     */
+    serialize() {
+        return {
+            type: 'sphere',
+            radius: this.radius,
+            voxelSize: this.voxelSize,
+            seed: this.seed
+        };
+    }
+
+    static deserialize(data) {
+        return new SphereGenerator(data.radius, data.voxelSize, null, data.seed ?? DEFAULT_SEED);
+    }
 }
@@ -0,0 +1,191 @@
+import { noise3d } from '../../math/noise/noise3d.js';
+import { VOXEL_TYPES } from '../../data/voxel/VoxelTypes.js';
+import { SeededRandom, DEFAULT_SEED } from '../../math/SeededRandom.js';
+import { CoreLayerGenerator } from './CoreLayerGenerator.js';
+
+/**
+ * Subsurface Generator
+ *
+ * Decides what lies beneath a planet's surface: 3D caves and ore veins.
+ *
+ * - Cheese caves: large caverns where low-frequency noise peaks
+ * - Worm caves: winding tunnels where two noise fields cross their midpoint
+ * - Ore veins: small noise blobs, with the ores picked by the core layer
+ *   (radius band) the voxel sits in, so deeper layers yield rarer ores
+ *
+ * Everything is sampled from seeded noise per world position, so results do
+ * not depend on chunk size or the order chunks are generated in.
+ */
+
+/**
+ * Resource each ore drops when mined, in EconomyManager terms
+ * (resourceTypes / rarityLevels). Keyed by voxel type id.
+ */
+export const ORE_RESOURCES = {
+    [VOXEL_TYPES.COAL_ORE.id]: { resourceType: 'ore', resourceId: 'coal', rarity: 'common' },
+    [VOXEL_TYPES.IRON_ORE.id]: { resourceType: 'ore', resourceId: 'iron', rarity: 'uncommon' },
+    [VOXEL_TYPES.GOLD_ORE.id]: { resourceType: 'ore', resourceId: 'gold', rarity: 'rare' },
+    [VOXEL_TYPES.DIAMOND_ORE.id]: { resourceType: 'crystal', resourceId: 'diamond', rarity: 'epic' }
+};
+
+/**
+ * Ore veins per core layer, outermost first. Checked in order, so list the
+ * rarest ore first. `abundance` is the noise level above which a vein forms.
+ */
+export const LAYER_ORES = {
+    crust: [
+        { ore: 'IRON_ORE', abundance: 0.82 },
+        { ore: 'COAL_ORE', abundance: 0.75 }
+    ],
+    mantle: [
+        { ore: 'GOLD_ORE', abundance: 0.84 },
+        { ore: 'IRON_ORE', abundance: 0.78 },
+        { ore: 'COAL_ORE', abundance: 0.82 }
+    ],
+    outer_core: [
+        { ore: 'DIAMOND_ORE', abundance: 0.86 },
+        { ore: 'GOLD_ORE', abundance: 0.8 }
+    ],
+    inner_core: [
+        { ore: 'DIAMOND_ORE', abundance: 0.83 }
+    ]
+};
+
+const CAVE_DEFAULTS = {
+    cheeseScale: 0.05,
+    cheeseThreshold: 0.75,
+    wormScale: 0.04,
+    wormWidth: 0.035,
+    surfaceProtection: 3
+};
+
+const ORE_NAMES = ['COAL_ORE', 'IRON_ORE', 'GOLD_ORE', 'DIAMOND_ORE'];
+const VEIN_SCALE = 0.25;
+
+export class SubsurfaceGenerator {
+    /**
+     * @param {GravitationalShapeConfig} gravitationalShape - Shape whose layers define the radius bands
+     * @param {number} seed - Planet seed
+     * @param {Object} options
+     * @param {boolean} [options.caves=true] - Carve caves
+     * @param {Object} [options.caveSettings] - Overrides for CAVE_DEFAULTS
+     * @param {Object} [options.ores=LAYER_ORES] - Ore veins per layer name, false to disable
+     */
+    constructor(gravitationalShape, seed = DEFAULT_SEED, options = {}) {
+        this.gravity = gravitationalShape;
+        this.layers = new CoreLayerGenerator(gravitationalShape);
+        this.seed = seed;
+
+        this.caves = options.caves !== false ? { ...CAVE_DEFAULTS, ...options.caveSettings } : null;
+        this.ores = options.ores === false ? {} : (options.ores || LAYER_ORES);
+
+        this.random = new SeededRandom(seed);
+        this.cheeseOffset = this.random.noiseOffset('caves:cheese');
+        this.wormOffsetA = this.random.noiseOffset('caves:wormA');
+        this.wormOffsetB = this.random.noiseOffset('caves:wormB');
+
+        // One noise field per ore; the index shift separates them at the default seed
+        this.veinOffsets = new Map();
+        ORE_NAMES.forEach((name, i) => {
+            const offset = this.random.noiseOffset(`ore:${name}`);
+            this.veinOffsets.set(name, { x: offset.x + 300 + i * 97, y: offset.y + 300, z: offset.z + 300 });
+        });
+    }
+
+    /**
+     * Core layer at a world position. Terrain above the shape's radius
+     * (mountains) counts as the outermost layer.
+     * @returns {Object|null}
+     */
+    getLayerAt(worldX, worldY, worldZ) {
+        const dist = this.gravity.getDistanceFromCenter(worldX, worldY, worldZ);
+        const layer = this.layers.getLayerAtRadius(dist);
+        if (layer) return layer;
+
+        const sorted = this.layers.sortedLayers;
+        if (sorted.length === 0) return null;
+        return dist >= sorted[sorted.length - 1].maxRadius ? sorted[sorted.length - 1] : sorted[0];
+    }
+
+    /**
+     * Check if a position should be carved as a cave
+     * @param {number} worldX
+     * @param {number} worldY
+     * @param {number} worldZ
+     * @param {number} depthBelowSurface - Voxels between this position and the surface
+     * @param {Object} [layer] - Core layer, if already known
+     * @returns {boolean}
+     */
+    isCaveAt(worldX, worldY, worldZ, depthBelowSurface, layer = this.getLayerAt(worldX, worldY, worldZ)) {
+        const caves = this.caves;
+        if (!caves || depthBelowSurface < caves.surfaceProtection) return false;
+
+        // Solid layers (the core) are never hollowed out
+        if (layer?.solid) return false;
+
+        const c = this.cheeseOffset;
+        const cs = caves.cheeseScale;
+        const cheese = noise3d(worldX * cs + c.x, worldY * cs + c.y, worldZ * cs + c.z);
+        if (cheese > caves.cheeseThreshold) return true;
+
+        // Worm tunnels: where both fields sit near their midpoint
+        const a = this.wormOffsetA;
+        const b = this.wormOffsetB;
+        const ws = caves.wormScale;
+        const wormA = noise3d(worldX * ws + a.x + 100, worldY * ws + a.y + 100, worldZ * ws + a.z + 100);
+        if (Math.abs(wormA - 0.5) >= caves.wormWidth) return false;
+
+        const wormB = noise3d(worldX * ws + b.x + 200, worldY * ws + b.y + 200, worldZ * ws + b.z + 200);
+        return Math.abs(wormB - 0.5) < caves.wormWidth;
+    }
+
+    /**
+     * Ore vein at a position, if any
+     * @param {number} worldX
+     * @param {number} worldY
+     * @param {number} worldZ
+     * @param {Object} [layer] - Core layer, if already known
+     * @returns {Object|null} VOXEL_TYPES entry of the ore
+     */
+    getOreAt(worldX, worldY, worldZ, layer = this.getLayerAt(worldX, worldY, worldZ)) {
+        const veins = layer && this.ores[layer.name];
+        if (!veins) return null;
+
+        for (const vein of veins) {
+            const o = this.veinOffsets.get(vein.ore);
+            if (!o) continue;
+
+            const value = noise3d(worldX * VEIN_SCALE + o.x, worldY * VEIN_SCALE + o.y, worldZ * VEIN_SCALE + o.z);
+            if (value > vein.abundance) {
+                return VOXEL_TYPES[vein.ore];
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * What replaces solid ground at a position
+     * @returns {null|Object|undefined} null for a cave (air), an ore's
+     *   VOXEL_TYPES entry, or undefined to keep the terrain voxel
+     */
+    sample(worldX, worldY, worldZ, depthBelowSurface) {
+        const layer = this.getLayerAt(worldX, worldY, worldZ);
+
+        if (this.isCaveAt(worldX, worldY, worldZ, depthBelowSurface, layer)) return null;
+
+        return this.getOreAt(worldX, worldY, worldZ, layer) || undefined;
+    }
+
+    /**
+     * Resource table entry for a mined voxel, to pass to
+     * EconomyManager.generateResourceDrop
+     * @param {number} voxelType
+     * @returns {Object|null} {resourceType, resourceId, rarity}
+     */
+    static getResourceDrop(voxelType) {
+        return ORE_RESOURCES[voxelType] || null;
+    }
+}
+
+export default SubsurfaceGenerator;
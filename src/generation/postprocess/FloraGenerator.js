@@ -0,0 +1,327 @@
+import { VOXEL_TYPES } from '../../data/voxel/VoxelTypes.js';
+import { SEMANTIC } from '../../data/Semantics.js';
+import { BiomeConfiguration } from '../../config/BiomeConfiguration.js';
+import { ChunkCoordinate } from '../../spatial/ChunkCoordinate.js';
+
+/**
+ * Flora Generator Post-Processor
+ *
+ * Turns BiomeSystem vegetation records into voxel trees, cacti, shrubs and
+ * grass on top of generated terrain. Runs after terrain generation, like
+ * WaterFiller.
+ *
+ * - "Up" is the gravity shape's surface normal, so flora stands upright on
+ *   spheres, rings and planes
+ * - Each feature belongs to the chunk holding its ground voxel; the parts
+ *   reaching into neighbours are kept as pending placements and written
+ *   when that neighbour is decorated (or applyPending is called on it)
+ * - Placement depends only on the seed and the chunk's own terrain, and
+ *   overlapping flora is resolved by rank, so chunk load order does not
+ *   change the result
+ */
+
+// Where flora overlaps, the higher rank wins (ties: higher type id)
+const FLORA_RANK = new Map([
+    [VOXEL_TYPES.TALL_GRASS.id, 1],
+    [VOXEL_TYPES.LEAVES.id, 2],
+    [VOXEL_TYPES.CACTUS.id, 3],
+    [VOXEL_TYPES.WOOD_OAK.id, 4],
+    [VOXEL_TYPES.WOOD_BIRCH.id, 4],
+    [VOXEL_TYPES.WOOD_PINE.id, 4]
+]);
+
+const TYPE_COLORS = new Map(Object.values(VOXEL_TYPES).map(type => [type.id, type.color]));
+
+// Nothing grows on water or lava
+const LIQUID_TYPES = new Set(
+    Object.values(VOXEL_TYPES).filter(type => type.semantics & SEMANTIC.LIQUID).map(type => type.id)
+);
+
+// Cells within this distance of a trunk axis are trunk; wide enough that
+// trunks on tilted ground stay face-connected, narrow enough to stay 1 voxel
+// thick on axis-aligned ground
+const TRUNK_RADIUS = 0.87;
+
+function voxelKey(x, y, z) {
+    return (x & 0x1F) | ((y & 0x1F) << 5) | ((z & 0x1F) << 10);
+}
+
+function voxelType(voxel) {
+    return typeof voxel === 'object' && voxel !== null ? voxel.type : voxel;
+}
+
+// Layered chunks store 0 for air
+function isEmpty(voxel) {
+    return voxel === undefined || voxel === 0;
+}
+
+/**
+ * Whether a flora voxel may replace the existing one
+ */
+function canReplace(existingType, typeId) {
+    const existingRank = FLORA_RANK.get(existingType);
+    if (existingRank === undefined) {
+        return false; // Terrain
+    }
+
+    const rank = FLORA_RANK.get(typeId);
+    return rank > existingRank || (rank === existingRank && typeId > existingType);
+}
+
+export class FloraGenerator {
+    /**
+     * @param {GravitationalShapeConfig} gravitationalShape - Defines "up"
+     * @param {BiomeConfiguration|Object} biomeConfig - Flora settings and biome
+     *   lookup; a plain config object is wrapped in a BiomeConfiguration
+     */
+    constructor(gravitationalShape, biomeConfig = null) {
+        this.gravity = gravitationalShape;
+        this.biomeConfig = biomeConfig?.getFloraSettings
+            ? biomeConfig
+            : new BiomeConfiguration(biomeConfig || {});
+        this.biomeSystem = this.biomeConfig.biomeSystem;
+
+        // chunkKey -> Map<voxelKey, typeId> of flora waiting for that chunk
+        this.pending = new Map();
+    }
+
+    /**
+     * Place flora rooted in a chunk, then apply flora pending for it
+     * Modifies chunk in-place
+     *
+     * @param {Object} chunk - Chunk object with voxels Map
+     * @param {number} cx - Chunk X coordinate
+     * @param {number} cy - Chunk Y coordinate
+     * @param {number} cz - Chunk Z coordinate
+     * @param {number} chunkSize - Size of chunk (default 16)
+     * @returns {Array<number>} Keys of neighbour chunks that received pending flora
+     */
+    decorateChunk(chunk, cx, cy, cz, chunkSize = 16) {
+        const numeric = this.usesNumericVoxels(chunk);
+        const touched = new Set();
+
+        // Find all roots before placing anything, so flora never grows on flora
+        const roots = this.findRoots(chunk, cx, cy, cz, chunkSize);
+
+        for (const root of roots) {
+            const biome = this.biomeConfig.getBiomeAt(root.x, root.y, root.z);
+            const flora = this.biomeConfig.getFloraSettings(biome);
+            if (!flora) continue;
+
+            const record = this.biomeSystem.generateVegetation(biome, root.x, root.y, root.z, flora);
+            if (!record) continue;
+
+            this.rasterize(record, root, root.up, (x, y, z, typeId) => {
+                const ncx = Math.floor(x / chunkSize);
+                const ncy = Math.floor(y / chunkSize);
+                const ncz = Math.floor(z / chunkSize);
+                const key = voxelKey(x - ncx * chunkSize, y - ncy * chunkSize, z - ncz * chunkSize);
+
+                if (ncx === cx && ncy === cy && ncz === cz) {
+                    this.placeVoxel(chunk.voxels, key, typeId, numeric);
+                } else {
+                    const chunkKey = ChunkCoordinate.toKey(ncx, ncy, ncz);
+                    this.addPending(chunkKey, key, typeId);
+                    touched.add(chunkKey);
+                }
+            });
+        }
+
+        this.applyPending(chunk, cx, cy, cz);
+
+        return Array.from(touched);
+    }
+
+    /**
+     * Write flora pending for a chunk into it
+     * Pending flora is kept, so a chunk regenerated after unloading gets it again
+     *
+     * @returns {boolean} True if any voxel changed
+     */
+    applyPending(chunk, cx, cy, cz) {
+        const placements = this.pending.get(ChunkCoordinate.toKey(cx, cy, cz));
+        if (!placements) {
+            return false;
+        }
+
+        const numeric = this.usesNumericVoxels(chunk);
+        let changed = false;
+        for (const [key, typeId] of placements) {
+            changed = this.placeVoxel(chunk.voxels, key, typeId, numeric) || changed;
+        }
+        return changed;
+    }
+
+    hasPending(cx, cy, cz) {
+        return this.pending.has(ChunkCoordinate.toKey(cx, cy, cz));
+    }
+
+    clearPending() {
+        this.pending.clear();
+    }
+
+    addPending(chunkKey, key, typeId) {
+        let placements = this.pending.get(chunkKey);
+        if (!placements) {
+            placements = new Map();
+            this.pending.set(chunkKey, placements);
+        }
+
+        const existing = placements.get(key);
+        if (existing === undefined || canReplace(existing, typeId)) {
+            placements.set(key, typeId);
+        }
+    }
+
+    /**
+     * Surface voxels of a chunk: solid terrain with an empty cell above it
+     * (along the rounded gravity normal). Cells above the chunk edge are
+     * treated as covered, so the answer never depends on neighbours.
+     */
+    findRoots(chunk, cx, cy, cz, chunkSize) {
+        const roots = [];
+
+        for (const [key, voxel] of chunk.voxels) {
+            const type = voxelType(voxel);
+            if (isEmpty(voxel) || FLORA_RANK.has(type) || LIQUID_TYPES.has(type)) continue;
+
+            const lx = key & 0x1F;
+            const ly = (key >> 5) & 0x1F;
+            const lz = (key >> 10) & 0x1F;
+            const x = cx * chunkSize + lx;
+            const y = cy * chunkSize + ly;
+            const z = cz * chunkSize + lz;
+
+            const up = this.gravity.getSurfacePoint(x + 0.5, y + 0.5, z + 0.5).normal;
+            const ax = lx + Math.round(up.x);
+            const ay = ly + Math.round(up.y);
+            const az = lz + Math.round(up.z);
+            if (ax < 0 || ay < 0 || az < 0 || ax >= chunkSize || ay >= chunkSize || az >= chunkSize) continue;
+
+            const above = chunk.voxels.get(voxelKey(ax, ay, az));
+            if (!isEmpty(above) && !FLORA_RANK.has(voxelType(above))) continue;
+
+            roots.push({ x, y, z, up });
+        }
+
+        return roots;
+    }
+
+    /**
+     * Emit the voxels of one vegetation record
+     *
+     * @param {Object} record - From BiomeSystem.generateVegetation()
+     * @param {Object} root - Ground voxel {x, y, z} (world)
+     * @param {Object} up - Unit up vector
+     * @param {Function} emit - emit(x, y, z, typeId) for each flora voxel
+     */
+    rasterize(record, root, up, emit) {
+        const height = Math.max(1, Math.round(record.height));
+        const wood = VOXEL_TYPES[record.wood]?.id ?? VOXEL_TYPES.WOOD_OAK.id;
+
+        let reach;   // Extent along up
+        let radius;  // Extent around the axis
+        let classify;
+
+        switch (record.model) {
+            case 'tree': {
+                const crown = Math.max(2, Math.round(height / 3));
+                reach = height + crown;
+                radius = crown;
+                classify = (along, perp2) => {
+                    if (along > 0.5 && along < height + 0.5 && perp2 <= TRUNK_RADIUS ** 2) return wood;
+                    const da = along - height;
+                    if (along > 1.5 && perp2 + da * da <= (crown + 0.3) ** 2) return VOXEL_TYPES.LEAVES.id;
+                    return null;
+                };
+                break;
+            }
+            case 'pine': {
+                const spread = Math.max(1.5, height / 3);
+                reach = height + 1;
+                radius = Math.ceil(spread);
+                classify = (along, perp2) => {
+                    if (along > 0.5 && along < height + 0.5 && perp2 <= TRUNK_RADIUS ** 2) return wood;
+                    // Cone: widest at the bottom of the foliage, a point at the top
+                    if (along < 2.5 || along > height + 1.5) return null;
+                    const cone = spread * (height + 1.5 - along) / (height - 1) + 0.3;
+                    return perp2 <= cone * cone ? VOXEL_TYPES.LEAVES.id : null;
+                };
+                break;
+            }
+            case 'cactus':
+                reach = height;
+                radius = 1;
+                classify = (along, perp2) =>
+                    (along > 0.5 && along < height + 0.5 && perp2 <= TRUNK_RADIUS ** 2 ? VOXEL_TYPES.CACTUS.id : null);
+                break;
+            case 'shrub':
+                reach = height + 1;
+                radius = 2;
+                classify = (along, perp2) => {
+                    const da = along - height;
+                    return along > 0.5 && perp2 + da * da <= 1.7 ? VOXEL_TYPES.LEAVES.id : null;
+                };
+                break;
+            case 'grass':
+                reach = 1;
+                radius = 1;
+                classify = (along, perp2) =>
+                    (along > 0.5 && along < 1.5 && perp2 <= TRUNK_RADIUS ** 2 ? VOXEL_TYPES.TALL_GRASS.id : null);
+                break;
+            default:
+                return;
+        }
+
+        // Bounding box of the segment root -> root + up * reach, padded by radius
+        const tipX = root.x + up.x * reach;
+        const tipY = root.y + up.y * reach;
+        const tipZ = root.z + up.z * reach;
+        const pad = radius + 1;
+
+        for (let x = Math.floor(Math.min(root.x, tipX)) - pad; x <= Math.ceil(Math.max(root.x, tipX)) + pad; x++) {
+            for (let y = Math.floor(Math.min(root.y, tipY)) - pad; y <= Math.ceil(Math.max(root.y, tipY)) + pad; y++) {
+                for (let z = Math.floor(Math.min(root.z, tipZ)) - pad; z <= Math.ceil(Math.max(root.z, tipZ)) + pad; z++) {
+                    const dx = x - root.x;
+                    const dy = y - root.y;
+                    const dz = z - root.z;
+                    const along = dx * up.x + dy * up.y + dz * up.z;
+                    const perp2 = dx * dx + dy * dy + dz * dz - along * along;
+
+                    const typeId = classify(along, perp2);
+                    if (typeId !== null) {
+                        emit(x, y, z, typeId);
+                    }
+                }
+            }
+        }
+    }
+
+    /**
+     * Write a flora voxel into air or over lower-ranked flora
+     * @returns {boolean} True if written
+     */
+    placeVoxel(voxels, key, typeId, numeric) {
+        const existing = voxels.get(key);
+        if (!isEmpty(existing) && !canReplace(voxelType(existing), typeId)) {
+            return false;
+        }
+
+        voxels.set(key, numeric ? typeId : { type: typeId, color: TYPE_COLORS.get(typeId) });
+        return true;
+    }
+
+    /**
+     * Match the chunk's voxel format: Chunk/Layered store ids, Sphere stores {type, color}
+     */
+    usesNumericVoxels(chunk) {
+        for (const voxel of chunk.voxels.values()) {
+            if (!isEmpty(voxel)) {
+                return typeof voxel === 'number';
+            }
+        }
+        return false;
+    }
+}
+
+export default FloraGenerator;
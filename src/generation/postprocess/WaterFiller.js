@@ -1,4 +1,5 @@
 import { VOXEL_TYPES } from '../../data/voxel/VoxelTypes.js';
+import { GravitationalShapeConfig } from '../../config/GravitationalShapeConfig.js';
 
 /**
  * Water Filler Post-Processor
@@ -144,6 +145,68 @@ export class WaterFiller {
         return totalWaterAdded;
     }
 
+    /**
+     * Fill water in all chunks on a ChunkWorkerPool
+     * Chunks are sent in batches; each chunk's voxels Map is replaced by the
+     * filled one when its batch comes back.
+     *
+     * @param {ChunkWorkerPool} pool
+     * @param {Map} chunks - Map of chunk keys to chunk objects
+     * @param {number} chunkSize - Size of chunks (default 16)
+     * @param {number} chunksPerTask - Chunks sent to a worker at once (default 50)
+     * @param {Function} progressCallback - Optional callback(processed, total)
+     * @returns {Promise<number>} Total water voxels added
+     */
+    async fillAllChunksOnPool(pool, chunks, chunkSize = 16, chunksPerTask = 50, progressCallback = null) {
+        const entries = Array.from(chunks).filter(([key]) => {
+            const [cx, cy, cz] = key.split(',').map(Number);
+            return this.chunkIntersectsWaterLevel(cx, cy, cz, chunkSize);
+        });
+
+        const total = chunks.size;
+        let processed = total - entries.length;
+        const tasks = [];
+
+        for (let i = 0; i < entries.length; i += chunksPerTask) {
+            const batch = new Map(entries.slice(i, i + chunksPerTask));
+
+            tasks.push(pool.fillWater(this, batch, chunkSize).promise.then(({ chunks: filled, waterAdded }) => {
+                for (const [key, voxels] of filled) {
+                    chunks.get(key).voxels = voxels;
+                }
+
+                processed += batch.size;
+                if (progressCallback) {
+                    progressCallback(processed, total);
+                }
+
+                return waterAdded;
+            }));
+        }
+
+        const added = await Promise.all(tasks);
+        return added.reduce((sum, count) => sum + count, 0);
+    }
+
+    /**
+     * Serialize to plain object (for ChunkWorker)
+     */
+    serialize() {
+        return {
+            type: 'water',
+            waterLevel: this.waterLevel,
+            gravityShape: this.gravity.serialize()
+        };
+    }
+
+    /**
+     * Deserialize from plain object
+     * @param {Object} data - From serialize()
+     */
+    static deserialize(data) {
+        return new WaterFiller(data.waterLevel, GravitationalShapeConfig.deserialize(data.gravityShape));
+    }
+
     /**
      * Yield control to prevent blocking the main thread
      * @returns {Promise} Promise that resolves on next frame
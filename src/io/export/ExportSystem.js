@@ -1,9 +1,12 @@
 /**
  * ExportSystem.js
- * Handles .mvox export with typed headers
+ * Handles .mvox export with typed headers, plus JSON, MagicaVoxel .vox and glTF
  */
 
 import { MvoxType, MvoxCollisionMode, createMvoxHeader } from './MvoxTypes.js';
+import { MagicaVoxelExporter } from './MagicaVoxelExporter.js';
+import { GLTFExporter } from './GLTFExporter.js';
+import { COLOR_TYPE } from '../../avatar/data/AvatarPalette.js';
 
 export class ExportSystem {
   constructor(voxelWorld, buildManager, playerController, wandTool = null) {
@@ -11,6 +14,9 @@ export class ExportSystem {
     this.buildManager = buildManager;
     this.playerController = playerController;
     this.wandTool = wandTool;
+
+    // Optional MaterialPalette used to colour typed voxels in mesh exports
+    this.materialPalette = null;
   }
 
   /**
@@ -147,11 +153,132 @@ export class ExportSystem {
     alert('NBT export not yet implemented. This will generate Minecraft-compatible NBT format for texture bridge in future updates.');
   }
 
+  /**
+   * Export build as MagicaVoxel .vox
+   * Voxels are filled out in units of the build's smallest voxel scale
+   */
+  exportVox(buildId) {
+    const build = this.buildManager.getBuildData(buildId);
+    if (!build) {
+      this.playerController.clearInputs();
+      alert('Build not found!');
+      return;
+    }
+
+    const voxels = this.voxelWorld.getBuildVoxels(buildId);
+    if (voxels.length === 0) {
+      this.playerController.clearInputs();
+      alert('Build is empty!');
+      return;
+    }
+
+    const { cells } = this.rasterizeVoxels(voxels);
+    const voxList = cells.map(c => ({
+      ...c,
+      colorType: c.alpha !== undefined && c.alpha < 1 ? COLOR_TYPE.TRANSPARENT : COLOR_TYPE.SOLID
+    }));
+
+    const data = MagicaVoxelExporter.fromVoxelList(voxList, { name: build.name });
+    this.downloadFile(`${build.id}.vox`, data, 'application/octet-stream');
+
+    this.buildManager.markBuildAsSaved(buildId);
+  }
+
+  /**
+   * Export build as glTF 2.0 (binary .glb by default)
+   */
+  exportGLTF(buildId, binary = true) {
+    const build = this.buildManager.getBuildData(buildId);
+    if (!build) {
+      this.playerController.clearInputs();
+      alert('Build not found!');
+      return;
+    }
+
+    const voxels = this.voxelWorld.getBuildVoxels(buildId);
+    if (voxels.length === 0) {
+      this.playerController.clearInputs();
+      alert('Build is empty!');
+      return;
+    }
+
+    const { unit, cells } = this.rasterizeVoxels(voxels);
+    const doc = GLTFExporter.fromVoxelList(cells, {
+      name: build.name,
+      voxelSize: unit,
+      materialPalette: this.materialPalette
+    });
+
+    this.downloadGLTF(build.id, doc, binary);
+    this.buildManager.markBuildAsSaved(buildId);
+  }
+
+  /**
+   * Export loaded world chunks (e.g. a planet region around the player) as glTF
+   * @param {Iterable} chunks - Chunk objects with chunkX/Y/Z, chunkSize and voxels
+   */
+  exportRegionGLTF(chunks, name = 'region', binary = true) {
+    const doc = GLTFExporter.fromChunks(chunks, { name, materialPalette: this.materialPalette });
+    this.downloadGLTF(name, doc, binary);
+  }
+
+  /**
+   * Export avatar as a rigged glTF
+   */
+  exportAvatarGLTF(avatar, rig = null, binary = true) {
+    const doc = GLTFExporter.fromAvatar(avatar, { rig });
+    this.downloadGLTF(avatar.metadata.id, doc, binary);
+  }
+
+  downloadGLTF(baseName, doc, binary) {
+    if (binary) {
+      this.downloadFile(`${baseName}.glb`, GLTFExporter.toGLB(doc), 'model/gltf-binary');
+    } else {
+      this.downloadFile(`${baseName}.gltf`, GLTFExporter.toGLTF(doc), 'model/gltf+json');
+    }
+  }
+
+  /**
+   * Fill mixed-scale build voxels into a grid of the smallest scale
+   * @returns {{unit: number, cells: Array<{x, y, z, color, alpha}>}}
+   */
+  rasterizeVoxels(voxels) {
+    const unit = Math.min(...voxels.map(v => v.scale));
+    const cells = new Map();
+
+    for (const v of voxels) {
+      const span = Math.max(1, Math.round(v.scale / unit));
+      const baseX = Math.round(v.x / unit);
+      const baseY = Math.round(v.y / unit);
+      const baseZ = Math.round(v.z / unit);
+      const color = typeof v.color === 'string' ? parseInt(v.color.replace('#', ''), 16) : v.color;
+
+      for (let dx = 0; dx < span; dx++) {
+        for (let dy = 0; dy < span; dy++) {
+          for (let dz = 0; dz < span; dz++) {
+            const x = baseX + dx, y = baseY + dy, z = baseZ + dz;
+            cells.set(`${x},${y},${z}`, { x, y, z, color, alpha: v.alpha });
+          }
+        }
+      }
+    }
+
+    return { unit, cells: Array.from(cells.values()) };
+  }
+
+  /**
+   * Export avatar as MagicaVoxel .vox
+   */
+  exportAvatarVox(avatar, filename = null) {
+    const data = MagicaVoxelExporter.fromAvatar(avatar);
+    this.downloadFile(filename || `${avatar.metadata.id}.vox`, data, 'application/octet-stream');
+  }
+
   /**
    * Trigger file download
    */
-  downloadFile(filename, content) {
-    const blob = new Blob([content], {type: 'text/plain'});
+  downloadFile(filename, content, mimeType = 'text/plain') {
+    const blob = new Blob([content], {type: mimeType});
     const url = URL.createObjectURL(blob);
 
     const a = document.createElement('a');
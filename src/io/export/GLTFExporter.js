@@ -0,0 +1,559 @@
+/**
+ * GLTFExporter.js
+ * Meshes voxels into glTF 2.0 (.gltf / .glb) for use in external tools
+ *
+ * Voxels are bucketed into 16^3 chunks and run through the same
+ * cull -> greedy merge -> indexed geometry pipeline as UnifiedVoxelMesher,
+ * with cross-chunk neighbour lookups so no interior faces are written.
+ * Colours go into COLOR_0; each emissive colour gets its own material since
+ * glTF emission is per-material. Avatars are exported with the
+ * VoxelAvatarRig skeleton and per-vertex weights from WeightCalculator.
+ */
+
+import { UnifiedVoxelMesher } from '../../geometry/voxel/UnifiedVoxelMesher.js';
+import { MVoxFile } from '../../serialization/formats/MVoxFile.js';
+import { SEMANTIC } from '../../data/Semantics.js';
+import { VoxelAvatarRig } from '../../avatar/rig/VoxelAvatarRig.js';
+import { AVATAR_WIDTH, AVATAR_DEPTH } from '../../avatar/data/VoxelAvatarData.js';
+import { COLOR_TYPE } from '../../avatar/data/AvatarPalette.js';
+
+const MESH_CHUNK_SIZE = 16;
+
+const GLB_MAGIC = 0x46546C67; // 'glTF'
+const GLB_CHUNK_JSON = 0x4E4F534A;
+const GLB_CHUNK_BIN = 0x004E4942;
+
+const COMPONENT = {
+    UNSIGNED_BYTE: 5121,
+    UNSIGNED_SHORT: 5123,
+    UNSIGNED_INT: 5125,
+    FLOAT: 5126
+};
+
+const TARGET = {
+    ARRAY_BUFFER: 34962,
+    ELEMENT_ARRAY_BUFFER: 34963
+};
+
+const COMPONENT_COUNT = { SCALAR: 1, VEC3: 3, VEC4: 4, MAT4: 16 };
+
+/**
+ * Accumulates binary data, buffer views and accessors for one document
+ */
+class GLTFBuilder {
+    constructor(name) {
+        this.json = {
+            asset: { version: '2.0', generator: 'Polymir' },
+            scene: 0,
+            scenes: [{ name, nodes: [] }],
+            nodes: [],
+            meshes: [],
+            materials: [],
+            accessors: [],
+            bufferViews: [],
+            buffers: []
+        };
+        this.parts = [];
+        this.byteLength = 0;
+    }
+
+    /**
+     * @param {TypedArray} array
+     * @param {string} type - SCALAR, VEC3, VEC4, MAT4
+     * @param {number} componentType - COMPONENT value
+     * @param {number|undefined} target - TARGET value (omitted for non-vertex data)
+     * @returns {number} Accessor index
+     */
+    accessor(array, type, componentType, target, withBounds = false) {
+        const bytes = new Uint8Array(array.buffer, array.byteOffset, array.byteLength);
+        const padding = (4 - (this.byteLength % 4)) % 4;
+        if (padding > 0) {
+            this.parts.push(new Uint8Array(padding));
+            this.byteLength += padding;
+        }
+
+        const view = { buffer: 0, byteOffset: this.byteLength, byteLength: bytes.byteLength };
+        if (target !== undefined) view.target = target;
+        this.json.bufferViews.push(view);
+        this.parts.push(bytes);
+        this.byteLength += bytes.byteLength;
+
+        const size = COMPONENT_COUNT[type];
+        const accessor = {
+            bufferView: this.json.bufferViews.length - 1,
+            componentType,
+            count: array.length / size,
+            type
+        };
+
+        if (withBounds) {
+            const min = new Array(size).fill(Infinity);
+            const max = new Array(size).fill(-Infinity);
+            for (let i = 0; i < array.length; i++) {
+                const c = i % size;
+                if (array[i] < min[c]) min[c] = array[i];
+                if (array[i] > max[c]) max[c] = array[i];
+            }
+            accessor.min = min;
+            accessor.max = max;
+        }
+
+        this.json.accessors.push(accessor);
+        return this.json.accessors.length - 1;
+    }
+
+    node(node, root = false) {
+        this.json.nodes.push(node);
+        const index = this.json.nodes.length - 1;
+        if (root) this.json.scenes[0].nodes.push(index);
+        return index;
+    }
+
+    /**
+     * @returns {{json: Object, bin: Uint8Array}}
+     */
+    finish() {
+        const bin = new Uint8Array(Math.ceil(this.byteLength / 4) * 4);
+        let offset = 0;
+        for (const part of this.parts) {
+            bin.set(part, offset);
+            offset += part.byteLength;
+        }
+
+        this.json.buffers.push({ byteLength: bin.byteLength });
+
+        for (const key of ['materials', 'accessors', 'bufferViews', 'meshes']) {
+            if (this.json[key].length === 0) delete this.json[key];
+        }
+
+        return { json: this.json, bin };
+    }
+}
+
+export class GLTFExporter {
+    /**
+     * Export voxels in integer grid coordinates
+     * @param {Iterable} voxels - [{ x, y, z, color, type, semantics, emissive, alpha }]
+     * @param {Object} options
+     * @param {string} options.name - Scene/mesh name
+     * @param {number} options.voxelSize - Edge length of one voxel in metres (default: 1)
+     * @param {Array<number>} options.origin - Grid position placed at the scene origin
+     * @param {MaterialPalette} options.materialPalette - Resolves colours/semantics for numeric voxel types
+     * @returns {{json: Object, bin: Uint8Array}}
+     */
+    static fromVoxelList(voxels, options = {}) {
+        const cells = new Map();
+        for (const voxel of voxels) {
+            cells.set(`${voxel.x},${voxel.y},${voxel.z}`, {
+                x: voxel.x,
+                y: voxel.y,
+                z: voxel.z,
+                ...this.resolveMaterial(voxel, options.materialPalette)
+            });
+        }
+
+        const builder = new GLTFBuilder(options.name || 'Voxels');
+        const primitives = this.meshCells(cells, null, options);
+        const mesh = this.writeMesh(builder, primitives, options.name || 'Voxels');
+        builder.node({ name: options.name || 'Voxels', mesh }, true);
+
+        return builder.finish();
+    }
+
+    /**
+     * Export loaded world chunks (e.g. NearPlayerChunkLoader entries) in world space
+     * @param {Iterable} chunks - [{ chunkX, chunkY, chunkZ, chunkSize, voxels: Map }]
+     */
+    static fromChunks(chunks, options = {}) {
+        const voxels = [];
+        for (const chunk of chunks) {
+            const size = chunk.chunkSize || MESH_CHUNK_SIZE;
+            for (const [key, voxel] of chunk.voxels) {
+                voxels.push({
+                    ...voxel,
+                    x: chunk.chunkX * size + (key & 0x1F),
+                    y: chunk.chunkY * size + ((key >> 5) & 0x1F),
+                    z: chunk.chunkZ * size + ((key >> 10) & 0x1F)
+                });
+            }
+        }
+
+        return this.fromVoxelList(voxels, { name: 'Region', ...options });
+    }
+
+    static fromMVoxFile(mvoxFile, options = {}) {
+        const bits = mvoxFile.metadata.positionBits || 5;
+        const voxels = [];
+        for (const [key, voxel] of mvoxFile.voxels) {
+            const [x, y, z] = MVoxFile.decodeKey(key, bits);
+            voxels.push({ ...voxel, x, y, z });
+        }
+
+        return this.fromVoxelList(voxels, { name: mvoxFile.metadata.name, ...options });
+    }
+
+    static fromSchematic(schematic, options = {}) {
+        const voxels = [];
+        schematic.blocks.forEach((block, key) => {
+            const [x, y, z] = key.split(',').map(Number);
+            voxels.push({ ...block, x, y, z });
+        });
+
+        return this.fromVoxelList(voxels, { name: schematic.metadata?.name, ...options });
+    }
+
+    /**
+     * Export a rigged avatar: the mesh is skinned to the VoxelAvatarRig
+     * bones in rest pose, centred on the grid's footprint
+     * @param {VoxelAvatarData} avatar
+     * @param {Object} options
+     * @param {VoxelAvatarRig} options.rig - Existing rig (default: built from the avatar)
+     * @param {number} options.voxelSize - Metres per voxel (default: 1/32, a 2m tall avatar)
+     */
+    static fromAvatar(avatar, options = {}) {
+        const rig = options.rig || new VoxelAvatarRig(avatar);
+        const voxelSize = options.voxelSize || 1 / 32;
+        const origin = [AVATAR_WIDTH / 2, 0, AVATAR_DEPTH / 2];
+        const name = avatar.metadata.name;
+
+        const boneNames = rig.getBoneNames();
+        const jointIndex = new Map(boneNames.map((bone, i) => [bone, i]));
+        const weights = rig.weightCalculator.preCalculateAllWeights(avatar, rig);
+
+        // Voxels with identical weights share a skin id so greedy merging never
+        // spans a weight boundary
+        const skins = [];
+        const skinIds = new Map();
+        const cells = new Map();
+
+        avatar.forEach((x, y, z, paletteIndex) => {
+            const influences = (weights.get(avatar.encodePosition(x, y, z)) || [])
+                .filter(w => jointIndex.has(w.bone))
+                .slice(0, 4);
+            if (influences.length === 0) {
+                influences.push({ bone: rig.getRootBone().name, weight: 1 });
+            }
+
+            const total = influences.reduce((sum, w) => sum + w.weight, 0);
+            const joints = [0, 0, 0, 0];
+            const jointWeights = [0, 0, 0, 0];
+            influences.forEach((w, i) => {
+                joints[i] = jointIndex.get(w.bone);
+                jointWeights[i] = w.weight / total;
+            });
+
+            const signature = `${joints.join(',')}|${jointWeights.map(w => w.toFixed(4)).join(',')}`;
+            let skin = skinIds.get(signature);
+            if (skin === undefined) {
+                skin = skins.length;
+                skins.push({ joints, weights: jointWeights });
+                skinIds.set(signature, skin);
+            }
+
+            const color = avatar.palette.getColor(paletteIndex) || { r: 128, g: 128, b: 128, type: COLOR_TYPE.SOLID };
+            const rgb = (color.r << 16) | (color.g << 8) | color.b;
+            let material = 'opaque';
+            if (color.type === COLOR_TYPE.EMISSIVE) material = `emissive:${rgb}`;
+            if (color.type === COLOR_TYPE.TRANSPARENT) material = 'transparent';
+
+            cells.set(`${x},${y},${z}`, { x, y, z, color: rgb, material, skin });
+        });
+
+        const builder = new GLTFBuilder(name);
+        const primitives = this.meshCells(cells, skins, { voxelSize, origin });
+        const mesh = this.writeMesh(builder, primitives, name);
+        const meshNode = builder.node({ name, mesh }, true);
+
+        // Joint nodes: translations are relative to the parent bone
+        const firstJoint = builder.json.nodes.length;
+        const bindPositions = boneNames.map(boneName => {
+            const rest = rig.getBone(boneName).restPosition;
+            return [
+                (rest.x - origin[0]) * voxelSize,
+                (rest.y - origin[1]) * voxelSize,
+                (rest.z - origin[2]) * voxelSize
+            ];
+        });
+
+        boneNames.forEach((boneName, i) => {
+            const bone = rig.getBone(boneName);
+            const parent = bone.parent ? bindPositions[jointIndex.get(bone.parent)] : [0, 0, 0];
+            const node = {
+                name: boneName,
+                translation: bindPositions[i].map((v, axis) => v - parent[axis])
+            };
+            const children = bone.children.filter(child => jointIndex.has(child)).map(child => firstJoint + jointIndex.get(child));
+            if (children.length > 0) node.children = children;
+            builder.node(node, bone.parent === null);
+        });
+
+        // Bones carry no rest rotation, so each inverse bind matrix is a pure translation
+        const inverseBind = new Float32Array(boneNames.length * 16);
+        bindPositions.forEach((p, i) => {
+            const o = i * 16;
+            inverseBind[o] = inverseBind[o + 5] = inverseBind[o + 10] = inverseBind[o + 15] = 1;
+            inverseBind[o + 12] = -p[0];
+            inverseBind[o + 13] = -p[1];
+            inverseBind[o + 14] = -p[2];
+        });
+
+        builder.json.skins = [{
+            name: `${name} Armature`,
+            skeleton: firstJoint + jointIndex.get(rig.getRootBone().name),
+            joints: boneNames.map((_, i) => firstJoint + i),
+            inverseBindMatrices: builder.accessor(inverseBind, 'MAT4', COMPONENT.FLOAT)
+        }];
+        builder.json.nodes[meshNode].skin = 0;
+
+        return builder.finish();
+    }
+
+    /**
+     * Colour and material group for a voxel; numeric types are looked up in
+     * the MaterialPalette so exports follow the active palette
+     */
+    static resolveMaterial(voxel, materialPalette = null) {
+        let color = typeof voxel.color === 'string'
+            ? parseInt(voxel.color.replace('#', ''), 16)
+            : voxel.color;
+        let semantics = voxel.semantics || 0;
+
+        if (materialPalette && typeof voxel.type === 'number') {
+            const material = materialPalette.getMaterial(voxel.type);
+            if (material) {
+                color = (material.color.r << 16) | (material.color.g << 8) | material.color.b;
+                semantics |= material.semantics || 0;
+            }
+        }
+
+        if (color === undefined || Number.isNaN(color)) color = 0x808080;
+
+        let material = 'opaque';
+        if (voxel.emissive || (semantics & SEMANTIC.EMISSIVE)) {
+            material = `emissive:${color}`;
+        } else if ((semantics & SEMANTIC.TRANSPARENT) || (voxel.alpha !== undefined && voxel.alpha < 1)) {
+            material = 'transparent';
+        }
+
+        return { color, material, skin: 0 };
+    }
+
+    /**
+     * Mesh cells chunk by chunk and gather geometry per material group
+     * @param {Map} cells - "x,y,z" -> { x, y, z, color, material, skin }
+     * @param {Array|null} skins - skin id -> { joints, weights }, or null for static meshes
+     * @returns {Map} material -> { positions, normals, colors, indices, joints, weights }
+     */
+    static meshCells(cells, skins, options = {}) {
+        const voxelSize = options.voxelSize || 1;
+        const origin = options.origin || [0, 0, 0];
+
+        const chunks = new Map();
+        for (const cell of cells.values()) {
+            const cx = Math.floor(cell.x / MESH_CHUNK_SIZE);
+            const cy = Math.floor(cell.y / MESH_CHUNK_SIZE);
+            const cz = Math.floor(cell.z / MESH_CHUNK_SIZE);
+            const chunkKey = `${cx},${cy},${cz}`;
+
+            let chunk = chunks.get(chunkKey);
+            if (!chunk) {
+                chunk = { cx, cy, cz, voxels: new Map() };
+                chunks.set(chunkKey, chunk);
+            }
+
+            const lx = cell.x - cx * MESH_CHUNK_SIZE;
+            const ly = cell.y - cy * MESH_CHUNK_SIZE;
+            const lz = cell.z - cz * MESH_CHUNK_SIZE;
+            chunk.voxels.set(lx | (ly << 5) | (lz << 10), {
+                color: cell.color,
+                textureID: cell.skin,
+                material: cell.material
+            });
+        }
+
+        const neighborLookup = (chunkX, chunkY, chunkZ, localX, localY, localZ) => cells.has(
+            `${chunkX * MESH_CHUNK_SIZE + localX},${chunkY * MESH_CHUNK_SIZE + localY},${chunkZ * MESH_CHUNK_SIZE + localZ}`
+        );
+
+        const primitives = new Map();
+
+        for (const chunk of chunks.values()) {
+            const faces = UnifiedVoxelMesher.cullHiddenFaces(chunk.voxels, {
+                chunkX: chunk.cx,
+                chunkY: chunk.cy,
+                chunkZ: chunk.cz,
+                chunkSize: MESH_CHUNK_SIZE,
+                neighborLookup
+            });
+
+            const facesByMaterial = new Map();
+            for (const face of faces) {
+                const material = chunk.voxels.get(face.x | (face.y << 5) | (face.z << 10)).material;
+                if (!facesByMaterial.has(material)) facesByMaterial.set(material, []);
+                facesByMaterial.get(material).push(face);
+            }
+
+            for (const [material, materialFaces] of facesByMaterial) {
+                // textureID carries the skin id, so quads only merge across equal weights
+                const quads = UnifiedVoxelMesher.greedyMeshByTexture(materialFaces, true);
+                const geometry = UnifiedVoxelMesher.buildGeometry(quads, {
+                    voxelSize,
+                    batchRelative: false,
+                    chunkX: chunk.cx,
+                    chunkY: chunk.cy,
+                    chunkZ: chunk.cz,
+                    chunkSize: MESH_CHUNK_SIZE
+                });
+
+                let target = primitives.get(material);
+                if (!target) {
+                    target = { positions: [], normals: [], colors: [], indices: [], joints: [], weights: [] };
+                    primitives.set(material, target);
+                }
+
+                const base = target.positions.length / 3;
+                for (let i = 0; i < geometry.vertices.length; i += 3) {
+                    target.positions.push(
+                        geometry.vertices[i] - origin[0] * voxelSize,
+                        geometry.vertices[i + 1] - origin[1] * voxelSize,
+                        geometry.vertices[i + 2] - origin[2] * voxelSize
+                    );
+                }
+                for (const n of geometry.normals) target.normals.push(n);
+                for (const c of geometry.colors) target.colors.push(c);
+                for (const index of geometry.indices) target.indices.push(base + index);
+
+                if (skins) {
+                    for (const quad of quads) {
+                        const skin = skins[quad.textureID];
+                        for (let v = 0; v < 4; v++) {
+                            target.joints.push(...skin.joints);
+                            target.weights.push(...skin.weights);
+                        }
+                    }
+                }
+            }
+        }
+
+        return primitives;
+    }
+
+    /**
+     * Write primitives and their materials
+     * @returns {number} Mesh index
+     */
+    static writeMesh(builder, primitives, name) {
+        const materialIndices = new Map();
+        const materialFor = key => {
+            if (materialIndices.has(key)) return materialIndices.get(key);
+
+            const material = {
+                name: key,
+                pbrMetallicRoughness: { baseColorFactor: [1, 1, 1, 1], metallicFactor: 0, roughnessFactor: 1 }
+            };
+
+            if (key === 'transparent') {
+                material.pbrMetallicRoughness.baseColorFactor = [1, 1, 1, 0.5];
+                material.alphaMode = 'BLEND';
+            } else if (key.startsWith('emissive:')) {
+                const color = Number(key.slice('emissive:'.length));
+                material.name = `emissive_${color.toString(16).padStart(6, '0')}`;
+                material.emissiveFactor = [
+                    ((color >> 16) & 0xFF) / 255,
+                    ((color >> 8) & 0xFF) / 255,
+                    (color & 0xFF) / 255
+                ];
+            }
+
+            builder.json.materials.push(material);
+            materialIndices.set(key, builder.json.materials.length - 1);
+            return builder.json.materials.length - 1;
+        };
+
+        const meshPrimitives = [];
+        for (const [key, data] of primitives) {
+            if (data.indices.length === 0) continue;
+
+            const vertexCount = data.positions.length / 3;
+            const attributes = {
+                POSITION: builder.accessor(new Float32Array(data.positions), 'VEC3', COMPONENT.FLOAT, TARGET.ARRAY_BUFFER, true),
+                NORMAL: builder.accessor(new Float32Array(data.normals), 'VEC3', COMPONENT.FLOAT, TARGET.ARRAY_BUFFER),
+                COLOR_0: builder.accessor(new Float32Array(data.colors), 'VEC3', COMPONENT.FLOAT, TARGET.ARRAY_BUFFER)
+            };
+
+            if (data.joints.length > 0) {
+                attributes.JOINTS_0 = builder.accessor(new Uint8Array(data.joints), 'VEC4', COMPONENT.UNSIGNED_BYTE, TARGET.ARRAY_BUFFER);
+                attributes.WEIGHTS_0 = builder.accessor(new Float32Array(data.weights), 'VEC4', COMPONENT.FLOAT, TARGET.ARRAY_BUFFER);
+            }
+
+            const indices = vertexCount <= 0xFFFF
+                ? builder.accessor(new Uint16Array(data.indices), 'SCALAR', COMPONENT.UNSIGNED_SHORT, TARGET.ELEMENT_ARRAY_BUFFER)
+                : builder.accessor(new Uint32Array(data.indices), 'SCALAR', COMPONENT.UNSIGNED_INT, TARGET.ELEMENT_ARRAY_BUFFER);
+
+            meshPrimitives.push({ attributes, indices, material: materialFor(key), mode: 4 });
+        }
+
+        if (meshPrimitives.length === 0) {
+            throw new Error('Nothing to export: no visible voxel faces');
+        }
+
+        builder.json.meshes.push({ name, primitives: meshPrimitives });
+        return builder.json.meshes.length - 1;
+    }
+
+    // ----- Containers -----
+
+    /**
+     * Pack a document as binary glTF
+     * @param {{json: Object, bin: Uint8Array}} doc
+     * @returns {Uint8Array}
+     */
+    static toGLB(doc) {
+        const jsonBytes = new TextEncoder().encode(JSON.stringify(doc.json));
+        const jsonLength = Math.ceil(jsonBytes.byteLength / 4) * 4;
+        const binLength = doc.bin.byteLength;
+        const total = 12 + 8 + jsonLength + (binLength > 0 ? 8 + binLength : 0);
+
+        const out = new Uint8Array(total);
+        const view = new DataView(out.buffer);
+
+        view.setUint32(0, GLB_MAGIC, true);
+        view.setUint32(4, 2, true);
+        view.setUint32(8, total, true);
+
+        view.setUint32(12, jsonLength, true);
+        view.setUint32(16, GLB_CHUNK_JSON, true);
+        out.set(jsonBytes, 20);
+        out.fill(0x20, 20 + jsonBytes.byteLength, 20 + jsonLength);
+
+        if (binLength > 0) {
+            const offset = 20 + jsonLength;
+            view.setUint32(offset, binLength, true);
+            view.setUint32(offset + 4, GLB_CHUNK_BIN, true);
+            out.set(doc.bin, offset + 8);
+        }
+
+        return out;
+    }
+
+    /**
+     * Serialize a document as .gltf JSON with the buffer embedded as a data URI
+     * @returns {string}
+     */
+    static toGLTF(doc) {
+        const json = structuredClone(doc.json);
+        json.buffers[0].uri = `data:application/octet-stream;base64,${this.toBase64(doc.bin)}`;
+        return JSON.stringify(json);
+    }
+
+    static toBase64(bytes) {
+        let binary = '';
+        const step = 0x8000;
+        for (let i = 0; i < bytes.length; i += step) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + step));
+        }
+        return btoa(binary);
+    }
+}
+
+export default GLTFExporter;
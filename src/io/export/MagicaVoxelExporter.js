@@ -0,0 +1,249 @@
+/**
+ * MagicaVoxelExporter.js
+ * Writes Polymir builds and avatars as MagicaVoxel .vox files
+ *
+ * Builds larger than MagicaVoxel's 256-voxel model limit are split into
+ * 256^3 tiles, each placed by its own scene graph transform. Colours are
+ * collected into the 255-entry palette; if a build uses more, the least
+ * common colours fall back to their nearest kept neighbour.
+ */
+
+import { VoxFile } from '../../serialization/formats/VoxFile.js';
+import { MVoxFile } from '../../serialization/formats/MVoxFile.js';
+import { SEMANTIC } from '../../data/Semantics.js';
+import { AVATAR_WIDTH, AVATAR_HEIGHT, AVATAR_DEPTH } from '../../avatar/data/VoxelAvatarData.js';
+import { COLOR_TYPE } from '../../avatar/data/AvatarPalette.js';
+
+const MAX_MODEL_SIZE = 256;
+const MAX_COLORS = 255;
+
+export class MagicaVoxelExporter {
+    /**
+     * Export a list of voxels in Polymir coordinates
+     * @param {Array} voxels - [{ x, y, z, color: 0xRRGGBB, colorType: COLOR_TYPE }]
+     * @param {Object} options
+     * @param {string} options.name - Name given to the scene nodes
+     * @returns {Uint8Array}
+     */
+    static fromVoxelList(voxels, options = {}) {
+        if (voxels.length === 0) {
+            throw new Error('Cannot export an empty build to .vox');
+        }
+
+        const { palette, materials, indexOf } = this.buildPalette(voxels);
+
+        const mv = voxels.map(v => VoxFile.fromPolymir(v.x, v.y, v.z));
+        const min = [Infinity, Infinity, Infinity];
+        for (const p of mv) {
+            min[0] = Math.min(min[0], p[0]);
+            min[1] = Math.min(min[1], p[1]);
+            min[2] = Math.min(min[2], p[2]);
+        }
+
+        const tiles = new Map();
+        voxels.forEach((voxel, i) => {
+            const x = mv[i][0] - min[0];
+            const y = mv[i][1] - min[1];
+            const z = mv[i][2] - min[2];
+            const tx = Math.floor(x / MAX_MODEL_SIZE);
+            const ty = Math.floor(y / MAX_MODEL_SIZE);
+            const tz = Math.floor(z / MAX_MODEL_SIZE);
+            const key = `${tx},${ty},${tz}`;
+
+            let tile = tiles.get(key);
+            if (!tile) {
+                tile = { voxels: [], min: [Infinity, Infinity, Infinity], max: [-Infinity, -Infinity, -Infinity] };
+                tiles.set(key, tile);
+            }
+
+            const p = [x, y, z];
+            for (let axis = 0; axis < 3; axis++) {
+                tile.min[axis] = Math.min(tile.min[axis], p[axis]);
+                tile.max[axis] = Math.max(tile.max[axis], p[axis]);
+            }
+            tile.voxels.push({ p, colorIndex: indexOf(voxel) });
+        });
+
+        const models = [];
+        const instances = [];
+        for (const tile of tiles.values()) {
+            const size = [0, 1, 2].map(axis => tile.max[axis] - tile.min[axis] + 1);
+            const pivot = VoxFile.pivot(size);
+
+            models.push({
+                size,
+                voxels: tile.voxels.map(({ p, colorIndex }) => ({
+                    x: p[0] - tile.min[0],
+                    y: p[1] - tile.min[1],
+                    z: p[2] - tile.min[2],
+                    colorIndex
+                }))
+            });
+
+            // world = local - pivot + translation, so the tile lands at its offset
+            instances.push({
+                model: models.length - 1,
+                translation: [0, 1, 2].map(axis => tile.min[axis] + pivot[axis]),
+                name: options.name
+            });
+        }
+
+        return VoxFile.write({ models, palette, materials, instances });
+    }
+
+    /**
+     * @param {Schematic} schematic
+     * @returns {Uint8Array}
+     */
+    static fromSchematic(schematic) {
+        const voxels = [];
+        schematic.blocks.forEach((block, key) => {
+            const [x, y, z] = key.split(',').map(Number);
+            voxels.push({
+                x, y, z,
+                color: block.color,
+                colorType: this.colorTypeOf(block.semantics, block.emissive)
+            });
+        });
+
+        return this.fromVoxelList(voxels, { name: schematic.metadata?.name });
+    }
+
+    /**
+     * @param {MVoxFile} mvoxFile
+     * @returns {Uint8Array}
+     */
+    static fromMVoxFile(mvoxFile) {
+        const bits = mvoxFile.metadata.positionBits || 5;
+        const voxels = [];
+        for (const [key, voxel] of mvoxFile.voxels) {
+            const [x, y, z] = MVoxFile.decodeKey(key, bits);
+            voxels.push({
+                x, y, z,
+                color: voxel.color,
+                colorType: this.colorTypeOf(voxel.semantics, voxel.emissive)
+            });
+        }
+
+        return this.fromVoxelList(voxels, { name: mvoxFile.metadata.name });
+    }
+
+    /**
+     * Export an avatar as a single 32x32x64 model that keeps grid positions,
+     * so MagicaVoxelImporter.importAvatar restores it exactly
+     * @param {VoxelAvatarData} avatar
+     * @returns {Uint8Array}
+     */
+    static fromAvatar(avatar) {
+        const palette = [0];
+        const materials = new Map();
+
+        for (let i = 0; i < avatar.palette.size(); i++) {
+            const color = avatar.palette.getColor(i);
+            palette[i + 1] = (color.r << 16) | (color.g << 8) | color.b;
+
+            if (color.type === COLOR_TYPE.EMISSIVE) {
+                materials.set(i + 1, { type: '_emit', emit: 1 });
+            } else if (color.type === COLOR_TYPE.TRANSPARENT) {
+                materials.set(i + 1, { type: '_glass', alpha: 0.5 });
+            }
+        }
+
+        const voxels = [];
+        avatar.forEach((x, y, z, paletteIndex) => {
+            voxels.push({ x, y: AVATAR_DEPTH - 1 - z, z: y, colorIndex: paletteIndex + 1 });
+        });
+
+        const size = [AVATAR_WIDTH, AVATAR_DEPTH, AVATAR_HEIGHT];
+        return VoxFile.write({
+            models: [{ size, voxels }],
+            palette,
+            materials,
+            instances: [{ model: 0, translation: VoxFile.pivot(size), name: avatar.metadata.name }]
+        });
+    }
+
+    static colorTypeOf(semantics = 0, emissive = false) {
+        if (emissive || (semantics & SEMANTIC.EMISSIVE)) return COLOR_TYPE.EMISSIVE;
+        if (semantics & SEMANTIC.TRANSPARENT) return COLOR_TYPE.TRANSPARENT;
+        return COLOR_TYPE.SOLID;
+    }
+
+    /**
+     * Collect distinct colour/material pairs into a .vox palette (indices 1-255)
+     * @returns {{palette: Array<number>, materials: Map, indexOf: Function}}
+     */
+    static buildPalette(voxels) {
+        const counts = new Map();
+        for (const voxel of voxels) {
+            const key = `${voxel.color}:${voxel.colorType}`;
+            const entry = counts.get(key);
+            if (entry) {
+                entry.count++;
+            } else {
+                counts.set(key, { color: voxel.color, colorType: voxel.colorType, count: 1 });
+            }
+        }
+
+        const entries = Array.from(counts.entries()).sort((a, b) => b[1].count - a[1].count);
+        const kept = entries.slice(0, MAX_COLORS);
+
+        const palette = [0];
+        const types = [null];
+        const materials = new Map();
+        const lookup = new Map();
+
+        kept.forEach(([key, entry], i) => {
+            const colorIndex = i + 1;
+            palette[colorIndex] = entry.color;
+            types[colorIndex] = entry.colorType;
+            lookup.set(key, colorIndex);
+
+            if (entry.colorType === COLOR_TYPE.EMISSIVE) {
+                materials.set(colorIndex, { type: '_emit', emit: 1 });
+            } else if (entry.colorType === COLOR_TYPE.TRANSPARENT) {
+                materials.set(colorIndex, { type: '_glass', alpha: 0.5 });
+            }
+        });
+
+        if (entries.length > MAX_COLORS) {
+            console.warn(`[MagicaVoxelExporter] ${entries.length} colours exceed the .vox palette, mapping ${entries.length - MAX_COLORS} to nearest`);
+            for (const [key, entry] of entries.slice(MAX_COLORS)) {
+                lookup.set(key, this.nearestIndex(palette, types, entry.color, entry.colorType));
+            }
+        }
+
+        return {
+            palette,
+            materials,
+            indexOf: voxel => lookup.get(`${voxel.color}:${voxel.colorType}`)
+        };
+    }
+
+    /**
+     * Nearest palette index by RGB distance, preferring entries of the same material
+     */
+    static nearestIndex(palette, types, color, colorType) {
+        const r = (color >> 16) & 0xFF;
+        const g = (color >> 8) & 0xFF;
+        const b = color & 0xFF;
+        const sameType = types.includes(colorType);
+
+        let best = 1;
+        let bestDistance = Infinity;
+        for (let i = 1; i < palette.length; i++) {
+            if (sameType && types[i] !== colorType) continue;
+            const dr = ((palette[i] >> 16) & 0xFF) - r;
+            const dg = ((palette[i] >> 8) & 0xFF) - g;
+            const db = (palette[i] & 0xFF) - b;
+            const distance = dr * dr + dg * dg + db * db;
+            if (distance < bestDistance) {
+                bestDistance = distance;
+                best = i;
+            }
+        }
+        return best;
+    }
+}
+
+export default MagicaVoxelExporter;
@@ -0,0 +1,303 @@
+/**
+ * MagicaVoxelImporter.js
+ * Converts MagicaVoxel .vox files into Schematic / MVoxFile builds and
+ * VoxelAvatarData avatars
+ *
+ * All models in the scene graph are placed with their transforms and merged.
+ * Materials map onto voxel flags: _emit -> emissive, _glass -> transparent.
+ * Avatars are limited to the 16-colour AvatarPalette, so larger palettes are
+ * reduced with a weighted median cut and voxels snapped to the nearest colour.
+ */
+
+import { VoxFile } from '../../serialization/formats/VoxFile.js';
+import { MVoxFile } from '../../serialization/formats/MVoxFile.js';
+import { Schematic } from '../../data/Schematic.js';
+import { SEMANTIC } from '../../data/Semantics.js';
+import { VoxelAvatarData, AVATAR_WIDTH, AVATAR_HEIGHT, AVATAR_DEPTH } from '../../avatar/data/VoxelAvatarData.js';
+import { AvatarPalette, COLOR_TYPE, MAX_PALETTE_SIZE } from '../../avatar/data/AvatarPalette.js';
+
+// Largest axis an imported build may have (10-bit MVoxFile keys)
+const MAX_DIMENSION = 1024;
+
+export class MagicaVoxelImporter {
+    /**
+     * @param {Object} options
+     * @param {number} options.baseSemantics - Flags given to every imported build voxel
+     */
+    constructor(options = {}) {
+        this.baseSemantics = options.baseSemantics !== undefined
+            ? options.baseSemantics
+            : SEMANTIC.SOLID | SEMANTIC.PLACEABLE | SEMANTIC.BREAKABLE;
+    }
+
+    static canImport(fileName) {
+        return /\.vox$/i.test(fileName);
+    }
+
+    async importFile(file, metadata = {}) {
+        const data = new Uint8Array(await file.arrayBuffer());
+        return this.import(data, {
+            name: file.name.replace(/\.[^/.]+$/, ''),
+            fileName: file.name,
+            ...metadata
+        });
+    }
+
+    /**
+     * Import a .vox file as a build
+     * @param {Uint8Array} data
+     * @param {Object} metadata - name, author, category, tags...
+     * @returns {{schematic: Schematic, mvoxFile: MVoxFile, report: Object}}
+     */
+    import(data, metadata = {}) {
+        const parsed = VoxFile.read(data);
+        const voxels = this.collectVoxels(parsed);
+        const min = this.minCorner(voxels);
+        this.checkDimensions(min, this.maxCorner(voxels));
+
+        const schematic = new Schematic();
+        schematic.metadata.name = metadata.name || schematic.metadata.name;
+        schematic.metadata.author = metadata.author || schematic.metadata.author;
+        schematic.metadata.sourceFormat = 'vox';
+
+        for (const voxel of voxels) {
+            let semantics = this.baseSemantics;
+            if (voxel.colorType === COLOR_TYPE.EMISSIVE) semantics |= SEMANTIC.EMISSIVE;
+            if (voxel.colorType === COLOR_TYPE.TRANSPARENT) semantics |= SEMANTIC.TRANSPARENT;
+
+            schematic.addBlock(voxel.x - min[0], voxel.y - min[1], voxel.z - min[2], {
+                color: voxel.color,
+                semantics,
+                emissive: voxel.colorType === COLOR_TYPE.EMISSIVE
+            });
+        }
+
+        const mvoxFile = MVoxFile.fromSchematic(schematic, {
+            category: metadata.category || 'imported',
+            tags: metadata.tags || ['magicavoxel'],
+            description: metadata.description || `Imported from ${metadata.fileName || 'MagicaVoxel'}`,
+            sourceFormat: 'vox'
+        });
+
+        return {
+            schematic,
+            mvoxFile,
+            report: {
+                models: parsed.models.length,
+                instances: parsed.instances.length,
+                voxelCount: schematic.blocks.size
+            }
+        };
+    }
+
+    /**
+     * Import a .vox file as an avatar
+     * Files written by MagicaVoxelExporter.fromAvatar (a single 32x32x64
+     * model) keep their grid positions; anything else is centred on the
+     * grid with its lowest voxel at the feet and clipped to the grid.
+     * @param {Uint8Array} data
+     * @param {Object} options - VoxelAvatarData options (name, creatorId...)
+     * @returns {{avatar: VoxelAvatarData, report: Object}}
+     */
+    importAvatar(data, options = {}) {
+        const parsed = VoxFile.read(data);
+
+        let voxels;
+        const single = parsed.models.length === 1 ? parsed.models[0] : null;
+        if (single && single.size[0] === AVATAR_WIDTH && single.size[1] === AVATAR_DEPTH && single.size[2] === AVATAR_HEIGHT) {
+            voxels = single.voxels.map(v => ({
+                x: v.x,
+                y: v.z,
+                z: AVATAR_DEPTH - 1 - v.y,
+                ...this.colorOf(parsed, v.colorIndex)
+            }));
+        } else {
+            voxels = this.collectVoxels(parsed);
+            const min = this.minCorner(voxels);
+            const max = this.maxCorner(voxels);
+            const offsetX = Math.floor((AVATAR_WIDTH - (max[0] - min[0] + 1)) / 2) - min[0];
+            const offsetZ = Math.floor((AVATAR_DEPTH - (max[2] - min[2] + 1)) / 2) - min[2];
+            for (const voxel of voxels) {
+                voxel.x += offsetX;
+                voxel.y -= min[1];
+                voxel.z += offsetZ;
+            }
+        }
+
+        const { palette, lookup, sourceColors } = this.quantize(voxels, MAX_PALETTE_SIZE);
+        const avatar = new VoxelAvatarData({ ...options, palette });
+
+        let clipped = 0;
+        for (const voxel of voxels) {
+            if (!avatar.isValidPosition(voxel.x, voxel.y, voxel.z)) {
+                clipped++;
+                continue;
+            }
+            avatar.setVoxel(voxel.x, voxel.y, voxel.z, lookup.get(this.colorKey(voxel)));
+        }
+
+        return {
+            avatar,
+            report: {
+                sourceColors,
+                quantized: sourceColors > MAX_PALETTE_SIZE,
+                clipped,
+                voxelCount: avatar.getVoxelCount()
+            }
+        };
+    }
+
+    /**
+     * World-space voxels in Polymir coordinates with resolved colours
+     */
+    collectVoxels(parsed) {
+        return VoxFile.worldVoxels(parsed).map(v => {
+            const [x, y, z] = VoxFile.toPolymir(v.x, v.y, v.z);
+            return { x, y, z, ...this.colorOf(parsed, v.colorIndex) };
+        });
+    }
+
+    /**
+     * Scenes can place many 256^3 models side by side; .mvox keys stop at 1024
+     */
+    checkDimensions(min, max) {
+        const size = [0, 1, 2].map(axis => max[axis] - min[axis] + 1);
+        if (size.some(axis => axis > MAX_DIMENSION)) {
+            throw new Error(`.vox scene too large: ${size.join('x')} (max ${MAX_DIMENSION} per axis)`);
+        }
+    }
+
+    colorOf(parsed, colorIndex) {
+        const material = parsed.materials.get(colorIndex);
+        let colorType = COLOR_TYPE.SOLID;
+        if (material?.type === '_emit' && material.emit > 0) colorType = COLOR_TYPE.EMISSIVE;
+        if (material?.type === '_glass') colorType = COLOR_TYPE.TRANSPARENT;
+
+        return { color: parsed.palette[colorIndex] || 0, colorType };
+    }
+
+    colorKey(voxel) {
+        return `${voxel.color}:${voxel.colorType}`;
+    }
+
+    minCorner(voxels) {
+        const min = [Infinity, Infinity, Infinity];
+        for (const v of voxels) {
+            min[0] = Math.min(min[0], v.x);
+            min[1] = Math.min(min[1], v.y);
+            min[2] = Math.min(min[2], v.z);
+        }
+        return voxels.length > 0 ? min : [0, 0, 0];
+    }
+
+    maxCorner(voxels) {
+        const max = [-Infinity, -Infinity, -Infinity];
+        for (const v of voxels) {
+            max[0] = Math.max(max[0], v.x);
+            max[1] = Math.max(max[1], v.y);
+            max[2] = Math.max(max[2], v.z);
+        }
+        return voxels.length > 0 ? max : [0, 0, 0];
+    }
+
+    /**
+     * Reduce the colours used by `voxels` to at most `maxColors` palette entries
+     * @returns {{palette: AvatarPalette, lookup: Map<string, number>, sourceColors: number}}
+     */
+    quantize(voxels, maxColors) {
+        const histogram = new Map();
+        for (const voxel of voxels) {
+            const key = this.colorKey(voxel);
+            let entry = histogram.get(key);
+            if (!entry) {
+                entry = {
+                    key,
+                    r: (voxel.color >> 16) & 0xFF,
+                    g: (voxel.color >> 8) & 0xFF,
+                    b: voxel.color & 0xFF,
+                    type: voxel.colorType,
+                    count: 0
+                };
+                histogram.set(key, entry);
+            }
+            entry.count++;
+        }
+
+        const entries = Array.from(histogram.values());
+        const palette = new AvatarPalette([]);
+        const lookup = new Map();
+
+        if (entries.length <= maxColors) {
+            for (const entry of entries) {
+                lookup.set(entry.key, palette.addColor(entry.r, entry.g, entry.b, entry.type));
+            }
+            return { palette, lookup, sourceColors: entries.length };
+        }
+
+        for (const box of this.medianCut(entries, maxColors)) {
+            let total = 0, r = 0, g = 0, b = 0;
+            const typeCounts = new Map();
+            for (const entry of box) {
+                total += entry.count;
+                r += entry.r * entry.count;
+                g += entry.g * entry.count;
+                b += entry.b * entry.count;
+                typeCounts.set(entry.type, (typeCounts.get(entry.type) || 0) + entry.count);
+            }
+            const type = Array.from(typeCounts.entries()).sort((x, y) => y[1] - x[1])[0][0];
+            palette.addColor(r / total, g / total, b / total, type);
+        }
+
+        for (const entry of entries) {
+            lookup.set(entry.key, palette.findClosestColor(entry.r, entry.g, entry.b));
+        }
+
+        return { palette, lookup, sourceColors: entries.length };
+    }
+
+    /**
+     * Split colour entries into `boxCount` boxes, always cutting the box with
+     * the largest weighted channel range at its weighted median
+     */
+    medianCut(entries, boxCount) {
+        const boxes = [entries];
+
+        while (boxes.length < boxCount) {
+            let target = -1;
+            let targetChannel = 'r';
+            let targetScore = 0;
+
+            boxes.forEach((box, index) => {
+                if (box.length < 2) return;
+                const weight = box.reduce((sum, e) => sum + e.count, 0);
+                for (const channel of ['r', 'g', 'b']) {
+                    const values = box.map(e => e[channel]);
+                    const score = (Math.max(...values) - Math.min(...values)) * weight;
+                    if (score > targetScore) {
+                        target = index;
+                        targetChannel = channel;
+                        targetScore = score;
+                    }
+                }
+            });
+
+            if (target === -1) break;
+
+            const box = boxes[target].slice().sort((a, b) => a[targetChannel] - b[targetChannel]);
+            const half = box.reduce((sum, e) => sum + e.count, 0) / 2;
+            let running = 0;
+            let split = 1;
+            for (let i = 0; i < box.length - 1; i++) {
+                running += box[i].count;
+                split = i + 1;
+                if (running >= half) break;
+            }
+
+            boxes.splice(target, 1, box.slice(0, split), box.slice(split));
+        }
+
+        return boxes;
+    }
+}
+
+export default MagicaVoxelImporter;
@@ -0,0 +1,215 @@
+/**
+ * MinecraftBlockMap.js
+ * Default mapping from Minecraft block states to Polymir voxel types
+ *
+ * Entries are either a VOXEL_TYPES key or an object:
+ *   { type: 'STONE', color: 0xRRGGBB, addSemantics: SEMANTIC.X, emissive: true }
+ * `color` overrides the type's colour, `addSemantics` is OR'd onto the
+ * type's semantic flags. `null` marks blocks that should be skipped (air).
+ */
+
+import { SEMANTIC } from '../../data/Semantics.js';
+
+// Minecraft dye colours, used for wool/concrete/terracotta/glass variants
+export const MINECRAFT_DYE_COLORS = {
+    white: 0xF9FFFE,
+    orange: 0xF9801D,
+    magenta: 0xC74EBD,
+    light_blue: 0x3AB3DA,
+    yellow: 0xFED83D,
+    lime: 0x80C71F,
+    pink: 0xF38BAA,
+    gray: 0x474F52,
+    light_gray: 0x9D9D97,
+    cyan: 0x169C9C,
+    purple: 0x8932B8,
+    blue: 0x3C44AA,
+    brown: 0x835432,
+    green: 0x5E7C16,
+    red: 0xB02E26,
+    black: 0x1D1D21
+};
+
+// Legacy (pre-1.13) data values for dyed blocks, in dye order
+const LEGACY_DYE_ORDER = [
+    'white', 'orange', 'magenta', 'light_blue', 'yellow', 'lime', 'pink', 'gray',
+    'light_gray', 'cyan', 'purple', 'blue', 'brown', 'green', 'red', 'black'
+];
+
+export const DEFAULT_MINECRAFT_BLOCK_MAP = {
+    'minecraft:air': null,
+    'minecraft:cave_air': null,
+    'minecraft:void_air': null,
+    'minecraft:structure_void': null,
+    'minecraft:barrier': null,
+
+    'minecraft:stone': 'STONE',
+    'minecraft:cobblestone': 'STONE',
+    'minecraft:mossy_cobblestone': 'STONE',
+    'minecraft:stone_bricks': 'STONE',
+    'minecraft:smooth_stone': 'STONE',
+    'minecraft:andesite': 'STONE',
+    'minecraft:diorite': { type: 'STONE', color: 0xBCBCBC },
+    'minecraft:granite': { type: 'STONE', color: 0x9A6B57 },
+    'minecraft:deepslate': { type: 'STONE', color: 0x4D4D51 },
+    'minecraft:bedrock': 'BEDROCK',
+
+    'minecraft:grass_block': 'GRASS',
+    'minecraft:dirt': 'DIRT',
+    'minecraft:coarse_dirt': 'DIRT',
+    'minecraft:podzol': 'DIRT',
+    'minecraft:dirt_path': 'DIRT',
+    'minecraft:farmland': 'DIRT',
+    'minecraft:sand': 'SAND',
+    'minecraft:red_sand': { type: 'SAND', color: 0xBE6621 },
+    'minecraft:sandstone': { type: 'STONE', color: 0xD8CB9B },
+    'minecraft:gravel': 'GRAVEL',
+    'minecraft:clay': 'CLAY',
+    'minecraft:snow_block': 'SNOW',
+    'minecraft:snow': 'SNOW',
+    'minecraft:ice': 'ICE',
+    'minecraft:packed_ice': 'ICE',
+    'minecraft:blue_ice': 'ICE',
+
+    'minecraft:coal_ore': 'COAL_ORE',
+    'minecraft:iron_ore': 'IRON_ORE',
+    'minecraft:gold_ore': 'GOLD_ORE',
+    'minecraft:diamond_ore': 'DIAMOND_ORE',
+
+    'minecraft:water': 'WATER',
+    'minecraft:lava': 'LAVA',
+
+    'minecraft:oak_log': 'WOOD_OAK',
+    'minecraft:oak_wood': 'WOOD_OAK',
+    'minecraft:birch_log': 'WOOD_BIRCH',
+    'minecraft:birch_wood': 'WOOD_BIRCH',
+    'minecraft:spruce_log': 'WOOD_PINE',
+    'minecraft:spruce_wood': 'WOOD_PINE',
+    'minecraft:oak_planks': 'PLANKS_OAK',
+    'minecraft:bricks': 'BRICKS',
+
+    'minecraft:iron_block': 'IRON_BLOCK',
+    'minecraft:gold_block': 'GOLD_BLOCK',
+    'minecraft:glass': 'GLASS',
+    'minecraft:glass_pane': 'GLASS',
+    'minecraft:red_stained_glass': 'GLASS_RED',
+    'minecraft:green_stained_glass': 'GLASS_GREEN',
+    'minecraft:blue_stained_glass': 'GLASS_BLUE',
+
+    'minecraft:torch': 'TORCH',
+    'minecraft:wall_torch': 'TORCH',
+    'minecraft:lantern': 'LANTERN',
+    'minecraft:glowstone': 'GLOWSTONE',
+    'minecraft:sea_lantern': { type: 'GLOWSTONE', color: 0xACC8BE },
+    'minecraft:shroomlight': { type: 'GLOWSTONE', color: 0xF09245 },
+
+    'minecraft:obsidian': 'OBSIDIAN',
+    'minecraft:crying_obsidian': { type: 'OBSIDIAN', emissive: true, addSemantics: SEMANTIC.EMISSIVE },
+    'minecraft:basalt': 'BASALT',
+    'minecraft:polished_basalt': 'BASALT',
+    'minecraft:nether_portal': 'PORTAL',
+    'minecraft:end_portal': 'PORTAL',
+    'minecraft:spawner': 'SPAWNER',
+    'minecraft:amethyst_block': 'CRYSTAL_PURPLE'
+};
+
+/**
+ * Suffix/pattern rules applied when no exact entry exists.
+ * `dyed: true` picks the colour from the block name's dye prefix.
+ */
+export const DEFAULT_MINECRAFT_BLOCK_PATTERNS = [
+    { match: /_(log|wood|stem|hyphae)$/, entry: 'WOOD_OAK' },
+    { match: /_planks$|_slab$|_stairs$|_fence$|_door$|_trapdoor$/, entry: 'PLANKS_OAK' },
+    { match: /_leaves$/, entry: 'LEAVES' },
+    { match: /_wool$|_carpet$|_concrete$|_concrete_powder$|_terracotta$/, entry: 'CONCRETE', dyed: true },
+    { match: /_stained_glass(_pane)?$/, entry: 'GLASS', dyed: true },
+    { match: /_ore$/, entry: 'IRON_ORE' },
+    { match: /(^|:)(deepslate|stone|cobblestone|andesite|diorite|granite|blackstone|tuff)_/, entry: 'STONE' },
+    { match: /brick/, entry: 'BRICKS' },
+    { match: /_block$/, entry: 'STEEL_BLOCK' }
+];
+
+/**
+ * Pre-1.13 numeric block ids used by MCEdit .schematic files.
+ * Values are flattened names; dyed blocks are resolved from the data value.
+ */
+export const LEGACY_BLOCK_IDS = {
+    0: 'minecraft:air',
+    1: 'minecraft:stone',
+    2: 'minecraft:grass_block',
+    3: 'minecraft:dirt',
+    4: 'minecraft:cobblestone',
+    5: 'minecraft:oak_planks',
+    7: 'minecraft:bedrock',
+    8: 'minecraft:water',
+    9: 'minecraft:water',
+    10: 'minecraft:lava',
+    11: 'minecraft:lava',
+    12: 'minecraft:sand',
+    13: 'minecraft:gravel',
+    14: 'minecraft:gold_ore',
+    15: 'minecraft:iron_ore',
+    16: 'minecraft:coal_ore',
+    17: 'minecraft:oak_log',
+    18: 'minecraft:oak_leaves',
+    20: 'minecraft:glass',
+    24: 'minecraft:sandstone',
+    35: 'minecraft:{color}_wool',
+    41: 'minecraft:gold_block',
+    42: 'minecraft:iron_block',
+    43: 'minecraft:smooth_stone',
+    44: 'minecraft:stone_slab',
+    45: 'minecraft:bricks',
+    48: 'minecraft:mossy_cobblestone',
+    49: 'minecraft:obsidian',
+    50: 'minecraft:torch',
+    52: 'minecraft:spawner',
+    53: 'minecraft:oak_stairs',
+    56: 'minecraft:diamond_ore',
+    67: 'minecraft:cobblestone_stairs',
+    78: 'minecraft:snow',
+    79: 'minecraft:ice',
+    80: 'minecraft:snow_block',
+    82: 'minecraft:clay',
+    85: 'minecraft:oak_fence',
+    87: 'minecraft:netherrack',
+    89: 'minecraft:glowstone',
+    90: 'minecraft:nether_portal',
+    95: 'minecraft:{color}_stained_glass',
+    98: 'minecraft:stone_bricks',
+    102: 'minecraft:glass_pane',
+    159: 'minecraft:{color}_terracotta',
+    160: 'minecraft:{color}_stained_glass_pane',
+    162: 'minecraft:acacia_log',
+    169: 'minecraft:sea_lantern',
+    171: 'minecraft:{color}_carpet',
+    172: 'minecraft:terracotta',
+    174: 'minecraft:packed_ice',
+    251: 'minecraft:{color}_concrete',
+    252: 'minecraft:{color}_concrete_powder'
+};
+
+/**
+ * Resolve a legacy id/data pair to a flattened block name
+ * @returns {string|null} null when the id is unknown
+ */
+export function legacyBlockName(id, data = 0) {
+    const name = LEGACY_BLOCK_IDS[id];
+    if (!name) return null;
+    return name.replace('{color}', LEGACY_DYE_ORDER[data & 0x0F]);
+}
+
+/**
+ * Extract the dye colour from a block name such as minecraft:light_blue_wool
+ */
+export function dyeColorOf(blockName) {
+    const path = blockName.includes(':') ? blockName.split(':')[1] : blockName;
+    // Longest names first so light_blue wins over blue
+    const dyes = Object.keys(MINECRAFT_DYE_COLORS).sort((a, b) => b.length - a.length);
+    for (const dye of dyes) {
+        if (path.startsWith(`${dye}_`)) {
+            return MINECRAFT_DYE_COLORS[dye];
+        }
+    }
+    return null;
+}
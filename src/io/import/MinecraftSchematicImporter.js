@@ -0,0 +1,484 @@
+/**
+ * MinecraftSchematicImporter.js
+ * Converts Minecraft structure files into Schematic / MVoxFile builds
+ *
+ * Supported formats (all gzip-compressed NBT):
+ * - Sponge .schem (versions 1-3)
+ * - MCEdit / legacy WorldEdit .schematic (numeric block ids)
+ * - Litematica .litematic (multi-region, bit-packed block states)
+ *
+ * Block states are mapped onto VoxelTypeRegistry types through a
+ * configurable table (see MinecraftBlockMap.js). Unmapped blocks fall back
+ * to `fallbackType` and are counted in the import report.
+ */
+
+import { NBT } from '../../serialization/formats/NBT.js';
+import { MVoxFile } from '../../serialization/formats/MVoxFile.js';
+import { Schematic } from '../../data/Schematic.js';
+import { SEMANTIC } from '../../data/Semantics.js';
+import { VOXEL_TYPES, voxelTypeRegistry } from '../../data/voxel/VoxelTypes.js';
+import {
+    DEFAULT_MINECRAFT_BLOCK_MAP,
+    DEFAULT_MINECRAFT_BLOCK_PATTERNS,
+    legacyBlockName,
+    dyeColorOf
+} from './MinecraftBlockMap.js';
+
+export const MINECRAFT_FORMAT = Object.freeze({
+    SPONGE: 'schem',
+    MCEDIT: 'schematic',
+    LITEMATIC: 'litematic'
+});
+
+// Largest axis an imported build may have (10-bit MVoxFile keys)
+const MAX_DIMENSION = 1024;
+
+export class MinecraftSchematicImporter {
+    /**
+     * @param {Object} options
+     * @param {Object} options.blockMap - Entries merged over the default table
+     * @param {Array} options.patterns - Pattern rules tried before the defaults
+     * @param {VoxelTypeRegistry} options.registry - Voxel type registry
+     * @param {string} options.fallbackType - Type for unmapped blocks (null to skip them)
+     */
+    constructor(options = {}) {
+        this.blockMap = { ...DEFAULT_MINECRAFT_BLOCK_MAP, ...(options.blockMap || {}) };
+        this.patterns = [...(options.patterns || []), ...DEFAULT_MINECRAFT_BLOCK_PATTERNS];
+        this.registry = options.registry || voxelTypeRegistry;
+        this.fallbackType = options.fallbackType !== undefined ? options.fallbackType : 'STONE';
+
+        this.resolvedStates = new Map();
+    }
+
+    /**
+     * Override the mapping for a single block name
+     */
+    setMapping(blockName, entry) {
+        this.blockMap[blockName] = entry;
+        this.resolvedStates.clear();
+    }
+
+    static canImport(fileName) {
+        return /\.(schem|schematic|litematic)$/i.test(fileName);
+    }
+
+    /**
+     * Import a dropped/selected File
+     */
+    async importFile(file, metadata = {}) {
+        const data = new Uint8Array(await file.arrayBuffer());
+        return this.import(data, {
+            name: file.name.replace(/\.[^/.]+$/, ''),
+            fileName: file.name,
+            ...metadata
+        });
+    }
+
+    /**
+     * Import raw file bytes
+     * @param {Uint8Array} data - File contents (gzipped or raw NBT)
+     * @param {Object} metadata - name, author, category, tags...
+     * @returns {Promise<{schematic: Schematic, mvoxFile: MVoxFile, format: string, report: Object}>}
+     */
+    async import(data, metadata = {}) {
+        const nbtData = await this.decompress(data);
+        const { tag } = NBT.read(nbtData);
+
+        if (tag.type !== NBT.TAG_COMPOUND) {
+            throw new Error('Invalid schematic: Root tag must be compound');
+        }
+
+        const root = tag.value;
+        const format = this.detectFormat(root);
+
+        this.report = { format, unmapped: {}, skipped: 0, blockCount: 0 };
+
+        const schematic = new Schematic();
+        schematic.metadata.name = metadata.name || schematic.metadata.name;
+        schematic.metadata.author = metadata.author || schematic.metadata.author;
+        schematic.metadata.sourceFormat = format;
+
+        switch (format) {
+            case MINECRAFT_FORMAT.SPONGE:
+                this.readSponge(root, schematic);
+                break;
+            case MINECRAFT_FORMAT.MCEDIT:
+                this.readMCEdit(root, schematic);
+                break;
+            case MINECRAFT_FORMAT.LITEMATIC:
+                this.readLitematic(root, schematic);
+                break;
+        }
+
+        this.normalizeOrigin(schematic);
+
+        // Litematica regions pass one by one but may lie far apart
+        if (schematic.blocks.size > 0) {
+            const { width, height, depth } = schematic.getDimensions();
+            this.checkDimensions(width, height, depth);
+        }
+
+        const mvoxFile = this.toMVoxFile(schematic, metadata);
+
+        return { schematic, mvoxFile, format, report: this.report };
+    }
+
+    /**
+     * Decompress gzip data if the magic bytes are present
+     */
+    async decompress(data) {
+        if (data[0] !== 0x1F || data[1] !== 0x8B) {
+            return data;
+        }
+
+        if (typeof DecompressionStream === 'undefined') {
+            throw new Error('Gzip-compressed schematic but DecompressionStream not supported');
+        }
+
+        const stream = new DecompressionStream('gzip');
+        const writer = stream.writable.getWriter();
+        writer.write(data);
+        writer.close();
+
+        const chunks = [];
+        let totalLength = 0;
+        const reader = stream.readable.getReader();
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            chunks.push(value);
+            totalLength += value.length;
+        }
+
+        const result = new Uint8Array(totalLength);
+        let offset = 0;
+        for (const chunk of chunks) {
+            result.set(chunk, offset);
+            offset += chunk.length;
+        }
+        return result;
+    }
+
+    detectFormat(root) {
+        if (root.Regions) {
+            return MINECRAFT_FORMAT.LITEMATIC;
+        }
+
+        // Sponge v3 nests everything under a "Schematic" compound
+        const body = root.Schematic?.type === NBT.TAG_COMPOUND ? root.Schematic.value : root;
+
+        if (body.Palette || body.Blocks?.type === NBT.TAG_COMPOUND) {
+            return MINECRAFT_FORMAT.SPONGE;
+        }
+        if (body.Blocks?.type === NBT.TAG_BYTE_ARRAY) {
+            return MINECRAFT_FORMAT.MCEDIT;
+        }
+
+        throw new Error('Unrecognised schematic format');
+    }
+
+    // ----- Format readers -----
+
+    readSponge(root, schematic) {
+        const body = root.Schematic?.type === NBT.TAG_COMPOUND ? root.Schematic.value : root;
+        const { width, height, length } = this.readDimensions(body);
+
+        // v3 moved Palette/BlockData into a Blocks container
+        const blocks = body.Blocks?.type === NBT.TAG_COMPOUND ? body.Blocks.value : body;
+        const paletteTag = blocks.Palette;
+        const dataTag = blocks.Data || blocks.BlockData;
+
+        if (!paletteTag || !dataTag) {
+            throw new Error('Invalid Sponge schematic: Missing palette or block data');
+        }
+
+        const palette = [];
+        for (const [state, indexTag] of Object.entries(paletteTag.value)) {
+            palette[indexTag.value] = state;
+        }
+
+        const bytes = dataTag.value;
+        let offset = 0;
+        const volume = width * height * length;
+
+        for (let index = 0; index < volume; index++) {
+            // Palette indices are stored as unsigned LEB128 varints
+            let value = 0;
+            let shift = 0;
+            let byte;
+            do {
+                if (offset >= bytes.length) {
+                    throw new Error('Invalid Sponge schematic: Block data truncated');
+                }
+                byte = bytes[offset++] & 0xFF;
+                value |= (byte & 0x7F) << shift;
+                shift += 7;
+            } while (byte & 0x80);
+
+            const x = index % width;
+            const z = Math.floor(index / width) % length;
+            const y = Math.floor(index / (width * length));
+
+            this.placeState(schematic, x, y, z, palette[value]);
+        }
+    }
+
+    readMCEdit(root, schematic) {
+        const body = root.Schematic?.type === NBT.TAG_COMPOUND ? root.Schematic.value : root;
+        const { width, height, length } = this.readDimensions(body);
+
+        const blocks = body.Blocks.value;
+        const blockData = body.Data?.value;
+        const addBlocks = body.AddBlocks?.value;
+        const volume = width * height * length;
+
+        if (blocks.length < volume) {
+            throw new Error('Invalid MCEdit schematic: Block array shorter than volume');
+        }
+
+        for (let index = 0; index < volume; index++) {
+            let id = blocks[index] & 0xFF;
+
+            // AddBlocks stores the high 4 bits of each id, two per byte
+            if (addBlocks && (index >> 1) < addBlocks.length) {
+                const packed = addBlocks[index >> 1];
+                id |= (index & 1) === 0 ? (packed & 0x0F) << 8 : (packed & 0xF0) << 4;
+            }
+
+            if (id === 0) continue;
+
+            const name = legacyBlockName(id, blockData ? blockData[index] : 0) || `legacy:${id}`;
+
+            const x = index % width;
+            const z = Math.floor(index / width) % length;
+            const y = Math.floor(index / (width * length));
+
+            this.placeState(schematic, x, y, z, name);
+        }
+    }
+
+    readLitematic(root, schematic) {
+        for (const [regionName, regionTag] of Object.entries(root.Regions.value)) {
+            const region = regionTag.value;
+            const position = NBT.simplify(region.Position);
+            const size = NBT.simplify(region.Size);
+
+            const sizeX = Math.abs(size.x);
+            const sizeY = Math.abs(size.y);
+            const sizeZ = Math.abs(size.z);
+            this.checkDimensions(sizeX, sizeY, sizeZ);
+
+            // Negative sizes extend from the position towards -axis
+            const originX = position.x + (size.x < 0 ? size.x + 1 : 0);
+            const originY = position.y + (size.y < 0 ? size.y + 1 : 0);
+            const originZ = position.z + (size.z < 0 ? size.z + 1 : 0);
+
+            const palette = region.BlockStatePalette.value.value.map(entry => {
+                const name = entry.Name.value;
+                if (!entry.Properties) return name;
+                const properties = Object.entries(NBT.simplify(entry.Properties))
+                    .map(([key, value]) => `${key}=${value}`)
+                    .join(',');
+                return `${name}[${properties}]`;
+            });
+
+            const states = region.BlockStates?.value;
+            if (!states) {
+                throw new Error(`Invalid litematic: Region "${regionName}" has no block states`);
+            }
+
+            const bits = Math.max(2, 32 - Math.clz32(palette.length - 1));
+            const mask = (1n << BigInt(bits)) - 1n;
+            const volume = sizeX * sizeY * sizeZ;
+
+            const requiredLongs = Math.ceil(volume * bits / 64);
+            if (states.length < requiredLongs) {
+                throw new Error(`Invalid litematic: Region "${regionName}" block states truncated (${states.length} of ${requiredLongs} longs)`);
+            }
+
+            for (let index = 0; index < volume; index++) {
+                // Entries are packed tightly and may span two longs
+                const startBit = index * bits;
+                const startLong = Math.floor(startBit / 64);
+                const endLong = Math.floor((startBit + bits - 1) / 64);
+                const shift = BigInt(startBit % 64);
+
+                let value = BigInt.asUintN(64, states[startLong]) >> shift;
+                if (endLong !== startLong) {
+                    value |= BigInt.asUintN(64, states[endLong]) << (64n - shift);
+                }
+                const paletteIndex = Number(value & mask);
+
+                const x = index % sizeX;
+                const z = Math.floor(index / sizeX) % sizeZ;
+                const y = Math.floor(index / (sizeX * sizeZ));
+
+                this.placeState(schematic, originX + x, originY + y, originZ + z, palette[paletteIndex]);
+            }
+        }
+    }
+
+    readDimensions(body) {
+        const width = (body.Width?.value ?? 0) & 0xFFFF;
+        const height = (body.Height?.value ?? 0) & 0xFFFF;
+        const length = (body.Length?.value ?? 0) & 0xFFFF;
+        this.checkDimensions(width, height, length);
+        return { width, height, length };
+    }
+
+    checkDimensions(width, height, length) {
+        if (width <= 0 || height <= 0 || length <= 0) {
+            throw new Error('Invalid schematic: Empty dimensions');
+        }
+        if (width > MAX_DIMENSION || height > MAX_DIMENSION || length > MAX_DIMENSION) {
+            throw new Error(`Schematic too large: ${width}x${height}x${length} (max ${MAX_DIMENSION} per axis)`);
+        }
+    }
+
+    // ----- Block mapping -----
+
+    placeState(schematic, x, y, z, state) {
+        if (!state) {
+            this.report.skipped++;
+            return;
+        }
+
+        const blockData = this.mapBlockState(state);
+        if (!blockData) return;
+
+        schematic.addBlock(x, y, z, blockData);
+        this.report.blockCount++;
+    }
+
+    /**
+     * Map a block state string (e.g. "minecraft:oak_log[axis=y]") to block data
+     * @returns {Object|null} Schematic block data, or null for air/skipped blocks
+     */
+    mapBlockState(state) {
+        if (this.resolvedStates.has(state)) {
+            const cached = this.resolvedStates.get(state);
+            if (cached && cached.unmapped) {
+                this.report.unmapped[cached.sourceBlock] = (this.report.unmapped[cached.sourceBlock] || 0) + 1;
+            }
+            return cached;
+        }
+
+        const bracket = state.indexOf('[');
+        let name = bracket === -1 ? state : state.substring(0, bracket);
+        if (!name.includes(':')) {
+            name = `minecraft:${name}`;
+        }
+        const properties = this.parseProperties(bracket === -1 ? '' : state.substring(bracket + 1, state.length - 1));
+
+        let entry;
+        let dyed = false;
+        if (Object.prototype.hasOwnProperty.call(this.blockMap, name)) {
+            entry = this.blockMap[name];
+        } else {
+            const rule = this.patterns.find(p => p.match.test(name));
+            if (rule) {
+                entry = rule.entry;
+                dyed = rule.dyed || false;
+            }
+        }
+
+        let unmapped = false;
+        if (entry === undefined) {
+            if (this.fallbackType === null) {
+                this.resolvedStates.set(state, null);
+                return null;
+            }
+            entry = this.fallbackType;
+            unmapped = true;
+        }
+
+        const blockData = entry === null ? null : this.buildBlockData(entry, name, properties, dyed);
+        if (blockData && unmapped) {
+            blockData.unmapped = true;
+            this.report.unmapped[name] = (this.report.unmapped[name] || 0) + 1;
+        }
+
+        this.resolvedStates.set(state, blockData);
+        return blockData;
+    }
+
+    parseProperties(text) {
+        const properties = {};
+        if (!text) return properties;
+        for (const pair of text.split(',')) {
+            const [key, value] = pair.split('=');
+            properties[key.trim()] = (value || '').trim();
+        }
+        return properties;
+    }
+
+    buildBlockData(entry, name, properties, dyed) {
+        const spec = typeof entry === 'object' ? entry : { type: entry };
+        const type = this.resolveType(spec.type);
+        if (!type) {
+            throw new Error(`Block mapping for ${name} references unknown voxel type: ${spec.type}`);
+        }
+
+        let semantics = type.semantics | (spec.addSemantics || 0);
+        let color = spec.color !== undefined ? spec.color : type.color;
+
+        if (dyed) {
+            color = dyeColorOf(name) ?? color;
+        }
+
+        // Lit furnaces, lamps etc. glow
+        if (properties.lit === 'true') {
+            semantics |= SEMANTIC.EMISSIVE;
+        }
+
+        const emissive = spec.emissive || (semantics & SEMANTIC.EMISSIVE) !== 0;
+
+        return {
+            type: type.id,
+            color,
+            semantics,
+            emissive,
+            sourceBlock: name
+        };
+    }
+
+    resolveType(ref) {
+        if (typeof ref === 'number') {
+            return this.registry.getTypeById(ref);
+        }
+        if (VOXEL_TYPES[ref]) {
+            return this.registry.getTypeById(VOXEL_TYPES[ref].id);
+        }
+        return this.registry.getTypeByName(ref);
+    }
+
+    // ----- Output -----
+
+    /**
+     * Shift blocks so the minimum corner sits at the origin
+     */
+    normalizeOrigin(schematic) {
+        if (schematic.blocks.size === 0) return;
+
+        const { min } = schematic.bounds;
+        if (min.x === 0 && min.y === 0 && min.z === 0) return;
+
+        schematic.transform((x, y, z) => ({ x: x - min.x, y: y - min.y, z: z - min.z }));
+    }
+
+    /**
+     * Convert an imported Schematic into an MVoxFile build
+     */
+    toMVoxFile(schematic, metadata = {}) {
+        return MVoxFile.fromSchematic(schematic, {
+            name: metadata.name || schematic.metadata.name,
+            author: metadata.author || schematic.metadata.author,
+            category: metadata.category || 'imported',
+            tags: metadata.tags || ['minecraft', schematic.metadata.sourceFormat],
+            description: metadata.description || `Imported from ${metadata.fileName || 'Minecraft schematic'}`,
+            sourceFormat: schematic.metadata.sourceFormat
+        });
+    }
+}
+
+export default MinecraftSchematicImporter;
@@ -0,0 +1,758 @@
+/**
+ * POLYMIR BINARY PROTOCOL
+ * =======================
+ * Compact binary encoding for high-frequency WebSocket messages
+ * Shared by the backend (PolymirWebSocketServer) and the client (WebSocketAdapter)
+ *
+ * Frame layout: [schema version: u8][message id: uvarint][message body]
+ *
+ * Every message body starts with a uvarint presence mask (one bit per schema
+ * field), followed by the present fields in schema order. Only message types
+ * in the registry are sent as binary frames; everything else stays JSON text,
+ * and clients that never negotiate a binary version only ever see JSON.
+ *
+ * Codecs are per connection and stateful: string ids (player, ship, body ids)
+ * are sent in full the first time and as a varint index afterwards. WebSocket
+ * delivery is ordered and reliable, so both ends build identical tables.
+ */
+
+// =============================================
+// PROTOCOL CONFIGURATION
+// =============================================
+
+export const PROTOCOL_VERSION = 1;
+export const SUPPORTED_PROTOCOL_VERSIONS = [1];
+
+export const ENCODING = Object.freeze({
+    JSON: 'json',
+    BINARY: 'binary'
+});
+
+export const QUANTIZATION = {
+    POSITION_SCALE: 64,     // 1/64 m (~1.6 cm)
+    VELOCITY_SCALE: 64,     // 1/64 m/s
+    QUATERNION_BITS: 10     // Per component, smallest-three
+};
+
+export const LIMITS = {
+    MAX_INTERNED_IDS: 4096,
+    MAX_ARRAY_LENGTH: 1000,
+    MAX_STRING_BYTES: 4096
+};
+
+const QUAT_MAX = (1 << QUANTIZATION.QUATERNION_BITS) - 1;
+
+const SHIP_STATES = ['inactive', 'piloted', 'drifting', 'docked', 'destroyed'];
+const CHANGE_TYPES = ['add', 'remove'];
+
+// =============================================
+// MESSAGE SCHEMA REGISTRY
+// =============================================
+
+/**
+ * Field types:
+ *   uint, int (zigzag), float (f32), double (f64), bool, string,
+ *   id (interned string), enum (values), position / velocity (quantised vec3),
+ *   quat (smallest-three), array (of: fields)
+ *
+ * Vector and quaternion fields read either a nested object (`key`) or flat
+ * properties on the message itself (`keys`).
+ *
+ * Message ids are permanent: new types get new ids, and `since` is the first
+ * schema version that knows them. Fields not listed are not transmitted.
+ */
+const PLAYER_DELTA_FIELDS = [
+    { key: 'p', type: 'id' },
+    { keys: ['x', 'y', 'z'], type: 'position' },
+    { keys: ['vx', 'vy', 'vz'], type: 'velocity' },
+    { keys: ['rx', 'ry', 'rz', 'rw'], type: 'quat' },
+    { key: 's', type: 'uint' },
+    { key: 't', type: 'uint' }
+];
+
+const VOXEL_CHANGE_FIELDS = [
+    { key: 'x', type: 'int' },
+    { key: 'y', type: 'int' },
+    { key: 'z', type: 'int' },
+    { key: 'layerId', type: 'uint' },
+    { key: 'changeType', type: 'enum', values: CHANGE_TYPES },
+    { key: 'voxelType', type: 'uint' },
+    { key: 'voxelColor', type: 'uint' },
+    { key: 'attachedSchematicPlacementId', type: 'id' }
+];
+
+export const MESSAGE_SCHEMAS = [
+    {
+        id: 1,
+        type: 'player_states_batch',
+        since: 1,
+        fields: [
+            { key: 'players', type: 'array', of: PLAYER_DELTA_FIELDS },
+            { key: 'tick', type: 'uint' },
+            { key: 'timestamp', type: 'uint' }
+        ]
+    },
+    {
+        id: 2,
+        type: 'player_state',
+        since: 1,
+        fields: PLAYER_DELTA_FIELDS
+    },
+    {
+        id: 3,
+        type: 'position_update',
+        since: 1,
+        fields: [
+            { key: 'megachunkId', type: 'id' },
+            { key: 'bodyId', type: 'id' },
+            { keys: ['positionX', 'positionY', 'positionZ'], type: 'position' },
+            { keys: ['velocityX', 'velocityY', 'velocityZ'], type: 'velocity' },
+            { keys: ['rotationX', 'rotationY', 'rotationZ', 'rotationW'], type: 'quat' },
+            { key: 'grounded', type: 'bool' },
+            { key: 'sequence', type: 'uint' },
+            { key: 'timestamp', type: 'uint' }
+        ]
+    },
+    {
+        id: 4,
+        type: 'ship_control',
+        since: 1,
+        fields: [
+            { key: 'shipId', type: 'id' },
+            { key: 'throttle', type: 'float' },
+            { key: 'pitch', type: 'float' },
+            { key: 'yaw', type: 'float' },
+            { key: 'roll', type: 'float' },
+            { key: 'sequence', type: 'uint' }
+        ]
+    },
+    {
+        id: 5,
+        type: 'ship_state',
+        since: 1,
+        fields: [
+            { key: 'shipId', type: 'id' },
+            { key: 'position', type: 'position' },
+            { key: 'velocity', type: 'velocity' },
+            { key: 'rotation', type: 'quat' },
+            { key: 'angularVelocity', type: 'velocity' },
+            { key: 'state', type: 'enum', values: SHIP_STATES },
+            { key: 'pilotId', type: 'id' },
+            { key: 'currentFuel', type: 'float' },
+            { key: 'throttle', type: 'float' },
+            { key: 'inputSequence', type: 'uint' },
+            { key: 'tick', type: 'uint' },
+            { key: 'timestamp', type: 'uint' }
+        ]
+    },
+    {
+        id: 6,
+        type: 'batch_damage',
+        since: 1,
+        fields: [
+            { key: 'bodyId', type: 'id' },
+            { key: 'changes', type: 'array', of: VOXEL_CHANGE_FIELDS },
+            { key: 'buildMode', type: 'string' },
+            { key: 'clientTimestamp', type: 'uint' }
+        ]
+    },
+    {
+        id: 7,
+        type: 'batch_damage_update',
+        since: 1,
+        fields: [
+            { key: 'playerId', type: 'id' },
+            { key: 'bodyId', type: 'id' },
+            { key: 'changes', type: 'array', of: VOXEL_CHANGE_FIELDS },
+            { key: 'timestamp', type: 'uint' }
+        ]
+    }
+];
+
+// =============================================
+// NEGOTIATION
+// =============================================
+
+/**
+ * Pick the highest schema version both sides support
+ * @param {Array<number>} offered - Versions the client supports
+ * @returns {number|null} Null when the client should stay on JSON
+ */
+export function negotiateVersion(offered) {
+    if (!Array.isArray(offered)) return null;
+
+    let best = null;
+    for (const version of offered) {
+        if (SUPPORTED_PROTOCOL_VERSIONS.includes(version) && (best === null || version > best)) {
+            best = version;
+        }
+    }
+    return best;
+}
+
+// =============================================
+// BYTE WRITER / READER
+// =============================================
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+class ByteWriter {
+    constructor(size = 256) {
+        this.bytes = new Uint8Array(size);
+        this.view = new DataView(this.bytes.buffer);
+        this.length = 0;
+    }
+
+    ensure(count) {
+        if (this.length + count <= this.bytes.length) return;
+
+        let size = this.bytes.length * 2;
+        while (size < this.length + count) size *= 2;
+
+        const bytes = new Uint8Array(size);
+        bytes.set(this.bytes.subarray(0, this.length));
+        this.bytes = bytes;
+        this.view = new DataView(bytes.buffer);
+    }
+
+    u8(value) {
+        this.ensure(1);
+        this.bytes[this.length++] = value;
+    }
+
+    u32(value) {
+        this.ensure(4);
+        this.view.setUint32(this.length, value);
+        this.length += 4;
+    }
+
+    // Arithmetic rather than bitwise so values up to 2^53 (timestamps) fit
+    uvarint(value) {
+        if (!Number.isInteger(value) || value < 0) {
+            throw new Error(`Expected unsigned integer, got ${value}`);
+        }
+        while (value >= 0x80) {
+            this.u8((value % 0x80) | 0x80);
+            value = Math.floor(value / 0x80);
+        }
+        this.u8(value);
+    }
+
+    varint(value) {
+        if (!Number.isInteger(value)) {
+            throw new Error(`Expected integer, got ${value}`);
+        }
+        this.uvarint(value >= 0 ? value * 2 : -value * 2 - 1);
+    }
+
+    f32(value) {
+        this.ensure(4);
+        this.view.setFloat32(this.length, value);
+        this.length += 4;
+    }
+
+    f64(value) {
+        this.ensure(8);
+        this.view.setFloat64(this.length, value);
+        this.length += 8;
+    }
+
+    string(value) {
+        const encoded = textEncoder.encode(String(value));
+        this.uvarint(encoded.length);
+        this.ensure(encoded.length);
+        this.bytes.set(encoded, this.length);
+        this.length += encoded.length;
+    }
+
+    finish() {
+        return this.bytes.subarray(0, this.length);
+    }
+}
+
+class ByteReader {
+    constructor(bytes) {
+        this.bytes = bytes;
+        this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        this.offset = 0;
+    }
+
+    require(count) {
+        if (this.offset + count > this.bytes.length) {
+            throw new Error('Truncated binary message');
+        }
+    }
+
+    u8() {
+        this.require(1);
+        return this.bytes[this.offset++];
+    }
+
+    u32() {
+        this.require(4);
+        const value = this.view.getUint32(this.offset);
+        this.offset += 4;
+        return value;
+    }
+
+    uvarint() {
+        let value = 0;
+        let scale = 1;
+        for (let i = 0; i < 8; i++) {
+            const byte = this.u8();
+            value += (byte & 0x7f) * scale;
+            if (byte < 0x80) return value;
+            scale *= 0x80;
+        }
+        throw new Error('Varint too long');
+    }
+
+    varint() {
+        const value = this.uvarint();
+        return value % 2 === 0 ? value / 2 : -(value + 1) / 2;
+    }
+
+    f32() {
+        this.require(4);
+        const value = this.view.getFloat32(this.offset);
+        this.offset += 4;
+        return value;
+    }
+
+    f64() {
+        this.require(8);
+        const value = this.view.getFloat64(this.offset);
+        this.offset += 8;
+        return value;
+    }
+
+    string() {
+        const length = this.uvarint();
+        if (length > LIMITS.MAX_STRING_BYTES) {
+            throw new Error('String too long');
+        }
+        this.require(length);
+        const value = textDecoder.decode(this.bytes.subarray(this.offset, this.offset + length));
+        this.offset += length;
+        return value;
+    }
+}
+
+// =============================================
+// QUANTISATION
+// =============================================
+
+/**
+ * Pack a quaternion into 32 bits (smallest-three)
+ * The largest component is dropped and rebuilt from the unit length; q and -q
+ * are the same rotation, so its sign is folded into the other three.
+ * @param {Array<number>} q - [x, y, z, w]
+ * @returns {number} Unsigned 32-bit value
+ */
+export function packQuaternion(q) {
+    const length = Math.hypot(q[0], q[1], q[2], q[3]);
+    if (!(length > 0) || !Number.isFinite(length)) {
+        return packQuaternion([0, 0, 0, 1]);
+    }
+
+    let largest = 0;
+    for (let i = 1; i < 4; i++) {
+        if (Math.abs(q[i]) > Math.abs(q[largest])) largest = i;
+    }
+    const sign = q[largest] < 0 ? -1 : 1;
+
+    let packed = largest;
+    for (let i = 0; i < 4; i++) {
+        if (i === largest) continue;
+        const value = (q[i] * sign / length) * Math.SQRT2;
+        const quantized = Math.round((value + 1) / 2 * QUAT_MAX);
+        packed = packed * (QUAT_MAX + 1) + Math.min(QUAT_MAX, Math.max(0, quantized));
+    }
+    return packed;
+}
+
+/**
+ * Unpack a quaternion packed by packQuaternion
+ * @param {number} packed
+ * @returns {Array<number>} [x, y, z, w]
+ */
+export function unpackQuaternion(packed) {
+    const q = [0, 0, 0, 0];
+    const base = QUAT_MAX + 1;
+    const components = [];
+
+    for (let i = 0; i < 3; i++) {
+        components.unshift(packed % base);
+        packed = Math.floor(packed / base);
+    }
+    const largest = packed;
+
+    let sumSquares = 0;
+    let c = 0;
+    for (let i = 0; i < 4; i++) {
+        if (i === largest) continue;
+        q[i] = (components[c++] / QUAT_MAX * 2 - 1) / Math.SQRT2;
+        sumSquares += q[i] * q[i];
+    }
+    q[largest] = Math.sqrt(Math.max(0, 1 - sumSquares));
+    return q;
+}
+
+function quantize(value, scale) {
+    if (!Number.isFinite(value)) {
+        throw new Error(`Cannot quantise ${value}`);
+    }
+    return Math.round(value * scale);
+}
+
+// =============================================
+// ID TABLE
+// =============================================
+
+/**
+ * One direction of a connection's interned string ids
+ * Index 0 on the wire means "inline string follows"; both ends assign the
+ * next index to each inline id until the table is full.
+ */
+class IdTable {
+    constructor() {
+        this.indices = new Map();
+        this.ids = [];
+    }
+
+    write(writer, id) {
+        const index = this.indices.get(id);
+        if (index !== undefined) {
+            writer.uvarint(index + 1);
+            return;
+        }
+
+        writer.uvarint(0);
+        writer.string(id);
+        if (this.ids.length < LIMITS.MAX_INTERNED_IDS) {
+            this.indices.set(id, this.ids.length);
+            this.ids.push(id);
+        }
+    }
+
+    truncate(length) {
+        while (this.ids.length > length) {
+            this.indices.delete(this.ids.pop());
+        }
+    }
+
+    read(reader) {
+        const index = reader.uvarint();
+        if (index > 0) {
+            const id = this.ids[index - 1];
+            if (id === undefined) {
+                throw new Error(`Unknown interned id ${index - 1}`);
+            }
+            return id;
+        }
+
+        const id = reader.string();
+        if (this.ids.length < LIMITS.MAX_INTERNED_IDS) {
+            this.ids.push(id);
+        }
+        return id;
+    }
+}
+
+// =============================================
+// BINARY CODEC
+// =============================================
+
+/**
+ * Per-connection binary codec for one negotiated schema version
+ */
+export class BinaryCodec {
+    constructor(version = PROTOCOL_VERSION) {
+        if (!SUPPORTED_PROTOCOL_VERSIONS.includes(version)) {
+            throw new Error(`Unsupported protocol version: ${version}`);
+        }
+
+        this.version = version;
+        this.schemasByType = new Map();
+        this.schemasById = new Map();
+
+        for (const schema of MESSAGE_SCHEMAS) {
+            if (schema.since > version) continue;
+            this.schemasByType.set(schema.type, schema);
+            this.schemasById.set(schema.id, schema);
+        }
+
+        // Separate tables per direction: what we send vs what we receive
+        this.outgoingIds = new IdTable();
+        this.incomingIds = new IdTable();
+    }
+
+    /**
+     * Whether a message type has a binary schema in this version
+     * @param {string} type
+     * @returns {boolean}
+     */
+    canEncode(type) {
+        return this.schemasByType.has(type);
+    }
+
+    /**
+     * Encode a message
+     * Encoding is all-or-nothing: ids interned by a message that fails to
+     * encode are dropped again, so the caller can fall back to JSON safely.
+     * @param {Object} message
+     * @returns {Uint8Array}
+     */
+    encode(message) {
+        const schema = this.schemasByType.get(message.type);
+        if (!schema) {
+            throw new Error(`No binary schema for message type: ${message.type}`);
+        }
+
+        const mark = this.outgoingIds.ids.length;
+        const writer = new ByteWriter();
+
+        try {
+            writer.u8(this.version);
+            writer.uvarint(schema.id);
+            writeObject(writer, schema.fields, message, this.outgoingIds);
+        } catch (error) {
+            this.outgoingIds.truncate(mark);
+            throw error;
+        }
+
+        return writer.finish();
+    }
+
+    /**
+     * Decode a binary frame
+     * @param {Uint8Array|ArrayBuffer} data
+     * @returns {Object} Message including its `type`
+     */
+    decode(data) {
+        const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+        const reader = new ByteReader(bytes);
+
+        const version = reader.u8();
+        if (version !== this.version) {
+            throw new Error(`Schema version mismatch: got ${version}, negotiated ${this.version}`);
+        }
+
+        const messageId = reader.uvarint();
+        const schema = this.schemasById.get(messageId);
+        if (!schema) {
+            throw new Error(`Unknown binary message id: ${messageId}`);
+        }
+
+        const message = { type: schema.type };
+        readObject(reader, schema.fields, message, this.incomingIds);
+
+        if (reader.offset !== bytes.length) {
+            throw new Error('Trailing bytes in binary message');
+        }
+        return message;
+    }
+}
+
+// =============================================
+// FIELD ENCODING
+// =============================================
+
+function isPresent(field, source) {
+    const value = field.keys ? source[field.keys[0]] : source[field.key];
+    return value !== undefined && value !== null;
+}
+
+function writeObject(writer, fields, source, ids) {
+    let mask = 0;
+    for (let i = 0; i < fields.length; i++) {
+        if (isPresent(fields[i], source)) mask += 2 ** i;
+    }
+    writer.uvarint(mask);
+
+    for (let i = 0; i < fields.length; i++) {
+        if (isPresent(fields[i], source)) {
+            writeField(writer, fields[i], source, ids);
+        }
+    }
+}
+
+function readObject(reader, fields, target, ids) {
+    let mask = reader.uvarint();
+
+    for (let i = 0; i < fields.length; i++) {
+        const present = mask % 2 === 1;
+        mask = Math.floor(mask / 2);
+        if (present) {
+            readField(reader, fields[i], target, ids);
+        }
+    }
+    if (mask !== 0) {
+        throw new Error('Presence mask has unknown fields');
+    }
+}
+
+function vectorComponents(field, source, count) {
+    if (field.keys) {
+        return field.keys.map(key => source[key]);
+    }
+    const value = source[field.key];
+    return count === 4
+        ? [value.x, value.y, value.z, value.w]
+        : [value.x, value.y, value.z];
+}
+
+function assignVector(field, target, components) {
+    if (field.keys) {
+        field.keys.forEach((key, i) => { target[key] = components[i]; });
+    } else if (components.length === 4) {
+        target[field.key] = { x: components[0], y: components[1], z: components[2], w: components[3] };
+    } else {
+        target[field.key] = { x: components[0], y: components[1], z: components[2] };
+    }
+}
+
+function writeField(writer, field, source, ids) {
+    const value = source[field.key];
+
+    switch (field.type) {
+        case 'uint':
+            writer.uvarint(value);
+            break;
+        case 'int':
+            writer.varint(value);
+            break;
+        case 'float':
+            writer.f32(value);
+            break;
+        case 'double':
+            writer.f64(value);
+            break;
+        case 'bool':
+            writer.u8(value ? 1 : 0);
+            break;
+        case 'string':
+            writer.string(value);
+            break;
+        case 'id':
+            ids.write(writer, String(value));
+            break;
+        case 'enum': {
+            const index = field.values.indexOf(value);
+            if (index === -1) {
+                throw new Error(`Unknown ${field.key} value: ${value}`);
+            }
+            writer.uvarint(index);
+            break;
+        }
+        case 'position':
+        case 'velocity': {
+            const scale = field.type === 'position'
+                ? QUANTIZATION.POSITION_SCALE
+                : QUANTIZATION.VELOCITY_SCALE;
+            for (const component of vectorComponents(field, source, 3)) {
+                writer.varint(quantize(component, scale));
+            }
+            break;
+        }
+        case 'quat':
+            writer.u32(packQuaternion(vectorComponents(field, source, 4)));
+            break;
+        case 'array':
+            if (!Array.isArray(value)) {
+                throw new Error(`${field.key} must be an array`);
+            }
+            if (value.length > LIMITS.MAX_ARRAY_LENGTH) {
+                throw new Error(`${field.key} exceeds ${LIMITS.MAX_ARRAY_LENGTH} entries`);
+            }
+            writer.uvarint(value.length);
+            for (const item of value) {
+                writeObject(writer, field.of, item, ids);
+            }
+            break;
+        default:
+            throw new Error(`Unknown field type: ${field.type}`);
+    }
+}
+
+function readField(reader, field, target, ids) {
+    switch (field.type) {
+        case 'uint':
+            target[field.key] = reader.uvarint();
+            break;
+        case 'int':
+            target[field.key] = reader.varint();
+            break;
+        case 'float':
+            target[field.key] = reader.f32();
+            break;
+        case 'double':
+            target[field.key] = reader.f64();
+            break;
+        case 'bool':
+            target[field.key] = reader.u8() !== 0;
+            break;
+        case 'string':
+            target[field.key] = reader.string();
+            break;
+        case 'id':
+            target[field.key] = ids.read(reader);
+            break;
+        case 'enum': {
+            const value = field.values[reader.uvarint()];
+            if (value === undefined) {
+                throw new Error(`Unknown ${field.key} index`);
+            }
+            target[field.key] = value;
+            break;
+        }
+        case 'position':
+        case 'velocity': {
+            const scale = field.type === 'position'
+                ? QUANTIZATION.POSITION_SCALE
+                : QUANTIZATION.VELOCITY_SCALE;
+            assignVector(field, target, [
+                reader.varint() / scale,
+                reader.varint() / scale,
+                reader.varint() / scale
+            ]);
+            break;
+        }
+        case 'quat':
+            assignVector(field, target, unpackQuaternion(reader.u32()));
+            break;
+        case 'array': {
+            const length = reader.uvarint();
+            if (length > LIMITS.MAX_ARRAY_LENGTH) {
+                throw new Error(`${field.key} exceeds ${LIMITS.MAX_ARRAY_LENGTH} entries`);
+            }
+            const items = new Array(length);
+            for (let i = 0; i < length; i++) {
+                items[i] = {};
+                readObject(reader, field.of, items[i], ids);
+            }
+            target[field.key] = items;
+            break;
+        }
+        default:
+            throw new Error(`Unknown field type: ${field.type}`);
+    }
+}
+
+// =============================================
+// EXPORTS
+// =============================================
+
+export default {
+    PROTOCOL_VERSION,
+    SUPPORTED_PROTOCOL_VERSIONS,
+    ENCODING,
+    QUANTIZATION,
+    LIMITS,
+    MESSAGE_SCHEMAS,
+    BinaryCodec,
+    negotiateVersion,
+    packQuaternion,
+    unpackQuaternion
+};
@@ -15,6 +15,20 @@ const log = {
     debug: (...args) => console.debug('[HTTPAdapter]', ...args)
 };
 
+/**
+ * Base64-encode binary file contents for JSON request bodies
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function bytesToBase64(bytes) {
+    let binary = '';
+    const step = 0x8000;
+    for (let i = 0; i < bytes.length; i += step) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + step));
+    }
+    return btoa(binary);
+}
+
 // =============================================
 // HTTP ADAPTER
 // =============================================
@@ -30,6 +44,10 @@ export class HTTPAdapter extends NetworkAdapter {
 
         this.baseUrl = config.baseUrl || 'http://localhost:3000';
         this.playerId = config.playerId || null;
+        this.accessToken = config.accessToken || null;
+        this.refreshToken = config.refreshToken || null;
+        this.accessTokenExpiresAt = 0;
+        this.refreshPromise = null; // In-flight refresh shared by concurrent callers
         this.timeout = config.timeout || 30000;
         this.retryAttempts = config.retryAttempts || 3;
         this.retryDelay = config.retryDelay || 1000;
@@ -72,6 +90,7 @@ export class HTTPAdapter extends NetworkAdapter {
 
     /**
      * Make HTTP request
+     * Refreshes the access token once and retries if it has expired
      * @param {string} method - HTTP method
      * @param {string} path - API path
      * @param {Object} data - Request body
@@ -79,15 +98,38 @@ export class HTTPAdapter extends NetworkAdapter {
      * @returns {Promise<Object>}
      */
     async request(method, path, data = null, options = {}) {
+        try {
+            return await this.fetchWithRetry(method, path, data, options);
+        } catch (error) {
+            const expired = error.status === 401 && error.data?.error === 'Token expired';
+
+            if (!expired || !this.refreshToken || options.skipAuth || options.isRetry) {
+                throw error;
+            }
+
+            await this.refreshAccessToken();
+            return await this.fetchWithRetry(method, path, data, { ...options, isRetry: true });
+        }
+    }
+
+    /**
+     * Make HTTP request, retrying server and network errors
+     * @param {string} method
+     * @param {string} path
+     * @param {Object} data
+     * @param {Object} options
+     * @returns {Promise<Object>}
+     */
+    async fetchWithRetry(method, path, data = null, options = {}) {
         const url = `${this.baseUrl}${path}`;
         const headers = {
             'Content-Type': 'application/json',
             ...options.headers
         };
 
-        // Add authentication header if playerId is set
-        if (this.playerId && !options.skipAuth) {
-            headers['X-Player-Id'] = this.playerId;
+        // Add authentication header if logged in
+        if (this.accessToken && !options.skipAuth) {
+            headers['Authorization'] = `Bearer ${this.accessToken}`;
         }
 
         const requestOptions = {
@@ -177,7 +219,10 @@ export class HTTPAdapter extends NetworkAdapter {
     async registerPlayer(username, password = null) {
         const body = { username };
         if (password) body.password = password;
-        return await this.request('POST', '/api/players/register', body);
+        const response = await this.request('POST', '/api/players/register', body, { skipAuth: true });
+
+        this.setSession(response);
+        return response;
     }
 
     // Alias for registerPlayer
@@ -188,13 +233,9 @@ export class HTTPAdapter extends NetworkAdapter {
     async loginPlayer(username, password = null) {
         const body = { username };
         if (password) body.password = password;
-        const response = await this.request('POST', '/api/players/login', body);
-
-        // Store player ID for authenticated requests
-        if (response.player && response.player.playerId) {
-            this.playerId = response.player.playerId;
-        }
+        const response = await this.request('POST', '/api/players/login', body, { skipAuth: true });
 
+        this.setSession(response);
         return response;
     }
 
@@ -203,6 +244,71 @@ export class HTTPAdapter extends NetworkAdapter {
         return this.loginPlayer(username, password);
     }
 
+    /**
+     * Revoke this session
+     * @returns {Promise<Object>}
+     */
+    async logout() {
+        try {
+            return await this.request('POST', '/api/players/logout');
+        } finally {
+            this.clearSession();
+        }
+    }
+
+    /**
+     * Revoke every session of this player, on all devices
+     * @returns {Promise<Object>}
+     */
+    async logoutAll() {
+        try {
+            return await this.request('POST', '/api/players/logout-all');
+        } finally {
+            this.clearSession();
+        }
+    }
+
+    /**
+     * Exchange the refresh token for a new token pair
+     * Concurrent callers share one request: refresh tokens are single-use and
+     * presenting a spent one revokes the session
+     * @returns {Promise<string>} New access token
+     */
+    async refreshAccessToken() {
+        if (!this.refreshPromise) {
+            this.refreshPromise = this.request('POST', '/api/players/refresh', {
+                refreshToken: this.refreshToken
+            }, { skipAuth: true })
+                .then(response => {
+                    this.setSession(response);
+                    return this.accessToken;
+                })
+                .catch(error => {
+                    if (error.status === 401) {
+                        this.clearSession();
+                    }
+                    throw error;
+                })
+                .finally(() => {
+                    this.refreshPromise = null;
+                });
+        }
+
+        return await this.refreshPromise;
+    }
+
+    /**
+     * Get an access token that will not expire in the next 30 seconds
+     * Suitable as a WebSocketAdapter tokenProvider
+     * @returns {Promise<string|null>}
+     */
+    async getValidAccessToken() {
+        if (this.refreshToken && Date.now() > this.accessTokenExpiresAt - 30000) {
+            await this.refreshAccessToken();
+        }
+        return this.accessToken;
+    }
+
     async getPlayer(playerId) {
         return await this.request('GET', `/api/players/${playerId}`);
     }
@@ -232,16 +338,26 @@ export class HTTPAdapter extends NetworkAdapter {
         return await this.request('GET', `/api/schematics/${schematicId}`);
     }
 
+    /**
+     * Upload a schematic to the library
+     * @param {Object} schematicData - name, category, fileData... as POST /api/schematics/upload
+     *   expects; fileData may be the raw .mvox bytes
+     * @returns {Promise<Object>}
+     */
     async uploadSchematic(schematicData) {
-        return await this.request('POST', '/api/schematics/upload', schematicData);
+        const fileData = schematicData.fileData instanceof Uint8Array
+            ? bytesToBase64(schematicData.fileData)
+            : schematicData.fileData;
+
+        return await this.request('POST', '/api/schematics/upload', { ...schematicData, fileData });
     }
 
     async downloadSchematic(schematicId) {
         const url = `${this.baseUrl}/api/schematics/${schematicId}/download`;
         const headers = {};
 
-        if (this.playerId) {
-            headers['X-Player-Id'] = this.playerId;
+        if (this.accessToken) {
+            headers['Authorization'] = `Bearer ${this.accessToken}`;
         }
 
         const response = await fetch(url, { headers });
@@ -331,8 +447,30 @@ export class HTTPAdapter extends NetworkAdapter {
         return new Promise(resolve => setTimeout(resolve, ms));
     }
 
-    setPlayerId(playerId) {
-        this.playerId = playerId;
+    /**
+     * Store the tokens from a login, register or refresh response
+     * @param {Object} response
+     */
+    setSession(response) {
+        if (response.player && response.player.playerId) {
+            this.playerId = response.player.playerId;
+        }
+
+        if (response.accessToken) {
+            this.accessToken = response.accessToken;
+            this.refreshToken = response.refreshToken;
+            this.accessTokenExpiresAt = Date.now() + response.expiresIn * 1000;
+        }
+    }
+
+    clearSession() {
+        this.accessToken = null;
+        this.refreshToken = null;
+        this.accessTokenExpiresAt = 0;
+    }
+
+    getAccessToken() {
+        return this.accessToken;
     }
 
     getPlayerId() {
@@ -84,7 +84,8 @@ export const NetworkEvents = {
     DISCONNECTED: 'disconnected',
     ERROR: 'error',
     MESSAGE: 'message',
-    RECONNECTING: 'reconnecting'
+    RECONNECTING: 'reconnecting',
+    SERVER_HANDOFF: 'server_handoff'
 };
 
 // =============================================
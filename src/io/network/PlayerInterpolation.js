@@ -413,6 +413,24 @@ export class PlayerInterpolationManager {
         }
     }
 
+    /**
+     * Handle area-of-interest changes
+     * Players entering are added with their full state; players leaving are
+     * dropped straight away instead of waiting to go stale.
+     */
+    receiveInterestUpdate(data) {
+        for (const entry of data.enter || []) {
+            if (entry.kind === 'player') {
+                this.receivePlayerJoined({ player: entry.state });
+            }
+        }
+        for (const entry of data.leave || []) {
+            if (entry.kind === 'player') {
+                this.receivePlayerLeft({ playerId: entry.id });
+            }
+        }
+    }
+
     /**
      * Handle any player sync message from server
      * Convenience method that routes to correct handler based on message type
@@ -434,6 +452,9 @@ export class PlayerInterpolationManager {
             case 'player_left':
                 this.receivePlayerLeft(message);
                 break;
+            case 'interest_update':
+                this.receiveInterestUpdate(message);
+                break;
             default:
                 return false; // Unhandled message type
         }
@@ -3,9 +3,15 @@
  * ==========================
  * Real-time WebSocket client for Polymir backend
  * Handles authentication, reconnection, and message routing
+ *
+ * When the body the player is on is handed to another world server, the
+ * server warns ahead with 'handoff_prepare'. A standby connection to the new
+ * server is opened and authenticated then, and swapped in on 'handoff_commit',
+ * so the switch costs no reconnect.
  */
 
 import { NetworkAdapter, NetworkEvents } from './NetworkAdapter.js';
+import { BinaryCodec, ENCODING, SUPPORTED_PROTOCOL_VERSIONS } from './BinaryProtocol.js';
 
 // Simple console logger for browser compatibility
 const log = {
@@ -24,11 +30,14 @@ export class WebSocketAdapter extends NetworkAdapter {
         super(config);
 
         this.url = config.url || 'ws://localhost:3001';
-        this.playerId = config.playerId || null;
+        this.playerId = null; // Set by the server from the access token
+        this.accessToken = config.accessToken || null;
+        this.tokenProvider = config.tokenProvider || null; // async () => current access token, e.g. HTTPAdapter.getValidAccessToken
         this.autoReconnect = config.autoReconnect !== false;
         this.reconnectDelay = config.reconnectDelay || 3000;
         this.maxReconnectDelay = config.maxReconnectDelay || 30000;
         this.pingInterval = config.pingInterval || 30000;
+        this.binaryProtocol = config.binaryProtocol !== false;
 
         this.ws = null;
         this.connectionId = null;
@@ -37,6 +46,8 @@ export class WebSocketAdapter extends NetworkAdapter {
         this.pingTimer = null;
         this.eventListeners = new Map();
         this.isAuthenticated = false;
+        this.codec = null; // BinaryCodec once the server accepts binary
+        this.standby = null; // {handoffId, adapter, ready} while a handoff is prepared
     }
 
     /**
@@ -47,6 +58,8 @@ export class WebSocketAdapter extends NetworkAdapter {
         return new Promise((resolve, reject) => {
             try {
                 this.ws = new WebSocket(this.url);
+                this.ws.binaryType = 'arraybuffer';
+                this.codec = null;
 
                 this.ws.onopen = () => {
                     log.info('WebSocket connected', { url: this.url });
@@ -130,16 +143,32 @@ export class WebSocketAdapter extends NetworkAdapter {
             throw new Error('WebSocket not connected');
         }
 
+        if (this.codec && this.codec.canEncode(message.type)) {
+            try {
+                this.ws.send(this.codec.encode(message));
+                return;
+            } catch (error) {
+                log.warn('Binary encode failed, sending JSON', { type: message.type, error: error.message });
+            }
+        }
+
         this.ws.send(JSON.stringify(message));
     }
 
     /**
      * Handle incoming message
-     * @param {string} data
+     * @param {string|ArrayBuffer} data - JSON text or a binary frame
      */
     handleMessage(data) {
         try {
-            const message = JSON.parse(data);
+            const message = typeof data === 'string'
+                ? JSON.parse(data)
+                : this.decodeBinary(data);
+
+            // Must switch before handlers run: every frame after this may be binary
+            if (message.type === 'authenticated') {
+                this.setProtocol(message.protocol);
+            }
 
             // Emit specific message type
             this.emit(message.type, message);
@@ -151,6 +180,7 @@ export class WebSocketAdapter extends NetworkAdapter {
             switch (message.type) {
                 case 'authenticated':
                     this.isAuthenticated = true;
+                    this.playerId = message.player.playerId;
                     log.info('Authenticated', { player: message.player });
                     break;
 
@@ -158,6 +188,14 @@ export class WebSocketAdapter extends NetworkAdapter {
                     log.error('Authentication failed', { error: message.error });
                     break;
 
+                case 'disconnected':
+                    // A revoked session cannot log back in with the same token
+                    if (message.reason === 'Session revoked') {
+                        this.autoReconnect = false;
+                        this.accessToken = null;
+                    }
+                    break;
+
                 case 'error':
                     log.error('Server error', { error: message.error });
                     break;
@@ -165,6 +203,18 @@ export class WebSocketAdapter extends NetworkAdapter {
                 case 'pong':
                     // Pong received, connection is alive
                     break;
+
+                case 'handoff_prepare':
+                    this.prepareHandoff(message);
+                    break;
+
+                case 'handoff_commit':
+                    this.commitHandoff(message);
+                    break;
+
+                case 'handoff_cancelled':
+                    this.cancelHandoff(message.handoffId);
+                    break;
             }
 
         } catch (error) {
@@ -172,12 +222,42 @@ export class WebSocketAdapter extends NetworkAdapter {
         }
     }
 
+    /**
+     * Decode a binary frame with the negotiated codec
+     * @param {ArrayBuffer} data
+     * @returns {Object}
+     */
+    decodeBinary(data) {
+        if (!this.codec) {
+            throw new Error('Binary frame received before protocol negotiation');
+        }
+        return this.codec.decode(data);
+    }
+
+    /**
+     * Apply the protocol the server chose at authentication
+     * @param {Object} protocol - {encoding, version}, absent on older servers
+     */
+    setProtocol(protocol) {
+        if (protocol?.encoding !== ENCODING.BINARY) {
+            this.codec = null;
+            return;
+        }
+
+        // Re-authenticating on the same connection keeps the existing id tables
+        if (!this.codec || this.codec.version !== protocol.version) {
+            this.codec = new BinaryCodec(protocol.version);
+        }
+        log.debug('Binary protocol enabled', { version: protocol.version });
+    }
+
     /**
      * Handle connection close
      */
     handleClose() {
         this.isConnected = false;
         this.isAuthenticated = false;
+        this.codec = null;
         this.stopPing();
         this.emit(NetworkEvents.DISCONNECTED);
 
@@ -217,9 +297,11 @@ export class WebSocketAdapter extends NetworkAdapter {
             try {
                 await this.connect();
 
-                // Re-authenticate if we have playerId
-                if (this.playerId) {
-                    await this.authenticate(this.playerId);
+                // Re-authenticate, fetching a fresh token if the old one may have expired
+                if (this.tokenProvider) {
+                    await this.authenticate(await this.tokenProvider());
+                } else if (this.accessToken) {
+                    await this.authenticate(this.accessToken);
                 }
 
             } catch (error) {
@@ -255,9 +337,18 @@ export class WebSocketAdapter extends NetworkAdapter {
     // AUTHENTICATION
     // =============================================
 
-    async authenticate(playerId) {
-        this.playerId = playerId;
-        await this.send({ type: 'authenticate', playerId });
+    /**
+     * Authenticate the connection with a REST API access token
+     * @param {string} accessToken
+     * @returns {Promise<Object>} The 'authenticated' message
+     */
+    async authenticate(accessToken) {
+        this.accessToken = accessToken;
+        await this.send({
+            type: 'authenticate',
+            token: accessToken,
+            protocolVersions: this.binaryProtocol ? SUPPORTED_PROTOCOL_VERSIONS : undefined
+        });
 
         return new Promise((resolve, reject) => {
             const authHandler = (message) => {
@@ -283,6 +374,139 @@ export class WebSocketAdapter extends NetworkAdapter {
         });
     }
 
+    // =============================================
+    // SERVER HANDOFF
+    // =============================================
+
+    /**
+     * Connect and authenticate to the server a body is about to move to
+     * @param {Object} message - 'handoff_prepare'
+     */
+    prepareHandoff(message) {
+        this.cancelHandoff();
+
+        const adapter = new WebSocketAdapter({
+            url: message.server.websocketUrl,
+            tokenProvider: this.tokenProvider,
+            autoReconnect: false,
+            pingInterval: this.pingInterval,
+            binaryProtocol: this.binaryProtocol
+        });
+
+        const standby = { handoffId: message.handoffId, adapter, ready: null };
+
+        standby.ready = (async () => {
+            await adapter.connect();
+            await adapter.authenticate(this.tokenProvider ? await this.tokenProvider() : this.accessToken);
+        })();
+
+        standby.ready.catch(error => {
+            log.warn('Standby connection failed', { url: adapter.url, error: error.message });
+        });
+
+        this.standby = standby;
+        log.info('Handoff prepared', { bodyId: message.bodyId, server: message.server.serverId });
+    }
+
+    /**
+     * Switch to the server that now simulates the body
+     * Falls back to a fresh connection if the standby was never prepared or failed.
+     * @param {Object} message - 'handoff_commit'
+     */
+    async commitHandoff(message) {
+        const standby = this.standby?.handoffId === message.handoffId ? this.standby : null;
+        this.standby = null;
+
+        let adapter = standby?.adapter;
+
+        try {
+            if (standby) {
+                await standby.ready;
+            } else {
+                adapter = new WebSocketAdapter({
+                    url: message.server.websocketUrl,
+                    tokenProvider: this.tokenProvider,
+                    autoReconnect: false,
+                    pingInterval: this.pingInterval,
+                    binaryProtocol: this.binaryProtocol
+                });
+                await adapter.connect();
+                await adapter.authenticate(this.tokenProvider ? await this.tokenProvider() : this.accessToken);
+            }
+        } catch (error) {
+            log.error('Server handoff failed', { url: message.server.websocketUrl, error: error.message });
+            adapter?.disconnect();
+            return;
+        }
+
+        this.adoptConnection(adapter);
+
+        await this.subscribeBody(message.bodyId);
+        if (message.state?.megachunkId) {
+            await this.subscribeMegachunk(message.state.megachunkId);
+        }
+
+        // The body's state at the crossing lets the renderer carry on without a pop
+        this.emit(NetworkEvents.SERVER_HANDOFF, {
+            bodyId: message.bodyId,
+            server: message.server,
+            state: message.state
+        });
+    }
+
+    /**
+     * Close a standby connection
+     * @param {string} handoffId - Only this handoff, or any when omitted
+     */
+    cancelHandoff(handoffId = null) {
+        if (!this.standby || (handoffId && this.standby.handoffId !== handoffId)) {
+            return;
+        }
+
+        const { adapter } = this.standby;
+        this.standby = null;
+        adapter.disconnect().catch(() => {});
+    }
+
+    /**
+     * Take over another adapter's open socket and close our own
+     * @param {WebSocketAdapter} adapter - Connected and authenticated
+     */
+    adoptConnection(adapter) {
+        const previous = this.ws;
+
+        adapter.stopPing();
+        this.stopPing();
+
+        this.ws = adapter.ws;
+        this.url = adapter.url;
+        this.connectionId = adapter.connectionId;
+        this.codec = adapter.codec;
+        this.playerId = adapter.playerId;
+        this.isConnected = true;
+        this.isAuthenticated = true;
+
+        this.ws.onmessage = (event) => this.handleMessage(event.data);
+        this.ws.onerror = (error) => this.emit(NetworkEvents.ERROR, error);
+        this.ws.onclose = (event) => {
+            log.info('WebSocket closed', { code: event.code, reason: event.reason });
+            this.handleClose();
+        };
+        adapter.ws = null;
+
+        this.startPing();
+
+        if (previous) {
+            previous.onclose = null;
+            previous.onmessage = null;
+            if (previous.readyState === WebSocket.OPEN) {
+                previous.close(1000, 'Server handoff');
+            }
+        }
+
+        log.info('Switched server', { url: this.url });
+    }
+
     // =============================================
     // POSITION UPDATES
     // =============================================
@@ -511,8 +735,8 @@ export class WebSocketAdapter extends NetworkAdapter {
     // UTILITIES
     // =============================================
 
-    setPlayerId(playerId) {
-        this.playerId = playerId;
+    setAccessToken(accessToken) {
+        this.accessToken = accessToken;
     }
 
     getPlayerId() {
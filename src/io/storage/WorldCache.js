@@ -144,7 +144,7 @@ export class WorldCache {
         store.put({
             id,
             type,
-            data: Array.from(data),
+            data,
             author: metadata.author || 'local',
             name: metadata.name || 'Untitled',
             created: metadata.created || Date.now(),
@@ -0,0 +1,185 @@
+/**
+ * SeededRandom - Deterministic pseudo-random numbers for world generation
+ *
+ * The same seed gives the same sequence on every client, worker and server,
+ * so anything that shapes the world must draw from here instead of
+ * Math.random().
+ *
+ * - next() and friends advance a mulberry32 stream
+ * - fork(...parts) derives an independent substream, e.g. one per chunk, so
+ *   results do not depend on the order chunks are generated in
+ * - valueAt(...parts) is a stateless hash for per-voxel decisions
+ */
+
+export const DEFAULT_SEED = 0;
+
+// Span of seeded noise offsets; small enough to keep noise precision
+const NOISE_OFFSET_SPAN = 256;
+
+/**
+ * Final mix of MurmurHash3
+ * @param {number} h
+ * @returns {number} Unsigned 32-bit
+ */
+function fmix32(h) {
+    h ^= h >>> 16;
+    h = Math.imul(h, 0x85ebca6b);
+    h ^= h >>> 13;
+    h = Math.imul(h, 0xc2b2ae35);
+    h ^= h >>> 16;
+    return h >>> 0;
+}
+
+/**
+ * Hash one seed part: 32-bit integers directly, anything else by its string
+ * form. Integer strings and bigints (seeds from env or the database) hash
+ * like the equal number.
+ * @param {*} part
+ * @returns {number} Unsigned 32-bit
+ */
+function hashPart(part) {
+    if (typeof part === 'bigint' || (typeof part === 'string' && /^-?\d+$/.test(part))) {
+        const value = Number(part);
+        if (Number.isSafeInteger(value)) part = value;
+    }
+
+    if (Number.isInteger(part) && part >= -0x80000000 && part <= 0xffffffff) {
+        return fmix32((part | 0) + 0x9e3779b9);
+    }
+
+    // FNV-1a
+    const text = String(part);
+    let h = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        h = Math.imul(h ^ text.charCodeAt(i), 0x01000193);
+    }
+    return fmix32(h ^ 0x5bd1e995);
+}
+
+/**
+ * Combine seed parts into one 32-bit seed
+ * @param {...*} parts - Seed, stream names, coordinates...
+ * @returns {number} Unsigned 32-bit
+ */
+export function hashSeed(...parts) {
+    let h = 0;
+    for (const part of parts) {
+        h = fmix32(h ^ hashPart(part));
+    }
+    return h;
+}
+
+export class SeededRandom {
+    /**
+     * @param {number|string|bigint} seed
+     */
+    constructor(seed = DEFAULT_SEED) {
+        this.seed = seed;
+        this.key = hashSeed(seed);   // Root of every substream
+        this.state = this.key;
+    }
+
+    /**
+     * Next float in [0, 1)
+     * @returns {number}
+     */
+    next() {
+        let t = this.state = (this.state + 0x6d2b79f5) | 0;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Float in [min, max)
+     */
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    /**
+     * Integer in [min, max]
+     */
+    int(min, max) {
+        return min + Math.floor(this.next() * (max - min + 1));
+    }
+
+    /**
+     * True with probability p
+     */
+    chance(p) {
+        return this.next() < p;
+    }
+
+    /**
+     * Random element of an array (undefined if empty)
+     */
+    pick(array) {
+        return array[Math.floor(this.next() * array.length)];
+    }
+
+    /**
+     * Float in [-spread/2, spread/2), for jitter around a value
+     */
+    spread(spread) {
+        return (this.next() - 0.5) * spread;
+    }
+
+    /**
+     * Independent substream; does not advance this one
+     * @param {...*} parts - e.g. 'vegetation', or 'chunk', cx, cy, cz
+     * @returns {SeededRandom}
+     */
+    fork(...parts) {
+        const child = new SeededRandom(this.seed);
+        child.key = hashSeed(this.key, ...parts);
+        child.state = child.key;
+        return child;
+    }
+
+    /**
+     * Substream for one chunk
+     */
+    forChunk(cx, cy, cz) {
+        return this.fork('chunk', cx, cy, cz);
+    }
+
+    /**
+     * Stateless float in [0, 1) for a position or other key
+     * @param {...*} parts
+     * @returns {number}
+     */
+    valueAt(...parts) {
+        return hashSeed(this.key, ...parts) / 4294967296;
+    }
+
+    /**
+     * Offset to add to noise coordinates so each seed samples a different
+     * region of the (seedless) noise field. The default seed keeps a zero
+     * offset, so worlds generated before seeding look the same.
+     * @param {string} stream - Separates offsets of independent noise layers
+     * @returns {Object} {x, y, z}
+     */
+    noiseOffset(stream) {
+        if (String(this.seed) === String(DEFAULT_SEED)) {
+            return { x: 0, y: 0, z: 0 };
+        }
+
+        const random = this.fork('noise', stream);
+        return {
+            x: random.next() * NOISE_OFFSET_SPAN,
+            y: random.next() * NOISE_OFFSET_SPAN,
+            z: random.next() * NOISE_OFFSET_SPAN
+        };
+    }
+
+    getState() {
+        return this.state;
+    }
+
+    setState(state) {
+        this.state = state | 0;
+    }
+}
+
+export default SeededRandom;
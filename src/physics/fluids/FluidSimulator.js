@@ -0,0 +1,383 @@
+import { VOXEL_TYPES, getVoxelType } from '../../data/voxel/VoxelTypes.js';
+import { SEMANTIC } from '../../data/Semantics.js';
+
+/**
+ * FluidSimulator - Cellular water and lava flow on loaded chunks
+ *
+ * Fluids fall along the local gravity direction and spread sideways once
+ * they rest on something, losing one level per voxel (water reaches 7
+ * voxels, lava 3). Flowing cells cut off from their source drain away.
+ * Lava touching water hardens: lava sources into obsidian, flowing lava
+ * into basalt.
+ *
+ * - Only active cells are updated: cells changed last tick, their
+ *   neighbours, and cells reported through notifyChange() (player edits)
+ * - Each tick reads the world as it was and applies all changes at once,
+ *   so the result does not depend on update order
+ * - Gravity is snapped to its dominant axis once per chunk, which keeps
+ *   flow on the voxel grid on spheres and rings
+ * - Every tick's changes go into the damage map as one batch, so they sync
+ *   to other players like player edits
+ */
+
+const FLUIDS = {
+    water: {
+        sources: new Set([VOXEL_TYPES.WATER.id, VOXEL_TYPES.OCEAN_WATER.id]),
+        flowing: VOXEL_TYPES.FLOWING_WATER,
+        maxLevel: 7,
+        tickRate: 1
+    },
+    lava: {
+        sources: new Set([VOXEL_TYPES.LAVA.id]),
+        flowing: VOXEL_TYPES.FLOWING_LAVA,
+        maxLevel: 3,
+        tickRate: 3     // Lava flows at a third of water's speed
+    }
+};
+
+// Voxel type id -> fluid, for sources and flowing variants
+const FLUID_BY_TYPE = new Map();
+for (const fluid of Object.values(FLUIDS)) {
+    for (const id of fluid.sources) {
+        FLUID_BY_TYPE.set(id, fluid);
+    }
+    FLUID_BY_TYPE.set(fluid.flowing.id, fluid);
+}
+
+const AIR = 0;
+
+const FACES = [
+    { x: 1, y: 0, z: 0 }, { x: -1, y: 0, z: 0 },
+    { x: 0, y: 1, z: 0 }, { x: 0, y: -1, z: 0 },
+    { x: 0, y: 0, z: 1 }, { x: 0, y: 0, z: -1 }
+];
+
+function voxelType(voxel) {
+    if (voxel === null || voxel === undefined) return AIR;
+    return typeof voxel === 'object' ? voxel.type : voxel;
+}
+
+function cellKey(x, y, z) {
+    return `${x},${y},${z}`;
+}
+
+export class FluidSimulator {
+    /**
+     * @param {Object} options
+     * @param {Object} options.world - getVoxel(x, y, z), setVoxel(x, y, z, voxel),
+     *   breakVoxel(x, y, z) and optionally isLoaded(x, y, z); e.g. NearPlayerChunkLoader
+     * @param {Object} options.gravity - getUpVectorAt(x, y, z); e.g. GravitySystem
+     * @param {DamageMapManager} options.damageMap - Optional, receives every change for sync
+     * @param {string} options.bodyId - Body the damage map entries belong to
+     * @param {number} options.chunkSize - Gravity is sampled once per chunk (default 16)
+     * @param {number} options.tickInterval - Seconds per tick (default 0.1)
+     * @param {number} options.maxUpdatesPerTick - Active cells updated per tick (default 2048)
+     */
+    constructor(options = {}) {
+        this.world = options.world;
+        this.gravity = options.gravity;
+        this.damageMap = options.damageMap || null;
+        this.bodyId = options.bodyId || null;
+        this.chunkSize = options.chunkSize || 16;
+        this.tickInterval = options.tickInterval || 0.1;
+        this.maxUpdatesPerTick = options.maxUpdatesPerTick || 2048;
+        this.maxTicksPerUpdate = options.maxTicksPerUpdate || 4;
+
+        this.active = new Set();        // "x,y,z" of cells to update next tick
+        this.levels = new Map();        // "x,y,z" -> level of flowing cells (sources are 0)
+        this.downSteps = new Map();     // "cx,cy,cz" -> unit step along gravity
+
+        this.tickCount = 0;
+        this.accumulator = 0;
+    }
+
+    /**
+     * Advance the simulation
+     * @param {number} deltaTime - Time elapsed in seconds
+     * @returns {number} Number of voxels changed
+     */
+    update(deltaTime) {
+        this.accumulator += deltaTime;
+
+        let changed = 0;
+        let ticks = 0;
+        while (this.accumulator >= this.tickInterval && ticks < this.maxTicksPerUpdate) {
+            this.accumulator -= this.tickInterval;
+            changed += this.tick().length;
+            ticks++;
+        }
+
+        // Don't try to catch up after a long frame
+        if (ticks === this.maxTicksPerUpdate) {
+            this.accumulator = 0;
+        }
+
+        return changed;
+    }
+
+    /**
+     * A voxel changed outside the simulation (placed, broken, loaded):
+     * wake it and its neighbours
+     */
+    notifyChange(x, y, z) {
+        this.active.add(cellKey(x, y, z));
+        for (const face of FACES) {
+            this.active.add(cellKey(x + face.x, y + face.y, z + face.z));
+        }
+    }
+
+    /**
+     * Run one simulation step
+     * @returns {Array<Object>} Changes applied: {x, y, z, changeType, voxelType, voxelColor}
+     */
+    tick() {
+        this.tickCount++;
+
+        const cells = [];
+        for (const key of this.active) {
+            if (cells.length >= this.maxUpdatesPerTick) break;
+            cells.push(key);
+        }
+
+        const proposals = new Map();
+        for (const key of cells) {
+            this.active.delete(key);
+            const [x, y, z] = key.split(',').map(Number);
+            this.updateCell(x, y, z, key, proposals);
+        }
+
+        const changes = this.applyProposals(proposals);
+
+        if (changes.length > 0 && this.damageMap) {
+            this.damageMap.recordBatch(this.bodyId, changes);
+        }
+
+        return changes;
+    }
+
+    /**
+     * Decide what happens to one cell and its neighbours this tick
+     */
+    updateCell(x, y, z, key, proposals) {
+        const type = this.typeAt(x, y, z);
+        const fluid = FLUID_BY_TYPE.get(type);
+
+        // Empty cells are filled by their fluid neighbours, not by themselves
+        if (!fluid || !this.isLoaded(x, y, z)) {
+            this.levels.delete(key);
+            return;
+        }
+
+        if (this.tickCount % fluid.tickRate !== 0) {
+            this.active.add(key);
+            return;
+        }
+
+        const isSource = fluid.sources.has(type);
+        let level = isSource ? 0 : (this.levels.get(key) ?? 1);
+        const down = this.downAt(x, y, z);
+
+        if (fluid === FLUIDS.lava && this.touchesFluid(x, y, z, FLUIDS.water)) {
+            const hardened = isSource ? VOXEL_TYPES.OBSIDIAN.id : VOXEL_TYPES.BASALT.id;
+            this.propose(proposals, x, y, z, hardened, 0);
+            return;
+        }
+
+        if (!isSource) {
+            const supported = this.supportedLevel(x, y, z, fluid, down);
+            if (supported > fluid.maxLevel) {
+                this.propose(proposals, x, y, z, AIR, 0);
+                return;
+            }
+            if (supported !== level) {
+                level = supported;
+                this.propose(proposals, x, y, z, fluid.flowing.id, level);
+            }
+        }
+
+        const bx = x + down.x;
+        const by = y + down.y;
+        const bz = z + down.z;
+
+        // Fall first; falling fluid keeps level 1 so it can spread where it lands
+        if (this.canFlowInto(bx, by, bz)) {
+            this.propose(proposals, bx, by, bz, fluid.flowing.id, 1);
+            return;
+        }
+
+        // Fluid resting on a falling column doesn't fan out sideways
+        if (this.typeAt(bx, by, bz) === fluid.flowing.id) {
+            return;
+        }
+
+        const next = level + 1;
+        if (next > fluid.maxLevel) {
+            return;
+        }
+
+        for (const face of down.horizontal) {
+            const nx = x + face.x;
+            const ny = y + face.y;
+            const nz = z + face.z;
+            if (this.canFlowInto(nx, ny, nz)) {
+                this.propose(proposals, nx, ny, nz, fluid.flowing.id, next);
+            }
+        }
+    }
+
+    /**
+     * Level a flowing cell can keep given its neighbours: 1 when fed from
+     * above, else one more than its fullest sideways neighbour
+     */
+    supportedLevel(x, y, z, fluid, down) {
+        if (FLUID_BY_TYPE.get(this.typeAt(x - down.x, y - down.y, z - down.z)) === fluid) {
+            return 1;
+        }
+
+        let best = Infinity;
+        for (const face of down.horizontal) {
+            const nx = x + face.x;
+            const ny = y + face.y;
+            const nz = z + face.z;
+            const type = this.typeAt(nx, ny, nz);
+            if (FLUID_BY_TYPE.get(type) !== fluid) continue;
+
+            const neighborLevel = fluid.sources.has(type) ? 0 : (this.levels.get(cellKey(nx, ny, nz)) ?? 1);
+            best = Math.min(best, neighborLevel + 1);
+        }
+        return best;
+    }
+
+    touchesFluid(x, y, z, fluid) {
+        return FACES.some(face => FLUID_BY_TYPE.get(this.typeAt(x + face.x, y + face.y, z + face.z)) === fluid);
+    }
+
+    /**
+     * Queue a change; where several cells flow into the same voxel the
+     * fullest flow wins (ties: higher type id)
+     */
+    propose(proposals, x, y, z, type, level) {
+        const key = cellKey(x, y, z);
+        const existing = proposals.get(key);
+
+        if (existing && (existing.level < level || (existing.level === level && existing.type >= type))) {
+            return;
+        }
+
+        proposals.set(key, { x, y, z, type, level });
+    }
+
+    /**
+     * Write a tick's proposals to the world and wake their neighbours
+     * @returns {Array<Object>} Voxel changes (level-only changes are not included)
+     */
+    applyProposals(proposals) {
+        const changes = [];
+
+        for (const [key, { x, y, z, type, level }] of proposals) {
+            const fluid = FLUID_BY_TYPE.get(type);
+            if (fluid && !fluid.sources.has(type)) {
+                this.levels.set(key, level);
+            } else {
+                this.levels.delete(key);
+            }
+
+            this.notifyChange(x, y, z);
+
+            if (this.typeAt(x, y, z) === type) {
+                continue;
+            }
+
+            if (type === AIR) {
+                this.world.breakVoxel(x, y, z);
+                changes.push({ x, y, z, changeType: 'remove', voxelType: null, voxelColor: null });
+            } else {
+                const color = getVoxelType(type).color;
+                this.world.setVoxel(x, y, z, { type, color });
+                changes.push({ x, y, z, changeType: 'add', voxelType: type, voxelColor: color });
+            }
+        }
+
+        return changes;
+    }
+
+    typeAt(x, y, z) {
+        return voxelType(this.world.getVoxel(x, y, z));
+    }
+
+    isLoaded(x, y, z) {
+        return this.world.isLoaded ? this.world.isLoaded(x, y, z) : true;
+    }
+
+    /**
+     * Air, or a non-solid plant like tall grass that fluid washes away
+     */
+    canFlowInto(x, y, z) {
+        if (!this.isLoaded(x, y, z)) {
+            return false;
+        }
+
+        const type = this.typeAt(x, y, z);
+        if (type === AIR) {
+            return true;
+        }
+
+        const definition = typeof type === 'number' ? getVoxelType(type) : null;
+        return !!definition && !(definition.semantics & (SEMANTIC.SOLID | SEMANTIC.LIQUID));
+    }
+
+    /**
+     * Unit step along gravity for the chunk containing a cell, with the
+     * four sideways faces in .horizontal
+     */
+    downAt(x, y, z) {
+        const cx = Math.floor(x / this.chunkSize);
+        const cy = Math.floor(y / this.chunkSize);
+        const cz = Math.floor(z / this.chunkSize);
+        const key = cellKey(cx, cy, cz);
+
+        let down = this.downSteps.get(key);
+        if (!down) {
+            const half = this.chunkSize / 2;
+            const up = this.gravity.getUpVectorAt(
+                cx * this.chunkSize + half,
+                cy * this.chunkSize + half,
+                cz * this.chunkSize + half
+            );
+
+            const ax = Math.abs(up.x);
+            const ay = Math.abs(up.y);
+            const az = Math.abs(up.z);
+            if (ax >= ay && ax >= az) {
+                down = { x: -Math.sign(up.x), y: 0, z: 0 };
+            } else if (ay >= az) {
+                down = { x: 0, y: -Math.sign(up.y), z: 0 };
+            } else {
+                down = { x: 0, y: 0, z: -Math.sign(up.z) };
+            }
+            down.horizontal = FACES.filter(face => face.x * down.x + face.y * down.y + face.z * down.z === 0);
+            this.downSteps.set(key, down);
+        }
+
+        return down;
+    }
+
+    /**
+     * Forget cached gravity, e.g. after the body's gravity changed
+     */
+    resetGravity() {
+        this.downSteps.clear();
+    }
+
+    /**
+     * Drop all simulation state (e.g. when leaving a body)
+     */
+    clear() {
+        this.active.clear();
+        this.levels.clear();
+        this.downSteps.clear();
+        this.accumulator = 0;
+    }
+}
+
+export default FluidSimulator;
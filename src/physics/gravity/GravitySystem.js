@@ -1,4 +1,4 @@
-import * as THREE from '../lib/three.module.js';
+import * as THREE from '../../lib/three.module.js';
 
 /**
  * GravitySystem - Handles surface-relative gravity and movement basis
@@ -165,6 +165,17 @@ export class GravitySystem {
         return new THREE.Vector3(0, 1, 0);
     }
 
+    /**
+     * Get the "up" direction at a voxel position
+     * @param {number} x
+     * @param {number} y
+     * @param {number} z
+     * @returns {THREE.Vector3} Normalized up vector
+     */
+    getUpVectorAt(x, y, z) {
+        return this.getUpVector(new THREE.Vector3(x, y, z));
+    }
+
     /**
      * Get distance from surface (positive = above, negative = below)
      * @param {THREE.Vector3} position - Player position
@@ -1,6 +1,42 @@
 import { NBT } from './NBT.js';
 import { LayerConfiguration } from '../../world/LayerConfiguration.js';
 
+/**
+ * Values of the header `compression` field
+ * - none:    sparse NBT voxel section, one entry per voxel (original format)
+ * - rle:     palette + run-length NBT voxel section
+ * - deflate: palette + run-length section, deflated with CompressionStream
+ */
+export const MVOX_COMPRESSION = Object.freeze({
+    NONE: 'none',
+    RLE: 'rle',
+    DEFLATE: 'deflate'
+});
+
+async function pipeBytes(data, transform) {
+    const writer = transform.writable.getWriter();
+    writer.write(data);
+    writer.close();
+
+    const chunks = [];
+    let totalLength = 0;
+    const reader = transform.readable.getReader();
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        chunks.push(value);
+        totalLength += value.length;
+    }
+
+    const result = new Uint8Array(totalLength);
+    let offset = 0;
+    for (const chunk of chunks) {
+        result.set(chunk, offset);
+        offset += chunk.length;
+    }
+    return result;
+}
+
 export class MVoxFile {
     constructor(type, voxels, metadata = {}) {
         this.type = type;
@@ -80,11 +116,88 @@ export class MVoxFile {
         return this.layerConfig;
     }
 
-    encode() {
+    /**
+     * Pick the most compact mode this environment can produce
+     */
+    static defaultCompression() {
+        return typeof CompressionStream !== 'undefined'
+            ? MVOX_COMPRESSION.DEFLATE
+            : MVOX_COMPRESSION.RLE;
+    }
+
+    /**
+     * Encode synchronously. Supports 'none' (default) and 'rle';
+     * deflate needs encodeAsync() since CompressionStream is stream based.
+     * @param {Object} options
+     * @param {string} options.compression - MVOX_COMPRESSION value
+     * @returns {Uint8Array}
+     */
+    encode(options = {}) {
+        const compression = options.compression || MVOX_COMPRESSION.NONE;
+        if (compression === MVOX_COMPRESSION.DEFLATE) {
+            throw new Error('Deflate compression is asynchronous: use encodeAsync()');
+        }
+
+        return MVoxFile.assemble(this.buildHeader(compression), this.encodeVoxelSection(compression));
+    }
+
+    /**
+     * Encode with any compression mode
+     * @param {Object} options
+     * @param {string} options.compression - MVOX_COMPRESSION value (default: best available)
+     * @returns {Promise<Uint8Array>}
+     */
+    async encodeAsync(options = {}) {
+        const compression = options.compression || MVoxFile.defaultCompression();
+
+        let body = this.encodeVoxelSection(compression);
+        if (compression === MVOX_COMPRESSION.DEFLATE) {
+            if (typeof CompressionStream === 'undefined') {
+                throw new Error('Deflate compression requires CompressionStream support');
+            }
+            body = await pipeBytes(body, new CompressionStream('deflate'));
+        }
+
+        return MVoxFile.assemble(this.buildHeader(compression), body);
+    }
+
+    encodeVoxelSection(compression) {
+        const sectionMetadata = {
+            chunkX: this.metadata.chunkX,
+            chunkY: this.metadata.chunkY,
+            chunkZ: this.metadata.chunkZ,
+            chunkSize: this.metadata.chunkSize || 16
+        };
+
+        switch (compression) {
+            case MVOX_COMPRESSION.NONE:
+                return NBT.encodeVoxels(this.voxels, sectionMetadata);
+            case MVOX_COMPRESSION.RLE:
+            case MVOX_COMPRESSION.DEFLATE:
+                return NBT.encodePaletteVoxels(this.voxels, sectionMetadata);
+            default:
+                throw new Error(`Unsupported .mvox compression: ${compression}`);
+        }
+    }
+
+    static assemble(header, body) {
+        const headerBytes = new TextEncoder().encode(JSON.stringify(header));
+        const separator = new TextEncoder().encode('\n');
+
+        const totalLength = headerBytes.length + separator.length + body.length;
+        const result = new Uint8Array(totalLength);
+        result.set(headerBytes, 0);
+        result.set(separator, headerBytes.length);
+        result.set(body, headerBytes.length + separator.length);
+
+        return result;
+    }
+
+    buildHeader(compression) {
         const header = {
             version: 1,
             type: this.type,
-            compression: 'none',
+            compression,
             nbt_schema: `polymir_${this.type}_v1`,
             scale_label: this.metadata.scale_label || 'block',
 
@@ -152,27 +265,47 @@ export class MVoxFile {
             header.layerConfiguration = this.layerConfig.toJSON();
         }
 
-        const headerJson = JSON.stringify(header);
-        const headerBytes = new TextEncoder().encode(headerJson);
-        const separator = new TextEncoder().encode('\n');
+        return header;
+    }
 
-        const nbtData = NBT.encodeVoxels(this.voxels, {
-            chunkX: this.metadata.chunkX,
-            chunkY: this.metadata.chunkY,
-            chunkZ: this.metadata.chunkZ,
-            chunkSize: this.metadata.chunkSize || 16
-        });
+    /**
+     * Decode synchronously. Reads 'none' and 'rle' files; deflated files
+     * need decodeAsync().
+     * @param {Uint8Array} data
+     * @returns {MVoxFile}
+     */
+    static decode(data) {
+        const { header, body } = MVoxFile.splitHeader(data);
+        const compression = header.compression || MVOX_COMPRESSION.NONE;
 
-        const totalLength = headerBytes.length + separator.length + nbtData.length;
-        const result = new Uint8Array(totalLength);
-        result.set(headerBytes, 0);
-        result.set(separator, headerBytes.length);
-        result.set(nbtData, headerBytes.length + separator.length);
+        if (compression === MVOX_COMPRESSION.DEFLATE) {
+            throw new Error('Deflate-compressed .mvox: use decodeAsync()');
+        }
 
-        return result;
+        return MVoxFile.fromParts(header, body);
     }
 
-    static decode(data) {
+    /**
+     * Decode any .mvox file regardless of its compression mode
+     * @param {Uint8Array} data
+     * @returns {Promise<MVoxFile>}
+     */
+    static async decodeAsync(data) {
+        const { header, body } = MVoxFile.splitHeader(data);
+        const compression = header.compression || MVOX_COMPRESSION.NONE;
+
+        if (compression === MVOX_COMPRESSION.DEFLATE) {
+            if (typeof DecompressionStream === 'undefined') {
+                throw new Error('Deflate-compressed .mvox but DecompressionStream not supported');
+            }
+            const inflated = await pipeBytes(body, new DecompressionStream('deflate'));
+            return MVoxFile.fromParts(header, inflated);
+        }
+
+        return MVoxFile.fromParts(header, body);
+    }
+
+    static splitHeader(data) {
         let separatorIndex = -1;
         for (let i = 0; i < data.length; i++) {
             if (data[i] === 0x0A) {
@@ -189,8 +322,18 @@ export class MVoxFile {
         const headerJson = new TextDecoder().decode(headerBytes);
         const header = JSON.parse(headerJson);
 
-        const nbtData = data.slice(separatorIndex + 1);
-        const { voxels, metadata } = NBT.decodeVoxels(nbtData);
+        const compression = header.compression || MVOX_COMPRESSION.NONE;
+        if (!Object.values(MVOX_COMPRESSION).includes(compression)) {
+            throw new Error(`Unsupported .mvox compression: ${compression}`);
+        }
+
+        return { header, body: data.slice(separatorIndex + 1) };
+    }
+
+    static fromParts(header, nbtData) {
+        const { voxels, metadata } = NBT.decodeVoxels(nbtData, {
+            positionBits: header.metadata?.positionBits || 5
+        });
 
         const file = new MVoxFile(
             header.type,
@@ -234,24 +377,24 @@ export class MVoxFile {
         return file;
     }
 
-    async save(cache, mvoxId) {
-        const data = this.encode();
+    async save(cache, mvoxId, options = {}) {
+        const data = await this.encodeAsync(options);
         await cache.saveMVox(mvoxId, data, this.type);
     }
 
     static async load(cache, mvoxId) {
         const data = await cache.loadMVox(mvoxId);
         if (!data) return null;
-        return MVoxFile.decode(data);
+        return MVoxFile.decodeAsync(data);
     }
 
-    toBlob() {
-        const data = this.encode();
+    async toBlob(options = {}) {
+        const data = await this.encodeAsync(options);
         return new Blob([data], { type: 'application/octet-stream' });
     }
 
-    download(filename = 'structure') {
-        const blob = this.toBlob();
+    async download(filename = 'structure', options = {}) {
+        const blob = await this.toBlob(options);
         const url = URL.createObjectURL(blob);
         const a = document.createElement('a');
         a.href = url;
@@ -263,7 +406,61 @@ export class MVoxFile {
     static async fromFile(file) {
         const arrayBuffer = await file.arrayBuffer();
         const data = new Uint8Array(arrayBuffer);
-        return MVoxFile.decode(data);
+        return MVoxFile.decodeAsync(data);
+    }
+
+    /**
+     * Pack a local position into a voxel key.
+     * Standard builds use 5 bits per axis (32³); larger imports store
+     * `positionBits: 10` in their metadata (1024³).
+     */
+    static encodeKey(x, y, z, bits = 5) {
+        const mask = (1 << bits) - 1;
+        return (x & mask) | ((y & mask) << bits) | ((z & mask) << (bits * 2));
+    }
+
+    static decodeKey(key, bits = 5) {
+        const mask = (1 << bits) - 1;
+        return [key & mask, (key >> bits) & mask, (key >> (bits * 2)) & mask];
+    }
+
+    /**
+     * Build an MVoxFile from a Schematic (string-keyed blocks, min corner at origin).
+     * Picks 10-bit keys when any axis exceeds 32.
+     */
+    static fromSchematic(schematic, metadata = {}) {
+        const { width, height, depth } = schematic.blocks.size > 0
+            ? schematic.getDimensions()
+            : { width: 0, height: 0, depth: 0 };
+
+        const positionBits = Math.max(width, height, depth) <= 32 ? 5 : 10;
+        const voxels = new Map();
+
+        schematic.blocks.forEach((block, key) => {
+            const [x, y, z] = key.split(',').map(Number);
+            const voxel = {
+                color: block.color,
+                semantics: block.semantics
+            };
+            if (block.type !== undefined) {
+                voxel.type = block.type;
+            }
+            voxels.set(MVoxFile.encodeKey(x, y, z, positionBits), voxel);
+        });
+
+        const fileMetadata = {
+            name: schematic.metadata.name,
+            author: schematic.metadata.author,
+            bounds: [width, height, depth],
+            isComposite: false,
+            ...metadata
+        };
+
+        if (positionBits !== 5) {
+            fileMetadata.positionBits = positionBits;
+        }
+
+        return new MVoxFile('build', voxels, fileMetadata);
     }
 
     getBounds() {
@@ -271,13 +468,13 @@ export class MVoxFile {
             return { min: [0, 0, 0], max: [0, 0, 0], size: [0, 0, 0] };
         }
 
+        const bits = this.metadata.positionBits || 5;
+
         let minX = Infinity, minY = Infinity, minZ = Infinity;
         let maxX = -Infinity, maxY = -Infinity, maxZ = -Infinity;
 
         for (const [encodedKey] of this.voxels) {
-            const x = encodedKey & 0x1F;
-            const y = (encodedKey >> 5) & 0x1F;
-            const z = (encodedKey >> 10) & 0x1F;
+            const [x, y, z] = MVoxFile.decodeKey(encodedKey, bits);
 
             minX = Math.min(minX, x);
             minY = Math.min(minY, y);
@@ -1,3 +1,281 @@
+/**
+ * NBT.js
+ * Generic Named Binary Tag reader/writer plus the .mvox voxel section codec
+ *
+ * Tags are represented as { type, value } nodes:
+ *   TAG_BYTE/SHORT/INT/FLOAT/DOUBLE -> number
+ *   TAG_LONG                        -> bigint
+ *   TAG_STRING                      -> string
+ *   TAG_BYTE_ARRAY                  -> Int8Array
+ *   TAG_INT_ARRAY                   -> Int32Array
+ *   TAG_LONG_ARRAY                  -> BigInt64Array
+ *   TAG_LIST                        -> { type: elementType, value: [element values] }
+ *   TAG_COMPOUND                    -> { [name]: tag }
+ *
+ * Java edition NBT is big-endian; Bedrock edition uses little-endian.
+ */
+
+class NBTWriter {
+    constructor(littleEndian = false) {
+        this.littleEndian = littleEndian;
+        this.bytes = new Uint8Array(1024);
+        this.view = new DataView(this.bytes.buffer);
+        this.offset = 0;
+    }
+
+    ensure(size) {
+        if (this.offset + size <= this.bytes.length) return;
+
+        let capacity = this.bytes.length * 2;
+        while (capacity < this.offset + size) capacity *= 2;
+
+        const grown = new Uint8Array(capacity);
+        grown.set(this.bytes.subarray(0, this.offset));
+        this.bytes = grown;
+        this.view = new DataView(grown.buffer);
+    }
+
+    byte(value) {
+        this.ensure(1);
+        this.view.setInt8(this.offset, value);
+        this.offset += 1;
+    }
+
+    short(value) {
+        this.ensure(2);
+        this.view.setInt16(this.offset, value, this.littleEndian);
+        this.offset += 2;
+    }
+
+    int(value) {
+        this.ensure(4);
+        this.view.setInt32(this.offset, value, this.littleEndian);
+        this.offset += 4;
+    }
+
+    long(value) {
+        this.ensure(8);
+        this.view.setBigInt64(this.offset, BigInt.asIntN(64, BigInt(value)), this.littleEndian);
+        this.offset += 8;
+    }
+
+    float(value) {
+        this.ensure(4);
+        this.view.setFloat32(this.offset, value, this.littleEndian);
+        this.offset += 4;
+    }
+
+    double(value) {
+        this.ensure(8);
+        this.view.setFloat64(this.offset, value, this.littleEndian);
+        this.offset += 8;
+    }
+
+    string(value) {
+        const encoded = new TextEncoder().encode(value);
+        if (encoded.length > 0xFFFF) {
+            throw new Error(`NBT string too long: ${encoded.length} bytes`);
+        }
+        this.ensure(2 + encoded.length);
+        this.view.setUint16(this.offset, encoded.length, this.littleEndian);
+        this.offset += 2;
+        this.bytes.set(encoded, this.offset);
+        this.offset += encoded.length;
+    }
+
+    payload(type, value) {
+        switch (type) {
+            case NBT.TAG_BYTE: this.byte(value); break;
+            case NBT.TAG_SHORT: this.short(value); break;
+            case NBT.TAG_INT: this.int(value); break;
+            case NBT.TAG_LONG: this.long(value); break;
+            case NBT.TAG_FLOAT: this.float(value); break;
+            case NBT.TAG_DOUBLE: this.double(value); break;
+            case NBT.TAG_STRING: this.string(value); break;
+
+            case NBT.TAG_BYTE_ARRAY:
+                this.int(value.length);
+                for (const v of value) this.byte(v);
+                break;
+
+            case NBT.TAG_INT_ARRAY:
+                this.int(value.length);
+                for (const v of value) this.int(v);
+                break;
+
+            case NBT.TAG_LONG_ARRAY:
+                this.int(value.length);
+                for (const v of value) this.long(v);
+                break;
+
+            case NBT.TAG_LIST: {
+                const elementType = value.value.length > 0 ? value.type : (value.type ?? NBT.TAG_END);
+                this.byte(elementType);
+                this.int(value.value.length);
+                for (const element of value.value) {
+                    this.payload(elementType, element);
+                }
+                break;
+            }
+
+            case NBT.TAG_COMPOUND:
+                for (const [name, tag] of Object.entries(value)) {
+                    if (tag === undefined) continue;
+                    this.byte(tag.type);
+                    this.string(name);
+                    this.payload(tag.type, tag.value);
+                }
+                this.byte(NBT.TAG_END);
+                break;
+
+            default:
+                throw new Error(`Unsupported tag type: ${type}`);
+        }
+    }
+
+    result() {
+        return this.bytes.slice(0, this.offset);
+    }
+}
+
+class NBTReader {
+    constructor(data, littleEndian = false) {
+        this.data = data;
+        this.littleEndian = littleEndian;
+        this.view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+        this.offset = 0;
+    }
+
+    require(size) {
+        if (this.offset + size > this.data.length) {
+            throw new Error(`Invalid NBT: Unexpected end of data at byte ${this.offset}`);
+        }
+    }
+
+    byte() {
+        this.require(1);
+        return this.view.getInt8(this.offset++);
+    }
+
+    short() {
+        this.require(2);
+        const value = this.view.getInt16(this.offset, this.littleEndian);
+        this.offset += 2;
+        return value;
+    }
+
+    int() {
+        this.require(4);
+        const value = this.view.getInt32(this.offset, this.littleEndian);
+        this.offset += 4;
+        return value;
+    }
+
+    long() {
+        this.require(8);
+        const value = this.view.getBigInt64(this.offset, this.littleEndian);
+        this.offset += 8;
+        return value;
+    }
+
+    float() {
+        this.require(4);
+        const value = this.view.getFloat32(this.offset, this.littleEndian);
+        this.offset += 4;
+        return value;
+    }
+
+    double() {
+        this.require(8);
+        const value = this.view.getFloat64(this.offset, this.littleEndian);
+        this.offset += 8;
+        return value;
+    }
+
+    string() {
+        this.require(2);
+        const length = this.view.getUint16(this.offset, this.littleEndian);
+        this.offset += 2;
+        this.require(length);
+        const value = new TextDecoder().decode(this.data.subarray(this.offset, this.offset + length));
+        this.offset += length;
+        return value;
+    }
+
+    arrayLength(elementSize) {
+        const length = this.int();
+        if (length < 0) {
+            throw new Error(`Invalid NBT: Negative array length ${length}`);
+        }
+        this.require(length * elementSize);
+        return length;
+    }
+
+    payload(type, depth = 0) {
+        if (depth > NBT.MAX_DEPTH) {
+            throw new Error('Invalid NBT: Maximum nesting depth exceeded');
+        }
+
+        switch (type) {
+            case NBT.TAG_BYTE: return this.byte();
+            case NBT.TAG_SHORT: return this.short();
+            case NBT.TAG_INT: return this.int();
+            case NBT.TAG_LONG: return this.long();
+            case NBT.TAG_FLOAT: return this.float();
+            case NBT.TAG_DOUBLE: return this.double();
+            case NBT.TAG_STRING: return this.string();
+
+            case NBT.TAG_BYTE_ARRAY: {
+                const length = this.arrayLength(1);
+                const array = new Int8Array(length);
+                for (let i = 0; i < length; i++) array[i] = this.byte();
+                return array;
+            }
+
+            case NBT.TAG_INT_ARRAY: {
+                const length = this.arrayLength(4);
+                const array = new Int32Array(length);
+                for (let i = 0; i < length; i++) array[i] = this.int();
+                return array;
+            }
+
+            case NBT.TAG_LONG_ARRAY: {
+                const length = this.arrayLength(8);
+                const array = new BigInt64Array(length);
+                for (let i = 0; i < length; i++) array[i] = this.long();
+                return array;
+            }
+
+            case NBT.TAG_LIST: {
+                const elementType = this.byte();
+                const length = this.int();
+                if (length < 0) {
+                    throw new Error(`Invalid NBT: Negative list length ${length}`);
+                }
+                const values = [];
+                for (let i = 0; i < length; i++) {
+                    values.push(this.payload(elementType, depth + 1));
+                }
+                return { type: elementType, value: values };
+            }
+
+            case NBT.TAG_COMPOUND: {
+                const compound = {};
+                while (true) {
+                    const tagType = this.byte();
+                    if (tagType === NBT.TAG_END) break;
+                    const name = this.string();
+                    compound[name] = { type: tagType, value: this.payload(tagType, depth + 1) };
+                }
+                return compound;
+            }
+
+            default:
+                throw new Error(`Unsupported tag type: ${type}`);
+        }
+    }
+}
+
 export class NBT {
     static TAG_END = 0;
     static TAG_BYTE = 1;
@@ -11,170 +289,419 @@ export class NBT {
     static TAG_LIST = 9;
     static TAG_COMPOUND = 10;
     static TAG_INT_ARRAY = 11;
+    static TAG_LONG_ARRAY = 12;
 
-    static encodeVoxels(voxels, metadata = {}) {
-        const buffer = [];
+    static MAX_DEPTH = 512;
 
-        this.writeTag(buffer, this.TAG_COMPOUND, 'voxelData');
+    // Hard ceiling on decoded voxels, whatever key width a section declares
+    static MAX_VOXELS = 1 << 24;
 
-        if (metadata.chunkX !== undefined) {
-            this.writeTag(buffer, this.TAG_INT, 'chunkX');
-            this.writeInt(buffer, metadata.chunkX);
-        }
-        if (metadata.chunkY !== undefined) {
-            this.writeTag(buffer, this.TAG_INT, 'chunkY');
-            this.writeInt(buffer, metadata.chunkY);
+    // ----- Generic tree API -----
+
+    /**
+     * Read a named root tag
+     * @param {Uint8Array} data
+     * @param {Object} options
+     * @param {boolean} options.littleEndian - Bedrock-style byte order
+     * @returns {{name: string, tag: {type: number, value: *}, length: number}}
+     */
+    static read(data, options = {}) {
+        const reader = new NBTReader(data, options.littleEndian || false);
+
+        const type = reader.byte();
+        if (type === this.TAG_END) {
+            throw new Error('Invalid NBT: Empty root tag');
         }
-        if (metadata.chunkZ !== undefined) {
-            this.writeTag(buffer, this.TAG_INT, 'chunkZ');
-            this.writeInt(buffer, metadata.chunkZ);
+
+        const name = reader.string();
+        const value = reader.payload(type);
+
+        return { name, tag: { type, value }, length: reader.offset };
+    }
+
+    /**
+     * Write a named root tag
+     * @param {{type: number, value: *}} tag - Usually a compound
+     * @param {Object} options
+     * @param {string} options.name - Root tag name
+     * @param {boolean} options.littleEndian - Bedrock-style byte order
+     * @returns {Uint8Array}
+     */
+    static write(tag, options = {}) {
+        const writer = new NBTWriter(options.littleEndian || false);
+
+        writer.byte(tag.type);
+        writer.string(options.name || '');
+        writer.payload(tag.type, tag.value);
+
+        return writer.result();
+    }
+
+    static byte(value) { return { type: this.TAG_BYTE, value }; }
+    static short(value) { return { type: this.TAG_SHORT, value }; }
+    static int(value) { return { type: this.TAG_INT, value }; }
+    static long(value) { return { type: this.TAG_LONG, value: BigInt(value) }; }
+    static float(value) { return { type: this.TAG_FLOAT, value }; }
+    static double(value) { return { type: this.TAG_DOUBLE, value }; }
+    static string(value) { return { type: this.TAG_STRING, value }; }
+    static byteArray(values) { return { type: this.TAG_BYTE_ARRAY, value: Int8Array.from(values) }; }
+    static intArray(values) { return { type: this.TAG_INT_ARRAY, value: Int32Array.from(values) }; }
+    static longArray(values) { return { type: this.TAG_LONG_ARRAY, value: BigInt64Array.from(values, v => BigInt(v)) }; }
+    static list(elementType, values) { return { type: this.TAG_LIST, value: { type: elementType, value: values } }; }
+    static compound(entries = {}) { return { type: this.TAG_COMPOUND, value: entries }; }
+
+    /**
+     * Convert a plain JS value into a tag, inferring types
+     * (integers -> int, other numbers -> double, booleans -> byte,
+     * bigints -> long, arrays -> list, objects -> compound)
+     */
+    static fromValue(value) {
+        if (value && typeof value === 'object' && typeof value.type === 'number' && 'value' in value) {
+            return value;
         }
-        if (metadata.chunkSize !== undefined) {
-            this.writeTag(buffer, this.TAG_INT, 'chunkSize');
-            this.writeInt(buffer, metadata.chunkSize);
+
+        switch (typeof value) {
+            case 'boolean': return this.byte(value ? 1 : 0);
+            case 'bigint': return this.long(value);
+            case 'string': return this.string(value);
+            case 'number':
+                return Number.isInteger(value) && value >= -0x80000000 && value <= 0x7FFFFFFF
+                    ? this.int(value)
+                    : this.double(value);
         }
 
-        this.writeTag(buffer, this.TAG_INT, 'voxelCount');
-        this.writeInt(buffer, voxels.size);
+        if (value instanceof Int8Array || value instanceof Uint8Array) return this.byteArray(value);
+        if (value instanceof Int32Array) return this.intArray(value);
+        if (value instanceof BigInt64Array) return this.longArray(value);
 
-        this.writeTag(buffer, this.TAG_INT_ARRAY, 'positions');
-        this.writeInt(buffer, voxels.size);
-        for (const [key] of voxels) {
-            this.writeInt(buffer, key);
+        if (Array.isArray(value)) {
+            const elements = value.map(v => this.fromValue(v));
+            const elementType = elements.length > 0 ? elements[0].type : this.TAG_END;
+            if (elements.some(e => e.type !== elementType)) {
+                throw new Error('NBT lists must contain a single tag type');
+            }
+            return this.list(elementType, elements.map(e => e.value));
         }
 
-        this.writeTag(buffer, this.TAG_INT_ARRAY, 'colors');
-        this.writeInt(buffer, voxels.size);
-        for (const [, voxel] of voxels) {
-            this.writeInt(buffer, voxel.color || 0x808080);
+        if (value && typeof value === 'object') {
+            const entries = {};
+            for (const [name, v] of Object.entries(value)) {
+                if (v === undefined || v === null) continue;
+                entries[name] = this.fromValue(v);
+            }
+            return this.compound(entries);
         }
 
-        // Write layer indices if present
+        throw new Error(`Cannot convert ${typeof value} to NBT`);
+    }
+
+    /**
+     * Strip type information from a tag, producing plain JS values
+     */
+    static simplify(tag) {
+        return this.simplifyPayload(tag.type, tag.value);
+    }
+
+    static simplifyPayload(type, value) {
+        switch (type) {
+            case this.TAG_LIST:
+                return value.value.map(element => this.simplifyPayload(value.type, element));
+            case this.TAG_COMPOUND: {
+                const result = {};
+                for (const [name, tag] of Object.entries(value)) {
+                    result[name] = this.simplify(tag);
+                }
+                return result;
+            }
+            default:
+                return value;
+        }
+    }
+
+    // ----- .mvox voxel section -----
+
+    /**
+     * Encode voxels with one position/color entry per voxel.
+     * Voxels carrying a `data` object keep it in the `voxelExtras` list;
+     * `metadata.extra` is stored as an `extra` compound.
+     */
+    static encodeVoxels(voxels, metadata = {}) {
+        const root = this.voxelSectionRoot(voxels, metadata);
+
+        root.positions = this.intArray(voxels.keys());
+        root.colors = this.intArray(Array.from(voxels.values(), v => v.color || 0x808080));
+
         const hasLayers = Array.from(voxels.values()).some(v => v.layerIndex !== undefined && v.layerIndex !== 0);
         if (hasLayers) {
-            this.writeTag(buffer, this.TAG_INT_ARRAY, 'layerIndices');
-            this.writeInt(buffer, voxels.size);
-            for (const [, voxel] of voxels) {
-                this.writeInt(buffer, voxel.layerIndex || 0);
-            }
+            root.layerIndices = this.intArray(Array.from(voxels.values(), v => v.layerIndex || 0));
         }
 
-        // Write semantics if present
         const hasSemantics = Array.from(voxels.values()).some(v => v.semantics !== undefined);
         if (hasSemantics) {
-            this.writeTag(buffer, this.TAG_INT_ARRAY, 'semantics');
-            this.writeInt(buffer, voxels.size);
-            for (const [, voxel] of voxels) {
-                this.writeInt(buffer, voxel.semantics || 0);
-            }
+            root.semantics = this.intArray(Array.from(voxels.values(), v => v.semantics || 0));
         }
 
-        this.writeByte(buffer, this.TAG_END);
+        const hasTypes = Array.from(voxels.values()).some(v => v.type !== undefined && v.type !== 0);
+        if (hasTypes) {
+            root.types = this.intArray(Array.from(voxels.values(), v => v.type || 0));
+        }
 
-        return new Uint8Array(buffer);
+        return this.write(this.compound(root), { name: 'voxelData' });
     }
 
-    static decodeVoxels(data) {
-        const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
-        let offset = 0;
+    /**
+     * Encode voxels as a palette + run-length section.
+     * Distinct (color, layerIndex, semantics, type) tuples go into a palette and
+     * positions are sorted so consecutive keys sharing a palette entry
+     * collapse into a single run. Each run stores the gap from the end of
+     * the previous run, which keeps values small for the deflate pass.
+     */
+    static encodePaletteVoxels(voxels, metadata = {}) {
+        const root = this.voxelSectionRoot(voxels, metadata);
 
-        const voxels = new Map();
-        const metadata = {};
+        const hasLayers = Array.from(voxels.values()).some(v => v.layerIndex !== undefined && v.layerIndex !== 0);
+        const hasSemantics = Array.from(voxels.values()).some(v => v.semantics !== undefined);
+        const hasTypes = Array.from(voxels.values()).some(v => v.type !== undefined && v.type !== 0);
 
-        const rootType = view.getUint8(offset++);
-        if (rootType !== this.TAG_COMPOUND) {
-            throw new Error('Invalid NBT: Root tag must be compound');
+        const paletteColors = [];
+        const paletteLayers = [];
+        const paletteSemantics = [];
+        const paletteTypes = [];
+        const paletteLookup = new Map();
+
+        const paletteIndexOf = (voxel) => {
+            const color = voxel.color || 0x808080;
+            const layer = hasLayers ? (voxel.layerIndex || 0) : 0;
+            const semantics = hasSemantics ? (voxel.semantics || 0) : 0;
+            const type = hasTypes ? (voxel.type || 0) : 0;
+            const lookupKey = `${color}:${layer}:${semantics}:${type}`;
+
+            let index = paletteLookup.get(lookupKey);
+            if (index === undefined) {
+                index = paletteColors.length;
+                paletteLookup.set(lookupKey, index);
+                paletteColors.push(color);
+                paletteLayers.push(layer);
+                paletteSemantics.push(semantics);
+                paletteTypes.push(type);
+            }
+            return index;
+        };
+
+        const keys = Array.from(voxels.keys()).sort((a, b) => a - b);
+
+        const runGaps = [];
+        const runLengths = [];
+        const runPalette = [];
+        let previousEnd = 0;
+
+        for (let i = 0; i < keys.length;) {
+            const start = keys[i];
+            const paletteIndex = paletteIndexOf(voxels.get(start));
+            let length = 1;
+
+            while (i + length < keys.length &&
+                   keys[i + length] === start + length &&
+                   paletteIndexOf(voxels.get(keys[i + length])) === paletteIndex) {
+                length++;
+            }
+
+            runGaps.push(start - previousEnd);
+            runLengths.push(length);
+            runPalette.push(paletteIndex);
+
+            previousEnd = start + length;
+            i += length;
+        }
+
+        root.paletteColors = this.intArray(paletteColors);
+        if (hasLayers) {
+            root.paletteLayers = this.intArray(paletteLayers);
+        }
+        if (hasSemantics) {
+            root.paletteSemantics = this.intArray(paletteSemantics);
+        }
+        if (hasTypes) {
+            root.paletteTypes = this.intArray(paletteTypes);
         }
 
-        const rootNameLength = view.getUint16(offset);
-        offset += 2 + rootNameLength;
+        root.runGaps = this.intArray(runGaps);
+        root.runLengths = this.intArray(runLengths);
+        root.runPalette = this.intArray(runPalette);
 
-        let positions = [];
-        let colors = [];
-        let layerIndices = [];
-        let semantics = [];
+        return this.write(this.compound(root), { name: 'voxelData' });
+    }
 
-        while (offset < data.length) {
-            const tagType = view.getUint8(offset++);
-            if (tagType === this.TAG_END) break;
+    /**
+     * Shared tags for both voxel layouts: chunk placement, counts,
+     * free-form metadata and per-voxel extra data
+     */
+    static voxelSectionRoot(voxels, metadata) {
+        const root = {};
 
-            const nameLength = view.getUint16(offset);
-            offset += 2;
-            const name = new TextDecoder().decode(data.slice(offset, offset + nameLength));
-            offset += nameLength;
+        for (const name of ['chunkX', 'chunkY', 'chunkZ', 'chunkSize']) {
+            if (metadata[name] !== undefined) {
+                root[name] = this.int(metadata[name]);
+            }
+        }
 
-            switch (tagType) {
-                case this.TAG_INT:
-                    const intValue = view.getInt32(offset);
-                    offset += 4;
-                    if (name === 'chunkX' || name === 'chunkY' || name === 'chunkZ' || name === 'chunkSize' || name === 'voxelCount') {
-                        metadata[name] = intValue;
-                    }
-                    break;
+        root.voxelCount = this.int(voxels.size);
 
-                case this.TAG_INT_ARRAY:
-                    const arrayLength = view.getInt32(offset);
-                    offset += 4;
-                    const array = [];
-                    for (let i = 0; i < arrayLength; i++) {
-                        array.push(view.getInt32(offset));
-                        offset += 4;
-                    }
-                    if (name === 'positions') {
-                        positions = array;
-                    } else if (name === 'colors') {
-                        colors = array;
-                    } else if (name === 'layerIndices') {
-                        layerIndices = array;
-                    } else if (name === 'semantics') {
-                        semantics = array;
-                    }
-                    break;
+        if (metadata.extra !== undefined) {
+            root.extra = this.fromValue(metadata.extra);
+        }
 
-                default:
-                    throw new Error(`Unsupported tag type: ${tagType}`);
+        const extras = [];
+        for (const [key, voxel] of voxels) {
+            if (voxel.data !== undefined) {
+                extras.push({ key: this.int(key), data: this.fromValue(voxel.data) });
             }
         }
+        if (extras.length > 0) {
+            root.voxelExtras = this.list(this.TAG_COMPOUND, extras);
+        }
 
-        for (let i = 0; i < positions.length; i++) {
-            const voxelData = {
-                color: colors[i]
-            };
+        return root;
+    }
 
-            if (layerIndices.length > 0) {
-                voxelData.layerIndex = layerIndices[i];
+    /**
+     * Decode a voxel section written by either encodeVoxels (one entry per
+     * voxel) or encodePaletteVoxels (palette + runs).
+     * @param {Uint8Array} data
+     * @param {Object} options
+     * @param {number} options.positionBits - Key width, bounds positions and count (default 5)
+     */
+    static decodeVoxels(data, options = {}) {
+        if (data[0] !== this.TAG_COMPOUND) {
+            throw new Error('Invalid NBT: Root tag must be compound');
+        }
+
+        const root = this.read(data).tag.value;
+        const voxels = new Map();
+        const metadata = {};
+
+        for (const name of ['chunkX', 'chunkY', 'chunkZ', 'chunkSize', 'voxelCount']) {
+            if (root[name]?.type === this.TAG_INT) {
+                metadata[name] = root[name].value;
             }
+        }
+
+        if (root.extra) {
+            metadata.extra = this.simplify(root.extra);
+        }
+
+        const array = (name) => root[name]?.type === this.TAG_INT_ARRAY ? root[name].value : null;
+
+        if (array('runLengths')) {
+            this.expandRuns({
+                paletteColors: array('paletteColors') || [],
+                paletteLayers: array('paletteLayers'),
+                paletteSemantics: array('paletteSemantics'),
+                paletteTypes: array('paletteTypes'),
+                runGaps: array('runGaps') || [],
+                runLengths: array('runLengths'),
+                runPalette: array('runPalette') || []
+            }, voxels, options.positionBits);
+        } else {
+            const positions = array('positions') || [];
+            const colors = array('colors') || [];
+            const layerIndices = array('layerIndices');
+            const semantics = array('semantics');
+            const types = array('types');
+
+            for (let i = 0; i < positions.length; i++) {
+                const voxelData = {
+                    color: colors[i]
+                };
 
-            if (semantics.length > 0) {
-                voxelData.semantics = semantics[i];
+                if (layerIndices) {
+                    voxelData.layerIndex = layerIndices[i];
+                }
+
+                if (semantics) {
+                    voxelData.semantics = semantics[i];
+                }
+
+                if (types && types[i] !== 0) {
+                    voxelData.type = types[i];
+                }
+
+                voxels.set(positions[i], voxelData);
             }
+        }
 
-            voxels.set(positions[i], voxelData);
+        if (root.voxelExtras?.type === this.TAG_LIST) {
+            for (const entry of root.voxelExtras.value.value) {
+                const voxel = voxels.get(entry.key?.value);
+                if (voxel && entry.data) {
+                    voxel.data = this.simplify(entry.data);
+                }
+            }
         }
 
         return { voxels, metadata };
     }
 
-    static writeTag(buffer, type, name) {
-        buffer.push(type);
-        this.writeString(buffer, name);
-    }
+    /**
+     * Expand palette runs into voxels. Runs are checked before anything is
+     * allocated: a few bytes of runs could otherwise declare billions of
+     * voxels. Positions must fit the key space of `positionBits` and the
+     * total stays under MAX_VOXELS.
+     * @param {Object} section
+     * @param {Map<number, Object>} voxels - Filled in place
+     * @param {number} positionBits - Bits per axis in voxel keys (5 or 10)
+     */
+    static expandRuns(section, voxels, positionBits = 5) {
+        const { paletteColors, paletteLayers, paletteSemantics, paletteTypes, runGaps, runLengths, runPalette } = section;
 
-    static writeByte(buffer, value) {
-        buffer.push(value & 0xFF);
-    }
+        const bits = Number.isInteger(positionBits) && positionBits > 0 ? positionBits : 5;
+        const keySpace = 2 ** (bits * 3);
+        const maxVoxels = Math.min(keySpace, this.MAX_VOXELS);
 
-    static writeInt(buffer, value) {
-        buffer.push((value >> 24) & 0xFF);
-        buffer.push((value >> 16) & 0xFF);
-        buffer.push((value >> 8) & 0xFF);
-        buffer.push(value & 0xFF);
-    }
+        let end = 0;
+        let total = 0;
+        for (let r = 0; r < runLengths.length; r++) {
+            const gap = runGaps[r] || 0;
+            if (gap < 0 || runLengths[r] < 0) {
+                throw new Error(`Invalid NBT: Negative run gap or length in run ${r}`);
+            }
+            end += gap + runLengths[r];
+            total += runLengths[r];
+            if (end > keySpace) {
+                throw new Error(`Invalid NBT: Run ends at position ${end}, beyond ${bits}-bit keys`);
+            }
+            if (total > maxVoxels) {
+                throw new Error(`Invalid NBT: Runs exceed ${maxVoxels} voxels`);
+            }
+        }
+
+        let position = 0;
+        for (let r = 0; r < runLengths.length; r++) {
+            const paletteIndex = runPalette[r];
+            if (paletteIndex < 0 || paletteIndex >= paletteColors.length) {
+                throw new Error(`Invalid NBT: Palette index ${paletteIndex} out of range`);
+            }
+
+            position += runGaps[r] || 0;
+            for (let i = 0; i < runLengths[r]; i++) {
+                const voxelData = {
+                    color: paletteColors[paletteIndex]
+                };
 
-    static writeString(buffer, str) {
-        const bytes = new TextEncoder().encode(str);
-        buffer.push((bytes.length >> 8) & 0xFF);
-        buffer.push(bytes.length & 0xFF);
-        buffer.push(...bytes);
+                if (paletteLayers) {
+                    voxelData.layerIndex = paletteLayers[paletteIndex];
+                }
+
+                if (paletteSemantics) {
+                    voxelData.semantics = paletteSemantics[paletteIndex];
+                }
+
+                if (paletteTypes && paletteTypes[paletteIndex] !== 0) {
+                    voxelData.type = paletteTypes[paletteIndex];
+                }
+
+                voxels.set(position++, voxelData);
+            }
+        }
     }
 }
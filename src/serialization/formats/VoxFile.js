@@ -0,0 +1,534 @@
+/**
+ * VoxFile.js
+ * MagicaVoxel .vox reader/writer
+ *
+ * Chunk layout (little-endian):
+ *   "VOX " version
+ *   MAIN
+ *     PACK?              model count (older files)
+ *     SIZE + XYZI        one pair per model
+ *     nTRN / nGRP / nSHP scene graph (transforms, groups, shapes)
+ *     RGBA               256-entry palette (entry i is colour index i + 1)
+ *     MATL               per-index material (_diffuse, _emit, _glass, _metal)
+ *
+ * Coordinates are returned in MagicaVoxel space (Z up). Shapes are placed
+ * with world = R * (voxel - floor(size / 2)) + T, composed down the graph.
+ */
+
+const VERSION = 150;
+
+/**
+ * MagicaVoxel's built-in palette, used when a file has no RGBA chunk:
+ * a 6-level colour cube (blue fastest, black omitted) followed by
+ * 10-step blue, green, red and grey ramps.
+ */
+function buildDefaultPalette() {
+    const palette = [0];
+    const levels = [0xFF, 0xCC, 0x99, 0x66, 0x33, 0x00];
+    for (const r of levels) {
+        for (const g of levels) {
+            for (const b of levels) {
+                if (r === 0 && g === 0 && b === 0) continue;
+                palette.push((r << 16) | (g << 8) | b);
+            }
+        }
+    }
+
+    const ramp = [0xEE, 0xDD, 0xBB, 0xAA, 0x88, 0x77, 0x55, 0x44, 0x22, 0x11];
+    for (const v of ramp) palette.push(v);
+    for (const v of ramp) palette.push(v << 8);
+    for (const v of ramp) palette.push(v << 16);
+    for (const v of ramp) palette.push((v << 16) | (v << 8) | v);
+
+    return palette;
+}
+
+export const DEFAULT_VOX_PALETTE = buildDefaultPalette();
+
+class VoxReader {
+    constructor(data) {
+        this.data = data;
+        this.view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+        this.offset = 0;
+    }
+
+    require(size) {
+        if (this.offset + size > this.data.length) {
+            throw new Error(`Invalid .vox: Unexpected end of data at byte ${this.offset}`);
+        }
+    }
+
+    id() {
+        this.require(4);
+        const value = String.fromCharCode(...this.data.subarray(this.offset, this.offset + 4));
+        this.offset += 4;
+        return value;
+    }
+
+    int() {
+        this.require(4);
+        const value = this.view.getInt32(this.offset, true);
+        this.offset += 4;
+        return value;
+    }
+
+    string() {
+        const length = this.int();
+        this.require(length);
+        const value = new TextDecoder().decode(this.data.subarray(this.offset, this.offset + length));
+        this.offset += length;
+        return value;
+    }
+
+    dict() {
+        const dict = {};
+        const count = this.int();
+        for (let i = 0; i < count; i++) {
+            const key = this.string();
+            dict[key] = this.string();
+        }
+        return dict;
+    }
+}
+
+class VoxWriter {
+    constructor() {
+        this.parts = [];
+    }
+
+    id(value) {
+        this.parts.push(new TextEncoder().encode(value));
+    }
+
+    int(value) {
+        const bytes = new Uint8Array(4);
+        new DataView(bytes.buffer).setInt32(0, value, true);
+        this.parts.push(bytes);
+    }
+
+    bytes(value) {
+        this.parts.push(value);
+    }
+
+    string(value) {
+        const encoded = new TextEncoder().encode(value);
+        this.int(encoded.length);
+        this.parts.push(encoded);
+    }
+
+    dict(dict) {
+        const entries = Object.entries(dict).filter(([, v]) => v !== undefined && v !== null);
+        this.int(entries.length);
+        for (const [key, value] of entries) {
+            this.string(key);
+            this.string(String(value));
+        }
+    }
+
+    chunk(chunkId, writeContent, children = null) {
+        const content = new VoxWriter();
+        writeContent(content);
+        const contentBytes = content.result();
+        const childBytes = children ? children.result() : new Uint8Array(0);
+
+        this.id(chunkId);
+        this.int(contentBytes.length);
+        this.int(childBytes.length);
+        this.bytes(contentBytes);
+        this.bytes(childBytes);
+    }
+
+    result() {
+        const length = this.parts.reduce((sum, part) => sum + part.length, 0);
+        const result = new Uint8Array(length);
+        let offset = 0;
+        for (const part of this.parts) {
+            result.set(part, offset);
+            offset += part.length;
+        }
+        return result;
+    }
+}
+
+export class VoxFile {
+    /**
+     * Parse a .vox file
+     * @param {Uint8Array} data
+     * @returns {{version: number, models: Array, palette: Array<number>, materials: Map, instances: Array}}
+     *   models:    [{ size: [x, y, z], voxels: [{x, y, z, colorIndex}] }]
+     *   palette:   256 entries of 0xRRGGBB, indexed by colour index (0 unused)
+     *   materials: colorIndex -> { type, ...properties }
+     *   instances: [{ model, rotation (3x3 rows), translation: [x, y, z], name }]
+     */
+    static read(data) {
+        const reader = new VoxReader(data);
+
+        if (reader.id() !== 'VOX ') {
+            throw new Error('Invalid .vox: Missing VOX header');
+        }
+        const version = reader.int();
+
+        if (reader.id() !== 'MAIN') {
+            throw new Error('Invalid .vox: Missing MAIN chunk');
+        }
+        const mainContent = reader.int();
+        const mainChildren = reader.int();
+        reader.offset += mainContent;
+        const end = reader.offset + mainChildren;
+
+        const models = [];
+        const nodes = new Map();
+        const materials = new Map();
+        let palette = null;
+        let pendingSize = null;
+
+        while (reader.offset < end) {
+            const chunkId = reader.id();
+            const contentSize = reader.int();
+            const childrenSize = reader.int();
+            const chunkEnd = reader.offset + contentSize;
+            reader.require(contentSize + childrenSize);
+
+            switch (chunkId) {
+                case 'SIZE':
+                    pendingSize = [reader.int(), reader.int(), reader.int()];
+                    break;
+
+                case 'XYZI': {
+                    if (!pendingSize) {
+                        throw new Error('Invalid .vox: XYZI chunk without SIZE');
+                    }
+                    const count = reader.int();
+                    reader.require(count * 4);
+                    const voxels = new Array(count);
+                    for (let i = 0; i < count; i++) {
+                        const o = reader.offset + i * 4;
+                        voxels[i] = { x: data[o], y: data[o + 1], z: data[o + 2], colorIndex: data[o + 3] };
+                    }
+                    models.push({ size: pendingSize, voxels });
+                    pendingSize = null;
+                    break;
+                }
+
+                case 'RGBA':
+                    palette = [0];
+                    for (let i = 0; i < 255; i++) {
+                        const o = reader.offset + i * 4;
+                        palette.push((data[o] << 16) | (data[o + 1] << 8) | data[o + 2]);
+                    }
+                    break;
+
+                case 'MATL': {
+                    const materialId = reader.int();
+                    const properties = reader.dict();
+                    materials.set(materialId, {
+                        type: properties._type || '_diffuse',
+                        emit: properties._emit !== undefined ? parseFloat(properties._emit) : 0,
+                        alpha: properties._alpha !== undefined ? parseFloat(properties._alpha) : 1,
+                        properties
+                    });
+                    break;
+                }
+
+                case 'nTRN': {
+                    const nodeId = reader.int();
+                    const attributes = reader.dict();
+                    const child = reader.int();
+                    reader.int(); // reserved
+                    reader.int(); // layer
+                    const frameCount = reader.int();
+                    const frames = [];
+                    for (let i = 0; i < frameCount; i++) frames.push(reader.dict());
+                    nodes.set(nodeId, { kind: 'transform', attributes, child, frame: frames[0] || {} });
+                    break;
+                }
+
+                case 'nGRP': {
+                    const nodeId = reader.int();
+                    const attributes = reader.dict();
+                    const count = reader.int();
+                    const children = [];
+                    for (let i = 0; i < count; i++) children.push(reader.int());
+                    nodes.set(nodeId, { kind: 'group', attributes, children });
+                    break;
+                }
+
+                case 'nSHP': {
+                    const nodeId = reader.int();
+                    const attributes = reader.dict();
+                    const count = reader.int();
+                    const shapeModels = [];
+                    for (let i = 0; i < count; i++) {
+                        shapeModels.push(reader.int());
+                        reader.dict();
+                    }
+                    nodes.set(nodeId, { kind: 'shape', attributes, models: shapeModels });
+                    break;
+                }
+            }
+
+            // Skip unread content (LAYR, rOBJ, rCAM, NOTE, IMAP, ...) and any children
+            reader.offset = chunkEnd + childrenSize;
+        }
+
+        const instances = nodes.size > 0
+            ? this.flattenScene(nodes, models.length)
+            : models.map((model, index) => ({ model: index, rotation: this.identity(), translation: this.pivot(model.size), name: null }));
+
+        return {
+            version,
+            models,
+            palette: palette || DEFAULT_VOX_PALETTE.slice(),
+            materials,
+            instances
+        };
+    }
+
+    /**
+     * Walk the scene graph from node 0, composing transforms down to shapes
+     */
+    static flattenScene(nodes, modelCount) {
+        const instances = [];
+
+        const visit = (nodeId, rotation, translation, name, depth) => {
+            const node = nodes.get(nodeId);
+            if (!node || depth > 64) return;
+
+            if (node.kind === 'transform') {
+                if (node.attributes._hidden === '1') return;
+
+                const localRotation = node.frame._r !== undefined ? this.decodeRotation(parseInt(node.frame._r, 10)) : this.identity();
+                const localTranslation = node.frame._t ? node.frame._t.split(/\s+/).map(Number) : [0, 0, 0];
+
+                // parent * local
+                const composedRotation = this.multiply(rotation, localRotation);
+                const rotatedTranslation = this.apply(rotation, localTranslation);
+                const composedTranslation = [
+                    translation[0] + rotatedTranslation[0],
+                    translation[1] + rotatedTranslation[1],
+                    translation[2] + rotatedTranslation[2]
+                ];
+
+                visit(node.child, composedRotation, composedTranslation, node.attributes._name || name, depth + 1);
+            } else if (node.kind === 'group') {
+                for (const child of node.children) {
+                    visit(child, rotation, translation, name, depth + 1);
+                }
+            } else if (node.kind === 'shape') {
+                for (const model of node.models) {
+                    if (model >= 0 && model < modelCount) {
+                        instances.push({ model, rotation, translation, name });
+                    }
+                }
+            }
+        };
+
+        visit(0, this.identity(), [0, 0, 0], null, 0);
+        return instances;
+    }
+
+    /**
+     * World-space voxels for every instance, in MagicaVoxel coordinates
+     * @returns {Array<{x, y, z, colorIndex, instance}>}
+     */
+    static worldVoxels(parsed) {
+        const result = [];
+
+        parsed.instances.forEach((instance, instanceIndex) => {
+            const model = parsed.models[instance.model];
+            const pivot = this.pivot(model.size);
+
+            for (const voxel of model.voxels) {
+                const local = [voxel.x - pivot[0], voxel.y - pivot[1], voxel.z - pivot[2]];
+                const rotated = this.apply(instance.rotation, local);
+                result.push({
+                    x: Math.round(rotated[0] + instance.translation[0]),
+                    y: Math.round(rotated[1] + instance.translation[1]),
+                    z: Math.round(rotated[2] + instance.translation[2]),
+                    colorIndex: voxel.colorIndex,
+                    instance: instanceIndex
+                });
+            }
+        });
+
+        return result;
+    }
+
+    /**
+     * Write a .vox file
+     * @param {Object} scene
+     * @param {Array} scene.models - [{ size: [x, y, z], voxels: [{x, y, z, colorIndex}] }]
+     * @param {Array<number>} scene.palette - 0xRRGGBB by colour index (index 0 ignored)
+     * @param {Map} scene.materials - colorIndex -> { type, emit, alpha }
+     * @param {Array} scene.instances - [{ model, translation: [x, y, z], name }]; defaults to one per model
+     * @returns {Uint8Array}
+     */
+    static write(scene) {
+        const { models, palette = DEFAULT_VOX_PALETTE, materials = new Map() } = scene;
+        const instances = scene.instances || models.map((model, index) => ({
+            model: index,
+            translation: this.pivot(model.size)
+        }));
+
+        const children = new VoxWriter();
+
+        if (models.length > 1) {
+            children.chunk('PACK', w => w.int(models.length));
+        }
+
+        for (const model of models) {
+            for (const axis of model.size) {
+                if (axis < 1 || axis > 256) {
+                    throw new Error(`.vox models must be 1-256 voxels per axis (got ${model.size.join('x')})`);
+                }
+            }
+
+            children.chunk('SIZE', w => {
+                w.int(model.size[0]);
+                w.int(model.size[1]);
+                w.int(model.size[2]);
+            });
+
+            children.chunk('XYZI', w => {
+                w.int(model.voxels.length);
+                const bytes = new Uint8Array(model.voxels.length * 4);
+                model.voxels.forEach((v, i) => {
+                    bytes[i * 4] = v.x;
+                    bytes[i * 4 + 1] = v.y;
+                    bytes[i * 4 + 2] = v.z;
+                    bytes[i * 4 + 3] = v.colorIndex;
+                });
+                w.bytes(bytes);
+            });
+        }
+
+        // Scene graph: root transform -> group -> (transform -> shape) per instance
+        children.chunk('nTRN', w => {
+            w.int(0);
+            w.dict({});
+            w.int(1);
+            w.int(-1);
+            w.int(-1);
+            w.int(1);
+            w.dict({});
+        });
+
+        children.chunk('nGRP', w => {
+            w.int(1);
+            w.dict({});
+            w.int(instances.length);
+            instances.forEach((_, i) => w.int(2 + i * 2));
+        });
+
+        instances.forEach((instance, i) => {
+            children.chunk('nTRN', w => {
+                w.int(2 + i * 2);
+                w.dict({ _name: instance.name || undefined });
+                w.int(3 + i * 2);
+                w.int(-1);
+                w.int(0);
+                w.int(1);
+                w.dict({ _t: instance.translation.map(Math.round).join(' ') });
+            });
+
+            children.chunk('nSHP', w => {
+                w.int(3 + i * 2);
+                w.dict({});
+                w.int(1);
+                w.int(instance.model);
+                w.dict({});
+            });
+        });
+
+        children.chunk('RGBA', w => {
+            const bytes = new Uint8Array(256 * 4);
+            for (let i = 1; i <= 255; i++) {
+                const color = palette[i] || 0;
+                const o = (i - 1) * 4;
+                bytes[o] = (color >> 16) & 0xFF;
+                bytes[o + 1] = (color >> 8) & 0xFF;
+                bytes[o + 2] = color & 0xFF;
+                bytes[o + 3] = 0xFF;
+            }
+            w.bytes(bytes);
+        });
+
+        for (const [colorIndex, material] of materials) {
+            children.chunk('MATL', w => {
+                w.int(colorIndex);
+                w.dict({
+                    _type: material.type,
+                    _emit: material.type === '_emit' ? (material.emit || 1) : undefined,
+                    _alpha: material.type === '_glass' ? (material.alpha ?? 0.5) : undefined
+                });
+            });
+        }
+
+        const file = new VoxWriter();
+        file.id('VOX ');
+        file.int(VERSION);
+        file.chunk('MAIN', () => {}, children);
+        return file.result();
+    }
+
+    // ----- Coordinate conversion -----
+
+    /**
+     * MagicaVoxel is Z-up with +Y pointing away from the viewer;
+     * Polymir is Y-up with +Z towards the viewer.
+     */
+    static toPolymir(x, y, z) {
+        return [x, z, -y];
+    }
+
+    static fromPolymir(x, y, z) {
+        return [x, -z, y];
+    }
+
+    // ----- Transform helpers -----
+
+    static pivot(size) {
+        return [Math.floor(size[0] / 2), Math.floor(size[1] / 2), Math.floor(size[2] / 2)];
+    }
+
+    static identity() {
+        return [[1, 0, 0], [0, 1, 0], [0, 0, 1]];
+    }
+
+    /**
+     * Decode the packed rotation byte: bits 0-1 / 2-3 hold the column of the
+     * non-zero entry in rows 0 / 1, bits 4-6 the sign of each row
+     */
+    static decodeRotation(packed) {
+        const column0 = packed & 0x03;
+        const column1 = (packed >> 2) & 0x03;
+        const column2 = 3 - column0 - column1;
+        const columns = [column0, column1, column2];
+
+        const matrix = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+        for (let row = 0; row < 3; row++) {
+            matrix[row][columns[row]] = (packed >> (4 + row)) & 1 ? -1 : 1;
+        }
+        return matrix;
+    }
+
+    static multiply(a, b) {
+        const result = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+        for (let i = 0; i < 3; i++) {
+            for (let j = 0; j < 3; j++) {
+                result[i][j] = a[i][0] * b[0][j] + a[i][1] * b[1][j] + a[i][2] * b[2][j];
+            }
+        }
+        return result;
+    }
+
+    static apply(matrix, v) {
+        return [
+            matrix[0][0] * v[0] + matrix[0][1] * v[1] + matrix[0][2] * v[2],
+            matrix[1][0] * v[0] + matrix[1][1] * v[1] + matrix[1][2] * v[2],
+            matrix[2][0] * v[0] + matrix[2][1] * v[1] + matrix[2][2] * v[2]
+        ];
+    }
+}
+
+export default VoxFile;
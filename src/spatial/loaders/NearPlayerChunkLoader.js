@@ -8,18 +8,24 @@
  * Features:
  * - Distance-based LOD (Level of Detail)
  * - Frustum culling
- * - Progressive loading with async generation
+ * - Progressive loading with generation and meshing on a ChunkWorkerPool,
+ *   cancelled when chunks leave render distance before they finish
  * - Automatic chunk unloading beyond render distance
  * - Mesh pooling and reuse
  * - Integration with WorldCache for persistence
  */
 
-import * as THREE from '../lib/three.module.js';
-import { Chunk } from '../spatial/Chunk.js';
-import { ChunkCoordinate } from '../spatial/ChunkCoordinate.js';
-import { SphereGenerator } from '../generation/generators/SphereGenerator.js';
-import { WorldCache } from '../storage/WorldCache.js';
-import { GeometryBufferPool } from '../memory/GeometryBufferPool.js';
+import * as THREE from '../../lib/three.module.js';
+import { Chunk } from '../Chunk.js';
+import { ChunkCoordinate } from '../ChunkCoordinate.js';
+import { SphereGenerator } from '../../generation/generators/SphereGenerator.js';
+import { WorldCache } from '../../io/storage/WorldCache.js';
+import { GeometryBufferPool } from '../../memory/GeometryBufferPool.js';
+import { ChunkWorkerPool, isTaskCancelled } from '../../workers/ChunkWorkerPool.js';
+import { generateSurfaceShell } from '../../workers/ChunkTasks.js';
+import { FloraGenerator } from '../../generation/postprocess/FloraGenerator.js';
+import { SubsurfaceGenerator } from '../../generation/generators/SubsurfaceGenerator.js';
+import { GravitationalShapes } from '../../config/GravitationalShapeConfig.js';
 
 export class NearPlayerChunkLoader {
     constructor(scene, camera, config = {}) {
@@ -30,20 +36,36 @@ export class NearPlayerChunkLoader {
         this.chunkSize = config.chunkSize || 16;
         this.renderDistance = config.renderDistance || 5; // Chunks
         this.unloadDistance = config.unloadDistance || this.renderDistance + 2;
-        this.chunksPerFrame = config.chunksPerFrame || 4; // Max chunks to load per frame
+        this.chunksPerFrame = config.chunksPerFrame || 4; // Max chunks generating at once
         this.planetRadius = config.planetRadius || 200;
         this.generator = config.generator || new SphereGenerator(this.planetRadius, 1);
 
+        // Trees, cacti, shrubs and grass on top of generated terrain (false disables)
+        this.flora = config.flora === false ? null : config.flora || new FloraGenerator(
+            this.generator.gravityShape || GravitationalShapes.sphere({ x: 0, y: 0, z: 0 }, this.planetRadius),
+            this.generator.biomeConfig
+        );
+
         // Storage and pooling
         this.worldCache = new WorldCache();
         this.bufferPool = new GeometryBufferPool(500);
+        this.workerPool = config.workerPool || new ChunkWorkerPool();
+        this.ownsWorkerPool = !config.workerPool;
 
         // State tracking
         this.loadedChunks = new Map(); // key -> { mesh, chunk, data, lastAccess, isSurface }
         this.loadQueue = [];
         this.unloadQueue = [];
-        this.isGenerating = false;
+        this.pendingLoads = new Map(); // key -> worker task handle (generation, then meshing)
         this.surfaceChunks = new Set(); // Track surface chunks for retention
+        this.staleFlora = new Set(); // Loading chunks that got neighbour flora after generating
+
+        // FluidSimulator woken by block edits; assigned after construction,
+        // since the simulator takes this loader as its world
+        this.fluids = config.fluids || null;
+
+        // EconomyManager receiving resource drops for mined ores (optional)
+        this.economy = config.economy || null;
 
         // Dirty tracking for block modifications
         this.dirtyChunks = new Set(); // Chunks that need re-meshing
@@ -99,9 +121,9 @@ export class NearPlayerChunkLoader {
             await this.processDirtyChunks();
         }
 
-        // Process load queue
-        if (this.loadQueue.length > 0 && !this.isGenerating) {
-            await this.processLoadQueue();
+        // Start loads; they finish on the worker pool
+        if (this.loadQueue.length > 0) {
+            this.processLoadQueue();
         }
 
         // Process unload queue
@@ -172,8 +194,8 @@ export class NearPlayerChunkLoader {
                     if (dist <= renderDist) {
                         const key = ChunkCoordinate.toKey(cx, cy, cz);
 
-                        // Only add if not already loaded
-                        if (!this.loadedChunks.has(key)) {
+                        // Only add if not already loaded or loading
+                        if (!this.loadedChunks.has(key) && !this.pendingLoads.has(key)) {
                             newQueue.push({ cx, cy, cz, dist });
                         }
                     }
@@ -185,32 +207,33 @@ export class NearPlayerChunkLoader {
         newQueue.sort((a, b) => a.dist - b.dist);
 
         this.loadQueue = newQueue;
+
+        // Chunks that fell out of range while generating
+        for (const [key, task] of this.pendingLoads) {
+            if (this.chunkDistance(playerChunk, ChunkCoordinate.fromKey(key)) > renderDist) {
+                task.cancel();
+            }
+        }
     }
 
     /**
-     * Process chunks from load queue
+     * Start loads from the queue, keeping at most chunksPerFrame in flight
      */
-    async processLoadQueue() {
-        if (this.isGenerating || this.loadQueue.length === 0) {
-            return;
-        }
-
-        this.isGenerating = true;
-
-        // Only load 1 chunk per call to minimize blocking
-        const chunkToLoad = this.loadQueue.shift();
-
-        if (chunkToLoad) {
-            await this.loadChunk(chunkToLoad.cx, chunkToLoad.cy, chunkToLoad.cz);
+    processLoadQueue() {
+        while (this.loadQueue.length > 0 && this.pendingLoads.size < this.chunksPerFrame) {
+            const { cx, cy, cz, dist } = this.loadQueue.shift();
+            this.loadChunk(cx, cy, cz, dist);
         }
-
-        this.isGenerating = false;
     }
 
     /**
-     * Load a single chunk (from cache or generate)
+     * Load a single chunk: generate and mesh on the worker pool
+     * @param {number} cx
+     * @param {number} cy
+     * @param {number} cz
+     * @param {number} priority - Lower loads first (distance from the player)
      */
-    async loadChunk(cx, cy, cz) {
+    async loadChunk(cx, cy, cz, priority = 0) {
         const key = ChunkCoordinate.toKey(cx, cy, cz);
 
         // Already loaded?
@@ -220,20 +243,51 @@ export class NearPlayerChunkLoader {
             return;
         }
 
-        // Generate chunk directly (skip cache for now to avoid IndexedDB blocking)
-        // TODO: Move caching to a background worker for true async
-        const chunkData = this.generateChunk(cx, cy, cz);
+        if (this.pendingLoads.has(key)) {
+            return;
+        }
+
+        let current = null;
+
+        try {
+            // Surface shell off-thread; cancelled if the chunk leaves range first
+            const generation = this.workerPool.generateSurfaceShell(
+                this.generator, cx, cy, cz,
+                { chunkSize: this.chunkSize, planetRadius: this.planetRadius },
+                { key, priority }
+            );
+            this.pendingLoads.set(key, current = generation);
+
+            let chunkData = await generation.promise;
+
+            // Air chunks still load when a neighbour's tree reaches into them
+            if ((!chunkData || chunkData.voxels.size === 0) && !this.flora?.hasPending(cx, cy, cz)) {
+                return;
+            }
+
+            chunkData = chunkData || { voxels: new Map(), isSurface: false };
+            if (this.flora) {
+                this.decorateChunk(chunkData, cx, cy, cz);
+            }
 
-        if (chunkData && chunkData.voxels.size > 0) {
             this.metrics.chunksGenerated++;
 
+            // Neighbors are sampled now, so chunks loaded meanwhile are not seen
+            const meshing = this.workerPool.meshChunk(chunkData.voxels, {
+                chunkX: cx,
+                chunkY: cy,
+                chunkZ: cz,
+                chunkSize: this.chunkSize,
+                neighborLookup: (chunkX, chunkY, chunkZ, localX, localY, localZ) =>
+                    this.neighborLookup(chunkX, chunkY, chunkZ, localX, localY, localZ)
+            }, { key, priority });
+            this.pendingLoads.set(key, current = meshing);
+
+            const geometryData = await meshing.promise;
+
             const chunk = new Chunk(cx, cy, cz, this.chunkSize);
             chunk.voxels = chunkData.voxels;
 
-            const geometryData = chunk.buildMesh((chunkX, chunkY, chunkZ, localX, localY, localZ) => {
-                return this.neighborLookup(chunkX, chunkY, chunkZ, localX, localY, localZ);
-            });
-
             if (geometryData && geometryData.vertices && geometryData.vertices.length > 0) {
                 const mesh = this.createMesh(geometryData);
                 this.scene.add(mesh);
@@ -252,84 +306,63 @@ export class NearPlayerChunkLoader {
                 }
 
                 this.metrics.chunksLoaded++;
+
+                if (this.staleFlora.delete(key) && this.flora.applyPending(chunkData, cx, cy, cz)) {
+                    this.markChunkDirty(cx, cy, cz);
+                }
+            }
+        } catch (error) {
+            if (!isTaskCancelled(error)) {
+                console.error('[NearPlayerChunkLoader] Chunk load failed', key, error.message);
+            }
+        } finally {
+            // A cancelled load may already have been replaced by a new one
+            if (this.pendingLoads.get(key) === current) {
+                this.pendingLoads.delete(key);
+                this.staleFlora.delete(key);
             }
         }
+
+        // Keep the pipeline full
+        this.processLoadQueue();
     }
 
     /**
-     * Generate chunk data (surface-following for spherical planet)
-     * Optimized to only check voxels near the surface
+     * Place flora in a freshly generated chunk and hand the parts that
+     * reach into neighbours to them
      */
-    generateChunk(cx, cy, cz) {
-        const chunkWorldX = cx * this.chunkSize;
-        const chunkWorldY = cy * this.chunkSize;
-        const chunkWorldZ = cz * this.chunkSize;
-
-        const voxels = new Map();
-        const maxSurfaceDepth = 5;
-
-        // Quick sphere distance check - skip chunk if far from planet surface
-        const chunkCenterX = chunkWorldX + this.chunkSize / 2;
-        const chunkCenterY = chunkWorldY + this.chunkSize / 2;
-        const chunkCenterZ = chunkWorldZ + this.chunkSize / 2;
-        const chunkCenterDist = Math.sqrt(
-            chunkCenterX * chunkCenterX +
-            chunkCenterY * chunkCenterY +
-            chunkCenterZ * chunkCenterZ
-        );
-
-        const chunkRadius = this.chunkSize * Math.sqrt(3);
-        const minDist = chunkCenterDist - chunkRadius;
-        const maxDist = chunkCenterDist + chunkRadius;
-
-        // Skip if chunk is entirely inside or outside planet
-        if (maxDist < this.planetRadius - 50 || minDist > this.planetRadius + 100) {
-            return null;
-        }
-
-        // Generate surface voxels
-        let hasAir = false;
-        let hasSolid = false;
-
-        for (let x = 0; x < this.chunkSize; x++) {
-            for (let y = 0; y < this.chunkSize; y++) {
-                for (let z = 0; z < this.chunkSize; z++) {
-                    const worldX = chunkWorldX + x;
-                    const worldY = chunkWorldY + y;
-                    const worldZ = chunkWorldZ + z;
-
-                    const dist = Math.sqrt(worldX * worldX + worldY * worldY + worldZ * worldZ);
+    decorateChunk(chunkData, cx, cy, cz) {
+        const touched = this.flora.decorateChunk(chunkData, cx, cy, cz, this.chunkSize);
 
-                    if (dist < 1) continue;
-
-                    const sphereX = worldX / dist;
-                    const sphereY = worldY / dist;
-                    const sphereZ = worldZ / dist;
-
-                    const height = this.generator.getHeightAtSpherePos(sphereX, sphereY, sphereZ);
-                    const surfaceRadius = this.planetRadius + height + 1;
-
-                    const depthBelowSurface = surfaceRadius - dist;
+        for (const key of touched) {
+            const neighbor = ChunkCoordinate.fromKey(key);
+            const entry = this.loadedChunks.get(key);
 
-                    if (depthBelowSurface >= 0 && depthBelowSurface < maxSurfaceDepth) {
-                        const quantizedHeight = Math.floor(height / 3) * 3;
-                        const color = this.generator.getTerrainColor(quantizedHeight);
-                        const key = (x & 0x1F) | ((y & 0x1F) << 5) | ((z & 0x1F) << 10);
-                        voxels.set(key, { type: "solid", color });
-                        hasSolid = true;
-                    } else {
-                        hasAir = true;
-                    }
+            if (entry) {
+                if (this.flora.applyPending(entry.data, neighbor.cx, neighbor.cy, neighbor.cz)) {
+                    this.markChunkDirty(neighbor.cx, neighbor.cy, neighbor.cz);
+                }
+            } else if (this.pendingLoads.has(key)) {
+                this.staleFlora.add(key);
+            } else {
+                // Air chunks are not kept loaded, so nothing else would pick this up
+                const dist = this.chunkDistance(this.lastPlayerChunk, neighbor);
+                if (dist <= this.renderDistance) {
+                    this.loadQueue.unshift({ ...neighbor, dist });
                 }
             }
         }
+    }
 
-        if (voxels.size === 0) return null;
-
-        // Mark as surface chunk if it crosses air/solid boundary
-        const isSurface = hasAir && hasSolid;
-
-        return { voxels, isSurface };
+    /**
+     * Generate chunk data on this thread (surface-following for spherical planet)
+     * Optimized to only check voxels near the surface
+     */
+    generateChunk(cx, cy, cz) {
+        return generateSurfaceShell(this.generator, cx, cy, cz, {
+            chunkSize: this.chunkSize,
+            planetRadius: this.planetRadius
+        });
     }
 
     /**
@@ -411,6 +444,9 @@ export class NearPlayerChunkLoader {
      * Unload a single chunk
      */
     unloadChunk(key) {
+        // Drop any remesh still running for it
+        this.workerPool.cancel(key);
+
         const entry = this.loadedChunks.get(key);
         if (!entry) return;
 
@@ -454,6 +490,7 @@ export class NearPlayerChunkLoader {
 
         // Mark chunk and neighbors as dirty
         this.markChunkDirty(cx, cy, cz);
+        this.fluids?.notifyChange(worldX, worldY, worldZ);
 
         return true;
     }
@@ -481,16 +518,34 @@ export class NearPlayerChunkLoader {
         const voxelKey = (localX & 0x1F) | ((localY & 0x1F) << 5) | ((localZ & 0x1F) << 10);
 
         // Remove voxel from chunk data
+        const voxel = entry.data.voxels.get(voxelKey);
         const existed = entry.data.voxels.delete(voxelKey);
 
         if (existed) {
             // Mark chunk and neighbors as dirty
             this.markChunkDirty(cx, cy, cz);
+            this.fluids?.notifyChange(worldX, worldY, worldZ);
+            this.dropResource(voxel, worldX, worldY, worldZ);
         }
 
         return existed;
     }
 
+    /**
+     * Generate the economy drop for a mined ore (iron ore drops iron)
+     * @returns {Object|null} The drop, null for voxels that are not ores
+     */
+    dropResource(voxel, worldX, worldY, worldZ) {
+        if (!this.economy) return null;
+
+        const type = voxel && typeof voxel === 'object' ? voxel.type : voxel;
+        const source = SubsurfaceGenerator.getResourceDrop(type);
+        if (!source) return null;
+
+        const biome = this.generator.biomeConfig?.getBiomeAt(worldX, worldY, worldZ) ?? null;
+        return this.economy.generateResourceDrop({ x: worldX, y: worldY, z: worldZ }, biome, source.rarity, source);
+    }
+
     /**
      * Mark a chunk as dirty (needs re-meshing)
      * Also marks neighbor chunks if voxel is on edge
@@ -537,19 +592,39 @@ export class NearPlayerChunkLoader {
             return;
         }
 
-        // Remove old mesh
-        this.scene.remove(entry.mesh);
-        entry.mesh.geometry.dispose();
-        entry.mesh.material.dispose();
-
-        // Rebuild mesh with updated voxel data
+        // Rebuild mesh with updated voxel data (edits jump ahead of loads)
         const coords = ChunkCoordinate.fromKey(dirtyKey);
         const chunk = new Chunk(coords.cx, coords.cy, coords.cz, this.chunkSize);
         chunk.voxels = entry.data.voxels;
 
-        const geometryData = chunk.buildMesh((chunkX, chunkY, chunkZ, localX, localY, localZ) => {
-            return this.neighborLookup(chunkX, chunkY, chunkZ, localX, localY, localZ);
-        });
+        let geometryData;
+        try {
+            geometryData = await this.workerPool.meshChunk(chunk.voxels, {
+                chunkX: coords.cx,
+                chunkY: coords.cy,
+                chunkZ: coords.cz,
+                chunkSize: this.chunkSize,
+                neighborLookup: (chunkX, chunkY, chunkZ, localX, localY, localZ) =>
+                    this.neighborLookup(chunkX, chunkY, chunkZ, localX, localY, localZ)
+            }, { key: dirtyKey, priority: -1 }).promise;
+        } catch (error) {
+            if (!isTaskCancelled(error)) {
+                console.error('[NearPlayerChunkLoader] Remesh failed', dirtyKey, error.message);
+            }
+            this.isRemeshing = false;
+            return;
+        }
+
+        // Unloaded while meshing
+        if (this.loadedChunks.get(dirtyKey) !== entry) {
+            this.isRemeshing = false;
+            return;
+        }
+
+        // Remove old mesh only now, so the chunk never blinks out
+        this.scene.remove(entry.mesh);
+        entry.mesh.geometry.dispose();
+        entry.mesh.material.dispose();
 
         if (geometryData && geometryData.vertices && geometryData.vertices.length > 0) {
             // Create new mesh
@@ -589,20 +664,22 @@ export class NearPlayerChunkLoader {
         return entry.data.voxels.get(voxelKey) || null;
     }
 
+    /**
+     * Whether the chunk holding a world position is loaded
+     */
+    isLoaded(worldX, worldY, worldZ) {
+        return this.loadedChunks.has(ChunkCoordinate.toKey(
+            Math.floor(worldX / this.chunkSize),
+            Math.floor(worldY / this.chunkSize),
+            Math.floor(worldZ / this.chunkSize)
+        ));
+    }
+
     /**
      * Force reload all chunks (e.g., after settings change)
      */
     async reloadAll() {
-        // Unload all chunks
-        const keys = Array.from(this.loadedChunks.keys());
-        for (const key of keys) {
-            this.unloadChunk(key);
-        }
-
-        // Clear queues
-        this.loadQueue = [];
-        this.unloadQueue = [];
-        this.dirtyChunks.clear();
+        this.unloadAll(); // Flora settings may have changed
 
         // Trigger update
         this.lastPlayerChunk = { cx: Infinity, cy: Infinity, cz: Infinity };
@@ -617,6 +694,7 @@ export class NearPlayerChunkLoader {
             ...this.metrics,
             loadedChunks: this.loadedChunks.size,
             queuedLoads: this.loadQueue.length,
+            pendingLoads: this.pendingLoads.size,
             queuedUnloads: this.unloadQueue.length,
             dirtyChunks: this.dirtyChunks.size
         };
@@ -626,15 +704,36 @@ export class NearPlayerChunkLoader {
      * Clear all caches and state
      */
     async clear() {
+        this.unloadAll();
+        await this.worldCache.clear();
+    }
+
+    /**
+     * Unload every chunk and drop queued work, keeping the persistent cache
+     */
+    unloadAll() {
         const keys = Array.from(this.loadedChunks.keys());
         for (const key of keys) {
             this.unloadChunk(key);
         }
 
+        this.cancelPendingLoads();
         this.loadQueue = [];
         this.unloadQueue = [];
+        this.dirtyChunks.clear();
+        this.flora?.clearPending();
+        this.fluids?.clear();
+    }
 
-        await this.worldCache.clear();
+    /**
+     * Cancel every chunk still generating or meshing
+     */
+    cancelPendingLoads() {
+        for (const task of this.pendingLoads.values()) {
+            task.cancel();
+        }
+        this.pendingLoads.clear();
+        this.staleFlora.clear();
     }
 
     /**
@@ -650,5 +749,9 @@ export class NearPlayerChunkLoader {
     dispose() {
         this.clear();
         this.material.dispose();
+
+        if (this.ownsWorkerPool) {
+            this.workerPool.terminate();
+        }
     }
 }
@@ -106,6 +106,7 @@ export const BIOME_EVENTS = {
     DISTRIBUTION_CHANGED: 'biome:distribution:changed',
     STRUCTURE_TOGGLED: 'biome:structure:toggled',
     VEGETATION_CHANGED: 'biome:vegetation:changed',
+    FLORA_CHANGED: 'biome:flora:changed',
     CONFIG_LOADED: 'biome:config:loaded',
     CONFIG_SAVED: 'biome:config:saved',
     CONFIG_RESET: 'biome:config:reset',
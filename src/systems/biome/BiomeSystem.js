@@ -1,9 +1,14 @@
 import { voxelTypeRegistry, VOXEL_TYPES } from '../../data/voxel/VoxelTypes.js';
+import { SeededRandom, DEFAULT_SEED } from '../../math/SeededRandom.js';
 
 export class BiomeSystem {
-    constructor(worldSystem) {
+    constructor(worldSystem, seed = worldSystem?.config?.seed ?? DEFAULT_SEED) {
         this.world = worldSystem;
 
+        // Block and vegetation rolls are hashed from position, so they do not
+        // depend on the order voxels or chunks are visited in
+        this.random = new SeededRandom(seed);
+
         this.biomes = {
             desert: {
                 blocks: {
@@ -169,7 +174,7 @@ export class BiomeSystem {
             const biomeData = this.biomes[biome];
 
             if (biomeData) {
-                const rand = Math.random();
+                const rand = this.random.valueAt('blocks', x, y, z);
                 if (rand < 0.7) {
                     voxels.set(key, biomeData.blocks.primary);
                 } else if (rand < 0.95) {
@@ -253,10 +258,17 @@ export class BiomeSystem {
         return this.biomes[biomeName] || this.biomes.plains;
     }
 
-    generateVegetation(biome, x, y, z) {
+    // flora: BiomeConfiguration.getFloraSettings(); without it the built-in models are used
+    generateVegetation(biome, x, y, z, flora = null) {
+        const random = this.random.fork('vegetation', x, y, z);
+
+        if (flora) {
+            return this.pickFlora(biome, x, y, z, flora, random);
+        }
+
         const biomeData = this.getBiomeData(biome);
 
-        if (Math.random() > biomeData.vegetation) {
+        if (random.next() > biomeData.vegetation) {
             return null;
         }
 
@@ -270,15 +282,15 @@ export class BiomeSystem {
             case 'forest':
             case 'jungle':
                 vegetation.model = 'tree';
-                vegetation.height = 5 + Math.random() * 10;
+                vegetation.height = random.range(5, 15);
                 break;
             case 'plains':
                 vegetation.model = 'grass';
-                vegetation.height = 0.5 + Math.random();
+                vegetation.height = random.range(0.5, 1.5);
                 break;
             case 'desert':
                 vegetation.model = 'cactus';
-                vegetation.height = 2 + Math.random() * 3;
+                vegetation.height = random.range(2, 5);
                 break;
             default:
                 vegetation.model = 'shrub';
@@ -288,6 +300,33 @@ export class BiomeSystem {
         return vegetation;
     }
 
+    pickFlora(biome, x, y, z, flora, random) {
+        if (random.next() >= flora.density) {
+            return null;
+        }
+
+        const totalWeight = flora.models.reduce((sum, model) => sum + (model.weight ?? 1), 0);
+        let roll = random.next() * totalWeight;
+        let chosen = flora.models[flora.models.length - 1];
+        for (const model of flora.models) {
+            roll -= model.weight ?? 1;
+            if (roll < 0) {
+                chosen = model;
+                break;
+            }
+        }
+
+        const minHeight = chosen.minHeight ?? 1;
+        return {
+            type: 'vegetation',
+            biome,
+            position: { x, y, z },
+            model: chosen.model,
+            height: random.int(minHeight, chosen.maxHeight ?? minHeight),
+            wood: chosen.wood || null
+        };
+    }
+
     getResources(biome) {
         const resources = {
             ocean: ['fish', 'coral', 'pearls'],
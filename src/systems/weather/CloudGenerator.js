@@ -7,10 +7,13 @@
  */
 
 import { noise3d } from '../../math/noise/noise3d.js';
+import { SeededRandom } from '../../math/SeededRandom.js';
 
 export class CloudGenerator {
     constructor(seed = 0) {
         this.seed = seed;
+        // Bounded noise offsets; adding the raw seed loses noise precision for large seeds
+        this.offset = new SeededRandom(seed).noiseOffset('clouds');
     }
 
     /**
@@ -67,9 +70,9 @@ export class CloudGenerator {
         const animTime = time * layer.speed;
 
         // Base noise coordinates (seeded)
-        const nx = (surfaceX + this.seed) * layer.noiseScale;
-        const ny = (surfaceY + this.seed) * layer.noiseScale;
-        const nz = (surfaceZ + this.seed) * layer.noiseScale;
+        const nx = (surfaceX + this.offset.x) * layer.noiseScale;
+        const ny = (surfaceY + this.offset.y) * layer.noiseScale;
+        const nz = (surfaceZ + this.offset.z) * layer.noiseScale;
 
         // Multi-octave noise for cloud detail
         let density = 0;
@@ -157,7 +160,7 @@ export class CloudGenerator {
 
         // Add turbulence/curl
         const curlNoise = noise3d(
-            surfaceX * 2.0 + this.seed,
+            surfaceX * 2.0 + this.offset.x,
             surfaceY * 2.0,
             time * 0.1
         );
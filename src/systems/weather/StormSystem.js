@@ -6,10 +6,13 @@
  */
 
 import { noise3d } from '../../math/noise/noise3d.js';
+import { SeededRandom } from '../../math/SeededRandom.js';
 
 export class StormSystem {
     constructor(seed = 0) {
         this.seed = seed;
+        // Storm cells sample their own region of the noise field per seed
+        this.offset = new SeededRandom(seed).noiseOffset('storms');
         this.globalIntensity = 0.5;  // Global storm activity level (0-1)
         this.stormCellSize = 0.15;    // Size of individual storm cells
         this.stormSpeed = 0.05;       // How fast storms move
@@ -38,7 +41,7 @@ export class StormSystem {
         // Lightning occurs in strongest storm regions
         const lightningThreshold = 0.7;
         const lightningNoise = noise3d(
-            surfaceX * 10 + this.seed,
+            surfaceX * 10 + this.offset.x,
             surfaceY * 10,
             time * 5  // Fast flickering
         );
@@ -67,23 +70,23 @@ export class StormSystem {
 
         // Large-scale storm systems
         const largeScale = noise3d(
-            (surfaceX + this.seed) * 0.5 + animTime * 0.1,
-            (surfaceY + this.seed) * 0.5,
-            (surfaceZ + this.seed) * 0.5 + animTime * 0.05
+            (surfaceX + this.offset.x) * 0.5 + animTime * 0.1,
+            (surfaceY + this.offset.y) * 0.5,
+            (surfaceZ + this.offset.z) * 0.5 + animTime * 0.05
         );
 
         // Medium-scale storm cells
         const mediumScale = noise3d(
-            (surfaceX + this.seed) * 2.0 + animTime * 0.15,
-            (surfaceY + this.seed) * 2.0,
-            (surfaceZ + this.seed) * 2.0 + animTime * 0.1
+            (surfaceX + this.offset.x) * 2.0 + animTime * 0.15,
+            (surfaceY + this.offset.y) * 2.0,
+            (surfaceZ + this.offset.z) * 2.0 + animTime * 0.1
         );
 
         // Small-scale turbulence
         const smallScale = noise3d(
-            (surfaceX + this.seed) * 8.0 + animTime * 0.3,
-            (surfaceY + this.seed) * 8.0,
-            (surfaceZ + this.seed) * 8.0 + animTime * 0.2
+            (surfaceX + this.offset.x) * 8.0 + animTime * 0.3,
+            (surfaceY + this.offset.y) * 8.0,
+            (surfaceZ + this.offset.z) * 8.0 + animTime * 0.2
         );
 
         // Combine scales (large systems with turbulent edges)
@@ -3,6 +3,8 @@
  * =========================
  * Client-side GUI component for managing chat filter settings
  * Works with the server's chat filter via WebSocket
+ * The moderation tab drives the server's chat moderation (mutes, bans,
+ * slow mode, reports and audit); the server rejects it for non-moderators
  */
 
 export class ChatFilterPanel {
@@ -14,6 +16,8 @@ export class ChatFilterPanel {
         this.config = null;
         this.words = null;
         this.isVisible = false;
+        this.activeTab = 'filter';
+        this.reports = [];
 
         this.createPanel();
         this.setupMessageHandlers();
@@ -28,6 +32,12 @@ export class ChatFilterPanel {
                 <button class="cfp-close">&times;</button>
             </div>
 
+            <div class="cfp-tabs">
+                <button class="cfp-tab-btn active" data-tab="filter">Filter</button>
+                <button class="cfp-tab-btn" data-tab="moderation">Moderation</button>
+            </div>
+
+            <div class="cfp-tab" data-tab="filter">
             <div class="cfp-section">
                 <label class="cfp-toggle">
                     <input type="checkbox" id="cfp-enabled" checked>
@@ -82,6 +92,45 @@ export class ChatFilterPanel {
             <div class="cfp-stats">
                 <span>Total filtered entries: <strong id="cfp-count">0</strong></span>
             </div>
+            </div>
+
+            <div class="cfp-tab" data-tab="moderation" style="display: none">
+            <div class="cfp-section">
+                <h5>Act on Player</h5>
+                <div class="cfp-mod-form">
+                    <input type="text" id="cfp-mod-target" placeholder="Username (online)">
+                    <input type="text" id="cfp-mod-channel" placeholder="Channel (global, room:name...)">
+                    <input type="number" id="cfp-mod-duration" min="1" placeholder="Minutes (empty: default / permanent ban)">
+                    <input type="text" id="cfp-mod-reason" placeholder="Reason">
+                </div>
+                <div class="cfp-mod-buttons">
+                    <button data-mod="mute">Mute</button>
+                    <button data-mod="unmute">Unmute</button>
+                    <button data-mod="ban">Ban</button>
+                    <button data-mod="unban">Unban</button>
+                </div>
+                <div class="cfp-add-word">
+                    <input type="number" id="cfp-mod-slow" min="0" placeholder="Slow mode seconds (0 = off)">
+                    <button id="cfp-mod-slow-btn">Set</button>
+                </div>
+                <div id="cfp-mod-status"></div>
+            </div>
+
+            <div class="cfp-section">
+                <h5>Open Reports</h5>
+                <div class="cfp-mod-list" id="cfp-mod-reports"></div>
+            </div>
+
+            <div class="cfp-section">
+                <h5>Active Mutes &amp; Bans</h5>
+                <div class="cfp-mod-list" id="cfp-mod-active"></div>
+            </div>
+
+            <div class="cfp-section">
+                <h5>Audit Trail</h5>
+                <div class="cfp-mod-list" id="cfp-mod-audit"></div>
+            </div>
+            </div>
         `;
 
         // Add styles
@@ -242,6 +291,61 @@ export class ChatFilterPanel {
                 font-size: 11px;
             }
             .cfp-stats strong { color: #ff0; }
+            .cfp-tabs {
+                display: flex;
+                border-bottom: 1px solid #0f0;
+            }
+            .cfp-tab-btn {
+                flex: 1;
+                background: transparent;
+                border: none;
+                color: #888;
+                padding: 6px;
+                cursor: pointer;
+                font-family: inherit;
+                font-size: 11px;
+            }
+            .cfp-tab-btn.active { color: #0ff; background: rgba(0, 50, 0, 0.5); }
+            .cfp-mod-form { display: flex; flex-direction: column; gap: 4px; margin-bottom: 6px; }
+            .cfp-mod-form input {
+                background: #000;
+                border: 1px solid #0f0;
+                color: #0f0;
+                padding: 5px;
+                font-family: inherit;
+                font-size: 11px;
+            }
+            .cfp-mod-buttons { display: flex; gap: 4px; margin-bottom: 6px; }
+            .cfp-mod-buttons button, .cfp-mod-entry button {
+                flex: 1;
+                background: #0f0;
+                color: #000;
+                border: none;
+                padding: 5px;
+                cursor: pointer;
+                font-family: inherit;
+                font-size: 11px;
+                font-weight: bold;
+            }
+            .cfp-mod-buttons button:hover, .cfp-mod-entry button:hover { background: #0c0; }
+            #cfp-mod-status { min-height: 14px; font-size: 11px; color: #ff0; }
+            #cfp-mod-status.cfp-mod-error { color: #f00; }
+            .cfp-mod-list {
+                max-height: 150px;
+                overflow-y: auto;
+                background: rgba(0, 0, 0, 0.3);
+                padding: 5px;
+                min-height: 20px;
+                font-size: 10px;
+            }
+            .cfp-mod-entry {
+                padding: 4px 0;
+                border-bottom: 1px solid rgba(0, 255, 0, 0.15);
+            }
+            .cfp-mod-entry small { color: #888; }
+            .cfp-mod-context { color: #aaa; margin: 3px 0 3px 8px; }
+            .cfp-mod-context .reported { color: #f88; }
+            .cfp-mod-entry button { flex: none; padding: 2px 8px; margin-top: 3px; }
         `;
     }
 
@@ -249,6 +353,17 @@ export class ChatFilterPanel {
         // Close button
         this.panel.querySelector('.cfp-close').onclick = () => this.hide();
 
+        // Tabs
+        this.panel.querySelectorAll('.cfp-tab-btn').forEach(btn => {
+            btn.onclick = () => this.showTab(btn.dataset.tab);
+        });
+
+        // Moderation actions
+        this.panel.querySelectorAll('[data-mod]').forEach(btn => {
+            btn.onclick = () => this.moderate(btn.dataset.mod);
+        });
+        this.panel.querySelector('#cfp-mod-slow-btn').onclick = () => this.setSlowMode();
+
         // Enable toggle
         this.panel.querySelector('#cfp-enabled').onchange = (e) => {
             this.setEnabled(e.target.checked);
@@ -298,6 +413,28 @@ export class ChatFilterPanel {
                 case 'filter_test_result':
                     this.showTestResult(data);
                     break;
+                case 'chat_mod_state':
+                    this.updateModerationState(data);
+                    break;
+                case 'chat_mod_reports':
+                    this.updateReports(data.reports);
+                    break;
+                case 'chat_mod_audit':
+                    this.updateAudit(data.entries);
+                    break;
+                case 'chat_mod_report':
+                    this.reports.unshift(data.report);
+                    this.updateReports(this.reports);
+                    break;
+                case 'chat_mod_result':
+                    this.setModerationStatus(`Done: ${data.action.replace('_', ' ')}`);
+                    this.requestModeration();
+                    break;
+                case 'error':
+                    if (this.isVisible && this.activeTab === 'moderation') {
+                        this.setModerationStatus(data.error, true);
+                    }
+                    break;
             }
         });
     }
@@ -307,6 +444,9 @@ export class ChatFilterPanel {
         this.isVisible = true;
         this.requestConfig();
         this.requestWords();
+        if (this.activeTab === 'moderation') {
+            this.requestModeration();
+        }
     }
 
     hide() {
@@ -322,6 +462,21 @@ export class ChatFilterPanel {
         }
     }
 
+    showTab(tab) {
+        this.activeTab = tab;
+
+        this.panel.querySelectorAll('.cfp-tab-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.tab === tab);
+        });
+        this.panel.querySelectorAll('.cfp-tab').forEach(el => {
+            el.style.display = el.dataset.tab === tab ? '' : 'none';
+        });
+
+        if (tab === 'moderation') {
+            this.requestModeration();
+        }
+    }
+
     // Server communication
     requestConfig() {
         if (this.wsAdapter) {
@@ -377,6 +532,125 @@ export class ChatFilterPanel {
         }
     }
 
+    // Moderation
+    requestModeration() {
+        if (this.wsAdapter) {
+            this.wsAdapter.send({ type: 'chat_mod_state' });
+            this.wsAdapter.send({ type: 'chat_mod_reports' });
+            this.wsAdapter.send({ type: 'chat_mod_audit', limit: 50 });
+        }
+    }
+
+    moderate(action) {
+        const target = this.panel.querySelector('#cfp-mod-target').value.trim();
+        const channel = this.panel.querySelector('#cfp-mod-channel').value.trim() || 'global';
+        const minutes = parseFloat(this.panel.querySelector('#cfp-mod-duration').value);
+        const reason = this.panel.querySelector('#cfp-mod-reason').value.trim();
+
+        if (!target) {
+            this.setModerationStatus('Enter a username', true);
+            return;
+        }
+
+        const message = { type: `chat_mod_${action}`, target, reason };
+        if (action === 'ban' || action === 'unban') {
+            message.channel = channel;
+        }
+        if (minutes > 0) {
+            message.duration = Math.round(minutes * 60);
+        }
+
+        if (this.wsAdapter) {
+            this.wsAdapter.send(message);
+        }
+    }
+
+    setSlowMode() {
+        const channel = this.panel.querySelector('#cfp-mod-channel').value.trim() || 'global';
+        const seconds = parseInt(this.panel.querySelector('#cfp-mod-slow').value, 10) || 0;
+
+        if (this.wsAdapter) {
+            this.wsAdapter.send({ type: 'chat_mod_slowmode', channel, seconds });
+        }
+    }
+
+    resolveReport(reportId, resolution) {
+        if (this.wsAdapter) {
+            this.wsAdapter.send({ type: 'chat_mod_resolve_report', reportId, resolution });
+        }
+    }
+
+    setModerationStatus(text, isError = false) {
+        const status = this.panel.querySelector('#cfp-mod-status');
+        status.textContent = text;
+        status.classList.toggle('cfp-mod-error', isError);
+    }
+
+    updateModerationState(state) {
+        const container = this.panel.querySelector('#cfp-mod-active');
+        const until = (time) => time === null ? 'permanent' : `until ${new Date(time).toLocaleString()}`;
+
+        const rows = [
+            ...state.mutes.map(mute => `muted: <strong>${this.escapeHtml(mute.username || mute.playerId)}</strong> <small>${until(mute.until)}</small>`),
+            ...state.bans.map(ban => `banned from ${this.escapeHtml(ban.channelId)}: <strong>${this.escapeHtml(ban.username || ban.playerId)}</strong> <small>${until(ban.until)}</small>`),
+            ...state.slowModes.map(slow => `slow mode ${this.escapeHtml(slow.channelId)}: ${slow.seconds}s`)
+        ];
+
+        container.innerHTML = rows.length
+            ? rows.map(row => `<div class="cfp-mod-entry">${row}</div>`).join('')
+            : '<small>None</small>';
+    }
+
+    updateReports(reports) {
+        this.reports = reports;
+        const container = this.panel.querySelector('#cfp-mod-reports');
+
+        if (reports.length === 0) {
+            container.innerHTML = '<small>No open reports</small>';
+            return;
+        }
+
+        container.innerHTML = reports.map(report => `
+            <div class="cfp-mod-entry">
+                <strong>${this.escapeHtml(report.reportedName)}</strong> in ${this.escapeHtml(report.channelId)}
+                <small>by ${this.escapeHtml(report.reporterName)}: ${this.escapeHtml(report.reason || 'no reason')}</small>
+                <div class="cfp-mod-context">
+                    ${report.context.map(entry => `
+                        <div class="${entry.messageId === report.messageId ? 'reported' : ''}">
+                            ${this.escapeHtml(entry.username)}: ${this.escapeHtml(entry.content)}
+                        </div>
+                    `).join('')}
+                </div>
+                <button data-report="${this.escapeHtml(report.reportId)}">Resolve</button>
+            </div>
+        `).join('');
+
+        container.querySelectorAll('[data-report]').forEach(btn => {
+            btn.onclick = () => {
+                const resolution = this.panel.querySelector('#cfp-mod-reason').value.trim();
+                this.resolveReport(btn.dataset.report, resolution);
+            };
+        });
+    }
+
+    updateAudit(entries) {
+        const container = this.panel.querySelector('#cfp-mod-audit');
+
+        container.innerHTML = entries.length
+            ? entries.map(entry => `
+                <div class="cfp-mod-entry">
+                    <small>${new Date(entry.timestamp).toLocaleString()}</small>
+                    ${this.escapeHtml(entry.moderatorName || entry.moderatorId)}
+                    ${entry.action.replace('_', ' ')}
+                    ${entry.targetName || entry.targetId ? this.escapeHtml(entry.targetName || entry.targetId) : ''}
+                    ${entry.channelId ? `<small>${this.escapeHtml(entry.channelId)}</small>` : ''}
+                    ${entry.seconds !== undefined ? `<small>${entry.seconds}s</small>` : ''}
+                    ${entry.reason ? `<small>- ${this.escapeHtml(entry.reason)}</small>` : ''}
+                </div>
+            `).join('')
+            : '<small>No moderator actions yet</small>';
+    }
+
     // UI updates
     updateConfig(config) {
         this.config = config;
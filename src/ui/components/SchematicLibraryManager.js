@@ -9,6 +9,9 @@
 import * as THREE from '../lib/three.module.js';
 import { HTTPAdapter } from '../../io/network/HTTPAdapter.js';
 import { IndexedDBAdapter } from '../../io/storage/IndexedDBAdapter.js';
+import { MinecraftSchematicImporter } from '../../io/import/MinecraftSchematicImporter.js';
+import { MagicaVoxelImporter } from '../../io/import/MagicaVoxelImporter.js';
+import { MVoxFile } from '../../serialization/formats/MVoxFile.js';
 
 
 export class SchematicLibraryManager {
@@ -37,6 +40,10 @@ export class SchematicLibraryManager {
 
         this.publicDatabaseUrl = 'https://polymir.io/schematics';
 
+        // Minecraft .schem/.schematic/.litematic importer (block mapping is configurable)
+        this.minecraftImporter = new MinecraftSchematicImporter(engine?.config?.minecraftImport || {});
+        this.magicaVoxelImporter = new MagicaVoxelImporter();
+
         // Network and storage adapters
         this.httpAdapter = new HTTPAdapter({
             baseUrl: engine?.config?.backendUrl || 'http://localhost:3000',
@@ -221,9 +228,14 @@ export class SchematicLibraryManager {
                 id: id,
                 name: metadata.name || file.name.replace(/\.[^/.]+$/, ''),
                 fileName: file.name,
+                planet: false,
                 size: schematicData.size,
                 blocks: schematicData.blocks,
                 palette: schematicData.palette,
+                voxels: schematicData.voxels,
+                voxelCount: schematicData.voxelCount,
+                positionBits: schematicData.positionBits,
+                sourceFormat: schematicData.sourceFormat,
                 tags: metadata.tags || [],
                 category: metadata.category || 'uncategorized',
                 biomes: metadata.biomes || [],
@@ -231,12 +243,17 @@ export class SchematicLibraryManager {
                 uploadDate: Date.now(),
                 thumbnail: null,
                 stats: {
-                    blockCount: schematicData.blocks.length,
+                    blockCount: schematicData.voxelCount,
                     uniqueBlocks: schematicData.palette.length,
                     dimensions: schematicData.size
                 }
             };
 
+            if (schematicData.unmappedBlocks && Object.keys(schematicData.unmappedBlocks).length > 0) {
+                schematic.unmappedBlocks = schematicData.unmappedBlocks;
+                console.warn(`[SchematicLibrary] ${file.name}: unmapped blocks replaced with fallback`, schematicData.unmappedBlocks);
+            }
+
 
             schematic.thumbnail = this.generateThumbnail(schematicData);
 
@@ -252,14 +269,22 @@ export class SchematicLibraryManager {
             // Upload to backend if player is authenticated
             try {
                 if (this.httpAdapter.playerId) {
-                    const uploadResult = await this.httpAdapter.uploadSchematic(
-                        id,
-                        schematic.name,
-                        metadata.tags || [],
-                        JSON.stringify(schematicData)
-                    );
+                    // The server validates the .mvox content and recomputes its stats
+                    const uploadResult = await this.httpAdapter.uploadSchematic({
+                        name: schematic.name,
+                        description: schematicData.mvoxFile.metadata.description || '',
+                        fileData: await schematicData.mvoxFile.encodeAsync(),
+                        sizeX: schematic.size.x,
+                        sizeY: schematic.size.y,
+                        sizeZ: schematic.size.z,
+                        voxelCount: schematic.voxelCount,
+                        category: schematic.category,
+                        tags: schematic.tags,
+                        biomes: schematic.biomes
+                    });
                     console.log('[SchematicLibrary] Uploaded to backend:', uploadResult);
-                    schematic.backendId = uploadResult.schematic.cid;
+                    schematic.backendId = uploadResult.schematic.schematicId;
+                    schematic.fileCid = uploadResult.schematic.fileCid;
                 }
             } catch (backendError) {
                 console.warn('[SchematicLibrary] Backend upload failed (local copy saved):', backendError);
@@ -275,17 +300,81 @@ export class SchematicLibraryManager {
     }
     
     /**
-     * Parse schematic file
+     * Parse schematic file (.mvox, MagicaVoxel .vox or Minecraft .schem/.schematic/.litematic)
      */
     async parseSchematicFile(file) {
-        
-        
+        let mvoxFile;
+        let sourceFormat = 'mvox';
+        let unmappedBlocks = null;
+
+        if (MinecraftSchematicImporter.canImport(file.name)) {
+            const result = await this.minecraftImporter.importFile(file);
+            mvoxFile = result.mvoxFile;
+            sourceFormat = result.format;
+            unmappedBlocks = result.report.unmapped;
+        } else if (MagicaVoxelImporter.canImport(file.name)) {
+            const result = await this.magicaVoxelImporter.importFile(file);
+            mvoxFile = result.mvoxFile;
+            sourceFormat = 'vox';
+        } else if (/\.mvox$/i.test(file.name)) {
+            mvoxFile = await MVoxFile.fromFile(file);
+        } else {
+            throw new Error(`Unsupported schematic format: ${file.name}`);
+        }
+
+        const bits = mvoxFile.metadata.positionBits || 5;
+        const { size } = mvoxFile.getBounds();
+
+        // Preview only needs a sample of the blocks
+        const sampleRate = Math.max(1, Math.floor(mvoxFile.voxels.size / 2000));
+        const blocks = [];
+        const palette = new Set();
+        let index = 0;
+        for (const [key, voxel] of mvoxFile.voxels) {
+            palette.add(voxel.type !== undefined ? voxel.type : voxel.color);
+            if (index++ % sampleRate !== 0) continue;
+            const [x, y, z] = MVoxFile.decodeKey(key, bits);
+            blocks.push({ x, y, z, type: voxel.type, color: voxel.color });
+        }
+
         return {
-            size: { x: 30, y: 20, z: 30 },
-            blocks: [], 
-            palette: ['stone', 'wood', 'glass'] // Block types used
+            size: { x: size[0], y: size[1], z: size[2] },
+            blocks,
+            palette: Array.from(palette),
+            voxels: mvoxFile.voxels,
+            mvoxFile,
+            voxelCount: mvoxFile.voxels.size,
+            positionBits: bits,
+            sourceFormat,
+            unmappedBlocks
         };
     }
+
+    /**
+     * Import files dropped onto the library modal using their file names as metadata
+     */
+    async importDroppedFiles(files) {
+        const imported = [];
+        for (const file of files) {
+            const isMinecraft = MinecraftSchematicImporter.canImport(file.name);
+            const isMagicaVoxel = MagicaVoxelImporter.canImport(file.name);
+            try {
+                imported.push(await this.uploadSchematic(file, {
+                    category: isMinecraft || isMagicaVoxel ? 'imported' : 'uncategorized',
+                    tags: isMinecraft ? ['minecraft'] : isMagicaVoxel ? ['magicavoxel'] : []
+                }));
+            } catch (error) {
+                console.error(`[SchematicLibrary] Failed to import ${file.name}:`, error);
+            }
+        }
+
+        const grid = document.getElementById('schematic-grid');
+        if (grid) {
+            grid.innerHTML = this.renderSchematicGrid();
+        }
+
+        return imported;
+    }
     
     /**
      * Show the library modal
@@ -348,7 +437,7 @@ export class SchematicLibraryManager {
             <!-- Upload Section -->
             <div style="margin-bottom: 30px; padding: 20px; background: rgba(0, 255, 255, 0.1); border-radius: 10px;">
                 <h3 style="color: #00FFFF;">Upload Schematic</h3>
-                <input type="file" id="schematic-upload" accept=".schematic,.nbt,.litematic" style="
+                <input type="file" id="schematic-upload" accept=".mvox,.vox,.schem,.schematic,.litematic" style="
                     display: block;
                     margin: 10px 0;
                     padding: 10px;
@@ -494,6 +583,17 @@ export class SchematicLibraryManager {
         
         
         window.schematicLibrary = this;
+
+        content.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'copy';
+        });
+        content.addEventListener('drop', (e) => {
+            e.preventDefault();
+            if (e.dataTransfer.files.length > 0) {
+                this.importDroppedFiles(Array.from(e.dataTransfer.files));
+            }
+        });
         
         
         const resolutionSlider = document.getElementById('voxel-resolution');
@@ -897,7 +997,7 @@ export class SchematicLibraryManager {
         if (schematicData.blocks && schematicData.blocks.length > 0) {
             schematicData.blocks.forEach(block => {
                 const material = new THREE.MeshPhongMaterial({
-                    color: this.getBlockColor(block.type)
+                    color: block.color !== undefined ? block.color : this.getBlockColor(block.type)
                 });
                 const cube = new THREE.Mesh(geometry, material);
                 cube.position.set(block.x, block.y, block.z);
@@ -0,0 +1,464 @@
+/**
+ * POLYMIR CHUNK TASKS
+ * ====================
+ * Chunk generation, water filling and meshing jobs, shared by ChunkWorker
+ * (off-thread) and ChunkWorkerPool's synchronous fallback, so both produce
+ * identical results.
+ *
+ * Everything crossing the worker boundary is plain data: generators travel as
+ * their serialize() output and voxel maps as packed typed arrays, whose
+ * buffers are transferred rather than copied.
+ */
+
+import { Chunk } from '../spatial/Chunk.js';
+import { SphereGenerator } from '../generation/generators/SphereGenerator.js';
+import { RingworldGenerator } from '../generation/generators/RingworldGenerator.js';
+import { LayeredChunkGenerator } from '../generation/generators/LayeredChunkGenerator.js';
+import { WaterFiller } from '../generation/postprocess/WaterFiller.js';
+import { UnifiedVoxelMesher } from '../geometry/voxel/UnifiedVoxelMesher.js';
+
+// =============================================
+// TASK TYPES
+// =============================================
+
+export const CHUNK_TASKS = {
+    GENERATE: 'generate',             // generator[method](...args)
+    SURFACE_SHELL: 'surface_shell',   // Thin shell of surface voxels on a sphere
+    MESH: 'mesh',                     // Greedy or unified meshing of a voxel map
+    FILL_WATER: 'fill_water'          // WaterFiller over a batch of chunks
+};
+
+// Generator methods that return a chunk, per serialized generator type
+const GENERATOR_METHODS = {
+    sphere: ['generateChunk'],
+    layered: ['generateChunk'],
+    ringworld: ['generateSurfaceChunk', 'generateVolumetricChunk'],
+    water: []   // Post-processor, only used by FILL_WATER
+};
+
+// Face order for neighbor layers: +X, -X, +Y, -Y, +Z, -Z
+const FACE_AXES = [
+    { axis: 0, side: 1 }, { axis: 0, side: -1 },
+    { axis: 1, side: 1 }, { axis: 1, side: -1 },
+    { axis: 2, side: 1 }, { axis: 2, side: -1 }
+];
+
+// =============================================
+// GENERATORS
+// =============================================
+
+/**
+ * Rebuild a generator from its serialize() output
+ * @param {Object} data
+ * @returns {Object} Generator instance
+ */
+export function deserializeGenerator(data) {
+    switch (data.type) {
+        case 'sphere':
+            return SphereGenerator.deserialize(data);
+        case 'ringworld':
+            return RingworldGenerator.deserialize(data);
+        case 'layered':
+            return LayeredChunkGenerator.deserialize(data, deserializeGenerator);
+        case 'water':
+            return WaterFiller.deserialize(data);
+        default:
+            throw new Error(`Unknown generator type: ${data.type}`);
+    }
+}
+
+// serialize() output per generator instance; generators are configured once
+// at construction, so one snapshot serves every task queued against them
+const serializedGenerators = new WeakMap();
+
+/**
+ * A generator's serialize() output, computed once per instance
+ * @param {Object} generator
+ * @returns {Object|null} null if the generator has no serialize()
+ */
+export function serializeGenerator(generator) {
+    if (typeof generator?.serialize !== 'function') return null;
+
+    let data = serializedGenerators.get(generator);
+    if (!data) {
+        data = generator.serialize();
+        serializedGenerators.set(generator, data);
+    }
+
+    return data;
+}
+
+/**
+ * Whether a generator can be rebuilt inside a worker
+ * @param {Object} generator
+ * @returns {boolean}
+ */
+export function isSerializableGenerator(generator) {
+    const data = serializeGenerator(generator);
+    if (!data) return false;
+
+    return Boolean(GENERATOR_METHODS[data.type]) &&
+        (data.type !== 'layered' || !generator.terrainGenerator || Boolean(data.terrainGenerator));
+}
+
+// =============================================
+// VOXEL PACKING
+// =============================================
+
+/**
+ * Pack a sparse voxel map into typed arrays
+ * Voxels are stored as a palette of distinct values (without color) plus a
+ * per-voxel palette index and color.
+ * @param {Map} voxels - Encoded key -> voxel (object or voxel type number)
+ * @returns {Object} {keys, indices, colors, palette}
+ */
+export function packVoxels(voxels) {
+    const keys = new Uint16Array(voxels.size);
+    const indices = new Uint16Array(voxels.size);
+    const colors = new Uint32Array(voxels.size);
+    const palette = [];
+    const paletteIndex = new Map();
+
+    let i = 0;
+    for (const [key, voxel] of voxels) {
+        let entry = voxel;
+        let hasColor = false;
+
+        if (voxel && typeof voxel === 'object') {
+            const { color, ...rest } = voxel;
+            entry = rest;
+            hasColor = color !== undefined;
+            colors[i] = color || 0;
+        }
+
+        const id = JSON.stringify([entry, hasColor]);
+        let index = paletteIndex.get(id);
+        if (index === undefined) {
+            index = palette.length;
+            palette.push({ value: entry, hasColor });
+            paletteIndex.set(id, index);
+        }
+
+        keys[i] = key;
+        indices[i] = index;
+        i++;
+    }
+
+    return { keys, indices, colors, palette };
+}
+
+/**
+ * Inverse of packVoxels()
+ * @param {Object} packed
+ * @returns {Map}
+ */
+export function unpackVoxels(packed) {
+    const voxels = new Map();
+
+    for (let i = 0; i < packed.keys.length; i++) {
+        const { value, hasColor } = packed.palette[packed.indices[i]];
+
+        if (value && typeof value === 'object') {
+            voxels.set(packed.keys[i], hasColor ? { ...value, color: packed.colors[i] } : { ...value });
+        } else {
+            voxels.set(packed.keys[i], value);
+        }
+    }
+
+    return voxels;
+}
+
+/**
+ * Pack a generated chunk: a Chunk instance or a plain {voxels, ...} object
+ * @param {Object|null} chunk
+ * @returns {Object|null}
+ */
+function packChunk(chunk) {
+    if (!chunk || !chunk.voxels) return null;
+
+    const { voxels, mesh, dirty, ...meta } = chunk;
+    return {
+        isChunk: chunk instanceof Chunk,
+        meta,
+        voxels: packVoxels(voxels)
+    };
+}
+
+/**
+ * Inverse of packChunk()
+ * @param {Object|null} packed
+ * @returns {Object|null} Chunk instance or {voxels, ...meta}
+ */
+export function unpackChunk(packed) {
+    if (!packed) return null;
+
+    const voxels = unpackVoxels(packed.voxels);
+
+    if (packed.isChunk) {
+        const { chunkX, chunkY, chunkZ, chunkSize } = packed.meta;
+        const chunk = new Chunk(chunkX, chunkY, chunkZ, chunkSize);
+        chunk.voxels = voxels;
+        return chunk;
+    }
+
+    return { ...packed.meta, voxels };
+}
+
+/**
+ * ArrayBuffers in a task message or result, to transfer instead of copy
+ * @param {Object} value
+ * @returns {Array<ArrayBuffer>}
+ */
+export function collectTransferables(value, buffers = new Set()) {
+    if (ArrayBuffer.isView(value)) {
+        buffers.add(value.buffer);
+    } else if (value && typeof value === 'object' && !(value instanceof Map)) {
+        for (const item of Object.values(value)) {
+            collectTransferables(item, buffers);
+        }
+    }
+
+    return Array.from(buffers);
+}
+
+// =============================================
+// NEIGHBOR FACES
+// =============================================
+
+/**
+ * Sample a neighbor lookup into one layer per face, so meshing can cull
+ * across chunk borders without access to other chunks
+ * @param {Function} neighborLookup - (chunkX, chunkY, chunkZ, localX, localY, localZ, chunkSize) -> boolean
+ * @param {number} chunkX
+ * @param {number} chunkY
+ * @param {number} chunkZ
+ * @param {number} chunkSize
+ * @returns {Uint8Array} 6 * chunkSize^2 solidity flags, FACE_AXES order
+ */
+export function sampleNeighborFaces(neighborLookup, chunkX, chunkY, chunkZ, chunkSize) {
+    const area = chunkSize * chunkSize;
+    const faces = new Uint8Array(6 * area);
+    const local = [0, 0, 0];
+
+    FACE_AXES.forEach(({ axis, side }, face) => {
+        const u = (axis + 1) % 3;
+        const v = (axis + 2) % 3;
+        local[axis] = side > 0 ? chunkSize : -1;
+
+        for (let a = 0; a < chunkSize; a++) {
+            for (let b = 0; b < chunkSize; b++) {
+                local[u] = a;
+                local[v] = b;
+                if (neighborLookup(chunkX, chunkY, chunkZ, local[0], local[1], local[2], chunkSize)) {
+                    faces[face * area + a * chunkSize + b] = 1;
+                }
+            }
+        }
+    });
+
+    return faces;
+}
+
+/**
+ * Neighbor lookup answering from sampleNeighborFaces() output
+ * @param {Uint8Array} faces
+ * @param {number} chunkSize
+ * @returns {Function}
+ */
+function faceLookup(faces, chunkSize) {
+    const area = chunkSize * chunkSize;
+
+    return (chunkX, chunkY, chunkZ, x, y, z) => {
+        const local = [x, y, z];
+
+        for (let face = 0; face < 6; face++) {
+            const { axis, side } = FACE_AXES[face];
+            if (local[axis] !== (side > 0 ? chunkSize : -1)) continue;
+
+            const a = local[(axis + 1) % 3];
+            const b = local[(axis + 2) % 3];
+            if (a < 0 || a >= chunkSize || b < 0 || b >= chunkSize) return false;
+
+            return faces[face * area + a * chunkSize + b] === 1;
+        }
+
+        return false;
+    };
+}
+
+// =============================================
+// TASKS
+// =============================================
+
+/**
+ * Surface-following shell of a spherical planet, only voxels within
+ * maxSurfaceDepth of the surface (used by NearPlayerChunkLoader)
+ * @param {Object} generator - Has getHeightAtSpherePos() and getTerrainColor(), and
+ *   optionally a SubsurfaceGenerator as subsurface for caves and ores
+ * @param {number} cx
+ * @param {number} cy
+ * @param {number} cz
+ * @param {Object} options - {chunkSize, planetRadius, maxSurfaceDepth}
+ * @returns {Object|null} {voxels, isSurface}
+ */
+export function generateSurfaceShell(generator, cx, cy, cz, options) {
+    const { chunkSize, planetRadius, maxSurfaceDepth = 5 } = options;
+    const chunkWorldX = cx * chunkSize;
+    const chunkWorldY = cy * chunkSize;
+    const chunkWorldZ = cz * chunkSize;
+
+    const voxels = new Map();
+
+    // Quick sphere distance check - skip chunk if far from planet surface
+    const chunkCenterX = chunkWorldX + chunkSize / 2;
+    const chunkCenterY = chunkWorldY + chunkSize / 2;
+    const chunkCenterZ = chunkWorldZ + chunkSize / 2;
+    const chunkCenterDist = Math.sqrt(
+        chunkCenterX * chunkCenterX +
+        chunkCenterY * chunkCenterY +
+        chunkCenterZ * chunkCenterZ
+    );
+
+    const chunkRadius = chunkSize * Math.sqrt(3);
+    const minDist = chunkCenterDist - chunkRadius;
+    const maxDist = chunkCenterDist + chunkRadius;
+
+    // Skip if chunk is entirely inside or outside planet
+    if (maxDist < planetRadius - 50 || minDist > planetRadius + 100) {
+        return null;
+    }
+
+    let hasAir = false;
+    let hasSolid = false;
+
+    for (let x = 0; x < chunkSize; x++) {
+        for (let y = 0; y < chunkSize; y++) {
+            for (let z = 0; z < chunkSize; z++) {
+                const worldX = chunkWorldX + x;
+                const worldY = chunkWorldY + y;
+                const worldZ = chunkWorldZ + z;
+
+                const dist = Math.sqrt(worldX * worldX + worldY * worldY + worldZ * worldZ);
+
+                if (dist < 1) continue;
+
+                const height = generator.getHeightAtSpherePos(worldX / dist, worldY / dist, worldZ / dist);
+                const depthBelowSurface = planetRadius + height + 1 - dist;
+
+                if (depthBelowSurface >= 0 && depthBelowSurface < maxSurfaceDepth) {
+                    // Caves and ore veins, at the depth SphereGenerator.generateChunk uses
+                    const material = generator.subsurface?.sample(worldX, worldY, worldZ, depthBelowSurface - 1);
+                    if (material === null) {
+                        hasAir = true;
+                        continue;
+                    }
+
+                    const quantizedHeight = Math.floor(height / 3) * 3;
+                    voxels.set(Chunk.encodeKey(x, y, z), material
+                        ? { type: material.id, color: material.color }
+                        : { type: 'solid', color: generator.getTerrainColor(quantizedHeight) });
+                    hasSolid = true;
+                } else {
+                    hasAir = true;
+                }
+            }
+        }
+    }
+
+    if (voxels.size === 0) return null;
+
+    // Surface chunk if it crosses the air/solid boundary
+    return { voxels, isSurface: hasAir && hasSolid };
+}
+
+/**
+ * Mesh a voxel map
+ * @param {Map} voxels
+ * @param {Object} options
+ * @param {string} options.mesher - 'greedy' (Chunk.buildMesh) or 'unified' (UnifiedVoxelMesher)
+ * @param {number} options.chunkX
+ * @param {number} options.chunkY
+ * @param {number} options.chunkZ
+ * @param {number} options.chunkSize
+ * @param {Uint8Array} options.neighborFaces - From sampleNeighborFaces()
+ * @param {Object} options.meshOptions - Passed to the mesher
+ * @returns {Object|null} Geometry typed arrays
+ */
+export function meshVoxels(voxels, options) {
+    const { mesher = 'greedy', chunkX = 0, chunkY = 0, chunkZ = 0, chunkSize = 16, neighborFaces = null } = options;
+    const neighborLookup = neighborFaces ? faceLookup(neighborFaces, chunkSize) : null;
+
+    if (mesher === 'unified') {
+        return UnifiedVoxelMesher.mesh(voxels, {
+            ...options.meshOptions,
+            chunkX,
+            chunkY,
+            chunkZ,
+            chunkSize,
+            neighborLookup
+        });
+    }
+
+    const chunk = new Chunk(chunkX, chunkY, chunkZ, chunkSize);
+    chunk.voxels = voxels;
+    return chunk.buildMesh(neighborLookup, options.meshOptions);
+}
+
+/**
+ * Run one task
+ * @param {string} type - CHUNK_TASKS value
+ * @param {Object} payload - Packed task data; payload.generator already resolved to an instance
+ * @returns {Object|null} Packed result
+ */
+export function runChunkTask(type, payload) {
+    switch (type) {
+        case CHUNK_TASKS.GENERATE: {
+            const { generator, method, args } = payload;
+            const generatorType = serializeGenerator(generator)?.type ?? null;
+            if (generatorType && !GENERATOR_METHODS[generatorType]?.includes(method)) {
+                throw new Error(`Unsupported generator method: ${generatorType}.${method}`);
+            }
+            return packChunk(generator[method](...args));
+        }
+
+        case CHUNK_TASKS.SURFACE_SHELL: {
+            const { generator, cx, cy, cz, options } = payload;
+            return packChunk(generateSurfaceShell(generator, cx, cy, cz, options));
+        }
+
+        case CHUNK_TASKS.MESH:
+            return meshVoxels(unpackVoxels(payload.voxels), payload);
+
+        case CHUNK_TASKS.FILL_WATER: {
+            const { generator, chunks, chunkSize } = payload;
+            let waterAdded = 0;
+
+            const filled = chunks.map(({ key, voxels }) => {
+                const [cx, cy, cz] = key.split(',').map(Number);
+                const chunk = { voxels: unpackVoxels(voxels) };
+                waterAdded += generator.fillChunk(chunk, cx, cy, cz, chunkSize) || 0;
+                return { key, voxels: packVoxels(chunk.voxels) };
+            });
+
+            return { chunks: filled, waterAdded };
+        }
+
+        default:
+            throw new Error(`Unknown chunk task: ${type}`);
+    }
+}
+
+export default {
+    CHUNK_TASKS,
+    deserializeGenerator,
+    serializeGenerator,
+    isSerializableGenerator,
+    packVoxels,
+    unpackVoxels,
+    unpackChunk,
+    collectTransferables,
+    sampleNeighborFaces,
+    generateSurfaceShell,
+    meshVoxels,
+    runChunkTask
+};
@@ -0,0 +1,37 @@
+/**
+ * POLYMIR CHUNK WORKER
+ * =====================
+ * Web Worker entry point for ChunkWorkerPool. Runs one chunk task at a time
+ * and transfers typed arrays back to the main thread.
+ *
+ * Messages in: {id, type, payload}, with payload.generator as serialized data
+ * Messages out: {id, result} or {id, error}
+ */
+
+import { runChunkTask, deserializeGenerator, collectTransferables } from './ChunkTasks.js';
+
+// Generators are rebuilt once per distinct configuration
+const generators = new Map();
+
+function resolveGenerator(data) {
+    const key = JSON.stringify(data);
+
+    if (!generators.has(key)) {
+        generators.set(key, deserializeGenerator(data));
+    }
+
+    return generators.get(key);
+}
+
+self.onmessage = (event) => {
+    const { id, type, payload } = event.data;
+
+    try {
+        const generator = payload.generator ? resolveGenerator(payload.generator) : undefined;
+        const result = runChunkTask(type, { ...payload, generator });
+
+        self.postMessage({ id, result }, collectTransferables(result));
+    } catch (error) {
+        self.postMessage({ id, error: error.message });
+    }
+};
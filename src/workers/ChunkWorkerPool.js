@@ -0,0 +1,455 @@
+/**
+ * POLYMIR CHUNK WORKER POOL
+ * ==========================
+ * Runs chunk generation and meshing on Web Workers so they stop causing
+ * frame hitches on the main thread.
+ *
+ * - Tasks are queued by priority (lower runs first, e.g. chunk distance)
+ * - Each worker runs one task at a time; typed arrays are transferred both ways
+ * - Tasks carry a key (usually the chunk key) so they can be cancelled when a
+ *   chunk falls out of range: queued tasks are dropped, results of running
+ *   ones are discarded
+ * - Without Worker support (Node, or a worker that fails to load), tasks run
+ *   on the calling thread through the same code, one per macrotask
+ */
+
+import {
+    CHUNK_TASKS,
+    runChunkTask,
+    serializeGenerator,
+    isSerializableGenerator,
+    packVoxels,
+    unpackChunk,
+    unpackVoxels,
+    collectTransferables,
+    sampleNeighborFaces
+} from './ChunkTasks.js';
+
+// Simple console logger for browser compatibility
+const log = {
+    info: (...args) => console.log('[ChunkWorkerPool]', ...args),
+    warn: (...args) => console.warn('[ChunkWorkerPool]', ...args),
+    error: (...args) => console.error('[ChunkWorkerPool]', ...args)
+};
+
+// =============================================
+// ERRORS
+// =============================================
+
+export const WORKER_POOL_ERRORS = {
+    CANCELLED: 'Chunk task cancelled',
+    TERMINATED: 'Chunk worker pool terminated'
+};
+
+/**
+ * Whether a task promise was rejected because the task was cancelled
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export function isTaskCancelled(error) {
+    return error?.message === WORKER_POOL_ERRORS.CANCELLED || error?.message === WORKER_POOL_ERRORS.TERMINATED;
+}
+
+// =============================================
+// CHUNK WORKER POOL
+// =============================================
+
+export class ChunkWorkerPool {
+    /**
+     * @param {Object} config
+     * @param {number} config.size - Number of workers (default: cores - 1, at most 4)
+     * @param {boolean} config.useWorkers - false forces the synchronous fallback
+     * @param {string|URL} config.workerUrl - Worker module (default: ./ChunkWorker.js)
+     */
+    constructor(config = {}) {
+        const cores = globalThis.navigator?.hardwareConcurrency || 2;
+
+        this.size = config.size || Math.max(1, Math.min(4, cores - 1));
+        this.useWorkers = config.useWorkers !== false && typeof Worker !== 'undefined';
+        this.workerUrl = config.workerUrl || new URL('./ChunkWorker.js', import.meta.url);
+
+        this.workers = [];      // {worker, task}
+        this.queue = [];        // Pending tasks, by priority
+        this.running = new Set();
+        this.nextTaskId = 1;
+        this.isTerminated = false;
+        this.localTimer = null;
+
+        this.metrics = {
+            completed: 0,
+            cancelled: 0,
+            failed: 0
+        };
+
+        if (this.useWorkers) {
+            for (let i = 0; i < this.size; i++) {
+                this.workers.push(this.createWorker());
+            }
+        }
+    }
+
+    /**
+     * Spawn one worker
+     * @returns {Object} {worker, task}
+     */
+    createWorker() {
+        const slot = { worker: new Worker(this.workerUrl, { type: 'module' }), task: null };
+
+        slot.worker.onmessage = (event) => this.handleResult(slot, event.data);
+        slot.worker.onerror = (event) => this.handleWorkerError(slot, event);
+
+        return slot;
+    }
+
+    // =============================================
+    // TASKS
+    // =============================================
+
+    /**
+     * Queue a task
+     * @param {string} type - CHUNK_TASKS value
+     * @param {Object} payload - Plain data; generator may be an instance
+     * @param {Object} options
+     * @param {string} options.key - For cancel()
+     * @param {number} options.priority - Lower runs first (default 0)
+     * @param {Function} options.decode - Turns the packed result into the resolved value
+     * @returns {Object} {id, key, promise, cancel()}
+     */
+    run(type, payload, options = {}) {
+        if (this.isTerminated) {
+            return { id: 0, key: options.key, promise: Promise.reject(new Error(WORKER_POOL_ERRORS.TERMINATED)), cancel() {} };
+        }
+
+        const task = {
+            id: this.nextTaskId++,
+            type,
+            payload,
+            key: options.key ?? null,
+            priority: options.priority ?? 0,
+            decode: options.decode || (result => result),
+            cancelled: false,
+            resolve: null,
+            reject: null
+        };
+
+        task.promise = new Promise((resolve, reject) => {
+            task.resolve = resolve;
+            task.reject = reject;
+        });
+
+        // Stable: equal priorities keep submission order
+        let index = this.queue.findIndex(queued => queued.priority > task.priority);
+        if (index === -1) index = this.queue.length;
+        this.queue.splice(index, 0, task);
+
+        this.dispatch();
+
+        return {
+            id: task.id,
+            key: task.key,
+            promise: task.promise,
+            cancel: () => this.cancelTask(task)
+        };
+    }
+
+    /**
+     * Generate a chunk with any generator method that returns one
+     * @param {Object} generator - SphereGenerator, RingworldGenerator, LayeredChunkGenerator...
+     * @param {string} method - e.g. 'generateChunk'
+     * @param {Array} args
+     * @param {Object} options - See run()
+     * @returns {Object} Task handle resolving to a Chunk, {voxels, ...} or null
+     */
+    generateChunk(generator, method, args, options = {}) {
+        return this.run(CHUNK_TASKS.GENERATE, { generator, method, args }, { ...options, decode: unpackChunk });
+    }
+
+    /**
+     * Generate the surface shell of a spherical planet chunk
+     * @param {Object} generator - Has getHeightAtSpherePos() and getTerrainColor()
+     * @param {number} cx
+     * @param {number} cy
+     * @param {number} cz
+     * @param {Object} shellOptions - {chunkSize, planetRadius, maxSurfaceDepth}
+     * @param {Object} options - See run()
+     * @returns {Object} Task handle resolving to {voxels, isSurface} or null
+     */
+    generateSurfaceShell(generator, cx, cy, cz, shellOptions, options = {}) {
+        return this.run(
+            CHUNK_TASKS.SURFACE_SHELL,
+            { generator, cx, cy, cz, options: shellOptions },
+            { ...options, decode: unpackChunk }
+        );
+    }
+
+    /**
+     * Mesh a voxel map
+     * @param {Map} voxels
+     * @param {Object} meshOptions
+     * @param {string} meshOptions.mesher - 'greedy' (default) or 'unified'
+     * @param {number} meshOptions.chunkX
+     * @param {number} meshOptions.chunkY
+     * @param {number} meshOptions.chunkZ
+     * @param {number} meshOptions.chunkSize
+     * @param {Function} meshOptions.neighborLookup - Sampled now, on this thread
+     * @param {Object} meshOptions.meshOptions - Passed to the mesher
+     * @param {Object} options - See run()
+     * @returns {Object} Task handle resolving to geometry typed arrays or null
+     */
+    meshChunk(voxels, meshOptions = {}, options = {}) {
+        const { neighborLookup, ...rest } = meshOptions;
+        const chunkSize = rest.chunkSize || 16;
+
+        return this.run(CHUNK_TASKS.MESH, {
+            ...rest,
+            chunkSize,
+            voxels: packVoxels(voxels),
+            neighborFaces: neighborLookup
+                ? sampleNeighborFaces(neighborLookup, rest.chunkX || 0, rest.chunkY || 0, rest.chunkZ || 0, chunkSize)
+                : null
+        }, options);
+    }
+
+    /**
+     * Fill water below sea level in a batch of chunks
+     * @param {WaterFiller} waterFiller
+     * @param {Map} chunks - Chunk key -> {voxels}
+     * @param {number} chunkSize
+     * @param {Object} options - See run()
+     * @returns {Object} Task handle resolving to {chunks: Map key -> filled voxels, waterAdded}
+     */
+    fillWater(waterFiller, chunks, chunkSize = 16, options = {}) {
+        const packed = Array.from(chunks, ([key, chunk]) => ({ key, voxels: packVoxels(chunk.voxels) }));
+
+        return this.run(CHUNK_TASKS.FILL_WATER, { generator: waterFiller, chunks: packed, chunkSize }, {
+            ...options,
+            decode: result => ({
+                chunks: new Map(result.chunks.map(({ key, voxels }) => [key, unpackVoxels(voxels)])),
+                waterAdded: result.waterAdded
+            })
+        });
+    }
+
+    /**
+     * Cancel every task with a key
+     * @param {string} key
+     * @returns {number} Tasks cancelled
+     */
+    cancel(key) {
+        return this.cancelWhere(task => task.key === key);
+    }
+
+    /**
+     * Cancel every queued or running task matching a predicate
+     * @param {Function} predicate - (task) => boolean; task has key and priority
+     * @returns {number} Tasks cancelled
+     */
+    cancelWhere(predicate) {
+        const matching = [...this.queue, ...this.running].filter(task => predicate(task));
+
+        for (const task of matching) {
+            this.cancelTask(task);
+        }
+
+        return matching.length;
+    }
+
+    cancelTask(task) {
+        if (task.cancelled) return;
+
+        task.cancelled = true;
+        this.metrics.cancelled++;
+
+        const index = this.queue.indexOf(task);
+        if (index !== -1) {
+            this.queue.splice(index, 1);
+        }
+
+        // A running task finishes in its worker; its result is dropped
+        task.reject(new Error(WORKER_POOL_ERRORS.CANCELLED));
+    }
+
+    // =============================================
+    // DISPATCH
+    // =============================================
+
+    /**
+     * Hand queued tasks to idle workers, or schedule the local fallback
+     */
+    dispatch() {
+        if (!this.useWorkers) {
+            this.scheduleLocal();
+            return;
+        }
+
+        let slot;
+        while (this.queue.length > 0 && (slot = this.workers.find(worker => !worker.task))) {
+            const task = this.queue.shift();
+            const message = this.toWorkerMessage(task);
+
+            if (!message) {
+                // Generator cannot be rebuilt in a worker, run it here
+                this.runLocal(task);
+                continue;
+            }
+
+            slot.task = task;
+            this.running.add(task);
+            slot.worker.postMessage(message, collectTransferables(message.payload));
+        }
+    }
+
+    /**
+     * @param {Object} task
+     * @returns {Object|null} Worker message, null if the task must run locally
+     */
+    toWorkerMessage(task) {
+        const { generator, ...payload } = task.payload;
+
+        if (generator) {
+            if (!isSerializableGenerator(generator)) return null;
+            payload.generator = serializeGenerator(generator);
+        }
+
+        return { id: task.id, type: task.type, payload };
+    }
+
+    handleResult(slot, data) {
+        const task = slot.task;
+        slot.task = null;
+
+        if (task && task.id === data.id) {
+            this.running.delete(task);
+            this.settle(task, data.error, data.result);
+        }
+
+        this.dispatch();
+    }
+
+    /**
+     * A worker failed outside a task (e.g. the module did not load): stop
+     * using workers and run everything on this thread
+     */
+    handleWorkerError(slot, event) {
+        event.preventDefault?.();
+        log.error('Chunk worker failed, falling back to the main thread', { error: event.message });
+
+        const pending = this.workers.map(worker => worker.task).filter(Boolean);
+
+        for (const worker of this.workers) {
+            worker.worker.terminate();
+        }
+
+        this.workers = [];
+        this.useWorkers = false;
+
+        for (const task of pending) {
+            this.running.delete(task);
+            if (!task.cancelled) {
+                this.queue.unshift(task);
+            }
+        }
+
+        this.dispatch();
+    }
+
+    settle(task, error, result) {
+        if (task.cancelled) return;
+
+        if (error) {
+            this.metrics.failed++;
+            task.reject(new Error(error));
+            return;
+        }
+
+        this.metrics.completed++;
+
+        try {
+            task.resolve(task.decode(result));
+        } catch (decodeError) {
+            task.reject(decodeError);
+        }
+    }
+
+    // =============================================
+    // SYNCHRONOUS FALLBACK
+    // =============================================
+
+    /**
+     * Run the next queued task on this thread after yielding, so a long queue
+     * still lets frames and cancellations through
+     */
+    scheduleLocal() {
+        if (this.localTimer || this.queue.length === 0) return;
+
+        this.localTimer = setTimeout(() => {
+            this.localTimer = null;
+
+            const task = this.queue.shift();
+            if (task) {
+                this.runLocal(task);
+            }
+
+            this.scheduleLocal();
+        }, 0);
+    }
+
+    runLocal(task) {
+        this.running.add(task);
+
+        let result = null;
+        let error = null;
+
+        try {
+            result = runChunkTask(task.type, task.payload);
+        } catch (taskError) {
+            error = taskError.message;
+        }
+
+        this.running.delete(task);
+        this.settle(task, error, result);
+    }
+
+    // =============================================
+    // LIFECYCLE
+    // =============================================
+
+    /**
+     * Stop all workers and reject every outstanding task
+     */
+    terminate() {
+        this.isTerminated = true;
+
+        if (this.localTimer) {
+            clearTimeout(this.localTimer);
+            this.localTimer = null;
+        }
+
+        for (const slot of this.workers) {
+            slot.worker.terminate();
+        }
+        this.workers = [];
+
+        for (const task of [...this.queue, ...this.running]) {
+            if (!task.cancelled) {
+                task.cancelled = true;
+                task.reject(new Error(WORKER_POOL_ERRORS.TERMINATED));
+            }
+        }
+
+        this.queue = [];
+        this.running.clear();
+    }
+
+    getMetrics() {
+        return {
+            ...this.metrics,
+            workers: this.workers.length,
+            usingWorkers: this.useWorkers,
+            queued: this.queue.length,
+            running: this.running.size
+        };
+    }
+}
+
+export default ChunkWorkerPool;
@@ -4,6 +4,7 @@ import { ChunkDamageData } from './ChunkDamageData.js';
 import { DebrisEntity } from './DebrisEntity.js';
 import { DebrisPhysics } from './DebrisPhysics.js';
 import { ChunkCoordinate } from '../../spatial/ChunkCoordinate.js';
+import { SeededRandom, DEFAULT_SEED } from '../../math/SeededRandom.js';
 
 export class DebrisManager {
     constructor(game) {
@@ -15,6 +16,9 @@ export class DebrisManager {
 
         this.physics = new DebrisPhysics();
 
+        // Fragments of a debris id scatter the same way on every client
+        this.random = new SeededRandom(game?.seed ?? DEFAULT_SEED);
+
         this.planet = null;
         this.chunkSize = 16;
 
@@ -46,6 +50,7 @@ export class DebrisManager {
         let debris;
         if (this.debrisPool.length > 0) {
             debris = this.debrisPool.pop();
+            debris.id = config.id || debris.id;
             debris.position.copy(config.position);
             debris.velocity.copy(config.velocity || new THREE.Vector3());
             debris.angularVelocity.copy(config.angularVelocity || new THREE.Vector3());
@@ -241,7 +246,8 @@ export class DebrisManager {
 
     spawnFragments(debris, fragmentCount) {
         const voxelsPerFragment = Math.ceil(debris.voxelCount / fragmentCount);
-        const fragmentVelocities = this.physics.calculateFragmentVelocities(debris.velocity, fragmentCount);
+        const random = this.random.fork('fragments', debris.id);
+        const fragmentVelocities = this.physics.calculateFragmentVelocities(debris.velocity, fragmentCount, random);
 
         for (let i = 0; i < Math.min(fragmentCount, debris.voxelCount); i++) {
             const startIdx = i * voxelsPerFragment;
@@ -256,18 +262,19 @@ export class DebrisManager {
             };
 
             const randomOffset = new THREE.Vector3(
-                (Math.random() - 0.5) * 4,
-                (Math.random() - 0.5) * 4,
-                (Math.random() - 0.5) * 4
+                random.spread(4),
+                random.spread(4),
+                random.spread(4)
             );
 
             this.spawnDebris({
+                id: `${debris.id}_f${i}`,
                 position: debris.position.clone().add(randomOffset),
                 velocity: fragmentVelocities[i],
                 angularVelocity: new THREE.Vector3(
-                    (Math.random() - 0.5) * 2,
-                    (Math.random() - 0.5) * 2,
-                    (Math.random() - 0.5) * 2
+                    random.spread(2),
+                    random.spread(2),
+                    random.spread(2)
                 ),
                 schematic: fragmentSchematic,
                 type: 'fragment'
@@ -1,4 +1,5 @@
 import * as THREE from '../../lib/three.module.js';
+import { SeededRandom } from '../../math/SeededRandom.js';
 
 export class DebrisPhysics {
     constructor(config = {}) {
@@ -117,15 +118,15 @@ export class DebrisPhysics {
         }
     }
 
-    calculateFragmentVelocities(originalVelocity, fragmentCount) {
+    calculateFragmentVelocities(originalVelocity, fragmentCount, random = new SeededRandom()) {
         const fragments = [];
         const baseSpeed = originalVelocity.length() * 0.5;
 
         for (let i = 0; i < fragmentCount; i++) {
-            const theta = Math.random() * Math.PI * 2;
-            const phi = Math.acos(2 * Math.random() - 1);
+            const theta = random.next() * Math.PI * 2;
+            const phi = Math.acos(2 * random.next() - 1);
 
-            const speed = baseSpeed + (Math.random() - 0.5) * baseSpeed * 0.5;
+            const speed = baseSpeed + random.spread(baseSpeed * 0.5);
 
             const dir = new THREE.Vector3(
                 Math.sin(phi) * Math.cos(theta),
@@ -0,0 +1,232 @@
+/**
+ * FLORA GENERATION UNIT TESTS
+ * ===========================
+ * Flora must land the same way on every client: same seed, same trees,
+ * whatever order chunks load in, and standing along local gravity.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { FloraGenerator } from '../../../src/generation/postprocess/FloraGenerator.js';
+import { BiomeConfiguration } from '../../../src/config/BiomeConfiguration.js';
+import { GravitationalShapes } from '../../../src/config/GravitationalShapeConfig.js';
+import { ChunkCoordinate } from '../../../src/spatial/ChunkCoordinate.js';
+import { VOXEL_TYPES } from '../../../src/data/voxel/VoxelTypes.js';
+
+const SEED = 1337;
+const SIZE = 16;
+const STONE = VOXEL_TYPES.STONE.id;
+const WOOD = new Set([VOXEL_TYPES.WOOD_OAK.id, VOXEL_TYPES.WOOD_BIRCH.id, VOXEL_TYPES.WOOD_PINE.id]);
+
+const OAKS = { density: 0.05, models: [{ model: 'tree', wood: 'WOOD_OAK', minHeight: 5, maxHeight: 7 }] };
+
+function voxelKey(x, y, z) {
+    return (x & 0x1F) | ((y & 0x1F) << 5) | ((z & 0x1F) << 10);
+}
+
+function typeOf(voxel) {
+    return typeof voxel === 'object' ? voxel.type : voxel;
+}
+
+/**
+ * Config where every position is forest with the given flora
+ */
+function forestConfig(flora = OAKS) {
+    const config = new BiomeConfiguration({ seed: SEED, distribution: { forest: 1 } });
+    config.setBiomeVegetation('forest', 1);
+    config.setBiomeFlora('forest', flora);
+    return config;
+}
+
+/**
+ * Chunk filled with stone wherever isSolid(x, y, z) holds (world coords)
+ */
+function terrainChunk(cx, cy, cz, isSolid) {
+    const voxels = new Map();
+    for (let x = 0; x < SIZE; x++) {
+        for (let y = 0; y < SIZE; y++) {
+            for (let z = 0; z < SIZE; z++) {
+                if (isSolid(cx * SIZE + x, cy * SIZE + y, cz * SIZE + z)) {
+                    voxels.set(voxelKey(x, y, z), STONE);
+                }
+            }
+        }
+    }
+    return { voxels };
+}
+
+const flatGround = (x, y) => y < 4;
+
+/**
+ * World coordinates of every flora voxel in a chunk, by type
+ */
+function floraVoxels(chunk, cx, cy, cz) {
+    const result = [];
+    for (const [key, voxel] of chunk.voxels) {
+        const type = typeOf(voxel);
+        if (type === STONE) continue;
+        result.push({
+            x: cx * SIZE + (key & 0x1F),
+            y: cy * SIZE + ((key >> 5) & 0x1F),
+            z: cz * SIZE + ((key >> 10) & 0x1F),
+            type
+        });
+    }
+    return result;
+}
+
+function snapshot(chunk) {
+    return Array.from(chunk.voxels.entries()).map(([key, voxel]) => [key, typeOf(voxel)]).sort((a, b) => a[0] - b[0]);
+}
+
+describe('FloraGenerator', () => {
+    it('should grow upright trees on flat ground', () => {
+        const flora = new FloraGenerator(GravitationalShapes.plane({ x: 0, y: 0, z: 0 }, { x: 0, y: 1, z: 0 }), forestConfig());
+        const chunk = terrainChunk(0, 0, 0, flatGround);
+
+        flora.decorateChunk(chunk, 0, 0, 0, SIZE);
+
+        const wood = floraVoxels(chunk, 0, 0, 0).filter(v => WOOD.has(v.type));
+        assert.ok(wood.length > 0, 'expected some trees');
+
+        // Every trunk voxel sits on ground or on more trunk
+        for (const v of wood) {
+            const below = typeOf(chunk.voxels.get(voxelKey(v.x, v.y - 1, v.z)));
+            assert.ok(below === STONE || WOOD.has(below), `floating wood at ${v.x},${v.y},${v.z}`);
+        }
+    });
+
+    it('should place the same flora for the same seed', () => {
+        const shape = GravitationalShapes.plane({ x: 0, y: 0, z: 0 }, { x: 0, y: 1, z: 0 });
+        const a = terrainChunk(0, 0, 0, flatGround);
+        const b = terrainChunk(0, 0, 0, flatGround);
+
+        new FloraGenerator(shape, forestConfig()).decorateChunk(a, 0, 0, 0, SIZE);
+        new FloraGenerator(shape, forestConfig()).decorateChunk(b, 0, 0, 0, SIZE);
+
+        assert.deepStrictEqual(snapshot(a), snapshot(b));
+    });
+
+    it('should finish features across chunk borders in any load order', () => {
+        const shape = GravitationalShapes.plane({ x: 0, y: 0, z: 0 }, { x: 0, y: 1, z: 0 });
+        const coords = [[0, 0, 0], [1, 0, 0], [0, 0, 1], [1, 0, 1]];
+
+        const decorate = (order) => {
+            const flora = new FloraGenerator(shape, forestConfig());
+            const chunks = new Map(coords.map(c => [c.join(','), terrainChunk(...c, flatGround)]));
+            for (const c of order) {
+                flora.decorateChunk(chunks.get(c.join(',')), ...c, SIZE);
+            }
+            // Chunks decorated first pick up their neighbours' overflow now
+            for (const c of coords) {
+                flora.applyPending(chunks.get(c.join(',')), ...c);
+            }
+            return { flora, chunks: coords.map(c => snapshot(chunks.get(c.join(',')))) };
+        };
+
+        const forward = decorate(coords);
+        const backward = decorate([...coords].reverse());
+
+        assert.deepStrictEqual(forward.chunks, backward.chunks);
+        assert.ok(forward.flora.pending.size > 0, 'expected features spanning chunk borders');
+    });
+
+    it('should report neighbours that received pending flora', () => {
+        const shape = GravitationalShapes.plane({ x: 0, y: 0, z: 0 }, { x: 0, y: 1, z: 0 });
+        const flora = new FloraGenerator(shape, forestConfig({ density: 0.3, models: OAKS.models }));
+
+        const touched = flora.decorateChunk(terrainChunk(0, 0, 0, flatGround), 0, 0, 0, SIZE);
+
+        assert.ok(touched.length > 0);
+        for (const key of touched) {
+            const { cx, cy, cz } = ChunkCoordinate.fromKey(key);
+            assert.ok(flora.hasPending(cx, cy, cz));
+
+            const air = { voxels: new Map() };
+            assert.strictEqual(flora.applyPending(air, cx, cy, cz), true);
+            assert.ok(air.voxels.size > 0);
+        }
+    });
+
+    it('should grow along the gravity normal on a sphere', () => {
+        const radius = 40;
+        const shape = GravitationalShapes.sphere({ x: 0, y: 0, z: 0 }, radius);
+        const flora = new FloraGenerator(shape, forestConfig({ density: 0.2, models: OAKS.models }));
+        const isSolid = (x, y, z) => Math.hypot(x + 0.5, y + 0.5, z + 0.5) <= radius;
+
+        // Equator on the +X side: "up" is +X, not +Y
+        const chunk = terrainChunk(2, -1, -1, isSolid);
+        flora.decorateChunk(chunk, 2, -1, -1, SIZE);
+
+        const wood = floraVoxels(chunk, 2, -1, -1).filter(v => WOOD.has(v.type));
+        assert.ok(wood.length > 0, 'expected some trees');
+
+        for (const v of wood) {
+            assert.ok(Math.hypot(v.x + 0.5, v.y + 0.5, v.z + 0.5) > radius, 'wood inside the planet');
+        }
+
+        // Trunks extend outward from the surface, several voxels along X
+        const outermost = Math.max(...wood.map(v => v.x));
+        assert.ok(outermost >= radius + 3, `trunks only reach x=${outermost}`);
+    });
+
+    it('should grow along the gravity normal on a ring', () => {
+        const shape = GravitationalShapes.ringworld({ x: 0, y: 0, z: 0 }, 200, 40);
+        const flora = new FloraGenerator(shape, forestConfig({ density: 0.2, models: OAKS.models }));
+        const isSolid = (x, y, z) => shape.getSurfacePoint(x + 0.5, y + 0.5, z + 0.5).distance <= 0;
+
+        // Top of the tube: "up" is +Y
+        const cx = 12, cy = 2, cz = -1;
+        const chunk = terrainChunk(cx, cy, cz, isSolid);
+        flora.decorateChunk(chunk, cx, cy, cz, SIZE);
+
+        const wood = floraVoxels(chunk, cx, cy, cz).filter(v => WOOD.has(v.type));
+        assert.ok(wood.length > 0, 'expected some trees');
+
+        for (const v of wood) {
+            assert.ok(shape.getSurfacePoint(v.x + 0.5, v.y + 0.5, v.z + 0.5).distance > 0, 'wood inside the ring');
+        }
+
+        const highest = Math.max(...wood.map(v => v.y));
+        assert.ok(highest >= 40 + 3, `trunks only reach y=${highest}`);
+    });
+
+    it('should follow the biome flora configuration', () => {
+        const shape = GravitationalShapes.plane({ x: 0, y: 0, z: 0 }, { x: 0, y: 1, z: 0 });
+
+        const cacti = new FloraGenerator(shape, forestConfig({
+            density: 0.1,
+            models: [{ model: 'cactus', minHeight: 2, maxHeight: 3 }]
+        }));
+        const desert = terrainChunk(0, 0, 0, flatGround);
+        cacti.decorateChunk(desert, 0, 0, 0, SIZE);
+
+        const types = new Set(floraVoxels(desert, 0, 0, 0).map(v => v.type));
+        assert.deepStrictEqual([...types], [VOXEL_TYPES.CACTUS.id]);
+
+        const config = forestConfig();
+        config.setBiomeVegetation('forest', 0);
+        const barren = terrainChunk(0, 0, 0, flatGround);
+        const before = barren.voxels.size;
+        new FloraGenerator(shape, config).decorateChunk(barren, 0, 0, 0, SIZE);
+
+        assert.strictEqual(barren.voxels.size, before);
+    });
+
+    it('should not grow flora on water or under terrain', () => {
+        const shape = GravitationalShapes.plane({ x: 0, y: 0, z: 0 }, { x: 0, y: 1, z: 0 });
+        const flora = new FloraGenerator(shape, forestConfig({ density: 1, models: OAKS.models }));
+
+        const chunk = terrainChunk(0, 0, 0, flatGround);
+        for (const [key] of chunk.voxels) {
+            if (((key >> 5) & 0x1F) === 3) {
+                chunk.voxels.set(key, { type: VOXEL_TYPES.OCEAN_WATER.id, color: 0 });
+            }
+        }
+        const before = chunk.voxels.size;
+
+        flora.decorateChunk(chunk, 0, 0, 0, SIZE);
+
+        assert.strictEqual(chunk.voxels.size, before);
+    });
+});
@@ -0,0 +1,175 @@
+/**
+ * SEEDED GENERATION UNIT TESTS
+ * ============================
+ * Golden hashes pin the voxel output of each generator for a fixed seed.
+ * If one changes on purpose, every client and server regenerates different
+ * chunks for existing seeds: update the hash in the same change.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { createHash } from 'node:crypto';
+import { SeededRandom, hashSeed } from '../../../src/math/SeededRandom.js';
+import { SphereGenerator } from '../../../src/generation/generators/SphereGenerator.js';
+import { LayeredChunkGenerator } from '../../../src/generation/generators/LayeredChunkGenerator.js';
+import { RingworldGenerator } from '../../../src/generation/generators/RingworldGenerator.js';
+import { GravitationalShapes } from '../../../src/config/GravitationalShapeConfig.js';
+import { BiomeSystem } from '../../../src/systems/biome/BiomeSystem.js';
+import { megachunkSeed } from '../../../backend/src/utils/coordinates.js';
+
+const SEED = 1337;
+
+const GOLDEN = {
+    sphere: '3d2e0ab872d7c41b86193ca988cc6913c282149341a87bfc5d31e70125772a73',
+    layered: '7c0a617bfe631762cf1df2714ae8ed0de799e6854877dd3b298af96db8ee5202',
+    ringworld: 'b23eb0fd36c3ab21206244511861384657f0149fabf2c97b73cd7b5c8401ee34',
+    vegetation: '25d66a8683480957288ee3752e87a53e5eaffc0ca2d36963015849f4c366629f'
+};
+
+const SPHERE_CHUNKS = [[2, 0, 0], [0, 2, 1], [-3, -1, 0], [1, -2, -2]];
+const LAYERED_CHUNKS = [[0, 0, 0], [1, 1, 0], [-2, 0, 1]];
+const RING_CHUNKS = [[0.1, 0.2, 1, 2], [0.6, 0.9, 7, 3]];
+
+/**
+ * Hash chunks in a canonical order (voxels sorted by key)
+ * @param {Array<Object|null>} chunks
+ * @returns {string}
+ */
+function hashChunks(chunks) {
+    const hash = createHash('sha256');
+
+    for (const chunk of chunks) {
+        if (!chunk) {
+            hash.update('empty;');
+            continue;
+        }
+
+        const keys = Array.from(chunk.voxels.keys()).sort((a, b) => a - b);
+        for (const key of keys) {
+            const voxel = chunk.voxels.get(key);
+            const value = typeof voxel === 'object' ? `${voxel.type}/${voxel.color}` : voxel;
+            hash.update(`${key}:${value},`);
+        }
+        hash.update(';');
+    }
+
+    return hash.digest('hex');
+}
+
+function sphereChunks(seed, coords = SPHERE_CHUNKS) {
+    const generator = new SphereGenerator(48, 1, null, seed);
+    return coords.map(([cx, cy, cz]) => generator.generateChunk(cx, cy, cz, 16));
+}
+
+function layeredChunks(seed, coords = LAYERED_CHUNKS) {
+    const generator = new LayeredChunkGenerator(GravitationalShapes.sphere({ x: 0, y: 0, z: 0 }, 48), null, seed);
+    return coords.map(([cx, cy, cz]) => generator.generateChunk(cx, cy, cz, 16));
+}
+
+function ringChunks(seed) {
+    const generator = new RingworldGenerator({ seed });
+    return RING_CHUNKS.map(([u, v, i, j]) => generator.generateSurfaceChunk(u, v, i, j));
+}
+
+function vegetation(seed) {
+    const biomes = new BiomeSystem(null, seed);
+    const results = [];
+
+    for (const biome of ['forest', 'grassland', 'desert', 'ocean']) {
+        for (let x = 0; x < 8; x++) {
+            for (let z = 0; z < 8; z++) {
+                results.push(biomes.generateVegetation(biome, x, 0, z));
+            }
+        }
+    }
+
+    return createHash('sha256').update(JSON.stringify(results)).digest('hex');
+}
+
+describe('SeededRandom', () => {
+    it('should repeat the same sequence for the same seed', () => {
+        const a = new SeededRandom(SEED);
+        const b = new SeededRandom(SEED);
+
+        for (let i = 0; i < 100; i++) {
+            const value = a.next();
+            assert.strictEqual(value, b.next());
+            assert.ok(value >= 0 && value < 1);
+        }
+
+        assert.notStrictEqual(new SeededRandom(SEED + 1).next(), new SeededRandom(SEED).next());
+    });
+
+    it('should derive substreams independent of draws from the parent', () => {
+        const fresh = new SeededRandom(SEED);
+        const used = new SeededRandom(SEED);
+        used.next();
+        used.next();
+
+        assert.strictEqual(fresh.forChunk(1, 2, 3).next(), used.forChunk(1, 2, 3).next());
+        assert.notStrictEqual(fresh.forChunk(1, 2, 3).next(), fresh.forChunk(3, 2, 1).next());
+    });
+
+    it('should hash bigint and string seeds like numbers', () => {
+        assert.strictEqual(hashSeed(42n), hashSeed(42));
+        assert.strictEqual(hashSeed('42'), hashSeed(42));
+        assert.notStrictEqual(hashSeed(1, 2), hashSeed(2, 1));
+    });
+
+    it('should keep ranges within bounds', () => {
+        const random = new SeededRandom(SEED);
+
+        for (let i = 0; i < 200; i++) {
+            const n = random.int(3, 5);
+            assert.ok(n >= 3 && n <= 5 && Number.isInteger(n));
+            assert.ok(Math.abs(random.spread(4)) <= 2);
+        }
+    });
+});
+
+describe('megachunkSeed', () => {
+    it('should derive the same seed for the same world and megachunk', () => {
+        assert.strictEqual(megachunkSeed('7', 1, -2, 3), megachunkSeed(7, 1, -2, 3));
+        assert.strictEqual(typeof megachunkSeed(7, 0, 0, 0), 'bigint');
+        assert.notStrictEqual(megachunkSeed(7, 1, -2, 3), megachunkSeed(7, 1, -2, 4));
+        assert.notStrictEqual(megachunkSeed(7, 1, -2, 3), megachunkSeed(8, 1, -2, 3));
+    });
+});
+
+describe('Golden chunk hashes', () => {
+    it('should regenerate identical sphere chunks', () => {
+        assert.strictEqual(hashChunks(sphereChunks(SEED)), GOLDEN.sphere);
+    });
+
+    it('should regenerate identical layered chunks', () => {
+        assert.strictEqual(hashChunks(layeredChunks(SEED)), GOLDEN.layered);
+    });
+
+    it('should regenerate identical ringworld chunks', () => {
+        assert.strictEqual(hashChunks(ringChunks(SEED)), GOLDEN.ringworld);
+    });
+
+    it('should regenerate identical vegetation', () => {
+        assert.strictEqual(vegetation(SEED), GOLDEN.vegetation);
+    });
+
+    it('should not depend on generation order', () => {
+        const reversed = sphereChunks(SEED, [...SPHERE_CHUNKS].reverse()).reverse();
+        assert.strictEqual(hashChunks(reversed), GOLDEN.sphere);
+    });
+
+    it('should generate different worlds for different seeds', () => {
+        assert.notStrictEqual(hashChunks(sphereChunks(SEED + 1)), GOLDEN.sphere);
+        assert.notStrictEqual(hashChunks(layeredChunks(SEED + 1)), GOLDEN.layered);
+        assert.notStrictEqual(vegetation(SEED + 1), GOLDEN.vegetation);
+    });
+
+    it('should survive a serialize round trip (as in chunk workers)', () => {
+        const generator = SphereGenerator.deserialize(
+            JSON.parse(JSON.stringify(new SphereGenerator(48, 1, null, SEED).serialize()))
+        );
+        const chunks = SPHERE_CHUNKS.map(([cx, cy, cz]) => generator.generateChunk(cx, cy, cz, 16));
+
+        assert.strictEqual(hashChunks(chunks), GOLDEN.sphere);
+    });
+});
@@ -0,0 +1,246 @@
+/**
+ * SUBSURFACE GENERATION UNIT TESTS
+ * ================================
+ * Caves and ore veins under sphere planets: seeded, banded by core layer
+ * so deeper layers hold rarer ores, and mined ores map onto economy drops.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { SubsurfaceGenerator, ORE_RESOURCES } from '../../../src/generation/generators/SubsurfaceGenerator.js';
+import { SphereGenerator } from '../../../src/generation/generators/SphereGenerator.js';
+import { EconomyManager } from '../../../src/gameplay/economy/EconomyManager.js';
+import { NearPlayerChunkLoader } from '../../../src/spatial/loaders/NearPlayerChunkLoader.js';
+import { generateSurfaceShell } from '../../../src/workers/ChunkTasks.js';
+import { Chunk } from '../../../src/spatial/Chunk.js';
+import { ChunkCoordinate } from '../../../src/spatial/ChunkCoordinate.js';
+import { GravitationalShapes } from '../../../src/config/GravitationalShapeConfig.js';
+import { VOXEL_TYPES } from '../../../src/data/voxel/VoxelTypes.js';
+
+const SEED = 1337;
+const RADIUS = 100;
+
+const ORE_IDS = new Set(Object.keys(ORE_RESOURCES).map(Number));
+
+/**
+ * Sample every few voxels on a few z-slices through the planet
+ * @returns {Map<string, {total: number, caves: number, ores: Map<string, number>}>} By layer name
+ */
+function surveyLayers(generator, step = 3) {
+    const layers = new Map();
+
+    for (let x = -RADIUS; x < RADIUS; x += step) {
+        for (let y = -RADIUS; y < RADIUS; y += step) {
+            for (const z of [0, 17, -31]) {
+                const dist = Math.hypot(x, y, z);
+                if (dist >= RADIUS) continue;
+
+                const layer = generator.getLayerAt(x, y, z).name;
+                if (!layers.has(layer)) layers.set(layer, { total: 0, caves: 0, ores: new Map() });
+                const stats = layers.get(layer);
+                stats.total++;
+
+                const material = generator.sample(x, y, z, RADIUS - dist);
+                if (material === null) {
+                    stats.caves++;
+                } else if (material) {
+                    stats.ores.set(material.name, (stats.ores.get(material.name) || 0) + 1);
+                }
+            }
+        }
+    }
+
+    return layers;
+}
+
+function sphereShape() {
+    return GravitationalShapes.sphere({ x: 0, y: 0, z: 0 }, RADIUS);
+}
+
+describe('SubsurfaceGenerator', () => {
+    it('should give the same caves and ores for the same seed', () => {
+        const a = new SubsurfaceGenerator(sphereShape(), SEED);
+        const b = new SubsurfaceGenerator(sphereShape(), SEED);
+        const other = new SubsurfaceGenerator(sphereShape(), SEED + 1);
+
+        let differences = 0;
+        for (let x = 0; x < 60; x += 2) {
+            for (let y = 0; y < 60; y += 2) {
+                const depth = RADIUS - Math.hypot(x, y, 20);
+                assert.strictEqual(a.sample(x, y, 20, depth), b.sample(x, y, 20, depth));
+                if (a.sample(x, y, 20, depth) !== other.sample(x, y, 20, depth)) differences++;
+            }
+        }
+
+        assert.ok(differences > 0, 'different seeds should differ');
+    });
+
+    it('should hollow out caves in the crust and mantle but not the core', () => {
+        const layers = surveyLayers(new SubsurfaceGenerator(sphereShape(), SEED));
+
+        assert.ok(layers.get('crust').caves > 0, 'expected caves in the crust');
+        assert.ok(layers.get('mantle').caves > 0, 'expected caves in the mantle');
+        assert.strictEqual(layers.get('outer_core').caves, 0);
+        assert.strictEqual(layers.get('inner_core').caves, 0);
+
+        const caveShare = (layers.get('crust').caves + layers.get('mantle').caves) /
+            (layers.get('crust').total + layers.get('mantle').total);
+        assert.ok(caveShare > 0.02 && caveShare < 0.3, `cave share ${caveShare}`);
+    });
+
+    it('should keep a solid shell just below the surface', () => {
+        const generator = new SubsurfaceGenerator(sphereShape(), SEED);
+
+        for (let x = -RADIUS; x < RADIUS; x += 2) {
+            for (let y = -RADIUS; y < RADIUS; y += 2) {
+                assert.strictEqual(generator.isCaveAt(x, y, 0, 2.5), false);
+            }
+        }
+    });
+
+    it('should place rarer ores in deeper layers', () => {
+        const layers = surveyLayers(new SubsurfaceGenerator(sphereShape(), SEED));
+        const has = (layer, ore) => (layers.get(layer).ores.get(VOXEL_TYPES[ore].name) || 0) > 0;
+
+        assert.ok(has('crust', 'COAL_ORE'));
+        assert.ok(has('crust', 'IRON_ORE'));
+        assert.ok(!has('crust', 'GOLD_ORE'));
+        assert.ok(!has('crust', 'DIAMOND_ORE'));
+
+        assert.ok(has('mantle', 'GOLD_ORE'));
+        assert.ok(!has('mantle', 'DIAMOND_ORE'));
+
+        assert.ok(has('outer_core', 'DIAMOND_ORE'));
+        assert.ok(has('inner_core', 'DIAMOND_ORE'));
+        assert.ok(!has('inner_core', 'COAL_ORE'));
+    });
+
+    it('should follow the layers of the gravity shape', () => {
+        const shape = sphereShape().clearLayers()
+            .addLayer('mantle', 0, 0.5, 'simple', 1, false)
+            .addLayer('crust', 0.5, 1, 'full', 'biome', false);
+        const layers = surveyLayers(new SubsurfaceGenerator(shape, SEED));
+
+        assert.deepStrictEqual([...layers.keys()].sort(), ['crust', 'mantle']);
+        assert.ok(layers.get('mantle').caves > 0, 'non-solid layers get caves');
+    });
+
+    it('should honour disabled caves and ores', () => {
+        const generator = new SubsurfaceGenerator(sphereShape(), SEED, { caves: false, ores: false });
+
+        for (let x = 0; x < RADIUS; x += 3) {
+            for (let y = 0; y < RADIUS; y += 3) {
+                const depth = RADIUS - Math.hypot(x, y, 0);
+                if (depth <= 0) continue;
+                assert.strictEqual(generator.sample(x, y, 0, depth), undefined);
+            }
+        }
+    });
+});
+
+describe('SphereGenerator subsurface', () => {
+    it('should carve caves and embed ore in sphere chunks', () => {
+        const generator = new SphereGenerator(RADIUS, 1, null, SEED);
+        let ores = 0;
+        let buriedAir = 0;
+
+        for (const [cx, cy, cz] of [[2, 0, 0], [3, 1, 0], [0, -3, 1], [-4, 0, -1]]) {
+            const chunk = generator.generateChunk(cx, cy, cz, 16);
+            for (let x = 0; x < 16; x++) {
+                for (let y = 0; y < 16; y++) {
+                    for (let z = 0; z < 16; z++) {
+                        const key = x | (y << 5) | (z << 10);
+                        const voxel = chunk.voxels.get(key);
+                        const dist = Math.hypot(cx * 16 + x, cy * 16 + y, cz * 16 + z);
+
+                        if (voxel && ORE_IDS.has(voxel.type)) {
+                            ores++;
+                            assert.strictEqual(voxel.color, Object.values(VOXEL_TYPES).find(t => t.id === voxel.type).color);
+                        }
+                        // Well below any valley floor
+                        if (!voxel && dist < RADIUS - 45) buriedAir++;
+                    }
+                }
+            }
+        }
+
+        assert.ok(ores > 0, 'expected ore voxels');
+        assert.ok(buriedAir > 0, 'expected caves');
+    });
+
+    it('should embed ore veins in the near-player surface shell', () => {
+        const generator = new SphereGenerator(RADIUS, 1, null, SEED);
+        let ores = 0;
+
+        for (const [cx, cy, cz] of [[6, 0, 0], [0, 6, 0], [-7, 0, 0], [0, 0, 6], [4, 4, 0]]) {
+            const shell = generateSurfaceShell(generator, cx, cy, cz, { chunkSize: 16, planetRadius: RADIUS });
+            if (!shell) continue;
+
+            for (const voxel of shell.voxels.values()) {
+                if (ORE_IDS.has(voxel.type)) ores++;
+            }
+        }
+
+        assert.ok(ores > 0, 'expected ore voxels within reach of the surface');
+    });
+
+    it('should rebuild the same subsurface after a serialize round trip', () => {
+        const generator = new SphereGenerator(RADIUS, 1, null, SEED);
+        const copy = SphereGenerator.deserialize(generator.serialize());
+
+        const a = generator.generateChunk(3, 1, 0, 16);
+        const b = copy.generateChunk(3, 1, 0, 16);
+        assert.deepStrictEqual([...a.voxels.entries()], [...b.voxels.entries()]);
+    });
+});
+
+describe('Ore resource drops', () => {
+    it('should map every ore onto an economy resource and rarity', () => {
+        const economy = new EconomyManager(null);
+
+        for (const [id, entry] of Object.entries(ORE_RESOURCES)) {
+            assert.ok(economy.resourceTypes.get(entry.resourceType).includes(entry.resourceId), `${entry.resourceId} unknown`);
+            assert.ok(economy.rarityLevels.has(entry.rarity));
+            assert.strictEqual(SubsurfaceGenerator.getResourceDrop(Number(id)), entry);
+        }
+        assert.strictEqual(SubsurfaceGenerator.getResourceDrop(VOXEL_TYPES.STONE.id), null);
+    });
+
+    it('should drop the mined ore instead of a random biome resource', () => {
+        const economy = new EconomyManager(null);
+        const source = SubsurfaceGenerator.getResourceDrop(VOXEL_TYPES.DIAMOND_ORE.id);
+
+        const drop = economy.generateResourceDrop({ x: 1, y: 2, z: 3 }, 'forest', source.rarity, source);
+
+        assert.strictEqual(drop.resourceId, 'diamond');
+        assert.strictEqual(drop.rarity, 'epic');
+        assert.ok(economy.resources.get('drops').has(drop.id));
+    });
+
+    it('should drop the resource when the chunk loader breaks an ore', () => {
+        const economy = new EconomyManager(null);
+        const loader = new NearPlayerChunkLoader(null, null, {
+            generator: new SphereGenerator(RADIUS, 1, null, SEED),
+            planetRadius: RADIUS,
+            flora: false,
+            economy
+        });
+
+        const voxels = new Map([
+            [Chunk.encodeKey(1, 2, 3), { type: VOXEL_TYPES.IRON_ORE.id, color: VOXEL_TYPES.IRON_ORE.color }],
+            [Chunk.encodeKey(2, 2, 3), { type: VOXEL_TYPES.STONE.id, color: VOXEL_TYPES.STONE.color }]
+        ]);
+        loader.loadedChunks.set(ChunkCoordinate.toKey(6, 0, 0), { data: { voxels } });
+
+        assert.strictEqual(loader.breakVoxel(97, 2, 3), true);
+        assert.strictEqual(loader.breakVoxel(98, 2, 3), true);
+
+        const drops = [...economy.resources.get('drops').values()];
+        assert.strictEqual(drops.length, 1);
+        assert.strictEqual(drops[0].resourceId, 'iron');
+        assert.strictEqual(drops[0].rarity, 'uncommon');
+        assert.deepStrictEqual(drops[0].location, { x: 97, y: 2, z: 3 });
+
+        loader.workerPool.terminate();
+    });
+});
@@ -0,0 +1,186 @@
+/**
+ * GLTF EXPORTER UNIT TESTS
+ * ========================
+ * GLB container layout, the JSON chunk's accessors and materials, and
+ * avatar skins whose joints, weights and bind matrices must agree.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { GLTFExporter } from '../../../src/io/export/GLTFExporter.js';
+import { SEMANTIC } from '../../../src/data/Semantics.js';
+import { VoxelAvatarData } from '../../../src/avatar/data/VoxelAvatarData.js';
+
+const COMPONENT_ARRAYS = { 5121: Uint8Array, 5123: Uint16Array, 5125: Uint32Array, 5126: Float32Array };
+const COMPONENT_COUNT = { SCALAR: 1, VEC3: 3, VEC4: 4, MAT4: 16 };
+
+/**
+ * Typed view of an accessor's data in the binary buffer
+ */
+function readAccessor(doc, index) {
+    const accessor = doc.json.accessors[index];
+    const view = doc.json.bufferViews[accessor.bufferView];
+    const ArrayType = COMPONENT_ARRAYS[accessor.componentType];
+    const bytes = doc.bin.slice(view.byteOffset, view.byteOffset + view.byteLength);
+    return new ArrayType(bytes.buffer, 0, accessor.count * COMPONENT_COUNT[accessor.type]);
+}
+
+function wall() {
+    const voxels = [];
+    for (let x = 0; x < 20; x++) {
+        for (let y = 0; y < 4; y++) {
+            voxels.push({ x, y, z: 0, color: 0x8B4513 });
+        }
+    }
+    voxels.push({ x: 0, y: 4, z: 0, color: 0xFFE08A, emissive: true });
+    voxels.push({ x: 2, y: 4, z: 0, color: 0x88CCFF, semantics: SEMANTIC.TRANSPARENT });
+    return voxels;
+}
+
+function avatar() {
+    const data = new VoxelAvatarData({ name: 'Hero' });
+    for (let y = 0; y < 60; y++) {
+        for (let x = 12; x < 20; x++) {
+            data.setVoxel(x, y, 16, y > 50 ? 0 : 2);
+        }
+    }
+    return data;
+}
+
+describe('GLTFExporter GLB container', () => {
+    it('should write the header, a padded JSON chunk and the BIN chunk', () => {
+        const doc = GLTFExporter.fromVoxelList(wall(), { name: 'Wall' });
+        const glb = GLTFExporter.toGLB(doc);
+        const view = new DataView(glb.buffer, glb.byteOffset, glb.byteLength);
+
+        assert.strictEqual(view.getUint32(0, true), 0x46546C67);
+        assert.strictEqual(view.getUint32(4, true), 2);
+        assert.strictEqual(view.getUint32(8, true), glb.byteLength);
+
+        const jsonLength = view.getUint32(12, true);
+        assert.strictEqual(jsonLength % 4, 0);
+        assert.strictEqual(view.getUint32(16, true), 0x4E4F534A);
+        // Padded with spaces, which JSON.parse skips
+        const text = new TextDecoder().decode(glb.subarray(20, 20 + jsonLength));
+        assert.deepStrictEqual(JSON.parse(text), doc.json);
+
+        const binOffset = 20 + jsonLength;
+        assert.strictEqual(view.getUint32(binOffset, true), doc.bin.byteLength);
+        assert.strictEqual(view.getUint32(binOffset + 4, true), 0x004E4942);
+        assert.deepStrictEqual(glb.subarray(binOffset + 8), doc.bin);
+        assert.strictEqual(doc.bin.byteLength % 4, 0);
+    });
+
+    it('should embed the buffer as a data URI in .gltf output', () => {
+        const doc = GLTFExporter.fromVoxelList(wall());
+        const json = JSON.parse(GLTFExporter.toGLTF(doc));
+        const base64 = json.buffers[0].uri.replace('data:application/octet-stream;base64,', '');
+
+        assert.deepStrictEqual(new Uint8Array(Buffer.from(base64, 'base64')), doc.bin);
+        assert.strictEqual(doc.json.buffers[0].uri, undefined);
+    });
+});
+
+describe('GLTFExporter JSON chunk', () => {
+    it('should greedy-mesh a box into six quads with bounds', () => {
+        const doc = GLTFExporter.fromVoxelList([
+            { x: 0, y: 0, z: 0, color: 0xFF0000 },
+            { x: 1, y: 0, z: 0, color: 0xFF0000 }
+        ]);
+        const { attributes, indices } = doc.json.meshes[0].primitives[0];
+        const position = doc.json.accessors[attributes.POSITION];
+
+        assert.strictEqual(position.count, 24);
+        assert.deepStrictEqual(position.min, [0, 0, 0]);
+        assert.deepStrictEqual(position.max, [2, 1, 1]);
+        assert.strictEqual(doc.json.accessors[indices].count, 36);
+
+        const colors = readAccessor(doc, attributes.COLOR_0);
+        assert.deepStrictEqual(Array.from(colors.slice(0, 3)), [1, 0, 0]);
+    });
+
+    it('should give emissive colours and transparency their own materials', () => {
+        const doc = GLTFExporter.fromVoxelList(wall());
+        const names = doc.json.materials.map(m => m.name).sort();
+
+        assert.deepStrictEqual(names, ['emissive_ffe08a', 'opaque', 'transparent']);
+        assert.strictEqual(doc.json.meshes[0].primitives.length, 3);
+
+        const emissive = doc.json.materials.find(m => m.name === 'emissive_ffe08a');
+        assert.deepStrictEqual(emissive.emissiveFactor, [1, 0xE0 / 255, 0x8A / 255]);
+        assert.strictEqual(doc.json.materials.find(m => m.name === 'transparent').alphaMode, 'BLEND');
+    });
+
+    it('should keep every buffer view inside the buffer and 4-byte aligned', () => {
+        const doc = GLTFExporter.fromVoxelList(wall());
+
+        for (const view of doc.json.bufferViews) {
+            assert.strictEqual(view.byteOffset % 4, 0);
+            assert.ok(view.byteOffset + view.byteLength <= doc.json.buffers[0].byteLength);
+        }
+    });
+
+    it('should refuse documents with no visible faces', () => {
+        assert.throws(() => GLTFExporter.fromVoxelList([]), /no visible voxel faces/);
+    });
+});
+
+describe('GLTFExporter avatar skins', () => {
+    it('should bind every joint node and skin the mesh node', () => {
+        const doc = GLTFExporter.fromAvatar(avatar());
+        const skin = doc.json.skins[0];
+        const meshNode = doc.json.nodes.find(n => n.mesh !== undefined);
+
+        assert.strictEqual(meshNode.skin, 0);
+        assert.strictEqual(skin.name, 'Hero Armature');
+        assert.ok(skin.joints.includes(skin.skeleton));
+        assert.strictEqual(doc.json.accessors[skin.inverseBindMatrices].count, skin.joints.length);
+        for (const joint of skin.joints) {
+            assert.ok(doc.json.nodes[joint].name, `joint ${joint} should be a named bone`);
+        }
+    });
+
+    it('should write four normalised weights per vertex on valid joints', () => {
+        const doc = GLTFExporter.fromAvatar(avatar());
+        const jointCount = doc.json.skins[0].joints.length;
+
+        for (const { attributes } of doc.json.meshes[0].primitives) {
+            const vertexCount = doc.json.accessors[attributes.POSITION].count;
+            const joints = readAccessor(doc, attributes.JOINTS_0);
+            const weights = readAccessor(doc, attributes.WEIGHTS_0);
+
+            assert.strictEqual(joints.length, vertexCount * 4);
+            assert.strictEqual(weights.length, vertexCount * 4);
+            for (let v = 0; v < vertexCount; v++) {
+                const sum = weights[v * 4] + weights[v * 4 + 1] + weights[v * 4 + 2] + weights[v * 4 + 3];
+                assert.ok(Math.abs(sum - 1) < 1e-5, `vertex ${v} weights sum to ${sum}`);
+                for (let i = 0; i < 4; i++) assert.ok(joints[v * 4 + i] < jointCount);
+            }
+        }
+    });
+
+    it('should invert each joint world position in its bind matrix', () => {
+        const doc = GLTFExporter.fromAvatar(avatar());
+        const skin = doc.json.skins[0];
+        const inverseBind = readAccessor(doc, skin.inverseBindMatrices);
+
+        // World position of each joint from the node hierarchy
+        const world = new Map();
+        const visit = (index, parent) => {
+            const node = doc.json.nodes[index];
+            const position = node.translation.map((v, axis) => v + parent[axis]);
+            world.set(index, position);
+            for (const child of node.children || []) visit(child, position);
+        };
+        visit(skin.skeleton, [0, 0, 0]);
+
+        skin.joints.forEach((joint, i) => {
+            const position = world.get(joint);
+            assert.ok(position, `joint ${joint} should hang off the skeleton root`);
+            for (let axis = 0; axis < 3; axis++) {
+                assert.ok(Math.abs(inverseBind[i * 16 + 12 + axis] + position[axis]) < 1e-5);
+            }
+            assert.strictEqual(inverseBind[i * 16 + 15], 1);
+        });
+    });
+});
@@ -0,0 +1,110 @@
+/**
+ * MAGICAVOXEL IMPORT/EXPORT UNIT TESTS
+ * ====================================
+ * Builds and avatars written by MagicaVoxelExporter must read back through
+ * MagicaVoxelImporter with the same positions, colours and materials.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { MagicaVoxelExporter } from '../../../src/io/export/MagicaVoxelExporter.js';
+import { MagicaVoxelImporter } from '../../../src/io/import/MagicaVoxelImporter.js';
+import { VoxFile } from '../../../src/serialization/formats/VoxFile.js';
+import { Schematic } from '../../../src/data/Schematic.js';
+import { SEMANTIC } from '../../../src/data/Semantics.js';
+import { VoxelAvatarData } from '../../../src/avatar/data/VoxelAvatarData.js';
+import { COLOR_TYPE } from '../../../src/avatar/data/AvatarPalette.js';
+
+const BASE = SEMANTIC.SOLID | SEMANTIC.PLACEABLE | SEMANTIC.BREAKABLE;
+
+/**
+ * An L-shaped wall with a lamp and a window
+ */
+function buildSchematic(length = 6) {
+    const schematic = new Schematic();
+    schematic.metadata.name = 'Wall';
+
+    for (let x = 0; x < length; x++) {
+        for (let y = 0; y < 3; y++) {
+            schematic.addBlock(x, y, 0, { color: 0x8B4513, semantics: BASE });
+        }
+    }
+    schematic.addBlock(0, 0, 1, { color: 0x8B4513, semantics: BASE });
+    schematic.addBlock(1, 3, 0, { color: 0xFFE08A, semantics: BASE | SEMANTIC.EMISSIVE, emissive: true });
+    schematic.addBlock(2, 3, 0, { color: 0x88CCFF, semantics: BASE | SEMANTIC.TRANSPARENT });
+
+    return schematic;
+}
+
+function blockList(schematic) {
+    return [...schematic.blocks.entries()]
+        .map(([key, block]) => [key, block.color, block.semantics])
+        .sort((a, b) => a[0].localeCompare(b[0]));
+}
+
+describe('MagicaVoxel builds', () => {
+    it('should round-trip positions, colours and materials', () => {
+        const original = buildSchematic();
+        const data = MagicaVoxelExporter.fromSchematic(original);
+        const { schematic, mvoxFile, report } = new MagicaVoxelImporter().import(data, { name: 'Wall' });
+
+        assert.strictEqual(report.models, 1);
+        assert.deepStrictEqual(blockList(schematic), blockList(original));
+        assert.strictEqual(schematic.getBlock(1, 3, 0).emissive, true);
+        assert.strictEqual(mvoxFile.voxels.size, original.blocks.size);
+    });
+
+    it('should split builds over 256 voxels into tiles and merge them back', () => {
+        const original = buildSchematic(600);
+        const data = MagicaVoxelExporter.fromSchematic(original);
+        const { schematic, report } = new MagicaVoxelImporter().import(data);
+
+        assert.strictEqual(VoxFile.read(data).models.length, 3);
+        assert.strictEqual(report.instances, 3);
+        assert.deepStrictEqual(blockList(schematic), blockList(original));
+    });
+
+    it('should reject scenes over 1024 voxels on an axis', () => {
+        const voxel = { x: 0, y: 0, z: 0, color: 0xFFFFFF, colorType: COLOR_TYPE.SOLID };
+        const data = MagicaVoxelExporter.fromVoxelList([voxel, { ...voxel, x: 1200 }]);
+
+        assert.throws(() => new MagicaVoxelImporter().import(data), /\.vox scene too large: 1201x1x1 \(max 1024 per axis\)/);
+    });
+});
+
+describe('MagicaVoxel avatars', () => {
+    it('should restore an exported avatar voxel for voxel', () => {
+        const original = new VoxelAvatarData({ name: 'Hero' });
+        original.palette.setColor(5, 255, 200, 0, COLOR_TYPE.EMISSIVE);
+        for (let y = 0; y < 10; y++) {
+            original.setVoxel(15, y, 16, 0);
+            original.setVoxel(16, y, 16, 1);
+        }
+        original.setVoxel(0, 63, 31, 5);
+
+        const { avatar, report } = new MagicaVoxelImporter().importAvatar(MagicaVoxelExporter.fromAvatar(original));
+
+        assert.strictEqual(report.clipped, 0);
+        assert.strictEqual(report.quantized, false);
+        assert.strictEqual(avatar.getVoxelCount(), original.getVoxelCount());
+        original.forEach((x, y, z, index) => {
+            assert.deepStrictEqual(avatar.palette.getColor(avatar.getVoxel(x, y, z)), original.palette.getColor(index));
+        });
+    });
+
+    it('should quantise large palettes and centre foreign models', () => {
+        // 40 shades on a 8x5 slab, in an 8x8x8 model
+        const voxels = Array.from({ length: 40 }, (_, i) => ({ x: i % 8, y: Math.floor(i / 8), z: 0, colorIndex: i + 1 }));
+        const palette = [0, ...Array.from({ length: 40 }, (_, i) => (i * 6) << 16 | 0x4080)];
+        const data = VoxFile.write({ models: [{ size: [8, 8, 8], voxels }], palette });
+
+        const { avatar, report } = new MagicaVoxelImporter().importAvatar(data);
+
+        assert.strictEqual(report.sourceColors, 40);
+        assert.strictEqual(report.quantized, true);
+        assert.ok(avatar.palette.size() <= 16);
+        assert.strictEqual(avatar.getVoxelCount(), 40);
+        assert.strictEqual(avatar.getBounds().min.x, 12);
+        assert.strictEqual(avatar.getBounds().min.y, 0);
+    });
+});
@@ -0,0 +1,237 @@
+/**
+ * MINECRAFT SCHEMATIC IMPORTER UNIT TESTS
+ * =======================================
+ * Sponge, MCEdit and Litematica fixtures built with the NBT codec, read
+ * into schematics and carried through an .mvox round trip.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { gzipSync } from 'node:zlib';
+import { MinecraftSchematicImporter, MINECRAFT_FORMAT } from '../../../src/io/import/MinecraftSchematicImporter.js';
+import { MINECRAFT_DYE_COLORS } from '../../../src/io/import/MinecraftBlockMap.js';
+import { MVoxFile } from '../../../src/serialization/formats/MVoxFile.js';
+import { NBT } from '../../../src/serialization/formats/NBT.js';
+import { SEMANTIC } from '../../../src/data/Semantics.js';
+import { VOXEL_TYPES } from '../../../src/data/voxel/VoxelTypes.js';
+
+/**
+ * Unsigned LEB128, as Sponge stores palette indices
+ */
+function varints(values) {
+    const bytes = [];
+    for (let value of values) {
+        while (value >= 0x80) {
+            bytes.push((value & 0x7F) | 0x80);
+            value >>>= 7;
+        }
+        bytes.push(value);
+    }
+    return NBT.byteArray(bytes.map(b => (b << 24) >> 24));
+}
+
+/**
+ * Pack palette indices tightly into signed longs, as Litematica does
+ */
+function packStates(indices, bits) {
+    const longs = new Array(Math.ceil(indices.length * bits / 64)).fill(0n);
+    indices.forEach((value, index) => {
+        const startBit = index * bits;
+        const word = Math.floor(startBit / 64);
+        const shift = BigInt(startBit % 64);
+        longs[word] |= BigInt(value) << shift;
+        if (word + 1 < longs.length) {
+            longs[word + 1] |= BigInt(value) >> (64n - shift);
+        }
+    });
+    return NBT.longArray(longs.map(l => BigInt.asIntN(64, l)));
+}
+
+function palette(names) {
+    return NBT.compound(Object.fromEntries(names.map((name, i) => [name, NBT.int(i)])));
+}
+
+/**
+ * Sponge v2: 2 x 2 x 1, index = x + z * width + y * width * length
+ */
+function spongeV2() {
+    return NBT.write(NBT.compound({
+        Version: NBT.int(2),
+        Width: NBT.short(2),
+        Height: NBT.short(2),
+        Length: NBT.short(1),
+        Palette: palette(['minecraft:air', 'minecraft:stone', 'minecraft:red_wool']),
+        BlockData: varints([1, 2, 0, 1])
+    }), { name: 'Schematic' });
+}
+
+/**
+ * Sponge v3 nests the body under "Schematic" and blocks under "Blocks"
+ */
+function spongeV3() {
+    // Index 200 needs a two-byte varint
+    const names = Array.from({ length: 201 }, (_, i) => `minecraft:filler_${i}`);
+    names[0] = 'minecraft:air';
+    names[200] = 'minecraft:glowstone';
+
+    return NBT.write(NBT.compound({
+        Schematic: NBT.compound({
+            Version: NBT.int(3),
+            Width: NBT.short(1),
+            Height: NBT.short(1),
+            Length: NBT.short(3),
+            Blocks: NBT.compound({
+                Palette: palette(names),
+                Data: varints([200, 0, 200])
+            })
+        })
+    }));
+}
+
+function mcedit() {
+    return NBT.write(NBT.compound({
+        Width: NBT.short(2),
+        Height: NBT.short(1),
+        Length: NBT.short(2),
+        Materials: NBT.string('Alpha'),
+        Blocks: NBT.byteArray([1, 35, 0, 89]),
+        Data: NBT.byteArray([0, 14, 0, 0])
+    }), { name: 'Schematic' });
+}
+
+/**
+ * Litematica palette index of each entry, shifted per row so no column is all air
+ */
+function litematicState(index) {
+    return (index + Math.floor(index / 5)) % 5;
+}
+
+function litematic(regionStates) {
+    const names = ['minecraft:air', 'minecraft:stone', 'minecraft:red_wool', 'minecraft:glowstone', 'minecraft:redstone_lamp'];
+    const entries = names.map(name => ({ Name: NBT.string(name) }));
+    entries[4].Properties = NBT.compound({ lit: NBT.string('true') });
+
+    // 3 bits per entry over 30 entries, so index 21 straddles two longs
+    const indices = Array.from({ length: 30 }, (_, i) => litematicState(i));
+
+    return NBT.write(NBT.compound({
+        MinecraftDataVersion: NBT.int(3465),
+        Regions: NBT.compound({
+            main: NBT.compound({
+                Position: NBT.compound({ x: NBT.int(10), y: NBT.int(0), z: NBT.int(10) }),
+                Size: NBT.compound({ x: NBT.int(5), y: NBT.int(2), z: NBT.int(-3) }),
+                BlockStatePalette: NBT.list(NBT.TAG_COMPOUND, entries),
+                BlockStates: regionStates ? regionStates(indices) : packStates(indices, 3)
+            })
+        })
+    }));
+}
+
+/**
+ * One stone block per region, at each x
+ */
+function litematicRegions(xs) {
+    const entries = ['minecraft:air', 'minecraft:stone'].map(name => ({ Name: NBT.string(name) }));
+    const regions = Object.fromEntries(xs.map((x, i) => [`r${i}`, NBT.compound({
+        Position: NBT.compound({ x: NBT.int(x), y: NBT.int(0), z: NBT.int(0) }),
+        Size: NBT.compound({ x: NBT.int(1), y: NBT.int(1), z: NBT.int(1) }),
+        BlockStatePalette: NBT.list(NBT.TAG_COMPOUND, entries),
+        BlockStates: packStates([1], 2)
+    })]));
+
+    return NBT.write(NBT.compound({
+        MinecraftDataVersion: NBT.int(3465),
+        Regions: NBT.compound(regions)
+    }));
+}
+
+describe('MinecraftSchematicImporter', () => {
+    it('should read Sponge v2 palettes and block data', async () => {
+        const { schematic, format, report } = await new MinecraftSchematicImporter().import(spongeV2());
+
+        assert.strictEqual(format, MINECRAFT_FORMAT.SPONGE);
+        assert.strictEqual(report.blockCount, 3);
+        assert.strictEqual(schematic.getBlock(0, 0, 0).type, VOXEL_TYPES.STONE.id);
+        assert.strictEqual(schematic.getBlock(1, 0, 0).type, VOXEL_TYPES.CONCRETE.id);
+        assert.strictEqual(schematic.getBlock(1, 0, 0).color, MINECRAFT_DYE_COLORS.red);
+        assert.strictEqual(schematic.getBlock(0, 1, 0), null);
+        assert.strictEqual(schematic.getBlock(1, 1, 0).type, VOXEL_TYPES.STONE.id);
+    });
+
+    it('should read Sponge v3 containers and multi-byte varints', async () => {
+        const { schematic, format } = await new MinecraftSchematicImporter().import(spongeV3());
+
+        assert.strictEqual(format, MINECRAFT_FORMAT.SPONGE);
+        assert.strictEqual(schematic.blocks.size, 2);
+        assert.strictEqual(schematic.getBlock(0, 0, 0).type, VOXEL_TYPES.GLOWSTONE.id);
+        assert.strictEqual(schematic.getBlock(0, 0, 2).type, VOXEL_TYPES.GLOWSTONE.id);
+    });
+
+    it('should read MCEdit legacy ids with wool colours', async () => {
+        const { schematic, format } = await new MinecraftSchematicImporter().import(mcedit());
+
+        assert.strictEqual(format, MINECRAFT_FORMAT.MCEDIT);
+        assert.strictEqual(schematic.getBlock(0, 0, 0).type, VOXEL_TYPES.STONE.id);
+        assert.strictEqual(schematic.getBlock(1, 0, 0).color, MINECRAFT_DYE_COLORS.red);
+        assert.strictEqual(schematic.getBlock(0, 0, 1), null);
+        assert.strictEqual(schematic.getBlock(1, 0, 1).type, VOXEL_TYPES.GLOWSTONE.id);
+    });
+
+    it('should unpack Litematica block states spanning two longs', async () => {
+        const { schematic, format } = await new MinecraftSchematicImporter().import(litematic());
+
+        assert.strictEqual(format, MINECRAFT_FORMAT.LITEMATIC);
+        // Negative z size extends back from the position; the origin is then normalised
+        assert.deepStrictEqual(schematic.getDimensions(), { width: 5, height: 2, depth: 3 });
+
+        for (let index = 0; index < 30; index++) {
+            const x = index % 5;
+            const z = Math.floor(index / 5) % 3;
+            const y = Math.floor(index / 15);
+            const block = schematic.getBlock(x, y, z);
+
+            switch (litematicState(index)) {
+                case 0: assert.strictEqual(block, null); break;
+                case 1: assert.strictEqual(block.type, VOXEL_TYPES.STONE.id); break;
+                case 2: assert.strictEqual(block.color, MINECRAFT_DYE_COLORS.red); break;
+                case 3: assert.strictEqual(block.type, VOXEL_TYPES.GLOWSTONE.id); break;
+                case 4: assert.ok(block.semantics & SEMANTIC.EMISSIVE, 'lit lamp should glow'); break;
+            }
+        }
+    });
+
+    it('should reject truncated Litematica block states', async () => {
+        const importer = new MinecraftSchematicImporter();
+        const truncated = litematic(indices => NBT.longArray(packStates(indices, 3).value.slice(0, 1)));
+
+        await assert.rejects(importer.import(truncated), /Region "main" block states truncated \(1 of 2 longs\)/);
+    });
+
+    it('should reject Litematica regions spread beyond 1024 voxels', async () => {
+        const importer = new MinecraftSchematicImporter();
+
+        const { schematic } = await importer.import(litematicRegions([0, 1023]));
+        assert.strictEqual(schematic.getDimensions().width, 1024);
+
+        await assert.rejects(
+            new MinecraftSchematicImporter().import(litematicRegions([0, 2000])),
+            /Schematic too large: 2001x1x1 \(max 1024 per axis\)/
+        );
+    });
+
+    it('should unwrap gzipped files', async () => {
+        const { schematic } = await new MinecraftSchematicImporter().import(new Uint8Array(gzipSync(mcedit())));
+        assert.strictEqual(schematic.blocks.size, 3);
+    });
+
+    it('should keep voxel types through an .mvox round trip', async () => {
+        for (const fixture of [spongeV2, spongeV3, mcedit, litematic]) {
+            const { mvoxFile } = await new MinecraftSchematicImporter().import(fixture(), { name: 'fixture' });
+            const decoded = await MVoxFile.decodeAsync(await mvoxFile.encodeAsync());
+
+            assert.strictEqual(decoded.metadata.name, 'fixture');
+            assert.deepStrictEqual(decoded.voxels, mvoxFile.voxels);
+            assert.ok([...decoded.voxels.values()].every(v => v.type !== undefined), `${fixture.name} lost types`);
+        }
+    });
+});
@@ -0,0 +1,271 @@
+/**
+ * FLUID SIMULATION UNIT TESTS
+ * ===========================
+ * Water and lava flow on a small in-memory world. Every client runs the
+ * same rules on the same voxels, so results must be deterministic.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { FluidSimulator } from '../../../src/physics/fluids/FluidSimulator.js';
+import { DamageMapManager, BUILD_MODE } from '../../../src/gameplay/building/DamageMapManager.js';
+import { NetworkDamageSync } from '../../../src/gameplay/building/NetworkDamageSync.js';
+import { GravitationalShapes } from '../../../src/config/GravitationalShapeConfig.js';
+import { GravitySystem } from '../../../src/physics/gravity/GravitySystem.js';
+import { VOXEL_TYPES } from '../../../src/data/voxel/VoxelTypes.js';
+
+const STONE = VOXEL_TYPES.STONE.id;
+const WATER = VOXEL_TYPES.WATER.id;
+const FLOWING_WATER = VOXEL_TYPES.FLOWING_WATER.id;
+const LAVA = VOXEL_TYPES.LAVA.id;
+const FLOWING_LAVA = VOXEL_TYPES.FLOWING_LAVA.id;
+
+const UP_Y = { getUpVectorAt: () => ({ x: 0, y: 1, z: 0 }) };
+
+/**
+ * Voxel world inside a box; outside counts as unloaded
+ */
+function createWorld(size = 32) {
+    const voxels = new Map();
+    const key = (x, y, z) => `${x},${y},${z}`;
+
+    return {
+        voxels,
+        getVoxel: (x, y, z) => voxels.get(key(x, y, z)) || null,
+        setVoxel: (x, y, z, voxel) => voxels.set(key(x, y, z), voxel),
+        breakVoxel: (x, y, z) => voxels.delete(key(x, y, z)),
+        isLoaded: (x, y, z) => x >= 0 && y >= 0 && z >= 0 && x < size && y < size && z < size,
+        place(x, y, z, type) {
+            voxels.set(key(x, y, z), { type, color: 0 });
+        },
+        typeAt(x, y, z) {
+            return voxels.get(key(x, y, z))?.type ?? 0;
+        },
+        count(type) {
+            let n = 0;
+            for (const voxel of voxels.values()) {
+                if (voxel.type === type) n++;
+            }
+            return n;
+        }
+    };
+}
+
+function floor(world, y = 0, size = 32) {
+    for (let x = 0; x < size; x++) {
+        for (let z = 0; z < size; z++) {
+            world.place(x, y, z, STONE);
+        }
+    }
+}
+
+function settle(simulator, maxTicks = 200) {
+    for (let i = 0; i < maxTicks && simulator.active.size > 0; i++) {
+        simulator.tick();
+    }
+    return simulator.active.size === 0;
+}
+
+describe('FluidSimulator', () => {
+    it('should spread water 7 voxels across a floor and settle', () => {
+        const world = createWorld();
+        floor(world);
+        world.place(16, 1, 16, WATER);
+
+        const simulator = new FluidSimulator({ world, gravity: UP_Y });
+        simulator.notifyChange(16, 1, 16);
+
+        assert.ok(settle(simulator), 'simulation should settle');
+        assert.strictEqual(world.typeAt(16 + 7, 1, 16), FLOWING_WATER);
+        assert.strictEqual(world.typeAt(16 + 8, 1, 16), 0);
+        assert.strictEqual(world.typeAt(16, 2, 16), 0, 'water must not climb');
+        // Diamond of radius 7 around the source, minus the source itself
+        assert.strictEqual(world.count(FLOWING_WATER), 2 * 7 * 8);
+    });
+
+    it('should fall along the local gravity direction', () => {
+        const world = createWorld();
+        world.place(10, 16, 16, WATER);
+
+        // Gravity pulls toward -X
+        const simulator = new FluidSimulator({ world, gravity: { getUpVectorAt: () => ({ x: 1, y: 0, z: 0 }) } });
+        simulator.notifyChange(10, 16, 16);
+        for (let i = 0; i < 5; i++) simulator.tick();
+
+        assert.strictEqual(world.typeAt(9, 16, 16), FLOWING_WATER);
+        assert.strictEqual(world.typeAt(5, 16, 16), FLOWING_WATER);
+        assert.strictEqual(world.typeAt(10, 15, 16), 0, 'water must not fall along -Y');
+    });
+
+    it('should follow sphere gravity from the gravity shape', () => {
+        const world = createWorld(64);
+        world.place(50, 8, 8, WATER);
+
+        const simulator = new FluidSimulator({ world, gravity: GravitationalShapes.sphere({ x: 0, y: 0, z: 0 }, 40) });
+        simulator.notifyChange(50, 8, 8);
+        for (let i = 0; i < 3; i++) simulator.tick();
+
+        assert.strictEqual(world.typeAt(47, 8, 8), FLOWING_WATER);
+    });
+
+    it('should follow the up vector of a planet GravitySystem', () => {
+        const world = createWorld(64);
+        world.place(8, 50, 8, WATER);
+
+        const gravity = new GravitySystem({ type: 'POINT', center: { x: 0, y: 0, z: 0 }, radius: 40 });
+        const simulator = new FluidSimulator({ world, gravity });
+        simulator.notifyChange(8, 50, 8);
+        for (let i = 0; i < 3; i++) simulator.tick();
+
+        assert.strictEqual(world.typeAt(8, 47, 8), FLOWING_WATER);
+        assert.strictEqual(world.typeAt(8, 51, 8), 0);
+    });
+
+    it('should flow into a hole dug next to water', () => {
+        const world = createWorld();
+        floor(world, 0);
+        floor(world, 1);
+        floor(world, 2);
+
+        // Still pool sunk into the ground, as generated
+        for (let x = 10; x < 14; x++) {
+            world.place(x, 2, 10, WATER);
+        }
+
+        const simulator = new FluidSimulator({ world, gravity: UP_Y });
+
+        // Player digs a two-deep hole beside the pool
+        for (const y of [2, 1]) {
+            world.breakVoxel(14, y, 10);
+            simulator.notifyChange(14, y, 10);
+        }
+        assert.ok(settle(simulator));
+
+        assert.strictEqual(world.typeAt(14, 2, 10), FLOWING_WATER);
+        assert.strictEqual(world.typeAt(14, 1, 10), FLOWING_WATER);
+        assert.strictEqual(world.count(WATER), 4, 'sources stay put');
+    });
+
+    it('should drain flowing water when its source is removed', () => {
+        const world = createWorld();
+        floor(world);
+        world.place(16, 1, 16, WATER);
+
+        const simulator = new FluidSimulator({ world, gravity: UP_Y });
+        simulator.notifyChange(16, 1, 16);
+        settle(simulator);
+        assert.ok(world.count(FLOWING_WATER) > 0);
+
+        world.breakVoxel(16, 1, 16);
+        simulator.notifyChange(16, 1, 16);
+        assert.ok(settle(simulator, 500), 'simulation should settle');
+
+        assert.strictEqual(world.count(FLOWING_WATER), 0);
+    });
+
+    it('should harden lava into obsidian and basalt where it meets water', () => {
+        const world = createWorld();
+        floor(world);
+        world.place(10, 1, 10, LAVA);
+        world.place(11, 1, 10, WATER);
+        world.place(20, 1, 20, FLOWING_LAVA);
+        world.place(19, 1, 20, LAVA);
+        world.place(20, 1, 21, FLOWING_WATER);
+        world.place(20, 1, 22, WATER);
+
+        const simulator = new FluidSimulator({ world, gravity: UP_Y });
+        simulator.notifyChange(10, 1, 10);
+        simulator.notifyChange(20, 1, 20);
+        for (let i = 0; i < 3; i++) simulator.tick();
+
+        assert.strictEqual(world.typeAt(10, 1, 10), VOXEL_TYPES.OBSIDIAN.id);
+        assert.strictEqual(world.typeAt(20, 1, 20), VOXEL_TYPES.BASALT.id);
+    });
+
+    it('should spread lava slower and shorter than water', () => {
+        const world = createWorld();
+        floor(world);
+        world.place(16, 1, 16, LAVA);
+
+        const simulator = new FluidSimulator({ world, gravity: UP_Y });
+        simulator.notifyChange(16, 1, 16);
+        simulator.tick();
+        simulator.tick();
+        assert.strictEqual(world.count(FLOWING_LAVA), 0, 'lava waits for its tick');
+
+        assert.ok(settle(simulator));
+        assert.strictEqual(world.typeAt(16 + 3, 1, 16), FLOWING_LAVA);
+        assert.strictEqual(world.typeAt(16 + 4, 1, 16), 0);
+    });
+
+    it('should produce the same result on every run', () => {
+        const run = () => {
+            const world = createWorld();
+            floor(world);
+            world.place(8, 1, 8, WATER);
+            world.place(14, 1, 8, LAVA);
+            const simulator = new FluidSimulator({ world, gravity: UP_Y });
+            simulator.notifyChange(8, 1, 8);
+            simulator.notifyChange(14, 1, 8);
+            settle(simulator);
+            return Array.from(world.voxels.entries()).map(([k, v]) => `${k}:${v.type}`).sort();
+        };
+
+        assert.deepStrictEqual(run(), run());
+    });
+});
+
+describe('Fluid damage map sync', () => {
+    it('should batch each tick into the damage map as raw damage', () => {
+        const damageMap = new DamageMapManager({ playerId: 'p1' });
+        const world = createWorld();
+        floor(world);
+        world.place(16, 1, 16, WATER);
+
+        const simulator = new FluidSimulator({ world, gravity: UP_Y, damageMap, bodyId: 'body-1' });
+        simulator.notifyChange(16, 1, 16);
+        const changes = simulator.tick();
+
+        const pending = damageMap.pendingSync.get('body-1');
+        assert.strictEqual(pending.size, changes.length);
+        assert.ok(changes.length > 0);
+        for (const entry of pending.values()) {
+            assert.strictEqual(entry.build_mode, BUILD_MODE.RAW_DAMAGE);
+            assert.strictEqual(entry.voxel_type, FLOWING_WATER);
+        }
+
+        settle(simulator);
+        assert.strictEqual(damageMap.getAdditions('body-1').length, world.count(FLOWING_WATER));
+
+        damageMap.destroy();
+    });
+
+    it('should split large syncs into server-sized batches per build mode', async () => {
+        const sent = [];
+        const wsAdapter = {
+            sendBatchDamage: async (bodyId, changes, buildMode) => sent.push({ bodyId, count: changes.length, buildMode }),
+            sendDamageUpdate: async (message) => sent.push({ bodyId: message.bodyId, count: 1, buildMode: message.buildMode })
+        };
+        const damageMap = new DamageMapManager({ playerId: 'p1', syncInterval: 60000 });
+        new NetworkDamageSync(damageMap, wsAdapter);
+
+        const changes = [];
+        for (let i = 0; i < 250; i++) {
+            changes.push({ x: i, y: 0, z: 0, changeType: 'add', voxelType: FLOWING_WATER, voxelColor: 0 });
+        }
+        damageMap.recordBatch('body-1', changes);
+        damageMap.addVoxel('body-1', 0, 5, 0, STONE, 0);
+
+        clearTimeout(damageMap.syncTimer);
+        await damageMap.flushSync();
+
+        assert.deepStrictEqual(sent, [
+            { bodyId: 'body-1', count: 100, buildMode: BUILD_MODE.RAW_DAMAGE },
+            { bodyId: 'body-1', count: 100, buildMode: BUILD_MODE.RAW_DAMAGE },
+            { bodyId: 'body-1', count: 50, buildMode: BUILD_MODE.RAW_DAMAGE },
+            { bodyId: 'body-1', count: 1, buildMode: BUILD_MODE.NEW_SCHEMATIC }
+        ]);
+
+        damageMap.destroy();
+    });
+});
@@ -0,0 +1,96 @@
+/**
+ * MVOX FILE UNIT TESTS
+ * ====================
+ * Every compression mode must decode to the same voxels and header.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { MVoxFile, MVOX_COMPRESSION } from '../../../src/serialization/formats/MVoxFile.js';
+
+/**
+ * A 16³ block with a hollow core and a few distinct colours
+ */
+function buildFile() {
+    const voxels = new Map();
+    for (let x = 0; x < 16; x++) {
+        for (let y = 0; y < 16; y++) {
+            for (let z = 0; z < 16; z++) {
+                if (x > 3 && x < 12 && y > 3 && y < 12 && z > 3 && z < 12) continue;
+                voxels.set(MVoxFile.encodeKey(x, y, z), {
+                    color: y < 8 ? 0x808080 : 0x3D833D,
+                    semantics: 1,
+                    type: y < 8 ? 1 : 2
+                });
+            }
+        }
+    }
+    voxels.get(0).data = { sign: 'hello' };
+
+    return new MVoxFile('build', voxels, { name: 'Hollow cube', author: 'tester', tags: ['test'] });
+}
+
+describe('MVoxFile', () => {
+    for (const compression of Object.values(MVOX_COMPRESSION)) {
+        it(`should round-trip with ${compression} compression`, async () => {
+            const file = buildFile();
+            const data = await file.encodeAsync({ compression });
+            const decoded = await MVoxFile.decodeAsync(data);
+
+            assert.strictEqual(decoded.type, 'build');
+            assert.strictEqual(decoded.metadata.name, 'Hollow cube');
+            assert.deepStrictEqual(decoded.metadata.tags, ['test']);
+            assert.deepStrictEqual(decoded.voxels, file.voxels);
+        });
+    }
+
+    it('should record the compression mode in the header', async () => {
+        for (const compression of Object.values(MVOX_COMPRESSION)) {
+            const { header } = MVoxFile.splitHeader(await buildFile().encodeAsync({ compression }));
+            assert.strictEqual(header.compression, compression);
+        }
+    });
+
+    it('should shrink runs of repeated voxels', async () => {
+        const file = buildFile();
+        const none = file.encode();
+        const rle = file.encode({ compression: MVOX_COMPRESSION.RLE });
+        const deflate = await file.encodeAsync({ compression: MVOX_COMPRESSION.DEFLATE });
+
+        assert.ok(rle.length < none.length / 4, `rle ${rle.length} vs none ${none.length}`);
+        assert.ok(deflate.length < rle.length, `deflate ${deflate.length} vs rle ${rle.length}`);
+    });
+
+    it('should decode none and rle synchronously but not deflate', async () => {
+        const file = buildFile();
+
+        assert.deepStrictEqual(MVoxFile.decode(file.encode()).voxels, file.voxels);
+        assert.deepStrictEqual(MVoxFile.decode(file.encode({ compression: 'rle' })).voxels, file.voxels);
+        assert.throws(() => file.encode({ compression: 'deflate' }), /encodeAsync/);
+
+        const deflated = await file.encodeAsync({ compression: MVOX_COMPRESSION.DEFLATE });
+        assert.throws(() => MVoxFile.decode(deflated), /decodeAsync/);
+    });
+
+    it('should reject unknown compression modes and missing headers', () => {
+        const body = buildFile().encode().slice(1);
+        assert.throws(() => MVoxFile.decode(MVoxFile.assemble({ type: 'build', compression: 'zstd' }, body)), /Unsupported .mvox compression/);
+        assert.throws(() => MVoxFile.decode(new Uint8Array([1, 2, 3])), /No header separator/);
+    });
+
+    it('should read legacy files without a compression field', () => {
+        const file = buildFile();
+        const { header, body } = MVoxFile.splitHeader(file.encode());
+        delete header.compression;
+
+        assert.deepStrictEqual(MVoxFile.decode(MVoxFile.assemble(header, body)).voxels, file.voxels);
+    });
+
+    it('should keep 10-bit keys for large builds', async () => {
+        const voxels = new Map([[MVoxFile.encodeKey(1000, 5, 700, 10), { color: 0xFFFFFF }]]);
+        const file = new MVoxFile('build', voxels, { positionBits: 10 });
+        const decoded = await MVoxFile.decodeAsync(await file.encodeAsync({ compression: 'rle' }));
+
+        assert.deepStrictEqual(decoded.getBounds().min, [1000, 5, 700]);
+    });
+});
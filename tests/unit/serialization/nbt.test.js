@@ -0,0 +1,134 @@
+/**
+ * NBT CODEC UNIT TESTS
+ * ====================
+ * Generic tag trees in both byte orders, plus the .mvox voxel section
+ * and its limits on untrusted input.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { NBT } from '../../../src/serialization/formats/NBT.js';
+
+function sampleTree() {
+    return NBT.compound({
+        byte: NBT.byte(-5),
+        short: NBT.short(-1234),
+        int: NBT.int(0x12345678),
+        long: NBT.long(-9007199254740993n),
+        float: NBT.float(1.5),
+        double: NBT.double(Math.PI),
+        string: NBT.string('Grüße ⛏'),
+        bytes: NBT.byteArray([1, -2, 3]),
+        ints: NBT.intArray([7, -8, 9]),
+        longs: NBT.longArray([1n, -2n]),
+        list: NBT.list(NBT.TAG_COMPOUND, [{ id: NBT.string('a') }, { id: NBT.string('b') }]),
+        empty: NBT.list(NBT.TAG_END, []),
+        nested: NBT.compound({ deeper: NBT.compound({ value: NBT.int(42) }) })
+    });
+}
+
+/**
+ * Section with hand-written runs
+ */
+function runSection(runs) {
+    return NBT.write(NBT.compound({
+        paletteColors: NBT.intArray([0xFF0000]),
+        runGaps: NBT.intArray(runs.map(r => r[0])),
+        runLengths: NBT.intArray(runs.map(r => r[1])),
+        runPalette: NBT.intArray(runs.map(() => 0))
+    }), { name: 'voxelData' });
+}
+
+describe('NBT tag trees', () => {
+    it('should round-trip every tag type', () => {
+        const tree = sampleTree();
+        const data = NBT.write(tree, { name: 'root' });
+        const { name, tag, length } = NBT.read(data);
+
+        assert.strictEqual(name, 'root');
+        assert.strictEqual(length, data.length);
+        assert.deepStrictEqual(tag, tree);
+    });
+
+    it('should write big-endian by default and little-endian on request', () => {
+        const tree = NBT.compound({ value: NBT.int(1) });
+        const java = NBT.write(tree);
+        const bedrock = NBT.write(tree, { littleEndian: true });
+
+        // The int payload sits just before the closing TAG_END
+        assert.deepStrictEqual(Array.from(java.slice(-5, -1)), [0, 0, 0, 1]);
+        assert.deepStrictEqual(Array.from(bedrock.slice(-5, -1)), [1, 0, 0, 0]);
+
+        assert.deepStrictEqual(NBT.read(bedrock, { littleEndian: true }).tag, tree);
+        assert.throws(() => NBT.read(bedrock), /Unexpected end of data/);
+    });
+
+    it('should round-trip a full tree little-endian', () => {
+        const tree = sampleTree();
+        const data = NBT.write(tree, { littleEndian: true });
+        assert.deepStrictEqual(NBT.read(data, { littleEndian: true }).tag, tree);
+    });
+
+    it('should convert plain values and back', () => {
+        const value = { name: 'house', size: [3, 4, 5], scale: 0.5, solid: 1, owner: { id: 7n } };
+        const tag = NBT.fromValue(value);
+
+        assert.strictEqual(tag.value.scale.type, NBT.TAG_DOUBLE);
+        assert.strictEqual(tag.value.owner.value.id.type, NBT.TAG_LONG);
+        assert.deepStrictEqual(NBT.simplify(NBT.read(NBT.write(tag)).tag), value);
+    });
+
+    it('should reject truncated and empty data', () => {
+        const data = NBT.write(sampleTree());
+
+        assert.throws(() => NBT.read(data.slice(0, data.length - 10)), /Unexpected end of data/);
+        assert.throws(() => NBT.read(Uint8Array.of(NBT.TAG_END)), /Empty root tag/);
+    });
+});
+
+describe('NBT voxel sections', () => {
+    const voxels = new Map([
+        [0, { color: 0xFF0000, semantics: 1, type: 4 }],
+        [1, { color: 0xFF0000, semantics: 1, type: 4 }],
+        [2, { color: 0x00FF00, semantics: 1, type: 5, data: { facing: 'north' } }],
+        [40, { color: 0x0000FF, semantics: 3 }]
+    ]);
+
+    for (const [label, encode] of [['sparse', 'encodeVoxels'], ['palette', 'encodePaletteVoxels']]) {
+        it(`should round-trip ${label} sections with types and extras`, () => {
+            const data = NBT[encode](voxels, { chunkX: 1, chunkY: -2, chunkZ: 3, extra: { biome: 'forest' } });
+            const decoded = NBT.decodeVoxels(data);
+
+            assert.deepStrictEqual(decoded.voxels, voxels);
+            assert.strictEqual(decoded.metadata.chunkY, -2);
+            assert.strictEqual(decoded.metadata.voxelCount, 4);
+            assert.deepStrictEqual(decoded.metadata.extra, { biome: 'forest' });
+        });
+    }
+
+    it('should collapse consecutive voxels into runs', () => {
+        const root = NBT.read(NBT.encodePaletteVoxels(voxels)).tag.value;
+
+        assert.deepStrictEqual(Array.from(root.runLengths.value), [2, 1, 1]);
+        assert.deepStrictEqual(Array.from(root.runGaps.value), [0, 0, 37]);
+        assert.strictEqual(root.paletteColors.value.length, 3);
+    });
+
+    it('should refuse runs beyond the key space of the position width', () => {
+        // 32³ positions with 5-bit keys
+        assert.strictEqual(NBT.decodeVoxels(runSection([[0, 32768]])).voxels.size, 32768);
+        assert.throws(() => NBT.decodeVoxels(runSection([[0, 32769]])), /beyond 5-bit keys/);
+        assert.throws(() => NBT.decodeVoxels(runSection([[32760, 10]])), /beyond 5-bit keys/);
+
+        // A dozen bytes must not be able to declare billions of voxels
+        assert.throws(
+            () => NBT.decodeVoxels(runSection([[0, 1 << 23], [1, 1 << 23], [1, 1 << 23]]), { positionBits: 10 }),
+            /exceed 16777216 voxels/
+        );
+    });
+
+    it('should refuse negative gaps and lengths', () => {
+        assert.throws(() => NBT.decodeVoxels(runSection([[5, 2], [-4, 2]])), /Negative run/);
+        assert.throws(() => NBT.decodeVoxels(runSection([[0, -1]])), /Negative run/);
+    });
+});
@@ -0,0 +1,113 @@
+/**
+ * CHUNK WORKER POOL UNIT TESTS
+ * ============================
+ * The synchronous fallback Node runs on: results must match the generators
+ * called directly, and queued tasks must honour priority and cancellation.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { ChunkWorkerPool, isTaskCancelled } from '../../../src/workers/ChunkWorkerPool.js';
+import { serializeGenerator, isSerializableGenerator } from '../../../src/workers/ChunkTasks.js';
+import { SphereGenerator } from '../../../src/generation/generators/SphereGenerator.js';
+import { Chunk } from '../../../src/spatial/Chunk.js';
+
+function oneVoxel() {
+    return new Map([[Chunk.encodeKey(1, 1, 1), { type: 'solid', color: 0x808080 }]]);
+}
+
+describe('ChunkWorkerPool fallback', () => {
+    it('should run on the calling thread without Worker support', () => {
+        const pool = new ChunkWorkerPool();
+
+        assert.strictEqual(pool.getMetrics().usingWorkers, false);
+        assert.strictEqual(pool.getMetrics().workers, 0);
+    });
+
+    it('should generate the same chunk as the generator called directly', async () => {
+        const generator = new SphereGenerator(40, 1, null, 1234);
+        const pool = new ChunkWorkerPool();
+
+        const pooled = await pool.generateChunk(generator, 'generateChunk', [2, 0, 0, 16]).promise;
+        const direct = generator.generateChunk(2, 0, 0, 16);
+
+        assert.ok(direct.voxels.size > 0);
+        assert.deepStrictEqual(pooled.voxels, direct.voxels);
+        assert.strictEqual(pool.getMetrics().completed, 1);
+    });
+
+    it('should reject generator methods that do not return a chunk', async () => {
+        const pool = new ChunkWorkerPool();
+        const { promise } = pool.generateChunk(new SphereGenerator(40), 'serialize', []);
+
+        await assert.rejects(promise, /Unsupported generator method: sphere\.serialize/);
+        assert.strictEqual(pool.getMetrics().failed, 1);
+    });
+
+    it('should serialize each generator once', () => {
+        const generator = new SphereGenerator(40, 1, null, 99);
+        let calls = 0;
+        const serialize = generator.serialize.bind(generator);
+        generator.serialize = () => { calls++; return serialize(); };
+
+        assert.strictEqual(isSerializableGenerator(generator), true);
+        assert.strictEqual(isSerializableGenerator(generator), true);
+        assert.strictEqual(serializeGenerator(generator).seed, 99);
+        assert.strictEqual(calls, 1);
+        assert.strictEqual(isSerializableGenerator({ generateChunk() {} }), false);
+    });
+});
+
+describe('ChunkWorkerPool queue', () => {
+    it('should run lower priorities first and keep submission order on ties', async () => {
+        const pool = new ChunkWorkerPool();
+        const order = [];
+
+        const tasks = [['far', 3], ['near', 1], ['mid', 2], ['near-2', 1]].map(([key, priority]) => {
+            const task = pool.meshChunk(oneVoxel(), {}, { key, priority });
+            return task.promise.then(() => order.push(key));
+        });
+        await Promise.all(tasks);
+
+        assert.deepStrictEqual(order, ['near', 'near-2', 'mid', 'far']);
+    });
+
+    it('should reject cancelled tasks and run the rest', async () => {
+        const pool = new ChunkWorkerPool();
+        const kept = pool.meshChunk(oneVoxel(), {}, { key: 'kept' });
+        const dropped = pool.meshChunk(oneVoxel(), {}, { key: 'dropped' });
+
+        dropped.cancel();
+
+        await assert.rejects(dropped.promise, error => isTaskCancelled(error));
+        assert.ok(await kept.promise);
+        assert.strictEqual(pool.getMetrics().cancelled, 1);
+        assert.strictEqual(pool.getMetrics().completed, 1);
+    });
+
+    it('should cancel every task matching a predicate', async () => {
+        const pool = new ChunkWorkerPool();
+        const tasks = [0, 4, 8, 12].map(distance =>
+            pool.meshChunk(oneVoxel(), {}, { key: `chunk-${distance}`, priority: distance })
+        );
+
+        // Out of range beyond distance 5
+        assert.strictEqual(pool.cancelWhere(task => task.priority > 5), 2);
+        assert.strictEqual(pool.cancel('chunk-0'), 1);
+        assert.strictEqual(pool.getMetrics().queued, 1);
+
+        const results = await Promise.allSettled(tasks.map(task => task.promise));
+        assert.deepStrictEqual(results.map(r => r.status), ['rejected', 'fulfilled', 'rejected', 'rejected']);
+        assert.ok(results.filter(r => r.status === 'rejected').every(r => isTaskCancelled(r.reason)));
+    });
+
+    it('should reject outstanding and new tasks once terminated', async () => {
+        const pool = new ChunkWorkerPool();
+        const queued = pool.meshChunk(oneVoxel());
+
+        pool.terminate();
+
+        await assert.rejects(queued.promise, error => isTaskCancelled(error));
+        await assert.rejects(pool.meshChunk(oneVoxel()).promise, /Chunk worker pool terminated/);
+    });
+});